@@ -0,0 +1,248 @@
+// ========================================
+// Urdle — 3-Letter Answer List
+// ========================================
+// Curated, common 3-letter Urdu words that can be
+// picked as the 3-letter variant's daily answer,
+// sealed like answers.js. Every answer must also be
+// in words-3.js.
+//
+// ORDER MATTERS, exactly as in answers.js: this list is
+// the variant's daily schedule. Only ever append new
+// words at the end. Run `node scripts/schedule.js 30 --length 3`
+// to review.
+
+const ANSWERS_3 = [
+  '0f525f83fe919c8f',
+  'df89284b15303351',
+  'fb7be636b7252d5d',
+  'e172f7ab0832265e',
+  'ff59df99328a7303',
+  '4d434a679016a837',
+  '4eb30970dd3f81f7',
+  '4d7e96d4ca213a5a',
+  'eea406d31aed5ae3',
+  '442c6279c45a7c7f',
+  '61f20176ab180692',
+  '0ea97b6794f808d6',
+  '06c3bc4e507dcc31',
+  '0eb6be7505984f38',
+  '23e499866f6f2bf0',
+  '0a6800fb5f51ff2c',
+  '0d9b8bdba734dd16',
+  '0f70f11a0e5f74fd',
+  'f03d6aee4ef4bab7',
+  'd467b5abecc93e3f',
+  '521d60c6306345a1',
+  'de57f6317e667cb3',
+  'f5378acb29e72435',
+  'e2e8a478531d0e47',
+  '25a069132f17621b',
+  'df4bbe1dbb82c649',
+  '45f6ead04e9b3a40',
+  '0e45514df912c041',
+  '11d046ea711f8ad7',
+  '03323e384890cee5',
+  '58602449479a2dda',
+  'fc872dccfeff7656',
+  '2462a0c31ac55204',
+  '43a098fb71ed4acc',
+  '0a83bc12ac1e456b',
+  '4f3be4883cc29678',
+  'ec9eb42ed0132e6a',
+  '4e1c2b389591d0f3',
+  'd9782ec58342854b',
+  'fbbb89461bc0227d',
+  '063c7766078a530b',
+  'c5719f0f14f06783',
+  'cc4a8c45d66b5cef',
+  '02e86e15314e159d',
+  '20dc9cff38451a18',
+  '12b68229facc977b',
+  '5c6840e45e7450a4',
+  'e5276ab0ee5f6560',
+  '229fc8db5bab5902',
+  '1d78730f39fa06a3',
+  'e2b27a465c5fa595',
+  'f40f2ddde549389b',
+  '0f718d21bd9f46fc',
+  'fb8d975be7b229a6',
+  '249dba71a90936c3',
+  '03733c4e59e065cf',
+  '5c56abc098c16f75',
+  '542b247203a23407',
+  'e10ce71a98559d01',
+  '28f95463b671dc63',
+  '4c954a4e99b17fc5',
+  'e1048f3d8e801c9b',
+  'ed345ddf39e7c8c1',
+  'c9511386a85b1976',
+  '49f3a2897dfbf138',
+  '51cc4f3921e90363',
+  '0fca38fe68702132',
+  'f7a00635f058b5b3',
+  '0bb065c61fc3fce3',
+  '542b24b003653465',
+  '0e4ddac9a14da54e',
+  '0ac3baf0fccc7253',
+  'e49c66a3641d9411',
+  '0b895c8aab547a90',
+  '0e29adee1ac389e4',
+  '53cbd2a969e13da8',
+  'de28ee1ce9958571',
+  '02c45befd428dcdf',
+  '40aa898e66a3a0a7',
+  'e0fc498f6db41894',
+  '3fdc762a6c2991dc',
+  '4a3f2d0c91a5937f',
+  '4f32926692524dc5',
+  '4f36d1f96c6dbc42',
+  'efd43dc97fb660b4',
+  '52e239c3733cb83f',
+  '1ab38dee59c6891f',
+  '4ea4421459480f34',
+  'ec5c0d2da4dacff6',
+  '57c56ea8cb20482f',
+  '3f5c9210a8317bb0',
+  'f03ca2024b6d0f5d',
+  '0791141bc3295245',
+  '51f657e555f5e457',
+  '24bc0e50eaab1efd',
+  'c8ec3ff0b69968b9',
+  '4e1a7c2a878c3034',
+  'ff042aff998c533a',
+  '20ac81c8a69cf040',
+  '1f71c70d7c7171b2',
+  'f77ccb1a6a31ee19',
+  'fc9a17c5470982c8',
+  'ff4fcc1a5f679ba2',
+  '38327ad4aced03cd',
+  '525885145969a4db',
+  'c54aaa15c90b926c',
+  'f8919a0d503f31db',
+  'dd3a33cb6eabaa42',
+  '237ac2ea947ed8e0',
+  'c5bf2f1b38ab3b76',
+  '48ae4e7589384f02',
+  '4df7c98a713939cd',
+  '0a95c604d36aa062',
+  'f3da0eae561397ec',
+  '521a795a9536e954',
+  '1e408062532937ff',
+  '0e823040e855b734',
+  'e28067675e6c7e02',
+  '1546182aeb73327c',
+  'f577dfff7ee30475',
+  '10543a1a7c2a3854',
+  'fc987386af6aa7e2',
+  '21307cf91815b8a2',
+  '429a6d2fc99a1c01',
+  '12360b5ba016a4e0',
+  'f3fd34812136d4a0',
+  'cb8fc3717b10cd72',
+  '45fec5f2e5c12547',
+  '26fe3d83a2f6c3cb',
+  '11e25a5d0a04febc',
+  '0b3726186942e4d2',
+  '028e9e1fdf30952d',
+  '0106760231770c0c',
+  'fd6ad1bc2063840f',
+  'fb7a5716193a6c52',
+  '120551284174c908',
+  'f44230f34035772d',
+  'ee3b89aba5f73687',
+  '17b3944371b7403b',
+  '0a4644f2eb895bbc',
+  '4a59d5e83ef013b1',
+  '51a92a36a3ba3f8d',
+  '42fda6f3ee929c9b',
+  '136a0303fd3ea013',
+  '12d5eaf0ba711a5d',
+  'fcb5d43e07d9c390',
+  '02ccc1cd05980b17',
+  'f51ffe8a2cd2504a',
+  '0bbcf6d85a5eef7b',
+  '51e03a32f25a9857',
+  '0bd201a47225081e',
+  '27fa3e4b458dfa26',
+  '0f4c38f69d030526',
+  'f189ad2a7795a8b2',
+  '1ab007d83f5ce04a',
+  'dfeece94c4f29578',
+  'f0c59b42343dc596',
+  '65a727429577382f',
+  '55ef94552f9053ce',
+  'ecc49b020222e01e',
+  '22298736489655f0',
+  '16f1c9faa6a5afaa',
+  '4f62dbe652280d0c',
+  '16d765d0ba9dd849',
+  'f7bbe6575ac6b786',
+  'f1a92837adab75d3',
+  '2334fd718c6d7082',
+  '365d1f965424c5c2',
+  'f50adda0f48948ac',
+  '51f133f1610de4d4',
+  'e132a934b71011b8',
+  'fb75dce25d9fb7fa',
+  '37fa04f1afaaa4b7',
+  '4e6050e790d5000e',
+  'dbf54891aa603c9c',
+  'fbb0ce557b07f309',
+  'e8986601e9adc040',
+  '51d80d6510987dd7',
+  '2bdf66aef9c4a086',
+  '0e2a726eb05eb8b5',
+  '55d283458466d721',
+  'c67ba89b4b37b4e8',
+  '233685fc41e12e21',
+  'f60eb1a9e2a7d215',
+  '02ce33da0644eef2',
+  'e11c0d625be1b32d',
+  'f3c74831602e427e',
+  '45be4e768cfb3730',
+  '06ce66feb7717b5a',
+  '51f2a47fb452a9a4',
+  '0f73ebb5f3b3a7c3',
+  '0702582764a5df38',
+  '52307e59994caa43',
+  '20ef243835b979de',
+  '4e67003abc6bee92',
+  '535bdf2d82d7da9c',
+  '4f220076c5b5c4c7',
+  'e24f7ced40b7a240',
+  '561927f717376206',
+  '61f3f8452309e312',
+  'f083ad2b98153f10',
+  'c57edd7ce70a9d5d',
+  '261479785348938a',
+  '1e578c94e4a77551',
+  '55b7755bc2ccf11f',
+  'e21d942ef113e408',
+  '0410a8f1f48d97ad',
+  '1a8f17ff89170ade',
+  '28bb4f1dc5cb1c97',
+  '2377f4d8b7b3557d',
+  '04f2aabfb56a22f8',
+  '242279229527ff8b',
+  'ed3997d365e86947',
+  '0e0347e1c59b0840',
+  '4c25c71b68d8e5a1',
+  'f3808d309bcfd405',
+  '561ce245507d338d',
+  'd785f4d00d1a0814',
+  '20da4144c2dc0297',
+  '421a2a8ea2b18b83',
+  '644eb9bdb2917b47',
+  '34c415d5242fa62e',
+  'f03ee6965f50d5a8',
+  '48ac63550c2c9cb2',
+  'fd3d43f6bfef8242',
+  '465bffaeafe1e249',
+  '2201cda5e248cb4f',
+  'ce31c2151c917080',
+  '043c1eb3d78b1720',
+  '44f67e37868a9085',
+  '51dcc74ccd74f59d',
+  '51dd25bdb35a4e3b',
+  '231c03335a0cbe0a',
+];
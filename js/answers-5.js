@@ -0,0 +1,336 @@
+// ========================================
+// Urdle — 5-Letter Answer List
+// ========================================
+// Curated, common 5-letter Urdu words that can be
+// picked as the 5-letter variant's daily answer,
+// sealed like answers.js. Every answer must also be
+// in words-5.js.
+//
+// ORDER MATTERS, exactly as in answers.js: this list is
+// the variant's daily schedule. Only ever append new
+// words at the end. Run `node scripts/schedule.js 30 --length 5`
+// to review.
+
+const ANSWERS_5 = [
+  '0e9e414d5c6e3698718201c5',
+  'b5b213e19de405a585825ca8',
+  'cf4a1296a2639f2b50c2b137',
+  '4ca0659225a313ef6505aee3',
+  '4a25b2e59c22cda271d54706',
+  '3b9adffc30eb2549d0baf63a',
+  'dc8affae4a439444e4c7065d',
+  '15a98276ae596e7942f5b5b0',
+  '4ae96764488917548370ea13',
+  '3b47424186991322ffcde600',
+  '8f121b807d7ffbd460768b5f',
+  '15e62f5b3cc0d706dfc8e56e',
+  '666a9d050b41689d2772d3f8',
+  'bf7ae038f42628aaa6fc0279',
+  '16d2eafa71eec65d7a86d897',
+  '1832296be76c23fc828602d1',
+  'd2c3da8d7d385452183411a9',
+  '008316cfa39306aeee939684',
+  '57612945f01eeed332589f9a',
+  '03195a65e63f6b9cfb72c71f',
+  'ff3bb14c9aa837c9d6539c45',
+  'f9c57b320831489de5bb59c9',
+  'b3b5c3e29fe2bbd23fe2f1cb',
+  'efa796181485bbfb02d58446',
+  'c25d64714b4fd28521aea85e',
+  '6d4bb85d829b0b950f70ab5d',
+  '8a2a2f8941e10966d40cd792',
+  'ff6db8321c57f8f073eda875',
+  'a5d35d0fb82043ebb23d22ba',
+  'c5eeb176354449228d1d18d3',
+  '25e390d0edb7aaf7ff906cf9',
+  '75fcc232192121b1c30d7c09',
+  '5687e0c5f42c49fb423e3181',
+  '295e62b05660ea10f38dfd83',
+  '303dbbcd9f1945169f344cd7',
+  '9387d95a3548fc8b6c018311',
+  '6bad4808032fa5ec2819acb2',
+  '5c73ac126c3773558dd3ecb1',
+  'aff4d7e81abc8f714a29edaa',
+  'ea4320c622cec7b3be3f6d95',
+  '54af0e278901f5f7f4324d77',
+  'e7896a8cfe2b36d21fc1f28c',
+  'e55280cb88dc91144d601272',
+  '9d42458e30965e8f9d34a886',
+  'eff0193b21f522c65efffe76',
+  'e1346b0fa5f2a117143521f7',
+  '3546775add98a4fb049d7060',
+  'b4d0c85fb3528b14761e814a',
+  'd247ec4f71bcf215b3800d4d',
+  '21e1e53c86a02bd5e3ca7505',
+  'bf1e7e681dd2b72e031cc6c7',
+  'cc74f13abcae1eaa20870cac',
+  '7ea9b9d5acbf1c8ad395a9e9',
+  'ec50dc7f8946f46748a62f13',
+  '65043eb626c5a0103f2d5013',
+  'cb1707672b521a9a069e593e',
+  'fbaa2f725e1235e77581ca14',
+  'a586936ab1d2cd5b1e248f8f',
+  'bacb4f7057ebf0a9c8caf609',
+  '15f6542745d405379494f46a',
+  '1e8180c53af303dbb8af0144',
+  'c548dfc19a8c6a5566857f19',
+  'dffa33f7eb7293d3c96bc2ae',
+  'c377208d6c9bf05087ab05c1',
+  'b76f53a004003d36e0327821',
+  '7a677acb4734f924e7e22583',
+  '03f9b4563d6037d1661376bd',
+  '8dbe9c71acf6d49dd00d1444',
+  'f702960f15276c9703f66692',
+  'ddc6070596638b8069f15bec',
+  'c1d97dc6988f2f23b22ed207',
+  '7f8f66e237b42792b9c4c294',
+  'd7f2a65652d3993f814d9d4b',
+  '701a0658bc942c47f6a28004',
+  'f62a2d008a1583dd2e57a601',
+  'bdeb4209cc9b67c53c4c9610',
+  '9efc004056d5711c2aa221b7',
+  '136a0303fd57a09797321eba',
+  '9e3c39646297a80eae8defa6',
+  '4c5063ebbcd252443a8e37df',
+  '74d38d67843db22b66fc73fa',
+  '176fac419893cec99d4a7bd6',
+  'a2fc231b162f1d648ed7f2a0',
+  'd15e4f51bb9de87d419a2cb7',
+  '1ebf18cba8349d1cf8b8d3a1',
+  '0caab23805e5a99549e72f70',
+  '73a2b73fd149166e1122f2dc',
+  'a6ecec979897b24c47623cc7',
+  '319ce7ca0de54f9ea75e17ae',
+  '766b6700cee04876398d0ee7',
+  'ae06b58b3ac05003b1585780',
+  'b57104dd7592ccd349a9c37f',
+  'e906c05086e2dd64ad53f140',
+  '03733c5159f06529f2c233b6',
+  '144a1308616da2a2b1f132dc',
+  'b1bb62d0e67b5078bd64c77a',
+  'ffc786cbe9ddd318540a6166',
+  'eaf6bfb569be44c17d6e8970',
+  '0327bc71788fdcefba394c27',
+  'ef41848767230c3469c24026',
+  '292449527a5a0bd74d417fb1',
+  '0eaa18671dd4954c75a3995c',
+  'b3d333ad1b6d7f9a692806a5',
+  '0b1616e5a71ed12df716d395',
+  '7870b0c138434f48dfb9898f',
+  'a35528b1f97feb0eb92dbdf3',
+  '1d05fe7183fe1c187ead40d7',
+  '8918767687d1002ac0379d74',
+  'b40e5640675ae455c7399f8b',
+  '491baad0b66aa0ceb27cc067',
+  '965621ae7a645df5a062ca56',
+  '5337fc1dd9958a11230df8a9',
+  'b4738651473269bd8cb7f027',
+  '9d589e8b2f153fb60a8346bb',
+  '9e64fd76c4f85500b4251725',
+  '91232bcf5393f38584027513',
+  'fce1d3f532d9cd811051a16f',
+  '8231c1b4a371297eb88132a2',
+  'c7def1ac02506b687ea16ed8',
+  'b5bdc48949bffcfc322f26ad',
+  '046c1ea2284c2cd8bb82583c',
+  '4f48dbe793671b0be54f6b60',
+  'ac24008192d83b7322523d9d',
+  '2d81ad0d07ed4a4b682b049f',
+  '720ad1ad99e6beb60a20ea8a',
+  'ff97c4894dc1156e6aa14d7c',
+  'fada574c867bfb74a65a1873',
+  '256f48d5d492ebe3588c7449',
+  '0015bdf0d42e0e18135068f3',
+  'e801813ca209068dc04e7ca1',
+  'dbe2fdfa0f9493fc55119726',
+  '8ad7bd96a13718c630a268ca',
+  '81c6068e1436fc5186228ea3',
+  '72d540f65191b5cf4e54fbc6',
+  '358efa8940a1c346df05218b',
+  '2730fd36117baca12a1389e2',
+  '319329dfd747ef128f752874',
+  '498da90f62edaf7451bb57e9',
+  '51b6afd4cb1bffddceb726ff',
+  '53e9f323702d82a3e18f737e',
+  'ebf9cfaaaee88713e8eb436b',
+  'f623e059f3fcfb1232ae1b8d',
+  'a45d43da49b873590d5ccfce',
+  '339c82045f092e9b84abe049',
+  '014c308f01c62833b5a8aadf',
+  'c4eb75354bcbe78a230a36ee',
+  'e8b7da95c34a9824ab5baabc',
+  '90b880473ddff6b2fb178448',
+  '55f22e3bbfabfc369d8f01f5',
+  '1cf71ec3ef3e9f8a6d9bdfae',
+  '4dba8ba0664dbfe62fe1c179',
+  '62002977a0114ee7fe9898b0',
+  '6607d969e42270e7e73bde35',
+  '2a3b7fe9da511ea18fccc60a',
+  '165684ae67880ec80f6af8e6',
+  'f303b86fd9da3c53e8b8de36',
+  '9269ac3872b2fef17f3b2f01',
+  '8c0655a62432310cc8daaf0a',
+  'c6c73fec12153b9d2eff3e0a',
+  '19832391b3b7479079e27ece',
+  '4fa9eb7618f0bea192f23f90',
+  'e4ef971e679ae9f2a9bb20c5',
+  'b55d5026edfa0aca793294cd',
+  '5b4ca9011496567241b88fe3',
+  'cb706e4e32f4e59bdcd437ef',
+  'e226cd3651827c0c7eaaa814',
+  '23da3ed00744bc416723522b',
+  '1779a526f92ab4c752c5fb8f',
+  '3a8538c157e6524725bb4e45',
+  '8546c0156cba6ac7d1643742',
+  '481f50c7730b27727a698736',
+  'f31636fb53e06f79fbd4e6d4',
+  '0071ea96b60686628944a0c1',
+  'abf5e8c4bbaf8c6951467190',
+  'a1c04fac3983614d8aed2099',
+  'd715dfab98854507f82fc904',
+  'ef19bdd81bc264f70d127112',
+  '1ce812719abc7d947a05492e',
+  'fbe8dfbb0d032d5047b90200',
+  'e04e3522e505e20a64a15393',
+  '83df163a9feae079980e32e1',
+  'e1195d77f30ef6b36e358a01',
+  '6df26a75ef91fd31d57e315b',
+  '2f52bdf54fb5364dbb04bccb',
+  'fdc9842c0e46a8be8f81d751',
+  '62b006dbd859318068a1a4f8',
+  '8759e1014b596879ce3387dd',
+  '31d419a8fbd77a1c7a749462',
+  'a15d41c92d816ebd9d39b5ab',
+  '6572ce6fafe8ec30f956ba9f',
+  '87befa3b942fb8e0e292a7fb',
+  'f49988562fd02e09ed66a9df',
+  '0e51458ed8369c2e972ea54c',
+  '86bb448edf376ec951c14d20',
+  'a03c63ad8653020d5a6ce2f5',
+  '90219a540bc41338b5820d73',
+  'f4e8e35fea0893b0e2a9232a',
+  'fef4749cfa0c8f7686abe86e',
+  '2e683f5d22ce260f3d696c33',
+  'f577df977e980475f29753f3',
+  '04563709eaff6fccf9a35261',
+  '13755a68a01dbca5ec17b328',
+  '34808ba834bce244e104d6ee',
+  'b46204a74b45a5f481a9d742',
+  'd3f49b9237ab054e33de1c2b',
+  '719e52a0944557c19c2b85da',
+  '364284f5b16f121fb2c22869',
+  '46093c70dffffeb0e66b2de6',
+  '1fae23ad1fd598e80cf08f16',
+  'd175de67b59820f645bc1854',
+  'dfdffaf7dcec1a1a76076b93',
+  'c4a37ae35c6d255c07db2ed1',
+  '934fad2e9493816b3a20e3c3',
+  'c4bbb5d9639cf4a589658927',
+  'dc40c751930087b1fde008c8',
+  '7efcaec12d7387daead404f0',
+  'c62f27aae17d50471a4b4e26',
+  'c8cd2228d3d11debfa3e319f',
+  '9f5a60b422baf3babe035722',
+  '6930aa397ceafcb99fc84deb',
+  'f0d1ba218acc34601bd791dd',
+  'f15db0a46e2d1b457e1108af',
+  '18ad146dd621024b699cdb15',
+  'fe6bc2992327d1912eec3217',
+  '7956f191448ef57501fcedb9',
+  'b0487b5b6163a302688fa1bf',
+  '635564ac023d889bda443364',
+  '0914df6714047b698f4946d6',
+  'c6983db3837e8ee5dda34c57',
+  'c073b1b416e1fc44b00baf26',
+  '49bfb40639c94ce5faf7d805',
+  'f4551aa1894b802f0043dbe7',
+  '4c93a88bb61eed40e3ffddcb',
+  '12a024a84ec2006783a29514',
+  '6b2793554a771581b4807487',
+  'd3af2cc77de6571e969f2658',
+  'ef2582add96e9864c7c5ada1',
+  '164ef0566c38e3a5fdd9601e',
+  '7681a847d4319056b20692b2',
+  'b523c5160e6e3941cf6c68a1',
+  '1fa34e485a37bcc452e3c40a',
+  '12f95e479ce8f111a521c9e1',
+  'aa5e8e53ed78d75ac99b0ba0',
+  'a7f4eae66251e0bb1afc486c',
+  'dba781b981af75ddc26215f3',
+  'ad0f2873945b01ede5f5e2e3',
+  'ff84c8bdebe1fcc3f3e2a52b',
+  'b050da63ca506d91ee439a5b',
+  '33b660269c5ba6ebe564abdc',
+  '978bdecafb7ac9f4df0e069f',
+  'cc22052f26289dedafa6e984',
+  '54f922304197c3c8071509db',
+  'ad7620452670cd49e931a58f',
+  'db9e48b0212adac77a5d8926',
+  '8a971a0de47c5b995fda931c',
+  '30776c62a69cbbe419fb31b6',
+  'e42e905d3bc2676577b86e5b',
+  '2534bfd85b9d2269847c6430',
+  'a80c070fb9c5547ad546344d',
+  'e360ede278586a65d4cd438c',
+  '693447a664abd448c1643d43',
+  '14e9518bafcacaa0d9909872',
+  '4a42a3bde2adb1aa678bcf11',
+  '06f1cd654dae037ec8f46cad',
+  'ea79632e28763ab2920a7628',
+  '28b4905b865e03891a5e942a',
+  '1008d018e7b94f9b461c4d30',
+  '8bee7daf8fc677a4e123eb87',
+  '2c9e436d8f7591f007edfee4',
+  'c7f5a189f15d0caf1eaef81e',
+  '3c496456a4d4f2e0bad89721',
+  'ff24e7753a71e00ba20fd37e',
+  'b5b676d6cb748956bb2a037f',
+  'bf20c9102d3b9c34eccdd842',
+  '773c9facc7b9681207056a14',
+  'dba611a8ba6550846f352241',
+  '253e84422aaad717e18a1b34',
+  'dc61043c03054624959e256b',
+  'bd633a5c341c90e4d66b0b9d',
+  '5f7bc766699da1c09041bd37',
+  'd9782e5d83a3854abe1e13aa',
+  'ab12f2f4f64e95cb5575934a',
+  'e439bf8838846be1055ca9eb',
+  '7d0ab60db7a37f49b29563cf',
+  'e285c4cbd80df086934c1ea3',
+  'a6eb53c2fd2fc083203c2695',
+  '7f8af0deac4563dbe7c5271e',
+  '9fdcfa17be819e91c90c03b7',
+  'a2cd059e3926236da9be39a1',
+  'ba8890920ab7e976c717a147',
+  '9cf6a9042063e5bd41e8ec22',
+  'ba51b7d8040db88e891adb29',
+  '74f7561998ff0d0d0d3ace06',
+  'cb3ad86480e5a16c78d47ec5',
+  'e34c6d904962de5c2a1f3582',
+  '2979d07c9df0c6ff4efe3eaa',
+  'f4ccd74cc84c219e0344b6fe',
+  'c77429554f722afd0c0695ca',
+  '6a8755fa954992d797705929',
+  'cf623456f46e2398ca4ce047',
+  'c752972e0dc520ca05e6deed',
+  'b92c1f8bb1e7c389fbc4fd21',
+  'f8a182b1ae00d38eefa823d8',
+  '3ceacfa0703f19b9d6d2dfb7',
+  'e8efbb309d0cd25fb65bf4e9',
+  '1351feb3151b2f2088e47843',
+  'a5f17b5c510c8ff1ad1b633d',
+  'd6d18630a8f24db8bfd01df6',
+  '2c2f60d9c4a37052bff55470',
+  'db5ce7f85b7476529b70fc31',
+  'd124244fa5a06a883ac897e5',
+  'c59368878fe6bd533ee1d46c',
+  'bb0b4c54e28f0c359cfa180f',
+  'f7e633bb613ed6542c4a575c',
+  '257a829d0cf1cc09e4af4621',
+  '3ff6c5d74d4100c15c76b680',
+  '626ca1df0980bdfeef681399',
+  '7c60986a20f2c2bcd8d82cbc',
+  '60be152fe876cbb04c97223e',
+  '8a83cb6f34cbcb6bbf3fc7ae',
+  '30c5538c18995ace25e19159',
+];
@@ -0,0 +1,153 @@
+// ========================================
+// Urdle — 6-Letter Answer List
+// ========================================
+// Curated, common 6-letter Urdu words that can be
+// picked as the 6-letter variant's daily answer,
+// sealed like answers.js. Every answer must also be
+// in words-6.js.
+//
+// ORDER MATTERS, exactly as in answers.js: this list is
+// the variant's daily schedule. Only ever append new
+// words at the end. Run `node scripts/schedule.js 30 --length 6`
+// to review.
+
+const ANSWERS_6 = [
+  'a1da807ee9764d7f01c08e12974f',
+  '82fb73ca42a1cfcd5e9f0916149a',
+  'c7296ff2edf7028699c7a0e901bf',
+  'd822b12eb389dc7710055549d19a',
+  '4ef0b0d12c396176565653e6b927',
+  'a6de06fad4a700b00121b196103c',
+  '6b119fb5ec45df5878811577f59d',
+  'fb7158e21bcb9acc77c3904fac0f',
+  'def402dd2c864f234e611c064409',
+  'ca3ed2e60cbdd4b51f5b577c0d16',
+  'dad14d04c1dd511513e4462c1c13',
+  '04c39d3e897f7e3108e0770ec72a',
+  'e5324d6a9950138c1f9d834aed1b',
+  'b94666bcb7b7d4dac4e2b9fe1c3a',
+  '8f5eb8228e6a33e0bebef240f6f2',
+  'f170d36e03cc477c4659cb10f3a8',
+  'fc7f498b2bac8d274f800b504f2e',
+  '0ff31c0734a71bce088dd1d07ca9',
+  '1a744192a0123718bd2ca4e703c0',
+  '90ef1285be0a1bd318e6225336f8',
+  'b081bab895082a9237c28c000305',
+  '35a45bbdeaa726e339bac461a28d',
+  '6a987f0ab17de4be790fe72b8dfd',
+  '815f7d6828e9aa8ef6f5894a70f0',
+  '60f9685da43a39ea28b19ea9fef6',
+  '180ec242b09aafc5a49e786fe70c',
+  '3fd6e6492366777a6463be9cc826',
+  'bc1a2c6f566681d08f32ba96e76f',
+  'c70611228c473956d696587789c1',
+  '7b11f6647a759f881aeaa9d87bdf',
+  '7acbd7796445e5a7537ebe6c11ed',
+  '94a3f0882b7ebe2709120709b7e6',
+  'c33bbfe8de40acf76cb00bc3354e',
+  '3446de7adcadd5f489de092d213a',
+  '33f38960668f2ba3cdbea7b4ce79',
+  '075174eec93ac8fef79e717ad3ae',
+  '3a704d38228548bb8a47562565f0',
+  'ab68885314a55df461d85e3e65ea',
+  '325aff20c243c99daa28cc36373d',
+  '300c880b35f73ca7a2ebf9ec2ad9',
+  '0971b5713885653c80a4ef3a8bab',
+  'ebd562be1908ad0ca98f3d99878e',
+  '7cf8c554fdbd2032e60147e612ca',
+  'aec0cefe9e1b04a73d087e8eb672',
+  'd43e8d99cccc10006444b27c74f4',
+  '57652b3f236a6ee1ef7c7728dd70',
+  '0d114a1b3f2383d11a43aa6eb2b3',
+  '0dbe97896edde56e3cbbb7cafd58',
+  'b1612ae73c81bc304eb549db0ff0',
+  '4dafb7734c17c5869008df81b178',
+  'a9f058ec5b1eb9c3a061f585b601',
+  '51cecd66664d3bed311a3e5633b8',
+  '906c88bfad0675cbf6b505709b5f',
+  'bb3c444fd52ca2b59d3c7368f669',
+  'b31b439e83d598419319802cb758',
+  '27d1104c88ffacb782f2cd0643b0',
+  '5ce7cfc16c6114804db78a2adba9',
+  '963cba4ea6aa1774fcb2a0fe2bcc',
+  'ad9666ac84c77d586308ce41aca3',
+  '9f44d15ee51c30fdcb70e80e2b7d',
+  '14111e2f8f05695fc49bb09da898',
+  '45e8ddff492357eb6ff7881accc2',
+  '0b7a860b6412d8e83c8824aa42e6',
+  '9cfed6103cd57c5382cc0d09a3bc',
+  '1ddc1152171e4400f13eddfaf1b9',
+  '1584abf08c24e15c9027640b738e',
+  '636f1daabdfa98bf5bf5886aba21',
+  '63a1fcf05647ea01b67b3c598b52',
+  'b8f134d079d39643c54d474ce28b',
+  '8546c0036ca36ab3d1063735baff',
+  'd06d3f3bdb66e3a4ae893078f960',
+  '883d1cc26bf6203960bd29f74a45',
+  '4242335f4bda5529272e9453262d',
+  '9bf4f15aa6e24f8defa46b0d280c',
+  '34294d6d0569dd439db63805ef50',
+  '2326928be3c51b846569eb7cca3d',
+  '7c7caf8f6b94b2a4f415fb41e307',
+  '598822ff0392dfe5e493c4b35623',
+  'aa8f3bd5561caac4d470a89c33ac',
+  'a65483c60a9529c139d3520bcdd1',
+  '64e3e41692e4007e73e9fd96016a',
+  '2b546049514171f60553a73ceaba',
+  '09f9090d7b8e28cf9d39a59381ad',
+  '3fa9293cf313088c3ebf12dac071',
+  '56949c361741bbd7d99edf5c556a',
+  'fed080760af27913b6646ee45c5f',
+  '065e52c0d7583aefde7704b516ff',
+  '432fee803ebe86ca6bf615e77cc9',
+  'e3dcab140f8ca1381409313c55f1',
+  '9f5d2ec962cd114aa99ec9abb22e',
+  '026d9f8ab7fe61fd0a15a6ab3975',
+  '3c417af26fe590c98613ac0aa6a8',
+  'e8d68068f90b6fe2ce20143c91a0',
+  '0db0c6681849f496b7d0791fa117',
+  '7bce906de7eff4b2ee46bd2b2cb0',
+  'c9e6219e84c07fc2b14bdb1f3474',
+  '18c273bfc74694461f90fdbf4fd0',
+  '4fd1d2e73a1941570f8953773c73',
+  '7ae7bf45dbac7f56b8d7d31a418f',
+  '289584c6bc1fdee34a0f7abe0c43',
+  'ac49ae30feab97d25ce7aea09b01',
+  'd103309e48bf678acf32fc03e633',
+  'c00cf8c306ad8a6bc8bdc9740844',
+  'a1867a221f1832a842cd176f4e8d',
+  '8d8d79f2d574e470e7eb8b7a399e',
+  '21c0772a6be12f30e68cf3b3765a',
+  '5ab898240c8be75f28430554b407',
+  '3da2b45fc32160fbe3fef9af219d',
+  'e6a9e1a3e581a2363f0f75c828d4',
+  '62bbaf1b54f26d2f7b8918d8043a',
+  '677798e054bb9d1c115fd9b23b6e',
+  'e99a5ac2b0ddff1543fa75eeb221',
+  'fe6c8adf7cb4290d673540edeb4f',
+  'afe751e05755e4a18bc57a5e3651',
+  '21c077de6be02f24e686f3b376b1',
+  '7e7920aaeab99f04b5230ed5a0f6',
+  'e02f06dc67d0aa10e35ad9a9f7db',
+  'eafc97fb155e8bc99da6e73d143d',
+  'f3d578580f4aa37b77702bf942cb',
+  '811fdd9dfee3a3bd09849bc093a7',
+  'aa5b9ca628958dcfded4c93fa30d',
+  '2e6ff48eaca4e62954a318019e71',
+  '70d53fac85139d9f1b780563ca93',
+  'bc4a2a478d2894901eefc159dc8e',
+  'd081b819060de668c5a2abd6f388',
+  '14e31d7e812a1b04c0fad5ab7697',
+  '75a51db6fb57708d10603c6cc344',
+  '4958b8c5c4b2fb4c6550b6ff1905',
+  '01a7847a1725d1ffc25a8d9f1f95',
+  '947a9d9b79771c499df8cde3cb0a',
+  'bc11beabfb0c637b93ecd08862ab',
+  '7756a695a5a8ac62825e49061d72',
+  'ffd9fccaebfb1bfb3204aea2d0d8',
+  '95d4bd1c1f5939b10b85b9019271',
+  '46dadfae748d71612ff533e5bc72',
+  'a41328b779dfdbf2b6e8b0e8b6fb',
+  '3ba2c797db9bcdbc83ede4edd5b3',
+  '6b0722f80f0f15098c7d9a9371bc',
+];
@@ -0,0 +1,305 @@
+// ========================================
+// Urdle — Answer List
+// ========================================
+// Curated, common 4-letter Urdu words that can be
+// picked as the daily answer, sealed (see seal.js) so
+// the answers cannot be read off the bundle. Seal a
+// word with `node scripts/seal-answers.js <word>`;
+// every answer must also be in words.js.
+//
+// ORDER MATTERS: this list is the daily schedule.
+// Puzzle N (days since LAUNCH_DATE in daily.js) gets
+// ANSWERS[N]. Only ever append new words at the end;
+// reordering or removing entries changes published
+// puzzles. Run `node scripts/schedule.js` to review.
+
+const ANSWERS = [
+  'fc638bf103d3a1ae3742',
+  '333909884d37f4978b7c',
+  'eba97027ec459be65e16',
+  '6e9e9c138dca91003a59',
+  '5350df3b2faa38a0e16c',
+  '84a36bb8a37be980db73',
+  '7290af9a71064c268d95',
+  '061207395846c7a50373',
+  'ee9f05c47311269ad08c',
+  '5485ecb7b169ba4cbedc',
+  'f3123ae5088b9542e0a0',
+  '4bc6ee6177bc3df3c64e',
+  'd9e9232228c864e6ed48',
+  'a2fe954d80968854825b',
+  '2e6ff40faca9e65d54a3',
+  '365d1f2954dbc5acdebd',
+  '6debd7b37acdc509820d',
+  'e1028785059d847e33c3',
+  '03b2e53ffeb033630ee2',
+  '8aa5c581b5df512cd7df',
+  'd75dd1c4e81dc104a971',
+  'c8718313ef526e704cc5',
+  '490692850ce3f7b3b7e8',
+  '6226f8f7c4e73e8a004d',
+  '9c22dbbcd50c96479004',
+  'fff566f8b10d37456ca2',
+  '7bfb39166bd4a0ab61d8',
+  'dff0e0f30ad07758bc9a',
+  '777695c02c657b7dd1ae',
+  '28d096eede06af4423c0',
+  '9cd937b2534e70318216',
+  'f36311ed0569b9736b3c',
+  'b2923fed9ebbc10db653',
+  '6d1357c2696cc09f7e80',
+  'eff34492a084b6525d16',
+  '913fc5404292646b54bb',
+  '6122a5ef92258b9ace19',
+  '48a54e4e84dfc738bebc',
+  '1a8f1762899d0ac0cee9',
+  '6062015d9fdc62348170',
+  '3cadcd041c5d618f4602',
+  'b7d9fd1e42004d4ca396',
+  'e7714bbe2c690cc78c3f',
+  'b9385323ef790ac107cc',
+  'f840b7c6fc2665f3f3c9',
+  'a380f6f4c385274adc7c',
+  'fa91ddb3db55bf9c54e9',
+  '48c3dc86c1720abbbaf7',
+  '45e2a135d29de31be385',
+  '4a4db6fef1a89f7d1b4c',
+  '7f64ed06a348934265d2',
+  'c0db1e232963532e7818',
+  'a5f17b35517e8f6fad1d',
+  '4bce05602a22347fc320',
+  '93bdaee593b7e1338ad4',
+  '4586d211d21a8a54e4d2',
+  'b7833c81a10c95adba34',
+  'f61a5944e8e53ecf6cb3',
+  '7618c84e56fac5519c8f',
+  '6d211da0358616350868',
+  '863564f7c5f69d948abf',
+  '5fe88526f3a037678a9d',
+  '5a2be31e73a835df8305',
+  '76c6618073fe0ae53841',
+  '43a8eb6ffff8548a358a',
+  'b96436f1973c8bf11fc3',
+  '8c8775572f8c18c62326',
+  '1df861922ea0b354f1b8',
+  '7084b61cf07f7b09bd2d',
+  '5adda5b0ff854c9e29bf',
+  'd0f3dc8640346bfffda2',
+  '5487a1736d74c885fcde',
+  '9e9c57e14896ed057593',
+  'ef4a85917c730474fc5b',
+  '0691595a32ab69de17cf',
+  '843d79af33f416fcf911',
+  'e926e9fe8ee1badda6cb',
+  'e78e8c54be680c1c5ab0',
+  'e842f098ba82cd9ed99a',
+  '9fafeaf3314a31ceb41d',
+  'ca77db9c9931acec6803',
+  '445e94876e819b747963',
+  'ef56238458df361cbe27',
+  '8594fd90e97276c17e30',
+  '8e364ec5fb13176e2432',
+  'e6971e1b1f13f08db43c',
+  '3cadcdef1cbb61fa46e9',
+  '532b87a177931fa2d707',
+  '45c5ac7512b64c266a5d',
+  '2c5194cef6fee122e7bf',
+  '8d749f011fcbfc8fbbb2',
+  '1234d74d42a61b644201',
+  '74b2b6ae9953d3c828be',
+  '127b7aa7f04b22d3f78a',
+  '066675d4abc7d9e0424e',
+  '4a86c08e143a42b4b477',
+  'beab416551084c06974b',
+  '5cf973171dd3c2e14cd3',
+  'c866667c4540186d75b8',
+  'cd2871fac0fdf0e2a3e8',
+  '37cc22a1093104e5a15b',
+  '9160f8e397b867f3b3cc',
+  'bef152752ba74a7019dc',
+  '02ca1f3da79632292eaf',
+  '919bdf1e81ecd9996419',
+  '502b9787c02f597b1a73',
+  '67fdecfb955bd71de036',
+  'fb27039a1fc563cddb45',
+  '5f99f703dcdb7c8bc386',
+  '84f345f0810ed5a6104f',
+  'ff96c1f7af8760f0cfae',
+  '3e235bc8571eed052cf2',
+  '5ff0a8115c22d4eb28db',
+  'b7b589f063257640989f',
+  'f0f7c35358aa6b0d18fb',
+  '6e694cda516deba09da4',
+  '8d1c588b425c349f139d',
+  '44cdf695e4ca9ec72c0e',
+  'b71f35339324afa95fca',
+  '1042c22ca04cba698d60',
+  'c0da841b298aa9845afa',
+  '37fb60c6eaf5c644db0c',
+  'bed919df72c18b8cc8d4',
+  '453e9bda44604eaa1e74',
+  '8a65349491aa99e583ce',
+  '19badcab72fb17bb979b',
+  '5bc706e39ea5df464788',
+  'a060a24300f754dd1e32',
+  '07c50d0f9f64019ff249',
+  'f0cf0c02938281d5e46a',
+  'bcbd2d023cb50d125f67',
+  'b8adb68364254cc78268',
+  '4444055d53dfbf20f381',
+  'c1e4a9419e5773e37245',
+  '45831fbb5862314aaf50',
+  '6164c9d9942f0cd32e9c',
+  '64606de98abd86f3b84b',
+  '47fa01bcfb27412a9040',
+  'f65c54ac9544b285c7f8',
+  '30851805a4274483c93b',
+  '0dbc4fe78b4b2b53f7ca',
+  '5b180e9130a7a57e0d6b',
+  '3229a0ac164bb8b6703f',
+  'd82be7a729de6452eaa2',
+  'a7e514cd1fb54f276fc6',
+  '7176c3dea564bc7cf063',
+  '6d1357df6991c09f7e80',
+  'ce22f2d80e5d31e70ee3',
+  'eede3c4224b709c4fdd4',
+  'bcdb92cd405cd317bffe',
+  '8dfbdaaa1f1424c55a9c',
+  '348c9ab10558a9708bea',
+  'd45e63e74b736015f18c',
+  '6fbc52ffda1b03255b93',
+  '3e4bc379cc09131aec94',
+  '484644248f587ec26306',
+  'd7a8960911dd32d09767',
+  '5464c22f0a6f53d8742d',
+  '3505bc20b9cf81001970',
+  'b4ceafbc1d8ccd3824d8',
+  'c13fb3efccfa5bdfa3e4',
+  '12beafa5245117265d1a',
+  '2391534650f243b81e57',
+  '02823043eeedfc85a2aa',
+  '122989392008e1456c63',
+  '7bf47ca7aad95d811e0c',
+  '89e7be776cd890ccf57a',
+  '77572b49a20a7654aa1b',
+  '633451e08b2e084f05b1',
+  '61185c77529609cc512f',
+  '0f8d1314aec09cdd7bd8',
+  '9bf1043e50ab4dfad3ea',
+  '8a0a7d756086473318dd',
+  'eb3697e384b26418a6a7',
+  '8dd27900094cb46ce1f0',
+  '8391bd94704fb646030e',
+  '1a13b5761b91238e384e',
+  '7a16bc4f4d7debf18297',
+  '51f03aa0eec53a563f88',
+  '9c34ce5685f9b58a101b',
+  'bbe1380d2555b6188b27',
+  'bed7a5c24a92f48a4046',
+  'f75415fb036d3877abc0',
+  '19df470e516f184c548c',
+  '8d5bf500eee33404c5d7',
+  '143657c7a0281abd76bd',
+  '5f7392e80c0e484dd143',
+  '29a45bd5ed0697876372',
+  'cc7f279e87e5e42ded69',
+  '10565ac54394433f9a66',
+  'd7781dfcb72b6d718aaa',
+  'cae5a3debf39dfcbfc88',
+  'd9ae9f5346959b9178ef',
+  '4b3fec4308f6d7e40c7f',
+  'f0e66daeec0a387b9fc4',
+  '859ab8013204953f8877',
+  '1abbc967f45ae01c1fbb',
+  '580889517f8cee4bba3d',
+  'f27ba89ead85d72f566b',
+  '976a9631e74f74d58271',
+  'c9f84d54808f65001260',
+  'b87497292ff646ab76e5',
+  'f6bdf478b0deef1b1907',
+  '6ec1deecd78b73f5c294',
+  '190b0ab7fa7f8be58c29',
+  '78c7a20fbd1c99285690',
+  '0533e75bdf53aaa7466e',
+  'acbff4228a475f5d551f',
+  'b36c2400ca1068d53e5e',
+  '5b28cc4cdfa5c99f5369',
+  'dc3872d1478bb291ed82',
+  '84602d69e256a2619ed6',
+  '6105ea2da0c52261d14f',
+  'a7fc1f452d4ec2bdf727',
+  'ca74beefd7f81508c0ce',
+  'ae7c2b710dd316a573e2',
+  '4f5f48b61f036dfb1ae6',
+  '989542a2cd7c4306a022',
+  '18131216b471c48d25c9',
+  'e8c81dbaee20ca4e8ea9',
+  'b994af58d980fe53938a',
+  '8dddef1d5a293346bc9e',
+  '10ee563f4932e03d6c7d',
+  '2ac38df3b34cb9ab6d92',
+  '9edb2c28a801bf4a1890',
+  '73b1d26fe4b551a258cc',
+  '5a9b76d9a0becf7401b4',
+  'acda054d3c4b0971faab',
+  'a4d8fe32bf3cc73dccf8',
+  'f6f8d9a58df142780d89',
+  'a1f6b59e5ac6da1342f7',
+  '7c95dc052de2842462c8',
+  '5ad0f9c549b3d582af5f',
+  '2993aa930b004a23dd58',
+  'e3347fa57e72b8dc3b93',
+  '6fb2cf25535e5e8dfa0b',
+  'e324ede64323b7441a6e',
+  'f6db04c70356a76e978a',
+  '228db5f7ce86f5a9d726',
+  '2d1ad90218334069a801',
+  'aba1414085d751cf0b55',
+  '46c396e54dd56d68eeaa',
+  '7a9be75fbcffc494680e',
+  '672e287f120fcfd92053',
+  'e2d673601fdafdcf0cc2',
+  '3381fcb63ef5bcbf0493',
+  'c1b9cb99f891be28b77b',
+  '4571671066edc5409c74',
+  '4ee6d0721c365e315ab0',
+  '6fc4e713c7f6198d74d6',
+  'b1c69583ce29bc18a510',
+  'e1372dcec5bddee9e9f2',
+  'c73f740868db04e13dc0',
+  '8c76c431e553b7e597af',
+  'd16ef45786ea61c8f727',
+  'a75c9c9cdc8d7bad1099',
+  '48a3cdff4d1307a5868b',
+  '010c47e37db5be220c14',
+  '18d2ad88b7c01d9c2f9d',
+  'b441073de174e13d6815',
+  '2ac9d75fc7e7b9489bf2',
+  '43e9184549b6d059ccd9',
+  '25919387d82ac0ff6418',
+  '86891e5f68e328adae07',
+  '72e5291c8ff68a31809c',
+  '897be8a173e7fc146d1d',
+  '99f9e96ae121cc9655e3',
+  'ff12d6ec8135aebd0a6b',
+  '5e3075ad59076c341534',
+  'a6e787f869ec9cb4efc2',
+  '22772df0e39314233cd2',
+  '0d30b9073fe7c208cea3',
+  '9e69ed490907286c4128',
+  '6d5a1c2b59c797accb0d',
+  '71741dfc18a31072bc0e',
+  'bf9d6972972c5067d43e',
+  '45d081f80fdba5badb83',
+  'f0a498e535bc04a9d118',
+  'be2202342ab0224688f9',
+  'cced7b4a44fd87e811e2',
+  'ce0e89565bad9344406f',
+  '7edc80d68566386245af',
+  'f93d6954789325c18fd7',
+  '6932a7afeb6bbf9d23fa',
+  'cffcc35f9f2fc9c9c62b',
+  'f334589786c3bb6047ba',
+  '2ddaa8225910126cfccd',
+  'ad0ca8f599d5da890e19',
+];
@@ -0,0 +1,61 @@
+// ========================================
+// Urdle — Archive
+// ========================================
+// Replays of past daily puzzles. Each archived game is
+// stored per puzzle number in its own section, apart from
+// today's daily lock and from the daily stats/streak.
+// Each word-length variant has its own archive.
+
+/**
+ * Load all archive games.
+ * Returns { [puzzle]: { attempts, gameOver, won, hardMode, hints } }.
+ */
+function loadArchive() {
+    return loadStore().archive[getVariantId()] || {};
+}
+
+/**
+ * Load the saved archive game for one puzzle (or null).
+ */
+function loadArchiveState(puzzle) {
+    return loadArchive()[puzzle] || null;
+}
+
+/**
+ * Save an archive game's progress.
+ */
+function saveArchiveState(puzzle, attempts, gameOver, won, hardMode, hints) {
+    updateStore((store) => {
+        const archive = store.archive[getVariantId()] || {};
+        archive[puzzle] = {
+            attempts: attempts, // array of guess strings
+            gameOver: gameOver,
+            won: won,
+            hardMode: !!hardMode,
+            hints: hints || [],
+        };
+        store.archive[getVariantId()] = archive;
+    });
+}
+
+/**
+ * Every past puzzle from launch up to yesterday, oldest first.
+ * Status is the original daily result if there is one, otherwise
+ * the finished archive replay: 'won' | 'lost' | 'unplayed'.
+ */
+function getArchiveEntries() {
+    const archive = loadArchive();
+    const daily = loadStats().results;
+    const entries = [];
+
+    for (let puzzle = 0; puzzle < getPuzzleNumber(); puzzle++) {
+        const replay = archive[puzzle] && archive[puzzle].gameOver ? archive[puzzle] : null;
+        const result = daily[puzzle] || replay;
+        entries.push({
+            puzzle: puzzle,
+            date: getDateForPuzzle(puzzle),
+            status: result ? (result.won ? 'won' : 'lost') : 'unplayed',
+        });
+    }
+    return entries;
+}
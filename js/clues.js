@@ -0,0 +1,1074 @@
+// ========================================
+// Urdle — Answer Clues
+// ========================================
+// Category clues for the 💡 hints ("جانور", "فعل", …), one per
+// answer of every variant. Like the glossary (glossary.js), each
+// clue is keyed by the answer's sealed code and sealed with the
+// word itself (sealNote() in seal.js), so only the sealed answer
+// can open it, as a hint that counts against the game's rules.
+// Print the line for a new answer with scripts/seal-clue.js;
+// scripts/lint-words.js checks every answer has one that opens to
+// a CLUE_CATEGORIES entry.
+
+// Every clue a note can open to, so a misspelt one stands out
+const CLUE_CATEGORIES = [
+    'جانور',
+    'پرندہ',
+    'کیڑا مکوڑا',
+    'پھل',
+    'سبزی',
+    'کھانے کی چیز',
+    'مٹھائی',
+    'مصالحہ',
+    'خشک میوہ',
+    'مشروب',
+    'ذائقہ',
+    'فصل',
+    'جسم کا حصہ',
+    'وجود',
+    'رشتہ دار',
+    'لوگ',
+    'انسان',
+    'پیشہ',
+    'فعل',
+    'متعلق فعل',
+    'رنگ',
+    'فن',
+    'صفت',
+    'احساس',
+    'خوبی',
+    'خامی',
+    'ذہن',
+    'کیفیت',
+    'تصور',
+    'وقت',
+    'زمانہ',
+    'دن',
+    'مہینہ',
+    'موسم',
+    'قدرت',
+    'جگہ',
+    'مقام',
+    'گھر کا حصہ',
+    'گھر کی چیز',
+    'برتن',
+    'گھر کا کام',
+    'لباس',
+    'کپڑا',
+    'زیور',
+    'سجاوٹ',
+    'سفر',
+    'سواری',
+    'کھیل',
+    'تفریح',
+    'کھلونا',
+    'مذہب',
+    'ادب',
+    'تعلیم',
+    'علم',
+    'پڑھنے لکھنے کی چیز',
+    'بات چیت',
+    'زبان',
+    'سننے کی چیز',
+    'سمت',
+    'عدد',
+    'پودا',
+    'اوزار',
+    'دھات',
+    'چیز',
+    'لین دین',
+    'ریاست',
+    'قانون',
+    'جنگ',
+    'تقریب',
+    'صحت',
+    'کہانی کا کردار',
+    'حرکت',
+];
+
+const ANSWER_CLUES = {
+    // 3 letters (answers-3.js)
+    '0f525f83fe919c8f': 'dd938fcf7be84c235a8262846ace4b28e782494a',
+    'df89284b15303351': '7fb81370367d',
+    'fb7be636b7252d5d': '845cd96a2410b3b2b2b66981e0c0f711af937e0cb4ae4a74',
+    'e172f7ab0832265e': '177f7d7a76a15e1b',
+    'ff59df99328a7303': '9e000df60647',
+    '4d434a679016a837': '026acf85dfdf96f133c33ed46b18',
+    '4eb30970dd3f81f7': '1fdd5070cc665033fccb',
+    '4d7e96d4ca213a5a': '2f5186754620225b7b5636481d1c2ec6',
+    'eea406d31aed5ae3': 'bbd021d0eb6179bd120630374424645840f966b82d7849d4',
+    '442c6279c45a7c7f': '4480202921e4093d3c05cec63553',
+    '61f20176ab180692': '6b135d3714b0',
+    '0ea97b6794f808d6': 'b97d3ab3319c',
+    '06c3bc4e507dcc31': 'b5ac5060a37c',
+    '0eb6be7505984f38': 'aa2021229fda',
+    '23e499866f6f2bf0': '7613030229b2a871500f0d9bd2ca92c48bf47f06c3634b2a',
+    '0a6800fb5f51ff2c': '4cfbf498ec2e',
+    '0d9b8bdba734dd16': '33d8015a2dbba3f4d475',
+    '0f70f11a0e5f74fd': 'e6e241c0ad2ae968e20f',
+    'f03d6aee4ef4bab7': 'ee91379cd04b63e3',
+    'd467b5abecc93e3f': '510a7def39978734553306cb5e1c9c68bbf80bcd0c1b5cea',
+    '521d60c6306345a1': '7c175915',
+    'de57f6317e667cb3': '32d615dbc666dbd0fd7f',
+    'f5378acb29e72435': '63487779d160f14af977',
+    'e2e8a478531d0e47': '86fe09b3ce38fdcd4ab6',
+    '25a069132f17621b': 'fa816df1d3a19571dbaada6efc4544a53b121ff81f483dcc0b38ea9d',
+    'df4bbe1dbb82c649': 'deeb76a71e7435aceca39a1958741292be267409',
+    '45f6ead04e9b3a40': '47f6d0258bbc',
+    '0e45514df912c041': '72488e5effd35bb6c362',
+    '11d046ea711f8ad7': 'e8bfcbcde24c30858d407c2bb39aa0e464c8bed6',
+    '03323e384890cee5': 'ea38509e187714f5edc3',
+    '58602449479a2dda': '49a7e44859571a92',
+    'fc872dccfeff7656': '8b85ca0d541a',
+    '2462a0c31ac55204': '3c556978b25a9c30f0b8',
+    '43a098fb71ed4acc': '5ef60e2f60d60b0623600f6e816447d87569ba5d',
+    '0a83bc12ac1e456b': 'dda5329537e70178b0c0',
+    '4f3be4883cc29678': '029494c7ec62',
+    'ec9eb42ed0132e6a': 'b0217262dda1e052',
+    '4e1c2b389591d0f3': 'dbca44811788a2886bc9',
+    'd9782ec58342854b': 'b49ebb1d8674bb6c785c',
+    'fbbb89461bc0227d': 'e9359f38b6f37adda9da48df69cdca956dbbc7f5',
+    '063c7766078a530b': '718648f8',
+    'c5719f0f14f06783': '6f1fb5bc86af5840ee9b43b33fa8ecaf78e091cf',
+    'cc4a8c45d66b5cef': '0c906668cf0a257ab9f7',
+    '02e86e15314e159d': 'f711dacdb0aa2d97f1bb43d4507049edb8f96f5e',
+    '20dc9cff38451a18': 'a58236e1ddd4',
+    '12b68229facc977b': '0c3cd122f608c0142564a1c6df94e6b1c5a84ae1',
+    '5c6840e45e7450a4': 'cc0b3cdbe9af033278a4',
+    'e5276ab0ee5f6560': '0617c74a097742c01fde',
+    '229fc8db5bab5902': '7f6100316f26dab036b5',
+    '1d78730f39fa06a3': '7d018a6487d9745d5c44',
+    'e2b27a465c5fa595': '05a15b137c6d6e18',
+    'f40f2ddde549389b': '95e03588418ac4fc8c62',
+    '0f718d21bd9f46fc': '15ee917b7fb136d3',
+    'fb8d975be7b229a6': '7003ac308a5f',
+    '249dba71a90936c3': 'add10caa7afd',
+    '03733c4e59e065cf': '4d6877131f13',
+    '5c56abc098c16f75': '4ba2c62f004117f0',
+    '542b247203a23407': '60af24fa854158a5386a5dc0eb2353767adc851b',
+    'e10ce71a98559d01': '93530cba0b2f',
+    '28f95463b671dc63': '8bdfba469c627f2f2e0e',
+    '4c954a4e99b17fc5': '24fcb0616dfcf8e1',
+    'e1048f3d8e801c9b': '5d9d869718d1791ad632',
+    'ed345ddf39e7c8c1': 'd43f1c2fa6ee',
+    'c9511386a85b1976': '42c228fa9830bd0409eb',
+    '49f3a2897dfbf138': '187ec59b7494d6ec32e11ae930ae',
+    '51cc4f3921e90363': 'f95f4d08b1db',
+    '0fca38fe68702132': '1b16d450d31b1816',
+    'f7a00635f058b5b3': '71f8491c66d98fd0e1468555b21f',
+    '0bb065c61fc3fce3': 'e765062da415d41db640',
+    '542b24b003653465': '9f69002f04b82c1dd16621dd',
+    '0e4ddac9a14da54e': '0c446023ed2fde09',
+    '0ac3baf0fccc7253': 'e0d2407915164778',
+    'e49c66a3641d9411': 'f06a5192d6fe2acc15e20b5b9fe425fa3530029b59d4ce1a1c99b5b8',
+    '0b895c8aab547a90': '07b1aab7abfb',
+    '0e29adee1ac389e4': '8cc2516240d94835',
+    '53cbd2a969e13da8': 'd4c6b91fd26f',
+    'de28ee1ce9958571': '47fde312773b0020',
+    '02c45befd428dcdf': '32f5997bf4444769ef5bba029799',
+    '40aa898e66a3a0a7': '151944d23948d0a4',
+    'e0fc498f6db41894': '074f8941ac2417ba75b4',
+    '3fdc762a6c2991dc': '6af18655a7b2fddd4456',
+    '4a3f2d0c91a5937f': '095cf966a35aaadf',
+    '4f32926692524dc5': '10da3f1cd2db',
+    '4f36d1f96c6dbc42': 'be65b6f31487ace51c32',
+    'efd43dc97fb660b4': '4b4c5d36',
+    '52e239c3733cb83f': '34a42fa22f7a',
+    '1ab38dee59c6891f': '0543355865e80e45a704219b7ce4',
+    '4ea4421459480f34': 'f85de91025bb',
+    'ec5c0d2da4dacff6': '39a918eb60ad17e3',
+    '57c56ea8cb20482f': '8d498125b48bf5e9',
+    '3f5c9210a8317bb0': '9cedfd57f80c',
+    'f03ca2024b6d0f5d': '53f8d8bd20bda61ed4a1',
+    '0791141bc3295245': '1adb39ea90d4',
+    '51f657e555f5e457': '2d29d9787416e8320f3a',
+    '24bc0e50eaab1efd': 'd4375633becee95e',
+    'c8ec3ff0b69968b9': '2dedda2305649df47c7326ef311ffac1cac38c9b',
+    '4e1a7c2a878c3034': '869bc86db130628b6ee3c6c40087',
+    'ff042aff998c533a': '432278ffbdc780d5',
+    '20ac81c8a69cf040': '7b59bf0e1dcff49d8f3b',
+    '1f71c70d7c7171b2': '3e506f1e923f3253',
+    'f77ccb1a6a31ee19': 'bad51c3d16bc7a32cf34f3fc2844178c38e31655',
+    'fc9a17c5470982c8': '30adb905bbfb',
+    'ff4fcc1a5f679ba2': '4201d9579c47',
+    '38327ad4aced03cd': 'f9ef0436b8efa2ad70c6631a60b22c71ce91e220',
+    '525885145969a4db': '769014ac82e803645e2e95f2545768d53a9d1ea2',
+    'c54aaa15c90b926c': '01174420d6c6',
+    'f8919a0d503f31db': '93485d7b59d9896a',
+    'dd3a33cb6eabaa42': 'f1c877505c0b',
+    '237ac2ea947ed8e0': '44ffc33a5a6bcf0f',
+    'c5bf2f1b38ab3b76': '871ec2c86f483ae1765b',
+    '48ae4e7589384f02': 'a30444abc77d',
+    '4df7c98a713939cd': '95841e97eed0',
+    '0a95c604d36aa062': 'f2ac9e98255eb8d1e822',
+    'f3da0eae561397ec': 'a1de0815310dfdc7b5161471dccaec07',
+    '521a795a9536e954': '816925982f45',
+    '1e408062532937ff': '9a38af1e2649fd42140c',
+    '0e823040e855b734': 'c93a60caa65276645640f98798faccaac19476940c3dd74a',
+    'e28067675e6c7e02': '739a3335',
+    '1546182aeb73327c': '3096855dda1a4d04f398',
+    'f577dfff7ee30475': '99ab67fa6be7ba73',
+    '10543a1a7c2a3854': 'c48252e19b49',
+    'fc987386af6aa7e2': '6e09d8e32f9f',
+    '21307cf91815b8a2': 'c8d2f06d214f',
+    '429a6d2fc99a1c01': 'a27fc9f2',
+    '12360b5ba016a4e0': '2a817cd01f90772264ab',
+    'f3fd34812136d4a0': '4f3b6b86e2b4024842b7',
+    'cb8fc3717b10cd72': '7f6d2fab06ee',
+    '45fec5f2e5c12547': '572ff2a16183e714',
+    '26fe3d83a2f6c3cb': '14e3977ebc0e06a375b3',
+    '11e25a5d0a04febc': 'd8747a684545',
+    '0b3726186942e4d2': '4e975dd32a10',
+    '028e9e1fdf30952d': 'e71ca5beb291c4c17a7a',
+    '0106760231770c0c': 'ecd04e2fb1d1e1fa',
+    'fd6ad1bc2063840f': '9f9addaaa30a76be',
+    'fb7a5716193a6c52': '8552d7f35b3f7aec164b87ba1dc2',
+    '120551284174c908': '9da460ec8076043df45ea4dfc38d3a9935afb3f8fe8d',
+    'f44230f34035772d': 'f0fabe1fdde3bcf6e8a8',
+    'ee3b89aba5f73687': '6db3ed50c168',
+    '17b3944371b7403b': '98577827fe3c',
+    '0a4644f2eb895bbc': '9e6cc322',
+    '4a59d5e83ef013b1': 'c16b39299bd2',
+    '51a92a36a3ba3f8d': 'c21c440345e2a3c43d6b',
+    '42fda6f3ee929c9b': 'd47db55746f6',
+    '136a0303fd3ea013': '807d670f7695',
+    '12d5eaf0ba711a5d': 'db4fb1f688234ac9e9f5b47681d4a191d7e154e4e1f4',
+    'fcb5d43e07d9c390': 'dd28733dad8a',
+    '02ccc1cd05980b17': '6f1206b48894',
+    'f51ffe8a2cd2504a': '05fb2d27e3237ddf',
+    '0bbcf6d85a5eef7b': '79afabd71c67c9e4e3b7',
+    '51e03a32f25a9857': 'b8c0394a9f0f',
+    '0bd201a47225081e': 'e83b2890cb1a',
+    '27fa3e4b458dfa26': 'd76ff15006598f61fa967eea2c72ebb7b5636860',
+    '0f4c38f69d030526': 'ae7fc7448ab2',
+    'f189ad2a7795a8b2': '24967c4f67b0c0ae',
+    '1ab007d83f5ce04a': '4a8e0d16a6ae3e16dab2',
+    'dfeece94c4f29578': 'bc8feb452e8c',
+    'f0c59b42343dc596': '52b9848908f42d577877c7daf4860736e255a26e',
+    '65a727429577382f': '0829652a8835aa5a',
+    '55ef94552f9053ce': 'fe42c7e39057bf8a474469c3ba49',
+    'ecc49b020222e01e': 'b1e77a591caf',
+    '22298736489655f0': '1ef7ed7d5bc4a595',
+    '16f1c9faa6a5afaa': '5f378dbd00e0',
+    '4f62dbe652280d0c': '3832b122cb4e1bf601d3fb18',
+    '16d765d0ba9dd849': 'ade3cf887f00ca88',
+    'f7bbe6575ac6b786': '3be344e1c7e0',
+    'f1a92837adab75d3': '2515752519043921a326',
+    '2334fd718c6d7082': '271c3d49ef2cdc436941',
+    '365d1f965424c5c2': '2e5eb69c4e7886ed379091e770350c23a7f85660a174dc03',
+    'f50adda0f48948ac': 'aa39d4376e5c1e66f469',
+    '51f133f1610de4d4': '0a9d1d4410f8bc4f',
+    'e132a934b71011b8': '7fbeb37c99ab308a7392cb5f6a3faf0ef9d85b93',
+    'fb75dce25d9fb7fa': 'f38560165599f5394ccd',
+    '37fa04f1afaaa4b7': '73c16dd142f48db9efaa3bd60d0847b2d6f66f7a',
+    '4e6050e790d5000e': 'fac44537a98362930ff37f24b44931c9',
+    'dbf54891aa603c9c': '7a98b10055a21c7c0fa39eeccb0a9fa0cd0b831a',
+    'fbb0ce557b07f309': 'ccf4606c232f955e3665',
+    'e8986601e9adc040': '5605e0ecbb5c2698',
+    '51d80d6510987dd7': '0d8af00a90956a69cf2d20302e32cb552b6ecece',
+    '2bdf66aef9c4a086': 'a6cc76edc0af99bc8b4b351d9db08e68b6eeeaa3',
+    '0e2a726eb05eb8b5': '021279f7a9e5',
+    '55d283458466d721': '38dc57945fcdeaab73313594',
+    'c67ba89b4b37b4e8': 'db55c6f17d90a8a4',
+    '233685fc41e12e21': '12fb9903c8b156c4',
+    'f60eb1a9e2a7d215': '6b1334700212',
+    '02ce33da0644eef2': 'cb692fc471555a4cb1d1',
+    'e11c0d625be1b32d': 'a7a7b29b7e08ab83',
+    'f3c74831602e427e': 'e7e18ce66dc65bb3',
+    '45be4e768cfb3730': '7ee0620d97f7b2dbda56a555cd3556b8e7010aa524fd7e9e',
+    '06ce66feb7717b5a': 'b3be5562da7f48d9',
+    '51f2a47fb452a9a4': '30a99ab0dd71adf6f4ca',
+    '0f73ebb5f3b3a7c3': 'edb8946441eb16ea6a459d5f825e15e3906e8c37d015ae449a494472',
+    '0702582764a5df38': '8c97871b',
+    '52307e59994caa43': '0a528fe2df765a7a745bfd5c19f3e2782b2f35c6',
+    '20ef243835b979de': 'ea0ae34371b8',
+    '4e67003abc6bee92': 'ba440cbd91c4',
+    '535bdf2d82d7da9c': '3b2b0420ed638f95',
+    '4f220076c5b5c4c7': '637492cc8fd9418ec9dc',
+    'e24f7ced40b7a240': '650929d8487da7b4',
+    '561927f717376206': 'd083e54547bf55ced7f2',
+    '61f3f8452309e312': 'a87351ee3d056075ab414d14643bafd70ece75a9',
+    'f083ad2b98153f10': '3a1886bd4c8fff3e839c',
+    'c57edd7ce70a9d5d': '1c85511d247875fd',
+    '261479785348938a': '28cf56482d6a',
+    '1e578c94e4a77551': '24afc52ed60e',
+    '55b7755bc2ccf11f': 'a06392f951bb8ce8',
+    'e21d942ef113e408': 'bdb9167e622eb55e8121e0282544b4dfe94be9d2',
+    '0410a8f1f48d97ad': '3310cad4f6a6e3a2',
+    '1a8f17ff89170ade': 'a8bd4b5522451f9c484b',
+    '28bb4f1dc5cb1c97': '50da3b8e1d6b',
+    '2377f4d8b7b3557d': 'f18951d8516e',
+    '04f2aabfb56a22f8': 'f746c7bed5f1',
+    '242279229527ff8b': '1d6098c938a3d69b',
+    'ed3997d365e86947': 'e895da6d8cdc',
+    '0e0347e1c59b0840': '9b04d131479f6c12',
+    '4c25c71b68d8e5a1': '91aecaab1a392506f720',
+    'f3808d309bcfd405': 'd7cf2baf007bbf7a446bc31534d5c4b31a5157e2',
+    '561ce245507d338d': '78a54c3b23dfd2afd3f21dd47e2416804880e475524313d6',
+    'd785f4d00d1a0814': 'e86eed14d41b8cd5b775e65973af3726a42e49db',
+    '20da4144c2dc0297': '478649ef7be70d37c0ec671a971a9021cf94f627cf0e3728',
+    '421a2a8ea2b18b83': '410c3d24b3cc5eed',
+    '644eb9bdb2917b47': '307564285d36',
+    '34c415d5242fa62e': '12ae46d43f525402b780',
+    'f03ee6965f50d5a8': 'e6ffb7248acd',
+    '48ac63550c2c9cb2': '73ddd657adfd',
+    'fd3d43f6bfef8242': '8798d4bea9949c3a0c409ea00c5ca48d1d8d5e60',
+    '465bffaeafe1e249': '3195fe2d5bb0440cd6c4510793e04b9070a5a0cf35c84c8889f0bba788aabadbb37779d9',
+    '2201cda5e248cb4f': 'f68308cd58e022db7351',
+    'ce31c2151c917080': '2d8ab355e102b766',
+    '043c1eb3d78b1720': '194d181a942c176e676b',
+    '44f67e37868a9085': 'f542c70cf00f',
+    '51dcc74ccd74f59d': '6c0dc5a2a340cbc52403bfa0ad90',
+    '51dd25bdb35a4e3b': '73567ba454d5411b6bdb5267166152bea2102ce87c1c52fa',
+    '231c03335a0cbe0a': 'c71b07c19e12c5b7',
+    // 4 letters (answers.js)
+    'fc638bf103d3a1ae3742': '8c0fb0e0e938',
+    '333909884d37f4978b7c': '89b63e69494ae31f',
+    'eba97027ec459be65e16': 'b57bb02eda5fcdee21561c4b6e239f0c48c878db',
+    '6e9e9c138dca91003a59': '72b27acfebb54a3ec47ef464',
+    '5350df3b2faa38a0e16c': '36454e72da8d4378c5de',
+    '84a36bb8a37be980db73': '050d40a10150741c',
+    '7290af9a71064c268d95': '0e5844e15b87',
+    '061207395846c7a50373': '8c01c875de6556e76bec9713aada8f9639b69aa67864086f',
+    'ee9f05c47311269ad08c': '554832bd9f58',
+    '5485ecb7b169ba4cbedc': '64eeb977252454048bde',
+    'f3123ae5088b9542e0a0': 'f9aae6cc30909088',
+    '4bc6ee6177bc3df3c64e': '8c506aac83cc',
+    'd9e9232228c864e6ed48': '3c677d25dee5e5d5',
+    'a2fe954d80968854825b': '2524e3b0b2442921',
+    '2e6ff40faca9e65d54a3': '7200757e29bc0bf4',
+    '365d1f2954dbc5acdebd': 'e751a6320b9d',
+    '6debd7b37acdc509820d': 'a8268e0643109425',
+    'e1028785059d847e33c3': 'd644f103a21c197b98ae500d293a661f15c55fc43d374aa1',
+    '03b2e53ffeb033630ee2': 'a6ae21fbaece57ea3fb89559fec121377db1',
+    '8aa5c581b5df512cd7df': '51e33e62d69a4f21',
+    'd75dd1c4e81dc104a971': 'ed63be47e1c53e7ac478ba91639297e2f29200bc',
+    'c8718313ef526e704cc5': '0691c82689e06d608fec5b0ad880',
+    '490692850ce3f7b3b7e8': '411c1a7fe906f320dfbbfd6f1b512658a403bb4f6fe80b63',
+    '6226f8f7c4e73e8a004d': '199f91ee66bb5504dcb35a67fa8b356a00af',
+    '9c22dbbcd50c96479004': '6df9d3cb1209',
+    'fff566f8b10d37456ca2': '591145c81fb83764',
+    '7bfb39166bd4a0ab61d8': '153ceb0e2a409940',
+    'dff0e0f30ad07758bc9a': 'e353e1bce22c',
+    '777695c02c657b7dd1ae': 'aace20f59e60d47d83e3',
+    '28d096eede06af4423c0': '8bae923a8b31edb4',
+    '9cd937b2534e70318216': '6a0ea7a64b6f',
+    'f36311ed0569b9736b3c': '543e1ee08b98c4a001cc11dd',
+    'b2923fed9ebbc10db653': '9a0e4764bf04',
+    '6d1357c2696cc09f7e80': '4803a6ea79c4',
+    'eff34492a084b6525d16': '33ce06182f4f6d436349caaea1cebe1c',
+    '913fc5404292646b54bb': '649544ec1bbf26e3',
+    '6122a5ef92258b9ace19': 'd105241d119a',
+    '48a54e4e84dfc738bebc': 'b85433a99b6bde3dd051',
+    '1a8f1762899d0ac0cee9': '9c7567c5c968',
+    '6062015d9fdc62348170': 'fd7fceb5b51b8df2',
+    '3cadcd041c5d618f4602': '0e5bf58aa3136dd4',
+    'b7d9fd1e42004d4ca396': '43b0786427b3',
+    'e7714bbe2c690cc78c3f': '275d72b4f080',
+    'b9385323ef790ac107cc': 'fdc889b61cc3',
+    'f840b7c6fc2665f3f3c9': '0d24b347e164',
+    'a380f6f4c385274adc7c': '31eaba2160b4df93',
+    'fa91ddb3db55bf9c54e9': 'a4c5a6097987',
+    '48c3dc86c1720abbbaf7': '034f9776ac95a8ec1c9085de02a0c2176ffd0c2253a67bf0b39e5342d5b21e56c537ab1b',
+    '45e2a135d29de31be385': '09e5e08850329efb',
+    '4a4db6fef1a89f7d1b4c': '2f8720be5f6c',
+    '7f64ed06a348934265d2': 'a3e14b114e8b',
+    'c0db1e232963532e7818': '94718829ced75ed154e51fd26948',
+    'a5f17b35517e8f6fad1d': '26abdf01f9dc',
+    '4bce05602a22347fc320': '9d3778a6b424abeecf92005857660573',
+    '93bdaee593b7e1338ad4': '43420871290c4a2c7562',
+    '4586d211d21a8a54e4d2': '973d656d2852d643',
+    'b7833c81a10c95adba34': '6f04fa9136da',
+    'f61a5944e8e53ecf6cb3': '55579d2f5d0fd62a',
+    '7618c84e56fac5519c8f': 'e1a4caa334a17c3b',
+    '6d211da0358616350868': '0976fe7780169b9bd13fbebf3083cd3173052a01',
+    '863564f7c5f69d948abf': '7da5bb7110de7c31b834',
+    '5fe88526f3a037678a9d': '62650faca8d5c04d',
+    '5a2be31e73a835df8305': '4290f7ecbd8cafc686d39cde78ce1819f8ac',
+    '76c6618073fe0ae53841': 'bae9da4c77efd5089b674d63c4242f4c3cccdc7c7dea2e327474034f038f363e099f6c4b',
+    '43a8eb6ffff8548a358a': '9d5534ee6cdca12aa316',
+    'b96436f1973c8bf11fc3': '4dd71103d361680e504c',
+    '8c8775572f8c18c62326': 'dce7ded68f7d6f27b0ce',
+    '1df861922ea0b354f1b8': '421821580cda988a',
+    '7084b61cf07f7b09bd2d': '02cc2a539df5',
+    '5adda5b0ff854c9e29bf': '038753139f78',
+    'd0f3dc8640346bfffda2': '736b09a54aa9263c60906a9c55dfb1b3f761a6b9',
+    '5487a1736d74c885fcde': '31150007894a',
+    '9e9c57e14896ed057593': '98d8332c01c06be2',
+    'ef4a85917c730474fc5b': '1f9b278efe3ae9385d4b934f7863ff0af88fea5fa833546638284c3b6f2a0159112239a8',
+    '0691595a32ab69de17cf': '04f487345a7065766119454b69a50b71',
+    '843d79af33f416fcf911': '325f6148a7255481db6f05156e73',
+    'e926e9fe8ee1badda6cb': 'b69a8080483a82101a1b2ac0deaeab5f74593dfe',
+    'e78e8c54be680c1c5ab0': '8044ed78e1430c5954ee1422fbaa460b9597d927',
+    'e842f098ba82cd9ed99a': '75771fd4f418',
+    '9fafeaf3314a31ceb41d': 'b6747c4164a9d26ce37a',
+    'ca77db9c9931acec6803': '4336bba0e83683288926',
+    '445e94876e819b747963': '2b775f4e',
+    'ef56238458df361cbe27': '9902e719bc2988061c627546f1d040ec',
+    '8594fd90e97276c17e30': '915c11665e6d23f23eae0124ebfc795ab3b0ba105e185981',
+    '8e364ec5fb13176e2432': '3c715f0804e5ad3e',
+    'e6971e1b1f13f08db43c': 'e1f72f93ae4b923a2bd2',
+    '3cadcdef1cbb61fa46e9': '12feb9c28c29087aff82f153ca0ac29e4a304e4f',
+    '532b87a177931fa2d707': '5acfac305c63f71a',
+    '45c5ac7512b64c266a5d': '2ae4297c7ca2a25592c9e28ff02d972f3552',
+    '2c5194cef6fee122e7bf': 'd89f9232b74d1773a58d363a4942',
+    '8d749f011fcbfc8fbbb2': 'a1df5fb12d1b',
+    '1234d74d42a61b644201': 'd735ec05b188f23d',
+    '74b2b6ae9953d3c828be': '56892c0bb8fe345aef0e65331dd1fbaa',
+    '127b7aa7f04b22d3f78a': '48706c3175fafee8777c3792f4e749d01d8acd4b',
+    '066675d4abc7d9e0424e': '4a6294d11430',
+    '4a86c08e143a42b4b477': '6aad85d7b08bf3d6',
+    'beab416551084c06974b': '31f07259eaf87a5fd641',
+    '5cf973171dd3c2e14cd3': '948971f66d93',
+    'c866667c4540186d75b8': '097d761894e1e99c',
+    'cd2871fac0fdf0e2a3e8': 'f43cf43391ce2c69',
+    '37cc22a1093104e5a15b': 'dcdee42511e16a3deccb',
+    '9160f8e397b867f3b3cc': '7f97663f3407',
+    'bef152752ba74a7019dc': '0367e0754dedc4a50d276e7c00a89516',
+    '02ca1f3da79632292eaf': '658e20c1d23c5a03870e43c7c175a3a95c351bb3',
+    '919bdf1e81ecd9996419': '4e0aac32b59586a7e0ce63b39727',
+    '502b9787c02f597b1a73': '1a19810b740fbe21',
+    '67fdecfb955bd71de036': 'cdbd3e9a6bd802b9',
+    'fb27039a1fc563cddb45': 'f6741d80',
+    '5f99f703dcdb7c8bc386': 'a03dbeda44da',
+    '84f345f0810ed5a6104f': '0107c3168ab672f93d6569fc616a3ee05f16',
+    'ff96c1f7af8760f0cfae': '0c0b570ce09a92b8f0bc07d7',
+    '3e235bc8571eed052cf2': '9ce6611a14d7bea9',
+    '5ff0a8115c22d4eb28db': 'e7b36b562164',
+    'b7b589f063257640989f': '6895428442d4',
+    'f0f7c35358aa6b0d18fb': '49232bc6bc1e',
+    '6e694cda516deba09da4': '5b445ba0e2a58bfcf3de',
+    '8d1c588b425c349f139d': 'fa3b275656c4',
+    '44cdf695e4ca9ec72c0e': 'd0312e5f8ba1',
+    'b71f35339324afa95fca': '406c6e28777ebe869d1bf139105e774134a5aa55',
+    '1042c22ca04cba698d60': '462590c8b2b851d603c813bb',
+    'c0da841b298aa9845afa': 'f31bdc64a41ba63b',
+    '37fb60c6eaf5c644db0c': 'f2aa9f2605f363c0a63c4e12',
+    'bed919df72c18b8cc8d4': '49a7dc436db363f71a2b',
+    '453e9bda44604eaa1e74': '4ea4d05b0725878d11a60fb5',
+    '8a65349491aa99e583ce': 'ef7a28919cec8148a284',
+    '19badcab72fb17bb979b': '8e0a6e5b226f',
+    '5bc706e39ea5df464788': '45a27ae0d93a',
+    'a060a24300f754dd1e32': '2a11908b9381',
+    '07c50d0f9f64019ff249': 'a0a774b69b66f778',
+    'f0cf0c02938281d5e46a': 'fa39551dc725df1192c6',
+    'bcbd2d023cb50d125f67': 'c6f03e395f08',
+    'b8adb68364254cc78268': 'b12c5821a7e4ab7a759d52dd35474c759f39',
+    '4444055d53dfbf20f381': '5a4643cb26beecd2',
+    'c1e4a9419e5773e37245': '260f3028157e1ea31ddde604b7b3',
+    '45831fbb5862314aaf50': 'ba32f4b34f20',
+    '6164c9d9942f0cd32e9c': '40f93ff75a0cd331c51a',
+    '64606de98abd86f3b84b': '36fee0510e1989f3',
+    '47fa01bcfb27412a9040': 'cd23e0b52c97fe1ea507e599d57d3273f3af21c4',
+    'f65c54ac9544b285c7f8': '6c70b0716d4c686ac4ada7e4897c0dc771ef54891b85e15fa5e0abf30eed6d69381479fc',
+    '30851805a4274483c93b': '5b910267810b2d6dd3e74712db2717f54694dd44',
+    '0dbc4fe78b4b2b53f7ca': '8067b8207ba96c738cb8',
+    '5b180e9130a7a57e0d6b': 'be73c3fc2ad119b5',
+    '3229a0ac164bb8b6703f': '2e5c8f59d7c0',
+    'd82be7a729de6452eaa2': 'fa622afb7ff7',
+    'a7e514cd1fb54f276fc6': '485290acafe47341974c',
+    '7176c3dea564bc7cf063': 'a0f2bb40371ce7362c9c8d30fefffe530a6dcdbb',
+    '6d1357df6991c09f7e80': '481ca66979220c851fdd',
+    'ce22f2d80e5d31e70ee3': '1cb10e89243d',
+    'eede3c4224b709c4fdd4': '8cb9de14f2ac2e3461fdb8f018b8c90fbd3b61d27d0c9d4c',
+    'bcdb92cd405cd317bffe': 'e05abf3fc559',
+    '8dfbdaaa1f1424c55a9c': 'a7b292d2551a9ca2',
+    '348c9ab10558a9708bea': '60497b7665da6cec808bfa7fef1e3814833bc0e05bbe813c',
+    'd45e63e74b736015f18c': '83079093cca5',
+    '6fbc52ffda1b03255b93': '7a2fb5353936',
+    '3e4bc379cc09131aec94': '7011d1a0f28f8852',
+    '484644248f587ec26306': '3ef2e2d2c21dfe99d2f651b06442a84558e5c9c5',
+    'd7a8960911dd32d09767': '624180b6ead169418316',
+    '5464c22f0a6f53d8742d': 'd7b59183f1e1d37d',
+    '3505bc20b9cf81001970': 'a5b68df53a212532',
+    'b4ceafbc1d8ccd3824d8': 'a0b93c3bc8328412c90898f4080efe8f',
+    'c13fb3efccfa5bdfa3e4': '9f3acfa47bbb',
+    '12beafa5245117265d1a': 'be5408e26dcf488c5d656c4f1b436a6fb66ab44a',
+    '2391534650f243b81e57': 'c09c9fce7c5c0c319e78',
+    '02823043eeedfc85a2aa': '7416c5147f3b27aad186',
+    '122989392008e1456c63': '16e3f1d1cd74',
+    '7bf47ca7aad95d811e0c': '6783c6139e7e',
+    '89e7be776cd890ccf57a': '8f1d33a9',
+    '77572b49a20a7654aa1b': '286c82e2d28ba8085e8ea9b156b29f36',
+    '633451e08b2e084f05b1': 'efb88432cf5a',
+    '61185c77529609cc512f': '5cf2de826b27b2eeb7e9',
+    '0f8d1314aec09cdd7bd8': '793257cbdfd382f0b5cd74eee42a9369',
+    '9bf1043e50ab4dfad3ea': '49aa17ea8bd3bf6d',
+    '8a0a7d756086473318dd': 'e7f50ce05766ce3a7190',
+    'eb3697e384b26418a6a7': 'a1a1f1fed0ca61ad',
+    '8dd27900094cb46ce1f0': '5aeecc575ce0c150',
+    '8391bd94704fb646030e': '2c28119b9b6e9aa85a4a',
+    '1a13b5761b91238e384e': '86d103665346a72a',
+    '7a16bc4f4d7debf18297': '082ad1fc76c8',
+    '51f03aa0eec53a563f88': '11ec5938449bf0f05c80daa8c89314fa893529f3',
+    '9c34ce5685f9b58a101b': '3f0ffa186fea3842',
+    'bbe1380d2555b6188b27': 'ba8fc15ec45cfaa62d31',
+    'bed7a5c24a92f48a4046': '3d03b58e1d61',
+    'f75415fb036d3877abc0': '2a24f33641a1',
+    '19df470e516f184c548c': 'c2b4578dc6c4',
+    '8d5bf500eee33404c5d7': '8f6feeaa3351',
+    '143657c7a0281abd76bd': 'fc26f1c49952b0ce',
+    '5f7392e80c0e484dd143': 'c6fa84dacb5390ebf2a27190b99fffa8110bcac1',
+    '29a45bd5ed0697876372': '072ce846dff7',
+    'cc7f279e87e5e42ded69': '505615c3d4c5e3953451b6972d6aefe6ec8f',
+    '10565ac54394433f9a66': 'b43f826073c8',
+    'd7781dfcb72b6d718aaa': '8061146aeef3c658e4ad06c87f5218eb',
+    'cae5a3debf39dfcbfc88': '8cc744823cc5d443',
+    'd9ae9f5346959b9178ef': 'aab7af16e85ac706',
+    '4b3fec4308f6d7e40c7f': 'c200d7a4eda5fc7ddc886c8785d23a65bcbc6c7ddfb67f94',
+    'f0e66daeec0a387b9fc4': '01bc0c983d18',
+    '859ab8013204953f8877': '09cc361396b0',
+    '1abbc967f45ae01c1fbb': '83bd67d8afbe',
+    '580889517f8cee4bba3d': '965cbe036d508d51',
+    'f27ba89ead85d72f566b': 'e5b8cf05f046832cc25617e1026a78458162f8c202d3813cca81d64329aa175f47e66076',
+    '976a9631e74f74d58271': '39f99ffb43a83c7dd493',
+    'c9f84d54808f65001260': '00eadebe9454847ab37c3b59abef20fa924911c1',
+    'b87497292ff646ab76e5': 'a83acec9d931012c',
+    'f6bdf478b0deef1b1907': '04827ce37bdf',
+    '6ec1deecd78b73f5c294': 'd220917a9a359ad0c67297684abeebb1fc34d9dd',
+    '190b0ab7fa7f8be58c29': '1b9fcbbc0dcd',
+    '78c7a20fbd1c99285690': 'cdff6ece27ec4a9584bd',
+    '0533e75bdf53aaa7466e': 'f44f8eb788d7731eb2581155ffee95ae98b2178801fb',
+    'acbff4228a475f5d551f': '3080e84eb271',
+    'b36c2400ca1068d53e5e': 'ca2f71eb4fc2584cff83',
+    '5b28cc4cdfa5c99f5369': '9dda3327d7e0',
+    'dc3872d1478bb291ed82': '354128c6aeb9c1df',
+    '84602d69e256a2619ed6': '59e136c874d4aa31c3e3',
+    '6105ea2da0c52261d14f': 'de01b387c3db4f0c',
+    'a7fc1f452d4ec2bdf727': '1f2dcc49c47848f3',
+    'ca74beefd7f81508c0ce': '0d4923548df1787c',
+    'ae7c2b710dd316a573e2': '183b366a50b23d30',
+    '4f5f48b61f036dfb1ae6': '6dbe0642bc1f',
+    '989542a2cd7c4306a022': 'e7c3a2169ffcaa9340d7',
+    '18131216b471c48d25c9': 'acb0d8b0ac9272ccca6c',
+    'e8c81dbaee20ca4e8ea9': 'e8cc73f3b81677ac817d8bba21a05e2f60a4f089',
+    'b994af58d980fe53938a': '9318b03dcf267687c3796df447cdee0b',
+    '8dddef1d5a293346bc9e': '025268266be71568',
+    '10ee563f4932e03d6c7d': '47cf5c98dcb2',
+    '2ac38df3b34cb9ab6d92': '0ea16064a7129e2e',
+    '9edb2c28a801bf4a1890': '6fe85f32c1d47d04',
+    '73b1d26fe4b551a258cc': 'f35f7d7d2c5f',
+    '5a9b76d9a0becf7401b4': 'ac0cd2ffaf931eb985cb',
+    'acda054d3c4b0971faab': '3a362b20711cc286',
+    'a4d8fe32bf3cc73dccf8': '9af1c887',
+    'f6f8d9a58df142780d89': '4e5c16d922ae972e9207f128d400',
+    'a1f6b59e5ac6da1342f7': '3ec5e6b4c605ec9e6d04',
+    '7c95dc052de2842462c8': 'd4a16bfc75665075ed61',
+    '5ad0f9c549b3d582af5f': '8c9a5e27a3783ae00352192b3dd67b650a63',
+    '2993aa930b004a23dd58': '6be3f93d769cd90a5e9ed854139e2e11a9ea2993',
+    'e3347fa57e72b8dc3b93': 'b84a5ce1a4c48d0f',
+    '6fb2cf25535e5e8dfa0b': 'cb4585b973f935ae',
+    'e324ede64323b7441a6e': 'ebbe2986ba43',
+    'f6db04c70356a76e978a': '834f3f9411bc',
+    '228db5f7ce86f5a9d726': '71d46b69b96d80a85de8a72e287fb255c96e5458dded56a2',
+    '2d1ad90218334069a801': 'fddccdf425873db509d3',
+    'aba1414085d751cf0b55': 'f4ab0088b945',
+    '46c396e54dd56d68eeaa': '4700e7a475613a8f',
+    '7a9be75fbcffc494680e': '8a973c14e9d2bcbaf22102fbf7f4a977ec4ebb9b',
+    '672e287f120fcfd92053': 'cc1a83bf12dbc573e9e5c4142557d7d1bf97f6a9',
+    'e2d673601fdafdcf0cc2': '6a04d26d32a2da0df119',
+    '3381fcb63ef5bcbf0493': '551558567fc7',
+    'c1b9cb99f891be28b77b': 'b7db0e1b14b5e181',
+    '4571671066edc5409c74': '2034e97693efa0f81ae759ad6f67c3adba937063',
+    '4ee6d0721c365e315ab0': '1fc2f277077fd7afa8ba',
+    '6fc4e713c7f6198d74d6': '93bb362b6bac',
+    'b1c69583ce29bc18a510': '2e521f455c218847b76f7a47634a',
+    'e1372dcec5bddee9e9f2': 'ddb940b8abfa',
+    'c73f740868db04e13dc0': '34fab0ced0fb2701',
+    '8c76c431e553b7e597af': 'bd1cd3f50f38fcbe',
+    'd16ef45786ea61c8f727': 'ca792199534755ae',
+    'a75c9c9cdc8d7bad1099': '6b3847110eec8e490294adcad339f98b2355',
+    '48a3cdff4d1307a5868b': 'c4479787e5479a61',
+    '010c47e37db5be220c14': 'c0c1826cc2244f9b',
+    '18d2ad88b7c01d9c2f9d': 'c6cd17d3398a',
+    'b441073de174e13d6815': 'a07c45c2c65e',
+    '2ac9d75fc7e7b9489bf2': '60c408cfec14',
+    '43e9184549b6d059ccd9': '2df60eecf994',
+    '25919387d82ac0ff6418': '1c3cddbde1c1f893ef0b8795ed97ffaec2c83da5',
+    '86891e5f68e328adae07': '94c0d402d565',
+    '72e5291c8ff68a31809c': '088894ef07a5',
+    '897be8a173e7fc146d1d': '08b4579fc9357165969b',
+    '99f9e96ae121cc9655e3': '85c70ad33aa1af10',
+    'ff12d6ec8135aebd0a6b': 'f16584f622a2',
+    '5e3075ad59076c341534': '2ec2540af840',
+    'a6e787f869ec9cb4efc2': '88f2eb749954',
+    '22772df0e39314233cd2': 'fc989bdfa567f3e5',
+    '0d30b9073fe7c208cea3': 'f5c60cd36c3c',
+    '9e69ed490907286c4128': 'a018b1473d913588',
+    '6d5a1c2b59c797accb0d': '324832ac96d9',
+    '71741dfc18a31072bc0e': '60b08e5220c1',
+    'bf9d6972972c5067d43e': '6e419f974d52',
+    '45d081f80fdba5badb83': '14e07e13892dad5e',
+    'f0a498e535bc04a9d118': '773b9890aef1341d',
+    'be2202342ab0224688f9': '738fe3dcf437',
+    'cced7b4a44fd87e811e2': '246235961226d7ec',
+    'ce0e89565bad9344406f': '32d1bff92af78d9cd7281bcc2fbf7cfc6386',
+    '7edc80d68566386245af': '88a3c8bb8b16',
+    'f93d6954789325c18fd7': '3e1e3ae1c69eda4a',
+    '6932a7afeb6bbf9d23fa': 'f39f9e76d62b',
+    'cffcc35f9f2fc9c9c62b': '0cb5a343dfc2',
+    'f334589786c3bb6047ba': '84c089fc11f1ee7b',
+    '2ddaa8225910126cfccd': '5d0b6c8c177beb048577849bf7b6bce002343038',
+    'ad0ca8f599d5da890e19': '3cab6b9ce5c01c25',
+    // 5 letters (answers-5.js)
+    '0e9e414d5c6e3698718201c5': '150212f035bad7a2db52728d',
+    'b5b213e19de405a585825ca8': '8d0b331c6c84',
+    'cf4a1296a2639f2b50c2b137': 'cd48e6eecd1cd631bcb03de75807',
+    '4ca0659225a313ef6505aee3': '72c527671f2bc852d03b9724beb9',
+    '4a25b2e59c22cda271d54706': 'b449adff338e2af2b1c85191eca9da9be7ce6aa66302940d',
+    '3b9adffc30eb2549d0baf63a': '5fcc3a306dbba08dd6463a4968ce0d809ad9d81c56a1',
+    'dc8affae4a439444e4c7065d': '4bdf90e741d4c6914613',
+    '15a98276ae596e7942f5b5b0': 'bc869f01cc0e',
+    '4ae96764488917548370ea13': 'e6aa4f8ec1b96c01a6dcba46febe',
+    '3b47424186991322ffcde600': '53cbdf0d0f0a',
+    '8f121b807d7ffbd460768b5f': 'd6c31b35c2ab',
+    '15e62f5b3cc0d706dfc8e56e': 'da46d05efe7c51496a54',
+    '666a9d050b41689d2772d3f8': 'd7a3eb6a9144e7b7aff17987caa2',
+    'bf7ae038f42628aaa6fc0279': '357b37343320',
+    '16d2eafa71eec65d7a86d897': '22121b4f2d1dc893',
+    '1832296be76c23fc828602d1': '2630135f79f9e41f2519',
+    'd2c3da8d7d385452183411a9': '44872526e821',
+    '008316cfa39306aeee939684': 'bafed678731fa598',
+    '57612945f01eeed332589f9a': 'f1713d947004c257',
+    '03195a65e63f6b9cfb72c71f': 'b919e6e217864b388cc8',
+    'ff3bb14c9aa837c9d6539c45': 'a7d82f77ffc0852d162c8b9513d70ea85a5fef5a',
+    'f9c57b320831489de5bb59c9': '46b0fed7',
+    'b3b5c3e29fe2bbd23fe2f1cb': '600e72e9fb1cf73bab71',
+    'efa796181485bbfb02d58446': '207d0c8499a6a0ce',
+    'c25d64714b4fd28521aea85e': '8d92eddb',
+    '6d4bb85d829b0b950f70ab5d': 'd60ba410a40247857da9bf9ecae9baa07c18b690',
+    '8a2a2f8941e10966d40cd792': '6d4b4c0e08ec232ebdc2a2d336100b7b1032b3f159a0430d6dedd2a0953d0668db70a262',
+    'ff6db8321c57f8f073eda875': '6f2a17a057d8',
+    'a5d35d0fb82043ebb23d22ba': '9d9c6ee00863ad772cec82faedf43271b0c48757',
+    'c5eeb176354449228d1d18d3': 'e4942704d443',
+    '25e390d0edb7aaf7ff906cf9': '123b568879be',
+    '75fcc232192121b1c30d7c09': 'f19913db7dd74acea2fb',
+    '5687e0c5f42c49fb423e3181': 'bd860bae9f0422f17141d4e2a250bdb20a7ea837',
+    '295e62b05660ea10f38dfd83': '18ac0e1105b6',
+    '303dbbcd9f1945169f344cd7': '72a70ad69ea1cda0',
+    '9387d95a3548fc8b6c018311': '73e3b3833dccf8a6ff7c',
+    '6bad4808032fa5ec2819acb2': '5e7d8b7309c1873a',
+    '5c73ac126c3773558dd3ecb1': '8b19e08430aa7d0f',
+    'aff4d7e81abc8f714a29edaa': '633adad5d7fccc98ef73',
+    'ea4320c622cec7b3be3f6d95': '287717073070b3d5',
+    '54af0e278901f5f7f4324d77': '3801b89becf04be143e2ebe9b8fcbe23ad93d03e320aa08b',
+    'e7896a8cfe2b36d21fc1f28c': '568ccca76440',
+    'e55280cb88dc91144d601272': 'd11b9261ea31',
+    '9d42458e30965e8f9d34a886': 'e7afd31fdc7daa54334b4b9d46f47551',
+    'eff0193b21f522c65efffe76': 'a54ee0d0',
+    'e1346b0fa5f2a117143521f7': '6d9ab22c3c871e9d31e6',
+    '3546775add98a4fb049d7060': '96b5f5f80773',
+    'b4d0c85fb3528b14761e814a': '55d7d9171cb9',
+    'd247ec4f71bcf215b3800d4d': '7fe2ddfdfcd6e682',
+    '21e1e53c86a02bd5e3ca7505': '4cb1ae9c8c190e79',
+    'bf1e7e681dd2b72e031cc6c7': 'fe6942e5d0bb6e3689ba',
+    'cc74f13abcae1eaa20870cac': 'fcb706cf7cd2',
+    '7ea9b9d5acbf1c8ad395a9e9': '31b46f703b676b38',
+    'ec50dc7f8946f46748a62f13': 'fb109fc9e68af299',
+    '65043eb626c5a0103f2d5013': '764f17ba4c3816ab',
+    'cb1707672b521a9a069e593e': '7de92fa23b96255f83ed',
+    'fbaa2f725e1235e77581ca14': 'cc2e2f03d59fd5ce4a2deb04a8553d4b',
+    'a586936ab1d2cd5b1e248f8f': '3bae2a6c6d79',
+    'bacb4f7057ebf0a9c8caf609': 'ed340bdc',
+    '15f6542745d405379494f46a': '6d63c3991456',
+    '1e8180c53af303dbb8af0144': '8042d900b82c0a75',
+    'c548dfc19a8c6a5566857f19': 'c577450a4feed9cb',
+    'dffa33f7eb7293d3c96bc2ae': '0044d7a76cc5',
+    'c377208d6c9bf05087ab05c1': '1e9636793f53484ec6b8c19f2835693bc71a821e',
+    'b76f53a004003d36e0327821': 'd36f3ed1fe94c7236c55a2022aae',
+    '7a677acb4734f924e7e22583': '266dd08c8541',
+    '03f9b4563d6037d1661376bd': '66622869c0758fd6d90f',
+    '8dbe9c71acf6d49dd00d1444': '0896243110d4',
+    'f702960f15276c9703f66692': '73f653d8af97',
+    'ddc6070596638b8069f15bec': 'f601b107e3a71316dce85951ae2a260416b5403a',
+    'c1d97dc6988f2f23b22ed207': '9e5ef071eea2',
+    '7f8f66e237b42792b9c4c294': 'e0ace20522db',
+    'd7f2a65652d3993f814d9d4b': 'f669fb3ef5e7f581',
+    '701a0658bc942c47f6a28004': '23e2eb6b3e9e5c9168ec',
+    'f62a2d008a1583dd2e57a601': 'bc0d5062b2d8',
+    'bdeb4209cc9b67c53c4c9610': 'f52332238b77',
+    '9efc004056d5711c2aa221b7': '0916499c06271b08',
+    '136a0303fd57a09797321eba': '8210a9d29ca4c521',
+    '9e3c39646297a80eae8defa6': 'b33fa871237a',
+    '4c5063ebbcd252443a8e37df': '48fadb6c3d4a',
+    '74d38d67843db22b66fc73fa': 'a7446c8292c1',
+    '176fac419893cec99d4a7bd6': 'c128ca07fdd0',
+    'a2fc231b162f1d648ed7f2a0': '8e896f249f1f3a1327320aabf9f12c399705f4d8',
+    'd15e4f51bb9de87d419a2cb7': 'f46aa3fe76fcf81d06c1',
+    '1ebf18cba8349d1cf8b8d3a1': '25fd32df73bb',
+    '0caab23805e5a99549e72f70': 'c16dfce7d6322cc093a7',
+    '73a2b73fd149166e1122f2dc': '2354310c0425611bcca908568ba63688e9824593',
+    'a6ecec979897b24c47623cc7': '072384d6308fc024',
+    '319ce7ca0de54f9ea75e17ae': 'd33eee13fdb6aa6d',
+    '766b6700cee04876398d0ee7': '915c8419dc05',
+    'ae06b58b3ac05003b1585780': 'c3595835f04f493b',
+    'b57104dd7592ccd349a9c37f': '357e81a1bbcaa53a37327aa3c81f0a602eb5a5e2',
+    'e906c05086e2dd64ad53f140': 'b7111206f525552970c79bcae8a9b701fe82ab00',
+    '03733c5159f06529f2c233b6': '843352ed',
+    '144a1308616da2a2b1f132dc': '5865890bc398e3f4',
+    'b1bb62d0e67b5078bd64c77a': 'a9bc2a229709c187dfd6',
+    'ffc786cbe9ddd318540a6166': '146f54cfdf4ffd8324fbf26c6b9ec136835877a7',
+    'eaf6bfb569be44c17d6e8970': 'e6d860200332',
+    '0327bc71788fdcefba394c27': 'c06814aa431e52a8',
+    'ef41848767230c3469c24026': '9bf5628d0dda1304dfd1875e02b9',
+    '292449527a5a0bd74d417fb1': 'f560450e827da0b9',
+    '0eaa18671dd4954c75a3995c': '22fd5356f2c144ff',
+    'b3d333ad1b6d7f9a692806a5': '500653d6cb209f09',
+    '0b1616e5a71ed12df716d395': '200ff7ab15f39707ede1',
+    '7870b0c138434f48dfb9898f': 'c355117f0abfd803981c',
+    'a35528b1f97feb0eb92dbdf3': '0909a5752ed77257d769',
+    '1d05fe7183fe1c187ead40d7': '39a963c28287',
+    '8918767687d1002ac0379d74': 'e3fe5137e619b1a0',
+    'b40e5640675ae455c7399f8b': 'e9f2f158ffa8323c71f4',
+    '491baad0b66aa0ceb27cc067': '8788cece8470301de697',
+    '965621ae7a645df5a062ca56': 'bcb5149f6f3518fba699df3a4843',
+    '5337fc1dd9958a11230df8a9': 'f3dea336',
+    'b4738651473269bd8cb7f027': 'd9315b73bd06',
+    '9d589e8b2f153fb60a8346bb': '71271cd601397334682d',
+    '9e64fd76c4f85500b4251725': '40efa87724544880',
+    '91232bcf5393f38584027513': 'a141ac29ce885f99',
+    'fce1d3f532d9cd811051a16f': '95b9dcdf4bc4',
+    '8231c1b4a371297eb88132a2': '2de836ac194b63ad3541',
+    'c7def1ac02506b687ea16ed8': '04a7b0d68f1b',
+    'b5bdc48949bffcfc322f26ad': 'ceec99ed89830a86',
+    '046c1ea2284c2cd8bb82583c': '1be4e858799f9f4ba7f9',
+    '4f48dbe793671b0be54f6b60': 'ffaf03fdd5776d06',
+    'ac24008192d83b7322523d9d': 'd3a459925d08',
+    '2d81ad0d07ed4a4b682b049f': 'b9286cf692291f21cfada286a926f4c83622ef96e89074dc',
+    '720ad1ad99e6beb60a20ea8a': 'bde87a0c6be4c18660828bba2813b669b4cb4664',
+    'ff97c4894dc1156e6aa14d7c': 'febba9d7',
+    'fada574c867bfb74a65a1873': 'faeb24de4201',
+    '256f48d5d492ebe3588c7449': 'e0e14d3c468204cca8e7',
+    '0015bdf0d42e0e18135068f3': 'fb82c797a8ef',
+    'e801813ca209068dc04e7ca1': '85ff22f18e79',
+    'dbe2fdfa0f9493fc55119726': '8767c861e51d',
+    '8ad7bd96a13718c630a268ca': '2c5d1f8f2589ce15f56e',
+    '81c6068e1436fc5186228ea3': '1d4e6c280f9cbd1f',
+    '72d540f65191b5cf4e54fbc6': '7ac45032633b28c0',
+    '358efa8940a1c346df05218b': 'f3b97d389b4b678b7854',
+    '2730fd36117baca12a1389e2': 'c4834299b338',
+    '319329dfd747ef128f752874': '7ef8ced9d669',
+    '498da90f62edaf7451bb57e9': 'f831d5b15bb78634',
+    '51b6afd4cb1bffddceb726ff': '7df69c5fce25',
+    '53e9f323702d82a3e18f737e': '71e581ea0d76607d',
+    'ebf9cfaaaee88713e8eb436b': '76c45027ed07a1c9cd88d78de50f64a265c44686',
+    'f623e059f3fcfb1232ae1b8d': 'f74499b8d092ba002986',
+    'a45d43da49b873590d5ccfce': '3a9d98f108b30712282b',
+    '339c82045f092e9b84abe049': '95a430cd38b74eed0851',
+    '014c308f01c62833b5a8aadf': 'd672f0e89a40126e65e7',
+    'c4eb75354bcbe78a230a36ee': 'dd4874e2ded6',
+    'e8b7da95c34a9824ab5baabc': '73fc8058f0c6',
+    '90b880473ddff6b2fb178448': '38794453a56199a3c34ba6072028',
+    '55f22e3bbfabfc369d8f01f5': 'f9aea9200703a91ddb61',
+    '1cf71ec3ef3e9f8a6d9bdfae': '91a92902',
+    '4dba8ba0664dbfe62fe1c179': 'cf0939c2eb90',
+    '62002977a0114ee7fe9898b0': 'd83958b2d85d',
+    '6607d969e42270e7e73bde35': '9645cce110d09546',
+    '2a3b7fe9da511ea18fccc60a': '45f0e1e7b49a',
+    '165684ae67880ec80f6af8e6': '249ebbfb01e9',
+    'f303b86fd9da3c53e8b8de36': 'a4c218ff4f315797c92e',
+    '9269ac3872b2fef17f3b2f01': 'f8fc198ae7f41270c916',
+    '8c0655a62432310cc8daaf0a': 'da43e3e85b7f',
+    'c6c73fec12153b9d2eff3e0a': '54d23a86f3af5368cfac',
+    '19832391b3b7479079e27ece': '24f290fd845f',
+    '4fa9eb7618f0bea192f23f90': '85c0d3062985e41b',
+    'e4ef971e679ae9f2a9bb20c5': '1ff1c4ae1a5ae8a6851c456c79e0',
+    'b55d5026edfa0aca793294cd': 'c11bafdd9f46',
+    '5b4ca9011496567241b88fe3': '0db3c815525a53ff',
+    'cb706e4e32f4e59bdcd437ef': 'd55732d64d98',
+    'e226cd3651827c0c7eaaa814': '760599aadabf98ce',
+    '23da3ed00744bc416723522b': '9074c2d85a5c8c35',
+    '1779a526f92ab4c752c5fb8f': '6fb639131b900f7e',
+    '3a8538c157e6524725bb4e45': '5eab5b94d978ad1cb31d',
+    '8546c0156cba6ac7d1643742': 'fbac6a9ff4b67555',
+    '481f50c7730b27727a698736': '580eb76b8737',
+    'f31636fb53e06f79fbd4e6d4': 'e2bbb49f80ca',
+    '0071ea96b60686628944a0c1': '068d1f100734',
+    'abf5e8c4bbaf8c6951467190': '3a6858924a9a1153',
+    'a1c04fac3983614d8aed2099': '03abcf928feded60',
+    'd715dfab98854507f82fc904': '8f00e42b5bda',
+    'ef19bdd81bc264f70d127112': 'd6c7f6d79787',
+    '1ce812719abc7d947a05492e': '5a2b9f1bcde5eb25',
+    'fbe8dfbb0d032d5047b90200': '0f6c2d064fafb389601f90ed0ad7277d67c4e6e0',
+    'e04e3522e505e20a64a15393': 'e34e19d089fc',
+    '83df163a9feae079980e32e1': '0a2eebc72e05df274181',
+    'e1195d77f30ef6b36e358a01': 'e46459420307',
+    '6df26a75ef91fd31d57e315b': '35481bc0d9375df2',
+    '2f52bdf54fb5364dbb04bccb': '2ada64e47a2c5bc9a04c',
+    'fdc9842c0e46a8be8f81d751': '506a8afff62482a213fbbae28fa880457ec7709ff3c8d6d1',
+    '62b006dbd859318068a1a4f8': 'b5bfc6540016',
+    '8759e1014b596879ce3387dd': '94db0f25abf40203',
+    '31d419a8fbd77a1c7a749462': '28001540871d',
+    'a15d41c92d816ebd9d39b5ab': 'ba2ce88cdef8',
+    '6572ce6fafe8ec30f956ba9f': 'e3b6f5564d7c',
+    '87befa3b942fb8e0e292a7fb': '7f6dccc7fb991816',
+    'f49988562fd02e09ed66a9df': '249927da3a33',
+    '0e51458ed8369c2e972ea54c': '614406b839a9756a00df',
+    '86bb448edf376ec951c14d20': 'da80e90c8bfb5d99',
+    'a03c63ad8653020d5a6ce2f5': '3c6c2a22976dbe9a3cb1d4f54363',
+    '90219a540bc41338b5820d73': '085a9f755bf3',
+    'f4e8e35fea0893b0e2a9232a': '397c5c3a3c05202a931a',
+    'fef4749cfa0c8f7686abe86e': 'ea789e4cd98e49df',
+    '2e683f5d22ce260f3d696c33': '6d95b61818b948b6',
+    'f577df977e980475f29753f3': '52be9e694ccb19d2164538a4babb3bb32e00d962',
+    '04563709eaff6fccf9a35261': '917412b1073f',
+    '13755a68a01dbca5ec17b328': '65eca944acaee33de2ba58359e7d',
+    '34808ba834bce244e104d6ee': '625f7fd8bf59242cd75c',
+    'b46204a74b45a5f481a9d742': '1d7102ab6d5865184291f47f5c0fad72f20aa17b',
+    'd3f49b9237ab054e33de1c2b': '4c6439938ac29c7f',
+    '719e52a0944557c19c2b85da': '57e1e9cc807ed1b8206392247488c2b4',
+    '364284f5b16f121fb2c22869': '9f2ef3c71229916c',
+    '46093c70dffffeb0e66b2de6': 'c58a0890855f1e65',
+    '1fae23ad1fd598e80cf08f16': '1f7fc80fadda',
+    'd175de67b59820f645bc1854': '65af33c4',
+    'dfdffaf7dcec1a1a76076b93': 'c2f8ecbdc560',
+    'c4a37ae35c6d255c07db2ed1': '4bfff3b7bfe69c0a',
+    '934fad2e9493816b3a20e3c3': 'd983f4df4a6fed591cd110f4302bf2f697870bfd',
+    'c4bbb5d9639cf4a589658927': '289c9076bf243877',
+    'dc40c751930087b1fde008c8': 'f9971bb10194d7ffd7d6',
+    '7efcaec12d7387daead404f0': '82e64b67c460',
+    'c62f27aae17d50471a4b4e26': '92fe8eece9e58e4c',
+    'c8cd2228d3d11debfa3e319f': '53e2f54015e7da7254c22665e7686021478e0939',
+    '9f5a60b422baf3babe035722': '0b29a53d29bee1a3cc1a4b883f14',
+    '6930aa397ceafcb99fc84deb': '84f41686fbf046dd20ac',
+    'f0d1ba218acc34601bd791dd': '9a3bcfd06f81e358f874',
+    'f15db0a46e2d1b457e1108af': '3c0297d8647f023b',
+    '18ad146dd621024b699cdb15': '1d7bc7bcd4cb7ce8',
+    'fe6bc2992327d1912eec3217': '7b1c9b876838',
+    '7956f191448ef57501fcedb9': 'b71070860656',
+    'b0487b5b6163a302688fa1bf': 'd21b5470',
+    '635564ac023d889bda443364': 'ac8a739ff962d554542b',
+    '0914df6714047b698f4946d6': '5c19187bc4ac',
+    'c6983db3837e8ee5dda34c57': 'e4e1dc29ac8f',
+    'c073b1b416e1fc44b00baf26': '7e684a610b51cfa96c908afe453ad359110d7d449c75781c8a0111c5aa8f32284e3a9d1e',
+    '49bfb40639c94ce5faf7d805': '5e7816f75032',
+    'f4551aa1894b802f0043dbe7': '978695d37e65f55a',
+    '4c93a88bb61eed40e3ffddcb': 'ba8fe9e93260',
+    '12a024a84ec2006783a29514': 'f81da473bb54',
+    '6b2793554a771581b4807487': '9764e64711cd7248',
+    'd3af2cc77de6571e969f2658': '066ba183a008dcf93292',
+    'ef2582add96e9864c7c5ada1': '5311b421aa39',
+    '164ef0566c38e3a5fdd9601e': 'ce917c61270d40ef',
+    '7681a847d4319056b20692b2': '2de89929ccd70a03',
+    'b523c5160e6e3941cf6c68a1': '067de2704bcb',
+    '1fa34e485a37bcc452e3c40a': 'ea292ab0ba9acd70',
+    '12f95e479ce8f111a521c9e1': 'e508aa6a5398f999',
+    'aa5e8e53ed78d75ac99b0ba0': '63a8f81c845e',
+    'a7f4eae66251e0bb1afc486c': '9421672dec9825e778aa',
+    'dba781b981af75ddc26215f3': '827f21b3ab61',
+    'ad0f2873945b01ede5f5e2e3': 'af2664730bf5',
+    'ff84c8bdebe1fcc3f3e2a52b': '62b02b3917f6f526',
+    'b050da63ca506d91ee439a5b': '7602cffdab7ce5f5b8ea50ecb03651d62027f5dbbf05adcef78b0b6b3dda217009b16b76',
+    '33b660269c5ba6ebe564abdc': '69200efd7d39',
+    '978bdecafb7ac9f4df0e069f': 'eca5fb9897b627c4f3910ec81b4fdf4093de9a1d',
+    'cc22052f26289dedafa6e984': '9b1240dc3c40787ff683',
+    '54f922304197c3c8071509db': 'dbdac73a7dae44edcb2c930a61cbd85fd2087dd0',
+    'ad7620452670cd49e931a58f': '4a3a29393d5f',
+    'db9e48b0212adac77a5d8926': '4366328c83af',
+    '8a971a0de47c5b995fda931c': '4ac3fb30e232630c',
+    '30776c62a69cbbe419fb31b6': '1ea3808ad733',
+    'e42e905d3bc2676577b86e5b': 'adb387ac39f3941cf4fa00ea1542865cad20f879',
+    '2534bfd85b9d2269847c6430': 'b3cc4df17c67568f9698a1ca',
+    'a80c070fb9c5547ad546344d': '000c5ddf80fe',
+    'e360ede278586a65d4cd438c': '717fbdb09a2dfabd24d8',
+    '693447a664abd448c1643d43': '93a23fec8a54f005',
+    '14e9518bafcacaa0d9909872': '6f95463a67f9bd97',
+    '4a42a3bde2adb1aa678bcf11': '816fe252843d88e1',
+    '06f1cd654dae037ec8f46cad': 'f5f5c9193aa31e5b',
+    'ea79632e28763ab2920a7628': '4887892633e3',
+    '28b4905b865e03891a5e942a': '3e380571da0810af',
+    '1008d018e7b94f9b461c4d30': '507dfbd191fd',
+    '8bee7daf8fc677a4e123eb87': '84d9237e9ce88f297cff',
+    '2c9e436d8f7591f007edfee4': '14a9aef680f2a76960b3',
+    'c7f5a189f15d0caf1eaef81e': 'eca0086a5ff0',
+    '3c496456a4d4f2e0bad89721': '4310b3c1309d',
+    'ff24e7753a71e00ba20fd37e': 'f6bea2beb3a423afaefc',
+    'b5b676d6cb748956bb2a037f': '4338f1ee9d192bf7c956',
+    'bf20c9102d3b9c34eccdd842': 'e2a43a6066170ec9',
+    '773c9facc7b9681207056a14': '8f3511f0d73a4f10',
+    'dba611a8ba6550846f352241': '92ed25a8d397',
+    '253e84422aaad717e18a1b34': 'eb60b8e7824d8962',
+    'dc61043c03054624959e256b': 'caafa25e4f25',
+    'bd633a5c341c90e4d66b0b9d': '8e3c9596b201',
+    '5f7bc766699da1c09041bd37': 'dcdbd135d5c12d49bd033609',
+    'd9782e5d83a3854abe1e13aa': 'ab133500905d',
+    'ab12f2f4f64e95cb5575934a': 'c71501f5a623f521f746bd5fdf7c40a940ae6b55',
+    'e439bf8838846be1055ca9eb': '3d7272214c33',
+    '7d0ab60db7a37f49b29563cf': '34dbb49169a82cc9',
+    'e285c4cbd80df086934c1ea3': 'ed65bd4d9b361d15',
+    'a6eb53c2fd2fc083203c2695': '5fa70f661e4c3c0c1252',
+    '7f8af0deac4563dbe7c5271e': '32babf7a85085751',
+    '9fdcfa17be819e91c90c03b7': '71d92d34a5f7',
+    'a2cd059e3926236da9be39a1': 'f5ef8f3e635dbcf1179e',
+    'ba8890920ab7e976c717a147': '9b82974579d2043b',
+    '9cf6a9042063e5bd41e8ec22': 'be5f0841cae203b5d6ec43c5edde',
+    'ba51b7d8040db88e891adb29': '1ee175cf28a8',
+    '74f7561998ff0d0d0d3ace06': '72cc67e2b63d6cb237e0',
+    'cb3ad86480e5a16c78d47ec5': '3694ccab5024',
+    'e34c6d904962de5c2a1f3582': 'b012cf9aaece562a',
+    '2979d07c9df0c6ff4efe3eaa': 'a51b48a3c622db6d',
+    'f4ccd74cc84c219e0344b6fe': '5214a046cf54',
+    'c77429554f722afd0c0695ca': 'ce760dc7f4fbdbda',
+    '6a8755fa954992d797705929': 'a7e3b62d83d4',
+    'cf623456f46e2398ca4ce047': 'bc2f8ce79320f0da08b0',
+    'c752972e0dc520ca05e6deed': '0fd2d868d75223041341fc2303248c7766f2e9f9d2638f88c5b18c70c159b1516e9639e2',
+    'b92c1f8bb1e7c389fbc4fd21': 'f933bacc87a8',
+    'f8a182b1ae00d38eefa823d8': '711740c377724c4f2e9b8b06f422',
+    '3ceacfa0703f19b9d6d2dfb7': 'ca6a47f09b4cbda1abc18154146dc39364e4344e',
+    'e8efbb309d0cd25fb65bf4e9': '8f1331fd83dbdf45625173f246a7',
+    '1351feb3151b2f2088e47843': '5d4433225c595790',
+    'a5f17b5c510c8ff1ad1b633d': '319158ce30b0',
+    'd6d18630a8f24db8bfd01df6': 'c14368a298888b18',
+    '2c2f60d9c4a37052bff55470': '96904953c956ccf5a8f6',
+    'db5ce7f85b7476529b70fc31': '06d9475d616d',
+    'd124244fa5a06a883ac897e5': '0652c0402cd2',
+    'c59368878fe6bd533ee1d46c': 'db5d224132afff85',
+    'bb0b4c54e28f0c359cfa180f': '168eed629e3b',
+    'f7e633bb613ed6542c4a575c': 'a6acc63fad342d77',
+    '257a829d0cf1cc09e4af4621': 'fce6c1585285292889f18e340617d1aeb3a4a381',
+    '3ff6c5d74d4100c15c76b680': '754922a50ee3',
+    '626ca1df0980bdfeef681399': '47f4b796662dffc3',
+    '7c60986a20f2c2bcd8d82cbc': 'b05c25d1f11c58c1',
+    '60be152fe876cbb04c97223e': '424cdc4e8bb9',
+    '8a83cb6f34cbcb6bbf3fc7ae': 'c86ad1957d2b',
+    '30c5538c18995ace25e19159': '6485f378156d',
+    // 6 letters (answers-6.js)
+    'a1da807ee9764d7f01c08e12974f': '87b69668dc27f807',
+    '82fb73ca42a1cfcd5e9f0916149a': 'af6b43fad375',
+    'c7296ff2edf7028699c7a0e901bf': 'd9bfa1fc9381',
+    'd822b12eb389dc7710055549d19a': '114599fd5d24',
+    '4ef0b0d12c396176565653e6b927': '9f009e71385f',
+    'a6de06fad4a700b00121b196103c': 'c436686d035e',
+    '6b119fb5ec45df5878811577f59d': '87ce865856da',
+    'fb7158e21bcb9acc77c3904fac0f': 'eb2da994e425',
+    'def402dd2c864f234e611c064409': '8b4087b65afa99c6',
+    'ca3ed2e60cbdd4b51f5b577c0d16': '674c47bd6dd6',
+    'dad14d04c1dd511513e4462c1c13': 'cace67181c98',
+    '04c39d3e897f7e3108e0770ec72a': '6938191f11e76bb7d5ef',
+    'e5324d6a9950138c1f9d834aed1b': '9b2c2c372e4dd2f0',
+    'b94666bcb7b7d4dac4e2b9fe1c3a': '0527c02a7953',
+    '8f5eb8228e6a33e0bebef240f6f2': 'e6b6c3f34bb6',
+    'f170d36e03cc477c4659cb10f3a8': '3e01e71efbcb',
+    'fc7f498b2bac8d274f800b504f2e': '4b12c0d880a9e525',
+    '0ff31c0734a71bce088dd1d07ca9': '976004fb4bcce68e',
+    '1a744192a0123718bd2ca4e703c0': '0cbcc8bd82084948',
+    '90ef1285be0a1bd318e6225336f8': 'f6ee1995e1a3ad3f4879',
+    'b081bab895082a9237c28c000305': '3b54667a7650ae33',
+    '35a45bbdeaa726e339bac461a28d': '834c4b469388a4c6',
+    '6a987f0ab17de4be790fe72b8dfd': '5da056984e8ecdadc83b',
+    '815f7d6828e9aa8ef6f5894a70f0': '8a462d4aec774459db5e',
+    '60f9685da43a39ea28b19ea9fef6': '2f1bf3009bd5',
+    '180ec242b09aafc5a49e786fe70c': '44c7679ffdd5',
+    '3fd6e6492366777a6463be9cc826': '3c2782f1d012',
+    'bc1a2c6f566681d08f32ba96e76f': '85dbed278943',
+    'c70611228c473956d696587789c1': '7b8021153a89',
+    '7b11f6647a759f881aeaa9d87bdf': 'cbdc20045cf3',
+    '7acbd7796445e5a7537ebe6c11ed': '8b55eae5c3386a962d57',
+    '94a3f0882b7ebe2709120709b7e6': 'bff1d2ad4b55',
+    'c33bbfe8de40acf76cb00bc3354e': '5011e7e24a08',
+    '3446de7adcadd5f489de092d213a': '59cdc99581a685372fd8',
+    '33f38960668f2ba3cdbea7b4ce79': 'd5a2a29d271a',
+    '075174eec93ac8fef79e717ad3ae': '942b28ec5301',
+    '3a704d38228548bb8a47562565f0': 'e8cafe7c',
+    'ab68885314a55df461d85e3e65ea': 'aa975bec659c85496390',
+    '325aff20c243c99daa28cc36373d': '6f77cc4758db603a2eec',
+    '300c880b35f73ca7a2ebf9ec2ad9': '484dd28da12d',
+    '0971b5713885653c80a4ef3a8bab': '11a0eb5648fe',
+    'ebd562be1908ad0ca98f3d99878e': '2ee7435ad56659a5',
+    '7cf8c554fdbd2032e60147e612ca': '1bd123951ed0',
+    'aec0cefe9e1b04a73d087e8eb672': '275bdef474b0bd1ce59c9138c744e8b85b94314f',
+    'd43e8d99cccc10006444b27c74f4': 'd038d8991371f862787ba8bc3d85',
+    '57652b3f236a6ee1ef7c7728dd70': '1f3f2906e38f4afe6c37',
+    '0d114a1b3f2383d11a43aa6eb2b3': '570b0ef94c41',
+    '0dbe97896edde56e3cbbb7cafd58': '35d6ba8a592d',
+    'b1612ae73c81bc304eb549db0ff0': '4e00d87c24aa520e720f8e5477d10e2772926bc7',
+    '4dafb7734c17c5869008df81b178': '373abbb531349ab1004ae910d4367c317e7476baa582ca02',
+    'a9f058ec5b1eb9c3a061f585b601': '37bab9996437',
+    '51cecd66664d3bed311a3e5633b8': '76101762fb4ad65c',
+    '906c88bfad0675cbf6b505709b5f': 'f42dc319de8673aa',
+    'bb3c444fd52ca2b59d3c7368f669': 'ee596d7ff25c2a0c5d20',
+    'b31b439e83d598419319802cb758': '286ea63ac35c',
+    '27d1104c88ffacb782f2cd0643b0': '91c2568d8eb3',
+    '5ce7cfc16c6114804db78a2adba9': '240026fb3cf96c132f5f',
+    '963cba4ea6aa1774fcb2a0fe2bcc': 'a2254abdf0c47cd8768f92e2dd10',
+    'ad9666ac84c77d586308ce41aca3': 'aafcfd0a923669b79a636b0b54ca3d55',
+    '9f44d15ee51c30fdcb70e80e2b7d': '56951ff6d62b',
+    '14111e2f8f05695fc49bb09da898': '516bdbbe01d6fc2a88f4',
+    '45e8ddff492357eb6ff7881accc2': 'd2b80d530989f3300ee5cf35',
+    '0b7a860b6412d8e83c8824aa42e6': '16309b8d156e',
+    '9cfed6103cd57c5382cc0d09a3bc': 'da12658dcd727425008d',
+    '1ddc1152171e4400f13eddfaf1b9': '9e84210ab2bd56a3d317',
+    '1584abf08c24e15c9027640b738e': 'dacfdcaf85e3',
+    '636f1daabdfa98bf5bf5886aba21': '82a3faa89438cdaa',
+    '63a1fcf05647ea01b67b3c598b52': '6b58687af104ff825fa5',
+    'b8f134d079d39643c54d474ce28b': '780298d49fd33155',
+    '8546c0036ca36ab3d1063735baff': '293ece83b0148e88fa13',
+    'd06d3f3bdb66e3a4ae893078f960': '3e01231161d8',
+    '883d1cc26bf6203960bd29f74a45': '44d97e351fee',
+    '4242335f4bda5529272e9453262d': 'eda44d5a58a3',
+    '9bf4f15aa6e24f8defa46b0d280c': '3a3e8671aca81020d45dab04a50f7add0ada9b9d2fb6ab41',
+    '34294d6d0569dd439db63805ef50': 'b5cca714ee50c273ece6ddd5c300d9f4be814bdf019cebcb',
+    '2326928be3c51b846569eb7cca3d': 'b0654941efb08d77',
+    '7c7caf8f6b94b2a4f415fb41e307': '24d0f02284d7',
+    '598822ff0392dfe5e493c4b35623': 'd6c49aaf5a81',
+    'aa8f3bd5561caac4d470a89c33ac': '57d0e6abb82409dba6e74ed421b5aedf0708fd35',
+    'a65483c60a9529c139d3520bcdd1': 'c214001ba4dce1ee40f2',
+    '64e3e41692e4007e73e9fd96016a': 'b3bd839424c93f38',
+    '2b546049514171f60553a73ceaba': '82592de213587c1e',
+    '09f9090d7b8e28cf9d39a59381ad': 'd459fcfcf2711221dc10',
+    '3fa9293cf313088c3ebf12dac071': '1e2170d67e912707dc5fe79faf670bcd8808d008',
+    '56949c361741bbd7d99edf5c556a': '0e81ee6a4bb1684a01b5',
+    'fed080760af27913b6646ee45c5f': 'f479cf0a92b3c3d40173802f',
+    '065e52c0d7583aefde7704b516ff': 'd3ff3f97872926e4',
+    '432fee803ebe86ca6bf615e77cc9': 'a9f26dc92d71c4af',
+    'e3dcab140f8ca1381409313c55f1': '334bec6dfc7d',
+    '9f5d2ec962cd114aa99ec9abb22e': 'b227d54a',
+    '026d9f8ab7fe61fd0a15a6ab3975': '01e0e809f83f9a9ef9da12c9',
+    '3c417af26fe590c98613ac0aa6a8': '73c70d6254e5',
+    'e8d68068f90b6fe2ce20143c91a0': '2de8577f2b6ee820',
+    '0db0c6681849f496b7d0791fa117': '2c5b979c8f61f485',
+    '7bce906de7eff4b2ee46bd2b2cb0': '8c29632421f4cf16',
+    'c9e6219e84c07fc2b14bdb1f3474': 'ac042fb1331a',
+    '18c273bfc74694461f90fdbf4fd0': '18fecd05788e61a9ec25ca9c5984e93be8b0a62a',
+    '4fd1d2e73a1941570f8953773c73': '4779ea75a6bce2bf',
+    '7ae7bf45dbac7f56b8d7d31a418f': '577ee755',
+    '289584c6bc1fdee34a0f7abe0c43': '4df8ea3f5b87',
+    'ac49ae30feab97d25ce7aea09b01': '99b727c809bcc736372b',
+    'd103309e48bf678acf32fc03e633': '56ecf057aa668e4c3ae9',
+    'c00cf8c306ad8a6bc8bdc9740844': '144c36b512f3c424',
+    'a1867a221f1832a842cd176f4e8d': '9696d95f720127e8',
+    '8d8d79f2d574e470e7eb8b7a399e': 'aa6d70d9a875',
+    '21c0772a6be12f30e68cf3b3765a': '8cf7d52cf92d4ff9',
+    '5ab898240c8be75f28430554b407': 'd5f773149b9909e6',
+    '3da2b45fc32160fbe3fef9af219d': '8a1e44a905ea',
+    'e6a9e1a3e581a2363f0f75c828d4': 'cd33b8fb77cf098b',
+    '62bbaf1b54f26d2f7b8918d8043a': '3e983c3710ad4736ec874676906bec11a185be7437d8ee112b1ba67034f43a4d04b8bc74',
+    '677798e054bb9d1c115fd9b23b6e': '0858a58e78db5c427b31',
+    'e99a5ac2b0ddff1543fa75eeb221': 'd612f2923b21',
+    'fe6c8adf7cb4290d673540edeb4f': 'e8a004f24c58128a6ceff5cb',
+    'afe751e05755e4a18bc57a5e3651': '6a1fef3dfb51031fc19da19996114ec6313d6fc2',
+    '21c077de6be02f24e686f3b376b1': 'f5fb74210fa4',
+    '7e7920aaeab99f04b5230ed5a0f6': 'd30359a8fbab',
+    'e02f06dc67d0aa10e35ad9a9f7db': '7a53b200ff572f8858e5',
+    'eafc97fb155e8bc99da6e73d143d': '666261a54f3e5e48',
+    'f3d578580f4aa37b77702bf942cb': 'be04086483af93c4',
+    '811fdd9dfee3a3bd09849bc093a7': '99fe70f777874f81',
+    'aa5b9ca628958dcfded4c93fa30d': '65e968f7e904',
+    '2e6ff48eaca4e62954a318019e71': '9c42f4fcc78f',
+    '70d53fac85139d9f1b780563ca93': '74628057a1d5437980f2292648fdbbfa6e3a16afc815ac66f4bc6a46',
+    'bc4a2a478d2894901eefc159dc8e': '91006939290c0da1',
+    'd081b819060de668c5a2abd6f388': 'd0bf9118b0f2ce7371595dfd4712f25cf8fc5949',
+    '14e31d7e812a1b04c0fad5ab7697': 'a1db41b0c83f8c4c9878',
+    '75a51db6fb57708d10603c6cc344': '955ad489a790',
+    '4958b8c5c4b2fb4c6550b6ff1905': 'c5803a7bb5fa7691',
+    '01a7847a1725d1ffc25a8d9f1f95': '1eab117adf7db2a7',
+    '947a9d9b79771c499df8cde3cb0a': '5d683c29',
+    'bc11beabfb0c637b93ecd08862ab': 'c6591e1eb725',
+    '7756a695a5a8ac62825e49061d72': '611f87e79d702ce4b2c3',
+    'ffd9fccaebfb1bfb3204aea2d0d8': '0eafb826c442',
+    '95d4bd1c1f5939b10b85b9019271': '7c2fec94cd27dd51',
+    '46dadfae748d71612ff533e5bc72': '4b8417dc27ae72138fa7',
+    'a41328b779dfdbf2b6e8b0e8b6fb': '366888c8c93006fc23c4aff47446f07600fb1e8c9062700b',
+    '3ba2c797db9bcdbc83ede4edd5b3': '288d30f66da6cfa54b20bd1f5b045cf46edbb012',
+    '6b0722f80f0f15098c7d9a9371bc': 'a52810a5652a',
+};
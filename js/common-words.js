@@ -0,0 +1,103 @@
+// ========================================
+// Urdle — Common Words
+// ========================================
+// The dictionary words the answer lists are drawn from, as
+// positions in each variant's dictionary (WORDS, WORDS_3, …), so
+// the game can tell them apart without opening a sealed answer.
+// The Roman Urdu input offers them first.
+//
+// Generated from the answer lists — after appending answers, run
+// `node scripts/mark-common-words.js`. scripts/lint-words.js fails
+// while this file is out of date.
+
+const COMMON_WORDS = {
+  3: [
+    12, 15, 19, 28, 50, 51, 62, 74, 87, 90, 91, 92, 98, 108, 109, 114, 125,
+    131, 134, 153, 154, 161, 168, 175, 178, 184, 200, 201, 202, 213, 214,
+    217, 223, 224, 225, 226, 233, 235, 239, 249, 252, 255, 263, 266, 268,
+    270, 276, 279, 281, 284, 292, 295, 298, 309, 310, 312, 319, 320, 321,
+    327, 331, 334, 337, 338, 342, 346, 347, 349, 351, 352, 353, 356, 359,
+    361, 365, 366, 367, 369, 371, 380, 383, 387, 388, 389, 411, 414, 418,
+    421, 423, 426, 428, 429, 432, 436, 441, 446, 447, 451, 469, 473, 475,
+    483, 487, 488, 497, 499, 506, 508, 509, 511, 516, 517, 520, 521, 522,
+    525, 526, 528, 532, 535, 536, 538, 542, 558, 565, 571, 572, 577, 578,
+    584, 587, 590, 592, 597, 598, 603, 605, 612, 616, 619, 628, 631, 633,
+    639, 648, 652, 658, 662, 666, 669, 675, 692, 694, 695, 696, 697, 701,
+    705, 706, 707, 709, 712, 724, 728, 729, 731, 732, 733, 735, 736, 743,
+    744, 751, 752, 753, 754, 756, 757, 758, 765, 768, 774, 783, 786, 788,
+    796, 801, 815, 816, 836, 846, 848, 854, 859, 883, 889, 894, 899, 915,
+    917, 922, 926, 928, 935, 944, 947, 972, 975, 976, 979, 982, 995, 999,
+    1015, 1026, 1033, 1040, 1046, 1049, 1051, 1060, 1064, 1066, 1068, 1074,
+    1081, 1082, 1083, 1084, 1086, 1092, 1094, 1095,
+  ],
+  4: [
+    31, 42, 67, 215, 226, 546, 1066, 1067, 1076, 1097, 1216, 1221, 1234,
+    1318, 1328, 1384, 1564, 1597, 1608, 1618, 1629, 1673, 1721, 1777, 1907,
+    2048, 2051, 2214, 2227, 2266, 2335, 2383, 2497, 2549, 2556, 2653, 2654,
+    2659, 2727, 2744, 2846, 2908, 2934, 3542, 3706, 3773, 3955, 4034, 4268,
+    4270, 4281, 4321, 4385, 4394, 4411, 4413, 4420, 4642, 4669, 4676, 4964,
+    5078, 5226, 5227, 5356, 5528, 5552, 5566, 5581, 5618, 5623, 5653, 5660,
+    5775, 5784, 5828, 5853, 5869, 5889, 5943, 5962, 6030, 6037, 6054, 6065,
+    6068, 6079, 6131, 6206, 6299, 6474, 6550, 6720, 6737, 6945, 6974, 6985,
+    7149, 7226, 7345, 7451, 7491, 7505, 7543, 7566, 7637, 7788, 7797, 7822,
+    7874, 7925, 7945, 8062, 8085, 8132, 8150, 8157, 8185, 8507, 8554, 8583,
+    8618, 8637, 8703, 8748, 8817, 8826, 8891, 8908, 8934, 8976, 9008, 9053,
+    9228, 9302, 9306, 9433, 9466, 9868, 9978, 10114, 10128, 10181, 10650,
+    10711, 10869, 10942, 11021, 11050, 11110, 11116, 11118, 11232, 11365,
+    11427, 11433, 11513, 11531, 11536, 11610, 11612, 11674, 11714, 11867,
+    11869, 12035, 12085, 12120, 12129, 12322, 12412, 12485, 12707, 12851,
+    12897, 12912, 13007, 13072, 13080, 13114, 13157, 13195, 13210, 13295,
+    13320, 13323, 13375, 13482, 13548, 13574, 13648, 13652, 13999, 14037,
+    14070, 14136, 14142, 14264, 14457, 14469, 14493, 14500, 14527, 14559,
+    14647, 14738, 15005, 15299, 15313, 15318, 15394, 15400, 15498, 15706,
+    15804, 15807, 16125, 16161, 16164, 16171, 16187, 16195, 16196, 16207,
+    16228, 16235, 16244, 16308, 16312, 16316, 16341, 16356, 16368, 16422,
+    16499, 16531, 16755, 16837, 17026, 17141, 17412, 17417, 17474, 17487,
+    17492, 17495, 17599, 17613, 17633, 17680, 17724, 17790, 17840, 17915,
+    17966, 18009, 18054, 18061, 18084, 18198, 18200, 18214, 18255, 18273,
+    18289, 18296, 18322, 18339, 18344, 18397, 18430, 18445, 18519, 18575,
+    18578, 18586, 18590, 18617, 18637, 18746, 18799, 18834, 18870, 18979,
+    18998, 19096, 19154, 19260,
+  ],
+  5: [
+    1, 4, 5, 8, 12, 13, 18, 53, 62, 65, 67, 76, 77, 78, 135, 137, 140, 145,
+    151, 152, 153, 156, 164, 184, 217, 229, 244, 250, 262, 263, 264, 266,
+    270, 285, 321, 325, 335, 337, 382, 387, 391, 404, 419, 452, 471, 472,
+    475, 493, 518, 523, 524, 525, 537, 544, 545, 547, 566, 570, 589, 616,
+    623, 626, 639, 641, 642, 648, 661, 667, 682, 695, 700, 701, 702, 720,
+    746, 761, 768, 783, 789, 790, 795, 800, 826, 831, 835, 860, 867, 880,
+    883, 888, 889, 890, 892, 893, 894, 898, 899, 908, 913, 917, 924, 926,
+    927, 937, 964, 967, 968, 977, 978, 984, 991, 993, 999, 1013, 1018, 1021,
+    1022, 1026, 1049, 1052, 1059, 1071, 1088, 1089, 1091, 1102, 1117, 1119,
+    1122, 1124, 1132, 1164, 1174, 1175, 1177, 1179, 1181, 1183, 1184, 1189,
+    1195, 1198, 1208, 1230, 1240, 1268, 1272, 1314, 1315, 1346, 1348, 1354,
+    1368, 1382, 1384, 1386, 1401, 1403, 1404, 1409, 1422, 1424, 1431, 1437,
+    1439, 1442, 1444, 1445, 1448, 1454, 1455, 1461, 1463, 1464, 1466, 1468,
+    1473, 1475, 1480, 1484, 1486, 1489, 1493, 1499, 1504, 1505, 1535, 1536,
+    1544, 1546, 1552, 1567, 1584, 1585, 1596, 1603, 1604, 1608, 1612, 1626,
+    1629, 1637, 1647, 1688, 1693, 1711, 1716, 1717, 1731, 1747, 1760, 1776,
+    1777, 1796, 1800, 1805, 1808, 1822, 1828, 1832, 1833, 1848, 1869, 1890,
+    1913, 1925, 1960, 1961, 1962, 1963, 1964, 1975, 1977, 1978, 1985, 1988,
+    1995, 1996, 1997, 2015, 2020, 2035, 2057, 2067, 2123, 2140, 2157, 2162,
+    2201, 2243, 2245, 2257, 2305, 2316, 2323, 2324, 2344, 2348, 2359, 2363,
+    2368, 2411, 2421, 2426, 2430, 2440, 2458, 2460, 2505, 2534, 2599, 2654,
+    2655, 2673, 2708, 2725, 2747, 2749, 2752, 2756, 2757, 2760, 2765, 2770,
+    2776, 2778, 2780, 2782, 2783, 2785, 2789, 2791, 2811, 2823, 2825, 2836,
+    2859, 2881, 2887, 2894, 2895, 2898, 2902, 2951, 2952, 2953, 2955, 2964,
+    2965, 2975, 2988, 3003, 3009, 3020, 3021, 3022, 3026, 3035, 3058, 3061,
+    3069,
+  ],
+  6: [
+    13, 53, 67, 70, 72, 96, 100, 114, 118, 128, 130, 145, 178, 216, 217,
+    223, 231, 241, 260, 268, 278, 333, 334, 345, 377, 387, 391, 438, 448,
+    477, 480, 486, 523, 544, 545, 547, 578, 584, 607, 613, 687, 688, 690,
+    691, 696, 702, 716, 728, 740, 746, 749, 771, 779, 810, 845, 850, 856,
+    900, 908, 913, 917, 963, 994, 999, 1030, 1038, 1098, 1107, 1121, 1132,
+    1133, 1141, 1145, 1150, 1192, 1199, 1203, 1215, 1241, 1271, 1288, 1302,
+    1312, 1313, 1319, 1322, 1325, 1332, 1356, 1366, 1367, 1391, 1398, 1404,
+    1407, 1414, 1415, 1419, 1604, 1608, 1613, 1631, 1652, 1658, 1664, 1754,
+    1782, 1783, 1794, 1802, 1819, 1833, 1852, 1877, 1883, 1901, 1930, 1956,
+    1962, 2015, 2016, 2024, 2048, 2089, 2092, 2115, 2133, 2152, 2154, 2173,
+    2174, 2243, 2246, 2265, 2272, 2274, 2275, 2292,
+  ],
+};
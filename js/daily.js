@@ -2,9 +2,23 @@
 // Urdle — Daily Word Selection
 // ========================================
 // Handles daily word picking based on US Eastern time,
-// 24-hour play lock, and localStorage persistence.
+// 24-hour play lock, and saving today's game (storage.js).
+// Every word-length variant (variants.js) has its own
+// schedule and saved state; these work on the active one.
 
-const DAILY_STORAGE_KEY = 'urdle_daily';
+// Puzzle 0 — the day the answer schedule went live (US Eastern).
+// Days before it were played on the old word picker, so they have
+// no puzzle numbers and no archive.
+const LAUNCH_DATE = '2026-10-19';
+
+// Multi-board puzzles draw their words at random once this many
+// puzzles are published; before that they take the latest ones
+const MULTI_BOARD_MIN_POOL = 16;
+
+// Whether the on-screen keyboard can type a sealed answer (set by
+// game.js at startup). null means unknown, e.g. in Node tooling —
+// every answer is kept.
+let typeableCheck = null;
 
 /**
  * Get today's date string in US Eastern timezone (YYYY-MM-DD).
@@ -21,71 +35,166 @@ function getUSToday() {
 }
 
 /**
- * Deterministic daily word from the WORDS array.
- * Uses a simple date-based hash seeded from epoch day count.
+ * Whole days from one YYYY-MM-DD date string to another.
+ */
+function daysBetween(from, to) {
+    const a = Date.parse(from + 'T00:00:00Z');
+    const b = Date.parse(to + 'T00:00:00Z');
+    return Math.round((b - a) / 86400000);
+}
+
+/**
+ * Days since LAUNCH_DATE for a YYYY-MM-DD date (launch day is 0).
+ */
+function daysSinceLaunch(date) {
+    return daysBetween(LAUNCH_DATE, date);
+}
+
+/**
+ * Public puzzle number for a date (defaults to today).
+ * Puzzle #0 is LAUNCH_DATE; used in share text, saved state and stats.
  */
+function getPuzzleNumber(date) {
+    return daysSinceLaunch(date || getUSToday());
+}
+
 /**
- * Deterministic but RANDOM-looking daily word.
- * Same for everyone, changes daily.
+ * Date string (YYYY-MM-DD) a puzzle number was published on.
  */
-function getDailyWord() {
-    const today = getUSToday();
+function getDateForPuzzle(puzzle) {
+    const time = Date.parse(LAUNCH_DATE + 'T00:00:00Z') + puzzle * 86400000;
+    return new Date(time).toISOString().slice(0, 10);
+}
 
-    // Create numeric seed from date string (YYYY-MM-DD)
-    let seed = 0;
-    for (let i = 0; i < today.length; i++) {
-        seed += today.charCodeAt(i);
+/**
+ * Tell the schedule how to check that the keyboard can type a
+ * sealed answer: check(answer) → boolean.
+ */
+function setTypeableCheck(check) {
+    typeableCheck = check;
+}
+
+/**
+ * Whether every letter of a sealed answer (seal.js) can be entered
+ * on the keyboard.
+ */
+function isTypeable(answer) {
+    return !typeableCheck || typeableCheck(answer);
+}
+
+/**
+ * Answers (sealed) a player can actually enter. scripts/lint-words.js
+ * fails on untypeable answers, so this only drops words if the
+ * keyboard breaks.
+ */
+function getPlayableAnswers() {
+    return getVariant().answers.filter(isTypeable);
+}
+
+/**
+ * Hand the schedule lookups to their one caller: game.js claims
+ * them as it loads, so today's code cannot be looked up from the
+ * console. Returns { getScheduledAnswer, getScheduledAnswers }, or
+ * null once claimed; Node tooling claims its own.
+ */
+const claimSchedule = (function () {
+    /**
+     * Scheduled answer (sealed) for a puzzle number in the active variant.
+     * Each answer list is append-only and already in schedule order, so
+     * adding words never changes a published puzzle. Once every
+     * answer has been used the schedule starts again from the top
+     * (append new words before that happens). An answer the keyboard
+     * cannot type hands its day to the next typeable one, so no other
+     * puzzle changes.
+     */
+    function getScheduledAnswer(puzzle) {
+        const answers = getVariant().answers;
+        const n = answers.length;
+        const index = ((puzzle % n) + n) % n;
+        for (let step = 0; step < n; step++) {
+            const answer = answers[(index + step) % n];
+            if (isTypeable(answer)) return answer;
+        }
+        return answers[index];
     }
 
-    // Seeded random generator
-    function seededRandom(s) {
-        const x = Math.sin(s) * 10000;
-        return x - Math.floor(x);
+    /**
+     * Deterministic pseudo-random numbers in [0, 1) from an integer seed
+     * (mulberry32), so every player derives the same picks.
+     */
+    function seededRandom(seed) {
+        let state = seed >>> 0;
+        return function () {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
     }
 
-    // Shuffle WORDS using seeded randomness
-    const shuffled = [...WORDS];
+    /**
+     * Every board's answer (sealed) for a puzzle in the active variant.
+     * A single board is just the scheduled answer. Multi-board puzzles
+     * reuse the answers of puzzles published before them, so they never
+     * spoil today's or a future single-board word, and appending answers
+     * never changes them. Once MULTI_BOARD_MIN_POOL puzzles are out they
+     * are drawn at random, seeded from the puzzle number and board count;
+     * until then they are the latest puzzles' answers, counting back
+     * through the single-board rotation (past its start, the first days
+     * take the words at the end of the list, scheduled furthest away).
+     */
+    function getScheduledAnswers(puzzle) {
+        const boards = getBoardCount();
+        if (boards === 1) return [getScheduledAnswer(puzzle)];
 
-    for (let i = shuffled.length - 1; i > 0; i--) {
-        const rand = seededRandom(seed + i);
-        const j = Math.floor(rand * (i + 1));
-        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        const words = [];
+        const add = (word) => {
+            if (!words.includes(word)) words.push(word);
+        };
+        if (puzzle >= MULTI_BOARD_MIN_POOL) {
+            const random = seededRandom(puzzle * 10 + boards);
+            while (words.length < boards) add(getScheduledAnswer(Math.floor(random() * puzzle)));
+        } else {
+            for (let back = 1; words.length < boards; back++) add(getScheduledAnswer(puzzle - back));
+        }
+        return words;
     }
 
-    // Pick word based on day index
-    const epoch = new Date(today).getTime();
-    const dayIndex = Math.floor(epoch / 86400000);
-
-    return shuffled[dayIndex % shuffled.length];
-}
+    let claimed = false;
+    return function claimSchedule() {
+        if (claimed) return null;
+        claimed = true;
+        return { getScheduledAnswer, getScheduledAnswers };
+    };
+})();
 
 /**
  * Load persisted game state for today (if any).
- * Returns { date, attempts, gameOver, won } or null.
+ * Returns { date, puzzle, attempts, gameOver, won, hardMode, hints }
+ * or null.
  */
 function loadDailyState() {
-    try {
-        const raw = localStorage.getItem(DAILY_STORAGE_KEY);
-        if (!raw) return null;
-        const data = JSON.parse(raw);
-        if (data.date !== getUSToday()) return null; // stale
-        return data;
-    } catch {
-        return null;
-    }
+    const data = loadStore().daily[getVariantId()];
+    if (!data || data.date !== getUSToday()) return null; // stale
+    return data;
 }
 
 /**
- * Save game state to localStorage.
+ * Save the daily game's state for `puzzle`, the one on the board
+ * (not whatever day it is by now), dated the day it was published.
  */
-function saveDailyState(attempts, gameOver, won) {
+function saveDailyState(puzzle, attempts, gameOver, won, hardMode, hints) {
     const data = {
-        date: getUSToday(),
+        date: getDateForPuzzle(puzzle),
+        puzzle: puzzle,
         attempts: attempts, // array of guess strings
         gameOver: gameOver,
         won: won,
+        hardMode: !!hardMode,
+        hints: hints || [], // hints taken (see createGameMachine())
     };
-    localStorage.setItem(DAILY_STORAGE_KEY, JSON.stringify(data));
+    updateStore((store) => { store.daily[getVariantId()] = data; });
 }
 
 /**
@@ -98,8 +207,10 @@ function canPlayToday() {
 }
 
 /**
- * Mark today as played (called when game ends).
+ * Mark `puzzle` as played (called when its game ends) and record it
+ * in stats.
  */
-function markPlayed(attempts, won) {
-    saveDailyState(attempts, true, won);
+function markPlayed(puzzle, attempts, won, hardMode, hints) {
+    saveDailyState(puzzle, attempts, true, won, hardMode, hints);
+    recordResult(puzzle, getDateForPuzzle(puzzle), attempts.length, won, (hints || []).length);
 }
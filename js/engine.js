@@ -0,0 +1,121 @@
+// ========================================
+// Urdle — Guess Engine
+// ========================================
+// The rules of the game on their own: splitting words into
+// letters, scoring a guess, and checking it against the
+// dictionary and hard mode. Nothing here touches the DOM or
+// storage, so Node tooling can load it through
+// scripts/browser-context.js. Needs normalize.js.
+
+/**
+ * Split an Urdu word into individual visual letters.
+ * Normalizing first composes or drops combining marks, so every
+ * remaining code point is one letter.
+ */
+function splitUrdu(word) {
+    // Use Array.from for proper Unicode splitting
+    return Array.from(normalizeUrdu(word));
+}
+
+/**
+ * Score a guess against an answer (words or arrays of letters of
+ * the same length). Two-pass algorithm to handle duplicate letters
+ * correctly: a letter is only 'present' as many times as the
+ * answer still has it after the 'correct' ones are counted.
+ *
+ * Returns an array of 'correct' | 'present' | 'absent'.
+ */
+function evaluateGuess(guess, answer) {
+    const guessLetters = Array.isArray(guess) ? guess : splitUrdu(guess);
+    const answerLetters = Array.isArray(answer) ? answer : splitUrdu(answer);
+    const result = new Array(guessLetters.length).fill('absent');
+
+    // Build frequency map of answer letters
+    const freq = {};
+    for (const letter of answerLetters) {
+        freq[letter] = (freq[letter] || 0) + 1;
+    }
+
+    // First pass: mark correct (green)
+    for (let i = 0; i < guessLetters.length; i++) {
+        if (guessLetters[i] === answerLetters[i]) {
+            result[i] = 'correct';
+            freq[guessLetters[i]]--;
+        }
+    }
+
+    // Second pass: mark present (yellow)
+    for (let i = 0; i < guessLetters.length; i++) {
+        if (result[i] === 'correct') continue;
+        if (freq[guessLetters[i]] > 0) {
+            result[i] = 'present';
+            freq[guessLetters[i]]--;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Whether an evaluation solved its board.
+ */
+function isSolvedEvaluation(evaluation) {
+    return evaluation.every((status) => status === 'correct');
+}
+
+/**
+ * Set of accepted guesses (normalized) from a variant's dictionary.
+ * Answers are sealed (seal.js), so every answer must be in the
+ * dictionary too — scripts/lint-words.js checks.
+ */
+function buildGuessSet(words) {
+    return new Set(words.map(normalizeUrdu));
+}
+
+/**
+ * Check a guess (array of letters) before it is scored.
+ * Returns null if it can be played, 'length' if it has the wrong
+ * number of letters, or 'unknown' if it is not in `validGuesses`.
+ */
+function validateGuess(guessLetters, length, validGuesses) {
+    if (guessLetters.length !== length) return 'length';
+    if (!validGuesses.has(guessLetters.join(''))) return 'unknown';
+    return null;
+}
+
+/**
+ * Check a guess (array of letters) against every hint revealed by
+ * earlier `attempts` and their `evaluations` (one board): green
+ * letters must stay in place and yellow letters must be reused.
+ *
+ * Returns null if the guess is allowed, otherwise the first broken
+ * hint as { letter, position } — position is the index a green
+ * letter must stay at, or -1 for a letter missing from the guess.
+ */
+function findHardModeViolation(guessLetters, attempts, evaluations) {
+    for (let row = 0; row < attempts.length; row++) {
+        const letters = splitUrdu(attempts[row]);
+        const evaluation = evaluations[row];
+
+        for (let i = 0; i < letters.length; i++) {
+            if (evaluation[i] === 'correct' && guessLetters[i] !== letters[i]) {
+                return { letter: letters[i], position: i };
+            }
+        }
+
+        // Each revealed letter must appear at least as often as it was hinted
+        const needed = {};
+        for (let i = 0; i < letters.length; i++) {
+            if (evaluation[i] !== 'absent') {
+                needed[letters[i]] = (needed[letters[i]] || 0) + 1;
+            }
+        }
+        for (const letter of Object.keys(needed)) {
+            const used = guessLetters.filter((l) => l === letter).length;
+            if (used < needed[letter]) {
+                return { letter, position: -1 };
+            }
+        }
+    }
+    return null;
+}
@@ -8,34 +8,75 @@
 (function () {
     'use strict';
 
-    // --- Constants ---
-    const WORD_LENGTH = 4;
-    const MAX_ATTEMPTS = 7;
+    // Opens the sealed answers and their notes, and seals practice
+    // words (js/seal.js); only this file gets them
+    const { createSealedAnswer, unsealNote, sealWord } = claimSealedAnswers();
+    // The daily schedule (js/daily.js), kept here for the same reason
+    const schedule = claimSchedule();
+
+    // Accepted guesses per word length: the variant's dictionary,
+    // normalized so look-alike spellings match (see normalize.js).
+    // Built the first time a variant is played.
+    const validGuesses = {};
+
+    // Urdu letter counts for the "enter N letters" toast
+    const LENGTH_NAMES = { 3: 'تین', 4: 'چار', 5: 'پانچ', 6: 'چھ' };
 
     // --- State ---
-    let secretWord = '';
-    let secretLetters = []; // individual letters of secret word
+    // Every guess is played on all boards at once; a single-board
+    // game is simply one board.
+    let wordLength = CLASSIC_WORD_LENGTH; // letters in the variant on the board
+    let boardCount = 1;
+    let maxAttempts = GAME_RULES.maxAttempts;
+    let secretAnswers = []; // one sealed answer per board (js/seal.js)
+    let game = null;        // guesses, results and status (js/machine.js)
     let currentGuess = [];
-    let attempts = [];      // array of guess strings
-    let evaluations = [];   // array of evaluation arrays
-    let currentRow = 0;
-    let gameOver = false;
-    let won = false;
 
-    // --- Hint click counter ---
-    let hintClickCount = 0;
-    const HINT_MAGIC_NUMBER = 18;
+    // --- Session ---
+    // Which puzzle is on the board. Bumping `session` invalidates
+    // reveal timers still pending from the previous game.
+    let mode = 'daily';     // 'daily' | 'archive' | 'practice'
+    let puzzleNumber = 0;
+    let session = 0;
+    let countdownInterval = null;
+
+    // --- Hard mode ---
+    // Revealed hints must be reused. Fixed per game once the first
+    // guess is in; the setting only applies to fresh games.
+    const ORDINALS = ['پہلا', 'دوسرا', 'تیسرا', 'چوتھا', 'پانچواں', 'چھٹا'];
+    let hardMode = false;
+
+    // --- Roman Urdu input ---
+    // Candidate spellings per word length, common (answer) words
+    // first; built on first use
+    const ROMAN_CANDIDATE_LIMIT = 8;
+    const ROMAN_INPUT_DELAY = 120; // ms of typing pause before searching
+    const romanWords = {};
+    let romanTimer = null;
+
+    // --- Progress transfer ---
+    // An import waiting for the player to settle its conflicts
+    let pendingImport = null;
+
+    // --- Hints ---
+    // A 'check' hint waiting for the player to pick its letter
+    // on the keyboard
+    let pickingHintLetter = false;
 
     // --- DOM References ---
     let guessContainer;
     let historyContainer;
     let keyboardEl;
     let shareBtn;
-    let hintIcon;
+    let hintList;
+    let wordCard;
+    let romanPanel;
+    let romanText;
+    let romanCandidates;
 
     // --- Key state tracking ---
-    // Maps letter → best status: 'correct' > 'present' > 'absent'
-    const keyStates = {};
+    // One map per board, letter → best status: 'correct' > 'present' > 'absent'
+    let keyStates = [{}];
 
     // ========================================
     // Initialization
@@ -45,22 +86,18 @@
         historyContainer = document.getElementById('history');
         keyboardEl = document.getElementById('keyboard');
         shareBtn = document.getElementById('share-btn');
-        hintIcon = document.getElementById('hint-icon');
+        hintList = document.getElementById('hint-list');
+        wordCard = document.getElementById('word-card');
+        romanPanel = document.getElementById('roman-input');
+        romanText = document.getElementById('roman-text');
+        romanCandidates = document.getElementById('roman-candidates');
 
-        // Pick today's word
-        secretWord = getDailyWord();
-        secretLetters = splitUrdu(secretWord);
+        // Render the chosen layout; only schedule answers it can type
+        renderKeyboard();
+        checkTypeableAnswers();
 
-        // Clear placeholder content
-        clearHistoryPlaceholders();
-        resetKeyboard();
-        renderEmptyGuess();
-
-        // Try to restore saved state
-        const saved = loadDailyState();
-        if (saved && saved.date === getUSToday()) {
-            restoreState(saved);
-        }
+        // Start on today's puzzle
+        startGame('daily');
 
         // Bind keyboard clicks
         keyboardEl.addEventListener('click', (e) => {
@@ -72,35 +109,27 @@
         // Bind physical keyboard
         document.addEventListener('keydown', handlePhysicalKey);
 
+        // Roman Urdu input
+        bindRomanInput();
+
         // Share button
         shareBtn.addEventListener('click', shareResult);
 
-        // Hint icon easter egg
-        if (hintIcon) {
-            hintIcon.addEventListener('click', handleHintClick);
-        }
+        // Settings toggles
+        bindSettings();
 
-        // Help modal
-        const helpBtn = document.getElementById('help-btn');
-        const helpModal = document.getElementById('help-modal');
-        const modalClose = document.getElementById('modal-close');
+        // Progress export/import
+        bindTransfer();
 
-        if (helpBtn && helpModal) {
-            helpBtn.addEventListener('click', () => {
-                helpModal.classList.add('active');
-            });
-
-            modalClose.addEventListener('click', () => {
-                helpModal.classList.remove('active');
-            });
+        // Hints
+        bindHints();
 
-            // Close on overlay click (outside modal content)
-            helpModal.addEventListener('click', (e) => {
-                if (e.target === helpModal) {
-                    helpModal.classList.remove('active');
-                }
-            });
-        }
+        // Help, stats & archive modals
+        bindModal('help-btn', 'help-modal', 'modal-close');
+        bindModal('hint-icon', 'hint-modal', 'hint-close', renderHintMenu);
+        bindModal('stats-btn', 'stats-modal', 'stats-close', renderStats);
+        bindModal('archive-btn', 'archive-modal', 'archive-close', renderArchive);
+        bindModal('settings-btn', 'settings-modal', 'settings-close', syncSettingsInputs);
 
         // ========================================
         // Mubarak Waqt — 1:18 Birthday Popup
@@ -200,17 +229,159 @@
     });
 
     // ========================================
-    // Urdu String Utilities
+    // Game Session
     // ========================================
 
     /**
-     * Split an Urdu word into individual visual letters.
-     * Handles combining characters properly.
+     * Load a puzzle onto the board: today's daily game, a past puzzle
+     * in archive mode, or a random practice word. Resets all per-game
+     * state and restores any saved progress for that puzzle.
+     */
+    function startGame(nextMode, puzzle) {
+        session++;
+        mode = nextMode;
+
+        // Schedules and storage follow the chosen word length and boards
+        setWordLength(getSetting('wordLength'));
+        setBoardCount(getSetting('boards'));
+        wordLength = getWordLength();
+        boardCount = getBoardCount();
+        maxAttempts = getMaxAttempts();
+        historyContainer.dataset.length = wordLength;
+        historyContainer.dataset.boards = boardCount;
+
+        puzzleNumber = mode === 'archive' ? puzzle : getPuzzleNumber();
+        // Hard mode rules need a single board's hints
+        hardMode = getSetting('hardMode') && boardCount === 1;
+
+        if (mode === 'practice') {
+            // Resume the practice words in progress, or start fresh ones
+            const practice = loadPracticeState();
+            secretAnswers = practice ? practice.words : pickPracticeWords(sealWord);
+            if (!practice) savePracticeState(secretAnswers, [], false, false, hardMode);
+        } else {
+            secretAnswers = schedule.getScheduledAnswers(puzzleNumber);
+        }
+        // Hints need a single board, like hard mode
+        const maxHints = boardCount === 1 ? GAME_RULES.maxHints : 0;
+        game = createGameMachine(secretAnswers.map(createSealedAnswer), maxAttempts, maxHints);
+        game.subscribe(handleGameEvent);
+
+        currentGuess = [];
+        pickingHintLetter = false;
+        keyStates = secretAnswers.map(() => ({}));
+
+        const label = getVariantLabel();
+        document.getElementById('puzzle-number').textContent =
+            (label ? label + ' ' : '') + (mode === 'practice' ? '🎲' : '#' + puzzleNumber);
+        hideCountdownBanner();
+        renderModeBanner();
+
+        // Clear placeholder content
+        clearHistoryPlaceholders();
+        renderBoardColumns();
+        resetKeyboard();
+        renderEmptyGuess();
+        renderHints();
+        renderWordCard();
+
+        // Try to restore saved state
+        const saved = loadSavedState();
+        if (saved) {
+            restoreState(saved);
+        }
+
+        syncSettingsInputs();
+        updateRomanInput();
+    }
+
+    /**
+     * Accepted guesses for the variant on the board.
      */
-    function splitUrdu(word) {
-        // Use Array.from for proper Unicode splitting
-        const chars = Array.from(word);
-        return chars;
+    function getValidGuesses() {
+        if (!validGuesses[wordLength]) {
+            validGuesses[wordLength] = buildGuessSet(getVariant().words);
+        }
+        return validGuesses[wordLength];
+    }
+
+    /**
+     * Name of the variant on the board, e.g. "5 حرفی" or "5 حرفی ×2";
+     * empty for the classic single-board 4-letter game.
+     */
+    function getVariantLabel() {
+        const parts = [];
+        if (wordLength !== CLASSIC_WORD_LENGTH) parts.push(wordLength + ' حرفی');
+        if (boardCount > 1) parts.push('×' + boardCount);
+        return parts.join(' ');
+    }
+
+    /**
+     * Saved progress for the puzzle on the board (or null).
+     */
+    function loadSavedState() {
+        if (mode === 'archive') return loadArchiveState(puzzleNumber);
+        if (mode === 'practice') return loadPracticeState();
+        const saved = loadDailyState();
+        if (!saved || saved.date !== getUSToday()) return null;
+        return saved.puzzle === undefined && !isLegacyDailyCurrent(saved) ? null : saved;
+    }
+
+    /**
+     * Whether a daily game saved before puzzle numbers (urdle_daily,
+     * moved over by storage.js) was played against today's answer.
+     * The old word picker chose another word, so only a win whose
+     * last guess also solves today's answer is kept.
+     */
+    function isLegacyDailyCurrent(saved) {
+        if (!saved.won || boardCount !== 1 || !saved.attempts.length) return false;
+        const evaluation = createSealedAnswer(secretAnswers[0]).evaluate(saved.attempts[saved.attempts.length - 1]);
+        return !!evaluation && isSolvedEvaluation(evaluation);
+    }
+
+    /**
+     * Persist progress for the puzzle on the board. Archive and
+     * practice games never touch the daily lock or the daily stats.
+     */
+    function saveProgress() {
+        const { status, attempts, hints } = game.getState();
+        const gameOver = isGameOver();
+        const won = status === GAME_STATES.WON;
+        if (mode === 'archive') {
+            saveArchiveState(puzzleNumber, attempts, gameOver, won, hardMode, hints);
+        } else if (mode === 'practice') {
+            savePracticeState(secretAnswers, attempts, gameOver, won, hardMode, hints);
+        } else if (gameOver) {
+            markPlayed(puzzleNumber, attempts, won, hardMode, hints);
+        } else {
+            saveDailyState(puzzleNumber, attempts, false, false, hardMode, hints);
+        }
+    }
+
+    /**
+     * Derive the typeable alphabet from the keyboard layouts and hand
+     * it to the schedule, which then skips unreachable answers. In dev
+     * the number skipped is logged; the words stay sealed, so the lint
+     * names them.
+     */
+    function checkTypeableAnswers() {
+        const letters = getTypeableLetters();
+        setTypeableCheck((answer) => createSealedAnswer(answer).usesOnly(letters));
+
+        const unreachable = Object.values(WORD_VARIANTS)
+            .reduce((all, variant) => all.concat(variant.answers), [])
+            .filter((answer) => !isTypeable(answer));
+        if (unreachable.length && isDevHost()) {
+            console.warn('[Urdle] ' + unreachable.length + ' answer(s) cannot be typed on the keyboard and are skipped — run node scripts/lint-words.js');
+        }
+    }
+
+    /**
+     * Local development (localhost or a file opened directly).
+     */
+    function isDevHost() {
+        const host = location.hostname;
+        return location.protocol === 'file:' || host === 'localhost' || host === '127.0.0.1';
     }
 
     // ========================================
@@ -222,7 +393,7 @@
      */
     function renderEmptyGuess() {
         guessContainer.innerHTML = '';
-        for (let i = 0; i < WORD_LENGTH; i++) {
+        for (let i = 0; i < wordLength; i++) {
             const tile = document.createElement('div');
             tile.className = 'tile empty';
             tile.textContent = '';
@@ -236,7 +407,7 @@
      */
     function updateGuessTiles() {
         const tiles = guessContainer.querySelectorAll('.tile');
-        for (let i = 0; i < WORD_LENGTH; i++) {
+        for (let i = 0; i < wordLength; i++) {
             if (i < currentGuess.length) {
                 tiles[i].textContent = currentGuess[i];
                 tiles[i].classList.remove('empty');
@@ -254,17 +425,105 @@
      * Keep only the header row.
      */
     function clearHistoryPlaceholders() {
-        const rows = historyContainer.querySelectorAll('.history-row');
+        const rows = historyContainer.querySelectorAll('.history-row, .board-columns');
         rows.forEach((row) => row.remove());
     }
 
+    /**
+     * Multi-board games get one history column per board instead of
+     * the single list of rows.
+     */
+    function renderBoardColumns() {
+        if (boardCount === 1) return;
+
+        const columns = document.createElement('div');
+        columns.className = 'board-columns';
+        for (let board = 0; board < boardCount; board++) {
+            const column = document.createElement('div');
+            column.className = 'board-column';
+
+            const title = document.createElement('div');
+            title.className = 'board-title';
+            title.textContent = 'بورڈ ' + (board + 1);
+            column.appendChild(title);
+
+            columns.appendChild(column);
+        }
+        historyContainer.appendChild(columns);
+    }
+
+    /**
+     * Add one guess to every board column that was still unsolved.
+     * A solved column is marked and shows its answer.
+     */
+    function addBoardRows(guess, boardEvaluations, rowIndex) {
+        const letters = splitUrdu(guess);
+        const columns = historyContainer.querySelectorAll('.board-column');
+
+        boardEvaluations.forEach((evaluation, board) => {
+            if (!evaluation) return; // solved by an earlier guess
+
+            const row = document.createElement('div');
+            row.className = 'board-row';
+
+            const indexDiv = document.createElement('div');
+            indexDiv.className = 'row-index';
+            indexDiv.textContent = rowIndex;
+            row.appendChild(indexDiv);
+
+            const tilesDiv = document.createElement('div');
+            tilesDiv.className = 'tiles';
+            for (let i = 0; i < letters.length; i++) {
+                const mt = document.createElement('div');
+                mt.className = 'mini-tile ' + evaluation[i];
+                mt.textContent = letters[i];
+                tilesDiv.appendChild(mt);
+            }
+            row.appendChild(tilesDiv);
+            columns[board].appendChild(row);
+
+            if (evaluation.every((s) => s === 'correct')) {
+                columns[board].classList.add('solved');
+            }
+        });
+    }
+
+    /**
+     * Build the on-screen keyboard from the layout chosen in settings.
+     */
+    function renderKeyboard() {
+        const layout = getKeyboardLayout(getSetting('keyboardLayout'));
+        keyboardEl.innerHTML = '';
+
+        layout.rows.forEach((row) => {
+            const rowEl = document.createElement('div');
+            rowEl.className = 'keyboard-row';
+
+            row.forEach((key) => {
+                const def = getKeyDef(key);
+                const btn = document.createElement('button');
+                btn.className = def.action ? 'key action-key' : 'key';
+                btn.dataset.letter = def.action || def.letter;
+                btn.textContent = def.label;
+                if (def.id) btn.id = def.id;
+                rowEl.appendChild(btn);
+            });
+
+            keyboardEl.appendChild(rowEl);
+        });
+
+        paintKeyStates();
+    }
+
     /**
      * Remove all .disabled classes from keyboard keys (clear placeholder state).
      */
     function resetKeyboard() {
         const keys = keyboardEl.querySelectorAll('.key');
         keys.forEach((key) => {
-            key.classList.remove('disabled', 'correct', 'present', 'absent');
+            key.classList.remove('disabled', 'correct', 'present', 'absent', 'split');
+            const split = key.querySelector('.key-split');
+            if (split) split.remove();
         });
     }
 
@@ -322,51 +581,377 @@
     }
 
     /**
-     * Update keyboard key visual states based on evaluations.
+     * Update keyboard key visual states based on evaluations
+     * (one per board; null for boards already solved).
      */
-    function updateKeyboard(guess, evaluation) {
+    function updateKeyboard(guess, boardEvaluations) {
         const letters = splitUrdu(guess);
         const priority = { correct: 3, present: 2, absent: 1 };
 
-        for (let i = 0; i < letters.length; i++) {
-            const letter = letters[i];
-            const status = evaluation[i];
-            const current = keyStates[letter];
-            const currentPriority = current ? priority[current] : 0;
+        boardEvaluations.forEach((evaluation, board) => {
+            if (!evaluation) return;
+            const states = keyStates[board];
+
+            for (let i = 0; i < letters.length; i++) {
+                const letter = letters[i];
+                const status = evaluation[i];
+                const current = states[letter];
+                const currentPriority = current ? priority[current] : 0;
 
-            if (priority[status] > currentPriority) {
-                keyStates[letter] = status;
+                if (priority[status] > currentPriority) {
+                    states[letter] = status;
+                }
             }
-        }
+        });
 
-        // Apply to DOM
+        paintKeyStates();
+    }
+
+    /**
+     * Apply tracked key states to the rendered keyboard. With several
+     * boards each key is split into one cell per board.
+     */
+    function paintKeyStates() {
         const keys = keyboardEl.querySelectorAll('.key[data-letter]');
         keys.forEach((key) => {
             const letter = key.dataset.letter;
             if (letter === 'backspace' || letter === 'enter') return;
-            const state = keyStates[letter];
-            key.classList.remove('disabled', 'correct', 'present', 'absent');
-            if (state) {
-                key.classList.add(state);
+            const normalized = normalizeUrdu(letter);
+            key.classList.remove('disabled', 'correct', 'present', 'absent', 'split');
+            const oldSplit = key.querySelector('.key-split');
+            if (oldSplit) oldSplit.remove();
+
+            if (keyStates.length === 1) {
+                const state = keyStates[0][normalized];
+                if (state) {
+                    key.classList.add(state);
+                }
+                return;
             }
+
+            if (!keyStates.some((states) => states[normalized])) return;
+            const split = document.createElement('span');
+            split.className = 'key-split';
+            keyStates.forEach((states) => {
+                const cell = document.createElement('span');
+                cell.className = states[normalized] || '';
+                split.appendChild(cell);
+            });
+            key.classList.add('split');
+            key.appendChild(split);
+        });
+    }
+
+    /**
+     * Wire a header button to open a modal overlay, with close
+     * button and outside-click dismissal. onOpen runs before showing.
+     */
+    function bindModal(btnId, modalId, closeId, onOpen) {
+        const btn = document.getElementById(btnId);
+        const modal = document.getElementById(modalId);
+        const close = document.getElementById(closeId);
+        if (!btn || !modal) return;
+
+        btn.addEventListener('click', () => {
+            if (onOpen) onOpen();
+            modal.classList.add('active');
+        });
+
+        close.addEventListener('click', () => {
+            modal.classList.remove('active');
+        });
+
+        // Close on overlay click (outside modal content)
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                modal.classList.remove('active');
+            }
+        });
+    }
+
+    /**
+     * Fill the stats modal from the persisted stats store.
+     * Highlights today's bar when today's game was won.
+     */
+    function renderStats() {
+        const summary = getStatsSummary(maxAttempts);
+        const state = game.getState();
+        document.getElementById('stats-variant').textContent = getVariantLabel() || wordLength + ' حرفی';
+        document.getElementById('stat-played').textContent = summary.played;
+        document.getElementById('stat-win-pct').textContent = summary.winPct;
+        document.getElementById('stat-current-streak').textContent = summary.currentStreak;
+        document.getElementById('stat-max-streak').textContent = summary.maxStreak;
+
+        const container = document.getElementById('guess-distribution');
+        container.innerHTML = '';
+        const most = Math.max(1, ...summary.distribution);
+
+        summary.distribution.forEach((count, i) => {
+            const row = document.createElement('div');
+            row.className = 'dist-row';
+
+            const label = document.createElement('div');
+            label.className = 'dist-label';
+            label.textContent = i + 1;
+
+            const bar = document.createElement('div');
+            bar.className = 'dist-bar';
+            const cost = state.attempts.length + state.hints.length;
+            if (mode === 'daily' && state.status === GAME_STATES.WON && cost === i + 1) bar.classList.add('current');
+            bar.style.width = Math.max(8, (count / most) * 100) + '%';
+            bar.textContent = count;
+
+            row.appendChild(label);
+            row.appendChild(bar);
+            container.appendChild(row);
         });
     }
 
     // ========================================
-    // Hint Icon Easter Egg
+    // Archive
     // ========================================
 
-    function handleHintClick() {
-        hintClickCount++;
+    /**
+     * Show which archive or practice game is on the board, with a
+     * way back to today (and to a new word, in practice mode).
+     */
+    function renderModeBanner() {
+        const existing = document.getElementById('mode-banner');
+        if (existing) existing.remove();
+        if (mode === 'daily') return;
 
-        if (hintClickCount === HINT_MAGIC_NUMBER) {
-            showToast('Mubarak number(part of it)!!!! if you click aik aur baar toh answer ajaye ga so...', 6000);
-        } else if (hintClickCount > HINT_MAGIC_NUMBER) {
-            showToast('jawab is ' + secretWord, 6000);
-            hintClickCount = 0; // reset so they can trigger it again
-        } else {
-            showToast('Hiii 🥺 + 🐥 no hints for you sorry!...but i believe in you bohat ❤️ You can do it ', 4000);
+        const banner = document.createElement('div');
+        banner.id = 'mode-banner';
+        banner.className = 'mode-banner';
+
+        const label = document.createElement('span');
+        label.textContent = mode === 'practice'
+            ? 'مشق — اعداد و شمار میں شامل نہیں'
+            : 'آرکائیو #' + puzzleNumber + ' — ' + getDateForPuzzle(puzzleNumber);
+        banner.appendChild(label);
+
+        if (mode === 'practice') {
+            const next = document.createElement('button');
+            next.className = 'mode-back';
+            next.id = 'new-word-btn';
+            next.textContent = 'نیا لفظ';
+            next.addEventListener('click', startNewPractice);
+            banner.appendChild(next);
+
+            const undo = document.createElement('button');
+            undo.className = 'mode-back';
+            undo.id = 'undo-btn';
+            undo.textContent = 'واپس لیں';
+            undo.addEventListener('click', undoGuess);
+            banner.appendChild(undo);
+        }
+
+        const back = document.createElement('button');
+        back.className = 'mode-back';
+        back.textContent = 'آج کا کھیل';
+        back.addEventListener('click', () => startGame('daily'));
+        banner.appendChild(back);
+
+        const header = document.getElementById('header');
+        header.parentNode.insertBefore(banner, header.nextSibling);
+    }
+
+    /**
+     * Build the archive calendar: one month grid per month since
+     * launch, each past day marked won / lost / unplayed.
+     */
+    function renderArchive() {
+        const container = document.getElementById('archive-calendar');
+        container.innerHTML = '';
+
+        const byDate = {};
+        getArchiveEntries().forEach((entry) => { byDate[entry.date] = entry; });
+
+        const today = getUSToday();
+        const monthFormat = new Intl.DateTimeFormat('ur', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+        const weekdays = ['اتوار', 'پیر', 'منگل', 'بدھ', 'جمعرات', 'جمعہ', 'ہفتہ'];
+
+        // Newest month first
+        const first = new Date(getDateForPuzzle(0) + 'T00:00:00Z');
+        const month = new Date(today + 'T00:00:00Z');
+        month.setUTCDate(1);
+
+        while (month >= new Date(Date.UTC(first.getUTCFullYear(), first.getUTCMonth(), 1))) {
+            const block = document.createElement('div');
+            block.className = 'archive-month';
+
+            const title = document.createElement('div');
+            title.className = 'archive-month-title';
+            title.textContent = monthFormat.format(month);
+            block.appendChild(title);
+
+            const grid = document.createElement('div');
+            grid.className = 'archive-grid';
+            weekdays.forEach((name) => {
+                const head = document.createElement('div');
+                head.className = 'archive-weekday';
+                head.textContent = name;
+                grid.appendChild(head);
+            });
+
+            // Pad to the first weekday of the month
+            for (let i = 0; i < month.getUTCDay(); i++) {
+                grid.appendChild(document.createElement('div'));
+            }
+
+            const day = new Date(month);
+            while (day.getUTCMonth() === month.getUTCMonth()) {
+                const date = day.toISOString().slice(0, 10);
+                const entry = byDate[date];
+                const cell = document.createElement('button');
+                cell.className = 'archive-day';
+                cell.textContent = day.getUTCDate();
+
+                if (entry) {
+                    cell.classList.add(entry.status);
+                    cell.title = '#' + entry.puzzle;
+                    cell.addEventListener('click', () => openPuzzle('archive', entry.puzzle));
+                } else if (date === today) {
+                    cell.classList.add('today');
+                    cell.title = '#' + getPuzzleNumber();
+                    cell.addEventListener('click', () => openPuzzle('daily'));
+                } else {
+                    cell.disabled = true;
+                }
+
+                grid.appendChild(cell);
+                day.setUTCDate(day.getUTCDate() + 1);
+            }
+
+            block.appendChild(grid);
+            container.appendChild(block);
+            month.setUTCMonth(month.getUTCMonth() - 1);
+        }
+    }
+
+    // ========================================
+    // Practice
+    // ========================================
+
+    /**
+     * Abandon the current practice word and start on a new one.
+     */
+    function startNewPractice() {
+        savePracticeState(pickPracticeWords(sealWord, secretAnswers), [], false, false, getSetting('hardMode') && boardCount === 1);
+        startGame('practice');
+    }
+
+    /**
+     * Take back the last guess. Practice only: a daily or archive
+     * result must stand. The game's 'undo' event redraws and saves.
+     */
+    function undoGuess() {
+        if (mode !== 'practice') return;
+        if (!game.undo()) showToast('یہ چال واپس نہیں ہو سکتی');
+    }
+
+    /**
+     * Close the archive modal and load the chosen puzzle.
+     */
+    function openPuzzle(nextMode, puzzle) {
+        document.getElementById('archive-modal').classList.remove('active');
+        startGame(nextMode, puzzle);
+    }
+
+    // ========================================
+    // Hints
+    // ========================================
+
+    /**
+     * Wire the buttons in the 💡 modal. A 'check' hint first needs
+     * its letter, picked on the keyboard (see handleKey()).
+     */
+    function bindHints() {
+        document.querySelectorAll('[data-hint]').forEach((btn) => {
+            btn.addEventListener('click', () => {
+                document.getElementById('hint-modal').classList.remove('active');
+                startHint(btn.dataset.hint);
+            });
+        });
+    }
+
+    /**
+     * Fill the 💡 modal: hints and guesses left, and which hints
+     * can be taken right now.
+     */
+    function renderHintMenu() {
+        const { attempts, hints } = game.getState();
+        const hintsLeft = boardCount === 1 ? GAME_RULES.maxHints - hints.length : 0;
+        document.getElementById('hint-note').textContent =
+            'ہر اشارہ ایک موقع کے برابر ہے — باقی اشارے: ' + hintsLeft +
+            '، باقی مواقع: ' + (maxAttempts - attempts.length - hints.length);
+
+        document.querySelectorAll('[data-hint]').forEach((btn) => {
+            const problem = getHintProblem(btn.dataset.hint);
+            btn.disabled = !!problem;
+            btn.title = problem || '';
+        });
+    }
+
+    /**
+     * Why a hint of `type` cannot be taken now, as an Urdu message,
+     * or null if it can.
+     */
+    function getHintProblem(type) {
+        if (boardCount > 1) return 'اشارے صرف ایک بورڈ والے کھیل میں ملتے ہیں';
+        if (isGameOver()) return 'کھیل ختم ہو چکا ہے';
+
+        const problem = game.checkHint(type);
+        if (problem === 'limit') return 'اس کھیل کے اشارے ختم ہو گئے';
+        if (problem === 'last-guess') return 'آخری موقع اشارے پر خرچ نہیں ہو سکتا';
+        if (problem === 'used') return 'لفظ کی قسم بتائی جا چکی ہے';
+        if (problem === 'no-clue') return 'اس لفظ کی قسم کا اشارہ نہیں ہے';
+        if (problem === 'none-left') return 'سب حروف کی جگہ پہلے ہی معلوم ہے';
+        return problem ? 'ابھی اشارہ نہیں مل سکتا' : null;
+    }
+
+    /**
+     * Take a hint, or for a 'check' hint wait for its letter.
+     * The game's 'hint' event shows and saves it.
+     */
+    function startHint(type) {
+        const problem = getHintProblem(type);
+        if (problem) {
+            showToast(problem);
+            return;
+        }
+        if (type === HINT_TYPES.CHECK) {
+            pickingHintLetter = true;
+            showToast('کی بورڈ سے وہ حرف چنیں جو دیکھنا ہے', 3000);
+            return;
+        }
+        game.hint(type);
+    }
+
+    /**
+     * A hint as shown to the player, e.g. "تیسرا حرف ب ہے".
+     */
+    function describeHint(hint) {
+        if (hint.type === HINT_TYPES.LETTER) {
+            return ORDINALS[hint.position] + ' حرف ' + hint.letter + ' ہے';
+        }
+        if (hint.type === HINT_TYPES.CHECK) {
+            return 'لفظ میں ' + hint.letter + (hint.present ? ' ہے' : ' نہیں ہے');
         }
+        return 'لفظ کی قسم: ' + hint.clue;
+    }
+
+    /**
+     * List the hints taken so far under the current guess.
+     */
+    function renderHints() {
+        hintList.innerHTML = '';
+        game.getState().hints.forEach((hint) => {
+            const item = document.createElement('li');
+            item.textContent = describeHint(hint);
+            hintList.appendChild(item);
+        });
+        hintList.hidden = hintList.children.length === 0;
     }
 
     // ========================================
@@ -396,43 +981,155 @@
     }
 
     // ========================================
-    // Tile Evaluation (Proper Wordle Algorithm)
+    // Game Events
     // ========================================
 
     /**
-     * Evaluate a guess against the secret word.
-     * Two-pass algorithm to handle duplicate letters correctly.
-     *
-     * Returns an array of 'correct' | 'present' | 'absent'.
+     * Whether the game on the board is won or lost.
      */
-    function evaluateGuess(guess) {
-        const guessLetters = splitUrdu(guess);
-        const result = new Array(WORD_LENGTH).fill('absent');
+    function isGameOver() {
+        const status = game.getState().status;
+        return status === GAME_STATES.WON || status === GAME_STATES.LOST;
+    }
 
-        // Build frequency map of secret letters
-        const freq = {};
-        for (const letter of secretLetters) {
-            freq[letter] = (freq[letter] || 0) + 1;
-        }
+    /**
+     * Whether the player may type or submit: not while a guess is
+     * being revealed, nor after the game is over.
+     */
+    function acceptsInput() {
+        return game.getState().status === GAME_STATES.IDLE;
+    }
 
-        // First pass: mark correct (green)
-        for (let i = 0; i < WORD_LENGTH; i++) {
-            if (guessLetters[i] === secretLetters[i]) {
-                result[i] = 'correct';
-                freq[guessLetters[i]]--;
+    /**
+     * Follow the game on the board: show each revealed guess and
+     * hint, redraw after an undo, save progress, announce the result
+     * and show the word card. Replayed events (a saved game being
+     * restored) are only shown.
+     */
+    function handleGameEvent(event) {
+        if (event.type === 'undo') {
+            redrawGuesses();
+            saveProgress();
+            return;
+        }
+        if (event.type === 'hint') {
+            renderHints();
+            if (event.replay) return;
+            saveProgress();
+            showToast(describeHint(event.hint), 4000);
+            return;
+        }
+        if (event.type === 'reveal') {
+            renderGuessResult(event.guess, event.evaluations, event.row);
+            if (event.replay) return;
+            saveProgress();
+            if (acceptsInput()) {
+                // Reset for next guess
+                currentGuess = [];
+                renderEmptyGuess();
             }
+            return;
+        }
+        if (event.type === 'won' || event.type === 'lost') renderWordCard();
+        if (event.replay) return;
+
+        if (event.type === 'won') {
+            scheduleCountdownBanner(session, 4000);
+            updateRomanInput();
+            showToast('I had poora bharosa on you 🥺+🐥🎉 مبارک ہو!', 3000);
+        } else if (event.type === 'lost') {
+            scheduleCountdownBanner(session, 6000);
+            updateRomanInput();
+            // The word card below the keyboard says what it means
+            const answer = game.getAnswers().join('، ');
+            showToast(
+                'khair hogayiiiii ❤️, asal jawab was ' + answer +
+                ' if you did this ande ki khatir toh you dont know me 😤😤 cus i would never want you to haar in any situation',
+                12500
+            );
         }
+    }
 
-        // Second pass: mark present (yellow)
-        for (let i = 0; i < WORD_LENGTH; i++) {
-            if (result[i] === 'correct') continue;
-            if (freq[guessLetters[i]] && freq[guessLetters[i]] > 0) {
-                result[i] = 'present';
-                freq[guessLetters[i]]--;
-            }
+    /**
+     * Redraw the guess history and the keyboard from the game's
+     * state, e.g. once a guess is taken back.
+     */
+    function redrawGuesses() {
+        clearHistoryPlaceholders();
+        renderBoardColumns();
+        resetKeyboard();
+        keyStates = secretAnswers.map(() => ({}));
+        const { attempts, evaluations } = game.getState();
+        attempts.forEach((guess, i) => renderGuessResult(guess, evaluations[i], i + 1));
+    }
+
+    /**
+     * Show an evaluated guess in the history and on the keyboard.
+     */
+    function renderGuessResult(guess, boardEvaluations, rowIndex) {
+        updateKeyboard(guess, boardEvaluations);
+        if (boardCount === 1) {
+            addHistoryRow(guess, boardEvaluations[0], rowIndex);
+        } else {
+            addBoardRows(guess, boardEvaluations, rowIndex);
         }
+    }
+
+    // ========================================
+    // Word Card
+    // ========================================
 
-        return result;
+    /**
+     * Once the game is over, show what each answer means — Urdu and
+     * English meaning, part of speech and an example — from the
+     * bundled glossary (js/glossary.js), so it works offline. Hidden
+     * while the game is on; an answer without an entry shows just
+     * the word.
+     */
+    function renderWordCard() {
+        wordCard.innerHTML = '';
+        const answers = game.getAnswers();
+        wordCard.hidden = !answers;
+        if (!answers) return;
+
+        answers.forEach((word, board) => {
+            const entry = parseGlossaryEntry(unsealNote(ANSWER_GLOSSARY[secretAnswers[board]], word));
+            const item = document.createElement('article');
+            item.className = 'word-entry';
+
+            const head = document.createElement('div');
+            head.className = 'word-entry-head';
+            const title = document.createElement('span');
+            title.className = 'word-entry-word';
+            title.textContent = word;
+            head.appendChild(title);
+            if (entry) {
+                const pos = document.createElement('span');
+                pos.className = 'word-entry-pos';
+                pos.textContent = entry.partOfSpeech;
+                head.appendChild(pos);
+            }
+            item.appendChild(head);
+
+            if (entry) {
+                const meaning = document.createElement('p');
+                meaning.className = 'word-entry-meaning';
+                meaning.textContent = entry.meaning;
+                item.appendChild(meaning);
+
+                const english = document.createElement('p');
+                english.className = 'word-entry-english';
+                english.dir = 'ltr';
+                english.textContent = entry.english;
+                item.appendChild(english);
+
+                const example = document.createElement('p');
+                example.className = 'word-entry-example';
+                example.textContent = entry.example;
+                item.appendChild(example);
+            }
+            wordCard.appendChild(item);
+        });
     }
 
     // ========================================
@@ -440,7 +1137,18 @@
     // ========================================
 
     function handleKey(letter) {
-        if (gameOver) return;
+        if (!acceptsInput()) return;
+
+        // The letter a 'check' hint asks about; Enter or Backspace cancels
+        if (pickingHintLetter) {
+            pickingHintLetter = false;
+            if (letter === 'backspace' || letter === 'enter') {
+                showToast('اشارہ منسوخ');
+            } else if (!game.hint(HINT_TYPES.CHECK, normalizeUrdu(letter))) {
+                showToast(getHintProblem(HINT_TYPES.CHECK) || 'ابھی اشارہ نہیں مل سکتا');
+            }
+            return;
+        }
 
         if (letter === 'backspace') {
             if (currentGuess.length > 0) {
@@ -456,8 +1164,8 @@
         }
 
         // Regular letter
-        if (currentGuess.length < WORD_LENGTH) {
-            currentGuess.push(letter);
+        if (currentGuess.length < wordLength) {
+            currentGuess.push(normalizeUrdu(letter));
             updateGuessTiles();
         }
     }
@@ -467,11 +1175,14 @@
      * This handles Enter and Backspace natively.
      */
     function handlePhysicalKey(e) {
-        if (gameOver) return;
+        if (!acceptsInput()) return;
+
+        // Typing into a text field (Roman Urdu input) is not a guess key
+        if (e.target.closest && e.target.closest('input, select, textarea')) return;
 
         if (e.key === 'Enter') {
             e.preventDefault();
-            submitGuess();
+            handleKey('enter');
             return;
         }
 
@@ -481,10 +1192,134 @@
             return;
         }
 
-        // Check if it's a key on our on-screen keyboard
-        const keyBtn = keyboardEl.querySelector(`.key[data-letter="${e.key}"]`);
+        // Leave browser shortcuts (Ctrl+R etc.) alone
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+        // Latin keys type their phonetic Urdu letter when enabled
+        const phonetic = getSetting('phoneticInput') ? getPhoneticLetter(e.key) : null;
+
+        // Check if it's a key on our on-screen keyboard (so an Arabic
+        // layout's ي or ك still types the Urdu ی or ک)
+        const letter = normalizeUrdu(phonetic || e.key);
+        const keyBtn = Array.from(keyboardEl.querySelectorAll('.key[data-letter]'))
+            .find((key) => normalizeUrdu(key.dataset.letter) === letter);
         if (keyBtn) {
-            handleKey(e.key);
+            handleKey(letter);
+        }
+    }
+
+    // ========================================
+    // Roman Urdu Input
+    // ========================================
+
+    /**
+     * Wire the Roman text field: candidates update once the player
+     * pauses typing, Enter picks the closest one.
+     */
+    function bindRomanInput() {
+        romanText.addEventListener('input', () => {
+            clearTimeout(romanTimer);
+            romanTimer = setTimeout(renderRomanCandidates, ROMAN_INPUT_DELAY);
+        });
+
+        romanText.addEventListener('keydown', (e) => {
+            if (e.key !== 'Enter') return;
+            e.preventDefault();
+            // Enter straight after typing: search now
+            if (romanTimer !== null) renderRomanCandidates();
+            const first = romanCandidates.querySelector('.roman-candidate');
+            if (first) pickRomanCandidate(first.dataset.word);
+        });
+
+        romanCandidates.addEventListener('click', (e) => {
+            const btn = e.target.closest('.roman-candidate');
+            if (btn) pickRomanCandidate(btn.dataset.word);
+        });
+    }
+
+    /**
+     * Show the Roman input only while a game is in progress and the
+     * setting is on.
+     */
+    function updateRomanInput() {
+        const visible = getSetting('romanInput') && !isGameOver();
+        romanPanel.hidden = !visible;
+        if (!visible) {
+            clearTimeout(romanTimer);
+            romanTimer = null;
+            romanText.value = '';
+            romanCandidates.innerHTML = '';
+        }
+    }
+
+    /**
+     * Every accepted guess split into letters, common words
+     * (common-words.js) first so the most common spelling of a Roman
+     * word is offered first.
+     */
+    function getRomanWords() {
+        if (!romanWords[wordLength]) {
+            const variant = getVariant();
+            const isCommon = new Set(variant.common);
+            const common = [];
+            const rest = [];
+            variant.words.forEach((word, index) => {
+                (isCommon.has(index) ? common : rest).push(word);
+            });
+
+            const seen = new Set();
+            const list = [];
+            common.concat(rest).forEach((word) => {
+                const normalized = normalizeUrdu(word);
+                const letters = splitUrdu(normalized);
+                if (letters.length !== wordLength || seen.has(normalized)) return;
+                seen.add(normalized);
+                list.push({ word: normalized, letters });
+            });
+            romanWords[wordLength] = list;
+        }
+        return romanWords[wordLength];
+    }
+
+    /**
+     * List the Urdu spellings the Roman text could stand for.
+     */
+    function renderRomanCandidates() {
+        clearTimeout(romanTimer);
+        romanTimer = null;
+        romanCandidates.innerHTML = '';
+        if (!romanText.value.trim()) return;
+
+        const candidates = getRomanCandidates(romanText.value, getRomanWords(), ROMAN_CANDIDATE_LIMIT);
+        if (candidates.length === 0) {
+            const empty = document.createElement('span');
+            empty.className = 'roman-empty';
+            empty.textContent = 'کوئی لفظ نہیں ملا';
+            romanCandidates.appendChild(empty);
+            return;
+        }
+
+        candidates.forEach((word) => {
+            const btn = document.createElement('button');
+            btn.className = 'roman-candidate';
+            btn.dataset.word = word;
+            btn.textContent = word;
+            romanCandidates.appendChild(btn);
+        });
+    }
+
+    /**
+     * Put a candidate on the board and submit it like a typed guess.
+     * The Roman text is kept if the guess is rejected (hard mode),
+     * so another candidate can be tried.
+     */
+    function pickRomanCandidate(word) {
+        if (!acceptsInput()) return;
+        currentGuess = splitUrdu(word);
+        updateGuessTiles();
+        if (submitGuess()) {
+            romanText.value = '';
+            romanCandidates.innerHTML = '';
         }
     }
 
@@ -492,89 +1327,282 @@
     // Guess Submission
     // ========================================
 
+    /**
+     * Check and reveal the current guess. Returns true once the guess
+     * is accepted (the reveal then finishes asynchronously).
+     */
     function submitGuess() {
-        if (currentGuess.length !== WORD_LENGTH) {
-            showToast('چار حروف درج کریں');
+        if (!acceptsInput()) return;
+
+        const problem = validateGuess(currentGuess, wordLength, getValidGuesses());
+        if (problem === 'length') {
+            showToast(LENGTH_NAMES[wordLength] + ' حروف درج کریں');
+            return;
+        }
+        if (problem === 'unknown') {
+            showToast('یہ لفظ فہرست میں نہیں ہے');
+            shakeGuess();
             return;
         }
 
         const guessWord = currentGuess.join('');
 
-        // Validate against word list
-        if (!WORDS.includes(guessWord)) {
-            showToast('یہ لفظ فہرست میں نہیں ہے');
-            // Shake animation
-            guessContainer.classList.add('shake');
-            setTimeout(() => guessContainer.classList.remove('shake'), 500);
-            return;
+        // Hard mode: revealed hints must be reused
+        if (hardMode) {
+            const violation = checkHardMode(currentGuess);
+            if (violation) {
+                showToast(violation);
+                shakeGuess();
+                return;
+            }
         }
 
-        // Evaluate
-        const evaluation = evaluateGuess(guessWord);
+        // Evaluate; the game takes no other guess until the reveal is done
+        const evaluation = game.submit(guessWord);
 
-        // Animate reveal on current tiles
+        // Animate reveal on current tiles (colours only make sense
+        // for a single board; multi-board results go to the columns)
+        const timing = getRevealTiming();
         const tiles = guessContainer.querySelectorAll('.tile');
         tiles.forEach((tile, i) => {
             setTimeout(() => {
                 tile.classList.add('flip');
                 setTimeout(() => {
-                    tile.classList.add(evaluation[i]);
+                    if (boardCount === 1) tile.classList.add(evaluation[0][i]);
                     tile.classList.remove('flip');
-                }, 250);
-            }, i * 150);
+                }, timing.flip);
+            }, i * timing.stagger);
         });
 
-        // After animation completes, process result
-        const animationTime = WORD_LENGTH * 150 + 300;
+        // After animation completes, process result (handleGameEvent)
+        const animationTime = wordLength * timing.stagger + timing.flip + timing.settle;
+        const token = session;
         setTimeout(() => {
-            // Save to state
-            currentRow++;
-            attempts.push(guessWord);
-            evaluations.push(evaluation);
-
-            // Update keyboard
-            updateKeyboard(guessWord, evaluation);
-
-            // Add history row
-            addHistoryRow(guessWord, evaluation, currentRow);
-
-            // Check win
-            const isWin = evaluation.every((s) => s === 'correct');
-            if (isWin) {
-                gameOver = true;
-                won = true;
-                console.log('[Urdle] Game ended — banner will appear in 5s');
-                setTimeout(function () { console.log('[Urdle] Showing banner now'); showCountdownBanner(); }, 4000);
-                markPlayed(attempts, true);
-                showToast('I had poora bharosa on you 🥺+🐥🎉 مبارک ہو!', 3000);
-                saveDailyState(attempts, true, true);
-                return;
-            }
+            if (token !== session) return; // another puzzle was loaded
+            game.completeReveal();
+        }, animationTime);
+        return true;
+    }
 
-            // Check loss
-            if (currentRow >= MAX_ATTEMPTS) {
-                gameOver = true;
-                won = false;
-                console.log('[Urdle] Game ended — banner will appear in 5s');
-                setTimeout(function () { console.log('[Urdle] Showing banner now'); showCountdownBanner(); }, 6000);
-                markPlayed(attempts, false);
-                const googleLink = "https://www.google.com/search?q=" + encodeURIComponent(secretWord);
-
-                showToast(
-                    'khair hogayiiiii ❤️, asal jawab was ' +
-                    `<a href="${googleLink}" target="_blank" style="color: inherit; text-decoration: underline;">${secretWord}</a>` +
-                    ' if you did this ande ki khatir toh you dont know me 😤😤 cus i would never want you to haar in any situation',
-                    12500
-                );
-                saveDailyState(attempts, true, false);
-                return;
+    /**
+     * Shake the current guess row to reject it.
+     */
+    function shakeGuess() {
+        guessContainer.classList.add('shake');
+        setTimeout(() => guessContainer.classList.remove('shake'), 500);
+    }
+
+    // ========================================
+    // Hard Mode
+    // ========================================
+
+    /**
+     * Check a guess against every hint revealed so far (see
+     * findHardModeViolation() in js/engine.js).
+     * Returns an Urdu error message, or null if the guess is allowed.
+     */
+    function checkHardMode(guessLetters) {
+        const { attempts, evaluations } = game.getState();
+        const violation = findHardModeViolation(guessLetters, attempts, evaluations.map((row) => row[0]));
+        if (!violation) return null;
+        if (violation.position >= 0) {
+            return ORDINALS[violation.position] + ' حرف ' + violation.letter + ' ہونا چاہیے';
+        }
+        return 'لفظ میں ' + violation.letter + ' ہونا چاہیے';
+    }
+
+    /**
+     * Handle the hard mode toggle. Like other Wordles, it can only
+     * be switched before the first guess of a game.
+     */
+    function toggleHardMode(toggle) {
+        const { status, attempts } = game.getState();
+        const started = attempts.length > 0 || status === GAME_STATES.REVEALING;
+        if (started && !isGameOver()) {
+            toggle.checked = hardMode;
+            showToast('مشکل موڈ صرف کھیل کے شروع میں بدلا جا سکتا ہے');
+            return;
+        }
+        setSetting('hardMode', toggle.checked);
+        if (!started) {
+            hardMode = toggle.checked && boardCount === 1;
+        }
+    }
+
+    // ========================================
+    // Settings
+    // ========================================
+
+    /**
+     * Wire every [data-setting] checkbox or select in the settings
+     * modal to its setting. Hard mode goes through its own mid-game guard.
+     */
+    function bindSettings() {
+        // Keyboard layout choices come from js/keyboard.js
+        const layoutSelect = document.querySelector('#settings-modal [data-setting="keyboardLayout"]');
+        Object.keys(KEYBOARD_LAYOUTS).forEach((name) => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = KEYBOARD_LAYOUTS[name].name;
+            layoutSelect.appendChild(option);
+        });
+
+        // Word-length choices come from js/variants.js
+        const lengthSelect = document.querySelector('#settings-modal [data-setting="wordLength"]');
+        Object.keys(WORD_VARIANTS).forEach((length) => {
+            const option = document.createElement('option');
+            option.value = length;
+            option.textContent = length + ' حرفی';
+            lengthSelect.appendChild(option);
+        });
+
+        // Board counts come from GAME_RULES
+        const boardsSelect = document.querySelector('#settings-modal [data-setting="boards"]');
+        GAME_RULES.boardCounts.forEach((count) => {
+            const option = document.createElement('option');
+            option.value = count;
+            option.textContent = count === 1 ? 'ایک' : '×' + count;
+            boardsSelect.appendChild(option);
+        });
+
+        onSettingChange((key) => {
+            if (key === 'keyboardLayout') renderKeyboard();
+            // A new variant loads its own game (practice stays practice)
+            if (key === 'wordLength' || key === 'boards') startGame(mode === 'practice' ? 'practice' : 'daily');
+            if (key === 'romanInput') updateRomanInput();
+        });
+
+        document.querySelectorAll('#settings-modal [data-setting]').forEach((input) => {
+            input.addEventListener('change', () => {
+                const key = input.dataset.setting;
+                if (key === 'hardMode') {
+                    toggleHardMode(input);
+                } else if (key === 'wordLength' || key === 'boards') {
+                    setSetting(key, Number(input.value));
+                } else {
+                    setSetting(key, input.type === 'checkbox' ? input.checked : input.value);
+                }
+            });
+        });
+    }
+
+    /**
+     * Refresh the settings inputs from the stored settings. Hard mode
+     * shows the current game's mode once a game is under way.
+     */
+    function syncSettingsInputs() {
+        const settings = loadSettings();
+        document.querySelectorAll('#settings-modal [data-setting]').forEach((input) => {
+            const key = input.dataset.setting;
+            if (input.type !== 'checkbox') {
+                input.value = settings[key];
+            } else {
+                input.checked = key === 'hardMode' && game.getState().attempts.length > 0 ? hardMode : !!settings[key];
             }
+        });
+    }
 
-            // Reset for next guess
-            currentGuess = [];
-            renderEmptyGuess();
-            saveDailyState(attempts, false, false);
-        }, animationTime);
+    // ========================================
+    // Progress Transfer
+    // ========================================
+
+    /**
+     * Wire the transfer section of the settings modal (see
+     * js/transfer.js): copy or save a code, import one typed in or
+     * from a file.
+     */
+    function bindTransfer() {
+        const importCode = document.getElementById('import-code');
+        const importFile = document.getElementById('import-file');
+
+        document.getElementById('export-copy').addEventListener('click', copyTransferCode);
+        document.getElementById('export-file').addEventListener('click', saveTransferFile);
+        document.getElementById('import-btn').addEventListener('click', () => startImport(importCode.value));
+
+        importFile.addEventListener('change', () => {
+            const file = importFile.files[0];
+            importFile.value = '';
+            if (file) file.text().then(startImport);
+        });
+
+        document.querySelectorAll('#import-conflicts [data-keep-local]').forEach((btn) => {
+            btn.addEventListener('click', () => {
+                if (pendingImport) finishImport(pendingImport, btn.dataset.keepLocal === 'true');
+            });
+        });
+    }
+
+    /**
+     * Copy this device's transfer code. Without clipboard access the
+     * code is selected in the text box for copying by hand.
+     */
+    function copyTransferCode() {
+        const code = createTransferCode();
+        const fallback = () => {
+            const importCode = document.getElementById('import-code');
+            importCode.value = code;
+            importCode.select();
+            showToast('کوڈ خانے میں ہے — خود کاپی کریں');
+        };
+
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(code).then(() => {
+                showToast('کوڈ کلپ بورڈ میں کاپی ہو گیا!');
+            }).catch(fallback);
+        } else {
+            fallback();
+        }
+    }
+
+    /**
+     * Download this device's transfer code as a text file.
+     */
+    function saveTransferFile() {
+        const url = URL.createObjectURL(new Blob([createTransferCode()], { type: 'text/plain' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'urdle-' + getUSToday() + '.txt';
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /**
+     * Check a transfer code and import it, asking first if any puzzle
+     * was finished on both devices with different results.
+     */
+    function startImport(text) {
+        const imported = readTransferCode(text);
+        if (!imported) {
+            showToast('یہ کوڈ درست نہیں ہے');
+            return;
+        }
+
+        // Dry run on a copy of the store to count conflicts
+        const preview = mergeProgress(loadStore(), imported, true);
+        if (preview.conflicts > 0) {
+            pendingImport = imported;
+            document.getElementById('import-conflicts-msg').textContent =
+                preview.conflicts + ' پہیلیاں دونوں آلات پر مختلف نتیجے سے کھیلی گئیں۔ کون سے نتائج رکھیں؟';
+            document.getElementById('import-conflicts').hidden = false;
+            return;
+        }
+        finishImport(imported, true);
+    }
+
+    /**
+     * Merge an import and reload the game with the merged settings
+     * and progress.
+     */
+    function finishImport(imported, keepLocal) {
+        const summary = importProgress(imported, keepLocal);
+        pendingImport = null;
+        document.getElementById('import-conflicts').hidden = true;
+        document.getElementById('import-code').value = '';
+
+        applySettings();
+        renderKeyboard();
+        startGame(mode === 'practice' ? 'practice' : 'daily');
+        showToast('پیش رفت منتقل ہو گئی — ' + summary.added + ' نئی پہیلیاں');
     }
 
     // ========================================
@@ -582,21 +1610,15 @@
     // ========================================
 
     function restoreState(saved) {
-        attempts = saved.attempts || [];
-        gameOver = saved.gameOver || false;
-        won = saved.won || false;
-        currentRow = attempts.length;
+        const attempts = saved.attempts || [];
+        if (attempts.length > 0) hardMode = !!saved.hardMode;
 
-        // Re-evaluate and render all previous guesses
-        for (let i = 0; i < attempts.length; i++) {
-            const evaluation = evaluateGuess(attempts[i]);
-            evaluations.push(evaluation);
-            addHistoryRow(attempts[i], evaluation, i + 1);
-            updateKeyboard(attempts[i], evaluation);
-        }
+        // Re-evaluate and render all previous guesses and hints;
+        // whether the game was won or lost follows from them
+        game.replay(attempts, saved.hints);
 
-        if (gameOver) {
-            showCountdownBanner();
+        if (isGameOver()) {
+            if (mode === 'daily') showCountdownBanner();
         } else {
             // Ready for next guess
             currentGuess = [];
@@ -632,13 +1654,35 @@
         };
     }
 
+    /**
+     * Show the countdown banner after a finished daily game, unless
+     * another puzzle has been loaded in the meantime.
+     */
+    function scheduleCountdownBanner(token, delay) {
+        if (mode !== 'daily') return;
+        console.log('[Urdle] Game ended — banner will appear in ' + delay / 1000 + 's');
+        setTimeout(function () {
+            if (token !== session) return;
+            console.log('[Urdle] Showing banner now');
+            showCountdownBanner();
+        }, delay);
+    }
+
+    /**
+     * Remove the countdown banner and stop its timer.
+     */
+    function hideCountdownBanner() {
+        clearInterval(countdownInterval);
+        const existing = document.getElementById('countdown-banner');
+        if (existing) existing.remove();
+    }
+
     /**
      * Show a persistent countdown banner for returning players.
      */
     function showCountdownBanner() {
         // Remove any existing banner
-        const existing = document.getElementById('countdown-banner');
-        if (existing) existing.remove();
+        hideCountdownBanner();
 
         const banner = document.createElement('div');
         banner.id = 'countdown-banner';
@@ -656,9 +1700,15 @@
         subLine.className = 'countdown-sub';
         subLine.textContent = 'to play again';
 
+        const practiceBtn = document.createElement('button');
+        practiceBtn.className = 'countdown-practice';
+        practiceBtn.textContent = 'تب تک مشق کریں 🎲';
+        practiceBtn.addEventListener('click', () => startGame('practice'));
+
         banner.appendChild(msgLine);
         banner.appendChild(timerLine);
         banner.appendChild(subLine);
+        banner.appendChild(practiceBtn);
 
         // Insert after header
         const header = document.getElementById('header');
@@ -671,31 +1721,61 @@
             timerLine.textContent = pad(t.hours) + ':' + pad(t.minutes) + ':' + pad(t.seconds);
         }
         tick();
-        setInterval(tick, 1000);
+        countdownInterval = setInterval(tick, 1000);
     }
 
     // ========================================
     // Share Result
     // ========================================
 
+    /**
+     * Multi-board share body: the guess that solved each board as a
+     * keycap number (🟥 if unsolved), two boards per line like the
+     * history columns.
+     */
+    function shareBoardSummary() {
+        const KEYCAP_TEN = '🔟';
+        const cells = game.getState().solvedAt.map((n) => {
+            if (!n) return '🟥';
+            return n === 10 ? KEYCAP_TEN : n + '\uFE0F\u20E3';
+        });
+
+        let text = '';
+        for (let i = 0; i < cells.length; i += 2) {
+            text += cells.slice(i, i + 2).join(' ') + '\n';
+        }
+        return text;
+    }
+
+    /**
+     * Copy the result to the clipboard. Hints cost a guess each, so a
+     * win scores its guesses plus hints, with a 💡 per hint.
+     */
     function shareResult() {
+        const { status, attempts, evaluations, hints } = game.getState();
         if (attempts.length === 0) {
             showToast('پہلے کھیلیں!');
             return;
         }
 
-        let text = 'اُردل ' + getUSToday() + '\n';
-        text += (won ? currentRow : 'X') + '/' + MAX_ATTEMPTS + '\n\n';
+        const label = getVariantLabel();
+        let text = 'اُردل ' + (label ? label + ' ' : '');
+        text += (mode === 'practice' ? '— مشق' : '#' + puzzleNumber) + '\n';
+        text += (status === GAME_STATES.WON ? attempts.length + hints.length : 'X') + '/' + maxAttempts + (hardMode ? '*' : '');
+        text += (hints.length ? ' ' + '💡'.repeat(hints.length) : '') + '\n\n';
 
-        for (const evaluation of evaluations) {
-            let row = '';
-            // Build emoji row in natural order (RTL will handle display)
-            for (const status of evaluation) {
-                if (status === 'correct') row += '🟩';
-                else if (status === 'present') row += '🟨';
-                else row += '⬜';
+        if (boardCount > 1) {
+            text += shareBoardSummary();
+        } else {
+            const squares = getShareSquares();
+            for (const boardEvaluations of evaluations) {
+                let row = '';
+                // Build emoji row in natural order (RTL will handle display)
+                for (const status of boardEvaluations[0]) {
+                    row += squares[status];
+                }
+                text += row + '\n';
             }
-            text += row + '\n';
         }
 
         // Copy to clipboard
@@ -0,0 +1,1024 @@
+// ========================================
+// Urdle — Answer Glossary
+// ========================================
+// What each answer means, for the word card shown once a game is
+// over: its meaning in Urdu and English, part of speech and an
+// example sentence. Bundled with the game so it needs no network.
+//
+// Entries are keyed by the answer's sealed code and sealed with
+// the word itself (sealNote() in seal.js), so the glossary gives
+// nothing away before the game does: only game.js can open them,
+// with the word the finished game hands over. Each one unseals to
+//
+//   urdu meaning|english meaning|part of speech|example sentence
+//
+// Print entries for new answers with scripts/seal-glossary.js;
+// scripts/lint-words.js checks every answer has one.
+
+// Fields of an entry, in the order they are sealed
+const GLOSSARY_FIELDS = ['meaning', 'english', 'partOfSpeech', 'example'];
+
+const ANSWER_GLOSSARY = {
+    // 3 letters (answers-3.js)
+    '0f525f83fe919c8f': 'dd798f087b154c235a82626f6ace4b28e77f495fc2dbee284daf58291b84f4ec67a13e41b2e488d4c0dfa1427f4656acbb7036400a23822bdf52ce66afc3d92676632d2a8697fae4682850c0b1baeb4aef7851946a64fe94a2da2d5e584574d0f18fda665031af9d8df36ea31e1b3d9149bd9ef3997ba37875950036caf1f80cf3c424abce6781907bfb1dd56f27e37bbeeedc162073d61eb90412549b2822c2608b6337f86ec42db1be22526ff2b9b8',
+    'df89284b15303351': '7fbc13893640766398fa139c68adda97d2e1af19aa12c0e6df18e6b7543112c8f2cb46df45b8eaf6a563e1ab21a534e3663e9e4eec7467c174df43be1a57c6a37f8483e3e254220647c0c3e0bf81ab440e5c8c3863e3ff844644445e7b5a43d6a06da1f7bcf59297915f3bcfe18ecc9ffbc52c0cd4f6fb14a536a8010c14b90d4ade103e1d224474f78debd96261deea6c5c3c5d02125ad8519213f14adbafd21fadd57dce6ffa067c022ef0b89e',
+    'fb7be636b7252d5d': '848bd97d24fbb5d4b2a56fe9e04ff711af937ecfb4514a0e8eeb4f106881b949a440e4590ca94258b1935d809dc52fafec348c0b7fcd48690fad9e5ea993836a082afe9b7e416d1191e74e86b4bda5e9ab81e4be1185fc9c83dc59fcb8300c158aad8bc1ea5e7df50bd41ef0378cc58bacb52bbecf37186afeed0c4aebe3055424bda9c26660c25d6fc1d1cc5a0e592d15558ee3a5761c048e73a3d86be6b9958422c3c18081',
+    'e172f7ab0832265e': '17fe7dba76fc5ead87a6b60e169e6e28d4d9d79b4358fc7dfa07308f91cb386c7db257210a210e77213c3dcb7e30038e0dfffe3b6b981d5e7b11cf0f241dae7b7326850c90f5a12671ee2cb58fb886ab284b807fbdeb311a45d39762c661d1391c95d0819ea8f8af13ca01696cee64aa7fa6902929edb2246208d342ce55dc5108726f9594b118527002',
+    'ff59df99328a7303': '9e1d0d17062836b49eace71e4626bc7598f352196a2d563a69b3630b82a7f8a2c49fabccbe1bd2bf7505384bba6102ce939dc53dcd747431284c853c42d1417f39d4aea5ae92c98bb12b0f26d902b288c20060256f418adf250e8f7635eb8e679e1942add8f2fce7ed21a6902863f0cec31ef977338387010c725dfd6090ea786a643a2f8a108ab78a8080946e8b9724b83c0bda74e3677c',
+    '4d434a679016a837': '026fcf93dfb4909933ff38386b01898d11575dea2c5eea64c2fa337fcd4e0113899bbbe9a2fb2cd94c81adfdb2166a685e079e5db4c0cbd25f1b2563ec58c216d622e7534e4aa6258598d8c428d513f4d3d56fd0d44f3cce72c1ad771d3bbf6bcd4271be8718b17207a6ce87325b106f20367549a2e0d809e6f2a7ac25d7',
+    '4eb30970dd3f81f7': '1fdd5070cc665033fccb2646dc259d8407f6d20a700a4a55a4f93f6748f8a9d23b970744571e507dbc65f211035d4a4a7ee76cf8db2e68141ffb8f76c941b16245576c29ee3b5748718cf47fae3211cb4c8ba9eb229d5548e6c7594a9d27a02358aa504a3a71aebfbc1cb6a10ed4',
+    '4d7e96d4ca213a5a': '2f488666467424ba7ddf36401b1b2e718148454720d773f1ac9829a0f1e91cef6f285de1cb23c524de0a4ad3c8ca0ae1afbcaa849852aeab6c75edb26a7805276e3df683281d4ff9e4d613028b78800651033a1ef44b6d870c4b49aaa51a2ffed8e6ee2ccae754dba6c5cdfbebcdf68a0a8822ec11acd71fb9c8371dc3d59b85',
+    'eea406d31aed5ae3': 'bb3c21c7ebf879bd14f436be44c562b446a766972d934fc6ea6694fa3e346fbbf9cb192a809a88eecc0f9ffd13582a1ed22e07cfc664a3c614047c3f1435a273cbc068510855ae7f280e91400c7605d4265798ae619758e6c8b7f7eae31dfc5f60b5499fc2fbca7d72ec8b25b988a3df8a33a3e9d79c6128162963ced60da441cf8cb83184599660cc7ec3bf1ffe00e2f6d34846f8af4de7187067887fd83ecb8dec435bbb17e4b0e6a6',
+    '442c6279c45a7c7f': '4485204a218f0f113aa3cec6355e6a158901cae36a5d0df9e8317f8c13785e74f3d4d6c795ce1bf2707d7c7c280aff59b2e0acdaa1836b4b4a0615ab75165b2f59eea054cd4af50c0396979555e05b3b634a714215eccf1aae9675c169e62240baaa89501bf11dfae4e99f9c055f21ee25b3e147a20bb2843183fb22ff2ce17ba5e9b9ee329f832d0bbe4719f59662b7',
+    '61f20176ab180692': '6b645d4e1430a46678c68f0e56e16565dff8533e51ed7eb7e69b1232630df4bca9113677c82fe712ddff7adcaf64cd51cdf37686bd5ddbd2ebb49842f1c3ff991b2f54340474cde72aca71dc2a886359f0d5abd9392961794d3125024d4a6db94902aedf55dc8afb2d7f8f99c702bf9e34e70bbaa2029100cac7d9b5fcb33fdbb199',
+    '0ea97b6794f808d6': 'b9633abe31fd4dbca23aa80a36dc16a50948a036a0c311a82d10c3e2e1bb4895b6066c47136fc987c9ef3865c463a1bd3167a7a713ddc324dd1cb1e9f0083e95159501c6065ac418cf18f19014d11801e94aa8ba57d540fcb8724037ee8615696f7f34d5303dbff997c5ce22',
+    '06c3bc4e507dcc31': 'b5cb5064a35a6275817c6640b5986eeb4c9980d56a6ead3f0dffcd619a256e0d27ffdada8d5aa0f1e14e5e5f0171556535e59589ca38fe4e9b6e5e30681097458cc168b8e62c05690024a9ca3299552c94a96ad07b22c0474c77aa6295868ee8e4786f5d8096',
+    '0eb6be7505984f38': 'aa4c214d9f5a73133a230e791b1ca2b0f237e53b5c759963e9bfc9cbe9468feec17d2d6ba80fa662a3929cc667d8d99c69b8c0307578a99fb55aaf927a4fac6a1c3dced86950a2ee890f85724a873da1646668c65684c2f22987',
+    '23e499866f6f2bf0': '763c03f429d3a8e550d10d9bd2ca92228d6a7f52c58f4b3f958a87afe331d878d9500fe8edf7b1825a748dafc269894049c33c44bcac93237721547aae29569f7a7fb9edb5ec8796fd6e4c40028c1ada6d1e1c9bad14933a4ac44d199f7be537f576af0c605284a2dbc22a941f6f1d1393f13d51c73827d663869fecaab04bdc7e8ad41405d391b8385d9fbdc2067024b9592fbf17a360b5e0a76f8f19be7ad490187aee1ccc9a80ab3e94dcfdf17d2b0ea7b96788870631a32bdbc0837b00d69ab9',
+    '0a6800fb5f51ff2c': '4c9bf4fdec3552c9e752868f6d19cdff60e68eb6b5cb802e32dd7f1d14a9a3ed36b7c30fbe88063be0292de5ea7bc3294d14a0c7507881e68b07288190ab5758a2299e7c2173c34755c21840a304b681085542dce8fb366ed439595b',
+    '0d9b8bdba734dd16': '33cc01de2d35a5e5d495e4839825ffd894790d058e23c21319812e4aa28e915deb8d25e5f4a647161582b47cd7e267d90f1e6edfa73081a1393b8e2fb494ec9d2644eaf31b8e5a029ab6d9a6d05f5128cbda114d166eda8dc02093cca328e88b5f0c6642f9498b9260aa661ef4899ba84772d738b42a05bb92e13e582f394d4eeb7a62e3033f1511ddcf21a7f0e9165e5a5b3790d8e746f0ef34a2a8',
+    '0f70f11a0e5f74fd': 'e6e84121ad3ee943e41c9cfb448307cc9810658ec86b252a03ec4d4e207d81f90e98799f8df5420f03ba34a721382c16a177c111a6708896c15b7461c65d3569aa1800d65f80c0cb056e6e1ada66b2d1284d0d333e04d92187d438cf2473214b9bf29db5e790d755d1f87271f2f7',
+    'f03d6aee4ef4bab7': 'eec73761d04663e1b079433eac7c425a5ce3832c973053610ce077beab9940aa402ec0586123b8d07faa4b5cf96abb45080c117b072309d4e929a4bb60b7820ba0ab440ad33e0cf843d630adb4deeb46d3487ea78a814df812fa109b2049ef7cb07e121d4fae770e87491c853b507b06b4189c335780f4b5df8f863ce08fec01f5951d80bbc5e36c61439b4c4cd0',
+    'd467b5abecc93e3f': '51dd7d6239978152552000a35e929a84bd770b0d0cf85c9d467e8499835438492104a7ade17654f5e3fe50ba2d31576dcd074756019dbfa12ff8ad9319c5d458be697f3a7b2722e13308e40ca6e8022ba1784923124ff60635f92c67747999757ae30d77c6c39a6254187fd3f4b7ac4a12baaf8b49539f877c0a890cf5ee2bb6b791',
+    '521d60c6306345a1': '7c675911795c896f98cc965ba206b1d8cfad47a0f1bdffaef0ef61a09460c1ffed0c8694a1da3ce40423beb307c4e28d8756e63f664be06f9ea3279feec55fd86f93add973a5f50c925c710450a3dd26f14f2f63d168',
+    'de57f6317e667cb3': '32c815c5c61bdb2dfdf638383a3d364ad6e5b07863e84639cadde7713b662030bbf8b576bf6fdf6d9ebf63b0a7d164f9a0050dfbbdfe8dfea61c2cf4841343d1bca30dcdafde812ba6864eba378889c804a665f99fa7cceb82a54545c4a9a3bba13939985173dacbb9caea98dcf6a0ec2beb9acdce407cbdfd43b7462ba6f6e4a31fd06ee35dac034cedf774407aa52fcb3e516de376',
+    'f5378acb29e72435': '63a5771ad706f184f9026f5f252c40e97f9bbad678d6bff94c8a13a2ebc10b177bc0663cbc1a3307f655b79df5b727446d495748ce7c3130d39f8b0922a64da34e060d92a4f4bb8a729fc23ac719a5bf8c41c4eacb94ecc8b4016705188761e5c078d3de74ccad89a6a1a63bbc62e4cbf05c4e5138be077e39c543761c1bb00a3371ac312f970293fe863f55922b0d01d5cffe465c3094e659647036e9293d30c49bc565d363cef5a2bfed6a58c08587d7368c2703aaead7fd41b751c3f8d8ebc14a39318dbb4f82',
+    'e2e8a478531d0e47': '86fe09a5ce38fd2e4c57b2b68e1461850cc02ad71f8962c73cb908955e481aaffb9fbccf74a6cd0c42c75e6d443156156ca6ace6efc3e8c908ea0fdb8213e9086d847cd13905bb14d7a7613887e0f4f35d7e0424654ff79b707be312e9482044cf5f5dd0ffe18dfac32fec2a2d9c67072e079c5a3b5e24e9fe37384adac22fcff2198a5f95db7d4a62e04daa',
+    '25a069132f17621b': 'fa816df1d3a19571dbaadc06fc5642a23d9b1f9d19593d9d0b2eeae4d35915ba19df45bc0309d6e9688b7cd12aaf9ca8dbaff7b55654983415034a103d0f88e1c4c378c03073790bd50c7ffeac1610ceca383af3af3568e877c52da280730a3a62eb977990cf60b075ca6d69c39692596df67c2f3ffebd27b2ace3a19a69377c40b884e2f7e5bea79ba1b71371df1e214369332bdefd1187360cbbf3ac755cd11e44e635dd82',
+    'df4bbe1dbb82c649': 'de6876a51e1e33caea2a9a975e73149fbe3474676a70af5bc61465560615e1c7f731c8879c5319cfefd46deb8936e981336c87592b4a983046bb8d5a96f78d0c319215dd37a86879c9f3b3232e0d21ac709a7a88639e0bbfba7c7ca241449eac9ed9828e3462cfb3448c2325d40ef6340bcd5c8bb77925f0bff68b210dd06e84041601c59702c47b4c6e94c79e91872e3fbb',
+    '45f6ead04e9b3a40': '4734d0258b22b64c8f934c61ec3026561b275ee1384603162a766d8d6ad03d97185e95f004bc7df21079160be71f9079bab7f48352ea317e8244dfd7b606bbaafeaa4ccf6a6472595072ac0291e151a84dc91c9110774f758e4ba1308a013ab995ee',
+    '0e45514df912c041': '72408e37f9c05b38c376d17ef79763c4c9a5dc1ca15f3eaf0d252fd17ebc6eacfe3f5fb34bde4152aaae5bf90f9d34136c3b30db2a19abcc4c4603436db1da699ccaadafec5049776760c616dda61ba4d7ec67d0dabb51e72e76a905506f3dd4093c4892c83bc5c4e494f4638e97c5b6cc0bb74891e92c65423723d86e355e91acb5',
+    '11d046ea711f8ad7': 'e855cb3be23830858dc17ccdb576a61e6267b885def653970b38e7297d8ad96405a8b77aefbf39644e4c662970939e630b1f1f3a777d32a404beccb00e28bcfe671062be02f50332c75281d3cc1abb79917ef2d941774daa33dc3732f279',
+    '03323e384890cee5': 'ea2b50fb180614deebd031c28b8a8137a2d2503b86c75468d0dd758c9df9a208c5b04718254999fef8225b7d2adb0cd116627f672e66fb1472b14029d05851290205360cb938a625413e97a5b0f037f498b7149ec8b328bc0e8e5fddc722dd16421f39223e6ee02adfd974c098e5ff7297a017b8558fbbc40770659bca3d7638d432',
+    '58602449479a2dda': '49d7e42259aa1afe3f3b851c035c120d3978841b7351cf5c250c5b820e1f61ba80c7b112ddfabafe20283b6c22ac5edc047392be41cd26ecc319a3029088c65d861249f3595ad04c39887131936390793fe2bde40dce3ab34bdb7a6c8f5d8d45046589a9c9571c549a095a095bdd6812c79f3796c2ade10c62267630870416a5b77b61261920d9e7c82208c8',
+    'fc872dccfeff7656': '8b9cca08541ffc5f8c910e2135b775ad66c99ead151bba098e39de47514e8f44ef0b34e22ce4f8cc9081794e4937474c8c838e18408ed096c7b59d7a0a920393a5f5a2a0e0110dc3e587395267e516cbfe50db4d1b87b081eaed483bb49d4bcd3eb4f70daa1fd3fcc8862a3cf5a0e65946dacf616bdb6d31',
+    '2462a0c31ac55204': '3c536966b2589cbaf0daf140562fc089d361db1cb06b3f6d99f6bb8cab9a6ec1b9f1b5f4214642c018ef334d4b43faf13c3548da70d1bfa53fe19b52e04b2cb0df0a2434f12cee92145cd24d9242f2b6962bd490ab1c433165185a3e1f513b1c5cb6e96c64eb8d1003b639f4142ecc8187623aaa9d72',
+    '43a098fb71ed4acc': '5e5c0e5860b90df425e90f88870c47d3758ebcbc22921d9c5f0971a800ca02d175338fb674bb81a44fb66d72c5e6e24a3dec289ff4b4caa56d6cb53adff1ea2bec88a21d7d28be4511c88fed5dfac625d034921fb80710467d9dd7cac9dce1083566bbcc1e7690b6faf432fa341e437f32d79d0b751cf548f541ccab91abdaf87ca2302cb1605fddc302b8e9cd8ec991e0cb2b3d6ff7',
+    '0a83bc12ac1e456b': 'dd3b327e37e4019eb0e631a98f033bc0a8545bb0c12f1c334d04b2741c695b54aa51d348609df4b403157f8cfcfc0d58b495403bdc60009e7e5ca9c5c7639e0c92c7798bc57e874a6e67ab2e0f975977913ed754033945416f28dd02dae3b310d810f4d78932e3e87edaaf9d33bd093f92ac2d773879a9f7e581f173',
+    '4f3be4883cc29678': '02f894a8ec89153950029b51c7990b3e435b108607e7f12ad616902c307bf89dfb7c2c2fc46d10da03cceb319760e44360da4dbb258dc2e99a23b820bf41d7b92ba5def78609476dc3ffa85690ba7e180d44999468166824b8838807d88d75960ba711ab',
+    'ec9eb42ed0132e6a': 'b038721bddf2e0d8e122ccd184648cc4c11662f628311939e8f24b828f0d53e9c09f27666f7f3e832d4c3c764072934386fbe8bb9176bbdda78c2c4685c45c9dbe7b13e44c82d93aeb5e96d459c481a5f353659e7545a729b8423eff29c4c6db34c2beaa4fa65a18afbbaa9e6f5e86122b5837f340a4bf0803f18a2a058efcc08db3e465717febf70820017870faf5585c6fa6e5',
+    '4e1c2b389591d0f3': 'dbd7449d17f3a29e6bf65d77df8ee4c776bd6781ece66f5674722f5b76e3d5b9c78e3e6d30bcc987ecbeb1af6f125731ccfff71ebd19a06a7044fbe7e3d1b9dbded4c7bd81ec2b74ba9f0b06865ed2dcec5eefead26944fd58b411e4030e40dccc6cd5e6b29c9e52dc16f00e513ae0201d13519b0bbd7b79427e',
+    'd9782ec58342854b': 'b4fdbb1d8687bb997e4dca723a222a223fe7cf3c9bebcff2732c4e7a233b55956884bf96f570465032e0db194bfac4ffe7393afd8354fdf5cb9aa4a78c754c2113cfeedcf8040396e824e12f3f47d4a5c30bf76b409be448ee04aa40388c4e025c3af470af6da3210c41b78cef95',
+    'fbbb89461bc0227d': 'e9359f38b6f37adda93648346f57cc986da1c77c550b4b9d527fcd860a2178d87548d013e80388da7ba9e5e583ecf4367755e80979428f472540d4e8f993e562d3ff52e42c0064225cb6fe8a3778cbfcaca61d8b01cc70f898b6d5040f518b89465d07d1c370e66f2afffac28854d4f79f3f65e189605488310aaeb3',
+    '063c7766078a530b': '71814899d0c2f8ae660ffa4015bbc76b51324d5607d25af1089bd790a36315e8c8c8e20eca0887feb662b1e6bb7cd856864e3d5ab25b2cd65c9623286398d04fab4558d8146dc659d4f6452d45b1725e4e91f411feb6b1673f83d5f5fdee',
+    'c5719f0f14f06783': '6f00b5c986ac5eb2e812433d39afeaa278ec91389fe5e3308c6d7c03779a3033503ccbee118dc5af28c0743091e66214612f925678552e56164aff4efaaecfffeb82f96ce6fe2f0a63267d6027850516b36c9eb173997fab0e008cba5b2a717acf1856da38ec1a7ec5ab7a316a156a5749a94dd4aa6d7a92dd2f5f55ffa3ff98d4c44fbb2dd39f10213ed8116df27b8c108c09e48543',
+    'cc4a8c45d66b5cef': '0cf36689cfa92591bfe6b4a37bf2e975b4f2021be178990b1802e26be486ba8716453d69f52f6c9f39286b80666bf0a02f2b198dc2794ba0023dd8b984eac87b7c75df9ef395995b9d41acb7a9a4d548aa59d101237ccefb4f8f8a6f619324c360bca4b0dd4d22f1bb4b475d314ae4624934fdbcfb9c4ef9688bd3c55fdd409c7a79e22f',
+    '02e86e15314e159d': 'f794dab6b0ab2b76f1c045d356634912beec6f30a6b1323973cd8e5da931d456e4e74de8085df69a863fdb3b86fbe8a9c020052ec0007c55974ed6112eb86a2c7b91be77712f90348fdcda7ee99b49907ff42944826d2cd8a37bdb7b0247f56044fca0229096bbdc66472bd8d1dc0a94021c16cc2d982fa142a58e2fdf26f91b248fc0a5e6735c95b07c65179edd',
+    '20dc9cff38451a18': 'a58636dfddd90b01bd9a05aa2a600cd3f5a0a1684ba61129231f4ad6543517248dfcc7d83d13c3cfd2c91de0578941403e2197695562bcd861d0eff11a45cfe09d6ec15166fea86e3fbae6cb49be30e6e7021c2ef896293ab975b19686e2775366b122639c265f63d4f49d9ea7c38a3a362ee311fff212ec34f75ce0',
+    '12b68229facc977b': '0c3cd122f608c0142564a133df94e6bbc5db4a0f310220002d40b36de7af95ed6e27544ec89544a85611bb705e41e3782a983b61a57b3048a546e151271044fdcd5365c24f398cb41a51576e1cd917e543820adb0eb0155fe802b657a41b73eb8f4bebe7a33f4259717d41967d81612617007d077b1842e097c3dc7e4811e5a6532bdbb0',
+    '5c6840e45e7450a4': 'cc963c20e91903b87e45c76cf478d067689f29ca9edcfd8cf67bf5bf13080820384b155236a0bf91cb58ff10b79059b43f173666da498e061f8b8b34dbc6c368d750d84826ed4aa49984fbb38cba363e81de50ecc7874b2d',
+    'e5276ab0ee5f6560': '0694c7d3090044a81faae3b3c2bfd13b1cc6a039af093dceb2d06a4eabad53e7224408bc7aadee9d1f82cb06122e699d60448f907ea170acb523b2aa18b6d999c88dcfe5cc5ee4be0ed4b351259796d52e27bb5f4d201eb041ac6c2e00743daa4ff7346d54849db47a5deaa4dafcc445361d81a3f72a1e391256427d7025',
+    '229fc8db5bab5902': '7f7200336fd9dab830a61d04be840ee8aca6d59092fbd98e5ddb0bd5907f534bf36f258ad44cde517d61d10cf06e43106e6564a885c978fe73b4bb85afc6894f3df607eef4681dbc90d7a7148ac28f9eb562801dc44fe66a5cd5c0a90d0e9e8d42b27cda54f636d6f2296607',
+    '1d78730f39fa06a3': '7d9f8a99875474d35cafe4bde2ee7868fee85f4ec819b1d7405eb92ee0014441637b362edbb7d95731c69dd5509440394c469216ee3534382a78372eae30c5d2be9f03cc51b14d22033d49a7d31b5cca397df3ebf95755bad649946481f6bdfafd688d45d17b345c',
+    'e2b27a465c5fa595': '05a75b057c0f6ef2d61876c6598d47f0d74c7c03d2e15b3be1e070d12418ab82e5998ab921edd6dfd39e07685331466d4ea9dacc70bd0239b59df20295749d4630e8469f5f17fdd25562cf63decf9c53239394c71adeaefbc2adf7d288c16cda14f5b2e46184847dfc742b1b603d8a73',
+    'f40f2ddde549389b': '95eb35954191c41a8c5df7bc042be076aba87f0547453d1e4a74ce043d3f71bb6caa420e9763b8aa10eafed329bd92bee9dfeb3d832950ff538a930ae03d0bdd9c32a2f46e6b83e2a71229099036f7d2819dfeb5afb7fff9f9f65ce5335110a852df8602ed68f92b43a61949c89acf255ee7cbd5dc27782f58c4c6a032670706ab827ef5',
+    '0f718d21bd9f46fc': '15ee917b7fb136d3a12b5a946347cfba04c083ef0a93c81526611cc89da3cf9975e1120ca1959c43ba39d72cea4998f513f72d2e16523e6d738ddf657ba718f4b676b3ff298073a2ce9b8de59ff9cd47302c237575f00db64c97',
+    'fb8d975be7b229a6': '7073ac428a444f83fb971b18ec9bc040d46b470221c738980c1da62b46777b112899330ab69c178b58599ace736604782a052d22d265f906b901fc0926bc7daf37bc20a94c57cc9d133d6e4a1e6f91e929725321c0cbbd499fc31e3d6641e5b7296c8651940437ebdbc075e11de9c2eb2a7f5014',
+    '249dba71a90936c3': 'adab0cae7af8aab38080107903965636536c550f44aabc844164767bfe87139d75a0305bc48f4800068c01643dc2eb6979c1e52481e2f0d2493fb520c7116e82f68377b398626ada04fac09da6b594b4f0c264b8457f67703513f55538713387a139162fa5bdd8a5fbca20b4a10920e316485679b38a',
+    '03733c4e59e065cf': '4d6a77751f1110f4cb72878dcbe3c94880e75808008ead4e51bcb7c3145e18373d0be85570dca132d9d0ae33367dc61593d4d50cd795e293b99bf8c01822e1e1310744feceb948111123fa54ef5f2f5523eacae032951097cde4859d60d0580032d52296ac39',
+    '5c56abc098c16f75': '4bc4c65e004617fd032101888fd603beefca5c87fe0eb6a6427307b384e9dd03dfa760b6721339e26da1cbda2c42b78084433d1ee3c765938da8557783b3583cd828656d80c5faba70bc0b697af66441be16313d1bff43d1c3a02749722b043ea2ae132dcb4b6709bd9a728cb6389b2b9453a5989d8beaac2a3724d3a19bde24c3e04ec00a8fc079f2fdd9db5288bed68a789e59a7d1173afd2bde64',
+    '542b247203a23407': '6039240185575eb438e95bc7edaa537c7cc985fdc0876586a6dca684dd40487f2b5f28453888f6140b5d4a950e9cae7415096de5a5093f105f561c47256ef4bc9f73d12a33de9cead4091099b1ea7c870f34f93fdff783daad9d3ff3dcd454a50c308b298b8cc5e005d9f565cf30329191e27813',
+    'e10ce71a98559d01': '93010cab0ba613e3a54dfc1c418943dcd4bdf415aafbecc1a1f4f48215f21178d5e4a8984221685d9ba713342c0270a3196edad43a958ffe3dacab9ed6d376114b31120244efe40a35409e797facafa5ee30ea45ea6285c2ce25b5e9e2f7089a88421f79499a414f66742d9ee236133d12f49aac00f68ab19acebd93f9fd8ff238cc',
+    '28f95463b671dc63': '8bd7bac29cef79282e945bf53b985fdfe03bd3dd4c615cfdef66bd12152a9cf9d62fe2d5e62dc8345a008bb2d9a68418bce71980b852b8767cf5313fbdd12f2f03ecd70693c4601689d2f05ec5d74a0f625332be619c711b1438791fe100060c5861082e3c980d5d10500c6ac425b02ada93799a6189c2d3ba719d024f81bd3b09a2c34bd3c8b688e485ffb6b4c52fb8534e9ec9',
+    '4c954a4e99b17fc5': '2411b0f76d9ff81e2cfff8b8b0f98fe5d434c8dd665c5c7528dea51fba1be342d560ba694606179e150cc52abdafc80b1c1167888f0e92a317fe40a0bd3f0faba5c825e3c2cd081ffd857e07f94b6184584494e5f0b056db0fee874af4b067d4f4acbe5843be9bcd5fd78135492f371b97d93ff0346f64246d9b',
+    'e1048f3d8e801c9b': '5dd7860f18b07904d63fed62779adc354f32bd4338cc1dc835040ae4a2fd936fc67a747a24869d208942ea5f326291ecc64f04220293427f0b62a369345f98801346ee18f1fd62bef3dc799307d6f720433e115e5404b19297cb5b11765e88f368f6fc4a2b9e418a',
+    'ed345ddf39e7c8c1': 'd4fd1cd9a6094db9225955fc8f231e2132c9220206daf319116e7101e551b4c1304e297ee0e3de5e385f4e254c62cf73fa45a247aa416f73f5e1ecc33d1d257e78e6e8857c1df96f61c4c9c38e21cd9726d1a7c005bb395136398ec04b5eb2eafc93e45dcb116c5bcc392df5af02a2e3d288a57d',
+    'c9511386a85b1976': '421528ec9832bdf90f0ad33b910ded5d6233bfe76c72c71564bd5188420835f599ab0538fa3faf68ca64703c8c71f5c40bf6aa249f2ba4d04de03d6d1c116675f77213993d310079c4728f5f89bd552ee01f50fe1730570845499af91d5f18e2c3d84517dad71a3e33831789b731bbca9c4ebf5f695063cc853b1e968e0c38ed7a221248b924e8e2a8a18eb43100',
+    '49f3a2897dfbf138': '1878c58b74f6d0fb34471a0230ccdf5ba9811d14c27ff869cf63af3e7f69145efb41bb7897a20eef7532f7c34a56e8756d5fb14339279a3b6062a47493245991b4074b3a0ff45247cebb10101994c3ae95fc04b2a9809e750007208027bb8001ed6317158b59978e1cf42f96ce47a5be226bc5ec0d58395fa10a0922ca83',
+    '51cc4f3921e90363': 'f9c34d61b1d6b3e55bfad11a18e648cb914d9775e1ae535d6f75f23b9dd76d348cded02d966fe18f1e0047b99923252966bc8f2d07d37430bc2ad421250472adecd0ce2b87b3a3ff8a06237218536b70bb9d0813adc6ee10fc63e16a195366345de2b3a7e6ec27b487ef26b18a31cfe97d9d1b16a0cb0e0aaae268c22844ae4c22c9aa04',
+    '0fca38fe68702132': '1b16d4f0d3161e7003f271bcf35e36b735c8293875ce3592b2014633abd5879ce1f858e43c02c59e5ec73c9a8e586295e1ba667f43140715e5915377aa6e5f6af73c324e616987947950e6e45efe615c6a4050b92b3ef03e1fbf30815ca67837b97fa804191ef73e181f70a81c876059f66c643370b5522c4cb6b1d904638e27ed98446b491b159bba3e6b94865b2feaec35c14d4a8624d4a71178c52f7faa857e56ee057a5dc85ad69b3f0ecb7debd7f096a9af15ab',
+    'f7a00635f058b5b3': '71f7490c66b789d7e1f98595b415ea4e7976a51883d2321a39b6cce137a7c817c932290dcfd5b51174caaf0838dc56c20ab4737ff3f781b379032cf89b4d7ae135762190e2b522ace8721ca7d3cca86e6b443b1303616b83644e283bafb5a34af7dbb5948de4',
+    '0bb065c61fc3fce3': 'e70b063ba416d275b6afbd12594860cc9ca389ab15ccbbdd9c18b93e78077191e3c73ed33235b2e2eb9c391592be57624af4245077c50e56be56f2124211701c660ab7768d9d490ae59796fdc151c1210bddece43b1f9c569d79a439e5da9a34a7acae73eb8fd159cde1d2d7',
+    '542b24b003653465': '9f6f002f04b42c10d1662128987fb5a3ddfa0b2d5fc0666d5d0cb377c7ca48dea94ff0f50abd00f8eaaf30d94023826d68557e190f8bc670822da8b07752033b20fbf3cfe59737db294f959ef51074d6fa476862b4b8b6f4c8d345eba7769caaed5b780583891006c0aad1b0bf69ea1798bf2146c4c8afcafc226c4123e4716157e2a271dd49b357cbfe1513f2ef71086360278612f05caa',
+    '0e4ddac9a14da54e': '0cdc6015ed98dee2639b99d25fe4252c7cb1885717e6d761b6f0184e1fc6cdb251fa9596dd261c70fec6e35f7a3c126ac7deafaf653b77ea281756349e188994d717b2b7d828b0d7267d74785abc4e3b40f1f4ff62bbcad3025943d256ea5fa9b429ac35ec0b3811918eb5299b7525fb37a0c9ab557cfaa50ca5d67e5e2abd6c93d233a1',
+    '0ac3baf0fccc7253': 'e09f40f815f641947d379fb676d643c5b7419d83b8b1c4130e3dc1c9a0bd3405cedab422a918c5b96a626e3400ea71d23a87bce7cf6530f9c761c7f78e46a7e9196f3004a88847b53889421ed70d9908901ca17ea910b66e06589e263216ef779edb107b1eda9dcf90db836f7ef69d81c817d3629822a40cf1316b90618d307450dab853d6f0b58a6f7a429503cb751d0094b90afe0100042629105c40c279aae47128140f1aa0292fab98fcc889149e6a2d122fc05d7354ad2cca97fdd6caf1936a',
+    'e49c66a3641d9411': 'f0e15112d6f32a86130e0d3e9f782511333802185f99c8561adfb3e5a30e44811086c26f30ceb603560b4c63e1b7c4364882f1bd062099794cd73e5539a50c57112e7080593393ddaf5b4638964b884e9b3f392cda928a76d91e69f2cafd0fac5fadc903c910ba6870c691bf8661142ed38086640893e71d09b50b926c9537cb53732470db9fb33f1f6050a645c35ea2295709f9153cecd32c9083bccf94dc34ab82721f7b05',
+    '0b895c8aab547a90': '07fdaa48ab975631849f739ce672dbf3f567e5cde8f3a0907acee650e7cb9acc9f94920eab16c0df688d218dbb171f230b1392299329754b9f94bb7aa7ea0f49c89df579752f30fe2a08',
+    '0e29adee1ac389e4': '8c2f510c40d148b81d7f41f4f62e57a68512e89de9d4daf3dddde1ab0efec8dff9d3ba4e21b520d8e360f5164ea4471632f0fa0f7600ef2410c679da651df71da621a8881e7e8c62cb8f3b49e4887637ccf383963956e3b2eec765cfc824b4ec631be8cc8918dab2725e908f37bccd9f9269bfa015f14c46',
+    '53cbd2a969e13da8': 'd4d5b909d27616a74f1fa7d52977355f0d63c3bff630b72bdb2cba05703c29adb4ae32550ebfd6714061f56d489eedc46993be256781cad1f599bc2ae8e68827411a5763f08eafd8226cec30cd5e83392d15b9080b970d586cc6c21048a676a3230b77147b30706108eaca09a0088e2a12f403a7be5125f1dbb9a6c4c9af19a74c67d3b052723825e67cbb0c',
+    'de28ee1ce9958571': '47f4e31c773c00cbbcef57943b55afb7b251e8a4ea5bb747232a69b41f46dad1ff5680e79f753a8f543fdc7af0944463c6fa01dd60d0cc18e8e9c4e22028b6f1fcaab72bc2149bd83e66211f19048fbaa3792f026a60bcf7c689f76e1734e3ca3cf174d8ac5e597ef0020ac0c8097269e14094422c3e7e843adc4992bb30',
+    '02c45befd428dcdf': '325b99e2f4104185e9fdba0f97fb6373cf1bf03aea71cee5ff4afd8d5c38e9f2d0899561135bb283c18df9a166b9abe9dcd02a45cd031bececc92a687b85d60762c3ce2fa8ab04386564da79ef2659b4fc82915efa14b5e81d6ef2316f7db17a2eeb2dd483180c5bbffa1e63',
+    '40aa898e66a3a0a7': '151e44da3954d0c630d0ffe5487ee135b2aa9902eccf5834f71d78086f84d0034b9bb36b3fc835f8f08613dfc36ec95fc708ba18a76e7c20409a670b9f5fb6a60bae4d6d5879a5942bd7c0c93c5f0b770dbfe9abc922a44474f52c494456dacf32f36bfabeb1e1b875bb5a65553896527402c552',
+    'e0fc498f6db41894': '07008957ac4811b575dc8550a7ebc1faf32ed22e8ce133f25894600fcea4b722d298d010c96fb33e9e22e00643adce2c4b9ab3731645903461eb64c7086457a40bc75fe39a2b8268d4377692fcae77b4990a1ec1d9937a8e9a07ddba52469f34c8247eea78dc8288d4239ffb668d833de606d87d1da218900a9fb651830e737f62d42da2d05b',
+    '3fdc762a6c2991dc': '6a90865fa7b3fdf64245bc3b2b023c7744f3267f28c6180957c51e0dc2a175328b0578f10985f7165360ff8a18815abbd63a3deabfd239a9f367e5a3f39c49e2abe12c2a671b8fecd2b6af1e7f3c06c95b68af6bbfe241e2',
+    '4a3f2d0c91a5937f': '090ff970a3d7aa4f62beb357dbf397425b6249214ee633085efde2139d77e9a59c5f7e7514116c0e4906b86542340d2e08c57f4284e648cc499e46f717cfc2b45eaa34f891b324bdf4005245b9be41f1759f71d9f0473731275c6433ba167b7b',
+    '4f32926692524dc5': '10c73ffdd2b4a41143a1ab34a394a23a6b7677c98c94c93c68e4a0c1ced6010aea6721f69b9bfb7044745b0685ff0902924f6d845b110345a8f0340b345b1b963769ac116913f95fbbcbd3e51f9d037682dce0448778ad674a9fd5f38ef6',
+    '4f36d1f96c6dbc42': 'be5db6f312e1ac8f1cc226fff39363c343d6977d33284ba765c819cee5e4b34ef09fed321951d2913d53c43638c74f3148c85fdeb5edcb407921010b609a2b1e98979e63de26add899e241229492f82d82866447816f3de1e7df',
+    'efd43dc97fb660b4': '4ba25d57ac2abc9979c4ef6078be0150ff885ea7480b133137cd1eab202cbc0841d99b0154b2bd049c189d86492780c12c0ae57021fda1be159cf78b656c555b5c2ab4334ee51931738986af64051ccfe3289e20b8d8dccfe655092320a0',
+    '52e239c3733cb83f': '34d42fa72f7740e20d80f8487c00e3d5b622a3c069c8399529a0f002643054c9b583a2d41dba28584e3563bc10f04da8230dbe87b34c2dbd56d10ce065c4170149c23f3b0faea3f61e304a58a28781f8455357f93ef3037117f96b0cd68bd560',
+    '1ab38dee59c6891f': '0528352a6589084fa10b21fe7c858bd2482ede197108f518476ed188be92209af4a38198bcec5ef8d14a880e8a1da27e916db44acdc260ec362a34ec1cc3fbcdf43120081ed023697374a89606b15b5a2bfc0f1f00f97f842a0b5e02364a3e04b9c34331',
+    '4ea4421459480f34': 'f859e9982555911f3232f0bbe15195f49a02ebbd9b2460ea69e65c0b26316adfd9e3b1cc8094a24229ae4e34b6445e9b3b825b82ad27a9ba2651e0295b7cc4b457e167566a4f8f353c9611912989813a37f466583e4875f34a9eaf64cac20c3a95cee5c5c01a69dc3789b1f4e89a9e45f709ad9ea4933fe69fecee877ea09268b17b',
+    'ec5c0d2da4dacff6': '39f8189260ac17ee07c4949839a299dd31e75ad3ed694f4c16eae1ab6fc1d9dbad98be4f2177920d0ae4c7bb3bbde70598edc07a9ffafd8471405699ea029897271f77cebea90caed2eb425121e45a9b6e0d04dbf989738beea80e7fa8df4c219cb42b6aaebc464a70dd11c3615abb260e1cd07d67fd61d79b45cdd87e649c0d682d1cd78caed53b4587ec8b71a37500b4630361be55db62df6841600464',
+    '57c56ea8cb20482f': '8d498125b48bf3056a83d5136e25fc6a5afbe433aedf7b2b03cbaca843b9b0ba0f3788f5cb74046bab172dacbf5d208c6881f1aff1f6e43870259e59ab18b6cf27dd316bf72d4147765f181758372f205ebdf242c1209828b4f42313baa439318a4592714138849e8934',
+    '3f5c9210a8317bb0': '9cedfdddf88957f3764355ea07e871fa20b94a97292140694d32298bdb0ac0a9a170829f4f6b6faec7d0542534162d33bb2d48d3206ddc397190a622aa331af3458db0a42b0a7a0656e1d68dc3debf1bdfb382432a001ab3493f4c87df46fa52966ee5eb4429',
+    'f03ca2024b6d0f5d': '5363d83720d3a67dd4472ee497ce329dc0ed8269fc4dc58bccda431fa8e51a1d1c2b1819b019371ae9dc769ed5fa932272c72b32f2930103a808a77ae4d03f4c043113dc057579a22fffb0b83711df44505443bdc3581c3f919e20abb5b03c2d564f772e2cfaedad1a638d5e1aaa',
+    '0791141bc3295245': '1a68398f9087f99d48a04f93fbd1ea2a54952737a12561f75bbcccf4c138fd09f02cbaabf97a6cf3d5b4a5ed927c3ed2a4d4718036ce9b261d6da811171b894f80ad7cd889eb50888efb403b234ee91ec68c2619814515e01b96d19dfd0c293999ce7d85d456',
+    '51f657e555f5e457': '2d79d9017478e8280fb3eec96237ce5c4ff04eda299b1d0258e22d30de726028705e0a823410bd6ee565bc657d4a19e8cbab0b71a05b3d6ccb2eb0796e084a1b9a32d560a90da76c5fb082e5e30f0c516983f61b2fe595c2eca4008165f169ab4ebc02d9d8415b2f51ff0201e80c1c58d29b8f4b0cd2',
+    '24bc0e50eaab1efd': 'd40b56ddbed8e9e54305e9a596d2bd2ed803a69d341b6e2e2521d3eb067ff2e1056dde6864647b9c09fb2e378d43f37d6e00ed08816a66208ba00941a2cebbca217e622b3fc6f242c24f34db5e7b8e3e313a06696d8dfa52eea5402fb49bf8267dc19b6a84b6eccff007c8468eca2cff7c5647a246c47d14',
+    'c8ec3ff0b69968b9': '2dedda2305649df47c7326ef311ffa92ca708ce433550da41d6fe6df495b0e52e9e13ab8bf9079e0a1cd70a451be8106f9a88fc5896f4bcf69e5a9d78e89d76068c6eca0a5e3ed14e2457e4dcd955d7a895f3efdd01e00a19a63386a48c8b3aa6e6af27814af4963964f4b42230dee1ae978cc52953c5248925cf188919f6f973241965ea8f07e8f074cebcfcaa42746eb05b1f8302e91bc8c3858297d797a0d361d20d9bda0',
+    '4e1a7c2a878c3034': '86ecc886b133648c6e8ac60406e128bb3d699c68d87531160bb1451eb57048e22ba08bde84f6be226a635a1556bbe3584a2e24711a1660fccbaed4e8cb84b8162c0e7b8189afa3608e00ab1f529d7b97ab260f5239dd209e173fcf15b287964b17e2f251edad1683b85388ab637f531db0cb',
+    'ff042aff998c533a': '432f78b4bdc980c39a4aa6a0174cfa0cd65acf06662c8b2759380ea1667ed9b4d9068eebdf65b2a7a52ee98c1da251251916b13999e24234f411919a7f2d5ebb10c599f3b190eb1da819f7e6d65bca46011088d578f337131060d0c0df2f97e2598ca0e7d50041533cd380d90674a404',
+    '20ac81c8a69cf040': '7b5fbfe51dbbf2f58f253b93169f6e901ab44075ae0a72a20186bab86aba9b603ac700a9136840d41629d2e7d1cec6ae522d84bff6e70f7224f9a11d8eec5a1454e9dc18fa1bf2aa8438ba2d1a3b5b5d0635e8cc63f3bb42ba48e1b494a8a8fbf38e26fc64b745ac664a600898addc5c9936c6866d51eadf6b680e0b9c1bfac2440d37af860c76c8aa2bd9ec85cdd6e0ffdc',
+    '1f71c70d7c7171b2': '3ecd6f9692a53442e0fa4416d963833503ecd66d8d10351033fae6db3f83e379f7baf9037b7d69f67aa78501baef926311f3f9cc452f8c3d9cfc6772734d8dd448ceb8dd6f04754d9f7b9f2eeb30ab1a15e7b8ffcdd8947676f509819afb017b0799eb204da3e778b28a889c973ad2c1d8ed29e806c9467ac10e924f7632ba9a',
+    'f77ccb1a6a31ee19': 'ba561c4a162b7a32cf34f3fc28441786389016bbf16b4dee797572303c520e5383713b40369f670d41644348efbe24506050c0b3cc7b6dc96cda6466340d135eef750d8ddc31a535f84b369ce80cd04a6c12b9194b416e8f71287c8b774c308998eb3753b47c240754a347152f6583f717de6a1d4419902185a6d5e795802dd1',
+    'fc9a17c5470982c8': '30b2b981bb954b01563308c8b27bc08476735094a9f280d00f3af5f86db388955e1979daee0f2186e24d914fa189ddbf304f60f22c122cbc7ea1fdaae131783c63e73495b2e0b0ea43264cc9fded4cbb',
+    'ff4fcc1a5f679ba2': '4208d9329c58b5d2b4065c85f00203b395a8e776b805dbef91e6f1cbc1aa889d4995d79b8eb6aaa1f575598b245de874eeb4845586b11c6fbe01fd9a25b1b42a6378de378d12bb5abf9bf40dfd5ab58f9031f20b8136ff206799cd575d27cab509e6432ae225f078b85f',
+    '38327ad4aced03cd': 'f9ef0436b8efa2ad70c6631a60b22c14ce65e4c148993c663535044782657a623c11288ba34ea504845090ae642d1d44675b547287e6727510241d9c10346212f7630e7eb86bfaa7c2282c70d4525d5e6cd5b1bf446a3501e0df6775e04d9f5d25a85a83a1cd3a305985fd91c447bc1af35129ba681c080d8280f9a2a630032591694e20e513e8175b8acfcbce13d450a6450b2ffd9a037ae783290e86b833c443dfe34e5bb9',
+    '525885145969a4db': '763a145e829c059658a7957c52506ed83ae01ea29d18302e0e36b575b98321c3d09cb09fd2119832355267798e06741bdad527c3c8b56e31e2a6cbea5b5b57772c37d4fb1cf9ba19672f8693c442ea3f322a48d1f3d27ae7ec122797c4d4d8254b054569fc2d928d097f915fc94b08a0ebb81886c3a01a9f21b6f44f147f9a66d28044e79b9c1319e8f20ac95a95f3752a64fe34dcc9d24a96f2f4c73b5701a18a2c295990d72920150aa990db91',
+    'c54aaa15c90b926c': '01614429d68ecfaea60e2bfdaa672bf27d0a7994c28f7cf2ead250d3edcc0aae64bc0fba1f13eec57bdfc2885033c1f3a04eee6896c5e97eb00420d08275cfa9ace000615365875977c0f8d1f4f5058422832fac15a9ef78b8758421619ba619e28d87a1',
+    'f8919a0d503f31db': '932a5d0f595c8983d872e460f534255da38100c7c0cfc42cecb2c79be8a1b4f79d946a9b626a64f0ed124ece5bc798972f23f51da0bc8f4c83d86dca6f5b924b8d3b63acc061aa98f2c1c51db2bbcf6758262321f3c7e1e93712892209be5a11478a0a0c',
+    'dd3a33cb6eabaa42': 'f1d177225a014d7cf10363cb9929486d5c6808753e50e2870465e87e42d5e1e6b90015178a480677c48c841d6df00c2532d2938c757b76ea0d574db0c3535b5ab0387d31c31fcb0872dee0966008c44398c0f9f2eb61331a12b6f5017db30ec6fb13dbb825b92bd6de2ba4708c27cf3594d0',
+    '237ac2ea947ed8e0': '443bc3515a70cfe988c4e55f2d4376c4557f1b43099471cab7e4282c876e95d968300796510bd8da28028646faea87b4a6e0dbd60374611e608cb4f8096d63307696739b1174118fa0f1fedca8e3d94db871d08bc599f9af3d28c9785c8b464fd59b31254fa24452d62776a9e44c21a8943d',
+    'c5bf2f1b38ab3b76': '877ac2ae6f293a86764d34c2b11cd46114312958ab29cebeec33b3f67696ce91dadd3c60ca9599baa6683b6ff9a9910e5a9573137857b88817f6e5aa9dc160badf7a77c9908f696502bd1015c0696aae2ad4b02bea79199277870898640f4b33ff2758411ea0b3d59891f9fb9884b1c250786b0d1fb4fb81b9921c9a',
+    '48ae4e7589384f02': 'a30444abc77d2aa03ce7efb8973f6c7d30abaf879b12cd138b650d5137ea00aae2cc2df888ecb92c830121115b01bcebb094ed09167a332c4d55f6e1c0362d70180bd0f780658c64e303e6894cfc9f2cac7b5669214c757154e8fa80154f4390811289c5871cefedf30e4268d20d8b86df3650ca7c9e0e2da59a5824a480a70537b18bef456c1abdcfd3',
+    '4df7c98a713939cd': '95d61ea8ee58879b69ece3dc94657c732ba180a2c5be10692fa3ae3f2ff85222e133bc0341ab3a12f17c559788076293635ec1e51525418565703f8d9db3a6452da57a9127fb1852122380f6fff39569cd0dd12f6c6de87e60fe261918b37af8b63426c0e25d621dd9c795daafa7',
+    '0a95c604d36aa062': 'f2f89e3025a4b83ae841c25c2a3ae645db0ae1b70c474d769b6e1540e7fda0f7560f4e794a81cd79fb67193f0cb87cbdc99de17ff41ffb74f382333d2a15e2d5277088aa07df9f72b1e1c79b7b9f477495efc3bdf28df2cb0b616a6a7921b0820a49bc6302ca5d97f1b5a626426ca15c7b0606040d38',
+    'f3da0eae561397ec': 'a1c808ed318efb26b3f71492dacdec7303f3e3b40cb39b26cd2985ad881abbd552975b62af0dcb7b9b8ca648195ac1333c4da8c20ab829feaf375994ec6e74f9ead8925237606d42a1d126c0c8851375afbeaea126d97e673b999fa31308f3848e82f9c4bd935f6b4960ced08a0a9bd75dc12ba6eb9f2fd50b28ae83dc2bf1fc',
+    '521a795a9536e954': '81db25952f58e40e58f02495d54dad0f6c9ea0890f6e88f162e83b364f85d35ec8a0f4ee262c54aff5b257f32ec68f22e6dd81db0427d4e4eae71203dcb295ca2c503a31808f6dbcf073194ed348622d403d061cae467b7aa481aaf7eb10fd08e8f04620a1ba952017ec43725ce8020fa461fefc82d4f2d7e4eacdf5edab20779009a77f41bc35e6c43d706ce4e879382a5761f547040d0943d4341d0060',
+    '1e408062532937ff': '9abdafe12630fdcb146709631128db98a3170c03aad9fc1010a929dce5f29c75c424d7e44e1c3b5fb8d57c37aae035bf315b94b525d4c0cc012a9fd452e86d8cd51a4d409d9b0089fb2746b790ec377aa3e9ad81a5cc3b3d9e99017b40e582867d6128037c286c9a831876201d4adfcc95ad5fd4e050d790eaec4f0ff7778523fb95b9bce233658b25eeff7337a279d00a1038fbb971c6a05be02bb4211f1c48bebe527e',
+    '0e823040e855b734': 'c9bf6031a65276ee56b5f9879892cc2ec79370320cded730fd6e343b1a2e544948bb65b664506674a88a884ad499ee6e6cdf79ed83765aa345abdc8e2345cc72bfa76a9bd8dd4fcb9af1e0e30c0c77db74f05c553ab0ca2cde432dd01cbc04e7b6e8299a847162166dff71aa8092018280ead0866d2471d35d6b2a76edb72af5',
+    'e28067675e6c7e02': '73743332455a89d06cc62e0e5c9a5583114b05e6a389139eb513fbb8e93106401d37cce584a89be3653d4eaf9cf2a472aa71115b86fb99e374dfbc75b8c93c7a69aea136781a41664a1506d6de3f032b06a96d9adc24f88dcc279d32953da107ca83f0b545c88fb9d68dd4a37d26abcfdcb2',
+    '1546182aeb73327c': '307b8500da7c4deef37e2c0ebae3ced163d19f88efaa0a8f0486741106d70669958d2c398871ef8f70f54830eb28f8afba94313330a51bd2b25f61e8b210258492358cf0731a1972b4b8f16c25ea1809586968c8613c2f0cdfa839b9ca7e528c2642f213ff7cf7623f747cf9e168110ea5ea5cd5516efcf31c8db084878687862bd7ab03ea4fe663571f0c9140c2ce666a2c553ba79856deab92ddb16770c9a458c34260edd2',
+    'f577dfff7ee30475': '99ab67fa6be7ba8a8d163c38e12fdf8bb416ca3c2a8926df2794f8ca6507e3fdf5b768a8668ef723fd1c4087aaf5f281aa74cd9d6f6475ed7a2c97e30acb0b3b1ee0f9cd43e19ea284f6f9eed0cadf4f8b728621e24d74f098e5fecc844a',
+    '10543a1a7c2a3854': 'c4e352f69b24700e9d9b40164cf0ea5f44555ff315575ee7a0b4ffeafd6d7ba78e0622f078aa33de8c258b17473b43f494edf07e5589167f6fa998ee4f6cdfb707933275207d2b6421741b039c26413ba50cd423094f1e9951ca28a25dfa58cfb9a7b68c40c5f4407b40da6230391f5255187fb5',
+    'fc987386af6aa7e2': '6e8cd8e02f1705869197e33114557716e9a411119557391e16e82d26569108ba045e75727a899220ef486fd3f0ce10d479084ef419deb10f01a7ba5ba23d80343d31b954cae3eafe49c35f4752084cfee347d9d35362612ef0975e02469dfc038aa367eec637414aed844303e3443a1dfe5ed4b32cf2b0cf7250bc9c22dd97b4826e213ccbbbea62ca850f67ceb5a2adcd78a547',
+    '21307cf91815b8a2': 'c8d2f06d214fdaeff8e1b4aac083f55e100b2d83c0371a54c3f057db6187ec5af9ac048a2d29bd64e499631d8f2435a8eee7b33e3b24932af33402168ea6710a145be9ce473b69e3eb48fb928d69d2792551d07d2ac6e8c76af4bbb552349102c77885f24137bb363fe7c97c9d2b0d0e6347fb7de8ea7b6ef572bd01669612576bce6d7bdf1b80e5eca74d61b003c94e4e82f7f8',
+    '429a6d2fc99a1c01': 'a20dc97802ec719d90d07e18e7845db45e097e62fda50bedea2cba1af61ae7145d0238e0e9b5c12b23a96f9da90220b8165801622b79055121450e5a2ba8a88814ecf2175b4405f806f520563a8f213d0702f5348e5c0f3e2c1e4d98a62056ae86c14ad105d18ac4e93c9b8a38e33106d83892ca498ec4f19ce9d35d08c245510a0997a8bc5038dde3ba43c85cebfb4a0f6cabc6',
+    '12360b5ba016a4e0': '2a897cb91f25773664e67dad5f7585cb4b1d185c2ee949ff5dd74594c8d11a789bd51b7d26dd9bdfa690f63519bfaaaf2c709f4516070012b2778ace8be7a57758f39198f5153cf1e497452923415fea30cf970dbe4e961b00c400eb5a23e33b864f4b51506398cc210a9853d06b2578ea66f0c594ddff94',
+    'f3fd34812136d4a0': '4fbf6b6de2b102ae429139d24c383db7c215471c16a591d0ea43581bad75b973387f78f46f8a318155e9023afe28dcaf811374639197667cce228d817c4b536a04cc718b10c54da9c3648f7848a5cd694b7b96d11b746d88e83fd6221ae585cf19cd3708',
+    'cb8fc3717b10cd72': '7f572f22060504f4416ef81329b1f041d7352ec8a201a652420baed058f47bfd625a20e490028811e01fb1c640ff3015c869998420a3302b7cc54bc06267a52f93bcaee230fd1fd7a1c97f062b7aa9cd86297513f2f43b1b8a9559a1b4d9d54c7a60e1323119bb7533f1c135f9a833f0c0f2a6102120d815d95a0a4e986265f8e40c',
+    '45fec5f2e5c12547': '57aef22e618ee7146677d786b74b9ee6291ff6341e6acd497e4df32bdc66a6dcf8a0a8317618c056f59df6abe537de9d4ef0eab919b43821ea9294c11a7f5d252d77956cb1f1ab058bb6064dddae9393cf7d0a993204cee02233c81b677c327283a87d87bb4b4375e237ba57de1f38259d1c04bc8b09e43147f30891c7f79923dd2cd35a13770648083a0c4d4fd23a37b8e5',
+    '26fe3d83a2f6c3cb': '14829774bc0c06a375b6336d94b8d3cbdea56ef8ce534b90ead2ede5bc5e153aedade91666022082be8172995e229a9548e68c3eafafd93871c085de47f633906957040075df89628bc8137aa34217f98691bdec8755a03069fa6e30',
+    '11e25a5d0a04febc': 'd8137a6c434fc3522083d7ba4299a08b773e78768ad9b1e71b3b66f1989dc69fdbec913591488d8037d5f7fea3bc4d1d5e685f239247c142ccbd7db7c91bb4c740604c8541257756da06b0a3259182a06c3e7acee7d335b7ad3f12e6',
+    '0b3726186942e4d2': '4e8e5dda2c1a23b11e6caba577a65f636653a8c401e0edf10cc300bab9fc620ae63f34c331351b07994ff602df46916b9ec6fe93fcc9f87e36f245342b3690f17011d81385fd34a1334b163efa8a2a3ee0f42803e08c252d072f60943c5ef0706f3c88d4beca5b01009da1d0351d',
+    '028e9e1fdf30952d': 'e79da5a0b4f0c4347a6265386aadab46a1c4060e2d24ddfff36a4b4a329166f40cd8af5d72da8d43c978f1f860fea7afd3c1de63bb6cbe6fed3b99101c96021af1ea4fffc7c2fc62a088f0ebe7ddb9b672e5964d7aa1dfdd35ae17211dee97ab519cfe88bc2f9c7edf3bfa4f31d89a6f43037ccd',
+    '0106760231770c0c': 'ecd04e2fb1d1e1fa2ad6edfe7cbe489f7481ac38ac5abfaa4f82d409f1600a7e0f8970e07900a0bcace3b9b081d880d375ee97020cfa0dbfaae5ab043910cd0a4afee5afa41c804ccf0bc4a4459d14207ab95e38fcb89b54dfb1ec319673f850feebebe6fbf80145',
+    'fd6ad1bc2063840f': '9ff8dddea38f765748418107378446fa5e37b74e850e664178282c82f252fc722727139b2bd79ea53e24a39672c6953ebf5597a959d530922081719ce02d47ae6651591fa8ec2fa85b5938afa0de31b958159aa27b7c300b8929f51972d8fb8b87dddd9ca2bc99e9ada74245e2c370c8119d4e3c8b7a0b86201da395f6270fc4b458be965b2d6d154e9cad24',
+    'fb7a5716193a6c52': '8554d7f35b3c7ce6167f81561da88085eb7bdd2c9237e8cb0803f57702f7cd29c89acc13e958433d59d599a79c082bc932a56250545a22a8f4c31f908e88c09c3492fab75268bc9328530547431f56f0f9fa81f4c3c194ca5994443a09cd235e7a39d95c554753f7c6b305527e372977e8bbe52bafb275cc93d2',
+    '120551284174c908': '9db060e280760469f2b2a256c3043cfd35e5b514fe93a1c54d9c0e7406e45da387165e7d19a693c0cd6783510578eeeeebcadd5e37b5b5da212c5231c08ddc73a2d2b936c810d145c56dc206b63a280fd0dec00e60d7ceec4b49d81f9ef866e60290de65defb',
+    'f44230f34035772d': 'f08fbe42dde3bce3e84ef0829b61a3619ebbc0b6b5a1f0b67c4cd210f1e8e1386267605805c319ad60f5896ef2a006c740d00917529d8c7396743615c98620ac3b309050951a6b1c1de73920ce88b2558b425d0c23c61873bdca281b71f7fdbfb3636f9b76713997493a2dd8250b8402e4fd6e2b48cdd3d85a9968e381735ce58c16d2f9fed45d1548d0ec1e',
+    'ee3b89aba5f73687': '6daeed3ec1ef2f47e9953bf7659896464d97d49742ab6abaa489b0810a949d4802c1a3564633f6572387b632675f176b83fcbc6159ec212f64be3282e0954b03fbe9ec3023cd6a535e8bf2be313c56e834bdfa70e6985e1be7d028b43c4fbcd77607cabf',
+    '17b3944371b7403b': '98d478affe6c4c6e8c71a03764adbd2bebd39602cdf5475dfcb819a7bd6379b9f8392f3f5bc146e6c94e61092ddba2e97be16dc8ca7a757bfd626d57acfcb3b0bab2f02c0db6bcfb33926453a14a615c06453e0e256592bd38254c8af106755f91bbaa4c714e91e91e516d740a4804d33fc7fa2c307d3890a70da6a34dc97d1dc4de193c4c84',
+    '0a4644f2eb895bbc': '9e68c32ce7f7878fa9f01a3379881519cbeef9a48cfa884734fe030783831fb7607b412429b8f8308dfef64b05cd4795be944949f1ae45b765e85bb4038bc59321814567cad6ab7d03320fd3a8a04b3b59cea80bb95972932257a0527d87c6f63013af743a627b033b2e92b135201eda062d5190602705a7277d',
+    '4a59d5e83ef013b1': 'c169395e9b53d1caf17884020e053947b1a037759deccef2b00e12b3900e80a7bdd755b3bd33791bc180bc954c3a047accc52567e4642baadb10f38fb1f775568d763e69f553f46a8946b3a6bb896267d298',
+    '51a92a36a3ba3f8d': 'c27d440045e0a3223d43610354001adec62fbb5fdd1380172497b651aee45b6036b8b6d7db1dce83889fd74adfa7216ea8f0b93e36ac5e9f83a54c4dea0422ed9baf235521810af1280ccf79c1fda55f8c65f3a9627a44124162d8d3055f6e24e062dffff442e9a635e917374a96a41677a3',
+    '42fda6f3ee929c9b': 'd414b55546f0ea550d9b2a4fae01a6fece603dd46de4e6b6635d098e316ad4a70df762a01e5382cd5d3a2bca2f0f519d993df4869f2cedc14073569cd32a80beb3d54fe1c676955ef45c0ee6543d1a21467183b46bb5c07ddc2e087d7b610ec5d587b92ee28de77111a3462f29cab0e889c24ee4b34a8823c265212147519f535138dd357d8df5168200b29680c8',
+    '136a0303fd3ea013': '80066705709f293922d685c0fda92bfcb67eb6e06a02543edf5e87a740f5af099d4b229027157ffe1a914e8aa12463e488fba738a8c6d1c56523917aadd32920743d784176dac72221af31b7902e64314a2c81915b9d1191a9d9',
+    '12d5eaf0ba711a5d': 'db5eb1f888424a29efd9b2ff8166a718d7405419e7bad20ce0c6c6f77353011e051f77374617c8488cf4cad4378ec78a3916e837c190a30be238bed8657973cafa4e7adf231df6113085701ca5e5589efbcd209fe8c84f3f0e949528efe0c4170551cf571be6632f4c506f7b3f9e',
+    'fcb5d43e07d9c390': 'dd287358adfe565e09838ecd9e5b1345cb84bd89775b4e936998f7bc61fae11f394965f074276ef54dfb2a9286396c168776884f802a2b138c9b0149cae278cb66e17d9522a1393ec1bd72437c7f1f5293730ddd06681af24b51',
+    '02ccc1cd05980b17': '6f6906be888f737b2e90a7d84709e031c6814536816a5e737b6824182f893a02489a00231e46a3f7a916e369c1e339cc61be59b7e030acdd37d2092906a9ad9b13bf555a4f01f994086719e796d8116359522571aa147d707ad8e8e38073c08ea79b21bc37c906b9343ac30ca2b7b6c3a862b521ed31d97031a07fccd8c8e807f9523a1b3fb9f6aabb9d',
+    'f51ffe8a2cd2504a': '05cd2daee52c7dd7e43567b8dee7e75858a19010461b0cdca7254afdc568cc8c8cf4620fea74ce09dce0107a6ce73f7e326b7b246b109c1f7267ac8626f073787c4bb1a3507744b1af5a0942c84744db7874304367a0f47de6299221ef037597c3ef02b71358a32345245076492b980ad724ddd4e2531dc37d84c9bf',
+    '0bbcf6d85a5eef7b': '79b2abbf1c58cfe3e3b5e8df73728fda70aa0b1aa7260170392004c9c526e7ab4ff67e1610f70e41cb0517d6ee2a616387e6af1307bdce171832a71611e22dfc1aacc72cb14525bed8e0cd0d4902f7cbdeab1adde690592097a0782bc66f5c87f20b0befea33e4bd2b047716',
+    '51e03a32f25a9857': 'b8bb392f9f5c45edf756b2e5bb42ff8e96f84a929c437580c0805f2c61c65cb0fe5e61e89bd6b7753c0fabe24ac79c0e37279a22a949c3feb4ffe6b7ee14be893e1f68ae77c00b878bc871d6c6288292fb0e6e02122fb56ec3c7bc9062cc082fe9672f3fed134d4793069451',
+    '0bd201a47225081e': 'e8a728f6cbf1537a0c75da5f35221a092de647232879a58f5fcb84468184132adf86a9b8ea91f9e7aa77af5b066a15dd76e4320a9a07f757e89bad41c262604e82b3c62636eb4f4bb3865c6d8a44f03ee5c66fc1a5befd3e653969ebf1201748c02b64c8906c394bfa6162bd0076b7b39155',
+    '27fa3e4b458dfa26': 'd761f12506b589fffc1f7e642a80edbab57168e9b424ca2d30241406f7b8a180027a4e0c44f1a0421039c8a84b9f029a6975a61f3794795348d495e7135631c5852cf83bd305c8767e87848de91b2a1fd78c18c6d9e604c8bdf30e289fcaa3e0c15ede49e90444e03cfbdfb58e4b8b25dbaddc8d8f920a9fea43f0257bd1dbe03768312a0a44ad40c83582f14e81f7571d531cc2c4b8042f',
+    '0f4c38f69d030526': 'ae1dc7218ab6b0953888a82a9d33246b4bc1114680849f130fd9338c816b5fc191ae157425a8471e53d7ea3cb4cba6604ee246925141db0f07a935257b73265f35b70e9f22c6fdd3303e699dd2fd76d32e4b127837d3e632e4dacef01d4db1c8776a33bb2d49178a42d3516d285591821aa64da30f95ceb36bdf63a20f9d98f7d7995428901614de',
+    'f189ad2a7795a8b2': '24f67c4c67bec6fda126bec931f7e92da18ff9dadaf2dce947fb998489f9f27e5e4b0f37fa37f146fbb40f80f795ccceddfd5e25df1dff849e84c26e4eea8c541d26aa82b66e6c96056b6378dbd08e46aad8',
+    '1ab007d83f5ce04a': '4a8b0d0aa6ba3e74da8dae922cdbe9b7d1147c732ddb70cf5a91dcb339e9c972aabd7dcb87725c437a0a04a654d1f785ea9fcbda7028ffd4c46178c807fd5973f52afcefa2d48a5ab75d07e614ba290189668a64956db1fe431c99569ddd1c884a4a482f0333e6b0671ef56549bdc5b48931eaf7d7d9',
+    'dfeece94c4f29578': 'bc89ebac2ee2dbb2372a3f5f391d0ff29bac09f20b3d5f318b1db9819a3f2e6007f0ee793ff95d5100208fa9186dc3a81145748e9d6ae6980c57692ccd9cdc80af571733a209f20bf1e10ea58613ba02e802e61c3dd68fed16d209360291535dae57558c809fbca872d959de3fdaea05',
+    'f0c59b42343dc596': '529e841f08e22b7b7efec723f2e0079fe2d1a21e996632567fbf6e5f3e161af8e63aa767680f895cddcc5849c40a413c4e44b66ed8897834555a51bdd431d5b0df50cf8a66a8a37be5df180333bd91b8f00fc56c7621ded1',
+    '65a727429577382f': '08fe65f38852aaaf80948ca52bb29184540abf3fe3e9120e24712e804a3da748e73b026ad2e466cf1421f6f8404e09e4dec45ca30c5885325f794ffc36cf58483f55899f4ddff9dcdc97bbcc0a3e71adbfcd4760cc2f8da489ead25538e61e1418f79deaa85f9d19a8b061d0c13b80dc5c2c2920e61dc9cd5a5f617924279d687a2b4e9cefc836530bdcf01b9a4c75371d8343a22847',
+    '55ef94552f9053ce': 'feafc708902bb99a414b69a6ba284265b45ea279da878a41717bb399f3728fa6f2c3b5baf788608080905fa38f3ad206b1339e2f3644884aed476821c30746f4f83e94c01b6f0ceb5b51bac40a66327a8c6d3fe4c8f7d123db7df2a42bbb650e279c86c41c03c53fb3e9e1235db1d85555199f5768f8a47fe3d53e26b9e82a0639fb928f',
+    'ecc49b020222e01e': 'b1fe7a501aa556d13e0fbbec5a1bd8f2d30198eece3e4c76ddfdcc785450681a1f84ec91c75aaf581dcc54649c75cb946dda69db87a6cee44d0f9f1c981cdf0df2bde4ba9ffad7b16355e9fd3860f8157b6199174789800a8ccd7a48c024ae33b875034485309185539054546a8316ad1af8445b',
+    '22298736489655f0': '1efeed185bc6a56877872abeb564d7ac6b1c5fb1a8841e5342084724d7f14d48012a8710448d46bac61e65d05e89d0a6d6f6812997c2592470d5da37c11d58ebde5ffcad93f7a8ed17887530214c0228d88104e7cedff939953c16e6cdf5db6a8195301d2570cdc7e323f044de08',
+    '16f1c9faa6a5afaa': '5f358d3000958563ffd2aa80d7ea87b86a1b5f576d91a18e372a70175df58bd38c85685bf196eb8e1f9264c617772bfac1c0b4d41be1192717c48dd7a80e4991e6ef04a1d53aa26eda45127fc9d85f304d545de500a65f738b0ad8fe6aafc6775003fd450a7cfec26d7a6007b6b3dffe',
+    '4f62dbe652280d0c': '385db1dbcb5b1d9201cefbfebd0964fa95aace48e0c004a813d330922ecffcba953636f513698dbc4f332218e43170b319e4e6aa6e1d88e7032f4fded96eaa59a019ca10b5cc40982d2489236724f71f7d3996da61c35f51fdd810c66f3eb4f697108474b134ee3808983a5daaad6eef6c54ece3716aba030c1e23bfd22dbb74c9422cd3f00b',
+    '16d765d0ba9dd849': 'ad89cf807f00ca6ec9624d3db12083fab931c4bd4250fc9c908013c297f16d92f816fa3c9c43429904ba1eb19cd8fcf292fceb603e39cd331f2264086ce9571d1197ac0fb1ecf756189e7a648c40ccc1fd9f732e9c7831da49ceefa3e7e569d89552144476d8a6ffdab236172b7cc63bd9e251123b669dbf240ff866',
+    'f7bbe6575ac6b786': '3b7f4426c7ed29671fa300acbcee7422d89b153b5f2ad9a6de39373f78c9720fb58511963f360c817a8aaea8ee42f2b5721cd5bbdffe6cebeb95671838b9183f11de6c06e2b39be062c38d3861f619a26ce0ea8e4159e72ecfccb93ec00dcc7ed73a50efd67e5bb412a8009f1608fb949fa1786302a9117d',
+    'f1a92837adab75d3': '2511752f19013921a52e9fada7009220ebb9255b041b8f746fe734054c0902936b6ba813397d456a897afc78dd791e6dcec99db19e94a7c28c9e50ec85a61db7635f0cf9485d7d4608728b285d2d49f3aa8f766784bcf38ddf98a65bcb3afbdbdc97635cf35e4a9f5f6f537bc955bb9ad3d90a736b41cec38fe1569e185d95879a75',
+    '2334fd718c6d7082': '27263d3def42dca06fa0e1b55dbca749d76313637acdd439aedf2b931212cc49c0639a51ee37ed6eb365b0e3e4efe448858114bf795df175d947d71706960372229b7ee960035bcdb5852b8b4bc5b31cc1d19f2a7cf0ae5576541c1bc1a6da758f7059ba798c439be21eedd7808aa1c5cbe54a2fc3fe2579c05bb4e32e61d8c20449524126900cdc55ead47d6d3c37a7f5db',
+    '365d1f965424c5c2': '2ed8b6134e7186813162976e70bb0acfa1715658a19fdcfd779835336cd550df04f93cd5b5e86e16efbb0b6c8677aa5ee23d51e8891d998036aa64d28cc7ceddc585da5133624c9a1f05540660d1a9de9a5dadaf1c677fa400789d98f0d9824485e0073e5011249324568df1cca968b35cb52b97fdab4072135727f91361df7c2a1e9bfb249d1f78ca736994fa018162b20c16e5472391eaf7071e5d736f',
+    'f50adda0f48948ac': 'aa57d4a76ea61eecf4fee31eddace7ce57187046fa69d63db2ff2e228cc264947a0a75380b5518fe1da2eae64a1a5b5cf49082c03097812a0bc2037ee089740a56237e43c94b32e501b16abf11ba26981f79bbe598721684b151164159da1e3412f4db0f25c1f12fcb8624947b6a8baed75c1457baef8041aa61c24b69e06fca7fb1c0843e4c5d82a1e13e755955a92f',
+    '51f133f1610de4d4': '0aa11d4c108fbca981f41153706426572d4d314018084a3e81d2b05280634d0890724e67febb46f4c6ca41ede9a2c71f87ff27ecf3591ef1afcdd4787787534c0f61731ff8aea0c9e6bbdb8673e5ef84a8375f7a9869dc9b63b7b0a0dfe51a8cd0415ef52be437263d9e81a44a062e48f941d8bcf49d1b7bd1118aa5cd9d55b041dadfe3e4f9756c5a0222c0',
+    'e132a934b71011b8': '7fa1b37e9fce360373e9cd586c37af04f9a95b49f72516aa8ec9daadc8e1bff39373abd30d7bdc81d52888ad0cdd73b5ab8e6fd5e6bbcba78a137c232ff6f9caac611c2e19ac76a7ecd5dfb1099fc015f36a5076061c8effba3751c7821d633b3bc2f62348d2df40ea0a8df943cfbd83178e7381b91b',
+    'fb75dce25d9fb7fa': 'f303606455f0f5d24a9b6264ae63f097aef7ff1be96cf74a2a2969713de9171754481d041c0c39ec611289cad22556464965aaf2c6c58954bde45e79b3d0c0d3d16384bab4fa26796537528b273d86c3e2cf5b7bfd4af8c03a6f29ecc5b488ec',
+    '37fa04f1afaaa4b7': '73936dc542958b23ef183dd10be947ded6e96f6932a1a537598d2dac33593b52b6e4c58ea0ea17dac4a08bdf58120fba4e897a0ad7696354b4b7ad7a90b480b7b248fe9ae7f32eb5f41d1210cee1415e06eefa895af7212b8f5590bb22bdab602e3f29799abd72a8c4c94ce23905560e3b022129f4c4c9408d0ea36624bed5ddd746e59d7292a8e6f0f72abbf0d838c1c056714f4ee81e64e38a60741dd8b656a9b2',
+    '4e6050e790d5000e': 'fabd4524a9ed627d09127977b2033797f6290dc25d136f520ffe4ab82fa192695fd32d9e66f1d447cce59b65562672011b9eba494112b4f13c0098d634d5c56fe1c33c868e3336cbf35625efc7b9041ea8ec',
+    'dbf54891aa603c9c': '7a32b1f255d61a8e092a9e62cd0d99adcd7883eaa8d3f60ede9d020d02928ca94358b642854908718838cad623ae7b4f9f49b5e794034566705fc273345e48387488f4f1d87fcffd766542afc8dbecfe5a86c5312d2430d52278a520370a73cdffd1cd120ae943f753f0ddb3ac1a1da5243d71f84e237556ff1866e88538',
+    'fbb0ce557b07f309': 'cc5b60702560931f303358bce2513fde3efe229f62841b9e12c65a7124597dd893e7f1e7b064ed33d1fe44c92d57a732171c66ab6a5c8a4ba10c23b2bfe565b57f8eb94254db582414ce6eb659b7086321b023b4d62b',
+    'e8986601e9adc040': '561fe007bb3b269d95184d97ba4bad13cd6310f7292a8c5776d0d936fe1fe0d335a5cfb9c460c130986a2738745e1eca0a6259082e151e54bed5def059b4865a0544352660748688a2cb1f1078b56f43f571c02e2a365ebbecd4fb322a3e164a4a5a9e00c84aecfce97c714c2a421632758e1884c6f2039fb15ab26bf9d808c0aebe9673017295158cb0ed8c2c4f',
+    '51d80d6510987dd7': '0dd8f0f590a96a69cf2d20c52e32cb502b97ce89f8ab9384dc82d8677104b25f91b65bab08076823241ff375e1f5a2dd0f49facaccb975e67d95e794f1049b59add040911d764037a4792688943b45c63bd62ab1398c0684c2ab0cab5a1727f285ba1fa9bca5f3461451d31db2ef90e07b1e',
+    '2bdf66aef9c4a086': 'a6cc76edc0af99bc8b4b351d9db08e76b6f5ea48ecf2b9daacaadc9ce53ba8c067d333150fc59d944e63300ce8e0543dfcd1e2280bf740f9604b763d9027834b7195f196d0f1c1fd98226a65052986ad672c0a5e3bfbcaf0933641ce59d68f67f80e2b22a0bd24223a0d',
+    '0e2a726eb05eb8b5': '027579f3afefaa117bce16381cfda9675ddbeb96a166737133df4a879624f3796798477275e4bc03b1499d686541e681c92e15aadabfbcfbeb47ca9ec01b5ead298fcdf624f7728977519065f20dab5225137532745ba39cd5ee3057de53759cc2b2e35b19b3fc41',
+    '55d283458466d721': '3830571f5fcdeaa973ce3375304278d00968bcbd40d1fba5380dfc90ecfde21fa552637d7f9e2b72ce117bb32971a5c16c2d2258aac92b63b70366a33359e7c519e0707414ae6a8a1f3e7fec18da07ffc442c46b06e91aae330012beefc47f9ae37b1abfa3f46e1ce805df364ab001ef6cf0df095c3df6e2356686664d0092bcb20dce2f59233ae18bfe15d1',
+    'c67ba89b4b37b4e8': 'db4ec6487d6eae4810a8bef8786367a6b832bc3371bcc08f162c7327880cf2326a8cf7961fc4bd3a161b9bc818f76570994c90994500b7b360fbb5076704e3b3bdd0b63b231800d2a73c732800fa18eaf26196b3a57a662308cdee4472887bda76fd22137b2ea646795833af7aa687ea3aa9',
+    '233685fc41e12e21': '127c996cc8a856c47c7c6d565842fe642e9b923cceb9e1fb1a9917c7070609947a5d31be9ddf0596c7eab93707ed8f26eda92655c1b72e61f2f6a566bbb83c101febf09e16f3ebd43c0d7a7eff8d7519cecad7d3c2b4cd55c333339284c401a0910e2372eb825f3c8b7e2a1f15c2',
+    'f60eb1a9e2a7d215': '6b5334f602ac81017a2ad10e8fd0c59d5507b4a32f7ba843e17063dd1b82e71057033e1714bffa3e40bb48918a9216673c9705781d63a434903985f0b33876affc85fbe019195397b9a2873af574453fa24bd5c5f5bb4c2927721f1956e07aae5d6d4c0cb73618ad948fa70b',
+    '02ce33da0644eef2': 'cb752fa1713a5a3ab1d1222dcacd3733d24050855f8bb0835d4d58bd6009e2cde2aecc98bc47a306561aba185c52f2f02c81fc7571f7749fec2edc284daea1874237ee75d3d088e98c4f957fcc0b36dd3ece0ab2c39a61f6e22d860c6a64f0fb57ebc110f88e94427236f89798aceb2ed3449ee012aa',
+    'e11c0d625be1b32d': 'a73cb2727ee3ade5dfbabffa3f4dec2a16cca8a627aefe12469e11e2e1a85dfa2754ea95c0f498d152518c4040f37fd0942cad04e89a785f7f9e534f2fb08fb8bbf6c55d66c064880ee1841f428b8d582c6a09c76e2c06d7b16dea7a3b3d9baec68a0007',
+    'f3c74831602e427e': 'e78c8c176d335bb1c43d46ea42f13bd43ef517cd43235e581a4023cf5db52d6c11452a825116d350369879168897d15bad5116d8a1457a76f5cd883dc784ae00f6e422e6342ec2326261cde09b1d771d8281a6f61df5',
+    '45be4e768cfb3730': '7e37627f9794b2badca4a3b9cdbb5054e1880a0424757e8b9ce53ac74a09fd52c28cbb9b1e06ed65b3597fded191a1eb3a78ff0de20d9e54dfdacf2855d6eebd289ecaa59f9a9b93430482d9ad3b7fb33580857efc4c2c13343b79aa36ec792b27949558bd72f0152307616042ec16748d913671ef22abaec0746ebfe151811a7f36f13883c91a4271ff55ebf385d75974768b1e583ea44cb5f9',
+    '06ce66feb7717b5a': 'b3d75575daf848fd956b985bf0beb8d3222a744836c8cdb172ca823b9c71dd92711a1cae33ce442fbe1359ec4583193c81523cd65279b623d0a31575818051436b9314a147e4ef89f876ab35c7e602d2704d1b791e21895a7a5094240b0193ef',
+    '51f2a47fb452a9a4': '30d09a4bdd10adc9f2c0532892babecc7d0bc57052b148090101f3da03872056bd83c7e384aa3405124412587e6b088660763c4a05513691a8ae2c76733fec14c58469add7ae8cb6dbebcf5b9ad0f24fab366428cf55cc4e4fc4a3899e86e3f18914544b',
+    '0f73ebb5f3b3a7c3': 'edb8946441eb16ea6a459b37824d13e496e78cb9d604ae439aff4464494c8e5a20b3126fe5a4c2fef551e1c17538a4233ccb5b8e889ff7af4b545cd0cfa0bc7127b860e79029e0ac9b134d359fd50225e226c2b3f4fedbbdda054442147ce51277927b1ae7d6b946908b99a0f0d8f0e11f989737ac8d198f21787593924b2c4335b8a4b0fd625848a8365e3fb1e2c6a6b778801a39639860b2f24dcafdea4081705e',
+    '0702582764a5df38': '8ce5876c316fca93875bb0a28f77b7cbea9e331bfcb0f369e50d81cb84ccfa3529de5c5e38eda6b8526edfdc94d3d6b09e3e1f0bbc8ef38e1dd718fb31f0a04f7ed38fce702004c5487f4dcda8f606a91683469a6f7e76733dc4f3afea2632b1f83005d0765b4ae862b2b881c093fcaf3d51d8ee',
+    '52307e59994caa43': '0a4d8f99df755cf5744cfd3d1f01e4752bb33520df027b6decdb186713ae1dc38b24f9fc32a0cb1f79273bdd7e2ea62b594b10e7cbf88d6835642c864f13f8dfac6e4d89e2f1a36d25064aeeb616eb5986b50b70d23f0e61f20c986fecb5b48b425a',
+    '20ef243835b979de': 'ea7ae33b71d7d8ac5b108a794be9f6e91f0cf880e71e1e68787fb905ee0f62eecf1f1b29611d4de6466af313a6f70d1cee70b4dc12955ceba8ff1268c6c59a75073b757528543118380f9000b69303cdb09e27cf7cedb9156d8658131de5f26c0610a0ad695e1cdd38dc24b90352868e3e6c8d0804386f74',
+    '4e67003abc6bee92': 'ba490c3e9122e7930e5d154eb8c9e965307402cde947b6e394235250c5c92feba4a0129dbcddce5a1027f0268287bde899ad7db36ca4e4e4ee1e11eabeed4d5e1e6580630e3e393e0bf2a729db9448e29b2a46b02e5cfd40ce84b6fb4d8fc52047688838eabed7be534c38b4a2e3774a',
+    '535bdf2d82d7da9c': '3bef04b1ed1a8fc667609d41fceacd9f455b02e8e7a53a3a3a3e4a4150dd274948b729d5f8d83b8e4e5580fc970c420125569b9ab4128dc4255c6398e5a367d62fef11f3724673f310421fc42c9b67277e810e6501b9c1f5bf1a1870b641097a0b6f95548f2598aa011e809dfe84a2547a8195febfb083e52bdb329780ee',
+    '4f220076c5b5c4c7': '631792d68fab41a5cfcf19b2348c60fbccdffa7ff033cf9f6cab9940e648fa75149293db4261ee540682611fb91f46f045feba04d986d76fcc78c6cbaf9bc900e84481bbd2f9bdffa6c8638958d32805f77b49ca9b7f2c5883db05fbeb706d92b720e6bc61b6b442',
+    'e24f7ced40b7a240': '656029d54869a1d146fc5bee22ab0e10a18cd40537b8cde9e34fd6fffdbcd231a3c469c45d3e8e8cdb6324fdcfd83e9cf44313f644ebb0fbe0f462de2e83b4007cbd44db49ad4aeb8639848b20f39a4a17c5bb9b3424dfb5e49015d7cae918e23d41c9b3b7d9',
+    '561927f717376206': 'd097e5c147c455afd7da4efbb49dbd0c58f6eeaf565bffc4a87e9a2a8a8c91df299243aa79f0dff69e02aa7e8cdc8cd132427effc8ddc47e091d45b2d877550c60fc020f1d11af339e4d74c596db3aa86ccb7636341200d84f48b8ebfd1204a0988b4ce11b0da85a70bac717bc0955709c98d28723365f93adefc025d359f73b02b4',
+    '61f3f8452309e312': 'a8a551773d7266faaba04d62643baf190e2575df32df01d7089509ea40862d8b941b6984090587e1560201f473222624376bfa4c183aa3a382c59aa5719339a4903901b6a6e9df3c5ae0fc591bc036a61817853b7c3deaec1a1310c7e68d27862a0a2835db06c051137c9990abe26506872f2c117716e6e9f933e32fa350f12cf219af899e42f07bd68aa64b439d35c6',
+    'f083ad2b98153f10': '3af786bd4c88ffdd8596e485da61b2fbe43caa89dce74d331fe6dd156825ed9c511578b2d91545c076d380964c5a90333bbc02df2909668dcae4644e74da3c9fe208c128fc234bf40ab6704269de540b2c04cae4c4943609492e57ffa3da90293e9ff386559621263ffb0ddc06f78eae4d394c797b91f78aa8e7bb0f03af5b21204da50c2673d424e1b39eff5192bedad2c37c93acec',
+    'c57edd7ce70a9d5d': '1cbe51fc240a751641381d1a9a93cd6e684115a234b5b73f60720ce10e258046a2f3745e4cda9bfb795f08fcd5c641734bb68cf5665c5b5e6d5e8da317fd6323a580e6e91a362d2ea4f9fc99',
+    '261479785348938a': '28ad564a2d6a022e82b06a397c41e6033349a03080fdfddcfbaf791492202e3685f452570c9f31802d70f321b83238789a2683936161150172d510012fb8ca34362faa2b43dc5b65abd8f55ff8a69f792af46f35d2ec19a1c59fa7dec30c55ec6b12a3874d153e0e3f00c75dfb013ddf8fcea6d9',
+    '1e578c94e4a77551': '247ec5d8d60ea43ea561746c70398b2462aee0a616ba7609b7fab211397b6bafa1df3b8ae7570ff08d835b9a89f3d123941b924110e694dff6e477f52561e6977e7e798d271843ee609b4300f0288a818459ef7c45167ab42911cd6db5e6c3a1dddea3f4a49f1b6bff0ab5e73c56848c696d95aeb72b',
+    '55b7755bc2ccf11f': 'a010929e51be8c8410920c8ec0979fa9b94ae15a7fbd255a410ecd89bc86a573c93977d94977fcebea9943e52ade5d400d4400722bfdf0028f6f9922d45f0c653f01d59e3e2796dd788ac9e7bf9abb3252b7c4054735131530f63e8dccbae74db977c5925a442cea4c88',
+    'e21d942ef113e408': 'bd271688622bb3388144e6c423cdb47eefa7e9c891e01cd5165e86b397c40a565bdd55f68fa1250f684c1a9dae51480ed762e062a0bb52de13135849a123df4bc39b4775c862a7901f8a40d39109e127baf1f34ed47625333a22e018c9f68bb11f3f663d844a82c2de05df594c69bb38662220e88c691c8505d74e34cfbcab7ddcaab6af97a1f40052c5edcf2016e95db8dfaff231590ba2c56a4db75548',
+    '0410a8f1f48d97ad': '33fdca82f610e343edb9f3d35bcbf5315f3f0e99615ff91893db70b949801ef645948e0ee93dda5a22f5c649b55140ae254cd81875011fa6edf55e46db820472e3f2f5ef82dc17adccdb584d35d89d9e95107ffe82b89cdcf4bb91478c921e5af5c168e965e727668d3b15e1b0e64e42c8e3f5afa727edbd607badd9971e6d956347',
+    '1a8f17ff89170ade': 'a8d14ba022871f824815131808fd6525a65312eea56672bff6cfaef979b0b5e01881b0f95e5d967e6b219c44e1bbeaec1f11844c957c27c125881c4308bb02008eb9be84571c1aaea426135563f9b306dbcd1c5abac612a34baf813bfc3d9f0bbef783fd92ae8f250157e68e56bbcd3401109a683900602f887c694678c8a381fad252588d60b5f258ec6c9c96af5e0863d0413e18133edb638e3f5224bab598551f3022',
+    '28bb4f1dc5cb1c97': '50c53bf11de15880661b823d0c13a352870e37c27e41f555ea21f52c96742030424843522998fca88e7f465becbb95ba5b8f26115421b6874789e6c5528d0ce93b6a6ac177d2fe8f3e5d2aea6b59220a8fd5d85b4e6cdc8c61ebe68f20158d16976abc83dec37645e8f3f227b76606c813f11d80f70d6b274570a490c5f9a47df906f05b',
+    '2377f4d8b7b3557d': 'f18a515c5104954fe6232eafd3fb5750e473213eba0b1ca985713f0cd21df4f5d046d1cb6f736288170b52818372ecbc0488705f2ac47429e9a4a7498b680bf827053607b525748434ded909ea543e1d9417492fa0ef603dbd087f46ef8697e5d09289a4f122d97ca775befc9296261a4e6f110714fbc4fa77f7fcbe',
+    '04f2aabfb56a22f8': 'f7e8c70bd5e4f0fb20b8f43416ed245692af6d0dc4ff035b226eb8c2c9c971d987261682ace43f49c7d3e25129399f8ea88d5a88f92cdb14a6e607e1a45f498d6b186d1c8f75c5fd371a974af08f4420fbd1b4cce0955ea20b30d141b834e30db4409d30',
+    '242279229527ff8b': '1d3198b038a2d6961325f5b5e171c1fd872ce1c6295704cc1cf0fd0312c8c918bb3e85fd79d2b2724d5c3427f392e0690a772567daaf3b79dff6eef4217965d98c28def9e5594ed5173c7f28448fb9cca0700c1684238d91aa694f89445b09e91dbe207d558085a501e6d98a7febfccedc84a7dd47bb3d6f262204de60075d187476958a81c1066716cd919df597e11d386c772d',
+    'ed3997d365e86947': 'e857da9b8c3b568e070c7e052f77b00973bf3e2af306d9ac9728c3bcc83c8a9bc6fbc8bdfe2529d9dea97bbc960d807f263e8d16debcdf0b6d161686c0145fb674dce93fb225c2e23411d2ff271cd658db9ab55d96f88124fd36789e040fa1cb8c6c70ca642e1d653ee9495bc7f897fb26b8',
+    '0e0347e1c59b0840': '9b55d148479e6c1ff597b8755cedad984ab916b9639774a20a65365ec2d47f3905d2f112757e21ebfaa7d284e630ccb6d9c16755b132630ce8ca40e8f284094626c6fe6e5da52263e6eba6fae7e893560c84258cf05f0b36ac40b8fd8eaf5510f0ea5407460bf6ab3a50',
+    '4c25c71b68d8e5a1': '91c4ca5e1ac4236ef73ba3761663aaad82396cc5ec7881ce6f3b4f667192f46d3027f38715d3cb23900b7c6a68a3422d1a411788d5b98a5b0846f2a0aa0b0fe1f2e9e2898f3c649bf397a0eec40bed4d8f12dc413402eb1038d94bed7aeea16cedc49085581b86fc175a9b4612496174aeb8abc00f46125079938eb52e69af92746f',
+    'f3808d309bcfd405': 'd74a2b220019b91e44d9c512325cc4b41a43570babba4a585945c630a354c4d81c7f0ecc95a2eaf8cdcc14fadd18eb570b201db04867d97db96093d1742238098a1f3eb8c54e03f0ab8bf33199a6012be3b7b326f98fb38559bb00dbcb430ba51299f92b5a029f7b63bd2becd1231bbb7c30711eb92751126ddf9970e48fe7cf3f96c48d2f894f6430e18aa6',
+    '561ce245507d338d': '78a34ccd23bcd4c9d3651b8d7e33166b4e86e43f54f315881d192d4dc5a18a0341fcf183827620003c6e18398bed82b2e5409af23df57fada49039c7d96c30c2a4149db6b116755f567550b8dbdbc8620c9c3958d0869280bdace7bc3f5fd9eafaba584df718b075b32d712355b598c0af61e0b99d90',
+    'd785f4d00d1a0814': 'e86eed00d4188abdb7ede6367535312ba4b2493d03c04da5752763b77bbaf19a933fa17d05ad77e7f3b56a3845b81dcce4f22c04dd57fdb580403df167c1b98963032c21a02dee7d9fe9dad8f13f410329901b0d7adf6a21517f5b7428247c9be98fb1bed126782230b0674703fd46e98c265d4541fa',
+    '20da4144c2dc0297': '476a49f87b7e0dbdc076618091939044c993f081cfea375cb50bb871372790647f34597353bd75b245bfb1e09c16ab0fe5a5da011054352454570d1dde77788a3a894bc3e52b2aa2ed0a12fc2b2ced90538c88ef3aa5f35be4f3d417863a9cc251ad43545f55d682fca31f8954659e73cf5b83fdcbdfb98263d1318a1c112ee50b5711e0aa16',
+    '421a2a8ea2b18b83': '41a73d51b3235e15d5477421cd22326f2fec1f53cbb5ecc40c9295339c74bce4883283aa4ec6ef9d2bb65c526568ca1d0259f4e7adbf98dbb95d56ec4100947a30fa452c8d227610e66e21d6a80b1a40bc755328b1de021a8fc941337fd0f0d9bdfa978e80effb9bc2b4fb603fda780915007693accef8bf42e0da2381c255a23334ddf9c40c9b5b580686079c70ab58dc8389b45d5cf75c',
+    '644eb9bdb2917b47': '30f064395d3b086340812361c73acd0ec2faa5d3cadf83df5fcd44f2594fe356231887888c3aa56e81bac12c916fbb2a74ef9432fb499121b8e2782cb7ff59956486e2e2f2f63194c261d3827e73dd085ee7cb4ad89702955dc34af3065c8fd52a2a5dc8dcd437e1de428711dadb78d6ed15a284f9b7002c0b4b08848e223405926183a21f4f4c51c956f54b756f50e1cfe05688c849056fcf1bc38a7873d1376143',
+    '34c415d5242fa62e': '12c146a53f27548bb78faefb7618fb9528f72bc10327ec8d7be9573e137fe7e2bf77f29cbdf26e96f4638da869630277ed8cf26036e675d15715585556d775fae3ff9efaaebe19655b6e2c7437cba2870c5e0e9b0855850fd0b0c33112e10583dc9d837a0848e5c866a92bd7d8fc4642c1a98c3448ee75241ee2f2762696',
+    'f03ee6965f50d5a8': 'e63cb76e8a418ef63a1d733a53cfd8157e5043df89cfca520e594d070671fecdba644892c277dd88ffd586fb667e3b5e2bf2cce807376191cf87ec0a4e52e0fe7ac19e8232a2f4c49ed0877f348278c9dd649a3696aee46a7a1c6751b720d2babdb4ff5676128208d3ec13e92cad78018d0332d0efebf9cd0fe5af66d85bb465d7ec75240cf83dbf',
+    '48ac63550c2c9cb2': '73b6d657ad61728d346692e547a599b7fccf3b3647f751d07a24af17a7390985ce4ebf740c06f2712e57d1fcbe2398fa9463b10c772011812ebe6b3ee035216008facb328d3b739ce669be955b55',
+    'fd3d43f6bfef8242': '8704d448a98f9c3a0c409e4b0c5ca4231d075e75f12d14c5dedde3c4d6766a752a8ec10bf13fc01ff37777f95670d1eca23bbb4cc9204c205ec9785b685ef78b9d71ebf40c347590aec570cc006853f3975490fae0438dd195e58ea28eadd358d5679d00eb7cdfd514a6f224b797219ba336398be7673beacb619286b04c3a368391a8526acc0268f494c58e2cdeee2f3fe21b3ed7e9',
+    '465bffaeafe1e249': '31affe155bb0440cd6c45107930d4b1e763ba0ab355e4a698f25bd1b88efbc33b5c779cc6b49e57e55de2576fde5cd523eb12e945b3edc1394bc317af9ab6d6e465f87bd00407bb1f2fc66d755755c202b7ce77dd507d085dd2b0b4c2ff76eeec746e25d',
+    '2201cda5e248cb4f': 'f68308ac580922d7754083ccb21ff56d8e6cab65697d2c24631571cae7e115611834a3fcc2f2687bf0cdeba4495b887356d0feaa30803e279bf5d168d620de03347db27134789d85f1d0e06f1483afab30ced2399191793754da387eb6e7ccd60382a2e0896c4cced23009c1f916697af13b85c5ee140cc93351fb8aad0d026e45e91e856cd2f61233e29acce5c981aaadc70e284f5b2078f427e226525e',
+    'ce31c2151c917080': '2d8bb338e1fcb7ec6f1f858c0d801bf03f61b6273e0550a2fd53ae78758b710f14da18f155ffb98373ce20baea7213f2692ff50e25b59952333b7760a30064ad50a46c9a54dd452bd76a33c60da7e5aca8ae03823e57dbc6f0f190a65b858c64b47810709d2280ee7fb080d90f565fdd5b7123243f8ac0dd24dbd7f634e13f4ea3d8ea57bc023677',
+    '043c1eb3d78b1720': '194d18f194451708670adbbd6a2ca31eccaae05ea1dc67d3c6a893ab60bde7bc9535364591a892384d0cd5d9eb352a3ffa8f1284d34bb934ac62f8a33cae1c4faa0652e718c6bd5db4ebd266796cea1756763e5f24fd',
+    '44f67e37868a9085': 'f5ccc7e2f00074e96844bff254436747adbe01f3bd189254aa46acccffc657e0594e2c26807d5b53b876c6fe2ab6de96b1e84d73357f2e818dfe29e6b027e50194b3530347e0a28636999b540340a98dff4366691a48bf7ac3d64c293d7b44876bbceaf7ad97c5eeb749a160631bd704d42b5374b7d7f28aa348a381',
+    '51dcc74ccd74f59d': '6c09c5b6a54acdd62457b94cad13d8e2345fda26782243367011cea06313570c734fa30500e9a3000332f9137da9252d76669a93705f5f7de3e30ce6923b5fd79cace97e0ed1783509d76e78f029dde12d5507d49da6698cffd62ed281618cf6e6d6ff90',
+    '51dd25bdb35a4e3b': '73d57b5c54dd41156b385267166152bea2102c5f7c9852b114d2d8a8635887a567f89512d1512442a0e0eb20ec4cd906f7916de793c9eb65a06dc2f92ef1e9da9c67923e7b9cc072b08113f1266586958e697e3a85f2461ddaddc10e5e8f243dfdd9e7b4802ff159c3962134752414b5',
+    '231c03335a0cbe0a': 'c71807c19e0fc53f7ae3d0b1653c947082b6e8089d3747285d328083ee84afb7a0895f0873dc5b5a5920f617740087f27a9e6aab7e234b2269ae8d775fce03597ca87b0fa0c1e1ea3751e8fdc2e41cc707996bf0',
+
+    // 4 letters (answers.js)
+    'fc638bf103d3a1ae3742': '8c7fb069e9a664e3bc6c9d178e0b4bf031e046dace88f5d60e5b8e75ba975625ec4cf98e104d9e9d7bdd998412e6b5023c57b8e79268ed60d10df669760c7ad9eeca8f4f82e077667aae92bf3233fd5b6f7515ecc0ea3bf41f38a8435eba045f75f8582e67c03aa284fd03a1440ecc0644a04facfd5147ac172cb7d486a39461153edd3aed97b2147187bd5f9319e0f36dd7188882afeb88252634cdbaa290604c49991d539b43b4bde3',
+    '333909884d37f4978b7c': '89de3e6f4947e3040db62b5ddcb36b6f2a37f1a56332cfb23186ce2a6b774e203e5c6684cb61e63e12cd66042d78fb9e59475b78f62a1ecc6739d53b46c0a40d2645a07ef5e723c9692e8d016ce48e60554aeed392855613f54fdd2cd6e0c48a804cfd48458c8bae53562321e80349df8c53661c',
+    'eba97027ec459be65e16': 'b59cb0d2da44cdee21d71cad68249fcc48d67ec9dc5845039b7cc31f796334421f13df592baa1058700442b6ab9a9b32a83f3f6dcca65f5135cd0416b0b3e48b050f3b285e7e1bb84fbd658eb102c1a70ea151af6341b26f01b787e79d82e3664e3b3feb539aaf25be4698eb7d7180ec1fc4e8dba8d68be08d51333eb9b53296787f63f4df0c04a398fcfb5a6e93a6f82331f8d94254',
+    '6e9e9c138dca91003a59': '72937a39ebc04c56c40bf491782085fc0494cc78e727c40e9db9a35f68f0b4e5902a765ba4b30271fc65bf11394fe43f65f4047c2c5910172f8a718e1a9ca8a16d73a7ac677a654d2696a10ab5f96f390796ac0ebd73bd5c76896634981f34f175ca754623b9b8fd0f2293409a6c9a68f53fa4a21c477d79a8d8a05e9ce7bfbf8d95f05a0a6335124724b5734d4bc3fa7b6967daaf21a6bc',
+    '5350df3b2faa38a0e16c': '36584e99da644303c5c51f8b8c825c6916de45d76750d6e880d20abe4374badbc938ee5874311f5b0888fa5d1074b9e273c319513cb6f0226f4c43c786eba90cd79693e475ebe2f5de8ddf86140aefdf2c1bb90ccbc7415e0356872a5767803e830a9709d4a274b513f4f40742bf2c7b512cf2ab5f8242e613739d2c0866e12bcc6cee325a718321e9303007680ea050107b29b603def62487a69071',
+    '84a36bb8a37be980db73': '055c40d8013c742332db978850c5a823635f12a8313e413e8515ca3b7a7c2ae0b972ce925bf6cd08bd0184454df376ce33c8cbe79d493e62d85b95c6464cb74b961ac593c5dbaa658526fa52992b70fc42d6f9f77bcf98a664062d0b6954155a57554af64183ff40c5ac48c5336ab9146094079489fe33cac856035bcb001278979f19e086d9748e108eeb6cb6e98c29',
+    '7290af9a71064c268d95': '0e5b44f75b8689cdce63ce93262bf0ef1711bced6356d58e74767f8d756b0b211fb650a61e36d5849e8d6016612e11c2b68d7426fc6b3d7e7971c712c1159e4ca35ceb50e69707c2ed0d05e131bc7e3daac0ab0d7de55f6dfdbdd4b9ed5b7c26512659c3426340d4344aa317f5dd15de5461d6b450346a4d89bedba878da0c35849f9697bfbda57732fff354507d2d4e',
+    '061207395846c7a50373': '8cd6c862de65566d6b199713aa5f8f7d3fd09af27e880815a27d9577b7499bddd78ba652c68b0242a8cc892cba571792d2b81d1e22448b1b7bd06b1cfae5da7779b172e2e840956acfd728f59e18ba24ff04859eb894ceaa755fb85d864aa5faa8cc73e117b7ce2a3b726498c81f1716e25d07611ac70ae1b8ad',
+    'ee9f05c47311269ad08c': '554a32379fd08b759f4c8bb02240eb3eaecc7fa0a9009f0979704087e929a8da538dc2d92564119e4ba07602622a9455546c242ecbaf1a1f80f3a39f9286dcbc2e2bb26a1ff8c2ba170b9c1557977807d153e460',
+    '5485ecb7b169ba4cbedc': '64ebb969251b52038bc7f03f881752ec97fe452c987576028ec9ce5b10ed572af8bb8a7b38aa01e4200088859e527f2b401c5eefc24ff336d41e262d33e1ac151aad54451ca9ccb9a850637cf582',
+    'f3123ae5088b9542e0a0': 'f9c3e63d301790e55439ef470cd1c0be4a4826a1b97e5cb8c650793cecc91fea077ca85d1702edf26de5ce8e1a03c12d42d4b1e3ff43a3e150782476e99e24039281869333e79db4da42165cfd89',
+    '4bc6ee6177bc3df3c64e': '8ce56a2883c4692da7b666a037dd0e5db31dbdbc8272d54e313ca353e121876a0ba2d25c508e673371b030323b4a82898d4f93b777bef59aae072e43ef2dcfb13ef7053775c09e6f37545ece6662dccaccd3a7b59f0a13801663cd3f5efc3426ea83c0d55ac8c73770596c3416e774dd3045becc6b811348b84d563450b5a0acdcc515986c366ae028924bc2f46f',
+    'd9e9232228c864e6ed48': '3ca37db4de9ce586ae2588c37865d251e672f7293cb5afb4f3b8fc4d70b7cfc150e17ed99d998db76df2181e6fcdc5610d4c357aa43e56cfa3bde6560c4a971570ed5863d8a440791a99f415512e6588c874493acc5d7808afb1d9e1f3d8e85883371fd9',
+    'a2fe954d80968854825b': '251ce3d3b24129c7f0a3b047c6b62ad70c75bfb4975897e399c71e74813ed88f545ae43fe21de559e884dbf6865e5b166a46b2e4b322344924dae8d7171d2b2d9139e04f157da6744d80b55b79a6799d392b126fa14b0bab4b90fef89aedbd1cc66c44fc76f63922125a48ec435b9abf2ddf1c80c4e6460b370a',
+    '2e6ff40faca9e65d54a3': '726a758829c90b9e8407d6b93c4a764ab9f030050ae3d1e05acfd72c83621bcf538c3e53454e220bd31091576fca3ef9aafd17473c84edbf7f0870819f0a4a9d1c767bceeebad3e3d0c86ff25ba45da2314d1b1eafd384b8b6f23f2c52a6',
+    '365d1f2954dbc5acdebd': 'e72aa6570b9dce366c6f0648f997c811b7f977d4880d8bae89f483ff7dbc72b5c969c3bc623a2bf8c1344fc7f80c8e5c44877a89c592feb65043ae6622eaf6104fae2b75d084298b4344c6571ce8249aff8411af383897ca9ec50252bb437d7a50bf1490278624461d64d277acb12b1770d648f0350e8900f5fc2cd5c5df43400e932225d6cf8585d12aff30b49070b1af87c5998f50418ae916',
+    '6debd7b37acdc509820d': 'a8bd8e8e437f94322304c2497347465ac89d9e1ef6bfe1c5ca87ab38debf5865c68bcb9d4915adc6930bb61406e5dce873650aa507f4a9da2001910a20f3ff60562189ab24c026fdd9b6c636f370a75bab443fc8dd78a702cb5b45385e0a90b7aeea05e61fbf7d1f28076ed0152d9f43253ebc626d61eb56466c',
+    'e1028785059d847e33c3': 'd6cff1c4a2e91f1d98d556e12fb366ad134c5f8e3bdb4a527dddcbab9c6f535da21bf8cea011a2e9bd9e13b1beb4c062b1c1c2ce89bfe0b07d1f6fc971230c85f90a60e8993e51490cc16ded76349d9859735dc01ca6c2f5ed44dcd803d46169fedea58f0c753b177e0c75dd9b4dc967a85aceb698e853bbbfb4556542c49c9f',
+    '03b2e53ffeb033630ee2': 'a64221e2ae3b518e3fb2933bfeaa27727b861af32873d7ce6cbd0d5471c041c3d1495659cfea2ce2251dee6a2733d43d946875c99d0321aeed4a02d3fe633e0e874e1a3be7f3179150ef31442d82f818f81f79789875eb4637288924dbbe72c6065450ed6a05b096e9578871fec01090582a37ba',
+    '8aa5c581b5df512cd7df': '51d83e94d6e14f20ebd594852d184b8c7437ea64835d09b9b44d1c2120fa2c5e1283dc2efe4c51354b898e8ab6eaddc11d56d7304831083a54b21f8fb98f4d2e75ad800a596e6782b83a3724fbaed05b6038947b8ddbb9fb501a0f4fb36483b5ac9ab59abe2fb000d3709dba45e7bbac1e1498cb4abc1614',
+    'd75dd1c4e81dc104a971': 'ed67be3ce1c43896c4cabc9665f79789f266065d4aad79a740eedb5e7b9c52c877ed5c5230b7014811f3d6628dc169ec3cf87110a39341b5e949931b30de71a124c67d7367a3bbb2cad62c317c262d89606661de0ffd6f12a1328f2145c52058fb5f6187203626a417b67b0637ca60163923153988f4fbcf451c421f',
+    'c8718313ef526e704cc5': '06e4c8a289d86b8c8f025bcadee62aa6afbd28d918941ed8afbd9409baaf98e5f1c6299d94930bb6a0b761d0fe3f5a4889ea0dc4619bf953ac1751da6e948f4aeba2aa8c9cdea0fccdae5677b7885805ed36b19f132eb9e46d29038dd097',
+    '490692850ce3f7b3b7e8': '411c1a7fe906f320dfbbfd6f1b512646a403bbb76f6c0b7eab2d6e40c95f5d342716782d7f7ab85458a9c76da294232f046b62e245b75d529daf26d6e942bbfb5adad207215042d202c3f68b8be746f61a9a9bd141ba7dbcc1b28f393b6e00ecfd0656e3cab3ee1326c67a2fa5a9e171ea2a4818b883cd066eaf0e3de70d8d3e412e',
+    '6226f8f7c4e73e8a004d': '19f091806650554cdad15c75fa0635620027dee5d735d4540b61916cb8d0092bdccc8c371c03d13d9ab97c2a1426c1b05bdb49130a1a99077b3da0be5c1343fafbcc4bf57ba0fbe6e636b5124e75028dc219dedb7611d37e861ea98f67c18113798733ce0e461ae343003fbf3703146a8743727589d0ec1e6662',
+    '9c22dbbcd50c96479004': '6d14d3c614861572daafe0d728ed798f102cb9d12c3e6f21d443dfb9d6b5f1c97fd94d8cdff2435ee41e28876ffc833db656ba19f1d45c84ba86987257580582d7c7fd0e451458d783a3e478b310d9552abeacf99a4ebb362e1e81478148',
+    'fff566f8b10d37456ca2': '597f45261fae37082d5b6eb33beb3b50de3ee20d15f032820e700dfb020157f4bccc3a36197e047212d22a291f80e5aed509349a95b4871951518663398562070799cee704a8db740d2ae92e70694d5977e1c063c3d887f8902834aa12a81f9576da6100867fba498016eafc4f96b3af962683e2b19437115a9ba4680d389d58',
+    '7bfb39166bd4a0ab61d8': '156aebe52a4e9fa1e3724d32195848d801705b1beb96d14c90ef6e12a03c060a62c3b9053af08a5b6e4e7ef1c32b3a955f33a4e1b3c5ea724853608bcd5bfdba783792eccc91f32499e935871a6b5d5920c3cbf5eeb220f7d44c013787ff091d1e677e83b64e12dd068b4d20ae8ebba81940f757da8f778d68bc377532f6072f49eb2ceb42e926b5aecd211ffae42edb5bd26035e6504367422c89b3436f5f3140c50f118807fd36d600deb4c247e1031e0a',
+    'dff0e0f30ad07758bc9a': 'e330e1c3e25bea1db54d09d386cdd14d00d5a1277d8fdcd51b1f6f5aa67d40831e3422a350eff80b9c8929ff22c4140e9dda8b81225093a9ee52e1f9bbf246909b01f6729516dc0f1811f2f405b5a4d31a08e42f207fb924233693e230d346870e53eb2f5e665df1f871a3007325',
+    '777695c02c657b7dd1ae': 'aa4d20879e88d496838140fefaf035c57565d43ceea24e65280c3d328e2c2f292c4c993cdc76f4be5131f24e07962fa3196fc955cc458017fc6bada587f5bacf05168f407eaf2e912d67f19aab15403e5ce8c7b67f7de89efe2b8498c4e960e48f62a64c08c04fb3ab3a9753384c00a379f936c40c6f6a4f36e7c9e5',
+    '28d096eede06af4423c0': '8b9592588d22eddda582f50123c0592a8f11ce0baef306630ec2dcc35e007bf803bf33fd8cc45eea917c628924c5597e4c3cd31d0ed5b071f51e63462871999f60ceaebbf94be2567399e5d624b904512a350a937588554d96f2367a41a8572f0316111324b5cd9666f10d5f02a7ac3c49a8ff47d0a3a892964ab782',
+    '9cd937b2534e70318216': '6ae3a7ab4de04b905dff803259d4489558a8615efbca45de4ab5eae96ddf1ea76681cee4274a957b8acb9467aa36fc665607ae4fde02536b4ad5d9f2986f4e14f95915a07fd83c6c3bcfa4914fa6e6117b588ed91f0e899ef74aa6263036',
+    'f36311ed0569b9736b3c': '54511e198b8dc2c401d1113bee98d09920ac6ecc1e2c082860c5c3c163ae28e53c9fafef77f439c1d8d961c4b644983f86c64e2182e58c8d1381e4e9fcb9f9e04818e5ac008ac5bae0f071efe821b76ffef2ec50b89f52ad4fb6ba2fe9f02726dac6101fc4d33d126173681076cd6f82f68f53d59b42a6d28be4e459d2076aefa21dcdbd775a04540c25fc1ebbcfb2672882',
+    'b2923fed9ebbc10db653': '9a0e476dbf12c2e10e2f7bbe6c66500d71e3ae5ee454533c2ac9f91b39b0a24c73f3f83c05dc896b5da950dfa1186b81ff0d744aa1779bd8b251ffbe04e39331f4cd9cb6934ecd1fca8e0da74011d3c9903e299cffa6901f9df07431cb01d3339a3b1a469ca63d5afa4e120d8bdc',
+    '6d1357c2696cc09f7e80': '4886a63b79940c1f1984cb93740289e37db28ef0e58800ccb7329277184a807cffba61e822e82fc85ebdee0e72ef0bfe0bd68568fc7bb83c3d1d84da8c72d5e4830ad981005168a85fcd81b986b27163e8690bbebc445b547e0bba24b49c42dc462cf8db6b5c2514',
+    'eff34492a084b6525d16': '33ba060b2fdf6ba265c0caa6a7c9be050bf99c87e1e69d6850e6031d1f9f4c20c617063caae6c451fbb1be7a033158c9d4c631946f68fadc850eb905c55c90997fa01eb145ec65e545254278e4127cb572117f4064734b73ef2f114012d55cbf112144c913f56583265ab78873ee540fed6faed395a535788805e2279210ab0e',
+    '913fc5404292646b54bb': '64af44e31bbc266a682b6cc23bf688175c634ca403b1df98d8e7b1c213593b194049bd0131dca45fc86506f1b9fdb0269f646a934f16ce240e441639ea2ea7a1f49833ff4dbe0c91545e841d116dfd3737467062a11714dd97b25e54140f017e31c6d6180fc7d6642af6',
+    '6122a5ef92258b9ace19': 'd1ba241511846679cb703d89ae3f55f61f5fbb12c81aa2516b69de6d86aa876661359a36ad25d2a42e9aa5fecceae60f8958bf80a5c1c18ec3d4f3d5d5f1e85e191516843b0c338510096930eb9f87eabfabac0ff4d8f51a6c37edfc55d0cbfff0531a36050acc3020bde9e0978c0360045952970f7a',
+    '48a54e4e84dfc738bebc': 'b84933429b6bdedad026a3f45a1cadeca11f91913e74800b310df968f878f0f5b3d4692a7cd8b9ab89f0a79397070b7727ad8b7a2c59f0aa64ee7310fc5b1cdf1d7772a814fa20c30adc58aca8ee5844e9f4ca68e78c845ecae60537e11f7f2d9ce9d04f5fb14c2fe496a4f26d01ec26ebdf3e1d149c8df08e5f',
+    '1a8f1762899d0ac0cee9': '9c9b673cc9edebbb21be10a668c16563e0111131c9e7c227d4e4cf55e4281aecd87d2505079d42e3f88018e3cab8f3b794695cee63e78b1fae733833a1ef110c196da1f30b82b24b2956aabe129c6c1e955274b08f7a181c7f22f3b4754a22b8eff9e3cb',
+    '6062015d9fdc62348170': 'fd13ceaeb5838d145114f5fd549cc791fc396029e39e5385f3dd4d3373c8a1141faac38c2491683f71b20ae9c2eaf606cef24ae01ae3b5fd3c006d7e3f1add5104d728924d2981f6b4773d327ec6bbceaf612dac326c50bb421ba0bfe2cfa5487c07dd3b66b34d5c8baa88563fabb8f62a8da8a4854931a5105bcc7e',
+    '3cadcd041c5d618f4602': '0e5af56ea57b6dd6bebb04df8afd02ea71898f45ff98fb2b8edbf0f13bfdcb03a6df9e6fbe601eb1b3bb4a1434aa5292e7b0df845593c6580d19200fac631fc20b4fb9ac036fb7d6f5114253d5d60f88a36e925d0c7228e53af392c8aef6024f031d7bf8adc1ce6f39b5b27b78b759b2bf1b7aa7c57c59561613412c3c207f2e1ed337b3190d84d8eb866c9b3d3737ac2067ef2279095140d902',
+    'b7d9fd1e42004d4ca396': '43a9786d21b92b2b3261847d8729315dfd0f6271ae4888599d5ad74399caa55ef4b9833995beb73767e2efbd3d6b0c5271b1802fe20eaa36e9815f43b15ba823c63ab28754bee27b9e7bf78f5c53f134ea75716ee311cc7af05004f7e332c8c9d384723de39ff78ce78c975993c41665db65970558fdf5db7d59d8e0964e5d93a2d386b21453024918bc',
+    'e7714bbe2c690cc78c3f': '275972c9f0e3b6dbe3f6c26312d9ee5b1ecbf65f475701ed8aa53fa500ef989e8612df466cd9623887f88fbc02b725d35ed2a58f082ff1476e9d0061bf1cb06ac40da65560b21676ce4ddd2556a296dca034bf996c35af9e010ba5c841650793a101d45556f0d4b2719690c2d9f6a7a1df27da4f40d0916e4153629120be9c9666baa06bf4dd24df8c0e0fc40d50',
+    'b9385323ef790ac107cc': 'fdd189c11c2d001a3ae5fb683b64709442f5f1509672b9f5b630234a4c83bd7cc10b09da402926c6f4692d10ea1a82c1e54e0ece735170ec7cd921ef2855ad2657ca2b4de983625c6b8333e6a14ea1df9e15d19ec109eefb',
+    'f840b7c6fc2665f3f3c9': '0d50b337e166a68b6c3c6fa3b30f4774e3e078595b8191d56da6fcb09ce1ff569517454032513975a81eb961bc634c4634a4a24f1edac1fab7000ed1f08341442b301b34dad924cf7adf8afef07831e52c7fe3ad886f2a80d1ce',
+    'a380f6f4c385274adc7c': '319aba4b6049dfff103dd557199f751b2564cbe2152ae0b3d34aa94aacd4fab6e209aa77bb28633a6ffad6d1d0ad11db79fa2dd12a51c2866d14e0ff9006c2089b4ee40b75e03eb9196544c0ea1bea4bd271c57e9f9476f5b85e95c58bafe937a0116ddcaf94066118ef21a01241721804cab0fcbcd4d221742620fd139400fc0586cb7878db790b3c282172dffeacd392d5',
+    'fa91ddb3db55bf9c54e9': 'a4c5a63879e43aa73d5dd79955ab3e91ad062246a363b4c1dd77b0c459117b99fc324dccd897a2d8c3d8129a0e64a51d1ab4b1a24858605e05d9ef75ae3091ae61b79455d55a891e23977e14528bf7276a4bfe60c607b29a6d3d0e8d9a653576a140e18cc26d80f6a41db8c6',
+    '48c3dc86c1720abbbaf7': '0375974eacbaa8661a6283570228c49e6f690c4a535e7d1cb51753a2d3a118f0c585ab1867e78b8b14a70417b48835eaee27a9ffd9faa5f12ff57edf961eb5dc1d2ed0d5cad96e719663f17fd2408814e3414ddd17f2a0d914ab7b33e7a45d502d2480d85b7f2ac4f39638eec72a2daf0e6f330f84a5a15b94fa45ff3ca6ff81b797a6cf7ec0fc8071714b5e7ed8e93d26a2252eb17f1992c816db9b35c34422ffd5a732cb9824145ca956d2f5b0b957fbcf8b85ccb15407d4e4991a3db03b63d188b364b2d8a451b2ae7410a73e',
+    '45e2a135d29de31be385': '0994e0e250459efe7791d5cf7514d7ed1751f9743476362482c667a9e48c678e9c95f4f6b26789e58c03d5011919c31a00d4baada489ff2595043ec38ccc308f27cb34fddd1713565fbffbf66c624b33e587b4759156b53fe78680cfcd43fa7b727386900b98c1a2d2c00d3a22173c891e5147ff3b42651b7e554534e5482675',
+    '4a4db6fef1a89f7d1b4c': '2f8b20ba5f6934eec62f95259d8710d7878071c9a9a452c959bceb720e9ea946c8c98d16612aa007a8070aca17c271106ccfd3ca44e2295aa16b71b5d0ef5c6d3d997d82318d18208eb9e9871caa7f460e1a',
+    '7f64ed06a348934265d2': 'a38b4b7e4e0e3cc97edf5e1431744d4cad6ca832b0669ba85be05bed2760747897f9419c44096852577a7ff26e5b317c0d9431208fc7e183db13c46007ccc735b296b1f6a1f6bbf4c3fe2ce8893b0a49789aa40d92a48769e6d0b80e8bdbdfe4486ef9c7b8003ca7b2dc',
+    'c0db1e232963532e7818': '94278846ce7b584f54af193e69cd4b4553922bd5d3163d24608fee61368c625021d6b43b92c9bb413655882d6fb1b219d43045dea19a9fdbcabbaf26020cfa8ef073aeebe1301e067832bc12b459352ac3c0fbd9ecbf099e6fde84b8a4a663a5de93f2d11fddd81e8904866fe054a734',
+    'a5f17b35517e8f6fad1d': '26abdf0cf9c79c3d0bdef7c20023ac9c0df5639d31499ed03713b825d81be3d3f431afad8433bcc524809905bb2b70b9c12efa80c27fe65e763e0828e5d26b323885ee06dee434dbb03d5d29fe0c879eaf0cdd02e5886e76a5badffef3d5144bb869',
+    '4bce05602a22347fc320': '9d2878b5b446ab69c99d007b51610507f7f932c44b103988cfba2568952ba1ad444b2fc39f7b886cb35d5fdc97712f6fc1b1346935aae7d4ea8e25aed1c40a63506b1e2ee9c70c5682bad78d0e3d159267af87bfb8586bd7',
+    '93bdaee593b7e1338ad4': '4349081e290c4c44751b774bcedb9fa898e312cc337edec64f37861d09e1268317bcd8cac11b2403a52c86c872bd7691ad33e15b9facd3b317c03574e249264a9cd48bd6bf37bfede481ad860aa997a36a56f33a52771b9b3bc76cd33f43202adb4b765829248cf23a8009a25ace223c736f30ebe393032e848f2a034ad8cebba6aea2c28a2cb28b8c0f',
+    '4586d211d21a8a54e4d2': '97506502284ed642b78bc46549c1717c1f6f2e7f3f5e2268bcf6c33e8db0617043c4260d658075548073354051997145a9ea0bd2c41f34109f3a958db2459773e016eef2a4368a88306fb94e0b96e61d9d57ce6cd67abfff8113c8166596b973c0ad9d17b60c831a913c24f7d0d43733967956c16a2b0642',
+    'b7833c81a10c95adba34': '6f64fa55363122f8018d0ba586c3b0d9ce30b4c23095c3877f159a1ab0bb1ddfc57aaaaf369aeee92803a21dcb23042ac289c49ac4b4cf34a96c7560211a68e0056bc021abc146ef3cfccd489f2a10ebc50bc86a4d695faed2a2dc0365d77f2dfed47594d6ea2c54fb4d00ee35eeedbb9e909c076903aa61e40e2a780876',
+    'f61a5944e8e53ecf6cb3': '55579d465df1d6c9b3cbd1debfc2c771a3e174cb0ca33ca1a4938f1d4a834b6479495c7d44040e67a1aeab7e735e2bc0746d6f81f6d5d85437867294d4ba1262da4a3a347c01c573617dfd05badf6ed9a4c978bd2197d159b9366663a532a42bbd3cf6611c34fd2dd5eea0addcdd3d3d5658',
+    '7618c84e56fac5519c8f': 'e19fca2b34b27cc8ddcace54c2af0c257b8d5cdf852b06854e191632eec0eca74bce0cd03c2285aa83b998ea28888dbf66b1c34aa4172ad1a316b96b58ac17e722edd1a85b77d921c2f9a2499447c12df2f8f456df5af0c617e54d9fbd476e41',
+    '6d211da0358616350868': '09f7fe0580c19b94d7a1bebc300dcd3f73462c06f39486c6bebc73e824b5f439c9bfa7467b9b436045a268dfa993ff72ea6714c4c9936dd65eec60648cf3b3378c825cef3e86d9af5501708b8b686f32224eb9f4f4c59326267db9300293713b316f0653006f8d0e2b3a4121f0cdd81dd44415e7416acdc46508f73055806351f05e929b52edb9e7e682f2912096',
+    '863564f7c5f69d948abf': '7da5bb9a10b77a59b837485a7251d0a9f5837c46c6dc87050115bad64f384288b73cdbd8cfc52377c401b659600161ac20375ae1128ef01f36d986f3d1b7be7f8cacb70bd3b965c3b2e2169bd63860de05d8848a6b7e7367f9541dbac9a9f2e1ac73d4be5a8e845943868b24d3f3f263cc0f7bad7c9fa861bbc2906b07489970960f',
+    '5fe88526f3a037678a9d': '620f0fb2a8a6c0ab0bb0a21aa45557280382b41be6b3f474641df458c74beb8423d9ef95a9dee64da8013ff5a3cf99d5f356cd76dbcf16cd119efa1f7b232cfc9a02c2676667f47ff9f6584174c9ee901605459ce01f8f047a0a8f1f79438ec10907fb132b10381602c51f2e8539b9839fdff388a8e8c87ac03ba7200d288d37eca00186e66c76882cec5327597a',
+    '5a2be31e73a835df8305': '42f2f780bd9aafb380b19a5778a81e00f8cf436ff58d5f9edaf192aad81b82a9f343abf133dfbfd56e9f7e43b8fd88dca9869cba98c55e41e33557bef9a85fbcd3954fefd834166ad17bf8f807835c137e8c468e265313228b8a3c5d3e6ad29334ae993245ec3718',
+    '76c6618073fe0ae53841': 'ba3edaf77776d5669bfd4bf9c2402f4c3c55da1a7d1228ac741103c7058830c40f206a1a50979ad957f79c92b86153c9ffdb0b416cd7cfab00954be0a5f5e2c0e4b412d921baf32616c2977eb645604a16b32b767158bd9ce4ebb5e3d620377a45ed7fff98611b70d9981746f34271c0e09e7f50a0c6b152',
+    '43a8eb6ffff8548a358a': '9d55348a6cbda1b0a54f6b85010a3891d2e5e5293e2dc34409892b837694c1b2001d4f4275095cda42d580383c2f538e283021be9923f8da6443ed2a6fe3eefea6e537e8fa0ee3763cd62f34c7849e5373d1390d11503497ba09d5f1406c9356671418d8af9dbcf9156b5d89eea20a5ca4dfcb93f227106a83ae744ab1d03cec48a43b8e920d40baead011a99028f68b701e47695593b838e094ad32e4159a40',
+    'b96436f1973c8bf11fc3': '4dd41115d309686c5035a29f43cff0dec9e94c884cf793472ee5dd53f381c640ec6ac36def6b7615e97077b7d607f766b5a7949dcd13f06d0981645b3e51f266a186a87917842221093c66086e7b2a2a73904a540a3d6984e7f24b584fc0d7f3f837c567699d4e68b2ccabdf00c850bed7ef192078372699fae8',
+    '8c8775572f8c18c62326': 'dc4dde4f8f736f16b0d8242e1601bbcd1eb8cd06df3ea519703bfcca4c5e0953d5f168d79cbfbdb0f8f5cc2a2c04bff4057615adb5e641f8a128374323001b32936de567c9f5c0bc162f68a3653fc08ff4f33b34861d7fc925ae44f31118f014901d44bdf1a67055949dd37605275cbd5955c44b',
+    '1df861922ea0b354f1b8': '421b21a40cb2986e70a28a683d49cdd5c157805411910f8f3449616d34429b5f553e126707420303b08f8b4fb96bcef6d343152055854e4d319d5ae89b574b4071d394c05c72cb4a6cf207693ce902260287897c360c31ebcfa7700b27002ef7cab9f4f07da04639356ad89190399a9fa54430023ce6c7763343056ff1027f51bcdcb2ec766a3780a2c60655626bd9f69ca5a7d9e78e3954ab93',
+    '7084b61cf07f7b09bd2d': '02ac2ad09df5a7b21d506e8192d6071f07bf85467ed7f46316e4b60b1210c99d58d8527243bea89ec875db9031589710b2c205be0ce4e7d30d861292eeb2e234e750a93ad89a7341726117e63ebb5db1d82cc6c68da3f41366f438e0fb9f05d37d29138702b59b9b748250a270c05230c5ee8e0e78e43282',
+    '5adda5b0ff854c9e29bf': '039453669f92909f2a9184c42d340f375b758b14c6b8697934e299ba614a5f1bcf30f92f7bceec26665928e6ef059f9d17d6eb3e54cc3509c6b2a5c5b403bf7d733626968506bf356f570e26a2c0738a4898bf24fb5b58ffc88e04b96588',
+    'd0f3dc8640346bfffda2': '736f09b14ade205466196a1253d8b7bef776a6561c26e77868ae4ff52af6cf107f91ebc1f19ca7a4b949459b9f016d2deb50d996cd6c6fb908be83098d2ddf620583d97a7ef6d1e32932c0a798f0b8650a3a405c08658a72ec57c34f9562d5b5c02f20e3e2c758b4',
+    '5487a1736d74c885fcde': '310f000e89243b3defeeb1175d96072df7f038e3f88fa9e43193cf283fa4f38958037d49e1f08ea84c2a93f333e42e05824f854e9806c5dcb11dcf182050c0acb2e215adeb8a337eee8a7d71cc2ae0477b0fd06487b4bb4a632c37cb0e0e029b7cd233518330af5aadefee2e60a0',
+    '9e9c57e14896ed057593': '98bb334c01996be04fde12edf111076119dbbc0a7b85a2178c6664ce959f2bfd11799508e1cd0fa337eee057e5c9cb251a503cef973829dbcbb71c580702bc517f29dbed5b07c51bd47b78944b6d6eb680af6629e6f31b01d7dcb4b057ac0fa66be8c5c8dcc3b71a039849216f896d9e694594a2',
+    'ef4a85917c730474fc5b': '1fa127b6fe3ae9385d4b934f788eff84fe11ea67a8cb520238a64ad7694201ee11ac3fe6c50129ebfdd8efb1ec8ae20ded8f1d37e5ae81858d4e00d3938c868feecf1aa470db4fc1f076d75b3d29bc6dbb0a08d0e90556bc56e23cb7a7542b609454a3a2',
+    '0691595a32ab69de17cf': '048087275ae06397679045a86fa20b684140739a6f09d7069b268ea4775aa4d446cd9e548ea4df0274913f5bf9781016c111fe582c7663c0b3ef319827612a10a3f9d338a79b134ee84fb87d819fc4c8f4ba5b0630a1055568afa3bfdf209adc1095ed99f2569f0b7df825b77133a7e7a9b1',
+    '843d79af33f416fcf911': '323461a3a72654dddd3003ab685c67232653c10e9898d647c74289bc3bad7a03b2a605190d9eb91af377b24f3fbb9e671d85da478e9928e6fe06326f4cfb69e514829d8882f07f51b2ec59625328b5fe2133b7105ef41c20',
+    'e926e9fe8ee1badda6cb': 'b61d800448ed84171cbd2acdde34ab51741a3bf94cff6583e902faf9f14d156773f8fdca40e9f5d6eb35e4b45f678cab62b7c39d4f10b2d5d3f4a272a8c31115e9476dd40b4be24e1d1a728dfba2f4600c7f2a2f01f0b759e962e298ab83c0506f1164394869d4d8346606638f4f53a26c747fe3',
+    'e78e8c54be680c1c5ab0': '805bed03e1800a3f54951225fd2346019382d9df1eccf1a45c44645d5472397e55c8ed641a86b23afa7e86ff99c91435f6a6c167799666c4fc1811696e1c292836b6eb7c22566a9be4ff7535de0e7acb36e8649c1cebddefbd2e7200d60aa341c32286b8d74309721282185406f15d61',
+    'e842f098ba82cd9ed99a': '753d1f2bf480744900e8a9689708860a8de8473467342226396232847cd14e794ac748571c61963e38ee2b9b320a04ec2c1361f83ce0fff5d27679ea9699787dff286f8b7c46da4120c92ba95fb045ff9f3439f03e5bcae47b72b7250db214ea58133ec2bfb06706e13b1f98f967183c1bae7d8fc3ca013e3c0aeaabd676263d1ef76fcf0d548f571ca7688fc22dfe425a98',
+    '9fafeaf3314a31ceb41d': 'b62d7c366467d291e59b80865ac857e137963b28ceccae04f9a0bee319d961106ecc5fb3516bf4dd0e1340d67a3caec7a6ceab11eb8d3b000cc9c05e63f0385877b64015173af32c0b4e16f5d9add1f6590f156954a1c13306a267be21689d175b7c91e1980a',
+    'ca77db9c9931acec6803': '43e1bb4be83183288f2ca3299d869292071210d93cf84543f5aac4cc5561e35ba2f215f270c5c9b1b37a11816a4016d1ba192b3939e00b53e0d34efd0103858d888a28ed23f01c845b641395c6fb8c2f61f269487434fb794dc1024ef9574d6c3e3570a95e71cd10729e8baaf2e19ae6bb3b',
+    '445e94876e819b747963': '2b735f4024ebd42987509f7ccf9c6416d5db720f2afb6aadf5ae272d7d3ac71d3dec7bae3409d1a0577c8bae4a266c289d86f26be57718567724273ed0a20c535194bf15043dca35fa64f8792c8c84029befc275fd944d8991783f10c67c010edf45144c589f6dc8c6c3b306e38d99e82ab1d17c38d03123bfa6c7e495c3b1955aa1f718a74ad0ad1c510936f487f5b29666',
+    'ef56238458df361cbe27': '9976e70abcb98ee71aeb75a5f7d740983e5c0e01acc150d1bd65efbe271668c0fd577f6ed743f8e1233d227d35e79e519b91fe38cdb56d5acc7cec546d150d25f80039004e488d4f37f69c419b9d80a33991cae42b8df07e531468b8789abab33240c368d51f163afc711ab94065ec1ced56948b6c7403058d1934ba682aeebc8f4d88929ac65d18bb027c78ace5c870076a8fe1',
+    '8594fd90e97276c17e30': '91dd11ff5e7b23783ed50124ebfc79efb5b7bcb65e1559fb1145eae127258750fd8f1c873bb091ebe1b1a34bb2d98798b6685a25a950d868cf7456156ebc8bfb810aaf3023d218d44d04ba712fec7d14bcd4b6805b80a87f30fb11ccc977165eff29a9477335e15e93a603a14613',
+    '8e364ec5fb13176e2432': '3c065f6504ffad3e4befd743cc18b2f47d9a83514ebeb9deeec36ff0851c3a2135046342d7dfaa0815e547f6658e13882fd2cad323a3ff1aba424e2358c3103fbd2866b079b8b6bb61ed7912e34a1b375cc42fd4cb86ca0588ae44f456fa010a243a0ab0b65e2d02977ab32cf0a41176cb424cd9',
+    'e6971e1b1f13f08db43c': 'e1f32f99ae4e923a2ddaded60e6420e6d2d48010b09ed7d7ceb0b6de266a47f92f99a7562d23aa8ce6caf1001126678a17f760fd4682156c562d8bcc7fc3f43ac2cb1c9cb5db3053b7fe339dfe656356b0e1d6f70658038e6b6d18b9fb81c8c749f973035773c930d8829c4107457924e9cc8959bc3c13475957fda45c870786783ff6cad87553e84ef0a88049dd106266d5',
+    '3cadcdef1cbb61fa46e9': '1266b9488c170891f9e4f736caddc2e74ae94ed24b06915ffcd718297e21b5f48bd16683b60c816953154c21c54451f74482bbfc9a605b71efb89bfcbe092927a94320ee956f68dc2ad52d566aa166d1e43a6c49956e277227c9da577bfe2b02cc9362c31c29a23cc97446cd76dc7f3013374135c9837bb24da7b3122726e52f03df12ae85efbae3cd08aa76c61b8ea34b5b',
+    '532b87a177931fa2d707': '5aa2ac5f5c61f76b97003bad9e06f93829955391e7eb8bb32111799f14401fa4e655d1dd96252fe12e014d987f5609bc5de3d5254c7221022bd52fd51e2e4c27f60adb2c51c5cd52cd318ffd84ff2b38b1abc93530d836a8bdd7dbbe36126fd08e4c347ffc04b05e7294c6e9d772eba1f250e0cd9981a7827afc47c41b4714317ef12f197ac092568785c7b1a9366fb1ca3c',
+    '45c5ac7512b64c266a5d': '2a89299a7c1da43192cee463f0d6971a3336197e2e69ef5f8d502510a4a043d5253c1959521160d8e9da83d5ca422eb2164cef6078bf581fd52ecb967ba82f1b1ada14b269ae1aa524aced1d36b942df0447b7015402d610286af2d569c1257143f630a56905f87189cfb651cfce46b93fa5417656aaec1513628313669c36ca678b2e81',
+    '2c5194cef6fee122e7bf': 'd885925db7561773a53836244f4805cffaac82b974564660c1a0b65e9ecabeaaa62f7f262e9b120310e680e23f1c5e852e5d0716b18ae88b256c1c388ac3c8b26f8a02be0f6a174d69cc4dc51cb8bea76c4bd0005d51793b2c47be8eb19c795089ddd6cef69382a1a200688c4c09b6a7a193661dbbe76a0940f850b20951bdd192963dbbcc1639df686f7a53f7e7a60ba92a8828f6770b62be9f9a67',
+    '8d749f011fcbfc8fbbb2': 'a1c75fdf2debfa4a114cb15ca7528ad5a1ef2b74b2a7fef4d329f23fa9d5e27937fe8dfd6096995163b7a21df184b0a95c59f0327c336e820ea5c988434513cf3179bd6f647fb9dd8533f58ed86d48ae4f29179ce764a0ea82993530b8d211e03d1717bb42c0f920d3701c120926ca9a67ed',
+    '1234d74d42a61b644201': 'd765ec05b193f2328a0e5184e2feb9f80a1a642c89960f4aa77b3c21f44a5359ba8b3804ffa52407f4c0b2ae19ce4cf2ef8f680393b26c4e5662fe9400c7c8be387831e5e3928089a997e9fbb4201422a239219f49dc1c30aaaae0dff9eb2bd252946d8d',
+    '74b2b6ae9953d3c828be': '56902c18b8aa32bbe98765d01bd6fbde3b1bc98dd81f27efbc4dc8110637f193c419696764bd5d1daba9675032d4e0dc3f83852144270bed22603556c7c00fdf4973ce3be266eee8e7f74eb319e9c10dd675dd243e2d877862eb389edcedcf3a2f8ccd8763412f0450c612959907ae0e6ba0e51d1e37555e',
+    '127b7aa7f04b22d3f78a': '48736cce7516f87677933767f4e749541d98cbaa171e7034097db1cbed5147d012ab23263b607b178926e92b1942c0ff49d68ad5e51e0ed9ac685a01e9398064370a513cae5445a087b8e1e00b965bd92934efaa7e4e82275eeca2fc9a102219e64e34d8ca9a3425486f2b9c0a0d13452ad8',
+    '066675d4abc7d9e0424e': '4a7b94a3123ae973b100a18db544b15d9ac37b9f2ade41dd896aed22aa45ec0f4ac5bc8acedd96dfe53174c2f4f759ef8d111a3fc933400d708bb8796b2da6cabc19566cc6223a5227ea55fefcdd7a636184541b724eba0ad84815b15a5061b8691f239cb4e9',
+    '4a86c08e143a42b4b477': '6ac185d7b00ff3cf94d8e830a378deedc3ef69e1b669902a6bd4e11141c207623bbdfc47dbb06adc3914256d28d184c6a54e887ca90dfb8b317bd415eaf89d42c631781a49fa478c345333164dc543173534eb0a803b5a846f12d1b3dec432e9b271c38e',
+    'beab416551084c06974b': '317372a5eaee7ad5d6bb080f9b45e28656087d5c9782befbd73c61b0b01899bb75f9e0d3bb65a387d62c9e6471a77d60bd18a8b8ba93557ddc5818046b2145ec546c370816013d80d31fe3afcba659a4c46d894537fb7f22bc5d6dbdbf3b391c40301cd5ecf2eff7a844481af4b1b9301f47346dca94db88cd48',
+    '5cf973171dd3c2e14cd3': '94e571996d13f07a28ff666610024d714603b98321bcfdc27bbf7b505366efe7a5101a74bd413e931b4d9b93449090b495e06694a749935938bb8217abe29f47d8c66980466eebad062efda21c5143d3650f3e3c61f4974471bdbec3c9cc163967ce25cd',
+    'c866667c4540186d75b8': '097d76aa94e1e96992bf4284abee7f35c192c297e3182e0ecc341a5873d47ddeee8b5612b9992eba849fa3b4da3dd9a14c254a624b3194782ec3ceb88d94faeeb12ebfe1c83e5f3ae4e16548597c7790bb737652c2197766f50644852830193b9468dbc2ad0e6e676e18c3890714aa92d73784204134',
+    'cd2871fac0fdf0e2a3e8': 'f454f44a91da2c1ded4115d7c8d3e85b34b46b006b8a4360612a0b1e7cc92d27f66e74804a1ddb37549110e49b0836a1522a51de087b353dc198c2a0f983c3b28edc450d316ec8d6045f1d0d3a0b7520d9d4c1699c59ae604612929cb5b8c40836ff521e41a18b7444afec9949491f1c6905730b',
+    '37cc22a1093104e5a15b': 'dcdee42511e16a3deccb8bb7a24fce243c5176171a2e8b5195a77ff1e5e8c99a47aa39d4e10bdf7dc8f10299182e0a8cdfb5dc862214621dbf7e73b68f8cbb0682f5e577a40cc2d83135db5b555a39b298f5c640f68e2ef639797cd6413232da07e8470cfb53e1b80b78a16883a25a81',
+    '9160f8e397b867f3b3cc': '7ff166c634eaf35905fe200d81578980f7068dc0866a080bcf40b02ccee5ff9dc5ac66d0a4df680cd3f27caa3320346cbb02c029ef886681501ee8be0ca90eb09f167da7610ce7bd99dbe7b00343f5e0029ac95f1a26b79f1c427049e93c95df0c60f190e8f1',
+    'bef152752ba74a7019dc': '0379e06f4dedc4550d7b683706ee9352fba41dae3d4478b5b07b277db93a1b300b068956abc6d34645131cab5acca65ee3c7f3e1717b5648fc5f33167fbbf875f3b558d480bba43f47dfed7177de75eec16d99856ef4',
+    '02ca1f3da79632292eaf': '650b2058d2495c04818743a2c7eba3675cbd1bc759d24bcd006804ea9219a246fc0b9fcfa50b6d09af9ece9c321a4a7c8a71872abeeae8ef9bbf98b076c6bc0568a6f28c3328db270da1d180bf8f1a73f5cc9342e506c2768ae61c91ef9b84cb6c645f687e342aab',
+    '919bdf1e81ecd9996419': '4e11ac5db59880c3e66863d6972aa5ee2afefae6fefb46526710f3b9296b2ba0b0d87d949cf7f42210a2214ddf046e2b8f620f337890b032c690220eb8cf98d677b7e495d976974428b13b397f9ddb7d5bbe52a9180d1bcfe88fcb5883969afe4f5cc61f59f56fff4f31',
+    '502b9787c02f597b1a73': '1a0d8168747db8cd92dfbc3582c3c65bd4130c137e881d05605a4840f29cb2c1e70d2275769c0ca824569ba707660f7a104c454e5d31d64e3d7b8366fb9c27d2512d19bf35af69f2057c2811c7e20987e97bd9c4d4e6ff2e2f6b366579e292d9a64f0770',
+    '67fdecfb955bd71de036': 'cdbb3e6c6bb40252edaa275100883a183d405fa82232e8bd3b513e14cc8438ec93214bfca8b6d1ef0077b72e5d07c9e2525b4395142f8d4fc9e26661b0442498d8915d416e63a31618d24dbea64aef6b197ce66c197c91a70d9aeda71d8d0e759a22f8b315030490ddd5f5afaf34c9e05080f5be80111b3c',
+    'fb27039a1fc563cddb45': 'f69a1d877283da3d67922bc69607ce5099246ec6a4bc1e81a6f4060888be1500067e683d0ab4c64ab484663541966b2fb26da03c3d727aa05e713437c3e55ae1386636736526585029fe8de87404c0587c998f1b880504709fd63fb3c89e2fc00348ed8da3de9725b7e7c5c3482f',
+    '5f99f703dcdb7c8bc386': 'a054be5144e7ee2ac90783a8bc862312b06e468b985acd96e6a2759664241a93f6c4226e632f514ce01919aa47ecd6fae7ace607c9aac6b729b0d69b275b7f0c4c2c61c795211e6b91ed0a91a0bfb1a2ba539ce27e01d4a15f935625ef7f70c9c86e36c57b8fdfbbbf45f11440899fba7a40eb5b46deb491f68f7913768706d5190a70344b13cd459a72a06d7a03b5b7d7bc2ef3083a03588179',
+    '84f345f0810ed5a6104f': '0168c3f08abd72713b076fef61f93ed55972259b993ecad1f8e4f0d1ec073825a68f24fb2b3b62e005d969f1860d8d3df67a95441d9dfb6d8a2eeb71a4a8baa3811f3b97061b65155c41d14337ef1461549f56438b252b8caa94a8cb52a49397b63d4efda4e3559b25147fc06384ea9657263fc15068e48e0f29990a186a2dba13c897e14fc9',
+    'ff96c1f7af8760f0cfae': '0c7d573de0089253f096013b10113bdccc0f4f168c238929e92ad0422711807f31cb19958b65b3a2e25bde282405aeedace110a77edddd47f1c92eae6c50219ecb5ff4898544b1bba3363edca11c551a182e14eb81a941c5e74a5c3b96c3b177addb289523e03a08f44ba07da7d98e9ed4caaac4dbbad94b152815ca584a9893903a0f4dfe48a8a87175b644bfd158733c7f60a2646b977cdd940b51eba5c05ea7245403af633226',
+    '3e235bc8571eed052cf2': '9ce661191452bec48611a98d8242666997f171da6a35796142d15d9a4807a534b91900ba60f9aaeb312bdd637a895f134f0264313aa93c949405407497da8c77e235a41f0982cf213ffc96e2c7768655b5e64c43ca6eab7b33eacde257a6d3f6d082132a1d3c1a2d0efbcceab887b3bd1d777477ad3722d29e160be8a2d39d7689d625aa797fc407d68e7d6307ff86cfbed8bde8',
+    '5ff0a8115c22d4eb28db': 'e7306b472194b6365f6e013d243e36fd0f008edebfcaa2a07063a99046009fe5ab11ccefb84fb492dbe436f9344b8018d87f5c494044f727a76c6e7b4b4c39b74587778e51a1dcd3e314fd0549d824f0e522172545271a1cdb3d0cac',
+    'b7b589f063257640989f': '6809428d42a1f45f06b9c7007d6a8029a4130cd46eecb169c4f75a6d27b75e8ee60307961edf2523c23aed47e8e62889366df1b15460ce55cece5eeaba7544fbb8fd8df3b2e6929444a6a7c6ca59c07c88fba801f4956ae56d93cdee1d61826a8bbbe483e506489551cf6518781e0ba3443dfe9e',
+    'f0f7c35358aa6b0d18fb': '49ab2ba9bc80cd1327c37439006f4ac97bb60ad084f4b411d3aebd54a1c806d2e3c1d243af1d5549d0296060d6fe5b8a138d875c14d608e49dbde7324530ee1b97279a6948a174bc9e774a57c155f7e4413fbaaa1a7085be184ca6e2eaf61991e2335352a63ab86f',
+    '6e694cda516deba09da4': '5b305b28e22b8deff35d6b649270972f61fe7a7b8aa6a769c6de3667f5ce7c2027648778867f2cf31a6ac5c39d3b9e2462973ce2ba03154aeb1d7853f6eb5dd5a7fa5df10a4d0efac324b7abf093d19ef436067721db96ebc2e6db6239166136d4e554a5',
+    '8d1c588b425c349f139d': 'fa3b275656c477debd9fbb4dea134f161975dfa638090d47dc30756dfe40313a063827e3ef7c3c17d5a9d882ba8a52df15d7c27bd41c2a1ef7ac0629eb4340755f9d1b0d320e8336705784f459cf89e58cb7388a30655dbc52b6aaf019457df6dd0576ade7ae32144db9396baa2dd3231450',
+    '44cdf695e4ca9ec72c0e': 'd07c2ed08bcb097df643cdc80b73a77d710f71621e99c92a61e85a29b85b735e6627a5c0cdb424e90b32d8cabab17caaed852d8fc7cb425bfca77cfa721cef64f2e445a39652168e4c6d7b9012dd27e93163e3b86fb53ab73dea0a497fbdad7e0abe50b117ba3c7dd7c5c18097a3b48d36ca01f154c33ee874bc87ea95cedd48d756ef286c710370',
+    'b71f35339324afa95fca': '40c66ea5771cb88c9d7ef762101d710432f5ace7ef275d3dfe6af9ad68a4722f02f9030b17847414375a1dcf9d39f6aaeea1da118cf0b268ee7f3d901e3d78837551e1a28ef4c0aa37070e8f45fceab9b219529198f2',
+    '1042c22ca04cba698d60': '462590c8b23051da03c8134ee535390c97b56cada99a0da240432b9e3f1c53de0196bee743472565c7c7763dd4b29b39677b70dab439522ddc08ec19a792c7771896c2935cd550526342734d0d19a4bf881995f5030f',
+    'c0da841b298aa9845afa': 'f36fdc0ba402a05e6b4acbf7b5bf48ad2c05a8323411261fbee64e2179f660807ca33ad4de2903e93af39ad8e8f16930e45bd530d0d2f2e0b632d2aa5e90f668513f4c7551d54ed1533d5f08c13367324f92fb8a8add098082a93b4ec44014437a19bdd5ebb5ab9a87b24d26ad6bfe0c9d379ba3ac26e2e473c923bce46c9738652cd3c367bd4573',
+    '37fb60c6eaf5c644db0c': 'f2c09f1705626359a03a4ef9ebd10dc858830403b380ad50e88a8d52db7f718529d503c5d3230994829f4270c605b39e055f77f20dbc85e54d76c7c6f1ff91edce12c9f9b74e4ec19725191d242ab14f449b578027de23380eb24f501c79aab2d3f744eaea3388a600cb847b01f407b91a985934f2a662688a68d586e081adf4977746fdab4880fd',
+    'bed919df72c18b8cc8d4': '49a5dccd6da563fa1c7f8ceef0753ed1b16e57721eebb606db8779b289ff253f15e71a4c94f9f5f00bf45001341cc17209e2099ee27f43f7757047701cded0bf860015dd8d950e68a9df56a5bb9b9df0ee3f4334ea050d7ca4a78365540f98a07eeb889617f91023deb33b1c959f',
+    '453e9bda44604eaa1e74': '4e25d0630729877f17c00f3b5e68af1eb6da8602533e9b32391d357c94adf731a04024ffe0cd3ddfdbf81e323436b2927d16a15289ae804c7fb1d22cad6d776015db8a0b3c3d54a10af70e0db7ac997d08c285e28de64c118ac3070b09f4ecfb003107c132fd04c2abc6ccec097c99de67c29ddd0325017fbe37',
+    '8a65349491aa99e583ce': 'ef7828129cf787a4a29fc2948ba70fbc30796b8a850074f4985cc62c24f2cf9a144111e8cb25c1f79111c6bd868e71fbb29fc871832dbf5efb3a63f1278c3e2437a1a5b0bf0535a53e220f157b4c1eff74410540dbde77a7a8eea19ed114725b8f6dee93e4fa5d3d2ad27574be0960a8187488651e40245d7ce2cb4a39cc4adf2af5cdf1c7a067403cdaac51',
+    '19badcab72fb17bb979b': '8e6c6eae228285e366affbfda02fe096c57830e3a2ed1a5c7e6ae435d4964387c60cc0e9b0079ce926d4056dfd2efd5a6ea580bc369e5a2e7b37206c904aa5bcef11a46ddc4d2c67bc6aaa31c354b04b0b5b8db5b4b5b71308bf66e03c7907f4de399fb3f09fa49a336d88079a7bfd17a84af9c963e69a11275d2069314bb3f7',
+    '5bc706e39ea5df464788': '45987a1bd9563677eabe89765975a3cfb9d54ab540ab1fc5c8fbf9ec73731525bf6b229b2fd6de5eedc1bcd25050e2c32612b41e41b788115cbe10087fee6d6b74e485c60fe8994c13b911e1c9b30cbdf86a75db2d5f7bc74fecddb2b80c',
+    'a060a24300f754dd1e32': '2a7b9061936789f12be921440a1da4fee781b7552b016a3bf2b521836f37236c5f452aa480a5f12acb44600e42bb9dc846e78f3c872895745e43011abab62bccebf4f5c807ae79667a3a413c184d30294c9d2b31254419a701de56a6c9698cd263f9eb1462c28a5b302fb654f8db',
+    '07c50d0f9f64019ff249': 'a0d474be9b7df17254a7c7e7ab427e9c315604c6ed46082ca9e8cdc245fee2ab1d6ceac61290d2030edc8021ef2fa06c36cdd39e929f540659a065ed29eefdccff5c8d3b16574b035acf7fbf32b751765c802b05029b3dc5fa96cb00c7522b34f6f8ecaf582f84d817211bcae73b0f83efd7b8a00d62d1ee',
+    'f0cf0c02938281d5e46a': 'fad3550ec732df8b94ce77d2485f4526a4b2053f061f364912a35a3a39ee68cfe04d7f90c4bd3ebf818006f5f8ba402c6ff7a046e59d683c64ffe584786472cba8f2e8be8a8ad175377e1947d66f05ed2e2e75240d15a2aa011858c933414923b61b6c434bb007f90037fa58397fb83d92fa7ce4a1ddf1f4bd62951c',
+    'bcbd2d023cb50d125f67': 'c6183e275f0acfd719fa69616861cf4527af141fb00fcd7f02440bc772fd7cd1a3ebf72aa9c547ca5791d8cb617a2877232ecbbb5c643f68f7688be15b7f8a8d896eb2abdbd92cabf4b1384deecfc6211cf19d275ff60ba59eea49ab9db7873bc61df9f8da6719738d02733c3a84d51833aac9045c5e36e777c70c5767f9959b297d96df5090f46309fe7c79',
+    'b8adb68364254cc78268': 'b15b58c7a7faab11751e52dd352c4c7d9f71e5bdd1717e022d1163b5d3f7b599a4de7a31754033fe7b2f525ec2bed18e4d9d14da726b6beaf31a9bfeb86a683a1cc8fd96ba1ad229dffa0792ce340a17a92dc68adcf45f797d2f46e7c882a35dbef64d0e2d1ff9d734411ba4ce9e17c9',
+    '4444055d53dfbf20f381': '5a3543282620eccbe7a706b9f079f0bfc28da1bbc1fce97259cfb7a9ab09b5358d2c5e80fc72086b6a4a94e9457d1200e32db3407bf74fb91bc5167d461ccf356b68c6cb587ee2330fe87697de2b372da0d83eb503c5',
+    'c1e4a9419e5773e37245': '266530d515f418ac1dd5e6f9b7392080c05dfd10edbbc03f69366adacf00ea26cde64b037e3ede8d8fa982176deefc96f6ae3582a5c1086eb4ac0000485de447ba68e39c04e892ea5b7290f7d90a35f27b8f55df4a26cd61742ede2f0e1329bc9ebb9345950593ec0b5a38ec7af37c71e8d24bd73b80d51625f9ce11a619d2437268ef018ca3ba5780ee',
+    '45831fbb5862314aaf50': 'ba79f4ba4f3b14357ee5a68ed6abb0703ba4791a979d8c690ef1ed62441fa3602f39d6732e1873be3ccf4eb7f31aad2a7c26484b50a44b8e63742c32c041fdac61a1f83804daf2dc64b2902b9b3dfafb4685e56c3d1c6093bdc866ad051bd347',
+    '6164c9d9942f0cd32e9c': '40c23f0f5a7bd3abc312f6504233d0c430ce8bd9ca963efde856dcdc0b0db495106714521fd190d436f3a5c5a688ed17ee860835636e879fe335156db6cb84bb6017250fe57bf1537c45cd8de9ed5c6ce7adac39c9601498478b23326a8b5fb53356',
+    '64606de98abd86f3b84b': '3695e0340e778915cb99e53420eccb27243dff6de193ac9578a28a289e89dc1fa233d30f76b5a9053be4e50b7162b8f2f7410710b344a7709816b30f99d3fd2210ab344008e5dc16e3157720aaac9440cc2de7394dd9e77d23c204e2cf1a85b3ddea648c908f858795ff13cd40b828147e178893acfad96ae6d3c8771b20e73e',
+    '47fa01bcfb27412a9040': 'cd4ae0c02c13f832a38ee58bd315326ff3b0277975d020d3373bcbd62b50e7c8b8c76814e94c6515112c75be7e5011ab468ec42141e78c9ac124715bade024535c6191369f4ede8666e44f975db418f785be97280b8184bf729289ca411a',
+    'f65c54ac9544b285c7f8': '6c88b05e6d8c68fec25fa10589700d48718352ef1b1fe74ea50bab7708776bcf387179e94df73d69ab1605de68be4f7af99261a67547cf18882b82509dabeea419e3525ef0ce0d062858784a09262cb5591d2421791f0d97952d1ccc699f056573f6f494ad3a5948bdc555914121049e1ce9d8802cf0061d454d9f1596603bc9',
+    '30851805a4274483c93b': '5b1102e881722b6ad37c471fdb27175b461edd5972d84f0eb916edb827c6a9321abf401ea65c2f7436d075deeb3abb5b2639c00fd876767a9678add02bd051ad119db14173655e9e37f07776ee99fe584029402cec0def1ac06232726c1ac0d7b4e6fa325ef353b16201b367fce113fd06fe36e6c658a3fef7aef363f8e5f74b',
+    '0dbc4fe78b4b2b53f7ca': '807bb8457bc66c058cb88e923efcf855ad055f892c39ac224ed2ac0f50ad193c26cbf9c9c7a52a1449e0a0718541b7e3c100f1e257e2ee5a4b07c9c7d6c2e6cf20e47a4054cf995f200dec4d6d8efa8b3f4a404bef3ab191be0f723c00fe1b4f2b45c4ffdf53ae5c9b47a6c1551dd3114217cb5f1975c239863a99f1',
+    '5b180e9130a7a57e0d6b': 'be73c3ff2a5419d8b29730ac9caf20c28dc3a39df510d653de220bb18cd99fc0d063ca618baacf0e1ec330395514bc55ecd6aa07998856e73ebc36cdbe36b6ad952ffd98b35eb3a8f8b35e5254200d989c58996ad45efa9e2dc16ae60acd396bdd313faf9aedf0da61a198b9e2da88d5d6337c3cc5f93d2ad6f7cba65918028085d61dd1',
+    '3229a0ac164bb8b6703f': '2e2f8fd4d7cd05c95785f13acf3aa597b3942af98332d1fafb18f3623c38257ae33b9b359c451520968427015e4f7a790fcd783e4caf3b530b003a2f74930766365e54c2dfe7e94c54028890c3482114569cd903765f429ca459d3b7faa29cd0d3cab449740e',
+    'd82be7a729de6452eaa2': 'fa122a137f9872148d5cdd02adfd412b3c7ad4e725afc19e57bafc64fc0e424bb52a3e200fa9ed8a985fb3f86688f336b88237c848754f88679053e311584d0858bd5b5594c5d16d395366aa736c0ca827d08c15f7e7e1a0038da028e31858fe61e904c11f97',
+    'a7e514cd1fb54f276fc6': '485190c3af8d73b7915dc05a527b56b6886036ac6de4482d3b29e12b4d6ea7e4061968932947e09d794ca09541cd3ac065baf8da856aded23ecb02ae5a1911ab11ba144cd95a789effe198a3516a55c6b08cb16b4383dd68f6c344d2703a2ae1c9656c9a442b3f88a20afbf5487cad167734f216',
+    '7176c3dea564bc7cf063': 'a06ebbb6376be1c42a158d55f813f8f50a8dcd26ae06429e009f0962c84080d008c571c4b361d9e87a2bf520d5a7bf0a4b199d1e2e6c223b405f73bdbd1d4ec0559559921e5a3312812177a1f4929af3ca68dc9965a1e680de0f857ba96935b62bcbbf154c293ed142d5',
+    '6d1357df6991c09f7e80': '480da60379ac0c731feccb8072058f867d478e6de39900beb751947018a38010f9ab673d24bb2f8d587ae85d74d70bfe0dc5851efa46b8b53d1984868a5fd3598342df9306ec68a85f6f87dc80b0716bee850bbfbaa85b6f7efbba24b4f042f54643f8ad6d5b256929e07f78f7f71a6c263e6f4c3bfa1d5b7f0419dca175926f42ceef03eb83d20cd932171aec3341b38449bbcba99bb6f6b25bf45679594da1',
+    'ce22f2d80e5d31e70ee3': '1c590ef8245f81f89696b93ee9b22fe696b1fa061bce55afbf5ff56d781cd330f2dda73328be4dd88696b7a404a2139ae9f1008f5fbb770541e278591b72a8973fbf80aca276e8244f3ddec881ca12578765c86513f00f633301edd4bb7a31f8692654776682f91ca5c8c621b6486de1a0aa15e76720',
+    'eede3c4224b709c4fdd4': '8c52de66f2ce2ea0670fbe7918ddcfe3bb3161107d0c9b5e8e4266baa9c39ed53a3bf6519355859adbd5fec4beeb68cb0e5e6a2c175c775c14f3ba5c38627964b3ff683ed422322000a63c46b9c4bc60c7a40fc460c37fb5329d25e4cda25cfdf5d03d58e8c64f26718e3da5f76fa7a07808d3037fadffa639fe93542ced9aed',
+    'bcdb92cd405cd317bffe': 'e031bfcac53aa5f46b30851c32318c9d431dc198023aaac113ea9fd48131f087109c275ad0e4d66c406bc857826f1e1ecfc7cf29689948ed6ffbdf23f724e47a31db93aa99a05bfabc3c5b74a2efaf7a0eff8ca461252ca167abb965fb02b0eeb73d6e345dbafbe2cc9884a01b63b0c2196aadcf80a0d25f08fa17adcd131f52ab9cf7962993aa979fdbbff9caac898f',
+    '8dfbdaaa1f1424c55a9c': 'a7ae924255179aa828adb30b2cc728ad5687df73a93bf601ee16c0dec1bd5d555f0d4d550309150f84381c1050f500636057920b839d2244844e18378eeafb49bc6e4f69a570fdfe2bcd66fc65854572d43c8e6d2d19e6136681',
+    '348c9ab10558a9708bea': '60a57bfd65da6cee8074fc8de99738ff8553c0575d5281249a09aaba8e4adb11dbb7e6bb21523d511f130f5e354da5f426a2a7817df34f1b6ca6dc6a1677e8f24a0e57d7ee2ac6ca84a34e0f475e96aaa7a63237486f73c3b30d7aecf4565675ed6d75453af784749de257356182da1c94979c303beee6165f9de84094763e28623362ef5a3ea56cef7a7cfcac6eb03223cd',
+    'd45e63e74b736015f18c': '8382901bcc212ab08e2ce2a34e15f294d67ae01fc150ac82de203005bd88218918b8625d5bacfda46af9bdbe76dd9f118d548f788cb3de9491e1c7fb6c22cdcf53f0b86a2e5b8b3522b571bb4be99b431854eda13228b369b4c38268787ecb51c9ffa204b749d54a5dc941438abc529d',
+    '6fbc52ffda1b03255b93': '7a32b5d43959902dd5269a2f23ecbb1115de76912904e9651e67be93fba8e0a188b516ec340e39f97604ec2eea4ac9b6d0fe1c0f0a3b0541e7b976455c70677d29366dd5cb8c908bd67fb4af733b88c24c17382b33ced0810ecffa12324285a8386f76623a06f0950397c7760a6f2fd029ec021f0bda4e10e597e73cd232b342493abbb688ea90fe81d321e13d6b01a66087',
+    '3e4bc379cc09131aec94': '702bd149f2ee882721c59fc17c67c4fd157bd2533f91e83702d6f9a86c83e817780e508daa176e590931aa48194487bfe987a8d6cf7c1f6c04551b136fea54add82e06422ca31f241b0f84a51f20f26c99aded3ffef91113f517d2b132270bb226073603eecf067f10eeb77fbd2e56e3d7829ff83653922a429f56f39b82ba4198ed5445dfab',
+    '484644248f587ec26306': '3ea0e2c6c27cf803d47f513e6245ae4858aec982f36509a124b0a4ce35eaf79217ac763a5c6ab13f45be0c9ce35cdea826401c168a7ade64faf20872316508433c131ec980e80414129a1d1965c68a63811525a8974231d13a3ba04717a8221731d9a51b59297decced55ee43cccb78af8b955adbdad6d33614a',
+    'd7a8960911dd32d09767': '624580d9eabb69b7850720c42ab4b44c3a99f571431cfdc247db9adbdc4e4dfabad5551058cb1c3e40aa64443503527090f1f656a1b686bdc38f58ffcb7b4b5cef14caa3b9d919a8f0c5d31df95c0a2326fda0c4268329c4bed6e325e261ab1aa326fcab0fa6b79a3ba9f011417d99e515e500d0',
+    '5464c22f0a6f53d8742d': 'd7d89112f1e1d37d05741531b5c2ad57efae8cafcb3dcf0d967f275c8af1f9f4960802eaf5bfd6eacf104360f3d502150600703f33bed933ee874174d86f9e66e7536c358e2d0ef1904556f71a52b0d8b5bd33a3a07665a46e3c09e500f8434bbf8f2b63477931bc7d2a29a6cf55',
+    '3505bc20b9cf81001970': 'a58a8dfd3a5625d4d60c711836d50de49cbe1883d2e356a3da12f6e9e78287dbfedea99034b581384ba3be7e7fa40f24c73546871f130ed9b4b7485f8f1456467db6bdfbbe0e8e0815cf1d0732236ac266de6442c90e5eadb2819276931a474056235ceabbc83ab5605343772e0f25d30af9a2a2a871637b44962c9a0c0c8e56da60cb567d0b72afd8ef68741f9ef88db6d461b2993eb912afe5f26b2f8e23b3cca0',
+    'b4ceafbc1d8ccd3824d8': 'a0ba3c47c8348412c9549eac0e40f8d8361dbaafbe612be4146b4408b6c7f7042acd0bb14e54cb801b15a8852be9cd7eaa6eb9e110e1eef9b84b64130242a8fc6583ad9cb580',
+    'c13fb3efccfa5bdfa3e4': '9f9bcf2e7bae07e6f9b480198f96257ef7d1c862d72020bcb928c9655c73e23ea1de46cf997e63aab5bc370561058c8a7ca9dc44bd47bf8f0daab1735683455a6a9d9d3e99d3051338eca9ed3da81138d610a79043d2185f3783aacab0b253654de1b5ea6acaeb5838ef559fb05a38233bffcbdcf8ed6d85cb1f18e0e51929f6',
+    '12beafa5245117265d1a': 'bed308906d874e125d8a6c511b436a40b66ab258fa8c7d90ce5a0dd6b21b58789045bea606dc22f44542f00b7b12d507b1066b2e51fd20684c61abb6a0fde61e047f8556dc53b1f933ad3caa078e56459feb66629c7af2a0d0c64863',
+    '2391534650f243b81e57': 'c0f29fda7a3a0c3f9eec947dd8c1f9b733f34cd6d3724742822e8218b0880b4e8b5767e80c306939574bb0c9bc59edec5ed20fb402ba4d6b22d08f4e53eebd50ec5345a89be79150b62980f516355bc4d99194a8c283115553ac58fcaf2d9579c57b35afb2227f37729d299818e0930e0fc4c3166488125ca8679fc407db',
+    '02823043eeedfc85a2aa': '742dc50a7fc621c2d19d0a6576296b7da127557ca6a178302442056625d8137ae6556c68471d886aa1d5076e0a35915cbf691488b3aa974341b4609ba9e09a18702a917913cbb97d5c55e4b6f1a7cdd8b8394323a65bb75a13f1e3b4be47562d31c791a907f534ea04422a3c1717a8fcbb47de8c328439b8dae8dbb16fa55894157f351e1978',
+    '122989392008e1456c63': '16e9f1b6cb7ba8a5e072850cf208ecb6eb971382935c1b806fdaed7b75e876beac1371410e85587369702ea1dddffe0b79e8638abf315347a17dd6e0e317724108ef46678e9736da716d579bdb7514e265a54b4442b2692fa22d06fe041055b148780be95549f3263d45167d33bd5d22',
+    '7bf47ca7aad95d811e0c': '67e5c6609e1d7dd6a1e9078a082b99e75b1d4e8a67d992ec8db860bd43447d2eddc53ed88acde1a5d8e124e9245d1583b522a6c984a73a886555c644b36c7498026929cc1b89fcd0852b6ce4d7099b95423b69a3eb0769e91c16776b5603e0cdd918098cc6b0a2926798a7615c3da93093d8e15d',
+    '89e7be776cd890ccf57a': '8ff333ae3fa95cb08099e74b43130418f3713a0db153d40b2a201a0460f094464a6b8f4dd5eb09a7ddb136372eee3d8e4ad76993c54fb9fc190427b7c5f4fe0b9a83390c90719069ee6e9921de03d7f9e2f9d08b6f2af1de7a47355d85a28a8ff75b2ba8a00fe564735066a2cab2279420aaaa5932b2c6cd',
+    '77572b49a20a7654aa1b': '287582f1d2dfaee95807a9b950b59f2f60a48680133305d0ceff362c5d9d26becf8a70a4b18eb92991bb9793090740a8d4829d3bc21a76a004536d2797690ff16d8f1135b913c8bd0b257d771f1d6c4251a80c0df4f4236b945fe00cc966866c36bf406d4a7ab4b5dbad7609f30b3396dfe8f45cacc9bd3aeac9407802f91fb417be69269f6ac73d',
+    '633451e08b2e084f05b1': 'efb9843ecf5c95ab6516817bda979b8cbd11e1b59170302f0bd340d988a6e330e8bacc47b258e506685a0d944d2b82f1fb81cdee8bc9f2c38424aa99fb0e274f9efe599859158186c2d74e8da8512564bb0a687ecef30b6fd5c111fc',
+    '61185c77529609cc512f': '5c58de1b6b29b2dfb7ff85f909fe7e33ef34477cd1bc585167c718c6dba69e7caceca96da8c2c1c14592b356bf7c8c60d610f9297e8f8b406192d78ac7b0dcd7e4c4758eba30103a2418f37483f74117230a651c0d5746cca6e9f37bb48412b8846e265952f1217f3bbe5463ef2a86037cb6bec464278af478a999c4ec0a050c',
+    '0f8d1314aec09cdd7bd8': '79855779dfde844db59d72a0e279953d9ec85b2d29e4d618888d21fac7d6eea06c1fef8fd7feaf3a7376eb848bc2723bf9e7cdd409a326efac2b5a3d28074e07d4ae6a32780fff1aa397bd0d96a950b17a88cb6b565d7ade5e91f545aedd3910b3e1d6ec',
+    '9bf1043e50ab4dfad3ea': '49aa17ea8bd3bf980e80dcf01905ca69773e44f021e3696cedb88ee60ec85720ed10439ed6ee8a04255fd0c8887cd03135fdac146391f1a5cf566ee045d74b426da43547e826e3d54cbd86b1db85d461268707330a28f90acfde31f4986ec1e6fa4a0db47e453b71a0c96da76986e54374b3bf161f6ba905',
+    '8a0a7d756086473318dd': 'e79b0cf65765c852717f2d90233b66446aaa24f48f53b1f54543e43bd565fda7136f1d808e0b683aaff0b2bcfc4aa2056be0fd0d90c5179947664218ffb9a1d4ee66ccba590715b2ba372928204282afd1c01f58295615b92029935073edebe4bfeb4b7c8ba67a7270cbba2539a84d5cf244eb3b',
+    'eb3697e384b26418a6a7': 'a1f7f115d0ba674cf2be9cec1dc19878cfef2de332b047c2b12aafa708be62fd523dfd6b25110f5eb38d18edd4620e8f7bbc6fad9ae4157e8370b147686e058a17982b47f1a75c487ab72587fdec1b072d8c0d94cf7f32a8e4cc5c1bef9175e577f390b6dfed2c52',
+    '8dd27900094cb46ce1f0': '5a82cc455c82c146aba78b4036bc8c68a122aefac25a16982d3c6b6cdecb20432a760d5f1f90ab732d05606067e70e07467438332e8b991439c1939e28e1b26aed6520046bb1f19da26593d82951965e674ffca0a1f0206fa9d5f35fd81692f663c5738a655a9ebe4b9898a6dba07b7fdce1a7037d397f35185cd14081ab7ffad7788f4a471c9b45094deb8d7a4df0e60ee67f1fecc7a0962f8e',
+    '8391bd94704fb646030e': '2c2811e99b089a225ab2f0c81fbf6908bf74ae7866ef7b4f11b09f064049f746f4a58c00c23b04dc4d4f8eeba9a2bc2302e0edae7c91dd4896f21ddca40488aea6a6ee1161d8c0ae7bb87dd1358c2264856f9a1546ad87cde0d194b4522d676ab5bfcbca6d12',
+    '1a13b5761b91238e384e': '86bc036753a0a122bb4be36b1f102606176abd8c8b419d8894c21072e63b2335fa12ca0904b52ac82c66ad7bda6c9ef57f614313f3094f009b6084a65a147fe507444539c82400c38d76404a0029df17',
+    '7a16bc4f4d7debf18297': '0842d1877047cc0d91cdd4f168157dae46d5d13687250db8a539cf43f7ee0b3238f89771aa385ab0cf1e5d0809500ba48bb0e894b35cfc0561d74af8183de5243440fa77cf20e821aa45d7bf0c5d34f5365aabdbf6ef0ac9128bc48d1f956facb4d5cca9c1edf24fcca27842eddc0513b052402b778dfe513d59dc31d43f1f18b6aa',
+    '51f03aa0eec53a563f88': '1185594d441ff0f05c80da5dc893147e894629158d386e03c91ad7033a77ef5261e9e6a277a835c99004afec65a2ecae2fcbdb64310f8bf88b4469e49158cc13ab1e858eacf1659cd0824928798199e1601d875b78827ac5c1cadd39a5da9254',
+    '9c34ce5685f9b58a101b': '3f78fa0169ed380f47d8781cd635b8d3124644f56a8b844d1f97fe087bdcb59073f596b597f7973f9e9261e2e4370a6707461b3a00d8d42cd152c3639c50909f93c0a28b518f4bd33f10a4676482e760fa949fb63296b09df23283fbb1ab83084563a1a165f53b3a631cf0c0f9e80b0deb8b988883e65c84',
+    'bbe1380d2555b6188b27': 'ba0ac121c432faa62d6f0e31846693c01d82d7d526da052690b1007d775c14494d8dec558dc9458653bca7cf0028bb869f609002aa8e70b94f16d3df9cccf215215866e61af06bf60828818a5450a201f87e3a2fdc1f4dcb953fc2115191bf311c6539c1ac65d193d05a4c21cd68fc7ee57ebb6cd17337d0eec13d1cf064726f702a1d06',
+    'bed7a5c24a92f48a4046': '3d7cb5941d0f5a0b69a3e93c9963f74e5074e8a368b016e49778e572053d1fa0b830808466a8cc5f3be83cad225bb36bd34dbac0fe3c68897530b60c412cb52ab3e1fe79652898b804f27acda5204de1b384d3cf6bd5c2ddcda6f3e78d2f4ebe3c58',
+    'f75415fb036d3877abc0': '2a22f327412811b5a2318a31be601f7e36a11a0a863402fdb9038cfab91752bec8f10bfd03b3e9de52740fac552ae9e7586b3d22c26c5682fde0cbd52ed56fc95460d00ac7277390fcea822d8357617b515b35cd1e94ea30cfdefd67a5325f4884f9f0f9c767aa14ac7680238439d726e2a85c8b0937a73e896e',
+    '19df470e516f184c548c': 'c27657e2c6aa6cd70ffb7192728345fb8facfcaf65d688492a48f230e97df0c4a44e637c74267c995ce1212d211a405f760eb3bcf5fad2f8539e270cefb37d0771c8c5e65feb49379bd2264cc73e503c9967f6bc079f3b3be00752f4733c21070a9501362a68679c1f4d531ecf5aebb87a83817f53cdb965',
+    '8d5bf500eee33404c5d7': '8f62eeaf333e2587f337931f10dd7a779521d2d4728b37a509c31bc9c91653c318b994d7b8861c9f4affa226ea7b510b747fc30c9123cc8d4156254e0f5567ea3422e7cc9368231dd19fe5e921215063432fa83ecd821633530da5580f2c503f3413a7e287185808398cfe842ac476d82a70c0989275',
+    '143657c7a0281abd76bd': 'fcf1f1b699aab025aa346c7f4c99a7585f38a1b00e16ea7e630c24e54554afc418058b336d427c7871758083a2c0435c0bd2baffdb420f1d460b28b9fee10c9bab2f11c2cede9b527f65dbe17bf28cfecc956fab135c6e66630c4db3db9dd4da13d2cee7fe0b0ef436e5ab8ca0454aa4ec77812292fa71ef',
+    '5f7392e80c0e484dd143': 'c6fa84dacb5390ebf2a27190b99fffa211f2caa98d6862ed7c83069b3dc18b4abcd81f689a0503649f52723ea187b7b2dc8108e7f82a0eb062388d0aa20a805d70ebe686077e765f0794ce5e31ab75256eebab630d318d22a358ffb196b7dbc48bf380da5db7f9791b70d575b015aa22c3ba19309c07068bcd1eca2e36c1',
+    '29a45bd5ed0697876372': '0733e845df959fbd8870ff83fe4d7a88deac65309d7e3442982391a2bae60ee53340d9ee5dff45cf501d6cd22bb254a51ab6f75bfbe0cb414877a4304d9d22227c12e1ebd7f8e61b10d95cb8c7f01c9442f93ea4860f07ab404fe3236a7f4e172b9ce881a5f3',
+    'cc7f279e87e5e42ded69': '505615acd455e3973233b0762df9e9a3eabb60959811239a3d9157fb6c569ac861bed5c2d016e432a153c35beefc348109d0d649a2b64e500849019ec845271bb38c8f04e6d45cfeab04e435d3e9c2d2618033bb',
+    '10565ac54394433f9a66': 'b4d7821173aa0fede9d1d26e54cfecb5ac6656d4c1f070570cd38f94d9bbbac22357046b66537f41c3bbd2e4d321bb0bbfc8aebc3410d7b68b40a931392cfa2bef6dd6c4eae49c3c87a1870198fd800010e70dfee5ea57a26bd5004f735fbc5627d5616dc2a69bc40a9c4c7e8c231e5de34bf5fdd345',
+    'd7781dfcb72b6d718aaa': '80781479eea7c0e5e4eb008679011eb2ebd05065751983d9f7622e00bf5a8f79c9be590b8f42677b0101babb679114d271a61f38db0975849e56424366b3ad7191055b7761ab',
+    'cae5a3debf39dfcbfc88': '8cdb447a3c23d4589265013cf9029b74a2a7263aad618e513d4083c376122179f61611e25f4714bfbc19fcff057a23cf89d03ba34f159b422f0a36e4e0cca16bea3e12521ee6e4f4af6fbee2dea03576bd3420da34f62838355c2f28d18282d4aed6c973f31baea8c22102dfc7256838f5334dcee839f2bf1e3e7ae9c342cc101d93ec33a3fcd0639bca7a9a1ec3',
+    'd9ae9f5346959b9178ef': 'aac7af0ee8b6c10edd0658017110dd19a2dfbcb021dc325e425c605ed6f75b21b8384d3dae30a10283012d753ec3ad02edf0b806617a3209b6e857ec2e969841b2f25fe157429335d992edf10685c9a59d3e16391e16b8c697d5f40d4d58c0bf3995c3e071b9f995d12b1925fabf297ca02f5a55d9c303de7e41ab0992819d5c1be69b2dbb2b7586da72a1d2',
+    '4b3fec4308f6d7e40c7f': 'c29dd752edb3fc13dc886c8785333a8ebad86cdcd95a7fd8a8744c3d313d5308155d0717b1def0a62e1d4a1a01b38744dc99061ecb652e9d09e8bfe16b2feb023aca71cb1c4c6bbae1c52b19fd09216a8d7eaaad71f874454d85c2dc842c463ce906dc1296b7932c47707342cd619f58673842c14cd106d75e53b0347fc6',
+    'f0e66daeec0a387b9fc4': '01c90cf73df1e512ba952d246007112ff967886f5d2862f5c296c7dc78cc633e855c6d0ede3fbc4d2271487c424697bc1efb3804212e138342cb3602ea0357c6d41d1329ab8d3c8ba11aadf63d233a81',
+    '859ab8013204953f8877': '09a5368a9659411a17b9577401d559849d78f2e50b28b72cff36d2e375390e7d8c52fa2d7b295ec7a1df525170588b2a258b71068940a0d1ccfc1325535df17516b7658d829643daa8de0abb54cd8b9f039b9c4dd10c1b2c2fffef135e6759e5ac6044785e6a11093e5dc069948919444f7a217f9aec47e6eefe810dc909119daee6a2ae28c0',
+    '1abbc967f45ae01c1fbb': '832b67b1afd765b572386ab66c5c17e7eb5d492bbbbaaecf51ade4b367a30b65899866a755c1e1eff0164d2435757df37b558f830ba488d90fdfabef03acb8367b14d9ca078eff49eb0c80bc2aa4e2c5ae10af866eda40de63cd9e043bce7fc2',
+    '580889517f8cee4bba3d': '963ebeff6dd48d5e12313483deeb27c855a382fd68e58bbb6ecaee8186f9bcfeaa090dfd2805a9d93cb961faf0ca457b3dd309dd774293f1196cf718d8830e11a803d957ec6d2f6aef61fdf556a4bd8fd32623ac75332f2d04a722159bd45d01ebf588c9d451255585c4ee2a26bdebcc27e23a3f7ff804a1d00ccf948f245497f3c767229d8502108bf291431916c0fd5e88b618',
+    'f27ba89ead85d72f566b': 'e5f5cf58f0df83abc24817e1021f78458162f8c202d3813cca81d64329aa17ed47e66070b23ef62bb6a1abd516e0ae675be903e727d2b6a060f40c3c152edf062cf2015d5e3736964a67133ade5ef39c8876c81c1176a2979069168ee09d5448625c09f549f4938e75b2e4f55e06ec5ceb0431c2f0803bef1e12cd6053b0e3b226c7f01347198de0d23e43bb91e79169edfff9da5fe7e8c10be9',
+    '976a9631e74f74d58271': '39b49fe243dc3a72d463751c4c24675cc3079d10ec6c98681d733789bb56228ce2022d64d9727ad04982b951c1ace5e02b76a2ef08bf3c97b0362d13cfe07a881932cf087de5c9c0755a230589dbfb5c4332441fba57901aa09f3fd4f6ae4bf2568b4d3aa6df379f2452a3b3904bc210a53ef6c1',
+    'c9f84d54808f65001260': '00f5debc9231827db39d3b4fabef20f892c211912b942e9636dd79727303c0180dbed41957a4a2c875293cb06376406741f2f1a752dc8e29c17f8c27c44aa1e5ce0873001dab547d06545f3fc71e74715d499c8f369bce05eec2ef771b791be82bbd071d82b185d3669670037db8ed90de9ac6bfe5ff17f00c25a3067b972660205932b117d95e2c01d1',
+    'b87497292ff646ab76e5': 'a876cec9d94d01dc672895b825078f600c3081e307547adf32084665dfc30bf766beab4e0525f34f57d9d77c4555bdad66dd552eb379a73949b243a1a17b7c84e706db11eb162c9746f129bcf1414587083b29921aa2c9717388baa3a236a34ee3599b0bb6e7830b1d33ff4005ce0e29ad201b3118de056d',
+    'f6bdf478b0deef1b1907': '04f27c8c7b5f3aef066c47d3e86fd6b79b7d65f368aa5f609e78390f1dc903a2374ac4ccb314c3525ef3c78379c2d62cc1c2acaaaa47097a5709c460835b5119b34306292c62185b7dde5f528c27e8615ca7dc9ed7424675b2a39cea27d95778d36a45f06d628ee247c64572c345bc7c813a1920e6e555e596c2c714f54e4257bd3e65f87ddd0384',
+    '6ec1deecd78b73f5c294': 'd226917a9a239cb6c6fc91844ce0eb9efcdfd9a9b75f34ba907d8d4293cc0521a0aed90301000cb1c046966809b462dfe89a48e70b56111483824d3c6c2fe36142ca3943ba34e129ac0199aa16bbb3a7884c8f5aa3944f5ef4ff84e16ee97086638e27c0cf9c7ffbb68bc2a18a4520f8c00c154e0b5162a0ad7ca3a2091447946ab2b9575b3baf6f2e1f642218227ed50cd9',
+    '190b0ab7fa7f8be58c29': '1befcb310da334da4ed96446491cb4a94239be279b3e6a972127ced66a6e9f7b31aaeeeff8748aa52abf033dd9498a3fc78483bbf6e2e18aec2b42f29aef27de058f110182f9387f835e8f7322b00459bfbacf270ab6c5dd20a48ca65a769fac04eec3833cb854db6c232ce00505d2270d2f24ce',
+    '78c7a20fbd1c99285690': 'cde56ead27e44cf7844c39e2ee9c13b93de7322290b651f6781b515e1570f0ce628c0318746c36e811996f9eeb3e4bfdb4dcfcc73617a851bc1f590c7399b5ae16b5b1370a35f3f6d7e8c62695158c75',
+    '0533e75bdf53aaa7466e': 'f44f8eb788b673eab4b417dcff0d93429872179607e9f49a4407cc641462d19fb64d2899aed918dea4461518f0dbaacd67a3922ade1db20757291631ed1718447e460cf0cc42193ca43635041248e9b6d4effda9280550431dba8ab79ded81ed3cbd4729dd4fd8f74273da6e0b3e847a8d138f9235e791d370d5',
+    'acbff4228a475f5d551f': '30f0e84eb21f84a44bfdec7f23b821de735016fba0a55aa469c9067bff36f17b126d714d39439963f87d9de07eb858d2469feb87a41146a7955cf8a1e25811f926c848405fe70492b013',
+    'b36c2400ca1068d53e5e': 'cab5718e4fcb58c6ffa57258eba60b6bc0d44bf40f5a8ab65b38c91f8a32e8a6a6324503598706ab2f4ff8d52f30404683a5815bcb99eada5fb6e0fc270121390e7974cfb297461f2cf4eacbff738d826ae5778a8748972fc59b094e402cf0f3c29b',
+    '5b28cc4cdfa5c99f5369': '9d28332ed7f6d5d1f9c23f689d3251d8563391251ba4b3a53c3f2d79f7d62efb5479c3eeba6a3dfea359ff7f95c5bfd1e9970a8c5f079faee2cd638005d9082c49a98b0c1e138f4e0eae9a608f26007dd6b23825eeecd1a51a5d401ac84c224a511516c3884addc7a62a5cae9a4c2c0069213b26064ca1e80162629a7657ef318a32d015857d9081138dc5fa',
+    'dc3872d1478bb291ed82': '35c02849aeb4c1dfd1d8788e3498f2455e57b3d31ee6818f47402a7af8cac720d002c2c3a1bdd482b4ed75ee24ddbb1f8f40f4cb4f4a0a629362c790bc756c93674031ed8435575acb79dafe17607e93e034d2b048baee9b9942cbf698dbd928bafb541789cab6d11df94cd62db070e9d8e15c6274153c8e',
+    '84602d69e256a2619ed6': '59f236ad74a0acddc38fd782bb099b63d59b75b58af6212b8b32cc5e21f17013b399f3f966e0239d96e50ada7f585b3922ad3ea1e92dbb2217d90b6e3d30006c09d222e25e1e41d248baebbda7ae5533373ce9a74b5d908768123ee49a71294ccdd433469dd0a06940a679a94dec1b35223289ee7e86fa95ec6a3803e28562f428cbaa51475ed2021905fcdc3784432530b5',
+    '6105ea2da0c52261d14f': 'def3b39ec33b49e02a136fae3e8cbcfa5a4cdd029042da00ff0ab5640230152e1c96e6884863c9b89d6cbdb0f753c792a22ed95db023bfe5f50cbca5a53a7fcbff3d4dd36a4861a4a38fef02ccced0f8580b4a591ad8671edec964274f6daf686ae55faaa5edf2cc4b374f87',
+    'a7fc1f452d4ec2bdf727': '1f58cc46c47b487961522acd3a1e73fd9a946ea444711383a8644d130eb93f712c71933f9a76e0d1f0bcb4948455af2ee577f3c9c6ff93a05bd6fcad9f7f17c3bd579a9147ecff1c0da273d051fa5b184480eaf7391aac314c317499e04ab1ec61d5f1225b258d31a64c225db8c1986c9763082a68eb671d59fbbf15246f813ef504',
+    'ca74beefd7f81508c0ce': '0d04234d8de978f87bc6a4415c1895906013f4798f416b2231dee57d6861a9d55ee4f0224129586a75e67ed24afd007a81d25de76e74772fd4dda5a8546f30184b304bb6f5b7b4707fe0c5d85204ed23097701531e45132f13379eaa12ab81b52b3684e09cdba9c3eeb1e1fc5857198bcae172672ed5c95a33093dc5',
+    'ae7c2b710dd316a573e2': '184c360750a83d306a95e880aa5e48103cf74dd498a574a843eadfd8b0cb8c29b0af21ee32a9ac3e378eaa1623c27281b8d6775e66a38fce20553657d90c1640f57e85be7af44f7ca599db4f497df3d272d8e2c638c16198a22384fe91d9b2bca686d0fa4dcecc183812c9b07fd8a6cf775622e3fdca7797cb94f0efb0617379d8c846ce05fc44e42aa6e4ec6d5c',
+    '4f5f48b61f036dfb1ae6': '6da6063dbc6813a791ee5eb5178685a1d9593924711864c85ce22da51850128e3708954468ca1d650b79da2c9100891ed14ec701cddfb32d925d0a8b1827b3c06b61a21947395572796b15244f6329aedb48dc58a7377a5fdb8ca081a4819515ceed038061ba460e4c78b506d51a539d2bbbd18f764230d4a1a9',
+    '989542a2cd7c4306a022': 'e72fa29b9ff9aa6c40312648a6499c5192ce50a211bf8dac5d164a8588320ab3e3549146e17d4d322330aa2cee6d7c26b7e07af3cdf677909b666d3f6d9e41c069b8b64f14f76f081ccb7464a26fac88',
+    '18131216b471c48d25c9': 'ac2bd834ace2720ccc66c8dc361ca4722b0e180b319ac1f7a951d93fcf3c1cc04f77690d8037e57d32d034a92dde72969d2ef7a19e296be1f33bf5ccd9378051915f3f6ece7e3782c0ea6ad246a78d142529f536e04956ed7d14d356a3f6a0b0eeb8f0377a8d',
+    'e8c81dbaee20ca4e8ea9': 'e8c77386b8fc71c881188bd5273a58226038f09a37f138d91de0dce887476d627180e71a7378d2c00061990f2b3b35a38b6456ba570c979dd7f2bba4cad44139d57c2d5124cb3395e583935df235cf44d150d458db7b55c3bafb6fc2f5c72bac26d749cf31fa48beb630b17d82131a59733ec4df497da1f9b8bf436df5371652b3d8619909a9a0747c6c',
+    'b994af58d980fe53938a': '936db098cfa57661c3796dfc47a2ee7ea0e71788ce2023df493aff0f30b4371ad4dd52ae5174d07fef1c6ddb794114dbf61eaee27092103ee897eba20aa0e980feb912a962200f580f8a409d029a306b5a61',
+    '8dddef1d5a293346bc9e': '0239685a6b8d158e21c42c7b33f54d10b997b52258d585d67cc9e88ca11dec8a839e479d285cb3fd9ed27e70f9d1e1d3a99196ad8e6a544687a387600796dff0650e1be5ba1d89d4836d568201fa54df5e39421ba86cb61ad557b0cfaabe878e5ebd',
+    '10ee563f4932e03d6c7d': '47c55cffdabd72f7d6499964512fbb2d8d73ef0f2b8e943539bb0af88ca019e8d31955f9a18d10559e0e1d543d02df283e53adccb82a59b5fc492f72f50f96d56499be662845b431a14842cfd2b6aef7e23c21146891f2373fa66442b5501666c5242b9b1f3a39104cd30033164a97255b02999c',
+    '2ac38df3b34cb9ab6d92': '0e3d6004a76498c24f93d38460596a99c5ecb5bfc2b22c96637bf90b457adcf368be3f3b4dce1558e97506ece092e9c5cff262dc4613c384832be5ee24d55b8c765fe272326bf9c3fd5b328ec169b50ace22ed6e8caed5b765232176636536c319cc8d3249a0dd7bab3ee696',
+    '9edb2c28a801bf4a1890': '6f3f5f80c1717d170d41f0d213ce09e2eddd192e548505cafdfe9c3938368ea737a161deda02d52ca3f719e6fb1cfde26dab16155cba5c5548aa07f57ac538e64f0e8dfc7d566fda56ab49cbd8dd37fc7d6a563c4779fd4104c66f0b94e77697c8db06472cbc9d01acf3b2b3d1b0dffc4e259522c4307151',
+    '73b1d26fe4b551a258cc': 'f3457d0d2c52849f2b5a5713288c6351fcb07f6def686f357281f7945c8639c660d4e978f45e868cb2e8a0660be822cf62ab1fc374d5483be59400e38a8cba42ab47060b55d8381584b3adc1ca69aad8aaf2080ebc186dd30905a3d5e46fff77e0b45b24ff60fca7a30298ce034e03aa28e61629',
+    '5a9b76d9a0becf7401b4': 'ac96d27baf941e52839dbd53b4aa3ac7ca62a01a648aa5a518eb028fa167668c5c8fac6a0fdca14340cc36efea06c1e1cb11f4370e7208c6484fd445b59043568435c7975165',
+    'acda054d3c4b0971faab': '3a5c2b9e71e1c48cdc4238868d9c082a770c9a07a4f44146fee5f2ef4039dc6d0911bc93ed6732fea0c1b9511a7f029635346ad0ba919b0143b455f8958ec738834a8443bd00303de85740180deb0e0fd742f3af47d9401c98b096a343afa8cd44826210785c8162a9c7c05f9c9d7fd1b1291176159ad64c7fb74bedda023a2c',
+    'a4d8fe32bf3cc73dccf8': '9a1fc80d9a6ce35b7791deaf10a4b6cc6ab00288d87685183dee845c06f4258e77d05b0a0e3d95d3b79b9d9b8083b723e1cdd6e89b9dcbc4019fd14f3e166d75e7d6090ad42b89e5a19d41cc6b079a3ddbb860b3af2d1ef459278ed85361d40da7729af14299cca843e8',
+    'f6f8d9a58df142780d89': '4e5d163222ac91029408f19ad48a2e6cba7b0c8fb2ef02b69aaa1a086853a19ffa2e8675f9042236ab09edb8773ac6067a4fcb214dc15c3bbc0fcb9e0b12edc0c89831c16d00ef61db16100fd6b5070e99c880496ece',
+    'a1f6b59e5ac6da1342f7': '3e3de63bc60becc86de267856b7a20d41f8bff50cf515a03b7c247d7024d5fb06710a3afab0ebea64f79089eeef7f8eb6f4b11f9b305b35e5994ced54bdcbee151b4f52a278ee7140a652697d96ff00028a1ef288c4e7c65ccbe2fc00b679d36b805a7b6eb530f010dd74bdee2473046a999c3ff26115edb5d3697b305fb3e33',
+    '7c95dc052de2842462c8': 'd4c36be275645078eb2e2b41d4e862b65f5383f4d15972714590de21431badacc43f2d3530abf0355a1e97a88606fa85240b57b360881ea0753b88f796a67efd955ce28cbf5a7ccf2a48e4c83e2e29f7c672051bb90064617c94956e12fef079d14eba55165c862d2aae7dfa89226e350569847d3bfab9c9cc50e0dcefd5300b',
+    '5ad0f9c549b3d582af5f': '8cf75e49a3073a8b03dc192b3d3e7b900c070c7658663facaaffdb2a4316250ef7c5e5f8c2db16a61bc4d579c2e7671d4ff44b2bb96c5d6d6fe190af89b6f3ed13fc22f43be01a729832730c975547600b2f9bafae2c455cc9fca5aab1af9ea91dcb3020d3448f157d439a0e662370bdc49de63f6f571b50d31d',
+    '2993aa930b004a23dd58': '6b7ff9b2708ddf835ee5deb815f82e5ba9a0297391a49600372b66e69f9892aff08748a5374d79a6d99c8ce28fa1983917fa5bf1b5659ea797e788d657bda113ec35b3a42b23d780fb50e5e4f3cdcc57248262104e3f75a9ed7728924982830774209e58f0e4f44f2961cff3',
+    'e3347fa57e72b8dc3b93': 'b89d5c19a4da8d028b64d3fd2c96904b7786120172976594d575ea3ebfec9cfd0fa0a51b44e370612a6debfc46e2170cb1d181fa7f17f05e7e955672f6523489816a51d9f8a702c7d9b324097e5a350ab1846601ed114075a8f98758fcca3662532f1c80407341bb022815b8c374f480cd457f2b199a31fc4c7f9aa4956590e4',
+    '6fb2cf25535e5e8dfa0b': 'cb79854f738c35633d91f855e6d21210a13373dfff1a11b7076c4850c7049502b28a9f331058b4291aaf2d65e1f046d183de8f9a4480ef20cab3204a349ca4ad11f2345dbc370fdc439f48fcadbf22d80eef47f115751169f2857ae616b78ae27d080618a9418b885b81d6271155b014700fc6500a41',
+    'e324ede64323b7441a6e': 'eb5329fdba20224ae118567c2beed12d7c559ca8cdeaf10f7e3a65d2ba28489a7bace73baadbf2524b8f87a0845b62a5d239025d9d8827be3bdc971e62aa4c2208cfe3ae2120192505d8fe424472cca9645a79a3d560418b60516a7cd0a2222bbb68',
+    'f6db04c70356a76e978a': '833c3f19113f30ea8b2b4d06cd192f25f2c710183b94e4235734832ff2dc10a011387d4d9237ddf1eb07caf5d076400966f2fa2e4eea0935250a0cd47e62e0104fda551a1655709f32d97a56f77710dc006c399d302e4761400c57f5cb757bf3243eabd42d53e86053e8',
+    '228db5f7ce86f5a9d726': '71516bf0b90c80a65d0ba72e287fb2bec96e5477dd9f56b72a5b26cdff422f6b9a619a98644875c13449410d21e0156e96fb7b52943471d372886f6b4b04f46e2b9b181f73d6aa81185c0311912549103a75408f2e03770ac4f0065e573357916e114cd3466cde613cda5908bf82e9dd1676740d6cd0a6bd42767696ce534ec20f96aae73bb7',
+    '2d1ad90218334069a801': 'fddfcd9b25ee3d430fc2b98b416adcd16de103998e082298852bc128700d782a26143eb98b4111a85e1b272fd35478c7fd73ea3a42669a4c36d3b9e23c536f4b35eeb3ec30f1e106a70acb3795245d12209483baac960b31acf286769c6416cfef130d5b2b5200f6402aa301faf33d102fc25a0dadec29e4a501a3a2d487e682',
+    'aba1414085d751cf0b55': 'f4aa00eeb9cdc4d9e90f8cf5eb382daffad004ca60d54782b49791737c4aa692abda46bbb5e2116df45ddf54b797b67a63a97edb1468d0981f787e1001fc4d3bfe4987c4e1d00a7c7dff4b8da5c09abc2741585e13e7ee48c836843cd7661749812447dd96e95c8d0c086f3c2e2eb7e3',
+    '46c396e54dd56d68eeaa': '4719e74075613c6323805037e86374e59231eae3ec0f65f10eaa36f3a6bcc9831185dac5a3fc07ba5c6263be55858b6da64a62b52c9d96e07e0029bde1ab02d5fb679be5feae69f11e58035ef8bc9d9cecb971c2de99ab40b75901e195aa83b772bf0b06ccc90146dc9a00ca96e505ccf4de9b584cd23abcb149',
+    '7a9be75fbcffc494680e': '8a3d3c0fe9b0badcf25a04fcf17da988ea5bbb1e8bfe98d2ca2620231033df0cb787713a9edc47578f5fbbc347f3fa0686d32de3ae97bc940b6bfdba8049cdc594c502a49efc39c90d9a33772b608531c291b95272a96958ac4559b99dbc25881c512a025e485400d40bec41376c87e48f78c1da671eebfb914ab3ba',
+    '672e287f120fcfd92053': 'cccb832612acc39fef6cc4712350d177bf1df6df950102f3f60bdecc690e88fc4c4c0374b635590ef33e428d547345276137527058e0957b266831d229968e7fccb31d4a26f40cbcf037e9b63fd74d3b54f9ccc4a0e12238cedd9de58d369236abd29b5b90087c96ae1029f276a2aff858a07edfdbf0b5c0d958',
+    'e2d673601fdafdcf0cc2': '6a04d29532eadafbf1169634be26e1f0cd40adf75d0cdc67b101c9d5f2e62b37e6668f238ef8e314e1a1bc54a2c3d06265dc0649b382a3dc7ed3cac615afbf88e1c690c90eb4fb4ad83e43493cc38dfba6392c108207cdd5e94e8c02577ab563012e58b4599d21cf86e814ade99f5c01c6a8cab3ca6d1096ba9b6c46dfb379a183e23f0bf80ea177',
+    '3381fcb63ef5bcbf0493': '5565582b7fa51be5159bc7193ddf9502a033b3f8ce249628356649256c9f3e989110adf99839ed0ccb96780c1fff901bb19cb05ce9929e2ceb417d9ac9e63e2d5599264ba2c02bc6b06986a453b6b49c30cd72fd514d264fe96faae674afa7d38273bf1b338b6bd7d370b3c03fbc1b56f5388dae4f95dc7c',
+    'c1b9cb99f891be28b77b': 'b7b60e7212a4e102bed6b2f0f2558d02177f35ca8c4dc502f4efaf0120d51132cc00b55cd37f2793273713e263449685b7ca269f06d6a3b1ebbc351caf5169fe5a65457feba9a28fa28d430e1bc5fce729cc222279a7fc937cb0590b00b9ede72cce55a72d358d119ada859d8aba4e2effd763ea04e56b014b20271d95be',
+    '4571671066edc5409c74': '20b1e9039385a6661a9c5faa6974c352bc86706364bf146f80e993fd998aa697c2a5b47c15dfe9c3106244a78f02ddf229f4522dc9389bc9e8adb6592fe7dc98d35450a1bda4bd39fa4c3893fb3c5bf11dfb86ebb344b818cbf756bd8b5b76f26dde365f394681b8908da0adbad658fe34f5ca6c70e141866077253eae0e7c48e278413090e8',
+    '4ee6d0721c365e315ab0': '1fd6f2740766d1a8a8cf4b5a69cedb276af5efa1e8fa7cfa1fb33ab145c1371fd12c575b25a4bbef28bca2753c4080ded819b441f947f0b8e20755fd6c20855e3fd56aa65fc1d89acd547b0b3557677f6e47e2675d39ff5b60a7fc995d5a72dd9ffdceb2ac2ae6e8bd82',
+    '6fc4e713c7f6198d74d6': '93a136426bc2c3b627e1474eac8884663e63aaafdb3bdb0dfe301bf3abcf7e9c498a4c65d7141d0dde05eb284e913a3838896905c408b472c488922804b24f385a340242766be2c33e736e27c51565731906ed0fdeebfa2f552e93c51ac9c3c543878cf3',
+    'b1c69583ce29bc18a510': '2e551f5b5c2c8e41b7257a4a65401071dcdffdb6eb4948e9368f54d248950165e9d03e189f28488c749d39695a0a439bb0d40b42d54d1f22ae24528e435a107b0df3f7375ea047c37ab6ba73439b4cc402d8895b7a3768b2015de98baa09134814a5231b590dfbf0027d4f5fad5ee4b52c4b77f4d3ac25c939434c513847155e7693225f02f66f21eca7',
+    'e1372dcec5bddee9e9f2': 'dd5140b2ab72ab2c9d0764a2006dc1a26601b8ed51a56dd9bdc9d8cf5013b656e295f97dc3f1165ce202502179de5e19e1f482fbd814928f7e5109d339d0597fcb8918ce201138ed4bdc064b01e8ed17f7bfce3239d202e7454a672215b67c70cadf002338920947c4e684d951ecbf418f421725cb75658246da9a3697858dde8706a2c97b640ecb7463',
+    'c73f740868db04e13dc0': '3497b0bcd09927016cdf732f42d3d2e09ec3b48495e9119e01601d471821fd9444712482df9d82421d5295914df46df7ab44328029046ff8e8b288e7828f3adb97a6deebefd3ade6c7ba174ef62c1cdd3e15b2baacbfcf3845234aaa4720a544ef046603112326e4af772a9942eeb3ebf29fe26f235e30960b378832ecf3375e4eba6afa3de82c11af0280abf583',
+    '8c76c431e553b7e597af': 'bd7ed3810fbdfc5704e18c607d2bf9bfe0fdd6d10896db7455647bc6e7d1da0cd2cd1959868ef2b84d0ade33f539018f438453a5ccbd8eaf48840e2b5e72ed7360cd1437ed4300e79c0e0c3ec2f69f0a0d6527f08d567592f0f44aea43ffd0edab7d683db29efdfefb6a44d0e592732a66d49eeca234d765babc9dbdf28c0a03aef77a5e7033c775007625758e61a8067945f57ecf24cf9c920763aa',
+    'd16ef45786ea61c8f727': 'ca45217753515515e1b1e735d1bd6d2fa99d7ab110dfea4dd70e9bbfada690cf2e76a07bd139573fd2c872a43d745f1f30cbe3777c0d40bca68dd3d79724d10d95e9c1a23f3fdd377c7a2a848fa09e53b7ce40498663a7b7314523614019daefe755da2a59eb1b06ac1c4228074a3fbda8a7e63c550d3e1d9af3',
+    'a75c9c9cdc8d7bad1099': '6b49470a0e9d8e3404f6abafd3b4f908231dafa63c1462154c02d592ebe3cbfbc94b679faa08420f984540888e3aeef362ea26eea2bca275ab597eb38fad1ee899e4cc6c8d73d8b6bec3dae3479c9f527ff2d30bcbb73428dc87035f28151c6d0c9c45035b0aab27d088bf5005c054a392b4f7250ad91764d4e8209889b896f1aa605b536f8ea8d9',
+    '48a3cdff4d1307a5868b': 'c4dc976ce5499c70461e1925c0bea6ef04eaf5fc6965206a3c6620be3aa689e010f64ed6f76cd8f795e9da808faee9ca82d75d97e9b6d39286f380f09cbf620147513fd1679be35963387f013c4368ad87000c66da60381be60bc34926235ccff1c353fe0d483d692e5fea5464c0d131ef8b9e6c48c4fe134c327ec0d2378f2b0de7ba28d8a7dbd0c8bcfab3d8c78406db3d23646c150b56a597f6b7430fe1ddd5d73b14',
+    '010c47e37db5be220c14': 'c0a2820cc2924f16809639bec56776c82f50f0cccfe9682afe6e3713d2d8d739ced71e2b5c9f7546216ace1792ca79de651511701fbd412ab3972d8140fb4d63b72d574fc86ff08df0faa13c76fedb8e835669983bc0a3a4d3654d9c242063cc0bdf55ca0ac4bc5599ed043af9dadf694c293716f7656a5b222e04dcbd7b8c37d5b6800abddf',
+    '18d2ad88b7c01d9c2f9d': 'c68017b539fd1578a3d299074a8e4560b8a5668bf47596d7caa8f43418604c62158814a1e3cb879c317b64e4abfc2603b96d548af0a59169ef30168b7dee9ef8a83c5fe88efc213f907e2250f925c9756984b82b999e174a6551717ea8d3533aca62e0784a40111d4344b529f6399230e7d774bc81504f9af2161d6f9bd1ccab3946be3bf2545d1b94c448ac08e92edfd8f0a20cc88a0ba84c3eefbd191ade071e0e3dd65f8a2c14',
+    'b441073de174e13d6815': 'a01645bbc63d7896e08d3c56afb7c22ce5c5db8f6efea97064ce7f904a374c594157bd55266877ac8c3ba831a34e4af217f865b356803ed4500e8fa3418ca6c29bdc9e9f44a3a1834dac2c27bc41732a75f8130f44e9051bc628898e0f1652d6543874e169bfaf5920835f53',
+    '2ac9d75fc7e7b9489bf2': '60eb0824ec60c78e22864f54d53a4845e5a7eb6267628eb13cdc997fe942ff85eca79ba4d341b1ec99203bec7c09d010fcb38c41e7b4688305c63ce7889587b42282c30af4bbd2e7021f08f61ab56cf82d09698a54a493765d1a9f8b55dc9e5ed8edd09af4a0d484a40aa9f469f5bcd475d3d08be4c1d80822c9f15049da2feb7ebf',
+    '43e9184549b6d059ccd9': '2d9b0ee2f917bf59c6204cd30b5de5f0d64316538cad6c55f37c51b125c6c8d6101eaa8ae98cec6cd10f168bb9f20cf04eb7521f6c9cc565f53bee151e9a32683fd631ec1e9b305ff043990f038e8e9351f8a6a789befcee0f15a443b8553db3abf8d5f9',
+    '25919387d82ac0ff6418': '1cbcddcfe1d7f8cfe9ce8138eddaf958c4783db06bf141c4d398855448215061d6ee11f38a23ba6d49b3835fe5c9c5175f733afd5e03b1cdbc49d233e7bc8c1572b9ec921ac815f51f5cdae3e07bfef34e561fd731090e953069',
+    '86891e5f68e328adae07': '9403d4fad59b23855720d2714516646d27a5143237e22bcacef26892266f3cd56e9da6c1fc746ee8bb39eb747a304e81f62aff8d5672f3937c8c2a73343469c678a4ebb3321d856d6fb44b8858c65799a222536352b57a7642daa3c25e09911013c98123360d2499798430c8459d7c0203df5ef9d96b34fb93ebd134a618ae8d474e1270bdcf6e9a4997245eaeb167929071bb3166736581bd0412d63a324f79b6a1643011d4',
+    '72e5291c8ff68a31809c': '080b940407a81766c502c9083c8cfb7f02494d4e2e6df3a945308ec24abbeba7864fae28c08237eba704407e052e5b8c626b9d9d1ef21564dc6643cae4da91fe8d84da30e0ba7aca6a5b8e38fbb4ff16',
+    '897be8a173e7fc146d1d': '08ed577ec921717390d48908af8115d25123fa7863d08b9367930a35a43bc1eb30f3547a73944882a7904c7a3068b30182b0b52b15933d98cb11fc80b97976766f50d73b714d6df31a26',
+    '99f9e96ae121cc9655e3': '85910a0a3aa9a9173502359e1a6658494fa14c61c359c78fc10f9be76c92c3e3866364dbeda52e77af647c95d8d65e83f99adb0fe3787b442581fc3504e26ce90fda2e00f145a3a732f160375be79379da2e11426c12a7bcc6b50f15c255f010',
+    'ff12d6ec8135aebd0a6b': 'f17384ea24adb54ca72f81ed389229d180e064a3d674e7847f4e9880197195385815be1d837f3e2c360a951721ff2cea0b2abb7e720f6d99f493131655be7c676ff497a762f620ff78e83f532b70a1d414141d85da6a67078b07a981e8fde7668181e53b8824ab66faf9d1b6',
+    '5e3075ad59076c341534': '2edd5482f8c4f2261535edf91e0fd81178dae9d9381f9f563cb68c9b69a4088792c10acd8f5dfb0bd2964f22bb9ccd4b89305bfed0480de43b9aa6133a269641f710bcfa2855d82a1e6cee599940a36ff4fd80f5f12be9bf8911f397cffb19ec02696c4891b29f666218cab021d53733',
+    'a6e787f869ec9cb4efc2': '881feb1599ca55c5520de59bc0807100009fd31c0e92fd4540565ef79c6c8c4acdb49efe12a9d18c49a2732c5caf0618a59d83e78e4cfcc7ba3279bba2cfb174e4060970b833ca9db06378aa4cf3580f630fb127',
+    '22772df0e39314233cd2': 'fca79b5ba57ff5045589c0345779b6e1f519a1415da2b2c960157504ee44abf0d7cb06c8ce65693ee63d644e7b60bd7ebe640e3f45b627727084ab51ff1e7a4121cadd7c64ce953b69ebddfdb29c09031292a63a7c092168ad6db2b405156ea8265575bf058e',
+    '0d30b9073fe7c208cea3': 'f5e90c616c9f1a297fd364f37ec9345359e9713bf9d670f9c55919b8d1b69e7bc5553b7dffd1bc475be5407d1bfde8acd0690edf88fbaccbcd51bc79e050a15583b03aa7e2e7d0ec7594f1a10398dd7c1351ea07009401ae394ef7356ce804cecdc00fbced5a31c6918d9d96a27f49430c8dd82519e47c451dbb1e076ae87c30b6a650babf8c0c7d8c2e742d47e409262709fd7701bbb56814a88dcec801',
+    '9e69ed490907286c4128': 'a0f5b1d63de635702e7a70b40a2534f065391f6dc1467d8184a66a4c7463ccd6276535c57e953784e2c8c288dfd3b712c1588d51fedeb5992f0dcfd5619fb083f5e97da114c3fb783150f8826e5f45da675436d2fb6ceddd274f7a579ca3beeb0f6db5d030b34d62cbfc129fe4ba6cbca67298063948005a682498b09cd28957741f255bc4ebf3a430b485dcf52a69bb0b10b503d301fb4b809a',
+    '6d5a1c2b59c797accb0d': '32a032dd96bbf324ab31645c1adb531d5ee18dd49ea228f28095a6df76361eb28d03e2532009f8d3a05d2c14d46dfd41523a9d6b4575ccc2567c6c5a021f98e37ae437cd0fe8e59b12a5ad15872b6bf37e9843e9aee666c4d8040a5286e97f62f9680fa7315f3cac8a03ea3e3f442aa9ed42',
+    '71741dfc18a31072bc0e': '602c8e5626cbfb0891c5a7ec8dd99622302ce659df2326a6767a0b3fefb672e0fb0641e2a123a013fdcd5bb835ae65f08572e304cc0ed62bf8b8a26070699f3499ebcdb7e5eb593fb47a35accf1b7e61551a1f327654c62c6f4d7a842356018736caef694e28223a0c335ca390e022f5',
+    'bf9d6972972c5067d43e': '6e419f9a4d49463a6d5bcc4085a40f356a181c9ed59272cf787eea2bb7dbf3aac06d91f5f22d842b1ec7e36360370f1fad63c1dca215ce30fcb60c64357dd2fbe76b7f7ba3df0cf3cb2e0793643c7b17fb2f0a15ea629404f5ac61ebb651fd9437e941aeb38eeae4700e1025ff6e057abc4524f2e95567a894ee739b00d4707d646a71a01a8d47398842225ae688c2e1b803b0f79a9b7bb320075223',
+    '45d081f80fdba5badb83': '14877e68895bad3cd9112548abc74b1116c48b5d894dcd8d29140fbaaf7a9ecb40d34b87598333e0326e47811a4884bef2cd541c8d03352541f17bc8134c54ccd42f2cdf532b9463ba1aa95e63c8cd03580219e32162df4b637923f69354a94d769935757c9e518d944fd52d4b159dafb7f05316676cb93762e6e6062ba6',
+    'f0a498e535bc04a9d118': '774a9898ae8432178ba3ef913aafb25b286b09f9e91e63e5ccee7d610a5983b6a79c390ebdcd8f2325b62ca9e46c4561ab3078019a8c787823aece3e234ceb5ebbf17271cd89aeb5f9ba9f719dedb63cbaef075d6266c662c0d79a7dad3a909d4e96ce0ad0376225204062c9f33b9ed2151acb6672af9f60e5e77b6ecef431cf63cfb9355158a878d81a0cc4',
+    'be2202342ab0224688f9': '739ce3caf42effb306d71032ae0bf6417a145ed39a3044eca8cc24a5ac84b2080983cd906762c2de42c41178eea11951a4ef644052a9f1b99f1aeda61b337ab4c21756298d69cd830cfe62dffab4daccff2ef808410760436679495527a5c1339629',
+    'cced7b4a44fd87e811e2': '242535751235d769bc51a2a7c8d9c5d60b08bcc8e3b61f477bf93a0ee4e02f3861b7067458fc468ebafc687b9aa7d2b32894b9ed81b5d844694086e2359411851aaceb60449c868be020c3f7eff0c85a73f3d5df1040db16852c3b0a1be82c2a189b3ee433b47eaea01a19d03fd813fec70e2b45815a906d8db1791e4d19e7c03fdd',
+    'ce0e89565bad9344406f': '3258bf912a028d9ed74d1de029de7c8163e55aca6f64dea9e12854fc86be6234bf077a6efdbb9e87813e37fe612e5c6b89d3ec9ba3e47a3d42259b2594272ef9815e42433fefca504b690d2817d391bb0d8c02ed0819522a87983f14c91611e5db28f43cc1d9917a',
+    '7edc80d68566386245af': '88a0c8328b7ad96e34b6a38e2cad9af5d71655072577a8fa5e7edc024e581469f477e9ff6387a82fa884ff3528942d771b4fa4dc55f16ee132a264927c9836a9f2dc4b8c75373ffa59a8fe5083670b78d484967009a6eaa2ac4b22e13f5fb794fbf8bafc816fc7c4bebb079bb4f941e85d4083804050e7b53ad469835b7c8478ff84d0f731c04b268bc8ca54',
+    'f93d6954789325c18fd7': '3e983a93c661dac260aaeaba2df4b95954527994d636c00be13514656e048fdaa14c3cd0be45a3e99926099df4fb12a8ae6757f8d3ed4f6c99a3ea40bd7f61d5ca565beebec9bf85ae8b1f2aa6963593ec02e7963f62be602dd5c61955b36488aba8f6e4762edef57e268317237fee7c75ad01ec349ba8bed448b08d5be550390b1b78a077efc6634eade84f8c116164077480f31c0a0199135f428a0b03',
+    '6932a7afeb6bbf9d23fa': 'f39c9effd6ebf15e35cb79645cfa0b29f63d05fa11218855b66f468391f4ff7dea453c2c17669f65f84098719c155cb7a7dba0ac6cb011bb77025f9000346434a1eb77d1a55806b06e1860f041aeb3074aca79a667542914faa13531d928abfab1c7c2648050',
+    'cffcc35f9f2fc9c9c62b': '0cb6a334df42002b8b960fc25f8f0f648020b9f69b6fc04da44b7b8cb97097881d4e6d4b9100feceddb61ca64ef3413c1c7fd3ead789aac0c9098628ccebc81f99becdb24c312b369497156652f64126e7391006a1450982ff5032df',
+    'f334589786c3bb6047ba': '84c189fc11c7e86a8368d9b10b3c00931b69dab473d4bcd0e6eba754f160f1700f6209cb43360d60e7b5ae16135d1d6ce71575b4b11245376d36df8fd2b049996ef2b0a76d1fa9239b32a0ae214a68444f0be77f5946fb0adb6b9507800b3b14272b6d2e457200635689b6bd827333cdd88c322b039a0a6b6316298d27e616ff15fe2be56b3d42aba4e150c4d695a595',
+    '2ddaa8225910126cfccd': '5de16cfe170eeb0485eb8470f1d7ba460251303b38693564e1cbda2df1fb12c13f2ff09c8ab499bfbb8867e6f02e82f70e9194d406224d2313c9a9287284caf8d9531c257cf140d9b3102b76daa0fd99826b02512e54aed99c1eae34a2a30fb2',
+    'ad0ca8f599d5da890e19': '3cdd6b9ce5c21c4c86c233eabae01cd85b343af747d53c16de0bc5fb0453dd82ec240de83b5e05cc0620cfbe46870e5d5af74734f504e9f9877ed35c979fcc4367d9b10989b6198b9c75f16c82b7fc598b4ea4b0d8b2da1706285469ce47dbee08da448081d5dba546da0450cccc9df3ba89bcc83afa6767f4d98d6b7250bfff390f6ef2234c854c5747',
+
+    // 5 letters (answers-5.js)
+    '0e9e414d5c6e3698718201c5': '1569128d35a9d7cedb37746c9b45724b4ce53ad6f1166c6baa431a819f92616192b54702a8652d0b4f5d7f5fbcb6c05b3c2332875ae9cfcb1cf30306684a2eec008e884aef9f2dc98523ec643d93a107fd43772f1ae02359278a906b5b77f39ccf5af7657f774bd183c3b087b08a69d943b38b1aa33c253a63fc234426a8f031a33bb904e0c1485e249a',
+    'b5b213e19de405a585825ca8': '8d1633fb6c3c1f651410dd27832d2a80651c0bc6bc60e61051152648f8b8aba21326c38ab1444d45aface42b1eb00bd89a33f43f1a63247b409c7812d687293474cd599c87eb2ba6d7be2c8552b51c385eda0ddfbd0953c46067b757580e970b15ddf5b029acaeb15596edfe9b86c5d9f6af58951c9eefda12cfeba10028341d7022c069fbffd2aa37a10925ec36f8ea',
+    'cf4a1296a2639f2b50c2b137': 'cd55e68dcd11d03cbc3a3b0b581c493b642f7800f0d10abf39b1ad909317d0b09a9a9bd4b1c52fb4595b4432a614b94288c5c0192f5f9f7e6d965b7b4512e382e143600683dbd634413c7a985ba1cc65909dff55701fb8a516fc9f23fc67b91ebd48eda77280da0dd2b8',
+    '4ca0659225a313ef6505aee3': '72ae27e31f29ce58d6349741bed86665ec26a12c70993299498995ce1003c2a1e6ef83ee33b4eaac334c965e57c684926369cf0abc2814b1ef8e3120c5231e3919bd39e8a74934726e13bdef245624e243322520f9cb925e235a67fafda31ab507d8a6dbcfcdcf050922699f92d74e22f389e7312867701d8c82d6f0f5b4c77e',
+    '4a25b2e59c22cda271d54706': 'b44fad6633382a0ab1c85191ec45da62e1c96a6463e394edc4557b6e2a5260e2c33d400ce523c1e056719b033ee9d14e0a2f7fa42c3c2a59779208033cb902ded75a06093c4fd0e16e95db68418fb8bbb7ea83a4ed657ed381169a212a496652a6b066925cad0d0e68e70e1f30e0994372eac089ad946e7e74abec863c53ecfb4b155ffad1b0dc98',
+    '3b9adffc30eb2549d0baf63a': '5fcd3a3e6dcca67fd0cf3a2c6e220b619a19d8e3565fa0af543fe158b5612003039367755db1ba13b28f856433b5ac6983ce2c2bdd3cfcf4b23964a53742c24b8950ae9b943f08456634cbe7024efb1c3bcea7fb76d9760479f78f979cc490eaa0a839197fc259299c440c41454031655479',
+    'dc8affae4a439444e4c7065d': '4bd0904c4159c6274666ac9abe879e68b8636043c20e2ff694ae626048826a6739aa9fa7b4372c420cb5e47dbc54d9cc114e6301b35a8ba70b033e337ca0f59c53797e106a576956ec11138e5642af2750a245fff83acbf7e0ada1500c25ca9ee8b46aef46f4bff7c8da7bc20ceb78b4',
+    '15a98276ae596e7942f5b5b0': 'bcb99ff4cc336821165cf755b40c505839a15ed1c1fbfe95f6e93e26e6d84901268eef83570ff7f6108df387f12ccf036ad839f75d145810f4448a11e9c56a4e49d0babe2bd27a74aea4399ea4c10ea3d34fcc5988adb31b32fba6001fac8b4256caa22fbcc84f8f0b06c306b7998a73db452994998179ad80c1e3d5861e3f1790b262f970f3e0202c3913543f0c',
+    '4ae96764488917548370ea13': 'e6c34f03c1d86a19a6d9bcaafe51282f6eb01763156349039d82494772d4884437c7e4f3c4fb666e0281aea601b60e82cf0782708e4fb13dfa6984ea3d4f2c7e74de83e0fc76699a61efd78c8d22c77f9ddd71db7825d300c5a1845e474821669815946b261d5c55620c80c462a857f59617f9e4f5316c7b838f74fe3fb519eba39e34c428ba5e43e78eb33c81ca5d713dda0ecbee3929d84c12c1fc4280',
+    '3b47424186991322ffcde600': '538cdfd80ff17e5392207b3e645df5121255eb3726d45e6a2518e39489b1452154d948ff3cdf5e3a3f7eb87b044d2642d7adf1c92d9e99334057e534d17d0949bb7803d5b2045a4dd3048e66cf3d128f508a0dc1bc0db4977d66e3548a4dfdd0311dbb219c13863ab7e9ae3d720772edb320703730e48f72a5441f95',
+    '8f121b807d7ffbd460768b5f': 'd6dd1bdfc2a6ca45bac5fa34f1a77f012e5275cde275b3ee524feab4b8fd8063365fb75919e91643013e641f4b6bef06f135b5b4f88d160c877d182bdba6a5b3e062f7d71bf3697b2749ef4b739d6e1f72f4441a48d6c9a2942feb0f1e7493ce7f00568b19b349fe412ac22cec43d28de4ecb55cee68240ff5f9268ef19465dada57cf6f44e2c855e1ff578b4c794fa36694355ef467dc6d6e594399bcbac7b25432090f13d28e3fc9845880b2da06afdedac10019a80cff',
+    '15e62f5b3cc0d706dfc8e56e': 'dac0d0a3fe1251896c5e25152b12f794d79be5e2a3539bec7d3efbf94d2f16e362a5a40cd213531cb020218dc626e49763c764273d6327c1dfa77aff5514e31734ee9857e9346be429a6eeef8d6bac70bed4a0790b10f8f4a2091ce6d4dd4e87d0c35b9b84b3d0580dbe36665dc824a54c81',
+    '666a9d050b41689d2772d3f8': 'd7ceeb659149e1a6afde7f6bcaa00e3ce2a979226414c35695a7c1baa4a8b1e23d1283018c38885665527ca83f9a985579c0ab95e554469cecaa7834c1fad47f6d293b3b9b931d68b78d8cd01334a1536ebf1f2718a9309fad58d07389e67194c2623c09559c5bd4d871d453c1ddee3486bc8ae91d76ad6a9e2fb9669ef289f62fd03c7ee7cc',
+    'bf7ae038f42628aaa6fc0279': '3575373e3326e21d6422a5f983bd5c03534dc98d533e762004903ab67faa492ac84524049387e394a6564def8d064d6d7d6b1ab450338d371e61c624374faeeab1d400e28d6a2fa803544d81bc9cba5823e7877a53827aa4e810606e5f1612385bbe02dddfa0b5106ea5a2f4ddcc995836ca7a152270cbd46e1986a9ce67ca297944c5a89759',
+    '16d2eafa71eec65d7a86d897': '22d61b472d1dc8f1f690729880971ac09020ae33bfd5f7f2bdb2526ce0eb2004ad5cad74ae321a53606ff056903c386fe0f34c7b14d1a0b7f00c5e8c7518e9038abb09deb5da342406d63c96d09379990445d36660fb104b42de81766ba9b462b15fb1f2738482f83cd1ed70bdda4eed5fb45bf2f99a283a7d30c612d979f216',
+    '1832296be76c23fc828602d1': '26be13157906e41f2313a2a5baabe72e4e9c5d3d34e79a0ecb9301b85d9dbe282899ba376f967cecee7ce1a9504e2ca64d39c4af55c5aa417ef0ab324fd32d72d593f78d333dfd7a2ee039113206a728193332ee233a560aae60bab4b13b79a3fbf61fe070f3352d15cbc8890a783f944e45cd3900329f31',
+    'd2c3da8d7d385452183411a9': '44982554ee308ebeb2683bdeaf1497cc0570d9911eb5329b32055aa77f8eca292b0d2b6840ae984238e01132d8f7d9ec23958df431acc46b07f2ca650854bd69848298588a4f29b704b05687c950c2353185dad44e562f880c720df81f1645d9a6b30cc0058a8d611b7fa5c44c565d0934be96e0d53ceb600a7f11a945ff8fcbcb59adadf7121b5778e9',
+    '008316cfa39306aeee939684': 'bafed6177302a3743616eeaff05926f6ec239848c13bf2912e228120b8b0869311a9876c2e1d8b894c9c2a8868ecded283e717b36005c5dd03324970b4ea6b5253da4f12e1f116ee615b2174c7ab754b96aca8f01637e9d8e2befeb76b710682f588d74c19edd58f96f2efbc8277cde701f4188904f2a5df9a1e65b1e62857dcaee7871a4d4802705f175a0a8548405c14af9404',
+    '57612945f01eeed332589f9a': 'f15e3d62708ec22089e913348903e324eba81a280cfa49d4d164f10c12d17cde4e69a46f0aa5f0e9c790f70b9a7415d11e59f682d61bc74b54ec761a6702619094be6e073a8697a46b858d885cd3f5d7af11adaf3a96703f2ae5eac8fa07ad1978cf4982c3a485ef2e896209c3d1cab0edc74af124b9bdd09cd545f30809a9c5e6fa3c3f',
+    '03195a65e63f6b9cfb72c71f': 'b90fe6e217084d2b8ca77a15b3491dd8951d64f2235e9047165803eeb8dbc993a1c676652eeefce5f09e62b54c1eeeb7c9b8fd9cc407186466a51130998dcd920933e7e73c7aa18eb27662259d916af36f565f6ca875d4349ed6c2ed1479d3a215fee1b3eac199d3fd910f8f0255ee85150bfb76b42480b4ecdd4c69cb6f6cdf82c4acc568c20e4f650721126469db8c0d1a8e4a1eb212a740b42f404a370115e2407f3208ce95b4cceab4c5b23265ef4ae53d9dcdd85a77767a480e5675c4a1640c8c068aee190e573d31555c843180',
+    'ff3bb14c9aa837c9d6539c45': 'a7582f05ffb9832a16b48d9215b20e495ad0e9bb6cd22cdcf9c22285bb08fb34b67f590d3a3423fb828a0185085eeafc64a9973f650b3fcd59ed051e93c94e7783f7642a971143030c86b593e5ae0ce8303506ef9c9cf3fc1118abc8418ffbda1b3522fedd4419c221d7764aa490601470cf662e212054a0be767a3f8dbe45d4fbff6cee',
+    'f9c57b320831489de5bb59c9': '4658fe2ffcd929599efb8364bd8f8562439c351388df4438c164102ae67c2c25e45d5adfc7687ff1836fbb820cfbb52b9b97f7b0d710f50f7a33e6e743dca0a3346e4d723731ee90f590455f8d267786547c0fe442e00c2f0d2991bc09069fc9b5f7daa480c07b2140c23cbd4a209e2ba98c46634cf98d398bf75693257941b526488dc38a372d04b4ec9df8',
+    'b3b5c3e29fe2bbd23fe2f1cb': '600472e3fb6bf736ad3efcc69ffcc1b8a927b0cf02df865f305f5b0abc116ecd1bccc04097c5c7441dd47683e9a5753223e27d6d7b4900bf89f8008b3ff8f2621dfbdb0aac76ecd6742b504bbd4077928c61b648ffb72a1f78665d45d1c4923c5df38b62413af6302344042ad2fdb0930eb6f7e900ed',
+    'efa796181485bbfb02d58446': '207b0c7d99a8a0d84612c6e91449070c6fa11bef86647a253c0d8334f85727e1c64ea01d203eee67cb2df6335193d003896dc08c4bf3aaf6b659214b3dbc881955c7b6aa6e3ddb80f46fad18b3e8b15bcfed85f4',
+    'c25d64714b4fd28521aea85e': '8df4edd52701b4c0cc38c019148b802402d20c3a664df65d26bb4f06e98f7a0d89097d0da8aa514a25912fac538b795659691d4b481f4620de6ee15d3a5a3f4557c00a22bc43187554920f4f33cc86ba6ddee0a3647af39e22c25c9c9afb052b286607777ab3a9ebef6695dfc60f470f7ecd81e1394e9dc371045cdd6c245e0b972696bf0c6e6332',
+    '6d4bb85d829b0b950f70ab5d': 'd688a49da47647857d7ebf1acc8fbaa07c6ab6e43e8c27f133472112e440fc241970b3ea9968d09a72270fd25173fc044c044ba4f7e333930e2bc6c50e4e52fb968fe3d131d8a8780b41a8212a2f54382784f17ee857b4ab91119bf7584ad472376415f5a04e5a642fbd2e1c6763799d12bcf7e426ebe5a4da50056cb95a7abdb9a3',
+    '8a2a2f8941e10966d40cd792': '6d704cb80893234fbd56a43230740b1e10abb59759b3456c6d6ed2ad953d06a6db9ba261d7e9b720ac3b7939612ea115fd34f1c0338c91725eafea28a3511dbeeb624d8e51555721faeb9d7c496b772612beb1f117f4a798e265326f739ec50ddb981e1270a3d1bccdcee638a4061cce5ed4619c3f5b4064daa19edfa1a8e97b2e5a45ecd767f21e1feefa40c1738343',
+    'ff6db8321c57f8f073eda875': '6f65172d51bc8e29db32d494cd1cca3dfd7e905567fbc1442adfa472805638334a71bb0271e4343f5a524ab271b9eb3b6e1c6ae7d4fb7957fa54e30ebd6a131c0dfc4de002b904d618230b00060bed276d80de28ce15d01d6ba0d09459ea05d54feea485cb2df08382a7da271f216882c0c9ca01ad9fd756cfc98b8f86b577be2e3da7a8',
+    'a5d35d0fb82043ebb23d22ba': '9dc96ef40860abf82a658274ebf3347cb0dd87de03d6b1faea637361cd2fc24a9a38c5c3aa9f12c130557497b1b90499d2e82055117c8e3653fd73e6e1a96e7d6fa60c1813914579d679dd73869c8adf5c0b077497dd32e2e8562a5bcaa320feef70',
+    'c5eeb176354449228d1d18d3': 'e4f6278ad45aa736646b9c4313d70ee9acecc6ff422d64191a8750460ef932f7db57563542c69d3dda73d7464ac33f2055fe6532fece5e76a7443fcd46b6a48bfc87c2f4e35ea162cea409d6938bb095752b67ed828b2ca2d5e70bd37227e90db7b5ebb5',
+    '25e390d0edb7aaf7ff906cf9': '1276561879d014102edef321b1f9ec1109b3d319a13e266f6cbbed60679deed778ad494997ff7d593e3793b9774ee309f411579e3855efdd663b83886901dac2f03817df105a350d87b867fdd618fdaa44f85e353f404141556bf1fc3da58a5f10ea152fe3188998555e51b391df91473a51b809fefb7ecf0db6',
+    '75fcc232192121b1c30d7c09': 'f19d13d17dd24acea4f378d0d0d9711ad32d70ab422e9544181b54c38acdfd501e65f1896e99a98aec269259cbcfa41b018f9611cb2727028f246b67a5335d9ec78ff3be72b1a00ed9616b05c82118a29e07835793e110484e6322945698137b54bc17cd590b095c47f8a31d43660b3ba44bf6f338f4c2adcaf92375df1f644a02f5',
+    '5687e0c5f42c49fb423e3181': 'bd070b519fbf22e77141d4e2a235bd400ccfa821a79f6a49ce742b006563e01ef8d868960bd0a65ab454de2a9411aff3ca10463723b2d8ec77eecc7d922bdbc0c051115ffc8dd20c8821188451f703752a956cbe86a38d9e8840f5a45de2050ea8b501f82562a3f8b5583332196d5effbecc260d1321f47d69523a36539cce6440bb20f9503e997d2d04827b9ba956c888fdd96a8c2a9d7e1a1a3c0a564fadea4687',
+    '295e62b05660ea10f38dfd83': '18a10e1505e5eee35f48a657ad0a8dc73139edecfc0d92045130f5ae9dcefe785874450411569476974b7b99ecad5cea9a01cc0618779ed39799d66cd3859acb9f6c184c5442873af85aca137604cbe79a40ea26910bf827d87dc1bc120ccc8a79014c7d48af584e76eff0618ab4fa6da00320407fdee4de3bf7106852a32ca9e4a1d57a9c73e80ab7daf842a9f4b653',
+    '303dbbcd9f1945169f344cd7': '72200a269ebacdc1ec4db7936c800dae20c3e972e2df4d79ebe3d247a61cc6a38d58b9530d1aa8841bc017ad39221e276d4385c41fc03a8c815439093a96b7aef95e26f2d1543156dfd0b088637609e7c17788a98bcc1b93f5a982887e5a7854970da60f99665065',
+    '9387d95a3548fc8b6c018311': '738ab3833da5f82ff96d4153412d451b09db3a2265c4db18ac0632a91e3485421365a96ac030eb953c1309db098cf1387a7558cdc2102683938b097a23bab43cd058c645656e0b42579ca375f1aa20cc5a1b202df48408966a05e9149bc474a8a27743ffce71bcc952c8dc4fd000a0adff46',
+    '6bad4808032fa5ec2819acb2': '5e928b7e09c3818a4a964514499995a2094c957c4effb64c8e57bbbd68ae1b06ae9886a08f735fbfdd000f331bfb29f8747c9d269a30c68acf6ed9559813a984fd7d426982e94eb0bdc04359b43ead0d487b6792822ea918113c842cfcf2b8af3195640819a4',
+    '5c73ac126c3773558dd3ecb1': '8b82e06f30a47b1e1c0e8d7a2e1f72a6536ce49df2a77a9e2bab76efff86f66603d21d41d225fd451d0eecad325ee8ef3c5ebc933720cff7886df3139179f4e4dc49392f48bdcdea27138e0401126cb7b4feb86fcdbfcf393ea41d512c37255955361bb6b58a8c1a56ee3dea8ded191408822515704aab2fff6727445dc102de3516589dcfb07f29f9ed4b16',
+    'aff4d7e81abc8f714a29edaa': '6341daddd79dcc94ef1f1efcd7f0a074a8244bdb3ad1ac786d92c027dcd1ec7be2b0ac4225f6b2f1ccb42da80516b084c96fee7e07114818f91aa92326c796554fd205a96c2072f918469bccf7bf28a22b31b5d675e0bfd7e38cff0b2c51f4071202f586b2a6d124049a7475',
+    'ea4320c622cec7b3be3f6d95': '281b1715309bb3d71c87cc50a3f622910d3727e379937b71023d40adca9b026a2698f0f88a759fb68e80a61d14095552c38da62aba17d9ef8a0516ef127b2a3e7487e72821c0e428ecb0da60eeed9ee4cbbd9d5b9eff9dea7271b32eaf9ae55661baebbdca2bddbe4c9ecff0f3ca8488aac81c3139d802b29aee3723634ebcd7',
+    '54af0e278901f5f7f4324d77': '3880b8e9ece44be14510ed8cb899be55ad93d0923282a0753742ca9260980edc26e775de39b256783390f5e763e4b4aa08c64da4de770ac9afd211cbd33f8cfd456b19c4525da9a50830b4c206d9ba76d1ae9c3f5f6746e165df8f4d6b0eeda45100871c9653b1d82d15940fb5d0ca05e9f64b61a9b8d48c4241059111791dcb4d4014796184aaf7e5f479b2c44509240f4c3fe51b0d942f2c4debf9c72131b8ca982d9d',
+    'e7896a8cfe2b36d21fc1f28c': '5695ccd5624a975566e2fa148b01f54a2951ed51c332d978d688714eb3fb067f213aa6c4e5dc227e6815d55c0d44472c23df1fc84340eb86451f9838085d298bca87069b53495bd3912c4788a65ae44fc32b6d5864a00a48f4a4c5f3a572443b546b28d5f886bddb',
+    'e55280cb88dc91144d601272': 'd19e926feaad203717887ff7d3c38ecd95cb5a2e9c514c928edcd09ed4993cd5ecb7407312db854bc4be2ccc3e7b9e167f00eaf7a3f1f63d51db4bfe468cac54254cce91731224de2746cf47781f336952759b9237c04e3c26bb698c73eccb219d4747ad1a7a6f8be182de1bcdcb6216f822be0b9e2fdeae2c923ae9ab788ec1382c111327a3ce2a802a',
+    '9d42458e30965e8f9d34a886': 'e7b2d305dcfeaa5433884bef46f87539e9905245ca6bee6a3e7d637edf81ae7f1b8bcc131b82b9e51d738ee54c6c6a81bf1848cac61ec6695148988821e93928374bcfb0a2416a89558e64dedf97a7130390eb3064fe5ec1ef8081929fec51bddfb084fac95726d112b834dc4d272980e2822d6b21a2ac31b25d118ed2ff291f2bb9ce5c',
+    'eff0193b21f522c65efffe76': 'a5a6e0e85b0cb441fc0763009b2ba2e545e7064763701d335f2bed8c9ad37941593d5f9a184241812298e8a2628e06b4e917023afe6c6c01351822aeb0fcea4ad573496745e6e4d543fe2493d49ee473262a9f987058ac63c6ea4d02d26f8500258d49f07514ef6ebd9b23dd0083bbcea98cdba1479a1d4dc9d6c1e5',
+    'e1346b0fa5f2a117143521f7': '6de1b2243c851ed93780509070ffee2efb29043a3c9a0fd45d7fc8873eee54f40c92ab6dd598227edf15c69af4c59b69e4f15e93a085d3c26e238e7b1b02d36b09dbdb4b798db2028b0840186d3b00d3b43cc5cadcf7a13d47ca15df59de2aeb325c27173e6f0403ce01da8f31dab80e52b694c46dd6243711800206ad440226a21a3536ad9ae7a5',
+    '3546775add98a4fb049d7060': '96acf58a078bc99a56ef3c1fe83e042becdf0a398bea427492d1bd874e1a3d5e665c69faa752eb7d35f0914d95901927ea7b6e9e927748b4ca3045ddbb848c4b3aaac30457de8061bec183ee2acaae0928098d4d5ca03598c925aaabbe13b7ee36ee98db2e3e055b28489cbb2e9d0732fec285e465f4',
+    'b4d0c85fb3528b14761e814a': '553fd9901c6c286a550f6e7564e7844a76f17523a64bd7d9bd480c0f0c67b88c0393485dffad765c3f9c326b04dc443b34def888c99712c46a55ae67b2ba5de8309c52435728d1fb4e16d46175e790a47043529975f1ddf117c1e8ae8316a23053c5a1f2dbf41bff068d31659fe990229ed55a9c69e6dd7e54b91f70129562056e117fecfa246a688488012dfe151a0252a87d1acd37',
+    'd247ec4f71bcf215b3800d4d': '7f80dd89fc53e66b9d6ab0c28a00dce4e280d7f3077e5b911cee41ddb25e03fa0bc049f40bba62c709ac4edd95aa0d866f17763988dc8afd755cedf89e64bd22f7058c7c2db973183bef6102f07281158fd2720b86da9788c62941ec65c6454e33e48f6e31ff9eb80ef314ffe8bcb957ed0619d534c05581c575',
+    '21e1e53c86a02bd5e3ca7505': '4c8aae298ce10898b5d369d39cbce028658c3404f4ee9ac21f271a7411f8fd0bc86526d3d753257eadb2eab044f32c1ca89ac87296e7186a961f815881088abdf25d80b75ac0b914c71a4eac237ea8dd3136ac06276a5f6a162bfc89db29360dd4083b703f36dd5f40330212a6a20ba2fb207ca5e3b4ce72a530e4fa9950e4ee',
+    'bf1e7e681dd2b72e031cc6c7': 'fe1f4287d03468548933b6049bff1b025b0ac7054399c1551c4443d4de0afbade81041f566fd993bb15ab8f030f130011ce70385b2a7855aa834eb0546b0326ef0e3e3845a8da4705399d6967fb61fd6fc65df72f123da0a7f4767c9511e944ca4099b51',
+    'cc74f13abcae1eaa20870cac': 'fc4306c67cccbab11a5aebce29cbe4b28db39de7398cf28bea8395801924f82e761c5066ae5dbf23d4f3f08f96bd10acca080add88959c2d5d08d7d78be0989eb7c63460266ffbd4d62de664283a5512adcf3c396db4278ab083a7fa007735129b0a98a8dfe7db747c92eb4524859abc80c15393b7a95f744073de275b8d',
+    '7ea9b9d5acbf1c8ad395a9e9': '31a86fff3b6e6bdede2213f7bd8712df3ca28ffe26c08b36c73dc3929c6624c264734239f38f02f1576147f972ea447db9c23024513d6618d1a4e15d7a9cac2dbb82f8f119312e36e75cb298cb650935f8e0eb3fc8c8a903996efa75d7d4e5790818ad757fd0a0546510',
+    'ec50dc7f8946f46748a62f13': 'fb0d9f07e6aef475f53029d6c6ca29e7e7b1f50d3325b3565dbe7be9cb6a133368ddd233c363ddd8da662361bc6307cdb1b60ff118e6086d42a8a7e716fb642d093a0ec5bfcc35eedfa0bed82d4f08aecaf28b20883c291899732b380266c92f6ae4',
+    '65043eb626c5a0103f2d5013': '762217d54c3a16daab916c32b8a5122f47603b1e22ac38e841b14610d22ddde8d0efed4118f5ed3917ef27b3cdb1e1a3b9202259da0c260be9c16bffe5b6cc28a1fb25fbbd1aa20df450c03afe47c66f202c0983f7c81dcab96b2252ff0fdb3f9bd2af9896f77c08ac826642f29fb08f7148f3ab3771160d78f9c95ad21a9a5e8909c9c16592',
+    'cb1707672b521a9a069e593e': '7d9d2f2a3b18234c836e590f169c6c83922fe5dd7054c428a76b132b9815fe0dff8e6776d396bccd255248344bb819e5a12aec8827c398e9970ad894cea52abb36ad5db7d5cb9f667dcade0690c008cdc89dee372bd0cad2422c9885783e084911192dc3045c4bbbf48a8cff6f9bfbd3ba5dd92056bf84a373b3df2925a5e65cae1db5b151a512e5d296',
+    'fbaa2f725e1235e77581ca14': 'cc282ffbd500d3a64aa4ede8a8333dbe59fac029eecf8ea6401180fe33c8bba97dcf2551a2739c871123baf1d261091e08214d1933139c9dec2ba4618480b0d879869b2e9bc71dd0df9766005d2146b35db50ad5d8b1950d6554ddc8a6125d26b5daf2f33d002ed1abbc2ca2a3dc2461750893e9536de148fba3aa5aa3dd8c7b82f6426e',
+    'a586936ab1d2cd5b1e248f8f': '3bae2a6c6d79a63bd699d70278f2a671786fe4d20788e24aaf6aec6865f40ad3e96e7b8ac6285faf555d46cdf072c5a46317007f6dbcfbde177cb11d9d85d0680c7f46a968e5bf58a16c1b8a1467cf505d147118d26768209356c046da220ae05a24c4548c7f4149a52fd9c1bffbfd6d8e6242f214c4e3e7ea4e50e3466d9295f21b1b68acd2',
+    'bacb4f7057ebf0a9c8caf609': 'ed520ba9ef703091cedfeab31d9b47a62a3d763250852d9a40a1ce65b860314f11a6d4d30d81bd5f872d2704510a03b2c547a2c026b2c0283edc2c2e70adf48c65cd466b9a9fe3d393f7d3735a2754fc0d80bd86b02c0eb7280b586ec96b9b4fdf7dc0baa7e8cda4cf4ab21ac425e94aa45ddec8cce45b42902f6739ff53b6c6f63bc0833b826b947d31',
+    '15f6542745d405379494f46a': '6de6c305145bcd8a96450df441eace7b8dd9af24cab1e2e2992d362bb76e67dbbaf3d40df59358818056e56046565f0d6b303007cbf7171c7be5f237161e489bf4004805b2b8c610fb2564c93cdec61d6243b97ab6266278c5c12846a6b0a838afc6978c0d43c68b9d717fc8ad1e93052f82f8d48552432d6010aff2eff36949f442242cd4eee97b94a80d86',
+    '1e8180c53af303dbb8af0144': '8055d90ab8400c99728a8a4a829e10d4eb5e52200e5e8020d2c39e761d8c2c1b9bd2803874e436b0f93e18629d452ababceb26b9649c4f6fddd1bda996418ababf5c98affc8e24e4d023f2300e859ffdd78e23435fdba445891b32a50c8c80b6153ed8b0d3b67a3d71f311f1',
+    'c548dfc19a8c6a5566857f19': 'c512456d4f99d967b007e51593d2d1537da42d0419bbe6aa2988ff2092d41fa03eb743e0f476518cf21a56c0a54a451efe82008b92d6963097c449b7a65e766695c0219d6113d09c570f50b1023dc0dbf1ae418c42a7e5a14a06514e7db6560a2dd39906e1c0c7a4fa1e299a5af29aa370f4caf270869cca7262622a3a10e05e3453',
+    'dffa33f7eb7293d3c96bc2ae': '005ed7a26c239eff0524e9c66c599b9363456b841ca68667557ae5222fbf6a279e166ccf7d89c70b957c929fc8acefacd0437d0d8f8e27e936100d9e6d4df6da003d9257a51939426b82a24f0d34c7f433b7718d20a5070d06516bad320fd5790f908fc4',
+    'c377208d6c9bf05087ab05c1': '1e92366d3f244e26c031c19f2e5d6927c10f8270a653c5a961317b1207583667ce8221c960e9779d7503b778a006e52d8f762b6b7f0e72a5ddf25fbb7bc34cd32e233ec19d3f387a281120545ed0b52358e28396ac70132bf49c71a4a0c486271d268ec40f6d4ac41940aeb691373598cf9ff6155265788ab9fef031b8f5df5f75b658f52f01a73180d17c90c418e3490f39e49b49d440ca42650f18',
+    'b76f53a004003d36e0327821': 'd36f3ed1fe94c7236c55a2022aaece2c8053aa3d666547f8819e161d9c28bf0837a62f890d26677b53e3e4b7bd9b334fa9d9429ba2675338db04571f5509208908e5704d52f5bae5d2614c598480afbd964d9d2a594882cce3c38b99e13b6d7ce101876f6d0085f8192d312096ee263cfd98f1028e182e2f',
+    '7a677acb4734f924e7e22583': '261dd0e78552ea203a4454cae528ff6091a5e0810768f1612f9c3dfe819ff439f28dc7a210d0b5708b8f94a017d8be4ad3960f2985f049e13e73c09aaa6ab9bdb32b8e8fa4afdab6c9f9526e1b563f998e65020ee8f7b9a61c9e3e8f98af0f91cd7bfef2bcae477dc1fedc01ddbe55ac353d',
+    '03f9b4563d6037d1661376bd': '6666288ac06389c5d98c6e2b8c590afc4999e439cbc4bbf939a842c33b403096ec7aab5e91718a25bfc5fe3a125c83a6520ac180f4f66570ebaf3019d99c60923950362e8e6d998257aaa2af2685fbde9932abe2d7587f247eec9369f2afba08fdb53118b12b9f49ec840d950b97c15224fe7fbb47d717d0d0b1d1d88b31deb30aa2dbc77eed50dd3ce2ef852042211f9665159ba071d6544888f4947f7494c84c1e',
+    '8dbe9c71acf6d49dd00d1444': '089324a1102ed76b6b5bd3fe414c8798595bba305c28678b8c8e8eeaec1a27346f4ef2e80fd73e892d82e63cb77a74f5b99c8806d4a59c82be05b36fb7ed8ece50c73555c56e0411c7b84ba17300198d67ea1ffa4b5fc58878792cca76ab469018e0daedbd024be5ba6549cd2cdcf4eccccc43544875194493e876815c9cd07aaa90c1904bcc87f7395794d2f81646c6104f89e63565d0ad4846c5c179cc8e3ce1475d89a2ff88e6b30de5cc7d093765a2e7',
+    'f702960f15276c9703f66692': '73d95385af6949ec8c3cbf13ba702ce0a90a73588c35c43026178bbe9b0126e967560f00179c5cd8dc3bed015b03a6e1fac3c6654184b5167a84c7341fb595ea3f03974eead3fea7be825047857dafc65c4713f25a94ebdc4fe0b004658f5a11',
+    'ddc6070596638b8069f15bec': 'f6d0b19ee33f15fadc7359d9a8c626a110b2404c9e4225b99fd34804abb5fde34edd309bff87b3efabda3541a411ffc77dc6a8d71298fb93304e05259e2f6e114f794ee641e55a0484de0ba897d22a4a1e2b2be1951c06ccde4726b3510c5fbfc7c67d382394701d',
+    'c1d97dc6988f2f23b22ed207': '9e99f0faeeaed9152d8d85fe6e961a1c40588a9d0542f2f58aee22e1dce1833e6ac71cd48c96df44cc2fe4a2df7c06e292f442d9f7f923a907a8ab5ada52774ec7685d93156124d3fefbb02edf8940a2fbc11bdfe846504ea53fb0f1b4f626e5b5cd9ccd4c2fc5b4599a559a79d28431b8bcd31e36dc43d9dfb623b92c6f3f7f43489d8b',
+    '7f8f66e237b42792b9c4c294': 'e0b8e20222b127318ccbf733f8d2e4db5ad59583686d86757e8ecdffc13cca9a7ca5a29b09a95d6e714c891721cf7620bfd6b1fde5be0b5558b5d24cdeb9c18f21ba5c7b3f0d87679106f9a4e732503cbba03ab6d7b071ea6f0d1bf4226d3e85307274abb0f748275f635e21ecf0c064c0368746fd6e3ca9e8d8e796310826e72fe198fed977',
+    'd7f2a65652d3993f814d9d4b': 'f60bfb4af562f5688727766e26a16e61afc26c93670abd80c5d2c3796661c0df5bfda91162e67d2303c0ea6299efff9fd514c1404820995c5b7b6c08b6437c947fd987c4df49694de6197ca1423b86833894e103da194001c62b9fc5490858483df09e114a4fee50b1052cbdee65bc2ef5262d6c5f18',
+    '701a0658bc942c47f6a28004': '2348eb803ee95af968a3e5148250932a51ebd1c00eb1ca63fff0355aad449f5c05f2e092e1d3bc6fd9a601c3494edf87f63c6e31e476ac6b07b92cc74ab66112ce55f7710b4f3e53c7c120e0b154e44dc7cb946ce4ae964d82dbf6c93ac57c01b7dfdeea3284e5fec733d10aa674a1c3ad0a9d5078a9611fa6ef87d4e3ee71c2ef2457bc9b1d',
+    'f62a2d008a1583dd2e57a601': 'bc7d5019b2a9e421224085b4a98f4aa8a4deb5fef1c7e99f62e33d9fc6b2f69edf25131561db4e5034a9098b86d607436891ec2e155c219b7a9d901a7295266d90e71decb27ed88639e57a92114e5e8a2784604f0d0b864fbc274eb9dd04',
+    'bdeb4209cc9b67c53c4c9610': 'f52432d68b75d63df72366e7d66d54c08d0ae017564fd34ed88227d1ab7dd16a54dee573cfa13b7ce6c7c98fa0402fce75dea8ce6ba5bfb1a34128eec1e09905741fec3ac3e8ef33c76c97d4b688d4b26b5f9044e3e9df2d9830223ad1d6b1879346ac722dcf45570e3f2a06497e1048c27d243afb7527183f948812e0392e8b46c084afece2',
+    '9efc004056d5711c2aa221b7': '095b490a065d1b8094ac05b1655255e5c1cee5debcfc99941086647bed577a94d1157dfacda0e7f31b2e2f458c10351118d348b7c08c2c31f7b4a081fb8f1521c2ce92ec8d9dd9fd86df5eeee86c5966f195aa83cddb5ca117c9b13536a9e8aebcf5367581fc7849c66b81f8d1be09aaf1b1d382cc3b',
+    '136a0303fd57a09797321eba': '8228a9d29c22c5ca85b286f0aa7eb91381fa7f4685f5c239a60a1747f8557c6d01269ad1997c6f3024e829d9bb5d0e3daa6ff42f2ecea8eaf3eb3f0caf9b628d26b64ff39f3e7f0727cff77f16cadcb0c9a2ee45ceb1ec4a1384e819a82dee1e764c2773410316ef5a31dc161aee9352564025cd424598e4d3af586ad6aeaff66c8f1de80506239179d0dafb5400ab33635e51c9943c00b342638d3c04c7278becf7acb1ff8afeaac270',
+    '9e3c39646297a80eae8defa6': 'b38ca8f923898829a8520718d9c8f8d098c1fadfc87281e90deac53e5cc95484adce90c5e00d5e2ac198b15e3fd52527dc6b7c08240e05e412199d760deb689b3d2888d1091e68eac4bf62c56c66c2f35644f4389d737c145ad048e7e298939111e3da34c3e455d6',
+    '4c5063ebbcd252443a8e37df': '48fadb6c3d4a054ca25d93d5f6313ca7edcb1854b7b6113ff4aecd4c512f637677fea6ef7310312c4872ae43f859740df1a08eb0628de4ae48b494fcd0934fd9ccbee21e7093d273792a8c80a1fd53ecbb874fe842cf815d0e3903404782c7eee45d',
+    '74d38d67843db22b66fc73fa': 'a7c16ce6925f1743d907a4a61b401cab75607765c98555ebe701dfbbe622b25918221ca7e8a1b98bce88a2a3d57e9513a9e9b25dda54ebd92463149f528656222996f0f279fa83d64d5d7e702559b768b79817b7f107d8ccd41332fe8051e8725b2118a952c2980e7a78ef2fc361f965e99d40086a1ddbb169cfd3a033f94214dde6c61d6fee0c7b084926a6a2fb0f99e5b767d3cb0c79992fcabf5c3d7f',
+    '176fac419893cec99d4a7bd6': 'c1adca16fd55868200b30d25e110311b50177f975b444832b16c9f00948a18ef6fddde8aca43adb545cb9f6fbf7c6c9c48e86d82368c57970a3757055243da165868c4c999024c231e2243996f3f045fc878e87e9af7648862e65acb3349176189e9adde23b7c10d5efdb8c010c4048667699c93687e',
+    'a2fc231b162f1d648ed7f2a0': '8e586fbd9f683cff21bb0a4fff6f2c8e978ff4381b050a906dee6ae6191d248606fba1aa52933c8e8658b88e5a159f339e8a747cc1407019c3f028aff2237fbbd7e6a5c0c325350f949cc998912a0e64453fe161ad92027a4c7563149b74f57e85338bb1ce8570f2',
+    'd15e4f51bb9de87d419a2cb7': 'f48ca3977666f8f600d226b2fde5c76c36f3d45f2a8b09db9b3d6fc58d0f88b32000c36220faa825933b6662f6c4cdc684bb04def22d5e694b1d0163f8665ea3d8782657d7c6308bd9ac575b8383eb22bb468e157769a78f9c8ee79b',
+    '1ebf18cba8349d1cf8b8d3a1': '25fd322773bb5f71f88ca8359e4d44ea2f21f98b3577379b6dccf5ca3be50d13f4356032155c10ab8269023355eb92b912ee1c12b4b44bdfc125ce2a756fde52ebb465ea794f093a957f55a2c0091805e0a2851feadb981f5dd716224a52e0dc5c11d67b5a7b8b0ff4f2e094bb3bb60aa882b81616538c21c357cc78',
+    '0caab23805e5a99549e72f70': 'c165fc82d6322ccd95b4bda8550adc97bc1464451e3724c2c4af56de75938cbb24c6989511ef4081bd907780358056e10d2abee43ff489a61f346f073df2672d2e20bfa41dec1db40005e9cb1d24127d1a5545cadea6e6522c91245f63a5a9dcb23266886f3dfeafc06aca1a',
+    '73a2b73fd149166e1122f2dc': '23ca31fa043267f7ca2008b28d38363fe969438147566d9edc741feae9cb8a04085c2b8425d4b230a5c66c00d52ace1ff6aa34137ad6fba70963691c3473ce9330650c85fb34b54a7cb09512cdce45c606133ca6582d70c19179ca028be83a66af5ab85b193a7f01f085bf0d0aceb9a812b8c3ac8c758044eecb875ba8559dc5061ea30e47b2975dd12a5814',
+    'a6ecec979897b24c47623cc7': '07f484a43077c0cfb53c8f64cc376d805f572aac481f9ee6113fc1bca6f15e02562033f5b9e700417c0152344be0d77e0cc97be3e0a7a7ff432ad26050b0f65aec9016c5489b3dd2f875e332ed14a0fb1bda7ff2c734fe0ea8687a515810cc100584a60526a6f21127bdd2438b553090e96828cfb1ef53079ca8',
+    '319ce7ca0de54f9ea75e17ae': 'd325ee6efdd9aa703866757d792c0fee0f771b8007bf12deed498ab71541405b810be67ae158ef6e88ea74a28b2a5c3901d547f9112af5e92dac4b8de74001112459557754a32c8a00663f98dc8e6e5011dc1c01ffe02d37d31b0c0c9602331a40553288ca5ce69af3e618025a0c4353f550f975bca8746b751f62c636f622d2c5979a42f8c34576efe501ab5af44f22150f8313a60735f5a10554caef6a',
+    '766b6700cee04876398d0ee7': '91458410da0f88f9ff4b96d72848e1940ca6663ec8b0468e31e2206094e505b827a0a79660d02dd39b2a3e80bcbea07f3580aa17ed17bebb602a4c1e754613e8dec28d275715f987243c30dc6342cf9af68515c1ba8bacefc40efca3b9c68154b27b5d95772b69a37bd5ca8487981f1d51d71d0b7efc47d1a4d80be4440208c04435afdd5a3e',
+    'ae06b58b3ac05003b1585780': 'c365583df03849dd85d330255a9f22f8dbc2aa36bfdd4637f91927d8a70e088c3b828a17c572aa6b79a3bb3a3e6fab1130a66b9694ffa5cacfbda96566b1bc55b0d6b66647a9975dde86b0f82ce27691ff779f3fd8f11ae79d5dac23454853dfa4bf44da04c0875339961bde281ee921427bd31a3bb10852e9dabfc0d7211c2a29921d3e875acf41',
+    'b57104dd7592ccd349a9c37f': '35e28138bbbea33d37dd7c4fce0e0a4f2ec7a59609f2f3069350706fa61e89d9efaaa35d5120e24b9ba8f3c6c4d61f79f1fc45568f48e70bd4a9b6b58a71f0b3085a47c76ce38c82df1d44c7d79b3d1b8542e5a8f3d23446aab83c77baff96c03557b01ef04f819009ddeb11e9b2e45893c1501aa57c99afc2cc085b450d477dc942ba54cfb9bca0c5d7',
+    'e906c05086e2dd64ad53f140': 'b7921212f5245575760d9d85e8ecb149f8dcadbd83cc406578218f436e805835cdb92353ab457f5e8d6d9dafc795f0a1d00b6f9b30ef5748ce49062fa39531160810e03a140143566aedaebe778032fb41ed7e33138ac85e519654a8',
+    '03733c5159f06529f2c233b6': '845c52e3ef58155946b9f1f30b3e487d51d01756cb5cb1b8997e1251910c66cc46912ebcab5f5eec10f3c55f7de9d07dcfbaf85ef90e640fb99a2db2155724098e676465f8225d61fe94b18bff0b044733768149725b708bd233c3d39369c0019fb4f1244dbac610b700511cb9b0930b445c4adb9ca09b9b72ee9b3384bed443b4f146e2c108c6067338755c1aaf251a',
+    '144a1308616da2a2b1f132dc': '58658908c31de399248a67016715a1e7a4f8e69dd774a0ca2ae20905cddfd2a5ad0f088256e5b986420c05172e9d968dc4797a49d6db1879bd126a9164571c9cfa82e8eb186b057a85de6af95e0dcb226d383a45b0b7db863f259569ea7357daafcad047b5fb',
+    'b1bb62d0e67b5078bd64c77a': 'a9e52a569709c788dfbea3637de9a113065235cdb83a763d1a1721bc772c4d3d5f6e1c9a2b79b914fb6288ef6fde7c65e2a6af3e02b6ac419be64be23b8c5d9d38f6884b99d77c316f0331c9b2f15a753dcec325b0f6a4ebadd478e12cbc7b525ed1e4e133fff12a469fff818a801d2fdc4c6148bf7b5d85b200e3895b39f861ae64dc109a68eba04d12ea17fe32fb5e',
+    'ffc786cbe9ddd318540a6166': '14e754bddf38fbda241af2f16b9ec1b283a17146e8206370ed37073d2960a09572cb2e10b6a11656a1e068df848ff2285ac652c85342c9dda7198a83abd4c6530b8106da62c13d3e7306cae7b48a612625c5f611722fe6c7a01b6b8b15e268c1c1e1452d285a9043b1b8',
+    'eaf6bfb569be44c17d6e8970': 'e69360ad032b5398593aae219dd18c2401211e353fcb8ec6c5de4ce31e9191b099a8b99b273418179e2838914e7f122c3b6bd6f7f31eae210ad6ed6b4c0cc5b0774d3c0b98f0144084eff034b8c1d48b993ec68836bcb1edd6a29c54abedf866f3125ff9ab3d2016d05a244a34b0ed674ad9142506d1d9819979ecc41c930ad00f31a636b2be2a0ae94afb087aaa22fbd6fbad2d1f7f844f10c081463ec76dfe',
+    '0327bc71788fdcefba394c27': 'c052142e43eb52bb629b81f84200599caae9db4c7a70799336464d9ec67145c237a844637d6fa3cfa9d74b4adf236b0782f9c411706cb0956ac32be9f7ed7556477a7ca1a8ee27d28dbbd626216da75b48f2669a40a46f8af7d0674c3e7b811293bc9a0e995097aed67d65a7ba003a7c1d85b759a588726c319b61cf46b7efe562a7',
+    'ef41848767230c3469c24026': '9bee62ec0ddf15e8df64875304efc6c8a2674ece78f8087f1bcee2f99715b148968ccef4a044868d90c41fddbb3d4888e1823201a2a192a4dbe67da5704e4682f436b5cc1fe1dc670a6358c40ce919dba8c7136268bd2ac3d9f140fab2f3f3ed898b65384d379bd8383f8bb1',
+    '292449527a5a0bd74d417fb1': 'f53945ec8261a05f80a1d84593eb96ffeed2d26443e4560c9495cb882b117b242a8c157263dd915dd925ea5460020c91755e676295c6894495207b36bc4dc3caf18bac13f649859729d4be2fc0db59006511869023d0e02f24361b78592e5b91d914b8ec337f4b1e37d7f31a093d378edc51048d8f86c9f4c59e0ff2fc8725ebcb21c21ce7db76351d68efcf0bccbdf2207a',
+    '0eaa18671dd4954c75a3995c': '22ad53adf4d5444012a4396c81b5a4280b41946cd83b8f2756fbcf81aec56e506484fc87d8f4bb927e68fa4f55d3bdf1b419a6e245d8a2e37d4418fabba49ad3de0f6cae64dfcb1c16152147a7278a0ff2c179d353842dda1a334bb348705c46686ae78a9c19a266059f8cc31f55e6a337f4d355',
+    'b3d333ad1b6d7f9a692806a5': '501853c4cb4e9f0bd1250f1ee3250568fdd73c7449e4f43203c0fc4811b951ce3d7853e51a5249c186ed878827cc2b3fa9df8cbf7810cbe0069b1c0ea4b845bff803df98d9f1e079ec45c7b054359194ffc14239cbc46315a70a78345713a949c08909caafefdd642bd837e0fe7956d4206fc456eec2819ddf6ddea20cd78b04fd064bdf2da7682a1a0d439d1bc82eb93b78b325',
+    '0b1616e5a71ed12df716d395': '2065f7ab151c916fedae92db824d1073f1dad7e3c890470ca787064feb70222f2d068fb2c25d90724cb80678f1f35d7e3e4bae05aedc62d0eeb82ace8cf45d539750146c1881b9344d3157d5f64f8674e78af6795d3cdc6918c0642355f2a096c525b5bd851f2f37472713b3d54b68efef6e6ca20ffb90cafb7b4e7641f9856eec033797d447ccd1dabb2a0b059f4844ef36d1dca125',
+    '7870b0c138434f48dfb9898f': 'c3b911f20abad8fc98fa432634b40934cb73ac218e6278ac1c05b07ed37d6b378011f2df3de83188758609fb42411611346fac485ca74ce7244efb6d6d70717673330ca220756149cd62695295ad15a269f135eef0830436',
+    'a35528b1f97feb0eb92dbdf3': '090ca5802ed57257d10cb06b9e44b8284d893ddb027e18c64adda66a567d6d61e5b4dea715277586753c68d432725908222152f94c9971ce9e229924e9ca38c91bbc7e73d9801c002e2a48de7f95a8614848bd08ba666475bc97c7a17341261d2b26e968b5a0cea0c8f3fe2686c8d1031e14a7515b99f08c38fc56a3',
+    '1d05fe7183fe1c187ead40d7': '39916352825208f1194091ccf5608a6a76351a81b51b69b52f9b3907fcedb9ca09466f13c724350e15495a8a1adf444242c709c23955a5d88630b5d6f3ff6931af9d8a01f1d0524c29c086e5951651687d4eeb349f224d7ce3656038102b0449c2976d71124eb1db6cee',
+    '8918767687d1002ac0379d74': 'e3a851bde602b1506a53ff7e6bee27f1777b48bfed241982fe7e0806bcd6efd57167fa213a7d1c48d11a0f9e2aa90e08c02cf1e6660fae8698bf13a5e5b6a365b3d621f9d6b50df0a75c083f9e11d63673d2cb356b410e09f13775f8f233766ac85aaa64fb62e5dcf08fa7611ec0ae049e307880a817e51d6863c72c1fde34da62ee8f959bbcb8a5078485e06b3523aeaa4a51faeab49e05eaa57b0c0b52bf495404b1a34810ac0892311d81',
+    'b40e5640675ae455c7399f8b': 'e997f13affa8345471fac9a767877eaa2866516d1b7416630e6713b6bf7404c91534baf621a530986c724c3d61ac482d4eaf186ef911282fff7bdd9e8c6b21e33d13f1df709ed9ec6e5dec270aca93cb603ec645f4e49b2bf95ef5cfbd85a3afb352375698d36d5da962a9d926793818431578041054d7b1c29e9e56e147de681a3658d64143fc99',
+    '491baad0b66aa0ceb27cc067': '8796ceab846e301de09f19f37e2bf85dabd0e45a57844a7f83db276cd9430c0728b6f475e3b3eba65283b2cd375d41183d4b9e1b1e0bad85d7f63da1f167d4e5b9fe6e9a0ce8ce96873b45acd418bec84a6b3ef3b2dd64bfcb5e09a5918b3a8273553f60d0181c34955b094794cb770a975298e86beeb46b3e17e396c2a03523ea0b1670abb72e190b3e6769e06a0f3c58e5e03b28748a081426b7dd5f2f4dea6233e44d',
+    '965621ae7a645df5a062ca56': 'bcb714126f4a1ed7a096dfde48bbb352beb70496099c3f7d8cd2294debe806258ea34b7938981f737239ad613324a9f10b0d331e2517a50354ad9fafef3ba86ce7feb22778a270cd0e96af092aa259647f91c80872afa8cfabac9679cec9f71c292098b8cfd4a340134f',
+    '5337fc1dd9958a11230df8a9': 'f3b5a345fb6f022873e563758bde6ac5ed481399e490a20049a27bae7088b40ebd8df7753a3bdb0001594ee36b259fa10470dccabe50fb918dc2521289e15c107d799337a4b55f67605aa990fb5e1e7a4e3c66fe4d3af64ebcbef94d63a7ad6cc8e78894f77f7fdf7a90cbd08e0ea4045bd8bb88b64908af09fa6acb01abc17f70693527999be563afd1355c6ae006e7a01414572d38',
+    'b4738651473269bd8cb7f027': 'd9325b86bd0700209fc8358215966f50156aaac5789c022a56e0897117555ab0cfee082606764dd75bdc2ede6d21ad62ac58193e05f8565c1130b6d003f2037daeb1790e28ec03eb656dc4b7aaf78c9135df34989e14711f9a54f3de322aab347633473b0d3e42433ae17eefaaa756b099c74ade991e',
+    '9d589e8b2f153fb60a8346bb': '71511c3001587353684109afa32aac23c6d11d40c9be13e1524f6e6289bbff267fad166c7c87739b1b897414fcd9670fc4492540aba6c0df9893b8a8b258bfd78600abcbc124986c229123bf58dd49b759f4451dc26c586f798e37e5023ff6502a077021b654274a042d84da2c22e370388da5e4d845eed5dfffb87a9294',
+    '9e64fd76c4f85500b4251725': '40e9a8fe245b486354ab129db2c407398d15d5b7f77a62ec5f9d092db55331a06bebe07cbd3093e3c3bfceea7bbc5ebff73e8e9c57db2abeafff8989819248ce158fd31fd8010d4961dabd5be934024518bf6d42b919465392d60ded826cf176c3103c9b4512927b',
+    '91232bcf5393f38584027513': 'a131ac43ce755ff5ff7a9f67a9e0d86b8a60caf410f39495881ecbcb9f95b7ef09de63b8249351e838f940d4122589672880931719120a688994eaf64bca0f54a1de0261d6eb26d69c68452569da2250eb3d34824a7c35fa7032084438de5f6092644c86405d04540f74b6e68df70cebf3196b241ed3a410e159fca25c77c1cfc9494d25',
+    'fce1d3f532d9cd811051a16f': '95cddce04ba7c1d5418fd435feb4b7e5b82b6c7c7cd556bcf71cb2b78a049e181826cf2be4d15af99939cad744f83106432f73d5d1161ca08a8826a2b13c69855c47dbfb8b60a3398904c1b6f1c608fb710dba0583d9818260402995c455ac681784b0adfc5c',
+    '8231c1b4a371297eb88132a2': '2d70365319a065be352e52286086c196eb1ed8765fba7114d732dde9842616288ce52aac6504f534b2446a03ea4bd65e6c8a4f92bdccca646a4a145fcee358f8bc6cda74cfe339e0946f335dec626b76c1e0471865d4c66eb359051d7491043feedcf25999c1e5a19178c99afd1215dfd46b44ec4af8ab700ccff37c4f49a2c4484eea5c9c83d9bb2bd186471e730d2a',
+    'c7def1ac02506b687ea16ed8': '04a1b0b98f1bb00b614e45536611d4c16a700b6bd04055fe1a06e081e475a747a78cf0461636388e4c37677417b54f833f8ca6e8a9093101738d46a13fc7a8f6c69ecfa2b42cff1fa206af509bd2f03bdb0f3d319673b0a369989bf9a0b82330c3518c3601796b6629a6fab86ae0f269ab5ad5fbc37460123ff5a4cc186a175e7e60f8d815ca86dfad428242',
+    'b5bdc48949bffcfc322f26ad': 'ceec99b089090a60110f2895244ac1d3e30606412251ce4b161e2334998b389f85d8c8a590b322bece916a0f1a028d28984f3bd45a7036377770c5fb9a2bf398ac7fc34e3b6596b0d317eae7c66da8119df8e957edf79bbe3bdf0d1e6635400ee68107e0',
+    '046c1ea2284c2cd8bb82583c': '1be4e858799f9f4ba7f9e62b0d740a38d825b8c33b9a951c957e6ab1d01f1ed3409feb112f7c11f1cefecb4ae7b1c9f21c9608498b858dc4f006823b4985ec4b36342f23a4a71efe0ac44ff4260ef65cdfcfd93178e6ab404d2bb7b3a3680015ab0ae771165be9689f37b06da74725e54d8d1703',
+    '4f48dbe793671b0be54f6b60': 'ffa2038ed50c6d1004958b4c246d4b4d9e9d02099a3c52ed6ecd259d1d2c8be55f45ec532b5cdd18894874264a5a69c7b2a1b6c0929a9b6552887e100b838e8921c208787dda34d4253fae6e6c11046ee8515cb2c7f1314babe6ab0d516b1889f237e9a6c304fe4caa49b60c5fd5db824560d92d209d98ec136e404262df93b429f73d8eab81967e39687ef3c0b25a5f0fb1be8669f07a1e3862768f3e64',
+    'ac24008192d83b7322523d9d': 'd3bd598c5df0bd32ec86fa7a614263d58a7a12b2000646b22022b34bf72a5f87c1554ad8e41ccd9baf8acbf6d79ef4bd62c3766ca39024de0e119b95e758fbd3289abc7777f68d88df1ddc4b36c52887ae69f493cdbb9dd83434d23223b2ccd10cbeb17fadfa55eb5beba25c080abb697a44339bc67db716498c52db612f2958',
+    '2d81ad0d07ed4a4b682b049f': 'b9b46c6092231947cfd6a481afaff4ad30bcef37e81a74c939fc383599cc1c5d8fd7e4eaec7d0b250a33db45668c59356ac878908cf0937cb2330ebc79b2aaaca62c1ccf9c6a9241253cf96971ce41f40ad289f7508a64d80e3b06ba2d918a2cf039e8dd125f65c7b94c450a',
+    '720ad1ad99e6beb60a20ea8a': 'bd607afa6babc797660b8b1b2ea2b6fab4b84677d39379deb274ab5867f3e0349b44aa4d35c4ae7b12a68246b479f02709691ed689bf1e2474876b5a65a6c8dbfc5e5a82a3b8fbe77c28886c2fafcc8df129bce2552724586a958db7ec22520977ff08835612977ea924375384e79072bc70332c5f991dc799206acb708e',
+    'ff97c4894dc1156e6aa14d7c': 'fe84a9bb1217924a7e70287fbdbdfbeb51c5be8209597060ee673d797c1c5455df7828342a754ed8cd6c599a1443bcf02faad8290a2ad40bf9a98b822c86cc95d8786b9bc1490688f0a0298f6476ad9885cbbbd6ffc592f45e2430552dabff2c139107431e58e72540ed352d3fe98cf00c296fed561eda19dc65c0504e4c9a727811ce29',
+    'fada574c867bfb74a65a1873': 'faf224b84284c3acffbe9681482a04811dd6d5a8cd4d8a9bee93bf0862df7bc7a508983b9f796df694f9447f4870fbe2c637b98aa139addfe30238fbcf31759a30a9ff01bfc7671b22a9894dba9d476091cf0aa9cd2bfc657198841d8a86082fabb1ee7dd909',
+    '256f48d5d492ebe3588c7449': 'e0674db84687042aaeed10bcb15256592b54d8626bd2886786b728c6c1e2158e604dc1624ddbc0d733e375ae1b3f4de5effe12b68f293c843f3b7f6510845b83543c152f8d5da20c706b7f79fa72ae993c3d0c114404815d354c6439952c2111fa4e8644fe6726ea5a88c57e5b4ed00a2776d3698a982684f5d4',
+    '0015bdf0d42e0e18135068f3': 'fb93c789a8efa5f9466f8235e8fe8c7a6e463b10ec006e9fa0b3b91e4f69016cfaa1d224ee45df0ca08b9cc0970ea781bb636a739be2edcc5eac63578ce7f42196d53f4e74174d3da332794b3ac1202d52efa151ab25c2d3500e7827d10345ff3bcbcb666d19b14655ae7c6f478765915d7f477e7efd79c3f6f6e7ca',
+    'e801813ca209068dc04e7ca1': '85f8227c8e744f1391320110f9257b66ec0e3d755e80215dc5e3df7200aeb65601de0395be5be6554f76e0aef7fbada5d34f0d4be63276f1f415281b3ecbbb5e7c269f6aa94da3ee65817a2238cc7e95dbb056edc57769e979152de7ce019824ba4acc7c4b8c',
+    'dbe2fdfa0f9493fc55119726': '8700c865e317d2021751cfd24f5b5a7397131ec236a642f6b694948de84b0f479d38d4844d3bab3b9f5a8a70105181110432fe5293bb4b89a5031cbd000c98e5973f690c3f1f25b4e139ff05690aba06466f7ef401b2e454faf9541141bc208bffcb3143c6f2e71434c73c911743025fea2ae88650daec6e0820ec2c59e37883',
+    '8ad7bd96a13718c630a268ca': '2c3f1f7d2501ce74f5ea18465a3de1604a619e3758f41dbd3ef87ff244a18ded05594be43fe2d6d08676a26833f4375fe0cd9c949fd728a9688d163ec01270abae406298a5abac557d45ed52137f6c48ee4bceeca2f033488eb294c734cbb71c108c95191bdd493539ec5f2e1c5b824e3afc4935908d7a7007b09ba0d235e77be7c4',
+    '81c6068e1436fc5186228ea3': '1d2c6c300f19bdfb0131c593db2fa0e990e6178bfa933bf314e6b0e73165f5a7b0cd032486079520daebe297145444661352d394d839a4c16172b6ccf03669ed069a282a2c9b0c8f336076bdadd1e71e2f7f954a20f78848f97cd372c41b390cf04dcaad1bb89b86164bea7e55ad58383a9408977baa',
+    '72d540f65191b5cf4e54fbc6': '7adf5024635528c0c24dc09df4bbb1a30e4fb4d1bd583d40b969a4c1cc6666572f2451dcf63be2de69fd92ee5e3cf859a4f0e006712d26dbdd4619e6cacb829712ea95fbb7480a80e1088435f3566df39cf9d21c1fb0817077019fa4a07d77218af9bdeab9ebfe1ddeefa28c0a437616f2a0f70121a2b758',
+    '358efa8940a1c346df05218b': 'f3cc7dbc9bc367f078c4729237ba50f7e8dde7038cca04796dfb08663df51e18efbf1b51019142a068df553d9ac69a96b5e7ae30df7200bb0a82536d2ecc4d2b5ae77f315b23e9d4965feab44b97d7e30e4caa44a96ee7b2cc9237ded2a8b4bf75e1efa62d75ae1623fb78a8430d1ad353f0bfdab8065cca88160553af4511b4c1c82d0ceac89b057f6f7077a217cf83c97767290de59c5d',
+    '2730fd36117baca12a1389e2': 'c41f4266b341db5f1ad9aafe80a1a2a48af50f0f1423bda9aa13c7a2984a22c6c869e2423860f0545ecd674f10ba95a2ed5d2bfbc0069bb061c3a619f3d4d058e03ea6112d546195b6c01935bcdf3d1b362cc06fb876a58bb07160ff7e57f5e968aaead362e6f7d654c0442defa826bd65882ce871f6d6815671857d7acc5ce66561a80178c650074830a0c644c87589',
+    '319329dfd747ef128f752874': '7e7bce51d68c3965f8a5e12a469038fe016a413224feaa7bdb6aaacdb20e62bece0c484b6addf1b54209d6f2ac77798460c148b7e455222866339884471e4fab6ebd6de7dcd03303b8724080667016227ee9210b694979226b806305c5a295c36ecfce1795adb554313a1d7a79204f62622ae4994418',
+    '498da90f62edaf7451bb57e9': 'f837d5a75b3e80d814f99fa1ad735e5c072574f7bad73107aad1f8c43d0275e42170f05728496f6f1754abc6183aebe127b0d5b5693fa253f8a8a883627bc33d338dac6ad7e832e85179b016800cee38d511bf1007af98231d0135b8738f8fb4a4b8d1d232824662da5694b183a3c86f4ce67a402492',
+    '51b6afd4cb1bffddceb726ff': '7d189c2cce4e860e2c2f1b85128d50f864eafd9a708f68638b4d6c107b2a65e0dfe0d564d79a2137b2df2877ebaaf4a54712466ba8d7f1074d3126408a684469c138e0fb9a0d4adc809f23f1f57565da675c',
+    '53e9f323702d82a3e18f737e': '717f81e50d006063bc4711e526ac398aec949a86ce2d7ceb93214df759465dc1a0b1183b5800a857309d4a2f108f73ce139810e10f5c63c029a15bcbdf1a7042c1602569735d7a48b895fc21be2a056ef3076ff8ccc3fe78650ab746f51e55edca93b8d059671581e6526d2e37f8a5ac79ef95586998f1bf15ab3cdcdeb3c3be9e812382c86f971559c0',
+    'ebf9cfaaaee88713e8eb436b': '76295033ed68a757cb01d78de36764be63d1466f11673c399a4abca51d18b264a93ea9055d38a2b52a34677aa5e96b1be1ea43bac2c1f57729efd97effb4a7a8abda61586a7b507affe2ed5c4dd446f2bb49c1dfe9b309740ba8beb0e4ebd76e4b79de7a84809223e3585267de0a7e181ad09fe6860aecd0',
+    'f623e059f3fcfb1232ae1b8d': 'f74499b8d0edba672901b1c091e41c7d2636a6c469ae8520a03ca8b0df535aafeb97250d3e7a2bdf78ba6b98729020b68d0d26bbf9b596d736b42f03f162896f1157f2b7722b28560748198948b7dc0cfcfefd81d5d30f81ff89e7cd60e52a8692d6871801cc961f01c106f2c7e6843df7d934b94a0d8e8f757f45558e874aaea60ec8b0256693f54c44019b',
+    'a45d43da49b873590d5ccfce': '3a8298fe0ed5076928c82c5f490b9d22fd54f103d42bdcbc72680333b600d39105977378a44b96271fc4895029e5961aadea147e3f5aaec1ca5b9b090227fe925cacae94d66c19de2e85ad076ed320016726b0826be90b16107e76e73b8759529ba2f577d6cf754569377d6a9f3b86263b529a31e3ff593e178712995a1ab23c494a7b3b76ebe50db76949fdd50a0535494f5893510f',
+    '339c82045f092e9b84abe049': '952a30a238fc4e8c08b2e27a5b85c361dc2c97dadedd9fdcd6ddf3b09811f9feddd5be75c10c9db0ea40be4667d941c50b583b9eed7483ed51507d1efe8852c1ec8ebf8faa62715c9cdc8d6f43fdaac0202b590f518ae53fb30a70ad69be1b2a349a8ed8b245812bf127044ea2f95d0577cd973b38ed',
+    '014c308f01c62833b5a8aadf': 'd675f0e29a23128a6382b5d8aef9697da7afa816c1418209cf9e5542f309d654c7a0fe5ddbd0da763cebb729df99d8ab5ec01144c7cb6b624bb77969ffcbdaf62b6bf2ad69fa869e35b582901f3ce37c49e2d1f1af65304494025eca5e555663dc335effa0b17ce0de909f030d219d17',
+    'c4eb75354bcbe78a230a36ee': 'dda37414de48525bc58a9a99abed9415165b6f09a185306f3c07187d305a585011149666faebcfe8fe8bd98a378a833b33a404159ba486a4504731bac4c0d4f6bc403351149e07de6f0ee7586894eaee8d76c5d50093660d69d345a68a15cafef9d93d5b3c0d8b9b4e68',
+    'e8b7da95c34a9824ab5baabc': '739a803ff02c5eed7c590794faa4bb956802b20b53b28667ae228edb50bd8b1b289daf67fdd9d17ef8860e099b1758bbc4c2db6888e1ce0c40ff219eddebcef62a43c7968649047b6fcaa6f55426cf3e20f055b1a2fe819867c9f1c0',
+    '90b880473ddff6b2fb178448': '38fe4430a58a99ffc5aea0a4266f5ed4f03482d4bc27c560b4af3ce4e3e7470d72a1ef69e6efa8ea6569f7e74c4ed45dd3dd19d8f3539de979fa4dfb3de61b954910f9312e45719a6b3b0f5cd8cf16de96ed0efb6c76',
+    '55f22e3bbfabfc369d8f01f5': 'f9a3a95f076ba9f6db61319c8565efd9abfd1021d4f828e4a2b934e5742b4b9888a8d744cd8bc908ff646686a4b1a6fa1f1878c2e39f784de9b1e2e6967d4990227e589e7e4cb89fa644004e3e2702dd8b9dab85bcd1a99372bdd562b844d5aa8c7f',
+    '1cf71ec3ef3e9f8a6d9bdfae': '91472905b5e080f71fdf8e732b1257c472e4c0d2a2799985718a3ad9a2ed94d543322752bde83d96a8a284205c853d73d4245c60f7457e22123adb3bc773878078921d3fe101a0bbf2d1bfb4019033122367f7b18cedc60281ee8a9dd5ddadae39c26ae03c11c43b236d990afb66a67a24b95736afa51bc89d0bfbdeabdf0f5a5356',
+    '4dba8ba0664dbfe62fe1c179': 'cf623945ebf314f6589458cbd438a15faa1ab51d12a1b48199a8334ac11030f26b8469ac8bd52f965baba37affd213e720f30354292861ed127dc85211059bff0ca2905c91956f03b74648f4326eb5979b6ca4f65df9973a3bfcd228c79dfd83025bfadf38a8470bd469a295e48c72cc8cfa295681d6d263c4f7ef0b15e192cb975b6214b28d958d1fc8272c6035dd39',
+    '62002977a0114ee7fe9898b0': 'd83d58a6d85faf9520badb4f94aa2660ef1c17fb968a9af2a3d994b994fa65ad4c9b3f6561ca58d963ec8cc11b19703f2611d4e9aa1462fde3394e11d054b685e0f0b96357e551c653712951021fa07aa6f84cc2f75e8ffec9dcf9c7078944e86138a94bbef9e5c037d9f331c64643fb8f49d6d27c7bb4a2',
+    '6607d969e42270e7e73bde35': '962acc6510d193230bac328edff9a8a0ae9bf2eb0386268a08032c7e8beafe500d85090658043deedd0d2e311f38d8e33d9dab9179cdbec2ad2825c1422c487c1bc60128563722e95c76df5e07732bdc4fba30f556350b9dc9b6810954ee86eab6cd1ab43a5d9a4a4575',
+    '2a3b7fe9da511ea18fccc60a': '45f4e19ab4f906a64d2100aa1540651125a5384d8ed587e4e65332d9cb8d57b118a861ad462ae92f204f6b628761136fa73da7ad2ace984a79dad6d871f3084d0e8ffe71d629cfabf936f9d6ac1939c94dfcbba24a7025ff2ba13180f7304ea9ef435b6337a91dffbd9aaafad6fe192dd78a67abd45e245c7a2b3ff532528102d95680832b33',
+    '165684ae67880ec80f6af8e6': '24a1bbe501eb0cf9214e4ba8c5411f28e3aa86d234c4f5f0e69b3d8847f84c1d04c7b7249dcc123881353873d8b0decd53e7ab3300b600d2d8f82e43436662c236c6d175772d3e6f10a4ead51c4c6925824c9dba1080694a399234fab8c11a773682ce64ce4baa8b12501ea6605fb20ef40dc27c167c2ef96ed271dcf2cc',
+    'f303b86fd9da3c53e8b8de36': 'a4a718a64f31570dcf48ee8a044ecad05452eda493878012673d543748b982beb55b118d7ee23b9e93031f0b72cefeeebbf3fab4ded271cad56fee1754407c6089f8f438293def793da5062f1078fac1289f2f07ae0cc2f3efd7e9bb0214e51d50b291fa4e14241e55d65b3c8987810d782bf4c57243ac90e08d885d845e',
+    '9269ac3872b2fef17f3b2f01': 'f8881902e77a1463c9950246e08de2d4f1f03ef594bf8fdb790c60efee442a02c04f1f862f00724616eeb3ed82d0df3606fa58c3a8a9eb6fb99e782bb804eed76e30288d34c7b588368882ed9fe08b86000656230d0d86d8525020a8bd204398379bc06ba863a8fde94d8fec2f32bd35f9cc',
+    '8c0655a62432310cc8daaf0a': 'da32e38e5b6740d5b7bf4c13b00e9fc1cee14dd1af9d9c9a93e58bbc7f69fff8da312119634f7a95a5c626f7640edfdb24df68645fac51b8fb5ba4836c0404694b0c9bf759ab8c2e4aa7e3843a4aaaf65f2527d7805e21e8e55061f770eedab26dee624a437c9642a0a8f28da308',
+    'c6c73fec12153b9d2eff3e0a': '54ba3ae4f3c153f2c9bd27d4278e19a5ae4d96cd33e30369148e20c6160c25b0a1930cc8fc685486b936f73a6de2638ba81940cbf328207f8b4c1030fcf68505acdd98aa1038d121e05c84da118781051364a3593ef0f919f1efd4af29ace142b03f63e930e364eaef566092bb93605d836826152c24f543cafefcb5e3b36fda5a2721db95016596698457b618d05d5ca4b3c58a8b8c',
+    '19832391b3b7479079e27ece': '24cd9004845f78fe8cdcf915afa52cd1a661ab3f545991d6ff23f6d401d38a38eb81dfebfffccfab27fbe1df30b820fac0c2141555e79e3d357a5e35a2bdf27b8acb8baac141e9c8285564a40dfbd9e71dca4c100fb98522316fe76290a4cdb60726ae9e381afc816fb3d4392719f06db7d5c062e5c5273dd9855227f26bb9e31a98da566946d14a8b6eefae3dd80e9149cfc59cc63d243baa8e7a721f2eddb87bc3f899dc5f28f14cc14b7b9dcd9c3ccf3e0c71dd410715baf4',
+    '4fa9eb7618f0bea192f23f90': '85c9d36429e7e49153a1df4e8b402aa22624c47d36772d7ac9d1c3ba1529e66a00c6c0f5bcfdbfa5b192f4e713ae4dc4dc6b4b604f76241aa6f613998008f1fbb2453b6dc9ef9ac3a842113972698cf153e3fd5625d0edfce527b68416bc2013cc4dd8c0f23e256d4092507b1446038bfd64ed4c95913d4ecf3b5aed08da8259932f62fbfcb7b881',
+    'e4ef971e679ae9f2a9bb20c5': '1f1ac4dc1a3beeff851445ac7f8680df41c980e8c116ce5a85b00a3ba17b95820320a271507e47bfd5c7c6caf68bb14f965a7bad9b141d356a569a16d074dfa7b7d210ecf32aaa9451a7630feb75e19593af550caf4c7946d909d79e957ba7a0a2e86d992abe490793f5b239ee37c4fc62589714',
+    'b55d5026edfa0aca793294cd': 'c160afac9f336eadfca1268e761ca63a9eb3067474c5617fdb909c6b49af40a47b512d116798acc7cee42767e8f282c733d3e288691f94b458c79a41d59f0d90d6fb92b7faac3578a68697a8f59a1c75c071247a56a5ae28bc934e288b47a42d',
+    '5b4ca9011496567241b88fe3': '0de5c86752a253af0ba583e4a6efd17582ade5fd0b1052612c9711d0e60f8b7be3a7bcd4c54ef34c604f662a955f3af1ae84331dc09a392625966c0283e493d0ae2cde0ce8edeef080d67757908afd2c1cd26a107f84eaec6770d530530d1736be0c4d2e9405a66d88d6929578bad4fa30f9d7b864a74a856081f3fddeb6169199e99465315012ba37dcfb882a5262512dad',
+    'cb706e4e32f4e59bdcd437ef': 'd53f32014d1089f7f481bad4eb9ad85f9a48cdbe0791822357024c05b7adf34d60fb0f5a2523985c171787897a5be816e63e90275cc400621c3ed5fb83f3dc39d1ce40d91eda8a3a1605bf1f16336c78364ef6418664556e043fb8d7097adaa68a1035d866c74f24901c2f27',
+    'e226cd3651827c0c7eaaa814': '76c799cada0998da835ccb57a65aee6df9dc4c5ef34aaac56a5ecfc72aa8cc4d502cd852cb3359ed0a739000f5f26dd1978b0b1bfc32ad68d77e25572bede010c210b24e36447272f43e8ae8d0190cf0d21059d25615b3dc87d64f88be9a6ab84f43d2bad671765f785aeac5fbf089ff0ffc0fb99a543eac992c730ed1a847ccfa9028318836770663767d8ce4176393a92b89711dd444e7d13d',
+    '23da3ed00744bc416723522b': '9009c2b85a4a8c2cb3e6acbb8897e275f2bdc6c3c5fdc0a1290657a9d225822bb75d8dbd63d11a06394efb9d1e57a6e92a07b00a1ba35f343a8578be3d54e480806542911fa4702dfcdfe972fa1ba2ce58effcb111be30e0cbd68daaf99c10829987eb7ec89b8f217a64dd27aea999b03f54a2959a03554a93ec2809bf74c2046747c7ff87e2321d',
+    '1779a526f92ab4c752c5fb8f': '6f2c39aa1bea0f601a5750f6f4c795aca8a292daa17856ea6f04bc5019d4d42d7d58467a97c955525dbca386d54e345656c39e4934205283cb82f3680cac8a2b82bbc32cc304f66a0f0a4dc01f113f5ba19fb3c025d906e836a64f98f66db22f09d9114527fb100d85b91be5ddd1bcf2aaca38707fd052d8fdc8a43d5d3fe99104fea2708965ef2f4023de553e2be8fb36c41371c0f891418112de1e9d70c38e71ea',
+    '3a8538c157e6524725bb4e45': '5eab5b0dd916ad65b3e0e5e96b190cc304d122fadbc1c6345c7ce6d75e4bec818e6ff8894d7880f6cbd93426b5d4b820a585bde4875a41abcfb82f8b43cd0ba4b46a103c73ee37887b6e9588b369e758a45d5e7a8505102edb6fe09cf254147782886dd9f00d79ef0ed70447df98de9cf1c3568a4f2764a44101',
+    '8546c0156cba6ac7d1643742': 'fbc96af8f4f9754e7590a8bffbc4b233c2a97ec8f38cbaab47c7b6df34443598f75c711316b6888138d79f5a663e1372084ec05a51d7a5e8a06cb432becf772ee5f2c3079cc7f12f18a720a99d5aff1a718fd1a60549111cefec632dcb5261c8bc8d97e54933176a763f9116d83f285cd8670d479e3ea949d603ea3cbe01de5766e3ad74',
+    '481f50c7730b27727a698736': '588bb76687ab70c1496a01180ecf24edd0c51de18e540d483b95e41340c2ef4d6f0000285094fbab4b1222a9827e7a9ccda71343295a1657903abae63d5d54259c17e96e051fec6e2851adf8503d4c6e7005',
+    'f31636fb53e06f79fbd4e6d4': 'e280b4ed80f74c7327ffa08ca76c74da4bc7e7c20df6ba51814c1969fc5d165f142dc73de02d54958ba6d6856144ea4fb7afe132b3e7f289753f12dd866280cbb4cfc664013ca69ca2137db9e12ca1c6d683850cae875d354ea4dec3b5814c41655b212212f85a1932007e8f33756ecc6208',
+    '0071ea96b60686628944a0c1': '06e81f0a07dddd9650512f08d84f3740accd9155373461d3dac61b4913c0825bf21379ccf3c94e23956e7d43747e5e9fd5ca8dfdf85b51b178e2ae28238fbfe3c203733ba69427f09ceafefc0854bb687f55bad4bb82dbd0fe7aeedeaff5',
+    'abf5e8c4bbaf8c6951467190': '3a6558664a971742e3f11405c632920a3112d95cd410a59910f7c183b501128161a48832ead5c0cd925a44ef27063e96d3580b3efcf62e7ad4e7159e581fed1e5ca907fd1acd83fc80680540bcd46126f2e1363c4f86801bbbcc09107d254c41690f',
+    'a1c04fac3983614d8aed2099': '03bbcfe38f82ed1469501da030f709f1282098510ee01e8abb26cb998ee48817081604b0b3866f4df402c6fbbf97f1e558a88f478e989632ab1b622329924aab0131c96e8f6bcb369c0acbff4935d8b2f22440a65f4b6c60260d7fc50ac0c028f447e2cb75802f13de4cab6a3899748e3dbe2c46e6c6f895e05e4c6fdb12794935a4fde733b6bd8a54c1cc39868c6d87fbab535012d2588e77585529',
+    'd715dfab98854507f82fc904': '8fd7e42b5be7ed6d1cf7fbade9b8c2520533c79a149f887e47fdbfbe180cdfd790b46ac2ec191f6ed561bf51abad3abd1101a2c96deb4d927f4eb16ac22cc94f15fc4bda66bbc9491f13b55acaad0baefe0896cac2202637a9124d168e7b059dc22d10f96a78944480ed4ae1',
+    'ef19bdd81bc264f70d127112': 'd65bf6b197e80397adaecd042f3423101be2e20899087785ec3d714e3161c4ef813ca68ff105b82d4a0ca47dad069f5b9d1d6aa870c17ae36a2c4417a784cfe87ff838d2a005c53ee475abd5004ceda90368417ecf6607e03ded0692',
+    '1ce812719abc7d947a05492e': '5a449f9fcde4ed406ec9a10a6cf11e329f272b845549a8c5a4535fad4ae4625524570e288461fc92c40e7449c009c01ec7b7950dcc658749a2ed3aa09bb8b09b852d3c9388f3fc3604e58556af6438a1f291ea84df2c0e184b6a9acfac632385df0d',
+    'fbe8dfbb0d032d5047b90200': '0fe12d1749beb58560f290060ad727526739e0f26a9524cbae9e0f8166110c5d152b1954d7a4220cce22329fab477fc144c1ef9d4d267f1ea63d91ea03e4ed068c5429949e81be727fbcb968f09698fe7b001b88bc6aec9b991aac09b3e1afe025e0ee7758cae3ad2ab3022de6c1ff0e719c5c87335f3891cface69f6614fc45a5a7e27e5ee716532309',
+    'e04e3522e505e20a64a15393': 'e3251925898a52d6989922ceba9df7a401252cabe61da1961b3d410e043cd71b1e43717b94024f8e12a183a82b8b20b7a665fa279c9826998012b99a2cac3fcad98b07ff4b78c1bdc766635128957a1d423b623983844670705506d241eb9b290c11722852b73d331ea7d5e2c830affc',
+    '83df163a9feae079980e32e1': '0a5beb2c2e5adfdb416753b0baa57d93edae6fe08fba577f3e1e339d02bc30d5d2f841c2154fdeb2de8d495ad02b3c391b611f74cff184342483b955540ae24fc15d6101f96702253267457a1a1e4d25325c0f3e137e5119da4084d673065e347c61',
+    'e1195d77f30ef6b36e358a01': 'e4e759dc030a81d0faad5a75c11bbd578673174852c7d42807b887722ae27e002378bfaafcc59cf616e10a1f7c038455dbd7a288dd5ab3ffa057aa0effc0713af1b6f9e2e00977623651e4b57d2eb44010c5b514e4a7439fe47cc4277722e41d9420ca922dbe99573ffe8a0fd33199275be4ab735d35e85bbe30e7660d9f5a08489ae25ee515',
+    '6df26a75ef91fd31d57e315b': '352a1bb4d9b25d1b7020a73a6cfd332d65c7bf3a738f58861192254aa148a85d969a30c7b544b0d0ce07df11bbe4364e5f2fbeac324e63bf34d2c359bfa5b3538639002adce95b8e9a2b4af54f11d11c69137ce957789b722c0ffaa7aec2a622d50c05a55eaba39ac945ceefff8d5b4c198f57a33693eb486a45259d32da27ca2e943246cb50',
+    '2f52bdf54fb5364dbb04bccb': '2ade640f7a3b5b47a03714945151fecd576fa301c6e6a7008c170627a18dde7f0a0483b828f8be9f6389066b8c0bd326a786a66e7b72a4e417121fe2dcf7438e79ab9d5035571d1c9ff73741454479240d9798a1c13019e0288fe87a208423fbf4f51f14b757a7ac386daa6f9947d6c559654741ed06dbff3264266ed6c770da4ee48b7c7a40c4dc96342848',
+    'fdc9842c0e46a8be8f81d751': '50e98ae8f64b82a213e5bae28f2b80cd782b7639f3c5d6ab9a06860801ea29ce1fb4121a4e864c2e702f4a74e6d434fb56db9354c233952a350045cc65259079165c17b8306a23404bf1e34099a9d10afd668b9fc504d277d7d527935f058119d22a074b52c5c9e36ec5f43bec8e57b76716b73e9e34838f0adaf7b8c0eb191780b2',
+    '62b006dbd859318068a1a4f8': 'b5c4c65d0075fadd60dd4c04fdb727a00c89fd0fd51de2c64ba80c37d2badf78fd9f46483d365f5700dc8e53ba0ecce9b2550ee6f57616495bce4fc6cc399172f0c8a35117ae610af424f72ac57b40f3f056319125816bf6c1b5af8b02399d56a6cabdec7b0ad6efe57b4343905f6768c0beca54',
+    '8759e1014b596879ce3387dd': '945a0fd3ab1402f9d139ae865bdb100ec9d7384bd91122d31211123d206320782a3047ef579da88e64d4408ba0f06f74f62f5189d9f03d94f133cfe73fc967e8e8fc928f4d00bde40a3856678f2fcb8986fb6b8018defcbb2cd7b461e072432d9d7f35a9dca073ca988ac1442dd793453c42458d0498f21e0e7d',
+    '31d419a8fbd77a1c7a749462': '281b1540871013b68c1b21fb547bd3e1538b12e2f1d6fcc396c5cf719722106c1dcd781384a4265a437c60bd87cbaddd375f09051dd428be33f7d086f9b0b5cc95bf0eb9b88f85d3fb33213a6b7a01b6acd4db35200486c2aa5d',
+    'a15d41c92d816ebd9d39b5ab': 'ba2ce855de11eb3124a8700077abd0f8e6640b31665c94beae5144483f61f0bbda004d741aa33f5e3cc00ee086f5c6bd90ed69aa965f619923df8a1276e971ae26917e5c51b4c671efbf1460faa1bfa6c2b68fb32f053997fca43eff479cbc00ef2fc93db66b6d8e71e51bf53287ee85',
+    '6572ce6fafe8ec30f956ba9f': 'e338f5b84d7342cc6ccf12244bae23a55c8a29779ad503dd0a844ee4a8f7a21cc9ff88df297ed19d8d86a060dd37c0d6b57d5550db875ef862312bdd2310f89e4cea62848b2d4e59b2520535780b2df87d23e9a35e5053af1edfd64842155d37f49aa9ce69b1a10389800b34a386c9676a146a91622fe4338b2b5bf8aa3bdf411231',
+    '87befa3b942fb8e0e292a7fb': '7fe4ccb5fb941878aea221bc5db886d33dab0cf962f5373725ec3233fd3c0f17c664550512a2259cb589075938083a3237c6f5073f1411f9f44adb46e2262a87af8f5f2aeae6542260a8f5494ac96007e9044cff5029b4bf86c4645ce254e6598fb8fe24f760ae7f7da5edb0cf7374cea1c0ec9a2e5db366cfd2',
+    'f49988562fd02e09ed66a9df': '249a27dc3ad57b2b4153761eb7d6ed2c1cc34cbd9cbdc64a4661da123d4b9a606fb6366498080d7c65f15ad5d7bee980f174fa19a6b07d9a0e3d5dc222b75120ec88245a2c63c2ff63e692b554280be727bbc774e16c1519a855a714ae23068cdcb801011729ff58ad2c0dbcaef415d53a2c3dd8366a2cf67693bf211c480cfbc3c834d27bb044c40727f330',
+    '0e51458ed8369c2e972ea54c': '61c70647395475e200e91b7927fc4bffc7c6c1418275642aa197ddae6c550e17ed9a53c8c2506eaf02e912cc87109704beb0bcc670685f4fca0a320af161751886486ceba22813529211939e32a3667afde4c821b9f2913488e5e7c7e8f6d9dcfad4db6747788399c55849cbd4b60880eca1a384b018347d1d68e5ad3a67199dbcd7bc9febb6c916f4f4a006',
+    '86bb448edf376ec951c14d20': 'da1ae93a8b4c5d724d8507c06207d27023c297aae7d24a35d9da3f27944b5cbc33b99404d3154068ce5e636bddc9f3c71055e56f4a00b89966ae897374ee54d4fa854547a016db0e2638c8c0298284ac469217aebd6442975e27b9907fe812cbde2471a91bb91a574db3a2f489fc',
+    'a03c63ad8653020d5a6ce2f5': '3c062adf97e7b8953abed471450507c57d112048b6bf6abe086bce2828a0453636167b1ebc67823c055106371d71bf1d578501350f9971c63b96f431b5fc3afc63511c29279f56c8f4ac066411c16164d46e530bb7792a8f321b90e8863e34083f7481b3a0e90e38c42dd6ff7caeac51b897a01f557da1359f7720ec27cb942ae44e8d4345771662c34e59f523c4882f1dbaff4e2d9273afb4acaa163b56',
+    '90219a540bc41338b5820d73': '08bc9f1c5be83a75f4e18a0f766fb2d96d6de5650e54ab8355a3c7e3e278d67e02ec61a4d5f4fc6df2623aa5c0e0be6c06f92c3056d1dcd2c4cccb27e6ab38e272696ad180675d712e800ee098102e95ec125e839537d956a02927f2017fbc2eabaf882fe742fca5b05c3c3ccbfd662fdcf2afd3318054d5d883286a',
+    'f4e8e35fea0893b0e2a9232a': '392e5c3a3c0520ae950b95c36e2b81be56937db3d30b8b46f80c6451e52a7f30440416d65b9431678e6a98213ea6794a33f72fb71c6b5392dac344bd803b0954f3d2744d9f60e70fac77230e63a57264f5842b83f08119bbf42b81645c1ed3825eacea1093fbb67b5e22b2638475e1d31ef5b76846876e92464c23ef94156e46a2b841bed8cad7e601f768b98566257907f081f539b45d010a86a38e8f6bc9d4704945ba',
+    'fef4749cfa0c8f7686abe86e': 'ea789e55d9924f33a78fc76f13ad42cd8e447129df4562d9cc35713ecf85d65a0c11c67ba158889c6f4a22880790c23e88ef22189603a53af234f924f4d9e2b919c4b678dd1e16cd1d55002efc79211946fdc3320bf4aa2e999fe26c937c8fc7175aa4ef',
+    '2e683f5d22ce260f3d696c33': '6dfdb60318db4ea5d1a9c4ff39906cbca21b566c7024d0fa6e68210dc5b257d195ddb88c6371547a6ed31e52596c348b2acf4d3fc697b7e86101910ea21bf68686017cdc95448621b999a2886ebea7b3614eef29e6e53dfc293b4457ebfb6dcfde96787a17c6d8de205389fef215d78a65c030ed1d31f4f2a15a614586a38d98b11947cd5721d8412c43bdc5',
+    'f577df977e980475f29753f3': '52b59e124cf01fc310cc38cbbcbc3bda2ee7df838c5298fd099ce2ef2791b97fa0ca0e524309c387ca2b1efa2a20f57e3cb102649993bbff853afdbd1dd31d6ad14a132c4567234b1234aeb312d7adc1415c0cf4dd26ac2e772b783cf620d2b25babecfe571d1cdae1192c8fcd299518b4d4ca27971cb859d918a04e397b092c',
+    '04563709eaff6fccf9a35261': '911c12b207b8c14ad444b21626a0d9bb56e936a72edcbbdbdd3b6a2ea7749e24719286c1de88de83413a0d6c2d5ff73d7287c22c81fd93e90ed6ac84b36d971842717ca4b500763702933fd0a7b461aaab3f5e53f0a9a2ea37c6f72ab4bf20c748fef7a010d39a7a1921f4f828b161dfb5c8ad99b8ee128f',
+    '13755a68a01dbca5ec17b328': '65eea9c9acd1e511e4b558b89e1cfc5fd5fb794447f9a751bbc29bc8170c58b49747c8a4b5a347417acd38c04a0d51199737b7498bec79102577966e92f867458673f302d02e40c20d43b0d4c4b1ddcf3520ed4596251114ff49d1b57f761b2ddd9132d25c3f1561b1c9ba087edf970d37f31f71ecb8b874',
+    '34808ba834bce244e104d6ee': '620d7fcebf5724ded14d9e9647d42a512d5b7606f925e74953c758caaabee9080bfe95d396e48c340f477a19d9456d82b5417242075728ad1e77d79ca0a1216b6941cf1bf526aa90de09872a24aca5eedb9a7134871f5340804251f4bfb1f3b4b651f9b9b0b8e8fda081ce8739043dcfa89f78ee5c2e1a873fd7766e21062f82d8cd0797decf7fcc4a7ed40a',
+    'b46204a74b45a5f481a9d742': '1d77026b6df863704282f2935a86ad38f4e6a17d443ff7b39f7a120f6f74c98f2779d547210026bc69ed503799bc9277093f0a8803f1050859b64e2ec9095036858c55b4043f3d04a871fcfcb91a8792fdb9564b547035d65029abe18f1bd79ea0e7f54db2413d2a0b1598e6dd46d767fdb15744a7aea650abd80a7e6f1bc2b4651867903190ad4f89b48d4ab57b780b0379ab16c7219a414679f5b1149df633cb9d',
+    'd3f49b9237ab054e33de1c2b': '4c1539f48ac29c7986795c0d626ad136db668b2aa413043d9804b3a9f1a77f48dcfef19dd5d9bf027ba24a25ebd4f0db6a08b2f730a8329d8d00bf1aaa702cb54cafcf2ebeb49f1202604d33502c7ef15fa9a31e7ce5e1427447e365a0d6e829983a1b4f9a071ce1c2ad04b2c2341f6ac91e858d72c8ea90ab7714700279d65813501b73',
+    '719e52a0944557c19c2b85da': '57f7e93480fdd7592606922c7415c4a54b7ed20d70cb333b6c6439f19bcd04a207bc2488cb076e9adadc4b8a858777d13938fa65ee8f13852a28a842757a5093ee5058499fb2336bd54446a8a98c0105ba693685898c491137a86cd0929ab09a514409b4732190d95929bbbbbc08e2f9',
+    '364284f5b16f121fb2c22869': '9fb4f37e1253916ce4a60c2f2dd73754eca14f7cfc83dbe1fed2e82738e73779cd300f395347fa96a77c44eb123ec120ecb294c2f92c941fc8d12b4970af72e3c70de05c8390d43672dbfd36cf8f5639b14ce61e9dd275a28f1021e6f5152c2215264a71656e216777a4e2e9',
+    '46093c70dffffeb0e66b2de6': 'c5b6089885281e83d3b5aeba3119b9bf31ffe6b06b3d6f6877eeda51e360e541fd69620eafe3c4e94586276b0dc649f3ce0ac4c94b5b09ddc2cda9158c2457d475221d740ea389068e76dfeeb774f5acc69f53970d8a4180af264ffef4757c3d98824da4e05888f4db8e947503bbdd5eded2017655e1ab36990177a175dde319287131963bd00ac7561f11c1a657',
+    '1fae23ad1fd598e80cf08f16': '1f32c880adb0e75fcf95917e599e6cc6bf3a8ff7e03ed7ca9d46cb5e593730ab4ff7c870d0d778e688d351c13dfcab13fef7b1c8abe1a1ed4d812c87b63c43d3a243377c6e9f850252c42d54212ebd3c45f2c4d48a697829c031eb900bdc80c0b41a2d54e132c13415c7d259b5c295b9aa962cc9983705572ef1e50a16f2d3c2b3220b1867a0d0c06732a7bcd6f2c469',
+    'd175de67b59820f645bc1854': '65dd33ca1ce8f6391a84dcf0c8d1a63e623a2dbebfc139a695aa2f609e6403060fa43dd679818890e78dd58459f47a833a202e96650184ef9e38bc86023a6e1a6f390080b7d0ef89d35a835ff08ffd84390bf53325d1c8930b0a931d046166ddfcfe756df555d331957551a8b38d48aec7b0ebe7842fafa4d20d29015803e5af265e9c7bede337181afaab7ca801417ab2bd4992d3a183d5476948f46e686951423bf2c679b64de4dc6b7b924f875b74',
+    'dfdffaf7dcec1a1a76076b93': 'c229ec85c59a5a476ffa76073e954e3566ffaef7161c1bbde6ec9d6963b940a66cb868c5ad30d08026067ff3e188f1d9d8dfbfbe36c30807609c4fa07c3a5d4495b2e6cf395987bb920351ce1741aaf25fb43a5bec6c3d4112570469fbeb3df9283d7b89b95e90950e02801135156581c41b00087fb08b4b821ac3ea08d83f86184b29ad4023',
+    'c4a37ae35c6d255c07db2ed1': '4bfff3b7bfe69c0a8d692e50ac976083af65d454d2c54741e66a71b0b805b337eca36e1db815ea4f8781d954a372144000b15aa1e94283897e2a69d50a862876c2c8b1d2375bc931268750b7c2bc491514fa7e833ba6a1aa2417d65b16a5c299639f',
+    '934fad2e9493816b3a20e3c3': 'd9d6f4524a62ebe81cb416f3362cf29397830d1c6920eb844a4b980e03ae61a423f5bded80edfe6fef0147a77130a3046c4cb733c8a1e70fd001b0f44d695943e0039664d74755de2aa7525bed5e0fa351763cdc34d513dbbce853cf5692e6d766d59f9689d129d0c90b2f0d71844f845ac8ff10c1d2',
+    'c4bbb5d9639cf4a589658927': '287790e7bf32386c83fb939cd841f2e9bbf6507ce231f36d3a006f2866f61994470134bfb67fef482905212073f9a152460311e962d830f90dc4ca79dd1e084ff8181f95f566c719610355ef0bc2539238af304a05bb47686ac9a459d47947e7de71483ec1c3a3677a055821ffd656af5a945878cbcd71f0a5208a51e3c740b729a5e514d627fb4ced58c483d0da996c',
+    'dc40c751930087b1fde008c8': 'f9971ba401e1d71bd7411155a77fa5b65348d61610c20aceef9cf4d6c2943d4702e6b38f94548a3b97e25533b0654ff371bce95a90f147efc08cf356ab568f02e9cf1acb59403fce7572cf1b03c7eadcb54c35971cc7cf22847692a18ce95aaa3ff767922eb76ec22e566c15cfda25e88954df211f84c3ee5f0d36c7b67566adc0eb50075ee78e4b6e390c7749e54b64f4fcf5d4847b4cf3faed',
+    '7efcaec12d7387daead404f0': '82854b69c4e3ce9cc3360c51d0a3084826299662e4f54ebc00ffb0af0478ca406b8104808ce8d1e1cda2a6bf6dc17e26d662eb3fefdb6531085c427c77fb46fa88c9aa708ce957066db2c61ddc8bedc6546fcd32fa4776e13e5f7eea7286b7de0a6d',
+    'c62f27aae17d50471a4b4e26': '92f88e19ef808ec8410fa644d696006a73dcd8de27aae60879d1c9f3a41c880261aef01bbe3065ce17e4844da3ae9634b50f05b5c432a7c00edd636bcfca35eb385217363a86bcf36448726cd67e6ca21998324a1aab77bac8a008738e9eadfa284489395116baafaed6ca2b4fccfe6e653b',
+    'c8cd2228d3d11debfa3e319f': '5378f5bf15f1dc7454a72089e1e1608041620921f77b7e009f2fefa095c16ddd4a5d57e3568cfab3e331ddc5978b845f297e765248e1af5986503bf218f7e1421e7503e55b8190783a55c05e2335525d0c5b708b08e8898efc4123c17ffa20a0b4877e09c1be1c17bef79e8821e14322',
+    '9f5a60b422baf3babe035722': '0b28a5dc29bee7a9ca154b773f80ccfdfbba396562f36f4da7476e7d804cffc0197752b2631224861afa946ea7d342c3bfbd590caad55c5f79744340826633ae4ab5b5cca2c0d938b91b5234521c7b7b72afb26a24288f9d8059ed23752d10b9894cf4af58c1b5af64abdd5b12a557870bdb3fe8c42a99b3',
+    '6930aa397ceafcb99fc84deb': '8480160ffb0e46d320d70db539dfbfa815e0b21a01266ca6bd1b60422649f0e02924ddd01dc343601d782864a0418ce8fb120bfb90b0dbe79c5dbb5231531522419d5f1c13e2b7f66e3bc5e687afac871ba2c6eb07b27c9f9f8e50f4fdf2adb1648ef09840c4097a0b67d0b18864',
+    'f0d1ba218acc34601bd791dd': '9a3ecfda6ff4e355f87b064f9ca2a56208499e77cd1bf7d184646ca10b91af3f2a1ccb43bd6717177ee81916df1da3f0fc2df4c50482a7d41ad98e0d820966e35b3a3716975d314a2514b3a2c31930a2fcdbe7e04c3a7c54c9a6403d6caa469b26ebe0296c4e57601e610528cf7a9a11ee0ed77499ce8b76756a20a3075635497e8b7f9eb070a6c30e2881dab18b1d417c33d7ce50b69abfdd269922df7145f2e0f242f0ec85ae21b725eebbb9d97ad1',
+    'f15db0a46e2d1b457e1108af': '3c7597b56465023b7271bc8307d100068ca34921cc464907e1116207caf62553c5583dda24697625155fb85888a4defef6a046e78d260b503ad257d5796220c6b2ef2783d4c9baaa61576d6a11587af2928a2ddcef8a7954a267d7340e5781c6c9973fbcd44da971714e6284a6d6ecb19c13f6750d76a482ad1b8a297b5d2a2a989b148b55ec01c0d2f9f126080c092c2d28',
+    '18ad146dd621024b699cdb15': '1d3cc734d4d87c05d021f0c877dd4fddeefb40e2918faaeb9851874569205d3b376b95ea7248faa160778394ab12690a468d8c3d9ebcd2dce66683e7523a2e04314ab8b37094d3400b751a73440fe7cc7565a8e229ca55c391223eaff6530d641363eba7edda2a54',
+    'fe6bc2992327d1912eec3217': '7b6b9b8e68a6ea48b59f088ee14577c50903d0d2def0ba0143f75c7a82f7976f57d9a0d4b72a1ad6e88656873671fd4d63b479debe3999f3b320c1df114f680dcf5914d6c7456af7de99cf8aab57cece5c0a674601847a74f0f0002eea5507bf8f0a04a8d382697295b9ecc58ebac02870b03ed072df7a9bcfeb9854201eea82dc3a321b1051967521ae',
+    '7956f191448ef57501fcedb9': 'b78e708406defd4f4f1b551b625118132fe30e0da7c9a58cd2809eea952641bf040f6fe6881f1e6c836729ab3904d00e39a6ee6a94e419b243b6b954ca1ecaa9bdf5090d5347eed78c5a14c5f419feba4167e569f3f8f2483ce94ecb2fa9d557c60c64ba361aa9a6fb8a9179',
+    'b0487b5b6163a302688fa1bf': 'd26f547e5b939ced7e820dca737f27695af5ec199313c38b400a8b341d271029b6e861d3a2c2b2d91441a1d7400673d6ef003c421f918da29ef2d54af54768bf9d2f1f68daf104fa27b6e5b5a314f11390e279d4a454e0d740fc513b724e231831ac99528adca9fc18ff329a23d2770fb76bdcf31be8ef8031ccb3c8c813ddef8b1e98b1fe0a9db4289acc632bb0146660678b0664d1a62c01e98367b2e469b3cdf6',
+    '635564ac023d889bda443364': 'ac0b7362f90bd5bf542e4fcca2f68dbbb15c82655749afebd53881cf106b1ab3e962f03e3f31ba3b1fe7a6cbf3ceab9192cc0873322e2363566f80dab30a1b4f4b3ac267c24a4eb60598967207981b21d0c1a5ea4bab5eb46e88fd71fa79f252',
+    '0914df6714047b698f4946d6': '5c751873c441c1cf43123ce1682a0b40ae21e42c110ce08159bc8dcfa31955df9a7ab11d7131932dc83041a7434f086fc8374c06c61428905df7b046242a3d203a64a2da6c3854b6a024f911385cea7e62c631a71b9a34e34234526f65d1c18d6d06df086d807e51dfaffc6f5dfc4fcde7fa4cca59a9dad50f38cdef5b38f4b8fc624002e594abff4777a3fee2cab010215d98573c8c',
+    'c6983db3837e8ee5dda34c57': 'e48adcdcaceceb65a3266311c3beaf83378c53176a4188f394a76e3b043ba2bdee9c860ac59455675424cb760292431bfab55f993c521d001f5b1eb2d8547cda0938084a961d0ed07246489a7b2ba315d4b249cdaaece3af907745c9c0af',
+    'c073b1b416e1fc44b00baf26': '7e524a590b51cfa96c908afe45d7d3d717937d339ce17e938ab31729ac0632894eb29d0bd823315ac69d8574df8933dd1ee9a40672e60ec9903a98a909f908253069db44e1ede83c4e212c33cd226349afc3fc2230e1c4ce05a242b8ab696516a9c0cf51a6c4d29793efb4e13c4c6e7b9e3025399b09a6ecfec80a2dc5a4db52caf1',
+    '49bfb40639c94ce5faf7d805': '5e7e16875037141b43da8f8ed85be70d4684c2555b9cdafcb8b655860dfb166a07c9ad5e6fecf0cff04b9c7456ea6b11906a705ff8dce9971e291dd0a3ff8538163fe51692fdcac2231d34bbc9cabc7496ea6b23d75141a0647b5a1e9e2d58705f7834cf537d01fd9cff',
+    'f4551aa1894b802f0043dbe7': '975195387e60f557eb48b63170fbfe91a0c182555583089467ff442cf647dfb807dc383939a49509a93af0bb6909ba48fb28c6f1c4c2ead2da49c7c650f3030b8adc7b4925c06e8712ff6d1c1aa32ff2b331c8f596df08b69c42c2ba3944e41b81d1e6a0dc60469a5e272fe0179769cdce1a304c4320bd2047e8c54cebf4d5f65833e5f78726282a1277',
+    '4c93a88bb61eed40e3ffddcb': 'bafce98f32600a1de4e485c7766a147c40b37d656a5a130a44bd9d8caacbbe11d20709d2ee60a281963a1f7dd2ea779694e13512120b15439993f1579e6466390f8f8d35a5a69e9884e3fe17a7d107fbb85ed892be50',
+    '12a024a84ec2006783a29514': 'f8b9a410bd465a6aa7226b3a96673e90d552ffff2c46a4e86b8520c7a7744688787ccf88cf89d4abad390a0d6c53482f75eca34f37bb63e9b474a4fc5dcbc9f4389bca9fe2ab6fb5a48adf3417746f844da84a5998c1b48e33295b3d4e126d7a554a4a4671788bdb81004b0c6f00749e18d38dae68133e6ddd791b366eac',
+    '6b2793554a771581b4807487': '9732e6df11c07248ff6b2f90ea2acf2e69d3f47fde38397573aa5b4e2914d68869d16215124830a74cc34497e14db5e24f1a0c28b74ae028323fca914682e54fcf757d211cd04ae3464ff3351af08c232348145ca8c1258b750e41f71ab2ccb804d507a0d17c7fdccccfe016cc757f03523450c11739eb01169103c75dba34819fa8da1e346d4e5b7edbd2e6c008f263',
+    'd3af2cc77de6571e969f2658': '0677a1e6a067dc8f3292e373414f7eaa08d73a0f551a068ea76b2e53cc681d91df4554494f9ca5da36743826355d43366ee1f240b1dc4e03d3a93153f146c40820ed413ecc4d64da1673219bc62e0965de671ef0049bfe5768d53648dc315f7e640d022bc112a3ea2274fef2d93c9561bfcdb246e76e3a4ce3be7fb9538e621aef89d785dfbb',
+    'ef2582add96e9864c7c5ada1': '537db459aa5a3c40816f792e9ead8251ddc50fc9305e229a2e08f056f70b33b07b84321ca133adca941dbe26fc8ba3e47ec95391a5815dc9a432d4abf27d1daca5dea6816092057664f093f285158edfc4ab5881f60f85710334d5d24b273ff6d82747ddb457cab37b63827985d368ff8ce9f4778a81fae264d3',
+    '164ef0566c38e3a5fdd9601e': 'cedc7c6827ee40e7051b7e96a8101709cc9a65432ffc80afd05accc4610d64a8830c4d4a1d8bc8bb4650314a9581e1b6f801718cd97a0ec60504cd3ccfa52794012027e1a6ba28d3f8ac24868ea0681febfc6a8da7e24931653c4758addecfa794af8af74fefe9c1837e192456434fa213b1067ed9ff6ea78e239e3d14d6f7d3aa6a756e556ea0a61b85bdb417ed8db0307cf3b72596de774f0806cfc3db36d2f1cd59f1df61a024c58a',
+    '7681a847d4319056b20692b2': '2df29950cc330a8e5801aa7cfcdae592ddd44fdc5c30e563079069e62972fe83527dd13363bb8963d60491be5b18fd0456e49e9455c4c0500c52b8b5c2cc2c5aebd4db0789cf00b071ea884d3ca73dffc5192c7e37b67d54192590e0d3151b5775d257e719f0475a7bb65413b9e151de3867e90c3c4d323b6c49d73e49b9aafeaff8cbd1c5d62e81d6c59f04',
+    'b523c5160e6e3941cf6c68a1': '0660e2754ba7bb2928108446db24870b65a4058f5c288757b46c186cb85103d8fffb09ccf02d8f8218483ad3888b0924a4d9f80e51b0705b1215ce2a3fdf530679a4f53c5ab9f044a2e21d39e27c9bd6d14e636c',
+    '1fa34e485a37bcc452e3c40a': 'eaf82a34ba9acd9b9390f10beaedbc2723b56df415fae99e565959f709c40acb6f06efac2e246a442361b593784983a6a55857d736c36426ebe623d7287725fea334f6644775dd614d1fd1f39bed6efb240899020c6100a5d0c6948253fe88a2b83b87713ed9efe7a7670c58c765fab9',
+    '12f95e479ce8f111a521c9e1': 'e5c4aafc5373f9eee04d445d60fb4f2e4fdcd0a64166ffe8b064bf6411be07599d881d552ca09ea83a63b8a58408ce96e2876b87f1bb596f329e7d63c88ceec1d76f0f884909e45a4c03a0bf77a72a93643d30ce6fe125d525f2970c8d57741d7011fc50b1282ff59a4fd001847bb5fd5aee73b762fe6a389dff0023f564ea2e7eed15e5e9942cbf5500642874176594',
+    'aa5e8e53ed78d75ac99b0ba0': '63b7f81b84b534f46a6cd0eae943954f0342a0d63379e708c358f9add3e01a03aab509d4d7dba45f161750f17ddd765232f92779e4495b047c8fd718182055051e34b04ab34c81dabdb27cb3577fdb868b93180a',
+    'a7f4eae66251e0bb1afc486c': '9443671cec6623e07832f56c36822ae9de2c10f816390a867bdddd79c15fadb8288565d4081fac26fd704ccceb5f03a8a211c965c4114fdd907400c01331833d7ca681b32e0027f4c03e306d59be518bdd6c833489d0390ccbc0d4bee55b4094206cdbdd53e4c03f27aaed9a40010792faad82dcff4fa15c68ccf8b97e63cddcfaab7f5c136acc80847e16f4',
+    'dba781b981af75ddc26215f3': '827b21b4abe454ded59e0b80e54ac64c82a82a69f733d8c14d3d4deee6a83d4a3024315d1840a9c797faec402c7600367e89ca54f813438c734002d11922fd6bef8e98ac5f99540819efa4bf2b20d50d5d4c665e5fd323ecc71121bbdd47b181be512667d893',
+    'ad0f2873945b01ede5f5e2e3': 'af87648c0befc5ebbf5d2ad0e31d493e41360257f0b0e0780eca792e56a770f032c3507bf4bbb6baf8f9327b1a959e78c7a85c5377912e6deeaa402d5dec87b60898c83319e48f71ad8b1d2f79f8ca8012084a967b57b383a41cd0979f3f',
+    'ff84c8bdebe1fcc3f3e2a52b': '62162b2f17cdf5a2f1a724bfe94c6ebfb3fd53fec205c09459bccec13b897649103d8f7780ee5c36522d805e0aa17e4460aa48ef310a2d9a42969ea9607ae891efbe2e7462c0ec468a5d0ab57c40d46de20a5f8063d3d955c5ea9ebdfbd6549e',
+    'b050da63ca506d91ee439a5b': '7652cf5bade2e582b8915672b03451ad26b9f534bff0adcef78b0b803bc021c609b16d64c1f3ca09fc52c9b32f1ef11aba0334a937e821533f2f71b1e4a9263ad09fe702d1c5a3d46ed069907ea615cad4198bd6328c29907790880c6cb8bda4ed886f072c8d62cf4b1de0df324c61aeabff14ef02dde5c1a577',
+    '33b660269c5ba6ebe564abdc': '694c0ef57d354193be741915d0e6e1f46834139d264d906bc0d13538ab392c0539387680c0e7cf831cb7a92362fbaafb06add9347cc906b9b646a2fb346b1a65051158a6f4c74481853d93b08506da110989ae3180cfd790b703d0837044de6477910923878d84c7d29e79d06766',
+    '978bdecafb7ac9f4df0e069f': 'eca5fb0497c22798f55408861b19d90895999ce7fb66d9f82bf94bc45f675a59e15fb4bd75ca1a9c98bc1ecfb237519d94d8123807f4916742d31c8cd00fb5b239b2ac0a0d52a7b76efbaa9daa0b74dec4a055e5c294407919144fab8177adc24da5138ae14feb2b009f7dcb4c88f357ab1a4c81e87fe231e43d8aabcbe0e94b4dc05baabaa06b20',
+    'cc22052f26289dedafa6e984': '9b0d40b33c4078bff0927381c7a7eb8cf55ccad1a3476913d315c50ee85db40477b11a33ed176002eeb6980d30a506e0327072dfbdc0b5e59e2c827ab6bfd6244714f5c05382a632ecf5d5079f3cbe79b0025c68c3201730d510960cce207a2b0f502fc253eee2516ce4b25a3e823e343ee2ba33ae572bf7368b4874964e8fba0e39e5ab0d05c252e34a275e7118dbd2de2c40735bafffeee1d25f3feeca0305efe0',
+    '54f922304197c3c8071509db': 'db0bc73a7dd74289cda593f76742d867d2827d30816d7f3ae55c91eafb0c2ddb92003c5e6dead39c76381c98455ec8813c3a5cb6e3c975980e2c4d69883896531264ed94120e93a02984ce7b043445aef40d15d4b72aeb4dc3e034864a2e7d85b0aee75cdc74211d3cdde904f067f8b3f04db58c6e89',
+    'ad7620452670cd49e931a58f': '4a5329273d31a6309ec421939e4f848aa1861e3b522fbb765ecf04f0b638d1411100e31a7b04a14ad8a3fa722025b30fa824a7150487d5e2b25f9722639ea6937e60e2ea0b613134815e',
+    'db9e48b0212adac77a5d8926': '43613288834938aa445889b290de69f4bd1a1a6858e30f9430a612ba303cd945f72c67ce7534262b670bf4762731a8322070bbdc09c461ea2f566441b68ca27e567adf54ccb6607de981047fb709286e0ba6cd6e17022a57865cd172356259d37d1fff6e2b85f103bbd9f61e0a854b9439252d4fd2d9d7291c255ebab42f30490c6b7c05e287760dc3477d8446b49db0',
+    '8a971a0de47c5b995fda931c': '4ab2fb57e232630a464b685a219bebe1340b1e5978944c05fbc7a8309029592d54f468a1630b5c8e1c81a089454bc0c5b1e2098a6cfdff77e9d4c0cf80e28e99',
+    '30776c62a69cbbe419fb31b6': '1eb98062d7a71bc979ddcc9fb8248f01d50c7a3f6d55fa6cf472899f4ccc075b649ca27d913b7a077ca2499a3ac07cddeacfc20d2a12a3f29af1e6de7623ba48253c55b9eb70ff02a56dd046f7b23c2452600f0c44ab15dc7d0fc77b11ec97da6c38d6e39be91af69aa1719984dba5565d8514c279fe4639447a',
+    'e42e905d3bc2676577b86e5b': 'ad3487353986941cf4600060132a86fdadddf80d48d31449c012ab610cd0ab98b5e73b023164e4f4d375274fd4b5021638792236e9db59d2ee5e03a873e2ae51d4b16f89096b69a1d4264f8f4b7ff79718ac6ef2da1d3ca0ac15e9b048a163bdf98fe20027e10ea11b6ba8d9a7cb73558430',
+    '2534bfd85b9d2269847c6430': 'b3bd4d447ce8567a909ea1439103665bcacfdd70f26dcdebf1229678ab2071b5bbaef5d14d4ed868a993da89629517a5130aafb62b0fc22008f456c4c8fe085c31373fe701df25d9186b245bbae4c6b8edd638b2421e514ebdba6e944bc227b63ff2a68b4dc533842dca745f764ffd85b1dc3f077deafb02f96eeefa34254319244e4da2fe676281c56a4dcf50cb1925c44e',
+    'a80c070fb9c5547ad546344d': '000c5dcc8097e0b176616b6430cf1be2e7c66e1c96e487dbbfe9022803d3e82a48d93f57c7c3afca1070fe446d7e0f034dfa96e9efd3032f468d5bc6149033edcb7ff067da2e767175e87768d38867139aca3ef0de02431e516e2119c405c71f8ef7',
+    'e360ede278586a65d4cd438c': '711abdd19a5efad224df5608e28361a9796b74ede6c1fcd3ea0ebd16da4d896f9e946dfde04ad276e914f45c73f582c44753322519058181e31f2fceeeeba48eb6b380afddbcaadb986e4312745624808a4d622af4f674ddf66d8a4649766a8e3a10dcff808d',
+    '693447a664abd448c1643d43': '93c13f828adcf0079590518da7a9d52766f2ebf7707bcd65d9ce4a4e497d55a1f0f4c8d636ac0ded4d92bf76712d9e9786afc69a2163a5fd8ebd1e9ac816a2acc31c674a876df73c2b56afdbf49d031814479a9ca8e095c69336f44073c95d801d8f6a6e12ad9ecab42ec3249407aa73c988',
+    '14e9518bafcacaa0d9909872': '6fae46db678bbd7c98ee6a5de08aafc50bff68195bfc2de4eb938d40011a6b845148411b43e687963a65365201f30924b6c4db5ae63b19190284df5b643c22e9cdc52d2c65629f6201e0eb676ea3d11fb1027b8b6c8bc6f59c3ef6a45d91d9b8fc3ba0458c20d256c57251ec9c5be7eb34e02d1ba8579656f233',
+    '4a42a3bde2adb1aa678bcf11': '8174e2a684338ef0c429479fc0d41e49350e31ad1fa737c1774316a37e658d14fce69b2e724cb831d3cf2a1587bce4bc37eceea72d24cf68a30b2d9f6f0b9ff27e476ef501b90da8e8e43e8081b22c6a6fd89201799ad82bb77bd106f22d812aa5f99a830b7970010535574ea652c62a1e901f76143492cdb18d6426',
+    '06f1cd654dae037ec8f46cad': 'f5cdc99d3a3e1eab36ff99e5c2f9e5465c5b868db642bf287c6c12737f781715a47001f1f73c4c4727ff70ef438e6e7e7ec76eb95df65dede113b268c138a1362a2d797db481e6b484e4b755be1713faec31b79b851fd0c8a5642c58f68f6c9d107ce0be',
+    'ea79632e28763ab2920a7628': '489e8954331b95d3fde7cd2725782c7dba5199915ae7907941f539ac900c806e6692aef8fd7119ae9552d77c360064f854431bfeb643b2b9cf6cc330c64eca091ed82ed031343c9bf9ab9d9c0c27e62994bd7f15ed060dc030cfb36b997ff28a',
+    '28b4905b865e03891a5e942a': '3e520578daee16a7bee38960c91d1f426d3c9a3709b6692779d8095e4c0d517cf1caaabc1ba7c1ec7a3389841dc3a0bd599676e13836cb44f9e2a37bccd745637e7793b14a9efe07b007cf2bea201122d2f47dafa18913e6550b8bd2f8354681531b9eb3dd3160e0d1edec764376e4ec117ce544dc4226d741de6b2c158c6a3231e89ea206b2ae306ada8189db0e25f44a99ce6db1879a7114a46ecb07ab',
+    '1008d018e7b94f9b461c4d30': '50e1fbd597f707c7c869d30dc0a20597ebee935634d3ab517f1371fffc18e6bdefff9c0b72c28d628572417b21b4436a79ca3608d4670f36e2fed78280ee2537f3b042c1a0b7a01f0277c107ee44969c6c8c91a9ef30a6dc09a3518b6b7ad41d557ff8e54be651e0a6cd1193b3acdfe0c188be40c3232c87f83c1924a9c3eb0f2f7100a54bdd2f95b3bed36ce47c33473d68f07592ce',
+    '8bee7daf8fc677a4e123eb87': '84dc23059c918fcf7cdb00d7fa1ec85a5048e43bdb53e01f9103432ba02a7939c3dda406bd16fcf6002c7c7c719eb555d9ebd3dbaa5b39281dae7cb993904e011a3b7ded2d5ea56446564662962bb80b01e495da2afd0694ccf9643fcc1c0ee3fcd2fa5f35a52d3486ac1a2307ec280a9bde265b9a369f4e62ea0977b604',
+    '2c9e436d8f7591f007edfee4': '14a9aef680f2a76960b3a9d86c5da1ae62e5ed8fe0f24b0ce1b8f56b97e37fdb78ce79218af90475066e94a6d6170f29d2d76b4438116a75452054b84e93f0736071d597ce9b9a4964559dbb81a67409d93d098511ee6b51de1a70aeab467705d6f9',
+    'c7f5a189f15d0caf1eaef81e': 'ecd708ee5ff652eb116b8da93fa3cda693329505240d15c9486a7a853809f78bde07d3cded4bc2c7933ca51ca1926a561df9139c524350e5d7ab25988e2e7b46273174bebde70634f1972b1b5f277dacd65e7f46ecbdfa320c1296564b040fe73c6c5a0c6120a1cc2fa7296758c491f1699bc62efec2a7667410e314c8fecccc76eb8133129c9ad06ccd3f81bd738fdab205e2d4',
+    '3c496456a4d4f2e0bad89721': '43bab34930880e590e137dacbbfcc915262e7a46b7bc093e4feef8b990f6f13a6d11a285129210078b0b58ad9bd6a54eae59d89807a89dd3e7e9b3e41d9c670dc64900e54e5ad454b5d6b0d572580ce8e41c48ea07670a36a1edd6afa18552a2e5060fa02373d75a82c3e7296410f55430f54a35',
+    'ff24e7753a71e00ba20fd37e': 'f64ca2b5b3a92359aecd573b76e853bf3bb311e5cdf46194fd7e7eb37b5fbd3435b1875de882588c31eb8f6710aeeddb7f6cef7af0765c8debf2dfdfbc346deba50a2ba737e7100653ac17d796f7dc1c2040f47837b86018e2c9d985ee892b9add306928434381787c2f16b0b7d3487997f3f0079a17a69058ea9797597a2b44da59cd932c56f218bdfa36a8a2757705bafbad1a58c2311c022c621cff6d39f62c9633980ff89dfdd1ed29c398ffa5f317a675f7aebf2174',
+    'b5b676d6cb748956bb2a037f': '43bdf1e59d6c2b1ccf3312cf166d493d4d0fad322d0406a327d433591e202a45fcfc6801775d23d99600c2922a24d7e0551732d2d47e9ac06649d2e49d2074d107b8be9d047b9e833ca25f4ba660b4735d0d344528915b64e129685e1f28a60882ef539cc02fca9ba719ea78fc540adb5ed9847939a5ba0d0a7035bb0bd3bd91',
+    'bf20c9102d3b9c34eccdd842': 'e2d73a68660c08c31bce9f89bffbfdf830cc63485577ebeb04a747f3e305c92aca0941e4c8926ac11e1d9b83194d6cf46d99620f64d8a740c750adfb757f24c8cd8f03854b926a64e79332bfed3d00b1b5aab320b799a213eee23793c436d237042d3e2258aa83e768a6aed7283ec1b8b71fb49ae8c054ec0e4a8c2b5460f19eb7f5df586544e42acdddd050139a7752',
+    '773c9facc7b9681207056a14': '8f3c1174d7574ffb6da01c011901d339c08b841c206dda7c8ba8e2ff43597626f5e41626fd5050f08a505a0bebdde0ed6f86584b566a4f89951e2408b4d3e4e2035a006b350022efc1402991d13a9705320b331862bdfc243be4c084682ad5a7',
+    'dba611a8ba6550846f352241': '9205252fd3f411bb8be2b40e8f5d3c338b033cdd4f09ecc9fd6b1c1da8e9fc6a08ad039e48bd57ad27e960cae7e0b68d9743a17448336825e39aba94ac3a9595b68a3f35677e396c5dc437ed8e9be1cae451dc5c617deecc4e832e529b4e5ed8ac5043df2287761b',
+    '253e84422aaad717e18a1b34': 'eb2db80c823f89dd182d4c645711df2b2815c64509ea59dde034e117512f5ac376389bed868d478d4abe6109f695b755a74539784d46656e6f5b4e9606ea1daa3f4e7f6ea4ef779443a948438b5045c42a5e9fb97de2c20be3ed0b3bd83ec44e36a912e7a235b139bc92453f463b2f722f3be8d01f73f3cf393e4806698485b4edba919486d5b28b67f8fa63817e31b3d1a9ed9ed760a448ec4d3f17',
+    'dc61043c03054624959e256b': 'ca1ca26149734459efeb5128546b4f51136f1d61d9eeae2fd410e82a54371df343b798836301943c636bb1fee10a6c9396b26db8a1b212ada9d2792b9278a39e3e3efdec27ddb8f202046b75fbd011bfc44e6c74',
+    'bd633a5c341c90e4d66b0b9d': '8e5f9500b2629bf733cf7614b22c1b554c02c4827faf789f76b041c8d23313ef80317ea7055214e1aa0fadfc87282666667cc9a0ce77ae5f62a5730d82b99ad3e6096e35631696ede04239daee91b17338d5ae0c17c50e2da946',
+    '5f7bc766699da1c09041bd37': 'dc5ed135d5cd2d45bd0336fc0665fa341eac6ba746148523dc1799c3d7d3e0aafcc5fb46da979197f4b33f2857b51e006ef456a8ae402e61b5bb8c3b7301a52604199bd08c52a107002fde2ff4c523d292c1e31d51636b710eaf9f69c92e4caf8672c9887f073a06bc4e44ebc302c81b',
+    'd9782e5d83a3854abe1e13aa': 'ab17356c9032a8af95e7dc69354890accffcec422f694fa94cc8149310cab29864a7fce493e53a15b64c205faee5531a7a0c93c60b0f1661791920edbcf04c3030f86b9f4af4a4904610d515e2fc74eca974a659f9c668096902af29e8366f1729b60f7e003502ee652814c1a8b0682df7567626cd71ff28391b172d25f67b19426b518e61f3',
+    'ab12f2f4f64e95cb5575934a': 'c78e0187a626f3c0f1cfbdbfd96f460f40276babdc30d0b1208a502756c5a70e1524ecce0cd8daf582703b30d4bbb8e1b1083c4692819666d381def8a1d5b62fd5bca560cf4b359874d7903e0a37ef69ababf85eab27efaf9ee10ed1ddcce6aafae3d05ec7ada78f9b4f74d43813397dc3ef5f1e3fc5',
+    'e439bf8838846be1055ca9eb': '3df1722f4cd80e2772dc1e176a4c1dcc7e28a036ab9cd718b4ffd1dfe316768dd27dfac3cf51d73b0ffa03aee877082a115ce5036d326e60badca9b94c73d74f3317e3a06a5ba222dcadbcae25cbf47213271eb00a6637072b10e195f16cb832947eccca99c057f1498051ec36e688ee7c1dae76',
+    '7d0ab60db7a37f49b29563cf': '34a6b4f169be2cd04b55760e3658fd01dad33786d92d38e2db87f19d6265d7c4d0d07ec6c181bd227f9c58ad4fc636629ce3257881a12678b125f547322a652a566bedc15175a9a78d0f5853c67f36e19c42987363e5d665aebb90c0c7bc70f66974fb5bb049ae8410104570f9c75ebe7c7fe714876158afcb92d5705cf7e5aa3176ef4da05d',
+    'e285c4cbd80df086934c1ea3': 'ed2fbd289b251de5c64624ff12ef614c48145f5c82cc937a72cd76883c7e345d2a80a80a7d32656282bda32191b7747de7effc724badbee367d7d183744d5d5b219e2f6b6fd61098360f43e5f2f9f55a1206200f7a3ee86b3cfc719bc729b93b55954510a7a80a556703f02f56226f0bad13c048',
+    'a6eb53c2fd2fc083203c2695': '5fb80f6f1e203a64124d171bacaf85712724feb15476249f0ddf53efd417e8204bc6cf92c5d80fea6293b45d4ba555fde9ab5046504da41519d9a6a08f17dc5cfcb1270baeb6ed156dc3efdc1f554b7754362e81725b555af08bd56a810fdc9949e30fcd8ec4a2969993a416c9aeafc8a8ef579811728baba7ea5e815068042123bb2116c29aead364d19fc92279fe380084a2e9',
+    '7f8af0deac4563dbe7c5271e': '3214bff5856a576eaadf72aeb96828bcada145f27d760a9f7a8691dd24d61d0ffd1006bbcce720d5d6f411c275503880cde8fbca906978fc416ff4d401b5e3f7769d01fc4dd2427172ed04aa0cfa6a9be25df78d23e93f0d11c418b7afe98a1928d8d8e69ca59e6e467cac914e77',
+    '9fdcfa17be819e91c90c03b7': '716c2ddfa58071ba612a6677512b16ab4b1bc6dba5d6671e8e89746c83f29a4effdf49a79ae738335b6f504067c71c52c04423c4fed20076f221b83701e949d1c7a10d706c29b5b73651cbd874c006f927f70594afe682e514ec0f1be192578be6c4d338eeeeb109aabb',
+    'a2cd059e3926236da9be39a1': 'f5eb8fd86331ba991787640cab03e6da8f3207914cfcd303f548b52c6acc1eb973ab9285e53dd665244557c8eea744ef716cd74235b9dcd9dfb2040e8d355790b9f15405f729a2806a9d286aae4b12ce549c61629939f7943acf3bd85f7470f6f34455312d2ea5c2891b29a06ed7d2166139bc9de46c81425f73f776caccf0c53a91eceae5e2cab6fece8fa48fb36b8c',
+    'ba8890920ab7e976c717a147': '9bba9745795404d04879faef08f5b187961de5547588681515818508b48223fd398fa69ab131cab0bd308eaba313b4a1247d6c6fea497de53c030a1cfd703650e95fc8e73cc95d4f97db59d0201389b2d16060c4e1b608e04c4edfe8008421c78cfec163880c52d9138d3a601ca1a577846fb2f194699b613b5c84ce8021d7518b1d677c52b0c6683afdefb2f569be0213aa38206813e818daae2365bff2e67ba954',
+    '9cf6a9042063e5bd41e8ec22': 'beb208beca6803b5d64543c5edaaffd840a76015e3326e076429ce0c88fc0792be12f51c085a2403eed710d2d58ccf7b5edd4b19269ee187a78a467a6ebba0cd47294e75e74da01f869e0fbce3762b750f1ade7836beeb9a5640bb9d824bcf651495f6e81e1de12308ba9a1dced1b3993452b3964621e362fc437492302a9d77f9e2',
+    'ba51b7d8040db88e891adb29': '1e8e75be28d8a38e17d7668df0d5e2a35249f97f2829e6562ef8ca6184bff9a7202a0fbf7160010c291ad7d425b9a2fc83ea4988d1da3d47e8f80950daad20fc8ba569b662e911d797b3774d9b9dbd1fecf5a26bb7585472c178b931ad18d157e16d02d1c2314adb10f986751fa1fb0d2a89f19496c8d65a68b96138829111af2a88',
+    '74f7561998ff0d0d0d3ace06': '72d3678db65c6ccb371d5aa4d168ed1b38b413835b6e4a446fea75b9b933dd9a60287a8760a67b3869d03a4e1ffd9e1ad2c458b3d242fbfe3551ff9f5c8d9cb0d841322a632174edc89ad2f91abeff101ecfe85b82c93f7655f031dcea3d48978f26a274eba23427ed985107',
+    'cb3ad86480e5a16c78d47ec5': '366ccc565050f115deb92f5b016b0d262e8dca24fb7c8989bcb436ca1f7c8b022f295fd4e30a8402575101aa37b3f82e9a277a68d06f2fe16a40e4e730c49ef33181bb37121c4b1645eee5a4f0431335436a01ead8d7185b7e8ccf001d83885bd12d3305db8a0eef3265',
+    'e34c6d904962de5c2a1f3582': 'b07dcf1eaec156d0368e7098e9e444da88439b052df04e408d9a26fe7f30f004ff4a2e352cb87879c78c579504df768f0be822d9e102d08a501404ea4abb947e05b279f186aca53334d12fc97d809da409c9b34272629fe488b97bdb104d6d6e593cac818b8e8f0ed6a0bea3dd79c755cb9100103af295435028e01aa0319b4fe5c877cc8350758131edf0bd3debfa3f4f3d9fe0196a',
+    '2979d07c9df0c6ff4efe3eaa': 'a5df4832c65bdb3e39e58d20e16077a1107d8e8f36c08b9249f131ac9802025d8a2f8f02e93124e7df9800e23a7c9aeb129f4c11e7e1db2589f722059ee380e589924b9868020616fdafa98a3fac045b2b09b2b75abda9ba13d769bc90086ecc914965c25adc9270ac47af32c6df948fde65fd656f0c8c910c83db4e70fa9d15eab0d5e77a487b111fc970ccd0b47ef2042bd2436eae',
+    'f4ccd74cc84c219e0344b6fe': '522ea0bdcf3871fc582b02ebd415842cdc99aaedba1706a4b608e55a40d61b663bb6db32c7efad6c2c685d15cc007bdfde6924c69d2c9d1e3c40d458311f2e7c2915a38ae690f24024d8afb8dd11158d3fc9cd1339047318256525e3386699efcd8e6ef1c5f587093aab312a87c6004e6144b04649ef7a59ae0518a5549e5e02a37b47454162be7001ee3e6be9f6c21ac5d3e99871b4b8f4350b',
+    'c77429554f722afd0c0695ca': 'ce9d0d51f410dbd813b7e49c758f4e6303f96d649fbeb24bd4bfaa025d6115e301f440e013385e2fc19c7e13c6b4e186288db47af2f7c48b3eb21f529cfa30737ff96cb4ef3be9a7c2e798c2a7cca0f0e83b250c3ca88c2ef7a4829663e99e2c3be3536776b01ddcaa6dcd0c92cbcce3b32b6bb2211075ca1282da3a6f2db799781c8728527c924b376f3a6a781006c8',
+    '6a8755fa954992d797705929': 'a798b64883873009e7768e2720c779371f97160a6f5aff042c3cbec28f4b27df58a869d5d2847167170c3b9ec06c1226a4287bdc012f083233f077eddc433b8ea4473e3152ec0b7cfc836670322e3eed2cab22e368e038c2cc936203f24a774945ce13018953c392b43c3611a979809018677cf7fb94b97efda66aea3937396578822bbdb84c065f',
+    'cf623456f46e2398ca4ce047': 'bc858ce79322f0b508285620fb0ce7bd750a4464785fe7287b177a10c72b40d0b58af9352fca2d489685e8292a91b78416f93967a471d1349489c53c7875fe6adb5d5a6e822beb162121e472737261032c150f049a96ec12401d9c2629da1e35b815fe58c7a4e3eccff8c3c07b6374dd',
+    'c752972e0dc520ca05e6deed': '0f9dd8b1d7de236513d5fac205408cf06664e98ed2f98912c3388c15c75eb7f76ef339f7fa352c039b795d726eb9a70320b5d8b3323c9b280a952d1b358b25a1ac1f8428a902ae0216f51daf73a4640e567cc84dc041edef5a96f47c7020b3ae439315161e12f9b927f751b96b72add404255fb5ddbd',
+    'b92c1f8bb1e7c389fbc4fd21': 'f920bada87b1d1a5f43db6d29a64efdc5616b7e696c61d87256f6d89d6cb46b060701e2cbb23490c6714b12ff6449a4d407ad700b96a4d6f061215009039b33c425d3e0f28930066d805e904fc371e2ee93edeebf0016836b885f8f62df5f851a1e55cfa763e9ab471915570a0b4e33b42171f0080e5cc04',
+    'f8a182b1ae00d38eefa823d8': '711740c377704a5e2eb48be0f41310e5338cf1867dc5284156389caffc4719bf685114eeb691c262adb34b03d50abb11be03fda810812c3a3f59b7e80ef3ec60df0c7186c515f70b7dd3ece9118f2fbae83e8d014bfa0b999c4542d388c5a059fa66ed54c70a5c19aeebec7435fdd70f682924c1a5f536efbc6891153750',
+    '3ceacfa0703f19b9d6d2dfb7': 'ca84477f9b49bda1ab1681a9146dc33d64ae34c2619f56242d077cd858bacb3477f6afd06d931baaf6d2516149764cccd6d7c3cabde8fe1fb8e7d6fe3d9c633543373ac240ac6388b09a446e013d9201d8c195ec954ccfbf2cfd52e2712f79d8fad3aadf765f9cf5f519c852834ce8dc0c4fc52d0a27628c80b797f6e5fb8419e2b1ff57b38ad4e98ab608a2af6e7042d004373ea1feac43',
+    'e8efbb309d0cd25fb65bf4e9': '8f2931168334d9566254731946a79b2420a6b119f856649d3faefa702327e0f3b391e27c0a4a62f71dff45e5f51805512b9b6bb252c4d60ea9875d8e3597840e91d38bdba2cd7abdd6ce2250e03dbaf0e0316a907a3297ab7bc7270e793a62372b58de3fda62c7523abd8a2d34b0',
+    '1351feb3151b2f2088e47843': '5d9333905cfc5783cb32adfa2aa874c0114e91bebb5fcd5bbba11351acd2bc74880f5b58f1ca4830a0bab4921806b6ac4f7b8a6dd61351f0759b9193d699ec18807a0cb8ae79df0fa76594e2eb13688ff2520685f395417e882352f301554b1b59659b01b71e909d2da97319a1f6d6b12c7b5bff65457e021ba547416eadd0ca0d97',
+    'a5f17b5c510c8ff1ad1b633d': '318858c930353c59cd5f8e7f45f095bcb497409b0d674820008538c5a0155e106900a4717a766d1c6c4262e4e2386ebcc443533b3c49be460411afbe37a170ff743843ebfdae500a17a5d03af8ab77dde5adc997ffbda115cde9922aa762eccc6b7f8e3d6f4c47ae',
+    'd6d18630a8f24db8bfd01df6': 'c12668a1989e8b76d42d894c5edade440501faebd592ffe1a3045d105e86a62d603e92927e37daaafcd55baf5a6e3fd6709aebb315c54757dad7f3f61fcbc6fa312e768128722100f4d60bb322c2d74e3f1f1f639fc16dccca4934343986aaf1',
+    '2c2f60d9c4a37052bff55470': '96904945c954ccf0a87faef200f74ffebd3e023b2cead45e643b0894777e25de38240fdae7b716f1a88bef65402a7f9b871fe6e5fe56414f2cb1d1fc2dc7f9a8f6c3c94128bae98228a3bb53d47502c766a5b159e04ea7bd33fd77735b779a3172f1a1f71b1b35d8bfab3dbe82a811c61cdff299',
+    'db5ce7f85b7476529b70fc31': '06ac47cd611af8c3f60a0bbdc958f08a0b59d8f75ea83d62df8861388213782944b8f5a27e10c8a49591a9661d4140bd8dd5cb6c6ece1238150e48b004c345e3d508d0dc7b120ae7654e085dcd8a5d2485040f00af2dc63da092c8a596f2dda6c2eb76fba34657742a049bd0a6e2b75f',
+    'd124244fa5a06a883ac897e5': '06b3c0ce2cbc942acbcc7891cc5ffcdf9364227262de66f4268013b499bdbf8c011247f81242d6b11e81517febc0e96eefe5126122e6ad3f9257a62a250e828f495e40887f067cae5bf0bcc8410b2c698351fbfabd6555f235e42a5031e583105246ad3d73b74b98ae5433ebbd38749a53fc8df56d81d982',
+    'c59368878fe6bd533ee1d46c': 'db4122be3244ff8066d14d53444ff14f4669cc2897fdf97943d52c012aefb450e0794a88b56c9c2b121ad2b5760a20e9e218a1aa9be960cd7da667d14eb5a06ecbc2e1ed9574c1d3df4666ecb757258bffc56a98a2a3dd51e9e4ec9f5fe26b931641e6890277ff15d0f7e1c925cbc8b82278ab6d74bbcc63',
+    'bb0b4c54e28f0c359cfa180f': '168ced6c9ed2424c32f7b4d831c6d89e6db7876a3c21a17b48ce15151cbf9c6a74ef69dd8fdb5c3e79549b67029d894d7d00d66d6c5e459ef61b7a6d2ec246d2139fe8626cf7c83b8a4b6a65ca1a9993bb8c5d74a0f0d40c2435760d110e02d58c73',
+    'f7e633bb613ed6542c4a575c': 'a6b5c68cad5b2d601ce5a532cb52a73b0054131f7972b4fa8d3452571eac4dec9b95943f8a837be7159b6d7dd5c378f7ebabdcad0723eaa6cead65e7911ddf96bec5097ee20de3a2fbc03f16a0955c0cfb4174265f18db5ee0b2e757d8fc66849d7a04c1cc9a5007db998d33bfe0078b',
+    '257a829d0cf1cc09e4af4621': 'fc88c1ae5293292889778e340071d1fab548a31a719768e9eddeb342f4943d06defb4cb0c356cda47954d860fb040ba32909eb6658a97d38115788dfd11ad4a2603cd075efeda5c16fdead36e1966d0182b31bfaa52c00a423ea3c16',
+    '3ff6c5d74d4100c15c76b680': '754d222d0e189274f4cfad609e4ee4440cbb11f42f32a611dbbb4e5b4b2e7ca850683d0294bea98a9e4a4a8365deca02c8c738779864bbc8498a89da7ac7b1282f8c91f64e2c559ffd72d2ec8e124ad8b0a34d667a88e85f82fd826b0d0fd2f913050242a7c6933b04901b1a7d67c8b512a487c3296d2d01270ab4ceca609ffde35e8f38f85605ddf8655939457c',
+    '626ca1df0980bdfeef681399': '4730b79e665affc65134dca51aef95738a3b3e7f8bb99b78821f0b041e2cfd70b6cd54beec295fc3cb0af9d84bb32dac4d935dffa15036ed628099f5be53069b27c2e10084650c40c5e4f051784522793737e7cc84ca618d6261f26ba7f833d9b2f2c811e046719b1b4b7e02b92d5bc05a8ce1ce442a9a70',
+    '7c60986a20f2c2bcd8d82cbc': 'b0632555f10458cce0ff53d5447a34f298893f7d5f01bb7590a515216a7cae843306db4f169e315c4c0e8f9597b6263cb3988aecf5426405ace9d3188ecd327f420fd898837f551f0ffdfc4833cb6b8f04196a7f2371a139404fe38d3f9699b611f8da0e92d6',
+    '60be152fe876cbb04c97223e': '4201dcd88bcf87ea4e8b66fca2afe3d6c711ef7b06627f3d6a940b52c47e71e099fa34090b2cf96293a6e7573de434e2927080bd81466f7d00374765aa0a8309678547cd9dcebecbd28ee11f8cdaa8390ffa1665a26d0cdca626935647645793edda3962d04c8cd43ddad80b1cac0e01e1e2fda5fcb570c625774e1803726cc193874ff705543c713a1c4ff9',
+    '8a83cb6f34cbcb6bbf3fc7ae': 'c892d17e7d5ff6e9dc6aea145a21bfb428f52c8292bbc39f1203350b728b250ed3bd64ca19770bd0a4add1a0cf59011e6b91b602c83939fbc5bebfab7c45a5faa6790c02d585fd5a44331ba705916ddaa4fe98d58b9d4f7356d7d1ea02d4b4818806afa968e5a5ae106d068640cb6803cf69a2b8a8b3',
+    '30c5538c18995ace25e19159': '6481f346158b433b957a1375052b6080d64cc725a8a5a1fc5af947792714cb669c30fb0a7c79ce24c2fb2f964a3adf2b7fe7a0952785e276fa2d385202f13e9d25b50f7377274c2a295f9fb47a6203f7bcf689df80a25858f76dfa7d39b67fb6bf297217e3040a6fc9578433f3f72147f6daa7f64c306ef527175ef088d74876',
+
+    // 6 letters (answers-6.js)
+    'a1da807ee9764d7f01c08e12974f': '87b79664dcc3f8fa2e7cafa84220f4f80381f37bab5b44090d1a717868140e3c28d5428f65f0385a0ea3902990f0f0748d132cd1ba4fc37ded2627d840b8d319bba27c45a6bc2a195d54cce00b3f55737fa8dfcae431b14bce07cb59cda43288ed53be285aec2fd1',
+    '82fb73ca42a1cfcd5e9f0916149a': 'af7243f3d57f781c62d12be3702efbd98d17eb36c35f27176e08f4ba82d582a9d5958fabbe35d64861b7e36e78ddb0b71aa04b3e325da51856b95649160dba889525f43cf58943134a1742aa094c3538602669be8fffbd6c849583b350afe304679ff2de70af08eb201a4aa3daefec522705c2e651ae2dbb76a9ae58948bfadea2e7be36',
+    'c7296ff2edf7028699c7a0e901bf': 'd9d6a162938c8125c0d5db01279e98cca0e5ce6247f217614a864a2447b4d97cace3e2875850a197b97042482f3782df07d66e8481cab823467d30b27b7f0cf86d5ff89010664b18f3b567e7f77e9389fa2f8cfb02ea1934d29c9ca4254edf0ef35ed500da5b27bd8afbb7883652d3aae85cac95cb87702bcc6216f3e4c270eed3153cff0bbc',
+    'd822b12eb389dc7710055549d19a': '112799fc5d26fed6b7476652e2038dbd08bca657e3f50f3772e57068bbe5f5410867b508ff149dde461d8995fa432192ee72e39df83b7575b8aeba1dcf909ecd6dd9b1fed87160d0da6c625e7d540029e1637040b5167ca79a7373b19c9a4fc81041eb29cdef6dfbb36919d894cd68304d6a8a778656a9fa8328f95232ba',
+    '4ef0b0d12c396176565653e6b927': '9f199e783e55671e43093471197557ef6a682bf27863b77a9b611e3846a829b6f46b4953e2b6c4c4d9fa8e532f97cb380a3637c10f3a641254ddb3f79cfa37b60b7afc3341bd231a8e2dfd03030d37e6c13785a31a1ad2dc2a396a03bf2b92d02f06dc93aa6a50b3efad20985cfe1ba99add48338381dd02d45a8ef33ee5a88108dc48d97228ae00835dcbdd46fd',
+    'a6de06fad4a700b00121b196103c': 'c43768e403b4ceba07a01e22ada15282c28b20bb487a5b261a048ae6963a5582d23808dff79a720ba255277387c5aadbc19fdf9535119a75612ca60f11a3e02a5bbb9254a8f34643d3ef0e43fb77e66d4337e5fab41f3a52e51f25cc13985d6517f9fb4e6d23f7238fc9cc9093c639651d194a17eb72272d83b4fcceeb9c771055fb983d175e93e5b25a454df352b7b116845541a4501774c2ad5c70919da8d0',
+    '6b119fb5ec45df5878811577f59d': '87a4865c5622dc40fe7fcd98cf2faca542272031ebf25f80460d864cf46550dbe1ad1a030dba7bfca0880ba275aa638c92636ea6b8020b6559c1853c808fd05fafa430ea07b7692d3babad6845a3e2483ded824de2bfc629bd8cbd02',
+    'fb7158e21bcb9acc77c3904fac0f': 'eb49a990e44a54215f5fb9daba3742eabc933fecce97ff6fc733a45fd25a1648c4130bd124a7b90032d923b41e42e9078b0f510a7f23536f7f9e93db7a10a184ae53752423d07412a9f1253a395773ed586f987e',
+    'def402dd2c864f234e611c064409': '8b2887b65a959942304ae8225050d0c61a9304213ad93b263cc11a6151bb62d5129a19e60afde9c3b933aa1c87924ecacf1bfb0417cd99ea45e524b5abff1c3f182bd71c061527a218656ceab6015497149903a8b51205560d5a8c4dd7dbae067c19cd49',
+    'ca3ed2e60cbdd4b51f5b577c0d16': '672547c26dbd5634995149de81ceb05edad777966607eb48939561308a6f3f8cffe25afca2e0f1b6c0729447bb9162a08a3ffe11047025a6629716bbbdd34eb8c3e684b35e757b342eda058f12c9d07e1e62a66f75c6e06553bf199b76d75385678199303d2f1dea90c08869f29525c9a02d13b9a5a3ca8e',
+    'dad14d04c1dd511513e4462c1c13': 'cabd677e1c9d372b6df1ab8a6d0bfed2080e41a499659c7375f729b071bf1245bfee2316dd6cecc9155c8a69af3a260b8c8274799aee255eac9c627f9e8be3516af880e9bc026e8e50f56fb19294d290b8f3a13872bce5622ec28e611bc0c6c4157d6221ea4f340e67c6b0e456d7d360',
+    '04c39d3e897f7e3108e0770ec72a': '6959191511f36bd5d5104ae82a44f492b1bd2ced84fa5086a4b88f9f432972d4df8724970da1c97675df3b8cb91aa4f993d2b648688d6eb1d2e6d6b72121c6989713737ca517650f0788cfeb108b64d352afd457cf753f8e282d0aeb47b9a3af53a8fa7de4432f37461bc44a8981200ef14fb287c76702ac6e17',
+    'e5324d6a9950138c1f9d834aed1b': '9bfb2ccf2e53d2fd153e5b669440f6fb4f802d9440f2a537bd9f6eef8fc405bbf006a78f8e599ae0e0ee3216f61451544783702e3bdea57e3ca3782896e3f025c70ae91c56c9256e11152fa91fb2d71d206eb2a38a7751cb81c02bab97edc74f7dfbf4c54bb0c8acac3cd94a4892e4f74592b675c6b9f915c6aa34f28f06f3dcb97e2b67a0ac58b645869cadf81172b4a309cac81416353dc557',
+    'b94666bcb7b7d4dac4e2b9fe1c3a': '053bc0237f42ee65c811ae5d1d1540ef63b5310f2a9542a51e1701d44c0f5db254a01daa2848a55815d1cdb78e395035ce1b3d054ad3925dd0189de51b4e6ced13eb6829bcc7067db6c67fcd1a831cfe95dc34eaa3435d6d70e80e924ffd64aaa16b036d9e7a38f38ce922b48787dfe5cfb0b6a8b9f08edc7cc2e331f825d2b2e7167c747f94',
+    '8f5eb8228e6a33e0bebef240f6f2': 'e6c2c31b4bad2367b128aa2c3ecad74c80e19f773c489349f93a34cdb5ece797972b85b31958450a52af66304c8e82fd928cc902b0a06f2c4ba23cb07ced1cc6443a238720c6d6c1e35b2b40c5df50a656f70ccf0eec12d270dc8dba352cf73e3fd0984db9a9e3483f719247d8d82532a25a4379a32a9820',
+    'f170d36e03cc477c4659cb10f3a8': '3e06e717fbd08745dee55caa4cdd00941c6c57a6c29dc093c49dc25455eefc4ab391180e8bbb996cb5838ea2e156fd30ede83b6c499f69fb95fa8f6a57855266ceb3b2c2fa7e13507d0453cd65ba4133b7aa08364e8f2a2de78abcbc4e85',
+    'fc7f498b2bac8d274f800b504f2e': '4b40c03380dbe5ac4c318675fdbf9a8bbee2699bdcc0d60ea9ff8b9a335e325f8eeb7789a16b044b370027abf83d3a4252f64e1f69a4c75b9d6d75c3516f42d5e871fa95adbd592e9a82b06c38eadacb2c05bc0232e87df7a85cb51f090d65b223e7b29c7d92095cad1a610fb438a86992bdf88c0a3801ba5168a17911ea563c',
+    '0ff31c0734a71bce088dd1d07ca9': '97b104104bbee69df9bb933d23898885e6d126cf419eb81c745aead4c64f60180fad08d96be0d13223445bf674eea4dac9325232f7de241d46a4e9e7309918b672c13ed8f50734b3f7c9b1255dd9b430cc8c54eda3438e0b71a861c9640c2128e958dd2ebaca6d25',
+    '1a744192a0123718bd2ca4e703c0': '0c17c83282864926240fe273ac21b62ba9e35e2a3fb47188cc2c36eed2c2e99ffc4e62ae31a687dc141155c91887424326c730f5b4b88e8f30f40ad58e3481a70a17768b97527e37df74872f2003d531e23f52c3b1d96cdcb7cee11f3ae6de2edcd9688436d7e2d1a1687a07',
+    '90ef1285be0a1bd318e6225336f8': 'f608199fe1d7abd3482f9c9103621216f97f9f476f562c5d9bffb4c6b48117215ce8e727a3b0f4d54d99a6a3a85cd57f21b02294c85de364adc97ed541f26aafa23cd10b0ee4eb5902e260a0f7d2a9f8dd5db754',
+    'b081bab895082a9237c28c000305': '3b49661a7656aed78c6246035caf52f306d3199aa904b476a79b8b29b92c1eeb938c14c39027ddd64133cd5bbe2dfb814a675fbaa1ba83cc313474d3b90d081ce2e51b933deb2993209d95f8d5402923311670c885e4a6c2a94dcc01ebc641135c2ccb0b417e3db70107b818feb6237d28e3',
+    '35a45bbdeaa726e339bac461a28d': '83764b23932da4cb83d6ace5babf165cdb04c031c323200143c07c7a71013f8e09b27f4293f53550506a7d5717347b6e32d87d8773946c6224e462ccd93c83dc214f779bc97819ad67a671b39e55f0cac24967ee5f1fe600855ac8cce94607eb08cba79b9f4fb921f105383a786b580fff8ab34452708b8b',
+    '6a987f0ab17de4be790fe72b8dfd': '5da0561c4e71cdcec82f8adce5916ee8e304771aadd9b598b4ff67ff792b0d3348658176b3a04ac30321a1785478be9d2e10280e633216a90b267cecfa27eef7b432c8045cc54861bbb64bbd5ac0bf26778d468881b6f6e0eac22f33706cdd4385a40df04df290517c10e88d7a38e77f74d684f91147f8158c20369365a65a61ff5d507268b41c09',
+    '815f7d6828e9aa8ef6f5894a70f0': '8a4e2d41ec7644b2db3d983ecbd53155d7fbe9b2bffe1fbd478ac02cd77535f31adebc65c961a4994b1ae5fd182339836aa9d368a3f68746358c28096cc151c22a7751c5e008792288317e2674b3a8a709b2c6c72a0e9cdc281fe0d88fb1084ed573877cb82f15bf237623ca42bcab790443db4144ebf641eded35da',
+    '60f9685da43a39ea28b19ea9fef6': '2f72f31e9bbb89e4c1392097ee19b11925d31cd6a3d7aafbcf577c306d5ef1ae5913c02f4fd02bf1869cda2385f45063a02aad7765002b2eff2f1cd933fd3689ddc7f4b6d6ca0a650d09bdb4399eb44757c57bf4b7ed42a0d655d8227bb67223d97013cd2dd13d4b6044c9c29fc5cf0b7335cd3cdecbfd1da952e3a0d986',
+    '180ec242b09aafc5a49e786fe70c': '44ae677efd32b6f7751441168a089b1e3f921dd53d1244d29f5cd087cafb2aedb0ed20c7942a110215e24755f9b4bdf257a9afff23908f46aee598d1885de337157fd409c97467d3241722dcd8f733272e67370c11705169e1a5e4f3f52f6b42a666e9f6a318666130932b06c5762f0dbc00',
+    '3fd6e6492366777a6463be9cc826': '3c3d8281d0f4f038484f51c07f38ef31dd01b850f33db5018d740edf48a0108c81da0acb1beda33be1cc18a69ebcdd7184308fe0fc3f74a56619980a757fbb0408238f9d4b33f585b8cd362c47d163a235fa493f3d2e00dc40561faa40bfd489b079f36b254d215aeea0267c0d53c5a684d94ec956594b54d2099fa509cb8463e48e',
+    'bc1a2c6f566681d08f32ba96e76f': '85b7ed4889c3b7d235382e76dd98e2b1089ac6da2ecc6ea23ba067205d9f1a273ca8a1324baa941f443d4294113346983b2e05b248c6d2b5e2aba265a19d4e7188e00976e224a7a6b0dd26fdb17e912444494365fd43a99e2ae3cdc2f75c1459f0b895e2cf319d740f5e84108e0c2b055531d84f0a8420c5cd7a',
+    'c70611228c473956d696587789c1': '7b8321e03a8895c576a4afdfa187c44fddd897358b44aa40926d125d7b7ba06911f7f93943931b0247f26cfcc3fe1bd2e9a9085829b1eeef283bf3495b42382b945923e88042cd431075a15c32fee91692ee546775003347cfbef10fdb94b941f650671966b9a8b9862e9e0e',
+    '7b11f6647a759f881aeaa9d87bdf': 'cbb7200c5c1edbd69bbc7d06fc96738bb1bc56ca8ac0a2babcbcf3351e77d070d3f145ff3e021f5e8b4ec9cc19fce33443ce10181feeac535504fcd5506461fdd7a44251ce3eff04621adb48ad6289859703382f5453f2c5ee0889cb9606d7707c6750cee900918766404fc6c59c8af7f29ddf6d9f35556c48246146390d3ea27df87cec',
+    '7acbd7796445e5a7537ebe6c11ed': '8b51ea53c3b26cfe2d4979a1d48ad4266bb958655986e3e4b42902dbd0e25d5faa817cd4d6c0d9f9f3fd55e86f9c958607f4d1ba22caf5dd56662e0bf4451b081d70d2886e888c0fee9a1399862cb297c065ae6944dbe58e950245607809b357b8257e7524487f5c1b28469c446bff2f5aa334dd2cccf81c9255ad5d8fe5545fd9627626e9c0642d297fa0d142c409da19b260d7920af85aa5669fec31dc596882828962f80b6e31a4ce89d9620f0bf411e26e4141c051418d51afd80c5a',
+    '94a3f0882b7ebe2709120709b7e6': 'bf92d2d24bb84f2c1dd850ce55b91ff77a9a506d950d8a614dfc08524bed38b6b8f30af221523cefbba7c33ba8a9f2f310388d10f39175bd55d6f9aa2e9a556bb05f900186a814ee5333c7940c51229985a328d52b01139a5c834ec7fe402314b8a50c608de2813c281730c1b417f170471c6aa267629ae036c7ffdc568932e19b54510c5a02a83e7d852ae33ae167afd625',
+    'c33bbfe8de40acf76cb00bc3354e': '50bbe7f34a81b06418fd243b517356bbd52294ee14b29d9fb2aefa155b4196e528566115a83c54ad75e65a617b12fe8084ab39cf3537040600ac085619978c83008a1794c891797368d09ba67069e60537df276c3be0adca384cfd60fff09910377c77863cea84f39ede75f6',
+    '3446de7adcadd5f489de092d213a': '59d6c97881ab835f2f92b40771aa122c5430e172127029d712b4195de07fb83413de8676acb31883732df4b7054d799de2f28d39b863497149f6bcfbbea85264016d04b03618bfee79d28fda9c5f37fb053a8a15b133b998f1cb3270d44203c1650178341a9503865753fee34bf2cc03c8c1',
+    '33f38960668f2ba3cdbea7b4ce79': 'd5a4a299271c1ed22c1fd09b8a3a6d886984cd15b96d3e41fa988be7f9e68babc9abd59e6472a8e50c4a00ddfe18a1a5492a6ff14238b4432e1bcb54b4f610e90b6149e244b393e741edcff840b7b15561c730763d2f8bc6db0e0f5fcaa8bbba61fb6cf4bb0bda8855154114ac484adee53ba491b8e5cf42b8f7cc98d0c03878',
+    '075174eec93ac8fef79e717ad3ae': '947d28c353629e98dd2e53ba469ea83c88fd0a9b7a8068f89bfd6747497ef2e0d8ea3cedccab02e02cbfeb0c4ae0dc6af7d5a2c6daf2048db6303d246496c25a12dab34067030dfa397a1a66d374112478c70f7c4a2ce8e1ee77ad23e8b7903f40db0bc1e1f294dddb9e41caf5801a5d02867e034be31d13fdd12f81',
+    '3a704d38228548bb8a47562565f0': 'e822fe446b25d2d1a7402c30114c38328547c2ff2c64b99fcff5a755025c0a413d9a7bc8e30007782fbcfef7a19b3cbb90880ebdb02776d5b5d50cd4ce1aea0c290ddeb0fc5adccab6c435acd2f62cb368d3194b6b3e329613f97732215071a130fcda6e085f0a309485408f5fe9baa6f2e01b3186d3a5887ec834c842d7f38a9e1bdd8eabfa5d8026fbe48058cce5b31219fcc23c008029164b83091f448cfca0b82b1c8136c402e2798f4bf3eae6b7c0b4ce37',
+    'ab68885314a55df461d85e3e65ea': 'aaf15b9165ea834e63087a5adbf3f35ff268ea92dadcf2c516cdc8e1a17b9a14a4d69711966fddf53d7183d3e101b5c232a1b0443d3712d51072a2d8402e1deadde42b154732c59823b7588c4b4791736d041641edf147715618fde5b4638db7cbb10f87b7583f434ab98f4e5fa059fa41de095aef915f9400a99f2fe767',
+    '325aff20c243c99daa28cc36373d': '6f04ccac58ba60412e807a2bee2e165e5e0105e44ac3927b37153473bd82749559f8b04ca11a1460b88e9be2e7142746fce19611e587a68cf435c2e85115429fbb0f0a6d7b8ec86857ec326f798b209127c3d41a1c88354a55751e89c4cd3da07c9030c3fcab8ca39919752d47d073784da75a8b694d9e3e36080a08a225cc7a7501bba5ad572c402c6278dc47638062facc27f6a3e4eb1e10691dd658e2c5039843dae8335131cf',
+    '300c880b35f73ca7a2ebf9ec2ad9': '4835d2f0a12c852c38996d483c82cf0bcc997f91196a75bfe43a3626453e8f32c34782711f703d61b3b2328bc215e0b4e3d3336eb868bddb899bd344ecb4602841008008deab88be3286ef5f9f7b454c757b202caef765fcf3fda7782cdd0640da7691f86c27f227adbdecd58747deaa2f98c0f6135b',
+    '0971b5713885653c80a4ef3a8bab': '11a1eb5a48f80f64cfb3d0ae1b74be4eefd43ef0479018d518c0d77ae2d7719db11c9efc4bcfc9912a11e6883a48e270dcb37622eff2aa1802dc7ac146d350ccc35866b84a29ecbf3ee818d5114c676c1b3596c85edc784d574202b953ba380999db9fb9',
+    'ebd562be1908ad0ca98f3d99878e': '2e304328d5755922fbe6641fb8a7828ff83b1ac3bd4198895e9f51ad517b531f996d4cbec32bbd6bd35cda85c74ac05e4c7534c7243af2af73c69398a79be475d8b46660c2e164726c15df83ee10bcc103b56a043c2eb373755d1c66cf2dedde441390cbbc57c649bc291fc44f0ad92d4ae2fee50d28658f2979bfdbdb58df6dc79f9d2a382e9f0d422e946eff28',
+    '7cf8c554fdbd2032e60147e612ca': '1b4b23e01ecbb446cb1b05afdd8ddc71a4b9f022af917700d3897d55df38cac530b782ee5243b34b1dd28729dc26b4e71f7d08cb080f3be0b54791125cfa56d6f2e7217b7c3a4191904cc12947a80427206a4eca9fabf496644e4014896798ccbe0cb3231d3489d73f3cb2c5531a1dc73bbbd7a85ea2e2d1d2736b3bd9d2ab6efaa1c40b40c03fc47076c2f5f438e76a',
+    'aec0cefe9e1b04a73d087e8eb672': '2732dee074dfbb82e5129763c702eefa5dd337ebc57c23c73e638752c1655a9cddc4ceef9de478ce6e0efd6e6070a1935fa55f442a32c63943c9cd1e1ac7daee10a2d637ca2c7b681db5fdbaf8e51f68ef5038876a8aebdd50167369872cec415bdae06ee7c65c830359d5924a48',
+    'd43e8d99cccc10006444b27c74f4': 'd039d87213f6fe657812a8b13be3018c0579ad1fe8a4e4c2e474a8798da4687ae3e81696a230f5011668943c1e0513fcb3334cc0d697e45837419f7562861e7d8a9eda2a0cab35cbe6ed3899ad09a6ae8fbc2ea4319043f95c9a8789766c94bf0e9dd09469be0114186444324c64',
+    '57652b3f236a6ee1ef7c7728dd70': '1f3f2906e38f4afe6c372c75334651d959c8b3ec0867a289121cdd044cfa2d78c836633019fb37ebe31df0bf3b6f3f97c189abd3c0a6096f1ee1e5eff4161f59ce76aaddc39bae6b30f6b6e22062fe6eb61796da8a6a23dce8867699424384a3a48ed6ff023fdaaf748493865d1fa2b7491bfee718a4db4546b3',
+    '0d114a1b3f2383d11a43aa6eb2b3': '57180ef14c504c6bb15ec40cbdd3c21c19e9bf83dc0ef3be60bb257f59624102d318424ac1535aee247201be083db5bd8ec8d0472cb68e8f709f149e70e5b927413daf9fa3e6364a0cdce8c1a9f753b78fd2e5ca25efc369b6398dbdf81ffa8bec765a48f843b617fd4eb750310b80c7d6857fa840e9ad4c94d539d1f235e35c4e012c0a1306856f6b0d4c112d862d3187085316',
+    '0dbe97896edde56e3cbbb7cafd58': '35bbba9c594e12c55908192d7c70baa69b8a99261e29fde5aa5a448f07d50d2ecac3b256c64c4f2ffd10940caf89a36a4abc6532b340c73dac375c150f2dfe86f29307e25bfe4fd1d68937952e09e669bb6234595a72e86f956875000bdf09c5f1c8fe408d456a27e4856315b43cd97906496e66fd3988df9de0ea8b',
+    'b1612ae73c81bc304eb549db0ff0': '4e81d80e247d520174918e57775f0e2972d16dc076f7f9916049185d473c4703aabb364920f252c8be57cdca23fbf56f379e6f5f97387483c90cdf8f6b04786d1f45e242c24991a31d553ceebc81546f484513e246103c52f679c3d426944e0e203a80fb1e91ad224baaaccc36beb5b37eca69f9ac4e93ea72ef3721e59dfd32feaa2e602c47ef63cd52526dbfc44dcd',
+    '4dafb7734c17c5869008df81b178': '373abbb531349ab1004ae910d4367cb57e74760ca569ca1613b327e23bdd5ac2a7a6da7cd8756809c19da1b229d64fe0f854aba6e9f08b22a2b6f83a67789f8b49edbacef4fa12749923f71ee610360fc96059916f146a97d092e3d4b02ed59b480c41a115a882cddb569578aaa9fecfbb1a81e2af597187bdb445bf65e4185f88d08563',
+    'a9f058ec5b1eb9c3a061f585b601': '37bcb99d645b09fca3815dcb41a3bbb6175e34720f394cb9b571da839a620381c5ad975bfc362e75a84d9999066bb2b52aa58efecb0870df8dc9a46ef85e90254081fb606d9841bb851e350711bcee60d56d501cba178af7765b9d67724416215da49b8b37dd9db7f68fe2481c17b15ec7fe1e97942ef8c7e943146f4dd8b43c3f3fb62b',
+    '51cecd66664d3bed311a3e5633b8': '762817e6fbd7d6acf2a7a402474c8880f51fadbe972df0714980604985eb0d1b982019d777b0d45b81ab9c433e46a82261a9f148e6669a76697e3e7da5028c03318878bcc1f32b74644ed9a0de379768fd9846f8df5923c621d60f300f14ecd0e6d45befa760',
+    '906c88bfad0675cbf6b505709b5f': 'f45cc311de86734cf6a5ee875002f926387ebbb456ccd2f866ef93ce75475232183f4108bd63b7b8673800c5c5e557227a2421c1c3a26a99e8aa014dc79d8d740bd654c1acece1b4358d0a373cc1f180a295c373c2f3f71d25028b6c7adceedfa52c5251abff4164',
+    'bb3c444fd52ca2b59d3c7368f669': 'eeda6d9bf23a2a015dc625f439c97aab401f88dc93686e7cf297b5d802211e29a3ecb5d2b7b274d3c7919af10249091920bde21870d23a2eaebf914eb70413002e3def4ee40f7a2a',
+    'b31b439e83d598419319802cb758': '286ea656c35c5fe50f3920c87f794d646efcae39841aee17c4c71e431ef9e8c1e4607651183245f371278738a9c938300c1bb37396a9368126161188324bc6ccb9111c700d35d59164f6a0e5cab6ff917bac742f6ee162ed5e6b12123c6e86476243ac8b56dddf329f1e7f7e',
+    '27d1104c88ffacb782f2cd0643b0': '918956eb8e30c188f913d8f33e74cc193a3726f2522d94074b74ce344cd3c3561f9be9bff80e01b468083b0e432898cbcf9335680ba0f60fdc8a9bc4f8f1f4a875cf361adbf1fa80ddb7945954abcbee82f7e361ef49160f1ff6',
+    '5ce7cfc16c6114804db78a2adba9': '240326103cf76c7c2f5fa81a4ec62cd4387bc66ccd015a10ad64d5f36e19f3e9e1c339e06788d3916e4c9ec7d6ee64eb86e3417e0807e158a1b49ffbee26850910a1279571654de004e58319f501ff48cbbc417539275ceecadc846fdbbb04d3ce1238da26537d7c12cfbabc96d6a0e2e3f3245cb7f2eea171d0acf843d8ad8d065179a4e7520ad087907997090ad58e150e7351fc762dfcf4e156019a4c793bdb12b28b',
+    '963cba4ea6aa1774fcb2a0fe2bcc': 'a2484adef0a87adf70759443db5f7162e567c2f74b5a2c4d51560d0e4f82fac6b14d4cdfb6e492c09c35271434a8fb383719f1fc1fb882ca30bc08d4b1843e24f9dc771ef55b0800d42881d8f43ad775139734bc5eae7611218053fc8f186c36eddc',
+    'ad9666ac84c77d586308ce41aca3': 'aa64fd78923469b79c4f6d0454423ddab16d79f103d29238d3d52bd066a5704cd583a30b87d6b823d87b10189f75578147ff3d301d938bf52f3f815a2227ab9564ed9f0d1452773ca8a7579815017eab92f99daa0da2396c9798c83ff4206e1c1d563badb6bc9f51ec57',
+    '9f44d15ee51c30fdcb70e80e2b7d': '569c1ffed6362de88a829970056902e881fe70231ab6a5d6db259158f0329ec8d5c3960e1bc69f578fc3361cad7973768dc0f6c531b2cc76fa6d3196ea914acb446adaa2e6ccea7430921cab46dd5dda071eb65193c3c3e2aa8c15e684215cc0715a6e5814407c9d9fafa7c1be7d5a99849ba602dad78053151ba7a81eac870fc0d7171bdfd6ab25a090aa1d',
+    '14111e2f8f05695fc49bb09da898': '5178dbdb01a7fc018ee7ee8ae1e8842dd89bd8f60c810610730f3c37bbf2b547b4cf366f7b618afb3599cb317f390da80367a428c2030cd3829456032aa7f5463e5c842aef0d48b451149089bdcf01492dc8406effb66be44d44b13e816f804a648ae9ca',
+    '45e8ddff492357eb6ff7881accc2': 'd2d70daa099cf5540ee6cfbc4c9470d88c8e66281b7b8ab8c276cd2375848ac1ad062998b54da308d02d0df95788d1a074856804ff17a9bdebd6429948d7f6c796be06d218efbc1cde4393270f6520f1a94c204274015d87e4980e25c50fab9e8bb54c8aaf6ccaa3a34e4dd912069d7bc29520aab5390072557d885ff8d3c58ea9941992a31d7c3691889fb5f30f8ec0c220593fbd449cee82141e66775372dbb5a4cf71',
+    '0b7a860b6412d8e83c8824aa42e6': '169a9b8d1574e89cefccfccd2a83bbd06e35bf3c0c7608ee54f79e427302c94f8b834420fbfe807c4c9b5965202fd2b9cd24ae83b64abeaf5887f62983d533c8bcb9d0166c59c0f53596b41a3b69161b7746dc9e672f21e46c684450d2aca992',
+    '9cfed6103cd57c5382cc0d09a3bc': 'da1265eccd9b7429007086131d33fac8cee16e4a03e0044057f1d74df5e3fa2619dd3e9265771a7ba703a40910ef1a3ff4419aa6e96ee7119294d4546dbb47a1f70d6aca92435990e85241ee67357c7f4f3d1681173d430594b4246d53a7f3d2062bd3c1df8ebd1af3f4985b4f113f5bd0d6ac03ed5076d39b1994387733a55042f9fde295b1ddae878fb553a5e2c3c953cee1ba18a3',
+    '1ddc1152171e4400f13eddfaf1b9': '9e87211cb23756ccd5064c09c81a89e40d2b74cc43756a484a5e47cfd9203836f203872acce91d55e0c3c9519d05496a02e2e3360935d91b2d32d2d2a3b39127dd74eec624b08745754f403eab6bc2bb7363c113edd2639b5146ca1d9b04d5f2f2fd2b686c83a37a61f9460bbafbbf8efea1ecc42f26ef77864c9864a80a498e4d53e8c87df1f26671d2a57475346cb112e02e288807a5951b406f81535f',
+    '1584abf08c24e15c9027640b738e': 'daf4dcdd85de12494f2f957327b98eac5fe7dfb5ec60cfd0ed88a2e06ce68db045a598799183e852e40d8206f3c413353bfa1a85b5886d163dff3e67e1c6f091f8cfd02f10df90e9adef56f9887b28ac6b8186e68f462eee1c5aaa441a13a4e1fb9c47e92cdf5b9b9cb49cb3fe032579b158a80098b051cccd233af049a4a48b923973973ff9871ab42f',
+    '636f1daabdfa98bf5bf5886aba21': '826ffa3e94d3cddde2a6b671c75b72aab781d0d182beae30dc7bc40b59138880f96ca045218ce5ab5c89cfba963f284dae1cb3f58ec102d90878f29f8f5240926592778a319bea8d6d72219c3c23c2ce8bfe702e89287553980108e60fd6b25c924f9a96e89bde97c32bfecda3c15b5134805830ff31b185871211386ee7d2e79f70',
+    '63a1fcf05647ea01b67b3c598b52': '6b45687af168f9ea5f3de2db3490f5f199aac70cdbaf29601aad60b016184d9d0aa89f3dc44dba71fe18207df02d81bdee0ff907ebe1663cfec6f94e519df9102b77f183bee5f7e8f5f805574bed2fc6274ca01937aa3468377c60bfc33b477ea5a26d1c4fbaf41f49f4bfb55cabe4f539d9c381c85fb1be4a6dbaeee32277899be48e5609da78d0c7dd',
+    'b8f134d079d39643c54d474ce28b': '78c698dc9fa431503d96cfb89106216c5d7302caee47c5adc1d3c9dca27d12ba1f22b1fb61f05d80286c8b594dce91665631f6466d0bc2a63a26aef999913b6a1f49e2bf7db3e83f205d1da4b571ef6fc02819d0ca346c0b061ba136624c86f834b6617555d3533186c07f3c446ba51b',
+    '8546c0036ca36ab3d1063735baff': '2973ce9ab6728e94fa00c13864b8c23c2b5d5f5b16c161772717bcd529cd9d1a6b772bd5ec63da80c6a258f9cef72e9c397e146513bd1afaf5ae7c3fd5585e690b5c15ae3078772671a4441f407eeb82ccdb13ea719b4466f406344f45452bd63d647ee0d6612cca81630340eefc5dbca278c2ccffff0f1d83a97de35c537ed472e6',
+    'd06d3f3bdb66e3a4ae893078f960': '3e62231f61d853aa99834efa15c4bb50fc25f0152fdb1bc567b0827c7c8b1876f5fb24dd377c8fa59f86bebff79fa8e4d65de2bbc41b74836e0e3e5d1f0479c4a21168dde93a6c8ccc1e09e0a5f39fd152fb6bf6698a71c4e8953406872716c63a5ea87bb1eee2f53e6311da5b4315352461729e1a3aab76e4fe72b9e4be1334f161e79e1a094d6c674fb344a90aea8c4b3c5765f2f7f505561ac01f069aa77d7f5e96c675a443fe669435e1',
+    '883d1cc26bf6203960bd29f74a45': '44b97e3f1f55a286ebb7c311d7cdb75596203fee38dd881601c96e058df627aaa6f04ef52ebde40622605a89d11b93ae118cbdcb831567af2407ea5eb741b3396873daa4692d86f4ffc04c9de042979b91320732e4e8d4be214a8009dc46324dda487b611e384cd3ee64ad502a288d92ce7667893601896e1e65c09d',
+    '4242335f4bda5529272e9453262d': 'eda34d5758d46d15dc0464c4604639c26299ddae0ebf3ca071883d7fafb527336f86fb65c9a28d809aedb98c63c77c2872ab696262f79e1d8c8d28f5f8e85f876e132ce7ea21ee8b29aeff13987c0c9b74f37c7d47aa09f735f7b3bbc47495ad',
+    '9bf4f15aa6e24f8defa46b0d280c': '3a388671ac431646d4caade8a51c7c310cd09b5f2fb6ad53fcd30c842eaf9b7552c3b62c589e5526e465de934cd8b0566595c46b757cae5093260eb42fdf9b3ffe7067f8e635aa70050ee6e8cefacee95e5c49d7244dc1c24f8935ab9e60c6a813d3a0ee7f4d50343b116fb7d9e7e7cc1f7a13539b6b678984dcf846',
+    '34294d6d0569dd439db63805ef50': 'b520a79fee50c271ec19db27c589d917b8864b680770eb7feb7d5bef569e66990189018ab50391c87e9c48426e895a58356635ee557802bd3c34258bc41d60a0b5315a2ca124744954b2dd2a4227494858890c0d200fb3ac5b37e5db9216dad37acd72fd493a3c61fc94e8cdc7bd65c05202bce821d537c4d3bc358fbbc0e5dc0f98e594',
+    '2326928be3c51b846569eb7cca3d': 'b0e049b5efc98d6131607d646087a52c4a09ccde6b8048fed9ea4e260c035df8ef11c57ae43b5183cf6546c5f5f9afb2c7ef64c75497d55564fab8148cf0ed0214c70ac6263ea71201461932945749bf1eafb30793893655f762a598788a0dc67873fe2f4ae6cfb1',
+    '7c7caf8f6b94b2a4f415fb41e307': '24c7f05084b8f68d48a866fddac095a23bd0624ad0549491509647efc59cdd7393c48558a287cf60d3c016b7d6542557af959e5656626d88606af7fa83f8fe67809b35b673a2b72ea545d8fd7658ebc43c88e896378263dc0eb46e03b4c9255856bdec12d6338dc68d44782b75c60febced08d634bc8631cd1b499e4b0dcf749616da87841e416257ca56e91583c56617b57',
+    '598822ff0392dfe5e493c4b35623': 'd6b69ade5ae2401079d6843138bf043581f1fd501677729dc53cff0f86190111f092ff6a9628d8aab6fb48503e5e9b6b315dcaa1e74c8df1970f0d77a6362bb3aad399ff9d5df19cceda50ab3dadfe0f5222f82ec7d58be378626efe8043b4da44f9eb8df61cd69f',
+    'aa8f3bd5561caac4d470a89c33ac': '5751e6a6b89f0fdca0414e2f2154aeee07befb3289a21666bb3a67b81368b0ef07d61a57d8358939d196f1b2d2e51a6290e267d038a540941836a4117463108f581571ed25fe638041a72e271d3b8a081b498a948b086559c2bde8600ebe6d43bda4317bee1d65ee749cb1dac6567a5b60d14eb9182de27448d008c37de386951de88de7b07df54c9835fe8abe0b0a64',
+    'a65483c60a9529c139d3520bcdd1': 'c214001ba4dce1ee40e1109763924031faf91f26e4c38091e3bef91403c1fc8dfd79828f20b6f7d931fee7d8ed67d91933d38b7ba8914ee80dd630008b56f179d50537dbe60a36cfb258cb7fd6ee68efbc01c02bd48db59c8e1bc7634144cd69fce67f7124edf799db3a0e12d4f7c213b44a79ea9b3c',
+    '64e3e41692e4007e73e9fd96016a': 'b3df83e0244c3fd14635feab31838f5f286fcff6e9de3ed960e1e5ac44e11a995cc8b7f60cbaeaf558b87f88599cf91a1148ca360b8cd6af9a2899244f53deefc21fc9127dd632a0d9078558b9be2585d9d37ec34c2967f781ed0ca9639d6cd36dbb8bd5d6cfb7fdb30afbf35c0f88fa9ae0d8591ee81c70a8f18911e59948850446d6e4c7a0814fc77e23a1c89502d9f7d0f53d323d01d06f032a0e15b079dae1cf84d251d757c4',
+    '2b546049514171f60553a73ceaba': '82282de7134e7c05c5e491312ae3ae983e049a692a2e2a29f233dc7ffca3966bf0ead6cb7586b14b8f1ed3c8561d33de114b9b792c04cfed33da1bcafca74dfe4c72e5cc3c21709bff6d6c412bb8e68678ba032cdcda622f1c4260fb1494093dbdbacfaf414d80cfd8ae494e2711f925ce241ac44d56dd61417a47b16beb033f',
+    '09f9090d7b8e28cf9d39a59381ad': 'd4d7fc78f2071426dc58499f3bf9943ee088bb38e5004005855b6f2e5e88e14414b839a9c40a6f24da5669ec669af580ae99db4171cc9f1e7e0c6279631ffc0c9c875f66ad65585b1eb3b7cdc200c9c5f2ad39c374eed81b20a829994e16e55004c46c1a36f45a0667dbebede7fb578c45846f8b881e47cb05d7',
+    '3fa9293cf313088c3ebf12dac071': '1eac702e7e722707dcdae79fa9010b328e1dd0604cd75f2fe34dcbbea03b6593958fadc3a9e38e651e210f4a8bb0c3258767bdaaa14ab8f3955fb8469ca59071f56107274a4e808af2257dc8d94d7ec8c4e7ef63fb8ad21ac5b259e65b03b582e9ca74cac9ac73ec82d2',
+    '56949c361741bbd7d99edf5c556a': '0eefeefa4b4b68c001226736ef361df8d516e77eb0d444e2b424b4f39a55f5ca37ee9924aa301682818865a40142fb60d33f29322efcb5d86c0ced6762f7f29b0ea0b35929913054655571757c218b72814f29d8f83658b8c7d72bbd7382b517d56a6cdc40616aa35bb970df5ed7',
+    'fed080760af27913b6646ee45c5f': 'f47ecff392d1c3ba019286ce8a49329cf8b8fe7c730465c9fefdbebebf4c2fa769fb88ca7703ec1b940ed5cfa29114ddbfaefe654b377cc951563df8ef210d5a160c609d0e1beb8f1f0ba309094fb546776b5f5a2704a1fa6a2d94144c7776343ade79c2ae22ce23ec3a62959012d1c254f68c205de97734508d203e41285cd882c35e5bae4c43740335f094e5bc',
+    '065e52c0d7583aefde7704b516ff': 'd3133f1a87c22688d824a50c849d5c9ae23d0bedbce3eb395ab6c91a277059c78e35fb1ec53fad73b5c058e61b71b877b9e5ed9fd2a47beec1765e934f326a09dfcbdb7869283ce27d1cfed48ac9707c1ce6cebab53237f2534fd77bca5776e3bc4f8b0fcdf415e4931fbf784ebe9625',
+    '432fee803ebe86ca6bf615e77cc9': 'a9c96d832dfbc42ae807f028ed5e35ba04daabe2456bc82f54423eb0f34c1769d763d3579abbbb757140992ae5285234df38f103853154c40cbd2c043e17fd88d6f3dede1be05099d35c11f042022f4a25767d001ca8049f996a55eb2aea06fb072da1845dfcbd55c0c1d79980d53f48bbfa1c581982600dc7822bb994650c081c5665be',
+    'e3dcab140f8ca1381409313c55f1': '33a0ec02fcf6eb7360422dc5f64033408b3ed4baeac323031d68c6ef076a3205f59f0e9c7ffd036cdefb49be16c0eb43a70a53cf070df5b153d98860d4ed4e51e18d7cbaa174ec7989d87bf12015d9fd735a9a7cce0ca0be0687f34fd7b144fc9d827c8ebacf15ca96fb7abf15e6bbebe91b8b60444871ce07c0b9aa71b8abf9a60e3af78551aebd6e7e73d4b231e054ca49dc14494c1a4806fa',
+    '9f5d2ec962cd114aa99ec9abb22e': 'b218d5b2adfd87583bd8207e18e2e2d7e9fecab4f59a320b88800bd1374b49e2c7eef473f56f5fddaf8106fbe1d1c1fbe6394a28a1750430c83ceaf89e354d27bd2a5fd88c2ab8fda6bcaea6b8f729a35ea7f3dcf2724aaff66e879e29fcfca411e20a751093df42b320b0e9aba5608efcf357586a9e',
+    '026d9f8ab7fe61fd0a15a6ab3975': '018be874f82c9af2f9bf142885b43695f132fb8de140df6225b7748d6704e8a4f6d81f0c42c2716fbf6d4e303aaefa5867917a00ae1953ba5726aa324004c2606dbdb8426e13c48c96e3f5312b8e0e17668e3ba0720736eafb5858f031cbc45da37d7edbc09e37f952ff2dd1f709e1c3dcadc9a03b5ac33c69b3cfbb',
+    '3c417af26fe590c98613ac0aa6a8': '73a50d0754fe43875109e76f51385a350e4f994cd16c7a81f2a8c2a18f139a2bfc17dc2f37593f61b54af0935ffab32ed8471f5564ece9c8cd23c397f1ffe892e29d3fb40caeaff2998860e7c8e0eb0325af0f95468e5d08ab2abfa4e43ffa9bb573570ce2d2b804f5db0f701bc89d89aa95abb30c75e668be1365a426b937a9',
+    'e8d68068f90b6fe2ce20143c91a0': '2d8057fb2befe82098c21f109425d353477a004675b68459e9a00957ee5762d0a318c71e584ccb9b56aab00b3380f8c0da17d11ca2bd931912eafcbd1c458a67981567f08e4b86d00a5379da2d74fc66d1647ee55b3119d57b20cfdfba53a1fc563060eb',
+    '0db0c6681849f496b7d0791fa117': '2cda97a48fe5f47b3e7dae29fb86531154ff5e20be5062723db8bd27fde34a99334317e41cf464297fc6a50412c8c6abfe5c86a4f9f0fcc56201d08c98bf5c02023159e34ff6eccfa7aeb2985d2fdd3e4f698f09b2d6c5392ecb3439d99a5d7f8586488c123a4b7e6ddfad4d0f805f0b44edc14d793c',
+    '7bce906de7eff4b2ee46bd2b2cb0': '8c296379217ecff0e98f464d20faf638ec48ffe8a23b1a85f2bc79ded6d95d3ac50e4a87bf9fef6604cfbb0b03e1ffaed4b9cbc99030a10594d54c0fabcf9d5b92ffa1f323d06ad0a8c8ece3eb1e7b7dc1248e53c6689d660b00232db51c1d82e506485a5c5e21ac46d8d21f75c53aad05c490790c0bcf3a089161952165',
+    'c9e6219e84c07fc2b14bdb1f3474': 'acec2f363392d442fb4e316fe52ce3f01587cec74917fe9718b4186ca7846899170deaee080b4007dd2a2c234fda482ae7d83884415c8cb19b44ad5a3e6aff762839aade64370119052595643c151401fb762552ee8873964f4eb4534318c5d3950acab94bf38bf5c00fa1c5c6eba6957ebb03ae',
+    '18c273bfc74694461f90fdbf4fd0': '187ecd0578f767cfec5ecc9b5f0de9b5eeb7a6c64c7b467368657699d35175836dde186b6745be5de3748b571244e4f3b02220227e52c769bc109b54d986535ed234f4b30582c398ab10417738fa91d56a13af1f8567e45e8783da78ca8e92bddd375d58fbac715b97942d28fdbde7c2a6303897',
+    '4fd1d2e73a1941570f8953773c73': '471bea76a639e2b06cb1e461da539aea1b30190218c2402e3592eea2748b457e071ca8707cddd636e36505ceda822177f410341d1165e1f86267532ce174bd004491c69b22f14b11a4f24349e2334c16fb3c4f1d71abd584bc969e6d1dcd853886d00c9f',
+    '7ae7bf45dbac7f56b8d7d31a418f': '570ce72254845ea6f665c47ba74c6334b8e50c6fb597cd54652c0a0ba1c730baae106024ea5d9f6359e9fdcc9506a961a787cf66e89cc5dd22910bb79c229474136b983879744104a0ca5947a832a4014e439ad12273599717dc59a8f222f93875d08ed6be07a1871006dfa5',
+    '289584c6bc1fdee34a0f7abe0c43': '4df9ea3f5b619d5cfecb22f42de05cec830b35758a3f3e76cbdb8e6dd2494a3e789d6fabb5b65e70bb4e7af25d13ea26e7fc87463d01d9b559bb2659963d7dd6d0943df65ba2c426ff9a5dda5e07d6b451808669fb4cbe7f8e82e316c9a7ad415752',
+    'ac49ae30feab97d25ce7aea09b01': '9900274209bcc721371a33ef7832afac3e1857c26426cad65fcb5046a2b2a6326620dd320b85a68e235d0441abf700402929a2b3807112a6d147d7738ba05da222ab362b3504a3c8daca36c57f6bb5ce807a763f7b4ef6f7713359aa43d294dcf98d8931d9ee5d814720cab925ca05ec877cef15d71faaa6c6f964e8e74e3a8d089c84dbffff45fce2f224e5',
+    'd103309e48bf678acf32fc03e633': '56c3f0e5ac078eb13a026db81a8b94aaadcf93f5ad23d8cf92a339311b211d38fae150e7ff9773cf6648fa705bc4c8e6d3e03373a179c2e7f808f1e18385683d1b4ce45d0df50734cc42689984659b6dacf8ae9f3f3e73a3b54b',
+    'c00cf8c306ad8a6bc8bdc9740844': '144c363c12fbc4927682dc2766af1c04a432c3a4ee81eb6ad8ce53d07a1fdada031fc86b878113fcd4d1ddfde3730fb733cdaefd3a155eb38fda16902bd3725385087b541a035252ebba1e4ce2974d9c66a75f3c085ccecd3a322d3da3af5ee884963449083fa2e63aac012cf12d1216594e1132734d0c2ab753246a32d2441941b5a314dbaeae3773d15bd84e8b8b2ffa59c96632423066d4ff83bf743343626367',
+    'a1867a221f1832a842cd176f4e8d': '96add9be727327034793c09dd40fba851e0dd5794255ae3adb250f2d1b2ba50d5d0884e617db7821ff6dc69b2b6704b5173cea69cd93605f30efdd60459afb7f9b3f79babc8507899815ddd22f5959c106d95745cea60ac4e76a1812082c3dab435c3aac667fb8dd43ca7d84f01c979e9446a4302471cdd9cd54b8740434986d014369d228972b7abb5cfb277d6c603b66e0029321dd884c3688c8de',
+    '8d8d79f2d574e470e7eb8b7a399e': 'aa0e70b3a875379a9a1c2caa622fab03fd8f6196c8bd3b7b7ebb564b7ad53e675d2940add48c27d0c563788f7c2b85c27bd552db14cad83698a3e7fe7f4f0501fb5ce0ee4c0af5ec9df815419ccb8eca5b3ba42c4ea9a1959c02c0ca47c17aa37e589cf177991629203787135aa6',
+    '21c0772a6be12f30e68cf3b3765a': '8c9bd543f92d4f71ff6d600d66be96df8a32887ec0a325cef6dd061c0b0dc34dce55a63db55c9377c1bfffc9a9701ba83f460087623cc6e9be199fb6f210fe9765264b68d86d191d110098a09aec046d979974104114d12f2bdfb0cacfb595a3e11a170e91ce1d2d8b8f80d5a44b0032bea7cc097fcc8971ae05d6f52ef41366',
+    '5ab898240c8be75f28430554b407': 'd59f73909b1809e6023c0b94300f8efb424d53c38e7c0c4673c03abf6b4320a1c3b3b6999ec5785eb6b62839d79561e7166146b2623975bb1aefbbce8fd7f2bc07f4219bd6a155fc8605e8dd7b51b7fd5a5054c78d365b66d72ea1485c5fb79cb90e32da17fabe16327526c2865290d27708349de4a480b58950f7eddd32f8c9639a',
+    '3da2b45fc32160fbe3fef9af219d': '8a7044d8053f6212f70af6e38522ce7a75ee0f8310ef0ca0e43654f2e61523f0d00aedc0f68016b12b78f73ca9a88a963dd466ab712a19d3c3dd69a40fd3cb6b77ef307f28ab332f51f6146582be5abc5f3c094a5667184ebc84965db288dd9794990bb23874a1a27c4c0eeea998019d028c7220a29c892c',
+    'e6a9e1a3e581a2363f0f75c828d4': 'cd67b81077d7097bc1cfb03dd68c971c60bb2c8668bd081850c03697e7c604fe994aa8d09b67b1462b8682ff39491d2cd70a90ffd2385342f0b59947efc1f7afb8b400e7fbab6aed8fafde7a3810af34175873aa65ea0e883ddf4c747a3de56ae465866a',
+    '62bbaf1b54f26d2f7b8918d8043a': '3ea43ce210564150ec6440ff9091ecfea1e9b81237a3e8162d92a63432fc3aec0208ba36cf9b7deb186d9985b4e8bcbc8224f446a22eb3931a3871a0b63e969bd1cc4f84bbb2b5621523c0de96e9077b3e70f7f47451a7af66afd1f042882bc31239537f758ee0e9d70bbf2531bf203b8325ffb916519863',
+    '677798e054bb9d1c115fd9b23b6e': '083ba56f78785ca97d209eebe7829f0a264b151801884356441659a2979ae59dd46ccf1d9a8d2561a2cbdd0458c25538d0edf86609c386d7b80bb24dbc93e9d310858d95a1169ee37669a1b551ab78d730f2e3ba372846b98a1009a63cb6a8030c1d4f59547f838f0ef647d9e781c16bff0b1c38612b2a6110637a26',
+    'e99a5ac2b0ddff1543fa75eeb221': 'd65df21f3d4573e01a5a5615d10ee04e9319c90dc1388a2f4a161671ffab6e56627f9b465cdff5af950a9593175a877507d2de935ce8d5c649273c0e30152b350d54f9946619b846fda976ecbe0ca3ebd491865bf43148e38a624700b62c8c7828c571ab0fed01f0',
+    'fe6c8adf7cb4290d673540edeb4f': 'e84c04e04c3b121c6ae2f54cf1133aa0b20edb91c5be5a82a7673a40629c5e331b3839b2b2b1030e4011440f7032a6b85b07c47c9b96e8e00add73d3bfdefaf9aaa26757d06a0e2da9fe5c1900241bdb9a34a63098d80a92e72e011fd22bd8c2960f884ddfc37817ca60d613f4bf3462',
+    'afe751e05755e4a18bc57a5e3651': '6a36ef4ffb5205f3c18ea77590004ee9314f6fb623a89826140494ee51ce9fae5e4625f1a415a3bab2f444455afa9cafbc5780583546873f73d3f8674752651f3a749733b67b6afb3e29533bab1f10b365517adbb9a2d67e5465b3b5f1ff007fa9f5adc4f2cb1544fa2dc9b004e14f17f472e97bb31c0bdb90c57e7becdc548eba07db4b36d2448327518c4f76cba60197b63135e28fe26730b7',
+    '21c077de6be02f24e686f3b376b1': 'f5c174f80f4391e2d7c197fbc0d30f1765b01782cc9756dbae99e0efd3414a84f46ec9206bfd72511d9bc6f55f463fcc52b9003c0b562c31efb12a4aad808ebb3d1773d7e867a23e6261cb3e8920c8549e9d583c3a0eb50bef5271b41c3395e12d77b17e',
+    '7e7920aaeab99f04b5230ed5a0f6': 'd3aa592cfba8c0dfadc07a7d1650adbcbafe0edad73fbf1862772af109c54cf4d9b54cd0f9ed38b4ed2a3b9378c947a296473067b4c060c06f2c1cfce532f23c4fdc2194ec97250b898ef81e2a430b13b232cdc71898504da1cd0213435f66fdac37464fba58b053b08a677e20171355547356effe2e9d387d5ed63a873599240f12dd28014f51f830c7f263898a76962271b5b7aea8ecdfa6485f3360b472c6fe1235c87da34e988e9f222dffeae79c524588dc4cbc',
+    'e02f06dc67d0aa10e35ad9a9f7db': '7a5bb284ffda298f58feb5975183f0208f31b9b729a6bdcc833b8c9fbd5783c5941964271e269ad8764164dcc563186f94395e12026cafbdbf643a72b0f32e52aa35efb0ee1000af3d40e009917272b41ce2bf92e89dcf4914eeddf02063ba4aacf7098798843cb4339af318',
+    'eafc97fb155e8bc99da6e73d143d': '660c61d54f5e5e5e3836b7eb56e8b716fad155c887e62ebdc7dca61ee4f6b4b1ed9617ccdbbb4e0c9b388ec8611f77bbd7f2f20a27863bb40341d3603e243b76e706b655add4a50e6899a2911fbf8fb6bc5bbc67131f77a32c8e8c8cbd86493d97bb7c130aa03231ce83abcb',
+    'f3d578580f4aa37b77702bf942cb': 'be6e08e083a0934a4408979335e8662e447a2a0baeb3579556258cc435fc6e57dab0e2ef51e45d4f68fedf26b8216677b32ef3863d6a11a87cc608c3cd750ed3f853ca96e409b1411e44d96c99983613e9872315136472d6e9a1ab1b86971dac6dbf9077c30b0a0a1b0eb792f87da4206a231d4e153f81f1253256db23527aac17c9',
+    '811fdd9dfee3a3bd09849bc093a7': '999370e9777a4f8c20aca01637a35676e1249f32697d4da29b6aacbc245883c4654fa399ad0c0e6db2034f27f484ce3322aefd0d424f15a126cfc00cd64e9c09c6c97d502bbb9be11bbec7db822c6c802858c8bff0739fe6b0014ef15a44e5c529b72053bfdb300c324a8899e5f07c152a62e6f7acac348a62231c0fc7ee',
+    'aa5b9ca628958dcfded4c93fa30d': '65fb6885e96af9ccee277b3e48d61e54aaee04c4ad284883380d2755de173de996561d31d2c5e6ba3ed2a5a62a6c70394e433b36519bb7323bd30716b1c524234c86bd3ba03ac4c958dcdae2d55ab845f1ead9ef35a08f9be84f34f9c4f06fab56379f9ae2372dd83d74',
+    '2e6ff48eaca4e62954a318019e71': '9c32f4e0c793f01f182af7b77d5e54de5759e6d2ee1336a8d062f07b471333d2ca93c6549dd1da1926be418edb3daa7c730201c2f0427e14270fea17b0c8a7bd9026c6b92a7ffd5865bf91e50fb12049663103a8',
+    '70d53fac85139d9f1b780563ca93': '74e780b1a1dd4377861e2faf4865bb9b68c81026c86cac6ef4df6a509ad563357b253a465985ca6319d6e73fb08184c76658cbfa97c28acc8a949843f0a405439673b0b2e7605e94f32b159d2567db03b7e64ba2573b951cc7897f96e325e22bbcab798a61952c413f2bfed3006dbab194144b829dd66b7be1612d09c90202daf5624c9bd959031a',
+    'bc4a2a478d2894901eefc159dc8e': '91ac694429d50db7ac63f820bc8cfee5119999a9776de27ae260d2c23287e15d2a791def86f10159e2b2604840c10c13a84682ed518d76273795645e122a207051724d6058ac63f97a7c7897e9effb794482065e69a9114aa43c4a39dacfd93a7a2544d69673cd1eb624b8195dc0ca56',
+    'd081b819060de668c5a2abd6f388': 'd0389195b0e9c86277d05d984115f4faf803594a91a6dc75632fe823767f3bfec5a682660888b429fc94dc13bd5ba8f173f575fb38e7d2aa599c59dad94aa5efc3e837ecbc7d5305c198370aef7505ca1da2348d3e3301ef593c13220bd690a33f227a4c61126a8a0ff31d684e242c64eda16c409a76e16591f23f2f9e2c0ce2e4fadf6d6ff0524fe0ac9e834a0be33cf0f1a6919f2940387735c45845fff61850919ec5007f6b10edae08edd4d3f8681eba091e',
+    '14e31d7e812a1b04c0fad5ab7697': 'a1db41a6c83f8caf9e99ceecaa7deadde15e0d267f345ae9d25ccdbf24083a665d42a63fd1a59a821c244bbde63cd55a693a56b719aa2d05fbe98fd94b8345b10d70cd40c58e3173a7f22f2a389ba3252630480127c756f651f7d162a909e008b269a550a9b2b0063979c30f391635d1985e517c104d1f603e5c449f595a3466339547a112dddce1f239f3ee',
+    '75a51db6fb57708d10603c6cc344': '9562d410a7e54730d72cb3e77996ea392f9eafe747b27eb4c3552eadb118e1b3d92dcd0fcbef06f025902761910a9dceb4e68041bb8c84f07d8a328184723c174bea8cb79f4663a0d5c550029638204d744a48760eba81fdaca4aaeced47fdb14e57e3bb181f2011da3548ba8974096126551b38b85d745b0d470107f3b756bb',
+    '4958b8c5c4b2fb4c6550b6ff1905': 'c5573ac9b55f767744092b2ec6423db87af7184043e2f5c2c8a9c43d2dc7ed8b62f24329330850ee151708ab98482599b1cf9715a8c2f83513f8b6d42f684a16205d3eb12b75e23d3ae5ed64479f730885e0e72045eff2f69e563b19a3d118221fcbae792c29b2a243439c740401faf6b3b7',
+    '01a7847a1725d1ffc25a8d9f1f95': '1e9011cfdff7b241859d1b71d0251e83650d2cb43d95b761d6a5edd1e9c1e4fc741690c1b7b8c64035f248e0d0be46d60f647088d81cdad62c7108dbcd4f48c2175babbd7d74cd7830fb33787b7ef951a4f6a4e78e4d2677bf8927f9d9fe2e2369c61941049d7f1909bbb4cbe80be334c99a5482a5cba3370ddfd66baa22d7d2d3667790deb9',
+    '947a9d9b79771c499df8cde3cb0a': '5d863c2e83c15487112d78468e4108e63f86d130dba955c0fd6f2e8a71214b1c9fa3c74dcce3e06e1bbaa5a8e0abafaf366919af037c56cf06c36bc07157b3d3260084c4b5047ab521960da611cc90b7d2dc60393fcf46676d697125f9cbc6e7e6b214be6571bd3dc447a51f7756622491003de8',
+    'bc11beabfb0c637b93ecd08862ab': 'c6351e71b7a594c643a0b42c8d24bcb60255c975a33eaf2453cbcca82539bd2d12fa61daa01eeff38b8102059642beccbf1eb2f8357451095dd41d55e4a7684a9040b70ac6b6a0560b2c7d1c544dbb8a0d3ac71e7d9731028f0cd2ddbad181d67a044b65da667c80110bfe8368223d180c3a32db7d361daaef56d960a46618e69695e8bb',
+    '7756a695a5a8ac62825e49061d72': '615287759d1f2ce8b2f261a52cc7d6ff77ac0febc452459de4dcc316babea151bc4bf41f71f9536e623d91667ddb4f62976dde9f99656e3a76aec58e9ff25765c7782bf395a46d24d58b848f072cf657fd3878028bf7317c55104a45d564b3c1bb91fdfa57fa49c916da572b2b90e4a1acb92c58a3ab5f07fe211694600975ac86db',
+    'ffd9fccaebfb1bfb3204aea2d0d8': '0e42b8d0c421b5fd5e902ae6d7ac2a4366c127713f4016469c2b0d8965590abc1b03a0ce5e9558774f4f2016d9a09e5a7e9260264b00a1653baac612be0b68376c8e4a541582114dd9fe519dd4aac99c4e84dc91cd170e4f3a05877f040af29d5cdb32fbd9347d14661d',
+    '95d4bd1c1f5939b10b85b9019271': '7cf8ec0dcdadddd91e0942ec6dc6c060cc06bb526b0daa69c057dc5e0dc9c60050a7422428962ef977636c27f805a283806a5209d8c3568935aeabe81dd3ae450959d2b7f1c05e06b99f69598701985c1d77957c88a83cc82088c3be810b512f84ba29841b94e711e8a8081ff228a8fa9304d828ed9481f8',
+    '46dadfae748d71612ff533e5bc72': '4b1c1737272e74ff8fa26b9311eb471a4e2ff1b33dd22c809d9722fde838824248dbef8150c7a3bfe9279fac5ad4f9f98da1a5f90237f531355f1f2988b203262d9256fd2a9bf175de5ca885c0fea1c7296326f9fea3c73191aa59bed671abdd4a03c62c',
+    'a41328b779dfdbf2b6e8b0e8b6fb': '368488bac96e060423daaff47469f07606e91ec6901476453c4817d2c62f9bb5e6fde290c5bd8c75c8027f76e899f2013d788e2b1d266f4aaf594114e890bae1add106f582ffaf45e356eda7b44a8ad6cbfc1ac10d8ac91695af5501ef3b5be368fc93a20c9c4c5d24ca7a5ac95775da8fce7b616a76de8f',
+    '3ba2c797db9bcdbc83ede4edd5b3': '280a307b6dbdc9b44b85bbf35d0c5cf46ea9b0075e4b30268d0d87451aec5b1dd65464864bd0b5b0cde1ece2755fc2ca76d755d18e8638048e6af80f6cc1888398165053b9fbb7f9c45efa5ba3109e77f7b49b37df52e833179d2353f9f05fe403b00b53cdbc59c1fdc9f72bbc8f2ba5afa2dc0dcc27a87c22d8a56868e9dd09f87da739',
+    '6b0722f80f0f15098c7d9a9371bc': 'a55b10c3652fd2927f0efd996de2a71ebb36d11cd7d77573986ed2a87a3435e6f7534e18fd7d7f4cc44bfd93e5e6526be94f8e195659ea8052ae8b17d85ae981d927081fca04a15ccef34438bcde1efb2e803bde728128b8b4a909fbbb8a068932e862feeb2581044993581a02cb8df70828f18c4c21fde0',
+};
+
+/**
+ * An opened glossary entry (see unsealNote() in seal.js) as
+ * { meaning, english, partOfSpeech, example }, or null if it does
+ * not split into every field — missing, or opened with the wrong
+ * word.
+ */
+function parseGlossaryEntry(text) {
+    const fields = typeof text === 'string' ? text.split('|') : [];
+    if (fields.length !== GLOSSARY_FIELDS.length) return null;
+
+    const entry = {};
+    GLOSSARY_FIELDS.forEach((field, i) => { entry[field] = fields[i]; });
+    return entry;
+}
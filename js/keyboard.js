@@ -0,0 +1,133 @@
+// ========================================
+// Urdle — Keyboard Layouts
+// ========================================
+// On-screen keyboard definitions, rendered by game.js.
+// A layout is a list of rows; each key is either:
+//   'ب'                        — label and emitted letter are the same
+//   { label: '…', letter: 'ب' } — label differs from the emitted letter
+//   'backspace' | 'enter'      — action keys
+// Every layout must cover the same alphabet (checked by
+// scripts/lint-words.js), so any answer is typeable on any layout.
+
+const KEYBOARD_ACTIONS = {
+    backspace: { label: '⌫', id: 'key-backspace' },
+    enter: { label: '→', id: 'key-enter' },
+};
+
+const DEFAULT_KEYBOARD_LAYOUT = 'urdle';
+
+const KEYBOARD_LAYOUTS = {
+    // The original Urdle keyboard
+    urdle: {
+        name: 'اُردل',
+        rows: [
+            ['ط', 'ظ', 'ئ', 'ح', 'ث', 'ٹ', 'ڑ', 'ژ', 'غ', 'ص', 'ض'],
+            ['پ', 'ہ', 'ی', 'ء', 'ے', 'ت', 'ر', 'ع', 'و', 'ق'],
+            ['ل', 'ک', 'ج', 'ھ', 'گ', 'ف', 'د', 'ڈ', 'س', 'آ', 'ا'],
+            ['backspace', 'م', 'ن', 'ں', 'ب', 'چ', 'خ', 'ش', 'ز', 'ذ', 'enter'],
+            ['أ', 'ؤ', 'ۂ', 'ۃ'],
+        ],
+    },
+
+    // Alphabetical order: ا آ ب پ ت ٹ …
+    alphabetical: {
+        name: 'حروفِ تہجی',
+        rows: [
+            ['ا', 'آ', 'أ', 'ب', 'پ', 'ت', 'ٹ', 'ث', 'ج', 'چ', 'ح'],
+            ['خ', 'د', 'ڈ', 'ذ', 'ر', 'ڑ', 'ز', 'ژ', 'س', 'ش', 'ص'],
+            ['ض', 'ط', 'ظ', 'ع', 'غ', 'ف', 'ق', 'ک', 'گ', 'ل', 'م'],
+            ['ن', 'ں', 'و', 'ؤ', 'ہ', 'ۂ', 'ۃ', 'ھ'],
+            ['backspace', 'ء', 'ی', 'ے', 'ئ', 'enter'],
+        ],
+    },
+
+    // Phonetic (CRULP): letters sit on their QWERTY sound-alike keys;
+    // the shift-layer letters get the last two rows
+    phonetic: {
+        name: 'فونیٹک (QWERTY)',
+        rows: [
+            ['ق', 'و', 'ع', 'ر', 'ت', 'ے', 'ء', 'ی', 'ہ', 'پ'],
+            ['ا', 'س', 'د', 'ف', 'گ', 'ح', 'ج', 'ک', 'ل'],
+            ['backspace', 'ز', 'ش', 'چ', 'ط', 'ب', 'ن', 'م', 'enter'],
+            ['ؤ', 'أ', 'ڑ', 'ٹ', 'ۂ', 'ئ', 'ۃ', 'آ', 'ص', 'ڈ'],
+            ['غ', 'ھ', 'ض', 'خ', 'ذ', 'ژ', 'ث', 'ظ', 'ں'],
+        ],
+    },
+
+    // Standard Urdu typewriter (Windows "Urdu") positions;
+    // the shift-layer letters get the last two rows
+    typewriter: {
+        name: 'ٹائپ رائٹر',
+        rows: [
+            ['ط', 'ص', 'ھ', 'د', 'ٹ', 'پ', 'ت', 'ب', 'ج', 'ح'],
+            ['م', 'و', 'ر', 'ن', 'ل', 'ہ', 'ا', 'ک', 'ی'],
+            ['backspace', 'ق', 'ف', 'ے', 'س', 'ش', 'غ', 'ع', 'enter'],
+            ['ظ', 'ض', 'ذ', 'ڈ', 'ث', 'چ', 'خ', 'ؤ', 'أ', 'ۂ', 'ۃ'],
+            ['ژ', 'ز', 'ڑ', 'ں', 'ء', 'آ', 'گ', 'ئ'],
+        ],
+    },
+};
+
+/**
+ * Expand a key entry to { label, letter } or { label, action, id }.
+ */
+function getKeyDef(key) {
+    if (typeof key === 'string' && KEYBOARD_ACTIONS[key]) {
+        return Object.assign({ action: key }, KEYBOARD_ACTIONS[key]);
+    }
+    if (typeof key === 'string') {
+        return { label: key, letter: key };
+    }
+    return { label: key.label || key.letter, letter: key.letter };
+}
+
+/**
+ * Look up a layout by name, falling back to the default.
+ */
+function getKeyboardLayout(name) {
+    return KEYBOARD_LAYOUTS[name] || KEYBOARD_LAYOUTS[DEFAULT_KEYBOARD_LAYOUT];
+}
+
+/**
+ * Normalized letters a layout can emit.
+ */
+function getLayoutLetters(layout) {
+    const letters = new Set();
+    layout.rows.forEach((row) => row.forEach((key) => {
+        const def = getKeyDef(key);
+        if (def.letter) letters.add(normalizeUrdu(def.letter));
+    }));
+    return letters;
+}
+
+/**
+ * Letters typeable on every layout — the alphabet answers may use,
+ * so the daily word never depends on a player's layout choice.
+ */
+function getTypeableLetters() {
+    const layouts = Object.values(KEYBOARD_LAYOUTS).map(getLayoutLetters);
+    return new Set([...layouts[0]].filter((letter) => layouts.every((set) => set.has(letter))));
+}
+
+// ========================================
+// Phonetic Input (physical keyboards)
+// ========================================
+// CRULP phonetic mapping, so players without an Urdu OS layout can
+// type on a Latin keyboard: a→ا, b→ب, shift+t→ٹ, …
+// Mirrors the 'phonetic' layout above. Keys are e.key values, so the
+// shift layer is the uppercase letter.
+
+const PHONETIC_KEYMAP = {
+    q: 'ق', w: 'و', e: 'ع', r: 'ر', t: 'ت', y: 'ے', u: 'ء', i: 'ی', o: 'ہ', p: 'پ',
+    a: 'ا', s: 'س', d: 'د', f: 'ف', g: 'گ', h: 'ح', j: 'ج', k: 'ک', l: 'ل',
+    z: 'ز', x: 'ش', c: 'چ', v: 'ط', b: 'ب', n: 'ن', m: 'م',
+    W: 'ؤ', E: 'أ', R: 'ڑ', T: 'ٹ', Y: 'ۂ', U: 'ئ', O: 'ۃ', A: 'آ', S: 'ص', D: 'ڈ', G: 'غ', H: 'ھ',
+    J: 'ض', K: 'خ', Z: 'ذ', X: 'ژ', C: 'ث', V: 'ظ', N: 'ں',
+};
+
+/**
+ * Urdu letter for a Latin key press, or null if the key has none.
+ */
+function getPhoneticLetter(key) {
+    return Object.prototype.hasOwnProperty.call(PHONETIC_KEYMAP, key) ? PHONETIC_KEYMAP[key] : null;
+}
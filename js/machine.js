@@ -0,0 +1,248 @@
+// ========================================
+// Urdle — Game State Machine
+// ========================================
+// One game on one or more boards, as an explicit state machine:
+//
+//   idle ──submit──▶ revealing ──completeReveal──▶ idle | won | lost
+//
+// Guesses are only accepted while idle, so a second Enter or a
+// key typed during the flip animation cannot touch a row that is
+// being revealed. Every transition is appended to an event log
+// and handed to subscribers — game.js renders, persists and
+// toasts from these events. The answers stay sealed (seal.js)
+// until the game is over. Nothing here touches the DOM or
+// storage. Needs engine.js.
+//
+// A single-board game may also take a few hints while idle.
+// Each hint costs a guess: the game is lost once guesses and
+// hints together reach the limit, so a hint is refused when it
+// would leave no guess to play. The sealed answer keeps the same
+// count and refuses anything past the rules itself.
+
+const GAME_STATES = {
+    IDLE: 'idle',
+    REVEALING: 'revealing',
+    WON: 'won',
+    LOST: 'lost',
+};
+
+// Kinds of hint a game can take
+const HINT_TYPES = {
+    LETTER: 'letter', // the letter at the first position not yet shown
+    CHECK: 'check',   // whether the word has a given letter
+    CLUE: 'clue',     // the answer's category (clues.js), once per game
+};
+
+/**
+ * Start a game on one board per answer (opened with
+ * createSealedAnswer() in seal.js for the same variant), lost
+ * after `maxAttempts` guesses, allowing up to `maxHints` hints
+ * (single board only).
+ * Returns the machine:
+ *
+ *   getState()        { status, attempts, evaluations, solvedAt,
+ *                     hints } (read-only; replaced on every
+ *                     transition)
+ *   getAnswers()      the answer words once the game is won or
+ *                     lost, else null
+ *   getLog()          copy of the event log
+ *   subscribe(fn)     call fn(event) after each event; returns an
+ *                     unsubscribe function
+ *   submit(guess)     idle → revealing; returns the guess's
+ *                     per-board evaluations, or null if not idle
+ *   completeReveal()  revealing → idle, won or lost
+ *   checkHint(type)   null if a hint of that type can be taken,
+ *                     else why not: 'busy', 'limit', 'last-guess',
+ *                     'used' (the clue), 'no-clue' (the answer has
+ *                     none) or 'none-left' (every position is
+ *                     already shown)
+ *   hint(type, value) take a hint: `value` is the letter to check,
+ *                     or for 'letter' an optional position to show;
+ *                     returns the hint, or null if refused
+ *   replay(guesses, hints)
+ *                     play saved guesses and hints instantly
+ *                     (events carry replay: true)
+ *   undo()            take back the last guess while the game is in
+ *                     progress; false if there is none, a hint was
+ *                     taken since, or the game is revealing or over.
+ *                     game.js only offers it in practice games
+ *
+ * Hints are { type, row, position, letter, present, clue }: `row`
+ * is the guess they were taken before; 'letter' hints have position
+ * and letter, 'check' hints letter and present, 'clue' hints the
+ * clue.
+ *
+ * Events are { type, row, guess, evaluations, hint, replay }, with
+ * type 'submit', 'reveal', 'won', 'lost', 'undo' or 'hint'. `row`
+ * counts guesses from 1; `hint` is only set on 'hint' events.
+ */
+function createGameMachine(answers, maxAttempts, maxHints) {
+    const log = [];
+    const listeners = [];
+
+    let state = {
+        status: GAME_STATES.IDLE,
+        attempts: [],    // array of guess strings
+        evaluations: [], // per guess: one evaluation array per board (null once solved)
+        solvedAt: answers.map(() => 0), // per board: guess number that solved it, or 0
+        hints: [],       // hints taken, in order
+    };
+    let pending = null;  // guess being revealed: { guess, evaluations }
+    let replaying = false;
+
+    function emit(type, row, guess, evaluations, hint) {
+        const event = { type, row, guess, evaluations, hint: hint || null, replay: replaying };
+        log.push(event);
+        listeners.slice().forEach((listener) => listener(event));
+    }
+
+    function submit(guess) {
+        if (state.status !== GAME_STATES.IDLE) return null;
+
+        const evaluations = answers.map((answer, board) =>
+            (state.solvedAt[board] ? null : answer.evaluate(guess)));
+        pending = { guess, evaluations };
+        state = Object.assign({}, state, { status: GAME_STATES.REVEALING });
+        emit('submit', state.attempts.length + 1, guess, evaluations);
+        return evaluations;
+    }
+
+    function completeReveal() {
+        if (state.status !== GAME_STATES.REVEALING) return;
+
+        const { guess, evaluations } = pending;
+        const row = state.attempts.length + 1;
+        const solvedAt = state.solvedAt.map((solved, board) =>
+            (!solved && evaluations[board] && isSolvedEvaluation(evaluations[board]) ? row : solved));
+
+        let status = GAME_STATES.IDLE;
+        if (solvedAt.every((n) => n > 0)) status = GAME_STATES.WON;
+        else if (row + state.hints.length >= maxAttempts) status = GAME_STATES.LOST;
+
+        pending = null;
+        state = {
+            status,
+            attempts: state.attempts.concat([guess]),
+            evaluations: state.evaluations.concat([evaluations]),
+            solvedAt,
+            hints: state.hints,
+        };
+        emit('reveal', row, guess, evaluations);
+        if (status !== GAME_STATES.IDLE) emit(status, row, guess, evaluations);
+    }
+
+    /**
+     * First position no guess has shown correct and no hint has
+     * revealed, or -1.
+     */
+    function findHiddenPosition() {
+        const shown = new Set(state.hints.filter((h) => h.type === HINT_TYPES.LETTER).map((h) => h.position));
+        state.evaluations.forEach((row) => {
+            row[0].forEach((status, i) => { if (status === 'correct') shown.add(i); });
+        });
+        for (let i = 0; i < answers[0].length; i++) {
+            if (!shown.has(i)) return i;
+        }
+        return -1;
+    }
+
+    function checkHint(type) {
+        if (state.status !== GAME_STATES.IDLE) return 'busy';
+        if (answers.length !== 1 || state.hints.length >= (maxHints || 0)) return 'limit';
+        if (state.attempts.length + state.hints.length + 1 >= maxAttempts) return 'last-guess';
+        if (type === HINT_TYPES.CLUE && state.hints.some((h) => h.type === HINT_TYPES.CLUE)) return 'used';
+        if (type === HINT_TYPES.CLUE && !answers[0].hasClue) return 'no-clue';
+        if (type === HINT_TYPES.LETTER && findHiddenPosition() < 0) return 'none-left';
+        return null;
+    }
+
+    function hint(type, value) {
+        if (checkHint(type)) return null;
+
+        const answer = answers[0];
+        const taken = { type, row: state.attempts.length + 1 };
+        if (type === HINT_TYPES.LETTER) {
+            const position = Number.isInteger(value) ? value : findHiddenPosition();
+            if (position < 0 || position >= answer.length) return null;
+            taken.position = position;
+            taken.letter = answer.letterAt(position);
+            if (taken.letter === null) return null;
+        } else if (type === HINT_TYPES.CHECK) {
+            if (typeof value !== 'string' || !value) return null;
+            taken.letter = value;
+            taken.present = answer.includes(value);
+            if (taken.present === null) return null;
+        } else if (type === HINT_TYPES.CLUE) {
+            taken.clue = answer.clue();
+            if (taken.clue === null) return null;
+        } else {
+            return null;
+        }
+
+        state = Object.assign({}, state, { hints: state.hints.concat([taken]) });
+        emit('hint', taken.row, null, null, taken);
+        return taken;
+    }
+
+    function replay(guesses, hints) {
+        const saved = hints || [];
+        replaying = true;
+        try {
+            // Hints go back in before the guess they were taken before
+            for (let row = 1; row <= guesses.length + 1; row++) {
+                saved.filter((h) => h.row === row)
+                    .forEach((h) => hint(h.type, h.type === HINT_TYPES.LETTER ? h.position : h.letter));
+                if (row > guesses.length || !submit(guesses[row - 1])) break;
+                completeReveal();
+            }
+        } finally {
+            replaying = false;
+        }
+    }
+
+    function undo() {
+        if (state.status !== GAME_STATES.IDLE || state.attempts.length === 0) return false;
+        if (state.hints.some((h) => h.row > state.attempts.length)) return false;
+
+        const row = state.attempts.length;
+        const guess = state.attempts[row - 1];
+        const evaluations = state.evaluations[row - 1];
+        // The boards that scored the guess take it back too
+        evaluations.forEach((evaluation, board) => {
+            if (evaluation) answers[board].withdraw();
+        });
+        state = {
+            status: GAME_STATES.IDLE,
+            attempts: state.attempts.slice(0, -1),
+            evaluations: state.evaluations.slice(0, -1),
+            solvedAt: state.solvedAt.map((solved) => (solved === row ? 0 : solved)),
+            hints: state.hints,
+        };
+        emit('undo', row, guess, evaluations);
+        return true;
+    }
+
+    function getAnswers() {
+        if (state.status !== GAME_STATES.WON && state.status !== GAME_STATES.LOST) return null;
+        return answers.map((answer) => answer.reveal());
+    }
+
+    return {
+        getState: () => state,
+        getAnswers,
+        getLog: () => log.slice(),
+        subscribe(listener) {
+            listeners.push(listener);
+            return () => {
+                const index = listeners.indexOf(listener);
+                if (index >= 0) listeners.splice(index, 1);
+            };
+        },
+        submit,
+        completeReveal,
+        checkHint,
+        hint,
+        replay,
+        undo,
+    };
+}
@@ -0,0 +1,38 @@
+// ========================================
+// Urdle — Urdu Letter Normalization
+// ========================================
+// Folds visually identical spellings onto one canonical
+// form so they always compare equal. Applied to the word
+// lists, on-screen keys, physical keyboard input and
+// evaluation. Canonical choices:
+//
+//   Arabic ي / ى  → Urdu ی        Arabic ك → Urdu ک
+//   Arabic ه      → Urdu ہ        ە / ۀ    → ہ / ۂ
+//   ا + madda     → آ             ہ + hamza → ۂ
+//   و + hamza     → ؤ             ی + hamza → ئ
+//   harakat, tatweel and zero-width joiners are dropped.
+
+// Arabic-script look-alikes → the Urdu letter players type
+const URDU_LETTER_MAP = {
+    'ي': 'ی', // ي → ی
+    'ى': 'ی', // ى → ی
+    'ك': 'ک', // ك → ک
+    'ه': 'ہ', // ه → ہ
+    'ە': 'ہ', // ە → ہ
+    'ۀ': 'ۂ', // ۀ → ۂ
+};
+
+// Short-vowel marks, shadda, sukun, superscript alef, tatweel, ZWNJ/ZWJ
+const URDU_IGNORED_MARKS = /[ً-ْٰـ‌‍]/g;
+
+/**
+ * Canonical form of an Urdu word or letter.
+ */
+function normalizeUrdu(text) {
+    let result = String(text).trim().replace(URDU_IGNORED_MARKS, '');
+    result = result.replace(/[يىكهەۀ]/g, (ch) => URDU_LETTER_MAP[ch]);
+    // ی + hamza has no precomposed form; Urdu writes it as ئ
+    result = result.replace(/یٔ/g, 'ئ');
+    // Compose the rest: ا+ٓ → آ, ہ+ٔ → ۂ, و+ٔ → ؤ, ے+ٔ → ۓ, …
+    return result.normalize('NFC');
+}
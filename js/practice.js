@@ -0,0 +1,55 @@
+// ========================================
+// Urdle — Practice Mode
+// ========================================
+// Unlimited back-to-back games on random dictionary words.
+// Practice progress lives in its own section and never
+// touches the daily game or the daily stats. Each word-length
+// variant has its own practice game.
+
+/**
+ * Load the practice game in progress.
+ * Returns { words, attempts, gameOver, won, hardMode, hints } or null;
+ * `words` are sealed (seal.js).
+ */
+function loadPracticeState() {
+    const data = loadStore().practice[getVariantId()];
+    return data && Array.isArray(data.words) && data.words.every(isSealedWord) ? data : null;
+}
+
+/**
+ * Save the practice game's progress.
+ */
+function savePracticeState(words, attempts, gameOver, won, hardMode, hints) {
+    const data = {
+        words: words, // one sealed answer per board
+        attempts: attempts, // array of guess strings
+        gameOver: gameOver,
+        won: won,
+        hardMode: !!hardMode,
+        hints: hints || [],
+    };
+    updateStore((store) => { store.practice[getVariantId()] = data; });
+}
+
+/**
+ * Pick random words for a new practice game, one per board of the
+ * active variant, all different and avoiding the previous game's
+ * words. They come from the dictionary but never from the answer
+ * lists (common-words.js), so practice cannot spoil a daily puzzle,
+ * and are sealed with `seal`: game.js passes the sealWord() only it
+ * gets from seal.js. Words the keyboard cannot type are skipped.
+ */
+function pickPracticeWords(seal, previous) {
+    const variant = getVariant();
+    const common = new Set(variant.common);
+    const avoid = previous || [];
+    const words = [];
+    while (words.length < getBoardCount()) {
+        const index = Math.floor(Math.random() * variant.words.length);
+        if (common.has(index)) continue;
+        const word = seal(normalizeUrdu(variant.words[index]));
+        if (words.includes(word) || avoid.includes(word) || !isTypeable(word)) continue;
+        words.push(word);
+    }
+    return words;
+}
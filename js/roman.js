@@ -0,0 +1,208 @@
+// ========================================
+// Urdle — Roman Urdu Matching
+// ========================================
+// Lets players type a word the way they would text it ("kitab",
+// "pani") and offers the dictionary spellings that fit.
+// Matching is deliberately loose: Urdu script drops short vowels,
+// so extra a/e/i/o/u in the Roman text are allowed (at a cost),
+// and each letter accepts its common Roman spellings.
+
+// Roman spellings each (normalized) Urdu letter may be typed as.
+// An empty string means the letter may go unwritten.
+const ROMAN_SPELLINGS = {
+    'ا': ['aa', 'a'],
+    'آ': ['aa', 'a'],
+    'أ': ['a', ''],
+    'ب': ['b'],
+    'پ': ['p'],
+    'ت': ['t'],
+    'ٹ': ['tt', 't'],
+    'ث': ['s', 'th'],
+    'ج': ['j', 'g'],
+    'چ': ['ch', 'c'],
+    'ح': ['h', ''],
+    'خ': ['kh', 'x'],
+    'د': ['d'],
+    'ڈ': ['dd', 'd'],
+    'ذ': ['z'],
+    'ر': ['r'],
+    'ڑ': ['rr', 'r'],
+    'ز': ['z'],
+    'ژ': ['zh', 'z'],
+    'س': ['s'],
+    'ش': ['sh'],
+    'ص': ['s'],
+    'ض': ['z', 'd'],
+    'ط': ['t'],
+    'ظ': ['z'],
+    'ع': ['a', 'i', 'u', 'e', 'o', ''],
+    'غ': ['gh'],
+    'ف': ['f', 'ph'],
+    'ق': ['q', 'k'],
+    'ک': ['k', 'c'],
+    'گ': ['g'],
+    'ل': ['l'],
+    'م': ['m'],
+    'ن': ['n'],
+    'ں': ['n', ''],
+    'و': ['w', 'v', 'oo', 'o', 'u', 'au'],
+    'ؤ': ['o', 'u', 'oo', 'w'],
+    'ہ': ['h', 'a', 'e', ''],
+    'ۂ': ['e', 'a', 'ah', ''],
+    'ۃ': ['t', 'h', 'a', ''],
+    'ھ': ['h'],
+    'ء': [''],
+    'ی': ['y', 'ee', 'i', 'ai', 'e'],
+    'ے': ['ay', 'ai', 'e', 'ey'],
+    'ئ': ['y', 'i', 'e', ''],
+};
+
+// Word-initial alif also carries a short vowel: "ishara" اشارہ, "us" اس
+const ROMAN_INITIAL_SPELLINGS = {
+    'ا': ['i', 'u', 'e'],
+};
+
+const ROMAN_SHORT_VOWELS = 'aeiou';
+
+// Word list → its words grouped by the Roman characters their
+// spellings can start with (see getRomanIndex()), built on first use
+const romanIndexes = new WeakMap();
+
+/**
+ * Lowercase and keep only a–z, so "Kitaab!" and "kit'aab" both work.
+ */
+function cleanRoman(text) {
+    return String(text).toLowerCase().replace(/[^a-z]/g, '');
+}
+
+/**
+ * Roman spellings of the letter at `index` of a word.
+ */
+function getRomanSpellings(letter, index) {
+    const spellings = ROMAN_SPELLINGS[letter] || [];
+    return index === 0 && ROMAN_INITIAL_SPELLINGS[letter]
+        ? spellings.concat(ROMAN_INITIAL_SPELLINGS[letter])
+        : spellings;
+}
+
+/**
+ * What any Roman spelling of `letters` must look like: `starts`, the
+ * characters it can begin with (null if every letter may go
+ * unwritten), and `minLength`, the fewest characters it can have.
+ */
+function getRomanBounds(letters) {
+    const minLength = letters.filter((letter) => !getRomanSpellings(letter, 1).includes('')).length;
+    const starts = new Set();
+    for (let index = 0; index < letters.length; index++) {
+        const spellings = getRomanSpellings(letters[index], index);
+        spellings.forEach((spelling) => {
+            if (spelling) starts.add(spelling[0]);
+        });
+        if (!spellings.includes('')) return { starts, minLength };
+    }
+    return { starts: null, minLength };
+}
+
+/**
+ * Index a word list (see getRomanCandidates()) by the first Roman
+ * character of its spellings, so a search only scores the words
+ * that can start the way the Roman text does.
+ */
+function getRomanIndex(words) {
+    let index = romanIndexes.get(words);
+    if (index) return index;
+
+    index = { byStart: new Map(), anyStart: [] };
+    words.forEach((entry, order) => {
+        const bounds = getRomanBounds(entry.letters);
+        const item = { word: entry.word, letters: entry.letters, order, minLength: bounds.minLength };
+        if (!bounds.starts) {
+            index.anyStart.push(item);
+            return;
+        }
+        bounds.starts.forEach((ch) => {
+            if (!index.byStart.has(ch)) index.byStart.set(ch, []);
+            index.byStart.get(ch).push(item);
+        });
+    });
+    romanIndexes.set(words, index);
+    return index;
+}
+
+/**
+ * How loosely `roman` spells `letters` (an array of Urdu letters):
+ * 0 is an exact letter-for-letter spelling, each added short vowel,
+ * doubled consonant or unwritten letter costs 1. Returns -1 if the
+ * Roman text cannot spell the word at all.
+ */
+function romanMatchCost(roman, letters) {
+    // best[pos * width + index]: cheapest way to have consumed
+    // roman[0..pos) while spelling letters[0..index)
+    const width = letters.length + 1;
+    const best = new Array((roman.length + 1) * width).fill(Infinity);
+    best[0] = 0;
+
+    const relax = (pos, index, cost) => {
+        const cell = pos * width + index;
+        if (cost < best[cell]) best[cell] = cost;
+    };
+
+    for (let pos = 0; pos <= roman.length; pos++) {
+        for (let index = 0; index < width; index++) {
+            const cost = best[pos * width + index];
+            if (cost === Infinity) continue;
+
+            if (pos < roman.length) {
+                const ch = roman[pos];
+                // A short vowel the script leaves out, or a doubled consonant (shadda)
+                if (ROMAN_SHORT_VOWELS.includes(ch) || (pos > 0 && ch === roman[pos - 1])) {
+                    relax(pos + 1, index, cost + 1);
+                }
+            }
+
+            if (index < letters.length) {
+                for (const spelling of getRomanSpellings(letters[index], index)) {
+                    if (roman.startsWith(spelling, pos)) {
+                        relax(pos + spelling.length, index + 1, cost + (spelling === '' ? 1 : 0));
+                    }
+                }
+            }
+        }
+    }
+
+    const total = best[best.length - 1];
+    return total === Infinity ? -1 : total;
+}
+
+/**
+ * Words (from `words`, each pre-split into letters as
+ * { word, letters }) that the Roman text could spell, closest first.
+ * Ties keep the order of `words`, so callers can list common
+ * words first. Pass the same `words` array every time: it is
+ * indexed on the first call.
+ */
+function getRomanCandidates(text, words, limit) {
+    const roman = cleanRoman(text);
+    if (!roman) return [];
+
+    const index = getRomanIndex(words);
+    const scored = new Set();
+    const matches = [];
+    const score = (item) => {
+        if (scored.has(item) || roman.length < item.minLength) return;
+        scored.add(item);
+        const cost = romanMatchCost(roman, item.letters);
+        if (cost >= 0) matches.push({ word: item.word, cost, order: item.order });
+    };
+
+    // Leading short vowels may be unwritten, so the spelling starts
+    // at one of them or at the first consonant after them
+    for (let pos = 0; pos < roman.length; pos++) {
+        (index.byStart.get(roman[pos]) || []).forEach(score);
+        if (!ROMAN_SHORT_VOWELS.includes(roman[pos])) break;
+    }
+    index.anyStart.forEach(score);
+
+    matches.sort((a, b) => a.cost - b.cost || a.order - b.order);
+    return matches.slice(0, limit).map((match) => match.word);
+}
@@ -0,0 +1,241 @@
+// ========================================
+// Urdle — Sealed Answers
+// ========================================
+// Answers ship sealed: the answer lists hold scrambled codes
+// instead of words, and the schedule, saved practice games and
+// game code only ever pass codes around. A sealed answer scores
+// guesses and gives hints within the game's rules, but hands over
+// its word only once it has been guessed or the guesses have run
+// out. Only game.js can open one, so the schedule's codes are no
+// use in the console.
+//
+// This stops casual peeking, not a determined player: the
+// unscrambling has to ship with the game.
+//
+// Notes about an answer are sealed with the word itself as the
+// key: its glossary entry (glossary.js) opens only once the game
+// has handed the word over, and its clue (clues.js) only through
+// the sealed answer, as a hint.
+//
+// Node tooling (no `window`) also gets sealWord(), unsealWord(),
+// sealNote() and unsealNote() to lint and preview the lists. Seal
+// new answers with scripts/seal-answers.js and their notes with
+// scripts/seal-clue.js and scripts/seal-glossary.js.
+// Loaded in <head>; opening an answer also needs engine.js,
+// settings.js, clues.js and variants.js, loaded by then.
+
+(function (global) {
+    'use strict';
+
+    const SEAL_SEED = 0x7572646c; // 'urdl'
+    const SEALED_CODE = /^(?:[0-9a-f]{4}){2,}$/;
+    const SEALED_NOTE = /^(?:[0-9a-f]{4})+$/;
+
+    /**
+     * Scrambling key for the first `length` UTF-16 code units of a
+     * word with the given salt.
+     */
+    function keystream(length, salt) {
+        const keys = [];
+        let state = (SEAL_SEED ^ Math.imul(salt, 0x9E3779B1)) >>> 0;
+        for (let i = 0; i < length; i++) {
+            state = (Math.imul(state, 1103515245) + 12345) >>> 0;
+            keys.push(state >>> 16);
+        }
+        return keys;
+    }
+
+    /**
+     * 32-bit hash of a word's code units.
+     */
+    function hashWord(word) {
+        let hash = 0;
+        for (let i = 0; i < word.length; i++) {
+            hash = (Math.imul(hash, 31) + word.charCodeAt(i)) >>> 0;
+        }
+        return hash;
+    }
+
+    /**
+     * 16-bit salt derived from the word itself, so the same word
+     * always gets the same code but codes share no visible pattern.
+     */
+    function saltFor(word) {
+        const hash = hashWord(word);
+        return (hash ^ (hash >>> 16)) & 0xFFFF;
+    }
+
+    /**
+     * Seal a (normalized) word: the salt, then each code unit
+     * scrambled, four hex digits apiece.
+     */
+    function sealWord(word) {
+        const salt = saltFor(word);
+        const keys = keystream(word.length, salt);
+        let code = salt.toString(16).padStart(4, '0');
+        for (let i = 0; i < word.length; i++) {
+            code += ((word.charCodeAt(i) ^ keys[i]) >>> 0).toString(16).padStart(4, '0');
+        }
+        return code;
+    }
+
+    /**
+     * Whether `code` looks like a sealed word.
+     */
+    function isSealedWord(code) {
+        return typeof code === 'string' && SEALED_CODE.test(code);
+    }
+
+    /**
+     * The word a code was sealed from; throws on anything else.
+     */
+    function unsealWord(code) {
+        if (!isSealedWord(code)) throw new Error('Not a sealed word: ' + code);
+        const salt = parseInt(code.slice(0, 4), 16);
+        const keys = keystream(code.length / 4 - 1, salt);
+        let word = '';
+        for (let i = 0; i < keys.length; i++) {
+            word += String.fromCharCode(parseInt(code.substr((i + 1) * 4, 4), 16) ^ keys[i]);
+        }
+        return word;
+    }
+
+    /**
+     * Seal a note about `word` (normalized): each code unit of the
+     * text scrambled with a key only the word gives, four hex digits
+     * apiece.
+     */
+    function sealNote(text, word) {
+        const keys = keystream(text.length, hashWord(word));
+        let code = '';
+        for (let i = 0; i < text.length; i++) {
+            code += ((text.charCodeAt(i) ^ keys[i]) >>> 0).toString(16).padStart(4, '0');
+        }
+        return code;
+    }
+
+    /**
+     * The text of a note sealed for `word`, or null if `code` is not
+     * a sealed note. The wrong word gives garbage, not an error.
+     */
+    function unsealNote(code, word) {
+        if (typeof code !== 'string' || !SEALED_NOTE.test(code)) return null;
+        const keys = keystream(code.length / 4, hashWord(word));
+        let text = '';
+        for (let i = 0; i < keys.length; i++) {
+            text += String.fromCharCode(parseInt(code.substr(i * 4, 4), 16) ^ keys[i]);
+        }
+        return text;
+    }
+
+    /**
+     * Open a sealed answer for one game of the active variant
+     * (variants.js), under the rules in GAME_RULES: getMaxAttempts()
+     * guesses, and on a single board up to GAME_RULES.maxHints hints.
+     * Returns:
+     *
+     *   evaluate(guess)    the guess's evaluation (see evaluateGuess()
+     *                      in engine.js), or null once the game is over
+     *   letterAt(position) hint: the letter at `position`, or null if
+     *                      no hint is left or a guess or hint already
+     *                      showed that position
+     *   includes(letter)   hint: whether the word has `letter`, or
+     *                      null if no hint is left
+     *   clue()             hint: the word's category clue (clues.js),
+     *                      or null if no hint is left or it has none
+     *   hasClue            whether the word has a clue
+     *   withdraw()         take back the last guess (undo), even one
+     *                      that solved the word, which seals it again;
+     *                      false if a hint came after it or it used
+     *                      the last guess
+     *   length             number of letters
+     *   usesOnly(letters)  whether every letter is in the Set `letters`
+     *   reveal()           the word once a guess solved it or every
+     *                      guess was used, else null
+     *
+     * Hints cost a guess each, so they count towards the guesses, and
+     * one is refused when it would leave no guess to play.
+     */
+    function createSealedAnswer(code) {
+        const word = unsealWord(code);
+        const letters = splitUrdu(word);
+        const clue = unsealNote(ANSWER_CLUES[code], word);
+        const maxGuesses = getMaxAttempts();
+        const maxHints = getBoardCount() === 1 ? GAME_RULES.maxHints : 0;
+        const turns = []; // in order: { evaluation } per guess, { position } per hint (-1: none)
+
+        const hintCount = () => turns.filter((turn) => 'position' in turn).length;
+        const isSolved = () => turns.some((turn) => turn.evaluation && isSolvedEvaluation(turn.evaluation));
+        const isOver = () => isSolved() || turns.length >= maxGuesses;
+        const canHint = () => !isOver() && hintCount() < maxHints && turns.length + 1 < maxGuesses;
+        const isShown = (position) => turns.some((turn) => turn.position === position ||
+            (turn.evaluation && turn.evaluation[position] === 'correct'));
+
+        return Object.freeze({
+            length: letters.length,
+            hasClue: clue !== null,
+            evaluate(guess) {
+                if (isOver()) return null;
+                const evaluation = evaluateGuess(guess, letters);
+                turns.push({ evaluation: evaluation.slice() });
+                return evaluation;
+            },
+            letterAt(position) {
+                if (!canHint() || !Number.isInteger(position) || position < 0 ||
+                    position >= letters.length || isShown(position)) {
+                    return null;
+                }
+                turns.push({ position });
+                return letters[position];
+            },
+            includes(letter) {
+                if (!canHint() || typeof letter !== 'string') return null;
+                turns.push({ position: -1 });
+                return letters.includes(letter);
+            },
+            clue() {
+                if (!canHint() || clue === null) return null;
+                turns.push({ position: -1 });
+                return clue;
+            },
+            withdraw() {
+                const last = turns[turns.length - 1];
+                if (!last || !last.evaluation || turns.length >= maxGuesses) return false;
+                turns.pop();
+                return true;
+            },
+            usesOnly(allowed) {
+                return letters.every((letter) => allowed.has(letter));
+            },
+            reveal() {
+                return isOver() ? letters.join('') : null;
+            },
+        });
+    }
+
+    /**
+     * Hand { createSealedAnswer, unsealNote, sealWord } to their one
+     * caller: game.js claims them as it loads (sealing its practice
+     * words), so answers cannot be opened from the console, nor a
+     * guess tried against an answer or its notes.
+     * Returns null once claimed.
+     */
+    let sealedAnswersClaimed = false;
+    function claimSealedAnswers() {
+        if (sealedAnswersClaimed) return null;
+        sealedAnswersClaimed = true;
+        return { createSealedAnswer, unsealNote, sealWord };
+    }
+
+    global.isSealedWord = isSealedWord;
+    global.claimSealedAnswers = claimSealedAnswers;
+
+    // Tooling only: in the browser there is no direct way to or from
+    // the word, so a guess cannot be checked against today's code
+    if (typeof window === 'undefined') {
+        global.sealWord = sealWord;
+        global.unsealWord = unsealWord;
+        global.sealNote = sealNote;
+        global.unsealNote = unsealNote;
+    }
+})(this);
@@ -0,0 +1,126 @@
+// ========================================
+// Urdle — Settings
+// ========================================
+// Single source for everything that tunes the game:
+// fixed game rules plus the player's persisted
+// preferences. Game code reads from here instead of
+// keeping its own constants.
+//
+// Loaded in <head> so theme and palette classes are on
+// <html> before the first paint (no light-theme flash).
+// Preferences are saved in the storage document (storage.js).
+
+// Rules shared by every player (not user-editable)
+const GAME_RULES = {
+    maxAttempts: 7,
+    boardCounts: [1, 2, 4],    // 2 and 4 are the Dordle/Quordle-style modes
+    extraAttemptsPerBoard: 1,  // each extra board allows one more guess
+    maxHints: 3,               // 💡 hints per single-board game, each costing a guess
+};
+
+// Player preferences and their defaults
+const DEFAULT_SETTINGS = {
+    hardMode: false,
+    reducedMotion: prefersReducedMotion(),
+    highContrast: false, // colour-blind orange/blue palette
+    theme: 'system',     // 'system' | 'light' | 'dark'
+    keyboardLayout: 'urdle', // key of KEYBOARD_LAYOUTS in keyboard.js
+    wordLength: 4,       // key of WORD_VARIANTS in variants.js
+    boards: 1,           // one of GAME_RULES.boardCounts
+    phoneticInput: true, // Latin key presses type Urdu (PHONETIC_KEYMAP)
+    romanInput: false,   // Roman Urdu text field with candidate spellings
+};
+
+const settingsListeners = [];
+
+/**
+ * Whether the OS asks for reduced motion (default for the setting).
+ */
+function prefersReducedMotion() {
+    return typeof window !== 'undefined' && !!window.matchMedia &&
+        window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+}
+
+/**
+ * Load all settings, filling in defaults for anything unset.
+ */
+function loadSettings() {
+    return Object.assign({}, DEFAULT_SETTINGS, loadStore().settings);
+}
+
+/**
+ * Read one setting.
+ */
+function getSetting(key) {
+    return loadSettings()[key];
+}
+
+/**
+ * Persist one setting, re-apply document-level settings and notify
+ * listeners registered with onSettingChange().
+ */
+function setSetting(key, value) {
+    const settings = loadSettings();
+    settings[key] = value;
+    updateStore((store) => { store.settings = settings; });
+    applySettings();
+    settingsListeners.forEach((listener) => listener(key, value));
+}
+
+/**
+ * Subscribe to setting changes: listener(key, value).
+ */
+function onSettingChange(listener) {
+    settingsListeners.push(listener);
+}
+
+/**
+ * Resolve the theme setting to 'light' or 'dark'; 'system' follows
+ * prefers-color-scheme.
+ */
+function resolveTheme(theme) {
+    if (theme === 'light' || theme === 'dark') return theme;
+    const dark = typeof window !== 'undefined' && !!window.matchMedia &&
+        window.matchMedia('(prefers-color-scheme: dark)').matches;
+    return dark ? 'dark' : 'light';
+}
+
+/**
+ * Reflect document-wide settings on <html> (classes and data-theme),
+ * so CSS can react to them.
+ */
+function applySettings() {
+    const settings = loadSettings();
+    const root = document.documentElement;
+    root.classList.toggle('reduced-motion', !!settings.reducedMotion);
+    root.classList.toggle('high-contrast', !!settings.highContrast);
+    root.dataset.theme = resolveTheme(settings.theme);
+}
+
+/**
+ * Emoji squares for share text, matching the active palette.
+ */
+function getShareSquares() {
+    if (getSetting('highContrast')) {
+        return { correct: '🟧', present: '🟦', absent: '⬜' };
+    }
+    return { correct: '🟩', present: '🟨', absent: '⬜' };
+}
+
+/**
+ * Tile reveal timing in ms. Reduced motion flips every tile at once.
+ */
+function getRevealTiming() {
+    if (getSetting('reducedMotion')) {
+        return { stagger: 0, flip: 0, settle: 50 };
+    }
+    return { stagger: 150, flip: 250, settle: 300 };
+}
+
+// Apply as soon as this script runs, and keep following the OS theme
+if (typeof document !== 'undefined') {
+    applySettings();
+    if (window.matchMedia) {
+        window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', applySettings);
+    }
+}
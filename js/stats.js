@@ -0,0 +1,89 @@
+// ========================================
+// Urdle — Player Statistics
+// ========================================
+// Persistent record of every completed daily puzzle,
+// keyed by puzzle number, plus the derived summary
+// (win %, streaks, guess distribution) for the stats modal.
+// Each word-length variant keeps separate stats.
+
+/**
+ * Load the stats store.
+ * Returns { results: { [puzzle]: { date, attempts, won, hints } } }.
+ */
+function loadStats() {
+    return loadStore().stats[getVariantId()] || { results: {} };
+}
+
+/**
+ * Record a completed puzzle. Replaying a puzzle overwrites its entry.
+ */
+function recordResult(puzzle, date, attempts, won, hints) {
+    updateStore((store) => {
+        const stats = store.stats[getVariantId()] || { results: {} };
+        stats.results[puzzle] = {
+            date: date,
+            attempts: attempts, // number of guesses used
+            won: won,
+            hints: hints || 0,  // hints taken, each costing a guess
+        };
+        store.stats[getVariantId()] = stats;
+    });
+}
+
+/**
+ * Summarise the stats store for display.
+ * A streak is a run of consecutive puzzle numbers that were all won;
+ * the current streak survives until today's puzzle is lost or skipped.
+ * Hints cost a guess, so a win counts towards the distribution at
+ * its guesses plus hints.
+ */
+function getStatsSummary(maxAttempts) {
+    const results = loadStats().results;
+    const puzzles = Object.keys(results).map(Number).sort((a, b) => a - b);
+    const distribution = new Array(maxAttempts).fill(0);
+
+    let wins = 0;
+    let maxStreak = 0;
+    let run = 0;
+    let prev = null;
+
+    for (const puzzle of puzzles) {
+        const result = results[puzzle];
+        if (result.won) {
+            wins++;
+            const cost = getResultCost(result);
+            if (cost >= 1 && cost <= maxAttempts) {
+                distribution[cost - 1]++;
+            }
+            run = (prev !== null && puzzle === prev + 1) ? run + 1 : 1;
+            maxStreak = Math.max(maxStreak, run);
+        } else {
+            run = 0;
+        }
+        prev = puzzle;
+    }
+
+    // Count back from today (or yesterday, if today isn't finished yet)
+    let currentStreak = 0;
+    let puzzle = getPuzzleNumber();
+    if (!results[puzzle]) puzzle--;
+    while (results[puzzle] && results[puzzle].won) {
+        currentStreak++;
+        puzzle--;
+    }
+
+    return {
+        played: puzzles.length,
+        winPct: puzzles.length ? Math.round((wins / puzzles.length) * 100) : 0,
+        currentStreak: currentStreak,
+        maxStreak: maxStreak,
+        distribution: distribution,
+    };
+}
+
+/**
+ * Guesses a result used up: its guesses plus any hints taken.
+ */
+function getResultCost(result) {
+    return result.attempts + (result.hints || 0);
+}
@@ -0,0 +1,254 @@
+// ========================================
+// Urdle — Storage
+// ========================================
+// Everything the game remembers lives in one versioned
+// localStorage document under STORAGE_KEY:
+//
+//   { version, settings, daily, stats, archive, practice }
+//
+// where daily, stats, archive and practice are keyed by variant
+// id (getVariantId() in variants.js: '4', '5', '4x2', …).
+// Older documents are upgraded by STORAGE_MIGRATIONS on load, and
+// a document that no longer parses is set aside and restored from
+// the copy kept before the last save instead of being dropped.
+//
+// Loaded in <head> before settings.js.
+
+const STORAGE_KEY = 'urdle';
+const STORAGE_BACKUP_KEY = 'urdle_backup';   // the document before the last save
+const STORAGE_CORRUPT_KEY = 'urdle_corrupt'; // an unreadable document, kept for recovery by hand
+
+const STORAGE_VERSION = 2;
+
+// Sections keyed by variant id
+const VARIANT_SECTIONS = ['daily', 'stats', 'archive', 'practice'];
+
+// Version 1, the first release, only saved today's classic 4-letter
+// game, as { date, attempts, gameOver, won } under urdle_daily
+const LEGACY_DAILY_KEY = 'urdle_daily';
+const LEGACY_VARIANT = '4';
+
+// STORAGE_MIGRATIONS[n] upgrades a version n + 1 document to n + 2
+const STORAGE_MIGRATIONS = [
+    migrateLegacyDaily, // 1 → 2
+];
+
+/**
+ * A fresh, empty document.
+ */
+function createStore() {
+    const store = { version: STORAGE_VERSION, settings: {} };
+    VARIANT_SECTIONS.forEach((section) => { store[section] = {}; });
+    return store;
+}
+
+/**
+ * Load the storage document, upgrading and repairing it as needed.
+ * Never throws: without localStorage the game plays on an empty
+ * document.
+ */
+function loadStore() {
+    let raw = null;
+    try {
+        raw = localStorage.getItem(STORAGE_KEY);
+    } catch {
+        return createStore();
+    }
+
+    // Nothing saved yet: start from version 1 (urdle_daily)
+    let store = raw === null ? { version: 1 } : parseStore(raw);
+    if (!store) {
+        console.warn('[Urdle] Saved progress could not be read; restoring the previous copy. The unreadable data is kept under ' + STORAGE_CORRUPT_KEY + '.');
+        writeStorageKey(STORAGE_CORRUPT_KEY, raw);
+        store = parseStore(readStorageKey(STORAGE_BACKUP_KEY)) || createStore();
+        saveStore(sanitizeStore(store));
+    }
+
+    if (store.version < STORAGE_VERSION) {
+        const from = store.version;
+        store = upgradeStore(store);
+        saveStore(store);
+        if (from === 1) removeLegacyDaily();
+        return store;
+    }
+    return sanitizeStore(store);
+}
+
+/**
+ * Run the migrations a document needs to reach STORAGE_VERSION, and
+ * sanitize the result.
+ */
+function upgradeStore(store) {
+    for (let version = store.version; version < STORAGE_VERSION; version++) {
+        store = STORAGE_MIGRATIONS[version - 1](store);
+        store.version = version + 1;
+    }
+    return sanitizeStore(store);
+}
+
+/**
+ * Persist the whole document, keeping the previous one as a backup.
+ */
+function saveStore(store) {
+    const previous = readStorageKey(STORAGE_KEY);
+    if (previous !== null && parseStore(previous)) {
+        writeStorageKey(STORAGE_BACKUP_KEY, previous);
+    }
+    writeStorageKey(STORAGE_KEY, JSON.stringify(store));
+}
+
+/**
+ * Load the document, let `update(store)` change it, and save it.
+ */
+function updateStore(update) {
+    const store = loadStore();
+    update(store);
+    saveStore(store);
+}
+
+/**
+ * Parse a stored document; null if it is not one.
+ */
+function parseStore(raw) {
+    if (raw === null) return null;
+    try {
+        const store = JSON.parse(raw);
+        return isPlainObject(store) && Number.isInteger(store.version) && store.version >= 1 ? store : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Fill in missing sections and drop entries that are not in the
+ * expected shape, so one bad record does not cost the rest.
+ * A document from a newer build keeps its version and any extra
+ * fields.
+ */
+function sanitizeStore(store) {
+    const clean = Object.assign({}, store);
+    clean.settings = isPlainObject(store.settings) ? store.settings : {};
+
+    VARIANT_SECTIONS.forEach((section) => {
+        clean[section] = {};
+        if (!isPlainObject(store[section])) return;
+        Object.keys(store[section]).forEach((variant) => {
+            const value = sanitizeSection(section, store[section][variant]);
+            if (value) clean[section][variant] = value;
+        });
+    });
+    return clean;
+}
+
+/**
+ * One variant's entry of a section, cleaned up, or null to drop it.
+ */
+function sanitizeSection(section, value) {
+    if (!isPlainObject(value)) return null;
+    if (section === 'daily' || section === 'practice') {
+        return isSavedGame(value) ? value : null;
+    }
+
+    // archive: { [puzzle]: game }, stats: { results: { [puzzle]: result } }
+    const entries = section === 'stats' ? value.results : value;
+    const kept = {};
+    if (isPlainObject(entries)) {
+        Object.keys(entries).forEach((puzzle) => {
+            const entry = entries[puzzle];
+            const valid = section === 'stats' ? isStatsResult(entry) : isSavedGame(entry);
+            if (valid) kept[puzzle] = entry;
+        });
+    }
+    return section === 'stats' ? { results: kept } : kept;
+}
+
+/**
+ * A saved game: { attempts: [guess strings], gameOver, won, … },
+ * with `hints` (see createGameMachine()) if any were taken.
+ */
+function isSavedGame(game) {
+    return isPlainObject(game) && Array.isArray(game.attempts) &&
+        game.attempts.every((guess) => typeof guess === 'string') &&
+        (game.hints === undefined || (Array.isArray(game.hints) && game.hints.every(isPlainObject)));
+}
+
+/**
+ * A stats result: { date, attempts: number of guesses, won, hints }
+ * (hints optional).
+ */
+function isStatsResult(result) {
+    return isPlainObject(result) && Number.isInteger(result.attempts) && typeof result.won === 'boolean' &&
+        (result.hints === undefined || Number.isInteger(result.hints));
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * localStorage read that never throws.
+ */
+function readStorageKey(key) {
+    try {
+        return localStorage.getItem(key);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * localStorage write that never throws (private browsing, full
+ * quota); the game keeps going, it just cannot remember.
+ */
+function writeStorageKey(key, value) {
+    try {
+        localStorage.setItem(key, value);
+    } catch (e) {
+        console.warn('[Urdle] Could not save progress:', e);
+    }
+}
+
+// ========================================
+// Migrations
+// ========================================
+
+/**
+ * 1 → 2: move today's game from urdle_daily into the document.
+ * An unreadable key is skipped (and left in place).
+ */
+function migrateLegacyDaily() {
+    const store = createStore();
+    const daily = parseLegacyKey(LEGACY_DAILY_KEY);
+    if (daily) {
+        store.daily[LEGACY_VARIANT] = daily;
+    } else if (readStorageKey(LEGACY_DAILY_KEY) !== null) {
+        console.warn('[Urdle] Skipped unreadable saved data under ' + LEGACY_DAILY_KEY);
+    }
+    return store;
+}
+
+/**
+ * The version 1 key's JSON object, or null if missing or unreadable.
+ */
+function parseLegacyKey(key) {
+    const raw = readStorageKey(key);
+    if (raw === null) return null;
+    try {
+        const value = JSON.parse(raw);
+        return isPlainObject(value) ? value : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Drop urdle_daily once it made it into the document.
+ */
+function removeLegacyDaily() {
+    if (!parseLegacyKey(LEGACY_DAILY_KEY)) return;
+    try {
+        localStorage.removeItem(LEGACY_DAILY_KEY);
+    } catch {
+        // Leave it; it is ignored from now on
+    }
+}
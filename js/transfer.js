@@ -0,0 +1,211 @@
+// ========================================
+// Urdle — Progress Transfer
+// ========================================
+// Moves a player's progress to another device. Stats, archive
+// replays, today's games and settings are packed into a transfer
+// code (copied, or saved as a file) that the other device
+// imports. Importing merges with what that device already has:
+// a puzzle finished on both with different results is a conflict,
+// and the player chooses which result to keep. Practice games
+// stay where they are.
+
+const TRANSFER_CODE_PREFIX = 'urdle:';
+
+// The first storage version codes were made from
+const TRANSFER_MIN_VERSION = 2;
+
+/**
+ * Transfer code for everything saved on this device.
+ */
+function createTransferCode() {
+    const store = loadStore();
+    const payload = {
+        version: store.version,
+        settings: store.settings,
+        daily: store.daily,
+        archive: store.archive,
+        stats: {},
+    };
+
+    // Stats results shrink to [attempts, won] (plus hints, if any were
+    // taken); the date follows from the puzzle
+    Object.keys(store.stats).forEach((variant) => {
+        const results = store.stats[variant].results;
+        payload.stats[variant] = {};
+        Object.keys(results).forEach((puzzle) => {
+            const result = results[puzzle];
+            const packed = [result.attempts, result.won ? 1 : 0];
+            if (result.hints) packed.push(result.hints);
+            payload.stats[variant][puzzle] = packed;
+        });
+    });
+
+    return TRANSFER_CODE_PREFIX + encodeBase64Url(JSON.stringify(payload));
+}
+
+/**
+ * Read a transfer code; whitespace and line breaks are ignored.
+ * Returns the progress it holds as a storage document, or null if
+ * it is not a code (or comes from a newer build than this one).
+ */
+function readTransferCode(text) {
+    const code = String(text).replace(/\s+/g, '');
+    if (!code.startsWith(TRANSFER_CODE_PREFIX)) return null;
+
+    let payload;
+    try {
+        payload = JSON.parse(decodeBase64Url(code.slice(TRANSFER_CODE_PREFIX.length)));
+    } catch {
+        return null;
+    }
+    if (!isPlainObject(payload) || !Number.isInteger(payload.version) ||
+        payload.version < TRANSFER_MIN_VERSION || payload.version > STORAGE_VERSION) {
+        return null;
+    }
+
+    const stats = {};
+    if (isPlainObject(payload.stats)) {
+        Object.keys(payload.stats).forEach((variant) => {
+            const results = {};
+            const packed = isPlainObject(payload.stats[variant]) ? payload.stats[variant] : {};
+            Object.keys(packed).forEach((puzzle) => {
+                if (!Array.isArray(packed[puzzle])) return;
+                results[puzzle] = {
+                    date: getDateForPuzzle(Number(puzzle)),
+                    attempts: packed[puzzle][0],
+                    won: packed[puzzle][1] === 1,
+                    hints: packed[puzzle][2] || 0,
+                };
+            });
+            stats[variant] = { results };
+        });
+    }
+
+    // Anything malformed is dropped by sanitizeStore()
+    return upgradeStore({
+        version: payload.version,
+        settings: payload.settings,
+        daily: payload.daily,
+        archive: payload.archive,
+        stats,
+        practice: {},
+    });
+}
+
+/**
+ * Merge imported progress into `store` (changed in place).
+ * Imported settings win, for the settings this build knows and
+ * values of the same type as their default (DEFAULT_SETTINGS).
+ * For stats and archive replays, puzzles only the import has are
+ * added; a puzzle finished on both sides with different results is
+ * a conflict, and keeps the local result unless `keepLocal` is
+ * false. Unfinished games keep whichever side got further.
+ *
+ * Returns { added, conflicts } (puzzle counts).
+ */
+function mergeProgress(store, imported, keepLocal) {
+    let added = 0;
+    let conflicts = 0;
+
+    Object.keys(DEFAULT_SETTINGS).forEach((key) => {
+        if (Object.prototype.hasOwnProperty.call(imported.settings, key) &&
+            typeof imported.settings[key] === typeof DEFAULT_SETTINGS[key]) {
+            store.settings[key] = imported.settings[key];
+        }
+    });
+
+    Object.keys(imported.stats).forEach((variant) => {
+        const results = (store.stats[variant] = store.stats[variant] || { results: {} }).results;
+        const incoming = imported.stats[variant].results;
+        Object.keys(incoming).forEach((puzzle) => {
+            const mine = results[puzzle];
+            const theirs = incoming[puzzle];
+            if (!mine) {
+                results[puzzle] = theirs;
+                added++;
+            } else if (mine.won !== theirs.won || mine.attempts !== theirs.attempts ||
+                (mine.hints || 0) !== (theirs.hints || 0)) {
+                conflicts++;
+                if (!keepLocal) results[puzzle] = theirs;
+            }
+        });
+    });
+
+    Object.keys(imported.archive).forEach((variant) => {
+        const games = (store.archive[variant] = store.archive[variant] || {});
+        Object.keys(imported.archive[variant]).forEach((puzzle) => {
+            const mine = games[puzzle];
+            const theirs = imported.archive[variant][puzzle];
+            if (!mine) added++;
+            else if (isResultConflict(mine, theirs)) conflicts++;
+            games[puzzle] = pickSavedGame(mine, theirs, keepLocal);
+        });
+    });
+
+    // Today's games: the later day wins, the same day merges like a replay
+    Object.keys(imported.daily).forEach((variant) => {
+        const mine = store.daily[variant];
+        const theirs = imported.daily[variant];
+        if (!mine || theirs.date > mine.date) {
+            store.daily[variant] = theirs;
+        } else if (theirs.date === mine.date) {
+            store.daily[variant] = pickSavedGame(mine, theirs, keepLocal);
+        }
+    });
+
+    return { added, conflicts };
+}
+
+/**
+ * Merge a read transfer code into this device's progress (see
+ * mergeProgress()). Returns { added, conflicts }.
+ */
+function importProgress(imported, keepLocal) {
+    let summary;
+    updateStore((store) => {
+        summary = mergeProgress(store, imported, keepLocal);
+    });
+    return summary;
+}
+
+/**
+ * Two saved games of the same puzzle, both finished, that ended
+ * differently.
+ */
+function isResultConflict(mine, theirs) {
+    return !!mine.gameOver && !!theirs.gameOver &&
+        (!!mine.won !== !!theirs.won || mine.attempts.length !== theirs.attempts.length ||
+            (mine.hints || []).length !== (theirs.hints || []).length);
+}
+
+/**
+ * Which of two saved games of the same puzzle to keep: a finished
+ * game over an unfinished one, the one with more guesses if neither
+ * is finished, and `keepLocal` decides between two finished games.
+ */
+function pickSavedGame(mine, theirs, keepLocal) {
+    if (!mine) return theirs;
+    if (!!mine.gameOver !== !!theirs.gameOver) return mine.gameOver ? mine : theirs;
+    if (mine.gameOver) return keepLocal ? mine : theirs;
+    return theirs.attempts.length > mine.attempts.length ? theirs : mine;
+}
+
+/**
+ * UTF-8 text as URL-safe base64 without padding.
+ */
+function encodeBase64Url(text) {
+    let binary = '';
+    new TextEncoder().encode(text).forEach((byte) => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Inverse of encodeBase64Url(); throws on anything that is not.
+ */
+function decodeBase64Url(code) {
+    const binary = atob(code.replace(/-/g, '+').replace(/_/g, '/'));
+    const bytes = Uint8Array.from(binary, (ch) => ch.charCodeAt(0));
+    return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+}
@@ -0,0 +1,75 @@
+// ========================================
+// Urdle — Game Variants
+// ========================================
+// The game comes in 3-, 4-, 5- and 6-letter variants, each
+// playable on 1, 2 or 4 boards at once. Each word length has
+// its own dictionary and answer schedule, and every
+// length × boards combination keeps its own saved games and
+// stats. daily.js, stats.js, archive.js and practice.js all
+// work on the active variant, which game.js sets from the
+// settings.
+
+const WORD_VARIANTS = {
+    3: { words: WORDS_3, answers: ANSWERS_3, common: COMMON_WORDS[3] },
+    4: { words: WORDS, answers: ANSWERS, common: COMMON_WORDS[4] },
+    5: { words: WORDS_5, answers: ANSWERS_5, common: COMMON_WORDS[5] },
+    6: { words: WORDS_6, answers: ANSWERS_6, common: COMMON_WORDS[6] },
+};
+
+// The original game
+const CLASSIC_WORD_LENGTH = 4;
+
+let activeWordLength = CLASSIC_WORD_LENGTH;
+let activeBoardCount = 1;
+
+/**
+ * Switch every schedule and storage helper to another variant.
+ * Unknown lengths fall back to the classic 4-letter game.
+ */
+function setWordLength(length) {
+    activeWordLength = WORD_VARIANTS[length] ? Number(length) : CLASSIC_WORD_LENGTH;
+}
+
+/**
+ * Letter count of the active variant.
+ */
+function getWordLength() {
+    return activeWordLength;
+}
+
+/**
+ * Switch to playing several boards at once (GAME_RULES.boardCounts).
+ * Anything else falls back to a single board.
+ */
+function setBoardCount(count) {
+    activeBoardCount = GAME_RULES.boardCounts.includes(Number(count)) ? Number(count) : 1;
+}
+
+/**
+ * Number of boards in the active variant.
+ */
+function getBoardCount() {
+    return activeBoardCount;
+}
+
+/**
+ * Guesses allowed in the active variant.
+ */
+function getMaxAttempts() {
+    return GAME_RULES.maxAttempts + (activeBoardCount - 1) * GAME_RULES.extraAttemptsPerBoard;
+}
+
+/**
+ * Word lists of the active variant: { words, answers }.
+ */
+function getVariant() {
+    return WORD_VARIANTS[activeWordLength];
+}
+
+/**
+ * Id of the active variant in the storage document (storage.js),
+ * e.g. '4', '5' or '5x4'.
+ */
+function getVariantId() {
+    return activeWordLength + (activeBoardCount > 1 ? 'x' + activeBoardCount : '');
+}
@@ -0,0 +1,1109 @@
+// ========================================
+// Urdle — 3-Letter Word List
+// ========================================
+// Valid 3-letter Urdu words for the 3-letter variant
+// (see variants.js). WORDS_3 is the accepted-guess
+// dictionary; daily answers are drawn from ANSWERS_3
+// in answers-3.js.
+
+const WORDS_3 = [
+  'آؤں',
+  'آئس',
+  'آئل',
+  'آئی',
+  'آئے',
+  'آبی',
+  'آتا',
+  'آتش',
+  'آتی',
+  'آتے',
+  'آجر',
+  'آخر',
+  'آدم',
+  'آرا',
+  'آرٹ',
+  'آری',
+  'آفت',
+  'آفس',
+  'آقا',
+  'آلو',
+  'آلہ',
+  'آلے',
+  'آمد',
+  'آنا',
+  'آنت',
+  'آنچ',
+  'آنی',
+  'آنے',
+  'آٹا',
+  'آٹھ',
+  'آٹے',
+  'آپا',
+  'آپس',
+  'آڑو',
+  'آڑی',
+  'آگے',
+  'آہن',
+  'آہو',
+  'آہٹ',
+  'آیا',
+  'آیت',
+  'ابا',
+  'ابر',
+  'ابل',
+  'ابو',
+  'اتر',
+  'اثر',
+  'اجر',
+  'اجل',
+  'احد',
+  'ادا',
+  'ادب',
+  'ارب',
+  'ارض',
+  'ارے',
+  'اسم',
+  'اسی',
+  'اسے',
+  'اصل',
+  'افق',
+  'الف',
+  'الم',
+  'الو',
+  'الٹ',
+  'الگ',
+  'امر',
+  'امن',
+  'امی',
+  'انا',
+  'انچ',
+  'اوج',
+  'اور',
+  'اوس',
+  'اول',
+  'اون',
+  'اوٹ',
+  'اٹک',
+  'اٹھ',
+  'اچک',
+  'اکڑ',
+  'اگر',
+  'اگل',
+  'اہل',
+  'اہم',
+  'ایپ',
+  'ایک',
+  'باب',
+  'بات',
+  'باد',
+  'بار',
+  'باز',
+  'باغ',
+  'بال',
+  'بام',
+  'بان',
+  'باپ',
+  'باڑ',
+  'بتا',
+  'بتی',
+  'بجا',
+  'بجٹ',
+  'بجھ',
+  'بجے',
+  'بحر',
+  'بخت',
+  'بخش',
+  'بدل',
+  'بدن',
+  'بدھ',
+  'بدی',
+  'برا',
+  'برج',
+  'برس',
+  'برش',
+  'برف',
+  'برق',
+  'برگ',
+  'بری',
+  'برے',
+  'بزم',
+  'بسا',
+  'بسو',
+  'بسی',
+  'بسے',
+  'بشر',
+  'بطخ',
+  'بطن',
+  'بعد',
+  'بعض',
+  'بغل',
+  'بقا',
+  'بلا',
+  'بلب',
+  'بلک',
+  'بلی',
+  'بنا',
+  'بنت',
+  'بند',
+  'بنو',
+  'بنی',
+  'بنے',
+  'بوس',
+  'بول',
+  'بوم',
+  'بوٹ',
+  'بٹا',
+  'بٹن',
+  'بٹو',
+  'بٹی',
+  'بٹے',
+  'بچا',
+  'بچت',
+  'بچو',
+  'بچہ',
+  'بچی',
+  'بچے',
+  'بڑا',
+  'بڑھ',
+  'بڑی',
+  'بڑے',
+  'بکر',
+  'بکس',
+  'بگڑ',
+  'بھر',
+  'بھی',
+  'بہا',
+  'بہت',
+  'بہر',
+  'بہن',
+  'بہو',
+  'بہک',
+  'بہہ',
+  'بہی',
+  'بہے',
+  'بیت',
+  'بیج',
+  'بیر',
+  'بیس',
+  'بیل',
+  'بین',
+  'بیچ',
+  'بیڈ',
+  'بیگ',
+  'تاب',
+  'تاج',
+  'تار',
+  'تال',
+  'تان',
+  'تاک',
+  'تحت',
+  'تخت',
+  'ترس',
+  'ترش',
+  'ترک',
+  'تشت',
+  'تلا',
+  'تلخ',
+  'تلو',
+  'تلی',
+  'تلے',
+  'تنا',
+  'تنگ',
+  'توا',
+  'تول',
+  'توپ',
+  'توڑ',
+  'توے',
+  'تڑپ',
+  'تکہ',
+  'تھا',
+  'تھک',
+  'تھی',
+  'تھے',
+  'تیر',
+  'تیز',
+  'تیس',
+  'تیغ',
+  'تیل',
+  'تین',
+  'ثبت',
+  'ثمر',
+  'ثنا',
+  'جاؤ',
+  'جال',
+  'جام',
+  'جان',
+  'جاگ',
+  'جاہ',
+  'جبر',
+  'جدا',
+  'جذب',
+  'جرم',
+  'جزو',
+  'جسم',
+  'جسے',
+  'جشن',
+  'جعل',
+  'جفت',
+  'جلا',
+  'جلد',
+  'جلن',
+  'جلو',
+  'جلی',
+  'جلے',
+  'جما',
+  'جمع',
+  'جمو',
+  'جمی',
+  'جمے',
+  'جنت',
+  'جنس',
+  'جنم',
+  'جنگ',
+  'جوا',
+  'جور',
+  'جوش',
+  'جوف',
+  'جون',
+  'جوڑ',
+  'جڑا',
+  'جڑے',
+  'جکڑ',
+  'جگر',
+  'جگہ',
+  'جھڑ',
+  'جھک',
+  'جیب',
+  'جیت',
+  'جیل',
+  'جیو',
+  'حال',
+  'حبس',
+  'حجر',
+  'حجم',
+  'حذف',
+  'حرص',
+  'حرف',
+  'حرم',
+  'حسب',
+  'حسن',
+  'حشر',
+  'حصہ',
+  'حصے',
+  'حلف',
+  'حلق',
+  'حلم',
+  'حمد',
+  'حکم',
+  'حیا',
+  'خار',
+  'خاص',
+  'خال',
+  'خام',
+  'خان',
+  'خاک',
+  'خبر',
+  'خبط',
+  'ختم',
+  'خدا',
+  'خرچ',
+  'خشک',
+  'خفا',
+  'خلا',
+  'خلد',
+  'خلق',
+  'خلل',
+  'خمر',
+  'خوب',
+  'خود',
+  'خوش',
+  'خوف',
+  'خول',
+  'خون',
+  'خچر',
+  'خیر',
+  'خیل',
+  'داب',
+  'داد',
+  'دار',
+  'داغ',
+  'دال',
+  'دام',
+  'دان',
+  'دبا',
+  'دبک',
+  'دخل',
+  'درج',
+  'درد',
+  'درز',
+  'درس',
+  'درہ',
+  'دری',
+  'دست',
+  'دشت',
+  'دعا',
+  'دلی',
+  'دنگ',
+  'دوا',
+  'دور',
+  'دوش',
+  'دوڑ',
+  'دوں',
+  'دکھ',
+  'دھو',
+  'دھڑ',
+  'دہک',
+  'دہی',
+  'دیا',
+  'دید',
+  'دیر',
+  'دیس',
+  'دین',
+  'دیو',
+  'دیگ',
+  'دیں',
+  'دیے',
+  'ذات',
+  'ذبح',
+  'ذرا',
+  'ذلت',
+  'ذمہ',
+  'ذوق',
+  'ذکر',
+  'ذہن',
+  'ذیل',
+  'رات',
+  'راج',
+  'راز',
+  'رام',
+  'ران',
+  'راگ',
+  'راہ',
+  'ربڑ',
+  'رتن',
+  'رتھ',
+  'رجب',
+  'رحم',
+  'رزق',
+  'رسا',
+  'رسم',
+  'رسی',
+  'رشک',
+  'رعب',
+  'رقص',
+  'رقم',
+  'رنج',
+  'رند',
+  'رنگ',
+  'روح',
+  'روز',
+  'روس',
+  'روش',
+  'روم',
+  'روڈ',
+  'روک',
+  'رٹا',
+  'رٹو',
+  'رٹی',
+  'رٹے',
+  'رکا',
+  'رکن',
+  'رکو',
+  'رکھ',
+  'رکی',
+  'رکے',
+  'رگڑ',
+  'رہا',
+  'رہن',
+  'رہو',
+  'رہی',
+  'رہے',
+  'ریت',
+  'ریس',
+  'ریش',
+  'ریل',
+  'زاغ',
+  'زال',
+  'زبر',
+  'زخم',
+  'زرد',
+  'زنگ',
+  'زور',
+  'زہر',
+  'زیر',
+  'زین',
+  'سات',
+  'ساز',
+  'ساس',
+  'سال',
+  'ساگ',
+  'سبب',
+  'سبز',
+  'سبق',
+  'ستر',
+  'ستم',
+  'سحر',
+  'سخت',
+  'سخن',
+  'سدا',
+  'سرا',
+  'سرخ',
+  'سرد',
+  'سرو',
+  'سرک',
+  'سری',
+  'سرے',
+  'سزا',
+  'سست',
+  'سسر',
+  'سسک',
+  'سطح',
+  'سفر',
+  'سقف',
+  'سلا',
+  'سلو',
+  'سلک',
+  'سلگ',
+  'سلی',
+  'سلے',
+  'سما',
+  'سمت',
+  'سمٹ',
+  'سنا',
+  'سنت',
+  'سند',
+  'سنو',
+  'سنگ',
+  'سنی',
+  'سنے',
+  'سوت',
+  'سوج',
+  'سود',
+  'سور',
+  'سوز',
+  'سوپ',
+  'سوچ',
+  'سوگ',
+  'سپہ',
+  'سچا',
+  'سچی',
+  'سچے',
+  'سڑا',
+  'سڑو',
+  'سڑک',
+  'سڑی',
+  'سڑے',
+  'سکا',
+  'سکھ',
+  'سکہ',
+  'سکی',
+  'سکے',
+  'سہا',
+  'سہن',
+  'سہو',
+  'سہی',
+  'سہے',
+  'سیا',
+  'سیب',
+  'سیخ',
+  'سیر',
+  'سیف',
+  'سیل',
+  'سیم',
+  'سیو',
+  'سیٹ',
+  'سیپ',
+  'شاخ',
+  'شاد',
+  'شال',
+  'شام',
+  'شان',
+  'شاہ',
+  'شبہ',
+  'شخص',
+  'شدہ',
+  'شرط',
+  'شرم',
+  'شعر',
+  'شفا',
+  'شفق',
+  'شمع',
+  'شور',
+  'شوق',
+  'شکر',
+  'شکل',
+  'شہد',
+  'شہر',
+  'شیخ',
+  'شیر',
+  'شیٹ',
+  'صاف',
+  'صبا',
+  'صبح',
+  'صبر',
+  'صحت',
+  'صحن',
+  'صدا',
+  'صدر',
+  'صدی',
+  'صرف',
+  'صفت',
+  'صفر',
+  'صلح',
+  'صلہ',
+  'صور',
+  'ضبط',
+  'ضدی',
+  'ضرب',
+  'ضرر',
+  'ضعف',
+  'ضلع',
+  'طاق',
+  'طبی',
+  'طرح',
+  'طرز',
+  'طرف',
+  'طلب',
+  'طمع',
+  'طور',
+  'طوق',
+  'طول',
+  'طیش',
+  'ظرف',
+  'ظلم',
+  'ظہر',
+  'عام',
+  'عدد',
+  'عدل',
+  'عدم',
+  'عرب',
+  'عرض',
+  'عزت',
+  'عشق',
+  'عصر',
+  'عضو',
+  'عطر',
+  'عقل',
+  'علم',
+  'عمر',
+  'عمل',
+  'عود',
+  'عکس',
+  'عہد',
+  'عیب',
+  'عید',
+  'عیش',
+  'عین',
+  'غار',
+  'غذا',
+  'غرض',
+  'غزل',
+  'غسل',
+  'غصہ',
+  'غصے',
+  'غضب',
+  'غلط',
+  'غلہ',
+  'غمی',
+  'غور',
+  'غول',
+  'غیب',
+  'غیر',
+  'فال',
+  'فتح',
+  'فجر',
+  'فخر',
+  'فرد',
+  'فرش',
+  'فرض',
+  'فرق',
+  'فرم',
+  'فصل',
+  'فضا',
+  'فضل',
+  'فعل',
+  'فقط',
+  'فلم',
+  'فلک',
+  'فنا',
+  'فوج',
+  'فون',
+  'فکر',
+  'فہم',
+  'فیس',
+  'فیض',
+  'قبر',
+  'قبل',
+  'قدر',
+  'قدم',
+  'قرب',
+  'قرض',
+  'قسم',
+  'قصر',
+  'قصہ',
+  'قصے',
+  'قطب',
+  'قطع',
+  'قفس',
+  'قلب',
+  'قلم',
+  'قند',
+  'قوت',
+  'قوس',
+  'قول',
+  'قوم',
+  'قید',
+  'لئے',
+  'لاؤ',
+  'لات',
+  'لاج',
+  'لاد',
+  'لاش',
+  'لال',
+  'لان',
+  'لاٹ',
+  'لحد',
+  'لذت',
+  'لرز',
+  'لسی',
+  'لطف',
+  'لعل',
+  'لغت',
+  'لفظ',
+  'لنک',
+  'لوٹ',
+  'لوک',
+  'لوگ',
+  'لوں',
+  'لٹا',
+  'لٹو',
+  'لٹک',
+  'لٹی',
+  'لٹے',
+  'لپٹ',
+  'لپک',
+  'لڈو',
+  'لڑا',
+  'لڑو',
+  'لڑی',
+  'لڑے',
+  'لکھ',
+  'لگا',
+  'لگو',
+  'لگی',
+  'لگے',
+  'لہر',
+  'لیا',
+  'لیس',
+  'لیں',
+  'لیے',
+  'مئی',
+  'مات',
+  'مار',
+  'ماش',
+  'مال',
+  'مان',
+  'ماں',
+  'ماہ',
+  'متن',
+  'مثل',
+  'مجھ',
+  'محل',
+  'مدت',
+  'مدد',
+  'مرا',
+  'مرد',
+  'مرض',
+  'مرغ',
+  'مرو',
+  'مرچ',
+  'مری',
+  'مرے',
+  'مزا',
+  'مزہ',
+  'مست',
+  'مسح',
+  'مسل',
+  'مشک',
+  'مصر',
+  'مغز',
+  'مغل',
+  'مفت',
+  'ملا',
+  'ملو',
+  'ملک',
+  'ملی',
+  'ملے',
+  'منع',
+  'منٹ',
+  'منہ',
+  'موت',
+  'موج',
+  'مور',
+  'موم',
+  'موڑ',
+  'مٹر',
+  'مٹی',
+  'مچل',
+  'مکر',
+  'مگر',
+  'مہر',
+  'مہک',
+  'میخ',
+  'میر',
+  'میز',
+  'میل',
+  'میچ',
+  'میں',
+  'نئی',
+  'نئے',
+  'ناؤ',
+  'ناز',
+  'ناف',
+  'نام',
+  'نان',
+  'ناپ',
+  'ناچ',
+  'ناک',
+  'نبض',
+  'نبٹ',
+  'نبی',
+  'نثر',
+  'نجم',
+  'نجی',
+  'نخل',
+  'ندی',
+  'نرخ',
+  'نرس',
+  'نرم',
+  'نسب',
+  'نسل',
+  'نشہ',
+  'نصف',
+  'نظر',
+  'نظم',
+  'نعل',
+  'نفس',
+  'نفع',
+  'نقد',
+  'نقش',
+  'نقل',
+  'نما',
+  'نمٹ',
+  'نمک',
+  'نمی',
+  'نند',
+  'نور',
+  'نوع',
+  'نوٹ',
+  'نوچ',
+  'نوے',
+  'نچا',
+  'نڈر',
+  'نکل',
+  'نکڑ',
+  'نگل',
+  'نہر',
+  'نیا',
+  'نیت',
+  'نیز',
+  'نیل',
+  'نیم',
+  'نیٹ',
+  'نیک',
+  'وار',
+  'واہ',
+  'وجہ',
+  'وحی',
+  'ورق',
+  'وزن',
+  'وصل',
+  'وضع',
+  'وضو',
+  'وطن',
+  'وعظ',
+  'وفا',
+  'وقت',
+  'ولی',
+  'ووٹ',
+  'وکٹ',
+  'وہم',
+  'وہی',
+  'ویب',
+  'ٹال',
+  'ٹاٹ',
+  'ٹبر',
+  'ٹرے',
+  'ٹنل',
+  'ٹور',
+  'ٹول',
+  'ٹوٹ',
+  'ٹوپ',
+  'ٹوک',
+  'ٹپک',
+  'ٹکا',
+  'ٹکر',
+  'ٹکٹ',
+  'ٹہل',
+  'ٹیس',
+  'ٹیم',
+  'ٹیپ',
+  'ٹیک',
+  'پاؤ',
+  'پار',
+  'پاس',
+  'پال',
+  'پان',
+  'پاک',
+  'پتا',
+  'پتہ',
+  'پتی',
+  'پتے',
+  'پرت',
+  'پرس',
+  'پری',
+  'پسا',
+  'پلا',
+  'پلو',
+  'پلٹ',
+  'پلک',
+  'پلے',
+  'پنج',
+  'پند',
+  'پنپ',
+  'پوت',
+  'پور',
+  'پوش',
+  'پول',
+  'پٹا',
+  'پٹو',
+  'پٹک',
+  'پٹی',
+  'پٹے',
+  'پڑا',
+  'پڑھ',
+  'پڑی',
+  'پڑے',
+  'پکا',
+  'پکو',
+  'پکڑ',
+  'پکی',
+  'پکے',
+  'پھر',
+  'پھل',
+  'پھن',
+  'پھٹ',
+  'پہن',
+  'پیا',
+  'پیج',
+  'پیر',
+  'پیس',
+  'پیش',
+  'پین',
+  'پیو',
+  'پیٹ',
+  'پیچ',
+  'پیڑ',
+  'پیے',
+  'چار',
+  'چال',
+  'چاٹ',
+  'چاپ',
+  'چاک',
+  'چاہ',
+  'چبھ',
+  'چتر',
+  'چرا',
+  'چرخ',
+  'چشم',
+  'چلا',
+  'چلو',
+  'چلی',
+  'چلے',
+  'چمن',
+  'چمٹ',
+  'چمچ',
+  'چمک',
+  'چنا',
+  'چند',
+  'چنو',
+  'چنی',
+  'چنے',
+  'چور',
+  'چوٹ',
+  'چوک',
+  'چٹخ',
+  'چپل',
+  'چپک',
+  'چچا',
+  'چچی',
+  'چڑھ',
+  'چکا',
+  'چکی',
+  'چکے',
+  'چھا',
+  'چھت',
+  'چھل',
+  'چھپ',
+  'چہک',
+  'چیت',
+  'چیخ',
+  'چیر',
+  'چیز',
+  'چیل',
+  'چین',
+  'چیک',
+  'ڈال',
+  'ڈاک',
+  'ڈبا',
+  'ڈبو',
+  'ڈبہ',
+  'ڈبے',
+  'ڈرا',
+  'ڈرو',
+  'ڈری',
+  'ڈرے',
+  'ڈسا',
+  'ڈسو',
+  'ڈسی',
+  'ڈسے',
+  'ڈنڈ',
+  'ڈوب',
+  'ڈور',
+  'ڈٹا',
+  'ڈٹو',
+  'ڈٹی',
+  'ڈٹے',
+  'ڈھل',
+  'ڈھو',
+  'کئی',
+  'کئے',
+  'کاج',
+  'کار',
+  'کاش',
+  'کال',
+  'کام',
+  'کان',
+  'کاٹ',
+  'کبر',
+  'کتا',
+  'کتر',
+  'کتے',
+  'کدو',
+  'کرم',
+  'کرو',
+  'کرہ',
+  'کرے',
+  'کسا',
+  'کسو',
+  'کسی',
+  'کسے',
+  'کشف',
+  'کفن',
+  'کلو',
+  'کلی',
+  'کمر',
+  'کمی',
+  'کنج',
+  'کند',
+  'کوا',
+  'کود',
+  'کون',
+  'کوٹ',
+  'کوہ',
+  'کوے',
+  'کٹا',
+  'کٹو',
+  'کٹی',
+  'کٹے',
+  'کچا',
+  'کچل',
+  'کچھ',
+  'کچی',
+  'کچے',
+  'کھا',
+  'کھر',
+  'کھل',
+  'کہا',
+  'کہر',
+  'کہو',
+  'کہہ',
+  'کہی',
+  'کہے',
+  'کیا',
+  'کیس',
+  'کیف',
+  'کیل',
+  'کیک',
+  'کیں',
+  'کیے',
+  'گئی',
+  'گئے',
+  'گاؤ',
+  'گال',
+  'گام',
+  'گدا',
+  'گدے',
+  'گرا',
+  'گرج',
+  'گرد',
+  'گرم',
+  'گرو',
+  'گرہ',
+  'گری',
+  'گرے',
+  'گزر',
+  'گلا',
+  'گلک',
+  'گلہ',
+  'گلی',
+  'گلے',
+  'گنا',
+  'گنج',
+  'گند',
+  'گنو',
+  'گنی',
+  'گنے',
+  'گود',
+  'گوش',
+  'گول',
+  'گھر',
+  'گھس',
+  'گھٹ',
+  'گھڑ',
+  'گھی',
+  'گیا',
+  'گیت',
+  'گیس',
+  'ہار',
+  'ہال',
+  'ہاں',
+  'ہجے',
+  'ہدف',
+  'ہرا',
+  'ہرن',
+  'ہری',
+  'ہرے',
+  'ہلا',
+  'ہلو',
+  'ہلی',
+  'ہلے',
+  'ہمت',
+  'ہنر',
+  'ہنس',
+  'ہوا',
+  'ہوس',
+  'ہوش',
+  'ہوں',
+  'ہٹا',
+  'ہٹو',
+  'ہٹی',
+  'ہٹے',
+  'ہڈی',
+  'ہیں',
+  'یاد',
+  'یار',
+  'یوم',
+  'یوں',
+  'یہی',
+];
@@ -0,0 +1,3115 @@
+// ========================================
+// Urdle — 5-Letter Word List
+// ========================================
+// Valid 5-letter Urdu words for the 5-letter variant
+// (see variants.js). WORDS_5 is the accepted-guess
+// dictionary; daily answers are drawn from ANSWERS_5
+// in answers-5.js.
+
+const WORDS_5 = [
+  'آئندہ',
+  'آئینہ',
+  'آئینے',
+  'آئیکن',
+  'آبادی',
+  'آبشار',
+  'آدھوں',
+  'آرائش',
+  'آزادی',
+  'آزماؤ',
+  'آسانی',
+  'آستین',
+  'آسمان',
+  'آفتاب',
+  'آفیشل',
+  'آقاؤں',
+  'آمدید',
+  'آمریت',
+  'آندھی',
+  'آہستہ',
+  'آہٹوں',
+  'آہٹیں',
+  'آیتوں',
+  'آیتیں',
+  'ابلتا',
+  'ابلتی',
+  'ابلتے',
+  'ابلنا',
+  'ابلنی',
+  'ابلنے',
+  'ابلوں',
+  'ابلیس',
+  'ابلیں',
+  'ابھار',
+  'ابھرا',
+  'ابھرو',
+  'ابھری',
+  'ابھرے',
+  'اتارا',
+  'اتارو',
+  'اتاری',
+  'اتارے',
+  'اتحاد',
+  'اتراؤ',
+  'اترتا',
+  'اترتی',
+  'اترتے',
+  'اترنا',
+  'اترنی',
+  'اترنے',
+  'اتروں',
+  'اتریں',
+  'اتفاق',
+  'اتوار',
+  'اثاثہ',
+  'اثرات',
+  'اجازت',
+  'اجالا',
+  'اجالے',
+  'اجراء',
+  'اجزاء',
+  'اجلوں',
+  'اجنبی',
+  'احساس',
+  'احسان',
+  'اخبار',
+  'اخراج',
+  'اخروٹ',
+  'اخلاق',
+  'ادارہ',
+  'ادارے',
+  'اداسی',
+  'ارادہ',
+  'ارادے',
+  'ارسال',
+  'اسباب',
+  'استاد',
+  'استری',
+  'اسلام',
+  'اسناد',
+  'اسٹار',
+  'اسٹاپ',
+  'اسٹور',
+  'اسٹیج',
+  'اسٹیٹ',
+  'اسپام',
+  'اسپاٹ',
+  'اسپیس',
+  'اسپیڈ',
+  'اسکور',
+  'اسکول',
+  'اسکیل',
+  'اسکیم',
+  'اسکین',
+  'اشارہ',
+  'اشارے',
+  'اشاعت',
+  'اشیاء',
+  'اصلاح',
+  'اصلیت',
+  'اصولی',
+  'اضافہ',
+  'اضافی',
+  'اطراف',
+  'اطلاع',
+  'اطلاق',
+  'اظہار',
+  'اعداد',
+  'اعلان',
+  'افراد',
+  'افشاء',
+  'افطار',
+  'افواہ',
+  'اقبال',
+  'اقدار',
+  'اقرار',
+  'اقساط',
+  'اقسام',
+  'اقوال',
+  'البتہ',
+  'التجا',
+  'الجھا',
+  'الجھو',
+  'الجھی',
+  'الجھے',
+  'الحاق',
+  'الفاظ',
+  'الٹتا',
+  'الٹتی',
+  'الٹتے',
+  'الٹنا',
+  'الٹنی',
+  'الٹنے',
+  'الٹوں',
+  'الٹیں',
+  'امانت',
+  'امداد',
+  'امرود',
+  'املاک',
+  'امکان',
+  'امیری',
+  'انبار',
+  'انتیس',
+  'انجام',
+  'انجان',
+  'انجیر',
+  'انداز',
+  'اندھا',
+  'اندھی',
+  'اندھے',
+  'انرجی',
+  'انسان',
+  'انصاف',
+  'انعام',
+  'انڈوں',
+  'انگلی',
+  'انگور',
+  'انہوں',
+  'انہیں',
+  'اوتار',
+  'اوزار',
+  'اوقات',
+  'اولاد',
+  'اولوں',
+  'اونچا',
+  'اونچی',
+  'اونچے',
+  'اوپری',
+  'اوڑھا',
+  'اوڑھو',
+  'اوڑھی',
+  'اوڑھے',
+  'اٹکتا',
+  'اٹکتی',
+  'اٹکتے',
+  'اٹکنا',
+  'اٹکنی',
+  'اٹکنے',
+  'اٹکوں',
+  'اٹکیں',
+  'اٹھاؤ',
+  'اٹھتا',
+  'اٹھتی',
+  'اٹھتے',
+  'اٹھنا',
+  'اٹھنی',
+  'اٹھنے',
+  'اٹھوں',
+  'اٹھیں',
+  'اپریل',
+  'اپناؤ',
+  'اپنوں',
+  'اچانک',
+  'اچکتا',
+  'اچکتی',
+  'اچکتے',
+  'اچکنا',
+  'اچکنی',
+  'اچکنے',
+  'اچکوں',
+  'اچکیں',
+  'اچھال',
+  'اچھلا',
+  'اچھلو',
+  'اچھلی',
+  'اچھلے',
+  'اچھوں',
+  'اڑاؤں',
+  'اڑائی',
+  'اڑائے',
+  'اڑاتا',
+  'اڑاتی',
+  'اڑاتے',
+  'اڑانا',
+  'اڑانی',
+  'اڑانے',
+  'اڑایا',
+  'اژدہا',
+  'اکائی',
+  'اکٹھا',
+  'اکڑتا',
+  'اکڑتی',
+  'اکڑتے',
+  'اکڑنا',
+  'اکڑنی',
+  'اکڑنے',
+  'اکڑوں',
+  'اکڑیں',
+  'اکھاڑ',
+  'اکیلا',
+  'اکیلی',
+  'اکیلے',
+  'اگرچہ',
+  'اگلتا',
+  'اگلتی',
+  'اگلتے',
+  'اگلنا',
+  'اگلنی',
+  'اگلنے',
+  'اگلوں',
+  'اگلیں',
+  'اہداف',
+  'اہرام',
+  'اہلیت',
+  'اہمیت',
+  'ایثار',
+  'ایجنٹ',
+  'ایران',
+  'ایریا',
+  'ایسوں',
+  'ایمان',
+  'اینٹر',
+  'اینٹھ',
+  'اینٹی',
+  'ایوان',
+  'ایکشن',
+  'بائیس',
+  'بائیک',
+  'بائیں',
+  'بابوں',
+  'باتوں',
+  'باتیں',
+  'باجرہ',
+  'بادام',
+  'بارات',
+  'باریک',
+  'بازار',
+  'باسکٹ',
+  'باغوں',
+  'بالوں',
+  'بالٹی',
+  'بالکل',
+  'باندھ',
+  'بانٹا',
+  'بانٹو',
+  'بانٹی',
+  'بانٹے',
+  'باپوں',
+  'بایاں',
+  'بتاؤں',
+  'بتائی',
+  'بتائے',
+  'بتاتا',
+  'بتاتی',
+  'بتاتے',
+  'بتانا',
+  'بتانی',
+  'بتانے',
+  'بتایا',
+  'بجاؤں',
+  'بجائی',
+  'بجائے',
+  'بجاتا',
+  'بجاتی',
+  'بجاتے',
+  'بجانا',
+  'بجانی',
+  'بجانے',
+  'بجایا',
+  'بجٹوں',
+  'بجھاؤ',
+  'بجھتا',
+  'بجھتی',
+  'بجھتے',
+  'بجھنا',
+  'بجھنی',
+  'بجھنے',
+  'بجھوں',
+  'بجھیں',
+  'بدلتا',
+  'بدلتی',
+  'بدلتے',
+  'بدلنا',
+  'بدلنی',
+  'بدلنے',
+  'بدلوں',
+  'بدلیں',
+  'بدیاں',
+  'بدیسی',
+  'بدیوں',
+  'برآمد',
+  'برائی',
+  'برائے',
+  'برابر',
+  'برانڈ',
+  'برسات',
+  'برستا',
+  'برستی',
+  'برستے',
+  'برسنا',
+  'برسنی',
+  'برسنے',
+  'برسوں',
+  'برسیں',
+  'برشوں',
+  'برقعہ',
+  'برقعے',
+  'بزدلی',
+  'بساؤں',
+  'بسائی',
+  'بسائے',
+  'بساتا',
+  'بساتی',
+  'بساتے',
+  'بسانا',
+  'بسانی',
+  'بسانے',
+  'بسایا',
+  'بستوں',
+  'بشمول',
+  'بصورت',
+  'بطخوں',
+  'بطخیں',
+  'بظاہر',
+  'بلاؤں',
+  'بلائی',
+  'بلائے',
+  'بلاتا',
+  'بلاتی',
+  'بلاتے',
+  'بلانا',
+  'بلانی',
+  'بلانے',
+  'بلایا',
+  'بلبلہ',
+  'بلبلے',
+  'بلحاظ',
+  'بلندی',
+  'بلواؤ',
+  'بلوچی',
+  'بلڈنگ',
+  'بلکتا',
+  'بلکتی',
+  'بلکتے',
+  'بلکنا',
+  'بلکنی',
+  'بلکنے',
+  'بلکوں',
+  'بلکیں',
+  'بلیاں',
+  'بلیوں',
+  'بناؤں',
+  'بنائی',
+  'بنائے',
+  'بناتا',
+  'بناتی',
+  'بناتے',
+  'بنانا',
+  'بنانی',
+  'بنانے',
+  'بنایا',
+  'بندوق',
+  'بندگی',
+  'بندھی',
+  'بنواؤ',
+  'بنیاد',
+  'بوئیں',
+  'بوجھا',
+  'بوجھو',
+  'بوجھی',
+  'بوجھے',
+  'بولتا',
+  'بولتی',
+  'بولتے',
+  'بولنا',
+  'بولنی',
+  'بولنے',
+  'بولوں',
+  'بولیں',
+  'بوڑھا',
+  'بوڑھی',
+  'بوڑھے',
+  'بٹھاؤ',
+  'بچاؤں',
+  'بچائی',
+  'بچائے',
+  'بچاتا',
+  'بچاتی',
+  'بچاتے',
+  'بچانا',
+  'بچانی',
+  'بچانے',
+  'بچایا',
+  'بچتوں',
+  'بچتیں',
+  'بڑھئی',
+  'بڑھاؤ',
+  'بڑھتا',
+  'بڑھتی',
+  'بڑھتے',
+  'بڑھنا',
+  'بڑھنی',
+  'بڑھنے',
+  'بڑھوں',
+  'بڑھیں',
+  'بکسوں',
+  'بکھرا',
+  'بکھرو',
+  'بکھری',
+  'بکھرے',
+  'بگاڑا',
+  'بگاڑو',
+  'بگاڑی',
+  'بگاڑے',
+  'بگڑتا',
+  'بگڑتی',
+  'بگڑتے',
+  'بگڑنا',
+  'بگڑنی',
+  'بگڑنے',
+  'بگڑوں',
+  'بگڑیں',
+  'بھائی',
+  'بھاری',
+  'بھالا',
+  'بھالے',
+  'بھانپ',
+  'بھاوج',
+  'بھاگا',
+  'بھاگو',
+  'بھاگی',
+  'بھاگے',
+  'بھتوں',
+  'بھرتا',
+  'بھرتی',
+  'بھرتے',
+  'بھرنا',
+  'بھرنے',
+  'بھروں',
+  'بھریں',
+  'بھلوں',
+  'بھنڈی',
+  'بھورا',
+  'بھوری',
+  'بھونک',
+  'بھوکا',
+  'بھوکی',
+  'بھوکے',
+  'بھٹکا',
+  'بھٹکو',
+  'بھٹکی',
+  'بھٹکے',
+  'بھگاؤ',
+  'بھیجا',
+  'بھیجو',
+  'بھیجی',
+  'بھیجے',
+  'بھینس',
+  'بھینچ',
+  'بھیگا',
+  'بھیگو',
+  'بھیگی',
+  'بھیگے',
+  'بہادر',
+  'بہانا',
+  'بہروں',
+  'بہلاؤ',
+  'بہنوں',
+  'بہنیں',
+  'بہوؤں',
+  'بہکاؤ',
+  'بہکتا',
+  'بہکتی',
+  'بہکتے',
+  'بہکنا',
+  'بہکنی',
+  'بہکنے',
+  'بہکوں',
+  'بہکیں',
+  'بیتتا',
+  'بیتتی',
+  'بیتتے',
+  'بیتنا',
+  'بیتنی',
+  'بیتنے',
+  'بیتوں',
+  'بیتیں',
+  'بیجوں',
+  'بیدار',
+  'بیرون',
+  'بیشتر',
+  'بیضوی',
+  'بیلوں',
+  'بیلچہ',
+  'بیمار',
+  'بینگن',
+  'بیوٹی',
+  'بیٹری',
+  'بیٹوں',
+  'بیٹھا',
+  'بیٹھو',
+  'بیٹھک',
+  'بیٹھی',
+  'بیٹھے',
+  'بیچتا',
+  'بیچتی',
+  'بیچتے',
+  'بیچنا',
+  'بیچنی',
+  'بیچنے',
+  'بیچوں',
+  'بیچیں',
+  'تاخیر',
+  'تاروں',
+  'تاریخ',
+  'تالاب',
+  'تالوں',
+  'تانبا',
+  'تانبے',
+  'تانتا',
+  'تانتی',
+  'تانتے',
+  'تاننا',
+  'تاننی',
+  'تاننے',
+  'تانوں',
+  'تانگہ',
+  'تانیں',
+  'تاکتا',
+  'تاکتی',
+  'تاکتے',
+  'تاکنا',
+  'تاکنی',
+  'تاکنے',
+  'تاکوں',
+  'تاکیں',
+  'تباہی',
+  'تبدیل',
+  'تبصرہ',
+  'تبصرے',
+  'تجارت',
+  'تجاوز',
+  'تجدید',
+  'تجربہ',
+  'تجربے',
+  'تجزیہ',
+  'تجزیے',
+  'تجویز',
+  'تحائف',
+  'تحریر',
+  'تحریک',
+  'تحفوں',
+  'تحقیق',
+  'تختوں',
+  'تخلیق',
+  'تدبیر',
+  'تدریس',
+  'ترانہ',
+  'ترانے',
+  'تربوز',
+  'تربیت',
+  'ترتیب',
+  'ترجمہ',
+  'ترجمے',
+  'ترجیح',
+  'ترستا',
+  'ترستی',
+  'ترستے',
+  'ترسنا',
+  'ترسنی',
+  'ترسنے',
+  'ترسوں',
+  'ترسیل',
+  'ترسیں',
+  'ترغیب',
+  'ترمیم',
+  'ترچھا',
+  'ترکیب',
+  'تزئین',
+  'تسلیم',
+  'تشخیص',
+  'تشریح',
+  'تشکیل',
+  'تشہیر',
+  'تصادم',
+  'تصدیق',
+  'تصویر',
+  'تعارف',
+  'تعامل',
+  'تعاون',
+  'تعداد',
+  'تعریف',
+  'تعطیل',
+  'تعلیم',
+  'تعمیر',
+  'تعمیل',
+  'تعویذ',
+  'تفتیش',
+  'تفریح',
+  'تفصیل',
+  'تفویض',
+  'تقاضا',
+  'تقاضہ',
+  'تقدیر',
+  'تقرری',
+  'تقریب',
+  'تقریر',
+  'تقسیم',
+  'تقویت',
+  'تقویم',
+  'تلاوت',
+  'تلوار',
+  'تماشا',
+  'تماشے',
+  'تمثیل',
+  'تمغوں',
+  'تمہید',
+  'تمہیں',
+  'تندور',
+  'تنظیم',
+  'توثیق',
+  'توسیع',
+  'توضیح',
+  'تولتا',
+  'تولتی',
+  'تولتے',
+  'تولنا',
+  'تولنی',
+  'تولنے',
+  'تولوں',
+  'تولیں',
+  'تولیہ',
+  'تولیے',
+  'توپوں',
+  'توڑتا',
+  'توڑتی',
+  'توڑتے',
+  'توڑنا',
+  'توڑنی',
+  'توڑنے',
+  'توڑوں',
+  'توڑیں',
+  'تڑپتا',
+  'تڑپتی',
+  'تڑپتے',
+  'تڑپنا',
+  'تڑپنی',
+  'تڑپنے',
+  'تڑپوں',
+  'تڑپیں',
+  'تڑکوں',
+  'تکرار',
+  'تکلیف',
+  'تکونی',
+  'تکیوں',
+  'تھانہ',
+  'تھانے',
+  'تھوڑا',
+  'تھوڑی',
+  'تھوڑے',
+  'تھپکا',
+  'تھپکو',
+  'تھپکی',
+  'تھپکے',
+  'تھکاؤ',
+  'تھیلا',
+  'تھیلی',
+  'تھیلے',
+  'تھیٹر',
+  'تہبند',
+  'تہذیب',
+  'تہنیت',
+  'تہوار',
+  'تیاری',
+  'تیرتا',
+  'تیرتی',
+  'تیرتے',
+  'تیرنا',
+  'تیرنی',
+  'تیرنے',
+  'تیروں',
+  'تیریں',
+  'تیسرا',
+  'تیسری',
+  'تیسرے',
+  'تیلوں',
+  'تیکھا',
+  'تیکھی',
+  'تیکھے',
+  'ثانوی',
+  'ثقافت',
+  'جائزہ',
+  'جائزے',
+  'جائیں',
+  'جائیے',
+  'جاسوس',
+  'جامعہ',
+  'جامنی',
+  'جانتا',
+  'جانتی',
+  'جانتے',
+  'جاننا',
+  'جاننی',
+  'جاننے',
+  'جانور',
+  'جانوں',
+  'جانچا',
+  'جانچو',
+  'جانچی',
+  'جانچے',
+  'جانیں',
+  'جاپان',
+  'جاڑوں',
+  'جاگتا',
+  'جاگتی',
+  'جاگتے',
+  'جاگنا',
+  'جاگنی',
+  'جاگنے',
+  'جاگوں',
+  'جاگیں',
+  'جتاؤں',
+  'جتائی',
+  'جتائے',
+  'جتاتا',
+  'جتاتی',
+  'جتاتے',
+  'جتانا',
+  'جتانی',
+  'جتانے',
+  'جتایا',
+  'جدائی',
+  'جذبات',
+  'جذبوں',
+  'جرمنی',
+  'جرموں',
+  'جرنیل',
+  'جزائر',
+  'جزیرہ',
+  'جزیرے',
+  'جسموں',
+  'جشنوں',
+  'جلاؤں',
+  'جلائی',
+  'جلائے',
+  'جلاتا',
+  'جلاتی',
+  'جلاتے',
+  'جلانا',
+  'جلانی',
+  'جلانے',
+  'جلایا',
+  'جلسوں',
+  'جلیبی',
+  'جمادی',
+  'جماعت',
+  'جمایا',
+  'جنتری',
+  'جنوری',
+  'جنگجو',
+  'جنگلی',
+  'جنگوں',
+  'جنگیں',
+  'جنہوں',
+  'جنہیں',
+  'جوانی',
+  'جوتوں',
+  'جوڑتا',
+  'جوڑتی',
+  'جوڑتے',
+  'جوڑنا',
+  'جوڑنی',
+  'جوڑنے',
+  'جوڑوں',
+  'جوڑیں',
+  'جکڑتا',
+  'جکڑتی',
+  'جکڑتے',
+  'جکڑنا',
+  'جکڑنی',
+  'جکڑنے',
+  'جکڑوں',
+  'جکڑیں',
+  'جگاؤں',
+  'جگائی',
+  'جگائے',
+  'جگاتا',
+  'جگاتی',
+  'جگاتے',
+  'جگانا',
+  'جگانی',
+  'جگانے',
+  'جگایا',
+  'جگہوں',
+  'جھانک',
+  'جھاڑا',
+  'جھاڑو',
+  'جھاڑی',
+  'جھاڑے',
+  'جھبری',
+  'جھرمٹ',
+  'جھمکا',
+  'جھمکے',
+  'جھنڈا',
+  'جھنڈے',
+  'جھولا',
+  'جھولو',
+  'جھولی',
+  'جھولے',
+  'جھونک',
+  'جھوٹا',
+  'جھوٹی',
+  'جھوٹے',
+  'جھپٹا',
+  'جھپٹو',
+  'جھپٹی',
+  'جھپٹے',
+  'جھپکا',
+  'جھپکو',
+  'جھپکی',
+  'جھپکے',
+  'جھکاؤ',
+  'جھکتا',
+  'جھکتی',
+  'جھکتے',
+  'جھکنا',
+  'جھکنی',
+  'جھکنے',
+  'جھکوں',
+  'جھکیں',
+  'جھگڑا',
+  'جھگڑو',
+  'جھگڑی',
+  'جھگڑے',
+  'جیتتا',
+  'جیتتی',
+  'جیتتے',
+  'جیتنا',
+  'جیتنی',
+  'جیتنے',
+  'جیتوں',
+  'جیتیں',
+  'جیلوں',
+  'حادثہ',
+  'حادثے',
+  'حالیہ',
+  'حرارت',
+  'حرفوں',
+  'حفاظت',
+  'حقائق',
+  'حقیقت',
+  'حقیقی',
+  'حلووں',
+  'حماقت',
+  'حمایت',
+  'حملوں',
+  'حوالہ',
+  'حوالے',
+  'حوصلہ',
+  'حویلی',
+  'حکایت',
+  'حکموں',
+  'حکومت',
+  'حیران',
+  'حیوان',
+  'خاتمہ',
+  'خاتون',
+  'خارجی',
+  'خاصیت',
+  'خاموش',
+  'خانوں',
+  'خاوند',
+  'خاکوں',
+  'خبروں',
+  'خبریں',
+  'خدمات',
+  'خرابی',
+  'خرچوں',
+  'خرگوش',
+  'خریدا',
+  'خریدو',
+  'خریدی',
+  'خریدے',
+  'خزانہ',
+  'خزانے',
+  'خزندے',
+  'خصوصی',
+  'خطاطی',
+  'خطرات',
+  'خلاصہ',
+  'خلاصے',
+  'خواجہ',
+  'خواہش',
+  'خوراک',
+  'خوشبو',
+  'خیالی',
+  'خیانت',
+  'خیرات',
+  'دائرہ',
+  'دائیں',
+  'داخلہ',
+  'داخلی',
+  'داخلے',
+  'دالوں',
+  'دالیں',
+  'داماد',
+  'دانوں',
+  'داڑھی',
+  'دایاں',
+  'دباؤں',
+  'دبائی',
+  'دبائے',
+  'دباتا',
+  'دباتی',
+  'دباتے',
+  'دبانا',
+  'دبانی',
+  'دبانے',
+  'دبایا',
+  'دبوچا',
+  'دبوچو',
+  'دبوچی',
+  'دبوچے',
+  'دبکتا',
+  'دبکتی',
+  'دبکتے',
+  'دبکنا',
+  'دبکنی',
+  'دبکنے',
+  'دبکوں',
+  'دبکیں',
+  'درآمد',
+  'دربار',
+  'دردوں',
+  'درندہ',
+  'درکار',
+  'درگاہ',
+  'دستخط',
+  'دستور',
+  'دسمبر',
+  'دسواں',
+  'دشمنی',
+  'دعاؤں',
+  'دفاعی',
+  'دفتری',
+  'دفناؤ',
+  'دلائل',
+  'دلچسپ',
+  'دلیری',
+  'دماغی',
+  'دواؤں',
+  'دوبار',
+  'دوران',
+  'دوروں',
+  'دوستی',
+  'دوسرا',
+  'دوسری',
+  'دوسرے',
+  'دولہا',
+  'دولہے',
+  'دونوں',
+  'دوپٹہ',
+  'دوپٹے',
+  'دوپہر',
+  'دوچار',
+  'دوڑاؤ',
+  'دوڑتا',
+  'دوڑتی',
+  'دوڑتے',
+  'دوڑنا',
+  'دوڑنی',
+  'دوڑنے',
+  'دوڑوں',
+  'دوڑیں',
+  'دکھاؤ',
+  'دکھتا',
+  'دکھتی',
+  'دکھتے',
+  'دکھنا',
+  'دکھنی',
+  'دکھنے',
+  'دکھوں',
+  'دکھیں',
+  'دھاگا',
+  'دھاگے',
+  'دھرتی',
+  'دھندا',
+  'دھندے',
+  'دھنیا',
+  'دھوئی',
+  'دھوئے',
+  'دھواں',
+  'دھوبی',
+  'دھوتا',
+  'دھوتی',
+  'دھوتے',
+  'دھونا',
+  'دھونی',
+  'دھونے',
+  'دھوکہ',
+  'دھوکے',
+  'دھویا',
+  'دھڑکا',
+  'دھڑکن',
+  'دھڑکو',
+  'دھڑکی',
+  'دھڑکے',
+  'دھکیل',
+  'دھیان',
+  'دھیما',
+  'دہراؤ',
+  'دہکتا',
+  'دہکتی',
+  'دہکتے',
+  'دہکنا',
+  'دہکنی',
+  'دہکنے',
+  'دہکوں',
+  'دہکیں',
+  'دیانت',
+  'دیجئے',
+  'دیجیے',
+  'دیوار',
+  'دیوان',
+  'دیکھا',
+  'دیکھو',
+  'دیکھی',
+  'دیکھے',
+  'دیگچی',
+  'دیہات',
+  'ذائقہ',
+  'ذائقے',
+  'ذاتوں',
+  'ذاتیں',
+  'ذخائر',
+  'ذخیرہ',
+  'ذرائع',
+  'ذریعہ',
+  'ذریعے',
+  'ذلتوں',
+  'ذلتیں',
+  'ذہانت',
+  'ذیقعد',
+  'رائتہ',
+  'رائٹر',
+  'رائیڈ',
+  'رابطہ',
+  'رابطے',
+  'راتوں',
+  'راتیں',
+  'راجما',
+  'راستہ',
+  'راستے',
+  'رانوں',
+  'رانیں',
+  'راہوں',
+  'راہیں',
+  'رجسٹر',
+  'رحمدل',
+  'رخسار',
+  'رسائی',
+  'رسالہ',
+  'رسالے',
+  'رسانی',
+  'رسموں',
+  'رسمیں',
+  'رسیاں',
+  'رسیلا',
+  'رسیلی',
+  'رسیلے',
+  'رسیوں',
+  'رشتوں',
+  'رضائی',
+  'رعایا',
+  'رعایت',
+  'رفاہی',
+  'رفتار',
+  'رلاؤں',
+  'رلائی',
+  'رلائے',
+  'رلاتا',
+  'رلاتی',
+  'رلاتے',
+  'رلانا',
+  'رلانی',
+  'رلانے',
+  'رلایا',
+  'رمضان',
+  'رنگوں',
+  'رنگین',
+  'روئیں',
+  'روانہ',
+  'روایت',
+  'روزوں',
+  'روشنی',
+  'رولنگ',
+  'رومال',
+  'رونما',
+  'روٹھا',
+  'روٹھو',
+  'روٹھی',
+  'روٹھے',
+  'روپیہ',
+  'روکتا',
+  'روکتی',
+  'روکتے',
+  'روکنا',
+  'روکنی',
+  'روکنے',
+  'روکوں',
+  'روکیں',
+  'رپورٹ',
+  'رکابی',
+  'رکاوٹ',
+  'رکھتا',
+  'رکھتی',
+  'رکھتے',
+  'رکھنا',
+  'رکھنی',
+  'رکھنے',
+  'رکھوں',
+  'رکھیں',
+  'رگڑتا',
+  'رگڑتی',
+  'رگڑتے',
+  'رگڑنا',
+  'رگڑنی',
+  'رگڑنے',
+  'رگڑوں',
+  'رگڑیں',
+  'رہائش',
+  'رہائی',
+  'رہنما',
+  'ریاست',
+  'ریاضی',
+  'ریتوں',
+  'ریتیں',
+  'ریشمی',
+  'ریلوں',
+  'ریلیز',
+  'ریلیں',
+  'ریٹیل',
+  'ریڈیو',
+  'زخموں',
+  'زراعت',
+  'زرافہ',
+  'زرافے',
+  'زلزلہ',
+  'زلزلے',
+  'زمانہ',
+  'زمانے',
+  'زمینی',
+  'زنانہ',
+  'زنجیر',
+  'زندگی',
+  'زیادہ',
+  'زیریں',
+  'زینوں',
+  'سائبر',
+  'سائنس',
+  'سائیڈ',
+  'ساتھی',
+  'ساحلی',
+  'سالار',
+  'سالوں',
+  'سامان',
+  'سامنا',
+  'سامنے',
+  'ساڑھی',
+  'سایوں',
+  'سبقوں',
+  'ستاؤں',
+  'ستائش',
+  'ستائی',
+  'ستائے',
+  'ستاتا',
+  'ستاتی',
+  'ستاتے',
+  'ستارہ',
+  'ستارے',
+  'ستانا',
+  'ستانی',
+  'ستانے',
+  'ستایا',
+  'ستمبر',
+  'سجاؤں',
+  'سجائی',
+  'سجائے',
+  'سجاتا',
+  'سجاتی',
+  'سجاتے',
+  'سجانا',
+  'سجانی',
+  'سجانے',
+  'سجاوٹ',
+  'سجایا',
+  'سجدوں',
+  'سجیلا',
+  'سجیلی',
+  'سجیلے',
+  'سخاوت',
+  'سدھار',
+  'سدھرا',
+  'سدھرو',
+  'سدھری',
+  'سدھرے',
+  'سرایت',
+  'سردار',
+  'سردرد',
+  'سرسبز',
+  'سرسوں',
+  'سرشار',
+  'سرمئی',
+  'سرموں',
+  'سرپوش',
+  'سرکاؤ',
+  'سرکتا',
+  'سرکتی',
+  'سرکتے',
+  'سرکنا',
+  'سرکنی',
+  'سرکنے',
+  'سرکوں',
+  'سرکیں',
+  'سریلی',
+  'سزاؤں',
+  'سستوں',
+  'سسکتا',
+  'سسکتی',
+  'سسکتے',
+  'سسکنا',
+  'سسکنی',
+  'سسکنے',
+  'سسکوں',
+  'سسکیں',
+  'سطحیں',
+  'سطریں',
+  'سعودی',
+  'سفارت',
+  'سفروں',
+  'سلاؤں',
+  'سلائس',
+  'سلائی',
+  'سلائے',
+  'سلاتا',
+  'سلاتی',
+  'سلاتے',
+  'سلانا',
+  'سلانی',
+  'سلانے',
+  'سلایا',
+  'سلجھا',
+  'سلجھو',
+  'سلجھی',
+  'سلجھے',
+  'سلسلہ',
+  'سلسلے',
+  'سلطنت',
+  'سلواؤ',
+  'سلگتا',
+  'سلگتی',
+  'سلگتے',
+  'سلگنا',
+  'سلگنی',
+  'سلگنے',
+  'سلگوں',
+  'سلگیں',
+  'سلیقہ',
+  'سلیقے',
+  'سماؤں',
+  'سمائی',
+  'سمائے',
+  'سماتا',
+  'سماتی',
+  'سماتے',
+  'سمارٹ',
+  'سمانا',
+  'سمانی',
+  'سمانے',
+  'سمایا',
+  'سمجھا',
+  'سمجھو',
+  'سمجھی',
+  'سمجھے',
+  'سمندر',
+  'سموسہ',
+  'سموسے',
+  'سمٹتا',
+  'سمٹتی',
+  'سمٹتے',
+  'سمٹنا',
+  'سمٹنی',
+  'سمٹنے',
+  'سمٹوں',
+  'سمٹیں',
+  'سمیٹا',
+  'سمیٹو',
+  'سمیٹی',
+  'سمیٹے',
+  'سناؤں',
+  'سنائی',
+  'سنائے',
+  'سناتا',
+  'سناتی',
+  'سناتے',
+  'سنانا',
+  'سنانی',
+  'سنانے',
+  'سنایا',
+  'سنبھل',
+  'سندھی',
+  'سنوار',
+  'سنورا',
+  'سنورو',
+  'سنوری',
+  'سنورے',
+  'سنگدل',
+  'سنگین',
+  'سنہرا',
+  'سنہری',
+  'سنہرے',
+  'سوئیں',
+  'سوائے',
+  'سواحل',
+  'سواری',
+  'سوجتا',
+  'سوجتی',
+  'سوجتے',
+  'سوجنا',
+  'سوجنی',
+  'سوجنے',
+  'سوجوں',
+  'سوجیں',
+  'سوغات',
+  'سونپی',
+  'سوچتا',
+  'سوچتی',
+  'سوچتے',
+  'سوچنا',
+  'سوچنی',
+  'سوچنے',
+  'سوچوں',
+  'سوچیں',
+  'سوکھا',
+  'سوکھو',
+  'سوکھی',
+  'سوکھے',
+  'سویرا',
+  'سویرے',
+  'سویٹر',
+  'سٹائل',
+  'سٹرنگ',
+  'سپاہی',
+  'سپورٹ',
+  'سپیرا',
+  'سپیرے',
+  'سچائی',
+  'سڑکوں',
+  'سڑکیں',
+  'سکتیں',
+  'سکرپٹ',
+  'سکرین',
+  'سکھاؤ',
+  'سکھوں',
+  'سہانا',
+  'سہانی',
+  'سہانے',
+  'سہروں',
+  'سہلاؤ',
+  'سہولت',
+  'سہیلی',
+  'سیارہ',
+  'سیارے',
+  'سیاست',
+  'سیاہی',
+  'سیبوں',
+  'سیدھا',
+  'سیدھی',
+  'سیدھے',
+  'سیلاب',
+  'سیمنٹ',
+  'سینسر',
+  'سینما',
+  'سینوں',
+  'سینٹر',
+  'سینچا',
+  'سینچو',
+  'سینچی',
+  'سینچے',
+  'سینکا',
+  'سینکو',
+  'سینکے',
+  'سیڑھی',
+  'سیکشن',
+  'سیکنڈ',
+  'سیکھا',
+  'سیکھو',
+  'سیکھی',
+  'سیکھے',
+  'شاخوں',
+  'شاخیں',
+  'شاعری',
+  'شاموں',
+  'شامیں',
+  'شانوں',
+  'شانیں',
+  'شاپنگ',
+  'شاگرد',
+  'شاہین',
+  'شخصیت',
+  'شرائط',
+  'شرارت',
+  'شرافت',
+  'شرماؤ',
+  'شطرنج',
+  'شعبان',
+  'شعروں',
+  'شعلوں',
+  'شلوار',
+  'شمالی',
+  'شناخت',
+  'شوربے',
+  'شوقوں',
+  'شوٹنگ',
+  'شکاری',
+  'شکایت',
+  'شکریہ',
+  'شکلیں',
+  'شکنیں',
+  'شکووں',
+  'شہادت',
+  'شہتوت',
+  'شہروں',
+  'شہریت',
+  'شیرنی',
+  'شیروں',
+  'شیریں',
+  'شیشوں',
+  'شیطان',
+  'صافوں',
+  'صبحوں',
+  'صبحیں',
+  'صحابی',
+  'صحافی',
+  'صحنوں',
+  'صدارت',
+  'صدقوں',
+  'صدیوں',
+  'صراحی',
+  'صعودی',
+  'صفائی',
+  'صفحات',
+  'صفحوں',
+  'صلحوں',
+  'صندوق',
+  'صنعتی',
+  'صنوبر',
+  'صوبوں',
+  'ضرورت',
+  'ضروری',
+  'ضلعوں',
+  'ضمیمہ',
+  'ضوابط',
+  'ضیافت',
+  'طالبہ',
+  'طبیعت',
+  'طریقہ',
+  'طریقے',
+  'طعنوں',
+  'طوفان',
+  'ظلموں',
+  'عاجزی',
+  'عارضی',
+  'عالمی',
+  'عبادت',
+  'عدالت',
+  'عزتوں',
+  'عزتیں',
+  'عطروں',
+  'عقیدہ',
+  'عقیدے',
+  'علاقہ',
+  'علاقے',
+  'علامت',
+  'علامہ',
+  'علاوہ',
+  'عمارت',
+  'عمامہ',
+  'عمامے',
+  'عمروں',
+  'عمریں',
+  'عموما',
+  'عمومی',
+  'عنابی',
+  'عناصر',
+  'عنوان',
+  'عوامل',
+  'عوامی',
+  'عہدوں',
+  'عیدوں',
+  'عیدیں',
+  'غالبا',
+  'غبارہ',
+  'غبارے',
+  'غذائی',
+  'غرارہ',
+  'غریبی',
+  'غزلوں',
+  'غزلیں',
+  'غسلوں',
+  'غلامی',
+  'غمیاں',
+  'غمیوں',
+  'فائبر',
+  'فائدہ',
+  'فائنل',
+  'فاختہ',
+  'فارسی',
+  'فاصلے',
+  'فراغت',
+  'فرانس',
+  'فراہم',
+  'فرشتہ',
+  'فرشتے',
+  'فرشوں',
+  'فرقوں',
+  'فرمان',
+  'فروخت',
+  'فروری',
+  'فرہنگ',
+  'فصلوں',
+  'فصلیں',
+  'فضاؤں',
+  'فلموں',
+  'فلمیں',
+  'فنکار',
+  'فوائد',
+  'فوارہ',
+  'فوجوں',
+  'فوجیں',
+  'فولڈر',
+  'فونوں',
+  'فٹبال',
+  'فہرست',
+  'فیاضی',
+  'فیسوں',
+  'فیسیں',
+  'فیصلہ',
+  'فیصلے',
+  'فیملی',
+  'قاعدہ',
+  'قاعدے',
+  'قافلہ',
+  'قافلے',
+  'قالین',
+  'قانون',
+  'قبضوں',
+  'قبیلہ',
+  'قبیلے',
+  'قدرتی',
+  'قدموں',
+  'قرضوں',
+  'قریبی',
+  'قسطوں',
+  'قسموں',
+  'قسمیں',
+  'قصائی',
+  'قصبوں',
+  'قصیدہ',
+  'قصیدے',
+  'قلعوں',
+  'قلموں',
+  'قلمیں',
+  'قوالی',
+  'قورمہ',
+  'قورمے',
+  'قوموں',
+  'قومیں',
+  'قہقہہ',
+  'قیادت',
+  'قیدوں',
+  'قیمتی',
+  'قینچی',
+  'لائٹر',
+  'لائیو',
+  'لائیں',
+  'لازمی',
+  'لاہور',
+  'لرزتا',
+  'لرزتی',
+  'لرزتے',
+  'لرزنا',
+  'لرزنی',
+  'لرزنے',
+  'لرزوں',
+  'لرزیں',
+  'لطیفہ',
+  'لغتوں',
+  'لغتیں',
+  'لفافہ',
+  'لفافے',
+  'لفظوں',
+  'لمبوں',
+  'لنگڑا',
+  'لنگڑی',
+  'لنگڑے',
+  'لوبیا',
+  'لومڑی',
+  'لوٹتا',
+  'لوٹتی',
+  'لوٹتے',
+  'لوٹنا',
+  'لوٹنی',
+  'لوٹنے',
+  'لوٹوں',
+  'لوٹیں',
+  'لوگوں',
+  'لوہار',
+  'لٹاؤں',
+  'لٹائی',
+  'لٹائے',
+  'لٹاتا',
+  'لٹاتی',
+  'لٹاتے',
+  'لٹانا',
+  'لٹانی',
+  'لٹانے',
+  'لٹایا',
+  'لٹکاؤ',
+  'لٹکتا',
+  'لٹکتی',
+  'لٹکتے',
+  'لٹکنا',
+  'لٹکنی',
+  'لٹکنے',
+  'لٹکوں',
+  'لٹکیں',
+  'لٹیرا',
+  'لپٹتا',
+  'لپٹتی',
+  'لپٹتے',
+  'لپٹنا',
+  'لپٹنی',
+  'لپٹنے',
+  'لپٹوں',
+  'لپٹیں',
+  'لپکتا',
+  'لپکتی',
+  'لپکتے',
+  'لپکنا',
+  'لپکنی',
+  'لپکنے',
+  'لپکوں',
+  'لپکیں',
+  'لپیٹا',
+  'لپیٹو',
+  'لپیٹی',
+  'لپیٹے',
+  'لڑائی',
+  'لڑکوں',
+  'لکھتا',
+  'لکھتی',
+  'لکھتے',
+  'لکھنا',
+  'لکھنی',
+  'لکھنے',
+  'لکھوں',
+  'لکھیں',
+  'لگاؤں',
+  'لگائی',
+  'لگائے',
+  'لگاتا',
+  'لگاتی',
+  'لگاتے',
+  'لگانا',
+  'لگانی',
+  'لگانے',
+  'لگایا',
+  'لگژری',
+  'لہراؤ',
+  'لہریں',
+  'لہنگا',
+  'لہنگے',
+  'لیاقت',
+  'لیجئے',
+  'لیجیے',
+  'لیموں',
+  'لیٹنا',
+  'ماتحت',
+  'ماتھا',
+  'ماتھے',
+  'ماحول',
+  'مارتا',
+  'مارتی',
+  'مارتے',
+  'مارشل',
+  'مارنا',
+  'مارنی',
+  'مارنے',
+  'ماروں',
+  'ماریں',
+  'مالٹا',
+  'مالٹے',
+  'ماموں',
+  'مانتا',
+  'مانتی',
+  'مانتے',
+  'ماننا',
+  'ماننی',
+  'ماننے',
+  'مانوس',
+  'مانوں',
+  'مانگا',
+  'مانگو',
+  'مانگی',
+  'مانگے',
+  'مانیں',
+  'مبارک',
+  'متاثر',
+  'متحرک',
+  'متروک',
+  'متضاد',
+  'متعجب',
+  'متعدد',
+  'متعلق',
+  'متعین',
+  'متنبہ',
+  'متوسط',
+  'متوقع',
+  'مجبور',
+  'مجسمہ',
+  'محبوب',
+  'محتاط',
+  'محدود',
+  'محروم',
+  'محفوظ',
+  'محلوں',
+  'محنتی',
+  'محکمہ',
+  'محکمے',
+  'محکوم',
+  'مخالف',
+  'مختصر',
+  'مختلف',
+  'مخصوص',
+  'مخلوق',
+  'مداری',
+  'مدرسہ',
+  'مدرسے',
+  'مرئیت',
+  'مراتب',
+  'مراحل',
+  'مربوط',
+  'مرتبہ',
+  'مرتکز',
+  'مرحلہ',
+  'مرحلے',
+  'مردوں',
+  'مرضوں',
+  'مرموز',
+  'مرچوں',
+  'مرچیں',
+  'مرکزی',
+  'مرکوز',
+  'مزاحم',
+  'مزارع',
+  'مزدور',
+  'مسئلہ',
+  'مسئلے',
+  'مسائل',
+  'مسافر',
+  'مسالا',
+  'مسالے',
+  'مساوی',
+  'مسترد',
+  'مستری',
+  'مستقل',
+  'مستند',
+  'مسخرہ',
+  'مسدود',
+  'مسرور',
+  'مسلتا',
+  'مسلتی',
+  'مسلتے',
+  'مسلسل',
+  'مسلنا',
+  'مسلنی',
+  'مسلنے',
+  'مسلوں',
+  'مسلیں',
+  'مسودہ',
+  'مسودے',
+  'مسکان',
+  'مشتبہ',
+  'مشتمل',
+  'مشروب',
+  'مشروط',
+  'مشغلے',
+  'مشورہ',
+  'مشورے',
+  'مشکوک',
+  'مشہور',
+  'مصروف',
+  'مصوری',
+  'مصیبت',
+  'مضبوط',
+  'مضمون',
+  'مطابق',
+  'مطلوب',
+  'مطمئن',
+  'معاون',
+  'معتدل',
+  'معذرت',
+  'معروف',
+  'معلوم',
+  'معمول',
+  'معکوس',
+  'معیار',
+  'معیشت',
+  'مغلوب',
+  'مغلوں',
+  'مفلسی',
+  'مقاصد',
+  'مقالہ',
+  'مقالے',
+  'مقامی',
+  'مقبول',
+  'مقدار',
+  'مقدمہ',
+  'مقدمے',
+  'مقررہ',
+  'مقصود',
+  'ملاؤں',
+  'ملائم',
+  'ملائی',
+  'ملائے',
+  'ملاتا',
+  'ملاتی',
+  'ملاتے',
+  'ملازم',
+  'ملانا',
+  'ملانی',
+  'ملانے',
+  'ملایا',
+  'ملتان',
+  'ملفوف',
+  'ملکوں',
+  'مماثل',
+  'ممانی',
+  'ممنوع',
+  'ممکنہ',
+  'مناؤں',
+  'منائی',
+  'منائے',
+  'مناتا',
+  'مناتی',
+  'مناتے',
+  'منازل',
+  'مناسب',
+  'مناظر',
+  'منافع',
+  'منانا',
+  'منانی',
+  'منانے',
+  'منایا',
+  'منتخب',
+  'منتظر',
+  'منتظم',
+  'منتقل',
+  'منجمد',
+  'منحصر',
+  'مندرج',
+  'منسلک',
+  'منسوب',
+  'منسوخ',
+  'منظور',
+  'منفرد',
+  'منقسم',
+  'منقطع',
+  'منڈلا',
+  'منڈیر',
+  'موافق',
+  'موتوں',
+  'موتیا',
+  'موتیں',
+  'موجود',
+  'موروں',
+  'مورچہ',
+  'مورچے',
+  'موزوں',
+  'موسمی',
+  'موصول',
+  'موضوع',
+  'موقوف',
+  'مولوی',
+  'مونچھ',
+  'موٹوں',
+  'موڑتا',
+  'موڑتی',
+  'موڑتے',
+  'موڑنا',
+  'موڑنی',
+  'موڑنے',
+  'موڑوں',
+  'موڑیں',
+  'مویشی',
+  'مٹاؤں',
+  'مٹائی',
+  'مٹائے',
+  'مٹاتا',
+  'مٹاتی',
+  'مٹاتے',
+  'مٹانا',
+  'مٹانی',
+  'مٹانے',
+  'مٹایا',
+  'مٹکوں',
+  'مٹھاس',
+  'مٹیاں',
+  'مٹیوں',
+  'مچائی',
+  'مچلتا',
+  'مچلتی',
+  'مچلتے',
+  'مچلنا',
+  'مچلنی',
+  'مچلنے',
+  'مچلوں',
+  'مچلیں',
+  'مچھلی',
+  'مہاجر',
+  'مہتاب',
+  'مہمان',
+  'مہندی',
+  'مہنگا',
+  'مہنگی',
+  'مہنگے',
+  'مہکتا',
+  'مہکتی',
+  'مہکتے',
+  'مہکنا',
+  'مہکنی',
+  'مہکنے',
+  'مہکوں',
+  'مہکیں',
+  'مہینہ',
+  'مہینے',
+  'میتھی',
+  'میدان',
+  'میزوں',
+  'میزیں',
+  'میعاد',
+  'میلوں',
+  'میمنا',
+  'مینار',
+  'مینڈک',
+  'مینیو',
+  'میٹنگ',
+  'میٹھا',
+  'میٹھی',
+  'میٹھے',
+  'میڈیا',
+  'ناخوش',
+  'نادار',
+  'نادان',
+  'ناراض',
+  'ناریل',
+  'ناشتہ',
+  'ناشتے',
+  'نالوں',
+  'نامزد',
+  'نامور',
+  'ناموں',
+  'ناپاک',
+  'ناپتا',
+  'ناپتی',
+  'ناپتے',
+  'ناپنا',
+  'ناپنی',
+  'ناپنے',
+  'ناپوں',
+  'ناپیں',
+  'ناچتا',
+  'ناچتی',
+  'ناچتے',
+  'ناچنا',
+  'ناچنی',
+  'ناچنے',
+  'ناچوں',
+  'ناچیں',
+  'ناکام',
+  'ناکوں',
+  'ناکیں',
+  'نبضوں',
+  'نبضیں',
+  'نبٹتا',
+  'نبٹتی',
+  'نبٹتے',
+  'نبٹنا',
+  'نبٹنی',
+  'نبٹنے',
+  'نبٹوں',
+  'نبٹیں',
+  'نبھاؤ',
+  'نتائج',
+  'نتیجہ',
+  'نتیجے',
+  'ندیاں',
+  'ندیوں',
+  'نرالا',
+  'نرالی',
+  'نرالے',
+  'نزولی',
+  'نسخوں',
+  'نسلوں',
+  'نسلیں',
+  'نشانے',
+  'نشیلا',
+  'نشیلی',
+  'نشیلے',
+  'نصیحت',
+  'نظارہ',
+  'نظموں',
+  'نظمیں',
+  'نغموں',
+  'نقاشی',
+  'نقشوں',
+  'نقصان',
+  'نمونہ',
+  'نمٹتا',
+  'نمٹتی',
+  'نمٹتے',
+  'نمٹنا',
+  'نمٹنی',
+  'نمٹنے',
+  'نمٹوں',
+  'نمٹیں',
+  'نمکین',
+  'ننھوں',
+  'نواحی',
+  'نواسا',
+  'نواسے',
+  'نوعیت',
+  'نومبر',
+  'نوچتا',
+  'نوچتی',
+  'نوچتے',
+  'نوچنا',
+  'نوچنی',
+  'نوچنے',
+  'نوچوں',
+  'نوچیں',
+  'نوکری',
+  'نچانے',
+  'نچوڑا',
+  'نچوڑو',
+  'نچوڑی',
+  'نچوڑے',
+  'نکالا',
+  'نکالو',
+  'نکالی',
+  'نکالے',
+  'نکلتا',
+  'نکلتی',
+  'نکلتے',
+  'نکلنا',
+  'نکلنی',
+  'نکلنے',
+  'نکلوں',
+  'نکلیں',
+  'نکموں',
+  'نکھرا',
+  'نکھرو',
+  'نکھری',
+  'نکھرے',
+  'نگلتا',
+  'نگلتی',
+  'نگلتے',
+  'نگلنا',
+  'نگلنی',
+  'نگلنے',
+  'نگلوں',
+  'نگلیں',
+  'نہاری',
+  'نہانے',
+  'نہروں',
+  'نہریں',
+  'نہلاؤ',
+  'نیزوں',
+  'نیشنل',
+  'نیلوں',
+  'نیچوں',
+  'وائرس',
+  'واسکٹ',
+  'واقعہ',
+  'واقعی',
+  'واقعے',
+  'والدہ',
+  'واپسی',
+  'ورقوں',
+  'وزنوں',
+  'وسائل',
+  'وسیلے',
+  'وضاحت',
+  'وظیفہ',
+  'وظیفے',
+  'وعدوں',
+  'وغیرہ',
+  'وقتوں',
+  'ولولہ',
+  'ولیمہ',
+  'وینڈر',
+  'ویڈیو',
+  'ٹائمر',
+  'ٹائٹل',
+  'ٹالتا',
+  'ٹالتی',
+  'ٹالتے',
+  'ٹالنا',
+  'ٹالنی',
+  'ٹالنے',
+  'ٹالوں',
+  'ٹالیں',
+  'ٹانکا',
+  'ٹانکو',
+  'ٹانکی',
+  'ٹانکے',
+  'ٹانگہ',
+  'ٹخنوں',
+  'ٹرائل',
+  'ٹریفک',
+  'ٹریول',
+  'ٹماٹر',
+  'ٹونٹی',
+  'ٹوٹتا',
+  'ٹوٹتی',
+  'ٹوٹتے',
+  'ٹوٹنا',
+  'ٹوٹنی',
+  'ٹوٹنے',
+  'ٹوٹوں',
+  'ٹوٹیں',
+  'ٹوکتا',
+  'ٹوکتی',
+  'ٹوکتے',
+  'ٹوکنا',
+  'ٹوکنی',
+  'ٹوکنے',
+  'ٹوکوں',
+  'ٹوکیں',
+  'ٹٹولا',
+  'ٹٹولو',
+  'ٹٹولی',
+  'ٹٹولے',
+  'ٹپکاؤ',
+  'ٹپکتا',
+  'ٹپکتی',
+  'ٹپکتے',
+  'ٹپکنا',
+  'ٹپکنی',
+  'ٹپکنے',
+  'ٹپکوں',
+  'ٹپکیں',
+  'ٹکراؤ',
+  'ٹکٹوں',
+  'ٹکڑوں',
+  'ٹکیاں',
+  'ٹھانا',
+  'ٹھانو',
+  'ٹھانی',
+  'ٹھانے',
+  'ٹھنڈا',
+  'ٹھنڈی',
+  'ٹھنڈے',
+  'ٹھونس',
+  'ٹھونک',
+  'ٹھوڑی',
+  'ٹھٹکا',
+  'ٹھٹکو',
+  'ٹھٹکی',
+  'ٹھٹکے',
+  'ٹھٹھر',
+  'ٹھہرا',
+  'ٹھہرو',
+  'ٹھہری',
+  'ٹھہرے',
+  'ٹھیکے',
+  'ٹہلتا',
+  'ٹہلتی',
+  'ٹہلتے',
+  'ٹہلنا',
+  'ٹہلنی',
+  'ٹہلنے',
+  'ٹہلوں',
+  'ٹہلیں',
+  'ٹیڑھا',
+  'ٹیڑھی',
+  'ٹیڑھے',
+  'ٹیکسٹ',
+  'پائیں',
+  'پابند',
+  'پارسل',
+  'پارٹی',
+  'پالتا',
+  'پالتو',
+  'پالتی',
+  'پالتے',
+  'پالنا',
+  'پالنی',
+  'پالنے',
+  'پالوں',
+  'پالیں',
+  'پانڈا',
+  'پتلون',
+  'پتلوں',
+  'پتیلا',
+  'پتیلے',
+  'پجاری',
+  'پرانا',
+  'پرانی',
+  'پرانے',
+  'پرتوں',
+  'پرجوش',
+  'پردوں',
+  'پرزور',
+  'پرزوں',
+  'پرسوں',
+  'پرندہ',
+  'پرندے',
+  'پرنٹر',
+  'پروئی',
+  'پروئے',
+  'پروتا',
+  'پروتی',
+  'پروتے',
+  'پرونا',
+  'پرونی',
+  'پرونے',
+  'پرویا',
+  'پرکھا',
+  'پرکھو',
+  'پرکھی',
+  'پرکھے',
+  'پرہیز',
+  'پریاں',
+  'پریوں',
+  'پسیجا',
+  'پسیجو',
+  'پسیجی',
+  'پسیجے',
+  'پسینہ',
+  'پسینے',
+  'پشاور',
+  'پلاؤں',
+  'پلائی',
+  'پلائے',
+  'پلاتا',
+  'پلاتی',
+  'پلاتے',
+  'پلانا',
+  'پلانی',
+  'پلانے',
+  'پلایا',
+  'پلٹتا',
+  'پلٹتی',
+  'پلٹتے',
+  'پلٹنا',
+  'پلٹنی',
+  'پلٹنے',
+  'پلٹوں',
+  'پلٹیں',
+  'پلکوں',
+  'پلکیں',
+  'پلیئر',
+  'پنجاب',
+  'پنجرہ',
+  'پنجرے',
+  'پندرہ',
+  'پنپتا',
+  'پنپتی',
+  'پنپتے',
+  'پنپنا',
+  'پنپنی',
+  'پنپنے',
+  'پنپوں',
+  'پنپیں',
+  'پنکھا',
+  'پنکھے',
+  'پوتوں',
+  'پودوں',
+  'پوروں',
+  'پورٹل',
+  'پوسٹل',
+  'پوشاک',
+  'پولیس',
+  'پوچھا',
+  'پوچھو',
+  'پوچھی',
+  'پوچھے',
+  'پٹائی',
+  'پٹکتا',
+  'پٹکتی',
+  'پٹکتے',
+  'پٹکنا',
+  'پٹکنی',
+  'پٹکنے',
+  'پٹکوں',
+  'پٹکیں',
+  'پٹیاں',
+  'پٹیوں',
+  'پپیتا',
+  'پچھلا',
+  'پچھلی',
+  'پچھلے',
+  'پڑوسی',
+  'پڑھتا',
+  'پڑھتی',
+  'پڑھتے',
+  'پڑھنا',
+  'پڑھنی',
+  'پڑھنے',
+  'پڑھوں',
+  'پڑھیں',
+  'پکائی',
+  'پکائے',
+  'پکارا',
+  'پکارو',
+  'پکاری',
+  'پکارے',
+  'پکانا',
+  'پکانے',
+  'پکایا',
+  'پکوان',
+  'پکوڑا',
+  'پکوڑے',
+  'پکڑتا',
+  'پکڑتی',
+  'پکڑتے',
+  'پکڑنا',
+  'پکڑنی',
+  'پکڑنے',
+  'پکڑوں',
+  'پکڑیں',
+  'پگھلا',
+  'پگھلو',
+  'پگھلی',
+  'پگھلے',
+  'پھانک',
+  'پھاڑا',
+  'پھاڑو',
+  'پھاڑی',
+  'پھاڑے',
+  'پھرنا',
+  'پھسلا',
+  'پھسلو',
+  'پھسلی',
+  'پھسلے',
+  'پھلوں',
+  'پھندا',
+  'پھنسا',
+  'پھولا',
+  'پھولو',
+  'پھولی',
+  'پھولے',
+  'پھونک',
+  'پھوٹا',
+  'پھوٹو',
+  'پھوٹی',
+  'پھوٹے',
+  'پھڑکا',
+  'پھڑکو',
+  'پھڑکی',
+  'پھڑکے',
+  'پھیلا',
+  'پھیلو',
+  'پھیلی',
+  'پھیلے',
+  'پھینک',
+  'پھیکا',
+  'پھیکی',
+  'پھیکے',
+  'پہاڑی',
+  'پہناؤ',
+  'پہنتا',
+  'پہنتے',
+  'پہننے',
+  'پہنچا',
+  'پہنچو',
+  'پہنچی',
+  'پہنچے',
+  'پہچان',
+  'پہیلی',
+  'پہیوں',
+  'پیارا',
+  'پیاری',
+  'پیارے',
+  'پیاسا',
+  'پیاسی',
+  'پیاسے',
+  'پیالا',
+  'پیالہ',
+  'پیالی',
+  'پیالے',
+  'پیروں',
+  'پیروی',
+  'پیسوں',
+  'پیشوں',
+  'پیشکش',
+  'پیشگی',
+  'پیشین',
+  'پیغام',
+  'پیلوں',
+  'پینشن',
+  'پیٹتا',
+  'پیٹتی',
+  'پیٹتے',
+  'پیٹرن',
+  'پیٹنا',
+  'پیٹنی',
+  'پیٹنے',
+  'پیٹوں',
+  'پیٹیں',
+  'پیچھا',
+  'پیچھے',
+  'پیڑوں',
+  'پیکیج',
+  'چارجر',
+  'چاروں',
+  'چالاک',
+  'چالیس',
+  'چاندی',
+  'چاٹتا',
+  'چاٹتی',
+  'چاٹتے',
+  'چاٹنا',
+  'چاٹنی',
+  'چاٹنے',
+  'چاٹوں',
+  'چاٹیں',
+  'چاہئے',
+  'چاہتا',
+  'چاہتی',
+  'چاہتے',
+  'چاہنا',
+  'چاہنے',
+  'چاہوں',
+  'چاہیں',
+  'چاہیے',
+  'چباؤں',
+  'چبائی',
+  'چبائے',
+  'چباتا',
+  'چباتی',
+  'چباتے',
+  'چبانا',
+  'چبانی',
+  'چبانے',
+  'چبایا',
+  'چبھتا',
+  'چبھتی',
+  'چبھتے',
+  'چبھنا',
+  'چبھنی',
+  'چبھنے',
+  'چبھوں',
+  'چبھیں',
+  'چراتا',
+  'چرانے',
+  'چشموں',
+  'چلاؤں',
+  'چلائی',
+  'چلائے',
+  'چلاتا',
+  'چلاتی',
+  'چلاتے',
+  'چلانا',
+  'چلانی',
+  'چلانے',
+  'چلایا',
+  'چمٹتا',
+  'چمٹتی',
+  'چمٹتے',
+  'چمٹنا',
+  'چمٹنی',
+  'چمٹنے',
+  'چمٹوں',
+  'چمٹیں',
+  'چمچوں',
+  'چمکاؤ',
+  'چمکتا',
+  'چمکتی',
+  'چمکتے',
+  'چمکنا',
+  'چمکنی',
+  'چمکنے',
+  'چمکوں',
+  'چمکیں',
+  'چندوں',
+  'چوبیس',
+  'چوتھا',
+  'چوتھی',
+  'چوتھے',
+  'چوروں',
+  'چوسنے',
+  'چولہا',
+  'چولہے',
+  'چونکا',
+  'چونکو',
+  'چونکہ',
+  'چونکی',
+  'چونکے',
+  'چوکوں',
+  'چٹختا',
+  'چٹختی',
+  'چٹختے',
+  'چٹخنا',
+  'چٹخنی',
+  'چٹخنے',
+  'چٹخوں',
+  'چٹخیں',
+  'چپاتی',
+  'چپکاؤ',
+  'چپکتا',
+  'چپکتی',
+  'چپکتے',
+  'چپکنا',
+  'چپکنی',
+  'چپکنے',
+  'چپکوں',
+  'چپکیں',
+  'چچاؤں',
+  'چچیاں',
+  'چچیوں',
+  'چڑھاؤ',
+  'چڑھتا',
+  'چڑھتی',
+  'چڑھتے',
+  'چڑھنا',
+  'چڑھنی',
+  'چڑھنے',
+  'چڑھوں',
+  'چڑھیں',
+  'چکنوں',
+  'چھائے',
+  'چھاتی',
+  'چھالا',
+  'چھانا',
+  'چھانو',
+  'چھانٹ',
+  'چھانی',
+  'چھانے',
+  'چھاپا',
+  'چھاپو',
+  'چھاپی',
+  'چھاپے',
+  'چھایا',
+  'چھبیس',
+  'چھتوں',
+  'چھتیں',
+  'چھلنی',
+  'چھلکے',
+  'چھوئی',
+  'چھوئے',
+  'چھوتا',
+  'چھوتی',
+  'چھوتے',
+  'چھونا',
+  'چھونی',
+  'چھونے',
+  'چھوٹا',
+  'چھوٹی',
+  'چھوٹے',
+  'چھوڑا',
+  'چھوڑو',
+  'چھوڑی',
+  'چھوڑے',
+  'چھویا',
+  'چھپاؤ',
+  'چھپنے',
+  'چھڑکا',
+  'چھڑکو',
+  'چھڑکی',
+  'چھڑکے',
+  'چھینا',
+  'چھینو',
+  'چھینک',
+  'چھینی',
+  'چھینے',
+  'چھیڑا',
+  'چھیڑو',
+  'چھیڑی',
+  'چھیڑے',
+  'چہروں',
+  'چہکتا',
+  'چہکتی',
+  'چہکتے',
+  'چہکنا',
+  'چہکنی',
+  'چہکنے',
+  'چہکوں',
+  'چہکیں',
+  'چیختا',
+  'چیختی',
+  'چیختے',
+  'چیخنا',
+  'چیخنی',
+  'چیخنے',
+  'چیخوں',
+  'چیخیں',
+  'چیزوں',
+  'چیزیں',
+  'ڈالتا',
+  'ڈالتی',
+  'ڈالتے',
+  'ڈالنا',
+  'ڈالنی',
+  'ڈالنے',
+  'ڈالوں',
+  'ڈالیں',
+  'ڈانٹا',
+  'ڈانٹو',
+  'ڈانٹی',
+  'ڈانٹے',
+  'ڈاکوں',
+  'ڈاکٹر',
+  'ڈاکیا',
+  'ڈاکیں',
+  'ڈبوئی',
+  'ڈبوئے',
+  'ڈبوتا',
+  'ڈبوتی',
+  'ڈبوتے',
+  'ڈبونا',
+  'ڈبونی',
+  'ڈبونے',
+  'ڈبویا',
+  'ڈراؤں',
+  'ڈرائی',
+  'ڈرائے',
+  'ڈراتا',
+  'ڈراتی',
+  'ڈراتے',
+  'ڈراما',
+  'ڈرامہ',
+  'ڈرامے',
+  'ڈرانا',
+  'ڈرانی',
+  'ڈرانے',
+  'ڈرایا',
+  'ڈرپوک',
+  'ڈریگن',
+  'ڈسپلے',
+  'ڈوبتا',
+  'ڈوبتی',
+  'ڈوبتے',
+  'ڈوبنا',
+  'ڈوبنی',
+  'ڈوبنے',
+  'ڈوبوں',
+  'ڈوبیں',
+  'ڈھانپ',
+  'ڈھلتا',
+  'ڈھلتی',
+  'ڈھلتے',
+  'ڈھلنا',
+  'ڈھلنی',
+  'ڈھلنے',
+  'ڈھلوں',
+  'ڈھلیں',
+  'ڈھیلا',
+  'کاران',
+  'کارکن',
+  'کارگو',
+  'کاریں',
+  'کاغذی',
+  'کالوں',
+  'کاموں',
+  'کانوں',
+  'کانٹا',
+  'کانپا',
+  'کانپو',
+  'کانپی',
+  'کانپے',
+  'کاٹتا',
+  'کاٹتی',
+  'کاٹتے',
+  'کاٹنا',
+  'کاٹنی',
+  'کاٹنے',
+  'کاٹوں',
+  'کاٹیں',
+  'کاڑھا',
+  'کاڑھو',
+  'کاڑھی',
+  'کاڑھے',
+  'کبوتر',
+  'کبھار',
+  'کتراؤ',
+  'کترتا',
+  'کترتی',
+  'کترتے',
+  'کترنا',
+  'کترنی',
+  'کترنے',
+  'کتروں',
+  'کتریں',
+  'کتھئی',
+  'کثافت',
+  'کرائی',
+  'کرائے',
+  'کراتا',
+  'کراتی',
+  'کراتے',
+  'کرانا',
+  'کرانے',
+  'کراچی',
+  'کرایا',
+  'کرایہ',
+  'کرتوں',
+  'کردار',
+  'کرنسی',
+  'کرواؤ',
+  'کریلا',
+  'کریڈٹ',
+  'کسٹمر',
+  'کشمیر',
+  'کشیدہ',
+  'کلائی',
+  'کلاسک',
+  'کلیاں',
+  'کلیجہ',
+  'کلیجے',
+  'کلیدی',
+  'کلیوں',
+  'کماؤں',
+  'کمائی',
+  'کمائے',
+  'کماتا',
+  'کماتی',
+  'کماتے',
+  'کمانا',
+  'کمانی',
+  'کمانے',
+  'کمایا',
+  'کمروں',
+  'کمریں',
+  'کمزور',
+  'کمپنی',
+  'کمہار',
+  'کنارا',
+  'کنارہ',
+  'کنارے',
+  'کنجوس',
+  'کندھا',
+  'کندھے',
+  'کنواں',
+  'کنویں',
+  'کنکشن',
+  'کنگھا',
+  'کنگھی',
+  'کنگھے',
+  'کوئلہ',
+  'کوئلے',
+  'کوئٹہ',
+  'کودتا',
+  'کودتی',
+  'کودتے',
+  'کودنا',
+  'کودنی',
+  'کودنے',
+  'کودوں',
+  'کودیں',
+  'کوفتے',
+  'کولہے',
+  'کونسی',
+  'کونوں',
+  'کوٹوں',
+  'کوٹھی',
+  'کوچوں',
+  'کوڑوں',
+  'کٹواؤ',
+  'کٹورا',
+  'کپتان',
+  'کپڑوں',
+  'کچلتا',
+  'کچلتی',
+  'کچلتے',
+  'کچلنا',
+  'کچلنی',
+  'کچلنے',
+  'کچلوں',
+  'کچلیں',
+  'کچوری',
+  'کچھوا',
+  'کچھوے',
+  'کچہری',
+  'کڑاہی',
+  'کڑووں',
+  'کڑیوں',
+  'کھاؤں',
+  'کھائی',
+  'کھائے',
+  'کھاتا',
+  'کھاتی',
+  'کھاتے',
+  'کھارے',
+  'کھانا',
+  'کھانس',
+  'کھانی',
+  'کھانے',
+  'کھایا',
+  'کھجور',
+  'کھرچا',
+  'کھرچو',
+  'کھرچی',
+  'کھرچے',
+  'کھسکا',
+  'کھسکو',
+  'کھسکی',
+  'کھسکے',
+  'کھلاؤ',
+  'کھلتا',
+  'کھلتی',
+  'کھلتے',
+  'کھلنا',
+  'کھلنی',
+  'کھلنے',
+  'کھلوں',
+  'کھلیں',
+  'کھنڈر',
+  'کھنکا',
+  'کھنکو',
+  'کھنکی',
+  'کھنکے',
+  'کھوئی',
+  'کھوئے',
+  'کھوتا',
+  'کھوتی',
+  'کھوتے',
+  'کھودا',
+  'کھودو',
+  'کھودی',
+  'کھودے',
+  'کھولا',
+  'کھولو',
+  'کھولی',
+  'کھولے',
+  'کھونا',
+  'کھونی',
+  'کھونے',
+  'کھویا',
+  'کھٹمل',
+  'کھٹوں',
+  'کھٹکا',
+  'کھٹکو',
+  'کھٹکی',
+  'کھٹکے',
+  'کھڑکی',
+  'کھیتی',
+  'کھیلا',
+  'کھیلو',
+  'کھیلی',
+  'کھیلے',
+  'کھینچ',
+  'کہانی',
+  'کہاوت',
+  'کہروں',
+  'کہلاؤ',
+  'کیاری',
+  'کیتلی',
+  'کیجئے',
+  'کیجیے',
+  'کیفیت',
+  'کیلوں',
+  'کیمرا',
+  'کیمرہ',
+  'کیمرے',
+  'کیمیا',
+  'کینوس',
+  'کینڈی',
+  'کیڑوں',
+  'کیکڑا',
+  'گائیڈ',
+  'گائیں',
+  'گالوں',
+  'گانوں',
+  'گاڑھے',
+  'گجروں',
+  'گراؤں',
+  'گرائی',
+  'گرائے',
+  'گراتا',
+  'گراتی',
+  'گراتے',
+  'گرافک',
+  'گرامر',
+  'گرانا',
+  'گرانی',
+  'گرانے',
+  'گراوٹ',
+  'گرایا',
+  'گرجتا',
+  'گرجتی',
+  'گرجتے',
+  'گرجنا',
+  'گرجنی',
+  'گرجنے',
+  'گرجوں',
+  'گرجیں',
+  'گردوں',
+  'گرینڈ',
+  'گزارا',
+  'گزرتا',
+  'گزرتی',
+  'گزرتے',
+  'گزرنا',
+  'گزرنی',
+  'گزرنے',
+  'گزروں',
+  'گزریں',
+  'گزشتہ',
+  'گفتگو',
+  'گلابی',
+  'گلدان',
+  'گلوبل',
+  'گلہری',
+  'گلیات',
+  'گلیاں',
+  'گلیوں',
+  'گمراہ',
+  'گمشدہ',
+  'گمنام',
+  'گنجوں',
+  'گندوں',
+  'گواہی',
+  'گوبھی',
+  'گودام',
+  'گورنر',
+  'گوروں',
+  'گولوں',
+  'گوندھ',
+  'گونگا',
+  'گونگی',
+  'گونگے',
+  'گچھوں',
+  'گڈریا',
+  'گھاٹا',
+  'گھروں',
+  'گھساؤ',
+  'گھستا',
+  'گھستی',
+  'گھستے',
+  'گھسنا',
+  'گھسنی',
+  'گھسنے',
+  'گھسوں',
+  'گھسیں',
+  'گھماؤ',
+  'گھنٹہ',
+  'گھنٹی',
+  'گھنٹے',
+  'گھورا',
+  'گھورو',
+  'گھوری',
+  'گھورے',
+  'گھولا',
+  'گھولو',
+  'گھولی',
+  'گھولے',
+  'گھوما',
+  'گھومو',
+  'گھومی',
+  'گھومے',
+  'گھوڑا',
+  'گھوڑے',
+  'گھٹاؤ',
+  'گھٹتا',
+  'گھٹتی',
+  'گھٹتے',
+  'گھٹنا',
+  'گھٹنی',
+  'گھٹنے',
+  'گھٹوں',
+  'گھٹیں',
+  'گھڑوں',
+  'گہروں',
+  'گیارہ',
+  'گیراج',
+  'گیلری',
+  'گیلوں',
+  'گینڈا',
+  'گیہوں',
+  'ہاتھی',
+  'ہارتا',
+  'ہارتی',
+  'ہارتے',
+  'ہارنا',
+  'ہارنی',
+  'ہارنے',
+  'ہاروں',
+  'ہاریں',
+  'ہانپا',
+  'ہانپو',
+  'ہانپی',
+  'ہانپے',
+  'ہانڈی',
+  'ہانکا',
+  'ہانکو',
+  'ہانکی',
+  'ہانکے',
+  'ہدایت',
+  'ہدیوں',
+  'ہرنوں',
+  'ہفتوں',
+  'ہلاؤں',
+  'ہلائی',
+  'ہلائے',
+  'ہلاتا',
+  'ہلاتی',
+  'ہلاتے',
+  'ہلانا',
+  'ہلانی',
+  'ہلانے',
+  'ہلایا',
+  'ہلکوں',
+  'ہمارا',
+  'ہماری',
+  'ہمارے',
+  'ہمدرد',
+  'ہموار',
+  'ہمیشہ',
+  'ہندسہ',
+  'ہندسی',
+  'ہندسے',
+  'ہنروں',
+  'ہنساؤ',
+  'ہنستا',
+  'ہنستی',
+  'ہنستے',
+  'ہنسنا',
+  'ہنسنی',
+  'ہنسنے',
+  'ہنسوں',
+  'ہنسیں',
+  'ہوئیں',
+  'ہواؤں',
+  'ہوائی',
+  'ہولڈر',
+  'ہونگی',
+  'ہٹاؤں',
+  'ہٹائی',
+  'ہٹائے',
+  'ہٹاتا',
+  'ہٹاتی',
+  'ہٹاتے',
+  'ہٹانا',
+  'ہٹانی',
+  'ہٹانے',
+  'ہٹایا',
+  'ہٹیلا',
+  'ہٹیلی',
+  'ہٹیلے',
+  'ہڈیاں',
+  'ہڈیوں',
+  'ہکلاؤ',
+  'ہیروں',
+  'ہیلتھ',
+  'ہینڈل',
+  'یاروں',
+  'یافتہ',
+  'یاقوت',
+  'یقینا',
+  'یقینی',
+  'یونہی',
+  'یکساں',
+];
@@ -0,0 +1,2319 @@
+// ========================================
+// Urdle — 6-Letter Word List
+// ========================================
+// Valid 6-letter Urdu words for the 6-letter variant
+// (see variants.js). WORDS_6 is the accepted-guess
+// dictionary; daily answers are drawn from ANSWERS_6
+// in answers-6.js.
+
+const WORDS_6 = [
+  'آئینوں',
+  'آخرکار',
+  'آزماؤں',
+  'آزمائش',
+  'آزمائی',
+  'آزمائے',
+  'آزماتا',
+  'آزماتی',
+  'آزماتے',
+  'آزمانا',
+  'آزمانی',
+  'آزمانے',
+  'آزمایا',
+  'آسمانی',
+  'آنکھوں',
+  'آنکھیں',
+  'آوازوں',
+  'آوازیں',
+  'آٹھواں',
+  'آپریشن',
+  'ابھارا',
+  'ابھارو',
+  'ابھاری',
+  'ابھارے',
+  'ابھرتا',
+  'ابھرتی',
+  'ابھرتے',
+  'ابھرنا',
+  'ابھرنی',
+  'ابھرنے',
+  'ابھروں',
+  'ابھریں',
+  'اتارتا',
+  'اتارتی',
+  'اتارتے',
+  'اتارنا',
+  'اتارنی',
+  'اتارنے',
+  'اتاروں',
+  'اتاریں',
+  'اتراؤں',
+  'اترائی',
+  'اترائے',
+  'اتراتا',
+  'اتراتی',
+  'اتراتے',
+  'اترانا',
+  'اترانی',
+  'اترانے',
+  'اترایا',
+  'اتفاقی',
+  'اجالوں',
+  'اجتماع',
+  'اجوائن',
+  'احترام',
+  'احتیاط',
+  'اختتام',
+  'اختیار',
+  'اداروں',
+  'اداکار',
+  'ادھورا',
+  'ادھوری',
+  'ادھورے',
+  'ادیبوں',
+  'ارادوں',
+  'اراکین',
+  'ارضیات',
+  'استانی',
+  'استدعا',
+  'اسسٹنٹ',
+  'اسلامی',
+  'اسمارٹ',
+  'اسمبلی',
+  'اسٹائل',
+  'اسٹارٹ',
+  'اسٹامپ',
+  'اسٹریم',
+  'اسٹریٹ',
+  'اسٹورز',
+  'اسٹیشن',
+  'اسپیکر',
+  'اسکائی',
+  'اسکرول',
+  'اسکرپٹ',
+  'اسکرین',
+  'اسکینر',
+  'اشتراک',
+  'اشتہار',
+  'اصطلاح',
+  'اصولوں',
+  'اطالوی',
+  'اعتبار',
+  'اعتماد',
+  'اعزازی',
+  'افتتاح',
+  'افزودہ',
+  'افسانہ',
+  'افسانے',
+  'افسروں',
+  'افطاری',
+  'الائچی',
+  'البیلا',
+  'البیلی',
+  'البیلے',
+  'التواء',
+  'الجھاؤ',
+  'الجھتا',
+  'الجھتی',
+  'الجھتے',
+  'الجھنا',
+  'الجھنی',
+  'الجھنے',
+  'الجھوں',
+  'الجھیں',
+  'الماری',
+  'الیکشن',
+  'امارات',
+  'اماموں',
+  'امتحان',
+  'امتیاز',
+  'امدادی',
+  'امریکہ',
+  'امریکی',
+  'امیدوں',
+  'امیدیں',
+  'امیروں',
+  'اناروں',
+  'انتباہ',
+  'انتخاب',
+  'انتساب',
+  'انتظار',
+  'انتظام',
+  'انحصار',
+  'اندازہ',
+  'اندازے',
+  'اندراج',
+  'اندھوں',
+  'انسانی',
+  'انضمام',
+  'انقطاع',
+  'انوکھا',
+  'انوکھی',
+  'انوکھے',
+  'انڈیکس',
+  'انکشاف',
+  'انگریز',
+  'اونٹوں',
+  'اونچوں',
+  'اوپیرا',
+  'اوڑھتا',
+  'اوڑھتی',
+  'اوڑھتے',
+  'اوڑھنا',
+  'اوڑھنی',
+  'اوڑھنے',
+  'اوڑھوں',
+  'اوڑھیں',
+  'اٹھاؤں',
+  'اٹھائی',
+  'اٹھائے',
+  'اٹھاتا',
+  'اٹھاتی',
+  'اٹھاتے',
+  'اٹھارہ',
+  'اٹھانا',
+  'اٹھانی',
+  'اٹھانے',
+  'اٹھایا',
+  'اپناؤں',
+  'اپنائی',
+  'اپنائے',
+  'اپناتا',
+  'اپناتی',
+  'اپناتے',
+  'اپنانا',
+  'اپنانی',
+  'اپنانے',
+  'اپنایا',
+  'اچھائی',
+  'اچھالا',
+  'اچھالو',
+  'اچھالی',
+  'اچھالے',
+  'اچھلتا',
+  'اچھلتی',
+  'اچھلتے',
+  'اچھلنا',
+  'اچھلنی',
+  'اچھلنے',
+  'اچھلوں',
+  'اچھلیں',
+  'اڈاپٹر',
+  'اڑائیں',
+  'اکتوبر',
+  'اکھاڑا',
+  'اکھاڑو',
+  'اکھاڑی',
+  'اکھاڑے',
+  'اکیلوں',
+  'ایرانی',
+  'ایمانی',
+  'ایموجی',
+  'ایندھن',
+  'اینٹوں',
+  'اینٹھا',
+  'اینٹھو',
+  'اینٹھی',
+  'اینٹھے',
+  'اینٹیں',
+  'ایڈریس',
+  'ایڈیٹر',
+  'ایڑیاں',
+  'ایڑیوں',
+  'بابرکت',
+  'باتونی',
+  'بادامی',
+  'بادبان',
+  'بادشاہ',
+  'بادلوں',
+  'بارشوں',
+  'بارشیں',
+  'بازیاب',
+  'باشندہ',
+  'باغیچہ',
+  'باغیچے',
+  'بالغوں',
+  'بامعنی',
+  'باندھا',
+  'باندھو',
+  'باندھی',
+  'باندھے',
+  'بانسری',
+  'بانٹتا',
+  'بانٹتی',
+  'بانٹتے',
+  'بانٹنا',
+  'بانٹنی',
+  'بانٹنے',
+  'بانٹوں',
+  'بانٹیں',
+  'باوجود',
+  'باورچی',
+  'باکسنگ',
+  'بتائیں',
+  'بجائیں',
+  'بجلیاں',
+  'بجلیوں',
+  'بجھاؤں',
+  'بجھائی',
+  'بجھائے',
+  'بجھاتا',
+  'بجھاتی',
+  'بجھاتے',
+  'بجھانا',
+  'بجھانی',
+  'بجھانے',
+  'بجھایا',
+  'بحفاظت',
+  'بخارات',
+  'بدترین',
+  'بدصورت',
+  'بدلواؤ',
+  'بدمعاش',
+  'بدھائی',
+  'بذریعہ',
+  'برآمدہ',
+  'برآمدے',
+  'برادری',
+  'بربادی',
+  'برتنوں',
+  'برخاست',
+  'برساتی',
+  'برصغیر',
+  'برفیاں',
+  'برفیوں',
+  'برقرار',
+  'برقعوں',
+  'برکتوں',
+  'بریانی',
+  'بسائیں',
+  'بستروں',
+  'بستیاں',
+  'بستیوں',
+  'بلائیں',
+  'بلبلوں',
+  'بلواؤں',
+  'بلوائی',
+  'بلوائے',
+  'بلواتا',
+  'بلواتی',
+  'بلواتے',
+  'بلوانا',
+  'بلوانی',
+  'بلوانے',
+  'بلوایا',
+  'بنائیں',
+  'بنجارا',
+  'بنجارے',
+  'بنواؤں',
+  'بنوائی',
+  'بنوائے',
+  'بنواتا',
+  'بنواتی',
+  'بنواتے',
+  'بنوانا',
+  'بنوانی',
+  'بنوانے',
+  'بنوایا',
+  'بنیادی',
+  'بوجھتا',
+  'بوجھتی',
+  'بوجھتے',
+  'بوجھنا',
+  'بوجھنی',
+  'بوجھنے',
+  'بوجھوں',
+  'بوجھیں',
+  'بولیاں',
+  'بولیوں',
+  'بوڑھوں',
+  'بٹھاؤں',
+  'بٹھائی',
+  'بٹھائے',
+  'بٹھاتا',
+  'بٹھاتی',
+  'بٹھاتے',
+  'بٹھانا',
+  'بٹھانی',
+  'بٹھانے',
+  'بٹھایا',
+  'بچائیں',
+  'بچھائی',
+  'بچھانے',
+  'بچھونا',
+  'بچھڑنا',
+  'بڑبڑاؤ',
+  'بڑھاؤں',
+  'بڑھائی',
+  'بڑھائے',
+  'بڑھاتا',
+  'بڑھاتی',
+  'بڑھاتے',
+  'بڑھانا',
+  'بڑھانی',
+  'بڑھانے',
+  'بڑھاپا',
+  'بڑھاپے',
+  'بڑھایا',
+  'بکریاں',
+  'بکریوں',
+  'بکھرتا',
+  'بکھرتی',
+  'بکھرتے',
+  'بکھرنا',
+  'بکھرنی',
+  'بکھرنے',
+  'بکھروں',
+  'بکھریں',
+  'بگاڑتا',
+  'بگاڑتی',
+  'بگاڑتے',
+  'بگاڑنا',
+  'بگاڑنی',
+  'بگاڑنے',
+  'بگاڑوں',
+  'بگاڑیں',
+  'بھابھی',
+  'بھالوں',
+  'بھانجا',
+  'بھانجے',
+  'بھانپا',
+  'بھانپو',
+  'بھانپی',
+  'بھانپے',
+  'بھاگتا',
+  'بھاگتی',
+  'بھاگتے',
+  'بھاگنا',
+  'بھاگنی',
+  'بھاگنے',
+  'بھاگوں',
+  'بھاگیں',
+  'بھتیجا',
+  'بھتیجے',
+  'بھجواؤ',
+  'بھروسا',
+  'بھروسہ',
+  'بھلائی',
+  'بھوتوں',
+  'بھولنا',
+  'بھولیں',
+  'بھونرا',
+  'بھونکا',
+  'بھونکو',
+  'بھونکی',
+  'بھونکے',
+  'بھوکوں',
+  'بھٹکاؤ',
+  'بھٹکتا',
+  'بھٹکتی',
+  'بھٹکتے',
+  'بھٹکنا',
+  'بھٹکنی',
+  'بھٹکنے',
+  'بھٹکوں',
+  'بھٹکیں',
+  'بھگاؤں',
+  'بھگائی',
+  'بھگائے',
+  'بھگاتا',
+  'بھگاتی',
+  'بھگاتے',
+  'بھگانا',
+  'بھگانی',
+  'بھگانے',
+  'بھگایا',
+  'بھگوئی',
+  'بھگوئے',
+  'بھگوتا',
+  'بھگوتی',
+  'بھگوتے',
+  'بھگونا',
+  'بھگونی',
+  'بھگونے',
+  'بھگویا',
+  'بھیجتا',
+  'بھیجتی',
+  'بھیجتے',
+  'بھیجنا',
+  'بھیجنی',
+  'بھیجنے',
+  'بھیجوں',
+  'بھیجیں',
+  'بھینچا',
+  'بھینچو',
+  'بھینچی',
+  'بھینچے',
+  'بھیڑوں',
+  'بھیڑیا',
+  'بھیڑیں',
+  'بھیگتا',
+  'بھیگتی',
+  'بھیگتے',
+  'بھیگنا',
+  'بھیگنی',
+  'بھیگنے',
+  'بھیگوں',
+  'بھیگیں',
+  'بہادری',
+  'بہاروں',
+  'بہاریں',
+  'بہترین',
+  'بہرحال',
+  'بہلاؤں',
+  'بہلائی',
+  'بہلائے',
+  'بہلاتا',
+  'بہلاتی',
+  'بہلاتے',
+  'بہلانا',
+  'بہلانی',
+  'بہلانے',
+  'بہلایا',
+  'بہنوئی',
+  'بہوئیں',
+  'بہکاؤں',
+  'بہکائی',
+  'بہکائے',
+  'بہکاتا',
+  'بہکاتی',
+  'بہکاتے',
+  'بہکانا',
+  'بہکانی',
+  'بہکانے',
+  'بہکایا',
+  'بیداری',
+  'بیرونی',
+  'بیماری',
+  'بینکنگ',
+  'بینکوں',
+  'بیوقوف',
+  'بیویاں',
+  'بیویوں',
+  'بیٹھتا',
+  'بیٹھتی',
+  'بیٹھتے',
+  'بیٹھنا',
+  'بیٹھنی',
+  'بیٹھنے',
+  'بیٹھوں',
+  'بیٹھیں',
+  'بیٹھیے',
+  'بیٹیاں',
+  'بیٹیوں',
+  'تاثرات',
+  'تاجروں',
+  'تایاؤں',
+  'تبادلہ',
+  'تبادلے',
+  'تبدیلی',
+  'تبصروں',
+  'تتلیاں',
+  'تتلیوں',
+  'تجارتی',
+  'تجاویز',
+  'تجربات',
+  'تجربوں',
+  'تجریدی',
+  'تجزیوں',
+  'تحریری',
+  'تحفظات',
+  'تختیاں',
+  'تختیوں',
+  'تخلیقی',
+  'تخمینہ',
+  'تخمینی',
+  'تخمینے',
+  'تراشیں',
+  'ترامیم',
+  'ترانوں',
+  'ترجموں',
+  'ترجیحی',
+  'ترکاری',
+  'ترکھان',
+  'تشخیصی',
+  'تشریحی',
+  'تشہیری',
+  'تصاویر',
+  'تصدیقی',
+  'تصورات',
+  'تصویری',
+  'تعلیمی',
+  'تغیرات',
+  'تفریحی',
+  'تفصیلی',
+  'تقاضوں',
+  'تقریبا',
+  'تقریری',
+  'تلاشوں',
+  'تلاشیں',
+  'تماشوں',
+  'تمہارا',
+  'تمہاری',
+  'تمہارے',
+  'تنخواہ',
+  'تندرست',
+  'تنظیمی',
+  'تنہائی',
+  'توثیقی',
+  'توسیعی',
+  'توقعات',
+  'تولیوں',
+  'تکنیکی',
+  'تھامنا',
+  'تھانوں',
+  'تھرماس',
+  'تھوڑوں',
+  'تھپکتا',
+  'تھپکتی',
+  'تھپکتے',
+  'تھپکنا',
+  'تھپکنی',
+  'تھپکنے',
+  'تھپکوں',
+  'تھپکیں',
+  'تھکاؤں',
+  'تھکائی',
+  'تھکائے',
+  'تھکاتا',
+  'تھکاتی',
+  'تھکاتے',
+  'تھکانا',
+  'تھکانی',
+  'تھکانے',
+  'تھکاوٹ',
+  'تھکایا',
+  'تھیئٹر',
+  'تھیلوں',
+  'تیراکی',
+  'تیلیوں',
+  'تیندوا',
+  'تیکھوں',
+  'ثبوتوں',
+  'جائزوں',
+  'جادوگر',
+  'جاسوسی',
+  'جاندار',
+  'جانچتا',
+  'جانچتی',
+  'جانچتے',
+  'جانچنا',
+  'جانچنی',
+  'جانچنے',
+  'جانچوں',
+  'جانچیں',
+  'جاپانی',
+  'جاہلوں',
+  'جتائیں',
+  'جدوجہد',
+  'جذباتی',
+  'جرابیں',
+  'جرمانہ',
+  'جرمانے',
+  'جزیروں',
+  'جسمانی',
+  'جلائیں',
+  'جلوسوں',
+  'جمعرات',
+  'جنگلات',
+  'جنگلوں',
+  'جوابات',
+  'جوابوں',
+  'جولائی',
+  'جولاہا',
+  'جولاہے',
+  'جگائیں',
+  'جھانکا',
+  'جھانکو',
+  'جھانکی',
+  'جھانکے',
+  'جھاڑتا',
+  'جھاڑتی',
+  'جھاڑتے',
+  'جھاڑنا',
+  'جھاڑنی',
+  'جھاڑنے',
+  'جھاڑوں',
+  'جھاڑیں',
+  'جھمکوں',
+  'جھنڈوں',
+  'جھولتا',
+  'جھولتی',
+  'جھولتے',
+  'جھولنا',
+  'جھولنی',
+  'جھولنے',
+  'جھولوں',
+  'جھولیں',
+  'جھونکا',
+  'جھونکو',
+  'جھونکی',
+  'جھونکے',
+  'جھوٹوں',
+  'جھپٹتا',
+  'جھپٹتی',
+  'جھپٹتے',
+  'جھپٹنا',
+  'جھپٹنی',
+  'جھپٹنے',
+  'جھپٹوں',
+  'جھپٹیں',
+  'جھپکتا',
+  'جھپکتی',
+  'جھپکتے',
+  'جھپکنا',
+  'جھپکنی',
+  'جھپکنے',
+  'جھپکوں',
+  'جھپکیں',
+  'جھکاؤں',
+  'جھکائی',
+  'جھکائے',
+  'جھکاتا',
+  'جھکاتی',
+  'جھکاتے',
+  'جھکانا',
+  'جھکانی',
+  'جھکانے',
+  'جھکایا',
+  'جھگڑتا',
+  'جھگڑتی',
+  'جھگڑتے',
+  'جھگڑنا',
+  'جھگڑنی',
+  'جھگڑنے',
+  'جھگڑوں',
+  'جھگڑیں',
+  'جھیلوں',
+  'جھیلیں',
+  'جھینگا',
+  'جہازوں',
+  'جینیات',
+  'حادثوں',
+  'حدیثوں',
+  'حدیثیں',
+  'حسابوں',
+  'حفاظتی',
+  'حلوائی',
+  'حکمران',
+  'حکیموں',
+  'خاموشی',
+  'خاندان',
+  'خانقاہ',
+  'خبردار',
+  'خدمتوں',
+  'خدمتیں',
+  'خربوزہ',
+  'خربوزے',
+  'خریدار',
+  'خریدتا',
+  'خریدتی',
+  'خریدتے',
+  'خریدنا',
+  'خریدنی',
+  'خریدنے',
+  'خریدوں',
+  'خریدیں',
+  'خزانوں',
+  'خصلتوں',
+  'خصلتیں',
+  'خصوصیت',
+  'خطرناک',
+  'خلاصوں',
+  'خنجروں',
+  'خوابوں',
+  'خواتین',
+  'خوبانی',
+  'خوبیاں',
+  'خودکار',
+  'خوشیاں',
+  'خوشیوں',
+  'خوفناک',
+  'خیالات',
+  'خیالوں',
+  'خیراتی',
+  'داداؤں',
+  'دادیاں',
+  'دادیوں',
+  'داستان',
+  'دانتوں',
+  'دانشور',
+  'دبائیں',
+  'دبوچتا',
+  'دبوچتی',
+  'دبوچتے',
+  'دبوچنا',
+  'دبوچنی',
+  'دبوچنے',
+  'دبوچوں',
+  'دبوچیں',
+  'درانتی',
+  'درختوں',
+  'درزیوں',
+  'درستگی',
+  'درسگاہ',
+  'درمیان',
+  'دروازہ',
+  'دروازے',
+  'دریاؤں',
+  'دریائی',
+  'دریافت',
+  'دستیاب',
+  'دشمنوں',
+  'دشواری',
+  'دعائیں',
+  'دعائیہ',
+  'دعوتوں',
+  'دعوتیں',
+  'دعویوں',
+  'دفتروں',
+  'دفناؤں',
+  'دفنائی',
+  'دفنائے',
+  'دفناتا',
+  'دفناتی',
+  'دفناتے',
+  'دفنانا',
+  'دفنانی',
+  'دفنانے',
+  'دفنایا',
+  'دلائیں',
+  'دلچسپی',
+  'دلہنوں',
+  'دلہنیں',
+  'دماغوں',
+  'دوائیں',
+  'دواتوں',
+  'دواتیں',
+  'دوبارہ',
+  'دوربین',
+  'دوستوں',
+  'دوسروں',
+  'دولتوں',
+  'دولتیں',
+  'دولہوں',
+  'دوپٹوں',
+  'دوڑاؤں',
+  'دوڑائی',
+  'دوڑائے',
+  'دوڑاتا',
+  'دوڑاتی',
+  'دوڑاتے',
+  'دوڑانا',
+  'دوڑانی',
+  'دوڑانے',
+  'دوڑایا',
+  'دکانوں',
+  'دکانیں',
+  'دکھاؤں',
+  'دکھائی',
+  'دکھائے',
+  'دکھاتا',
+  'دکھاتی',
+  'دکھاتے',
+  'دکھانا',
+  'دکھانی',
+  'دکھانے',
+  'دکھاوا',
+  'دکھایا',
+  'دھاتیں',
+  'دھلائی',
+  'دھلواؤ',
+  'دھماکہ',
+  'دھماکے',
+  'دھمکاؤ',
+  'دھندلا',
+  'دھندلی',
+  'دھندلے',
+  'دھندوں',
+  'دھوئیں',
+  'دھڑکتا',
+  'دھڑکتی',
+  'دھڑکتے',
+  'دھڑکنا',
+  'دھڑکنی',
+  'دھڑکنے',
+  'دھڑکوں',
+  'دھڑکیں',
+  'دھکیلا',
+  'دھکیلو',
+  'دھکیلی',
+  'دھکیلے',
+  'دہراؤں',
+  'دہرائی',
+  'دہرائے',
+  'دہراتا',
+  'دہراتی',
+  'دہراتے',
+  'دہرانا',
+  'دہرانی',
+  'دہرانے',
+  'دہرایا',
+  'دیباچہ',
+  'دیواری',
+  'دیوالی',
+  'دیودار',
+  'دیپکوں',
+  'دیکھتا',
+  'دیکھتی',
+  'دیکھتے',
+  'دیکھنا',
+  'دیکھنی',
+  'دیکھنے',
+  'دیکھوں',
+  'دیکھیں',
+  'دیکھیے',
+  'دیہاتی',
+  'ذوالحج',
+  'رابطوں',
+  'راجاؤں',
+  'راستوں',
+  'رانیوں',
+  'رجسٹرڈ',
+  'رسالوں',
+  'رسیلوں',
+  'رلائیں',
+  'رنگیلا',
+  'رنگیلی',
+  'رنگیلے',
+  'روانگی',
+  'روایات',
+  'روایتی',
+  'روزانہ',
+  'روزمرہ',
+  'رومانی',
+  'روٹھتا',
+  'روٹھتی',
+  'روٹھتے',
+  'روٹھنا',
+  'روٹھنی',
+  'روٹھنے',
+  'روٹھوں',
+  'روٹھیں',
+  'روٹیاں',
+  'روٹیوں',
+  'روپہلا',
+  'روپہلی',
+  'روپہلے',
+  'رکھواؤ',
+  'رہائشی',
+  'ریئلٹی',
+  'ریتیلا',
+  'ریتیلی',
+  'ریتیلے',
+  'رینگنے',
+  'ریکارڈ',
+  'ریگولر',
+  'زبانوں',
+  'زبانیں',
+  'زبردست',
+  'زعفران',
+  'زلزلوں',
+  'زمانوں',
+  'زمینوں',
+  'زمینیں',
+  'زہریلا',
+  'زہریلی',
+  'زہریلے',
+  'زیورات',
+  'زیوروں',
+  'سائنسی',
+  'سائٹوں',
+  'سائٹیں',
+  'سائیکل',
+  'ساتواں',
+  'ساحلوں',
+  'سالانہ',
+  'سالگرہ',
+  'سانسوں',
+  'سانسیں',
+  'سانولا',
+  'سانولی',
+  'سانولے',
+  'سانپوں',
+  'سبزیاں',
+  'سبزیوں',
+  'ستائیس',
+  'ستائیں',
+  'ستاروں',
+  'سجائیں',
+  'سجیلوں',
+  'سدھارا',
+  'سدھارو',
+  'سدھاری',
+  'سدھارے',
+  'سدھرتا',
+  'سدھرتی',
+  'سدھرتے',
+  'سدھرنا',
+  'سدھرنی',
+  'سدھرنے',
+  'سدھروں',
+  'سدھریں',
+  'سرحدوں',
+  'سرحدیں',
+  'سردیاں',
+  'سردیوں',
+  'سرمائی',
+  'سرمایہ',
+  'سرپرست',
+  'سرکاؤں',
+  'سرکائی',
+  'سرکائے',
+  'سرکاتا',
+  'سرکاتی',
+  'سرکاتے',
+  'سرکاری',
+  'سرکانا',
+  'سرکانی',
+  'سرکانے',
+  'سرکایا',
+  'سرگرمی',
+  'سرگزشت',
+  'سرہانا',
+  'سرہانے',
+  'سزائیں',
+  'سلائیڈ',
+  'سلائیں',
+  'سلامتی',
+  'سلجھاؤ',
+  'سلجھتا',
+  'سلجھتی',
+  'سلجھتے',
+  'سلجھنا',
+  'سلجھنی',
+  'سلجھنے',
+  'سلجھوں',
+  'سلجھیں',
+  'سلواؤں',
+  'سلوائی',
+  'سلوائے',
+  'سلواتا',
+  'سلواتی',
+  'سلواتے',
+  'سلوانا',
+  'سلوانی',
+  'سلوانے',
+  'سلوایا',
+  'سلیقوں',
+  'سمائیں',
+  'سمجھاؤ',
+  'سمجھتا',
+  'سمجھتی',
+  'سمجھتے',
+  'سمجھنا',
+  'سمجھنی',
+  'سمجھنے',
+  'سمجھوں',
+  'سمجھیں',
+  'سمندری',
+  'سموسوں',
+  'سمیٹتا',
+  'سمیٹتی',
+  'سمیٹتے',
+  'سمیٹنا',
+  'سمیٹنی',
+  'سمیٹنے',
+  'سمیٹوں',
+  'سمیٹیں',
+  'سنائیں',
+  'سنائیے',
+  'سناروں',
+  'سنبھال',
+  'سنبھلا',
+  'سنبھلو',
+  'سنبھلی',
+  'سنبھلے',
+  'سندیسہ',
+  'سنوارا',
+  'سنوارو',
+  'سنواری',
+  'سنوارے',
+  'سنورتا',
+  'سنورتی',
+  'سنورتے',
+  'سنورنا',
+  'سنورنی',
+  'سنورنے',
+  'سنوروں',
+  'سنوریں',
+  'سنگترہ',
+  'سنہروں',
+  'سوئمنگ',
+  'سوئیاں',
+  'سوئیوں',
+  'سوالات',
+  'سوالوں',
+  'سوالیہ',
+  'سوداگر',
+  'سورتوں',
+  'سورتیں',
+  'سوکھتا',
+  'سوکھتی',
+  'سوکھتے',
+  'سوکھنا',
+  'سوکھنی',
+  'سوکھنے',
+  'سوکھوں',
+  'سوکھیں',
+  'سویروں',
+  'سپیروں',
+  'سکھاؤں',
+  'سکھائی',
+  'سکھائے',
+  'سکھاتا',
+  'سکھاتی',
+  'سکھاتے',
+  'سکھانا',
+  'سکھانی',
+  'سکھانے',
+  'سکھایا',
+  'سکیڑنے',
+  'سہانوں',
+  'سہلاؤں',
+  'سہلائی',
+  'سہلائے',
+  'سہلاتا',
+  'سہلاتی',
+  'سہلاتے',
+  'سہلانا',
+  'سہلانی',
+  'سہلانے',
+  'سہلایا',
+  'سیاحتی',
+  'سیارچہ',
+  'سیدھوں',
+  'سیرابی',
+  'سینچتا',
+  'سینچتی',
+  'سینچتے',
+  'سینچنا',
+  'سینچنی',
+  'سینچنے',
+  'سینچوں',
+  'سینچیں',
+  'سینڈوچ',
+  'سینکتا',
+  'سینکتی',
+  'سینکتے',
+  'سینکنا',
+  'سینکنی',
+  'سینکنے',
+  'سینکوں',
+  'سینکیں',
+  'سیپیاں',
+  'سیکھتا',
+  'سیکھتی',
+  'سیکھتے',
+  'سیکھنا',
+  'سیکھنی',
+  'سیکھنے',
+  'سیکھوں',
+  'سیکھیں',
+  'شادیاں',
+  'شادیوں',
+  'شاعروں',
+  'شاندار',
+  'شترمرغ',
+  'شخصیات',
+  'شرارتی',
+  'شربتوں',
+  'شرماؤں',
+  'شرمائی',
+  'شرمائے',
+  'شرماتا',
+  'شرماتی',
+  'شرماتے',
+  'شرمانا',
+  'شرمانی',
+  'شرمانے',
+  'شرمایا',
+  'شرمندہ',
+  'شرمیلا',
+  'شرمیلی',
+  'شرمیلے',
+  'شروعات',
+  'شفافیت',
+  'شماروں',
+  'شمولیت',
+  'شناختی',
+  'شوہروں',
+  'شہریوں',
+  'شہزادہ',
+  'شہزادی',
+  'شہزادے',
+  'شیرمال',
+  'صابنوں',
+  'صارفین',
+  'صحتمند',
+  'صحراؤں',
+  'صلاحوں',
+  'صلاحیت',
+  'صلاحیں',
+  'صورتوں',
+  'صورتیں',
+  'طاقتور',
+  'طاقتوں',
+  'طاقتیں',
+  'طبیبوں',
+  'طریقوں',
+  'طغیانی',
+  'طفولیت',
+  'عادتوں',
+  'عادتیں',
+  'عاشقوں',
+  'عالموں',
+  'عذابوں',
+  'عقابوں',
+  'عقیدوں',
+  'علاجوں',
+  'علاقوں',
+  'علامتی',
+  'علیحدہ',
+  'عماموں',
+  'عورتوں',
+  'عورتیں',
+  'غذائیں',
+  'غریبوں',
+  'غلافوں',
+  'غلاموں',
+  'غلطیاں',
+  'فائلوں',
+  'فائلیں',
+  'فارمیٹ',
+  'فارورڈ',
+  'فالودہ',
+  'فراہمی',
+  'فرسودہ',
+  'فرشتوں',
+  'فرنیچر',
+  'فریقین',
+  'فسادوں',
+  'فصیلوں',
+  'فضائیں',
+  'فطرتوں',
+  'فطرتیں',
+  'فعالیت',
+  'فقیروں',
+  'فوجیوں',
+  'فکرمند',
+  'فیروزی',
+  'فیصلوں',
+  'قابلیت',
+  'قاتلوں',
+  'قارئین',
+  'قاعدوں',
+  'قافلوں',
+  'قانونی',
+  'قبیلوں',
+  'قربانی',
+  'قسمتوں',
+  'قسمتیں',
+  'قصیدوں',
+  'قلمدان',
+  'قورموں',
+  'قیدیوں',
+  'قیمتوں',
+  'قیمتیں',
+  'لائسنس',
+  'لائنوں',
+  'لائٹنگ',
+  'لاکھوں',
+  'لحافوں',
+  'لشکروں',
+  'لفافوں',
+  'لمبائی',
+  'لنگڑوں',
+  'لوکیاں',
+  'لوکیوں',
+  'لٹائیں',
+  'لٹکاؤں',
+  'لٹکائی',
+  'لٹکائے',
+  'لٹکاتا',
+  'لٹکاتی',
+  'لٹکاتے',
+  'لٹکانا',
+  'لٹکانی',
+  'لٹکانے',
+  'لٹکایا',
+  'لپیٹتا',
+  'لپیٹتی',
+  'لپیٹتے',
+  'لپیٹنا',
+  'لپیٹنی',
+  'لپیٹنے',
+  'لپیٹوں',
+  'لپیٹیں',
+  'لچکدار',
+  'لڑکیاں',
+  'لڑکیوں',
+  'لکھائی',
+  'لکھواؤ',
+  'لگائیں',
+  'لہراؤں',
+  'لہرائی',
+  'لہرائے',
+  'لہراتا',
+  'لہراتی',
+  'لہراتے',
+  'لہرانا',
+  'لہرانی',
+  'لہرانے',
+  'لہرایا',
+  'لہنگوں',
+  'لیڈروں',
+  'مائکرو',
+  'ماتھوں',
+  'مالکوں',
+  'مالیوں',
+  'مانگتا',
+  'مانگتی',
+  'مانگتے',
+  'مانگنا',
+  'مانگنی',
+  'مانگنے',
+  'مانگوں',
+  'مانگیں',
+  'مانیٹر',
+  'ماڈلنگ',
+  'ماہانہ',
+  'مایوسی',
+  'مبادلہ',
+  'متاثرہ',
+  'متبادل',
+  'متصادم',
+  'متعلقہ',
+  'متعینہ',
+  'متنازع',
+  'متوازن',
+  'مجرموں',
+  'مجلسوں',
+  'مجلسیں',
+  'مجموعہ',
+  'مجموعی',
+  'مجموعے',
+  'محاصرہ',
+  'محاصرے',
+  'محاورہ',
+  'محبتوں',
+  'محبتیں',
+  'محفلوں',
+  'محفلیں',
+  'محنتوں',
+  'محنتیں',
+  'محکموں',
+  'مداخلت',
+  'مددگار',
+  'مدرسوں',
+  'مذہبوں',
+  'مرضیاں',
+  'مرضیوں',
+  'مرغابی',
+  'مرغزار',
+  'مرغیاں',
+  'مرغیوں',
+  'مرکزوں',
+  'مرہموں',
+  'مریدوں',
+  'مریضوں',
+  'مزاحیہ',
+  'مزاروں',
+  'مزدوری',
+  'مزیدار',
+  'مسئلوں',
+  'مسابقت',
+  'مسالوں',
+  'مستحکم',
+  'مستطیل',
+  'مستقبل',
+  'مسجدوں',
+  'مسجدیں',
+  'مسلمان',
+  'مسلکوں',
+  'مسکراؤ',
+  'مشاعرہ',
+  'مشاورت',
+  'مشترکہ',
+  'مشقتوں',
+  'مشقتیں',
+  'مشوروں',
+  'مشینیں',
+  'مصالحہ',
+  'مصالحے',
+  'مصرعوں',
+  'مصنفوں',
+  'مصنوعی',
+  'مضافات',
+  'مضامین',
+  'مطابقت',
+  'مطالبہ',
+  'مطالعہ',
+  'مطالعے',
+  'مطلوبہ',
+  'مظاہرہ',
+  'معائنہ',
+  'معائنے',
+  'معاشرہ',
+  'معاملہ',
+  'معاملے',
+  'معاوضہ',
+  'معاوضے',
+  'معاونت',
+  'معاہدہ',
+  'معمولی',
+  'معیاری',
+  'مقابلہ',
+  'مقابلے',
+  'مقالوں',
+  'مقامات',
+  'مقاموں',
+  'مقدموں',
+  'ملائیں',
+  'ملاحظہ',
+  'ملاحظے',
+  'ملاحوں',
+  'ملازمت',
+  'ملاقات',
+  'ملیریا',
+  'مماثلت',
+  'ممالیہ',
+  'ممنوعہ',
+  'منائیں',
+  'منتقلی',
+  'منجانب',
+  'مندرجہ',
+  'مندروں',
+  'منزلوں',
+  'منزلیں',
+  'منسلکہ',
+  'منسوخی',
+  'منشیوں',
+  'منصوبہ',
+  'منصوبے',
+  'منظوری',
+  'منڈیاں',
+  'منڈیوں',
+  'منگواؤ',
+  'موازنہ',
+  'موازنے',
+  'مواصلت',
+  'موبائل',
+  'موتیوں',
+  'موجودہ',
+  'مورتوں',
+  'مورتیں',
+  'مورچوں',
+  'موسموں',
+  'موسیقی',
+  'مولیاں',
+  'مولیوں',
+  'موٹروں',
+  'موٹریں',
+  'مٹائیں',
+  'مٹھائی',
+  'مٹیالا',
+  'مٹیریل',
+  'مچھیرا',
+  'مچھیرے',
+  'مکالمہ',
+  'مکالمے',
+  'مکانوں',
+  'مکھیاں',
+  'مکھیوں',
+  'مگرمچھ',
+  'مہربان',
+  'مہمانی',
+  'مہنگوں',
+  'مہینوں',
+  'میزبان',
+  'میموری',
+  'میناؤں',
+  'مینیجر',
+  'میٹھوں',
+  'نائیوں',
+  'ناتواں',
+  'ناخنوں',
+  'ناراضی',
+  'نارنجی',
+  'ناشتوں',
+  'ناقابل',
+  'ناممکن',
+  'نامکمل',
+  'ناناؤں',
+  'نانیاں',
+  'نانیوں',
+  'ناپسند',
+  'ناکافی',
+  'ناکامی',
+  'نبھاؤں',
+  'نبھائی',
+  'نبھائے',
+  'نبھاتا',
+  'نبھاتی',
+  'نبھاتے',
+  'نبھانا',
+  'نبھانی',
+  'نبھانے',
+  'نبھایا',
+  'نتیجوں',
+  'نرالوں',
+  'نسوانی',
+  'نشانات',
+  'نشانوں',
+  'نشیلوں',
+  'نفرتوں',
+  'نفرتیں',
+  'نمازوں',
+  'نمازیں',
+  'نمایاں',
+  'نمبروں',
+  'نمٹانے',
+  'نوابوں',
+  'نواسوں',
+  'نوجوان',
+  'نوکروں',
+  'نوکیلا',
+  'نوکیلی',
+  'نوکیلے',
+  'نچوڑتا',
+  'نچوڑتی',
+  'نچوڑتے',
+  'نچوڑنا',
+  'نچوڑنی',
+  'نچوڑنے',
+  'نچوڑوں',
+  'نچوڑیں',
+  'نکالتا',
+  'نکالتی',
+  'نکالتے',
+  'نکالنا',
+  'نکالنی',
+  'نکالنے',
+  'نکالوں',
+  'نکالیں',
+  'نکھرتا',
+  'نکھرتی',
+  'نکھرتے',
+  'نکھرنا',
+  'نکھرنی',
+  'نکھرنے',
+  'نکھروں',
+  'نکھریں',
+  'نگاہوں',
+  'نگاہیں',
+  'نگرانی',
+  'نہلاؤں',
+  'نہلائی',
+  'نہلائے',
+  'نہلاتا',
+  'نہلاتی',
+  'نہلاتے',
+  'نہلانا',
+  'نہلانی',
+  'نہلانے',
+  'نہلایا',
+  'نیبولا',
+  'نیلگوں',
+  'نیکیاں',
+  'نیکیوں',
+  'وائلیٹ',
+  'وابستہ',
+  'وارننگ',
+  'واقعوں',
+  'والدین',
+  'والیوم',
+  'وجوہات',
+  'وزیروں',
+  'وظیفوں',
+  'وفادار',
+  'وکیلوں',
+  'ویژوئل',
+  'ٹائپنگ',
+  'ٹانکتا',
+  'ٹانکتی',
+  'ٹانکتے',
+  'ٹانکنا',
+  'ٹانکنی',
+  'ٹانکنے',
+  'ٹانکوں',
+  'ٹانکیں',
+  'ٹانگوں',
+  'ٹانگیں',
+  'ٹریننگ',
+  'ٹریکنگ',
+  'ٹٹولتا',
+  'ٹٹولتی',
+  'ٹٹولتے',
+  'ٹٹولنا',
+  'ٹٹولنی',
+  'ٹٹولنے',
+  'ٹٹولوں',
+  'ٹٹولیں',
+  'ٹپکاؤں',
+  'ٹپکائی',
+  'ٹپکائے',
+  'ٹپکاتا',
+  'ٹپکاتی',
+  'ٹپکاتے',
+  'ٹپکانا',
+  'ٹپکانی',
+  'ٹپکانے',
+  'ٹپکایا',
+  'ٹکراؤں',
+  'ٹکرائی',
+  'ٹکرائے',
+  'ٹکراتا',
+  'ٹکراتی',
+  'ٹکراتے',
+  'ٹکرانا',
+  'ٹکرانی',
+  'ٹکرانے',
+  'ٹکرایا',
+  'ٹھانتا',
+  'ٹھانتی',
+  'ٹھانتے',
+  'ٹھاننا',
+  'ٹھاننی',
+  'ٹھاننے',
+  'ٹھانوں',
+  'ٹھانیں',
+  'ٹھنڈوں',
+  'ٹھونسا',
+  'ٹھونسو',
+  'ٹھونسی',
+  'ٹھونسے',
+  'ٹھونکی',
+  'ٹھٹکتا',
+  'ٹھٹکتی',
+  'ٹھٹکتے',
+  'ٹھٹکنا',
+  'ٹھٹکنی',
+  'ٹھٹکنے',
+  'ٹھٹکوں',
+  'ٹھٹکیں',
+  'ٹھٹھرا',
+  'ٹھٹھرو',
+  'ٹھٹھری',
+  'ٹھٹھرے',
+  'ٹھکانا',
+  'ٹھہرتا',
+  'ٹھہرتی',
+  'ٹھہرتے',
+  'ٹھہرنا',
+  'ٹھہرنی',
+  'ٹھہرنے',
+  'ٹھہروں',
+  'ٹھہریں',
+  'ٹہنیاں',
+  'ٹہنیوں',
+  'ٹیبلیٹ',
+  'ٹیسٹنگ',
+  'ٹیڑھوں',
+  'پابندی',
+  'پاجامہ',
+  'پاجامے',
+  'پالیسی',
+  'پانیوں',
+  'پاکیزہ',
+  'پتنگوں',
+  'پتھروں',
+  'پتیلوں',
+  'پرانوں',
+  'پراٹھا',
+  'پراٹھے',
+  'پردیسی',
+  'پرفریب',
+  'پرنسپل',
+  'پرنٹنگ',
+  'پروئیں',
+  'پروسیس',
+  'پروڈکٹ',
+  'پرچموں',
+  'پرکھتا',
+  'پرکھتی',
+  'پرکھتے',
+  'پرکھنا',
+  'پرکھنی',
+  'پرکھنے',
+  'پرکھوں',
+  'پرکھیں',
+  'پریشان',
+  'پریکٹس',
+  'پسیجتا',
+  'پسیجتی',
+  'پسیجتے',
+  'پسیجنا',
+  'پسیجنی',
+  'پسیجنے',
+  'پسیجوں',
+  'پسیجیں',
+  'پلائیں',
+  'پلاننگ',
+  'پلنگوں',
+  'پلیٹوں',
+  'پلیٹیں',
+  'پناہوں',
+  'پناہیں',
+  'پنجابی',
+  'پنکھوں',
+  'پنکھڑی',
+  'پوائنٹ',
+  'پودینہ',
+  'پوزیشن',
+  'پوشیدہ',
+  'پوچھتا',
+  'پوچھتی',
+  'پوچھتے',
+  'پوچھنا',
+  'پوچھنی',
+  'پوچھنے',
+  'پوچھوں',
+  'پوچھیں',
+  'پچھتاؤ',
+  'پڑھائی',
+  'پڑھانے',
+  'پڑھایا',
+  'پڑھواؤ',
+  'پکارتا',
+  'پکارتی',
+  'پکارتے',
+  'پکارنا',
+  'پکارنی',
+  'پکارنے',
+  'پکاروں',
+  'پکاریں',
+  'پکوڑوں',
+  'پکڑانا',
+  'پگھلاؤ',
+  'پگھلتا',
+  'پگھلتی',
+  'پگھلتے',
+  'پگھلنا',
+  'پگھلنی',
+  'پگھلنے',
+  'پگھلوں',
+  'پگھلیں',
+  'پھانسی',
+  'پھانکا',
+  'پھانکو',
+  'پھانکی',
+  'پھانکے',
+  'پھاڑتا',
+  'پھاڑتی',
+  'پھاڑتے',
+  'پھاڑنا',
+  'پھاڑنی',
+  'پھاڑنے',
+  'پھاڑوں',
+  'پھاڑیں',
+  'پھسلتا',
+  'پھسلتی',
+  'پھسلتے',
+  'پھسلنا',
+  'پھسلنی',
+  'پھسلنے',
+  'پھسلوں',
+  'پھسلیں',
+  'پھلیوں',
+  'پھولتا',
+  'پھولتی',
+  'پھولتے',
+  'پھولنا',
+  'پھولنی',
+  'پھولنے',
+  'پھولوں',
+  'پھولیں',
+  'پھونکا',
+  'پھونکو',
+  'پھونکی',
+  'پھونکے',
+  'پھوٹتا',
+  'پھوٹتی',
+  'پھوٹتے',
+  'پھوٹنا',
+  'پھوٹنی',
+  'پھوٹنے',
+  'پھوٹوں',
+  'پھوٹیں',
+  'پھوپھا',
+  'پھوپھی',
+  'پھڑکتا',
+  'پھڑکتی',
+  'پھڑکتے',
+  'پھڑکنا',
+  'پھڑکنی',
+  'پھڑکنے',
+  'پھڑکوں',
+  'پھڑکیں',
+  'پھیلاؤ',
+  'پھیلتا',
+  'پھیلتی',
+  'پھیلتے',
+  'پھیلنا',
+  'پھیلنی',
+  'پھیلنے',
+  'پھیلوں',
+  'پھیلیں',
+  'پھینکا',
+  'پھینکو',
+  'پھینکی',
+  'پھینکے',
+  'پھیکوں',
+  'پہاڑوں',
+  'پہلوان',
+  'پہناؤں',
+  'پہنائی',
+  'پہنائے',
+  'پہناتا',
+  'پہناتی',
+  'پہناتے',
+  'پہنانا',
+  'پہنانی',
+  'پہنانے',
+  'پہنایا',
+  'پہنچتا',
+  'پہنچتی',
+  'پہنچتے',
+  'پہنچنا',
+  'پہنچنی',
+  'پہنچنے',
+  'پہنچوں',
+  'پہنچیں',
+  'پہچانا',
+  'پہچانو',
+  'پہچانی',
+  'پہچانے',
+  'پیاروں',
+  'پیازوں',
+  'پیازیں',
+  'پیاسوں',
+  'پیالوں',
+  'پیدائش',
+  'پیشانی',
+  'پیشرفت',
+  'پیغمبر',
+  'پیمائش',
+  'پیمانہ',
+  'پیمانے',
+  'پینٹنگ',
+  'چابیاں',
+  'چابیوں',
+  'چادروں',
+  'چادریں',
+  'چاندنی',
+  'چاندوں',
+  'چاولوں',
+  'چاہئیں',
+  'چبائیں',
+  'چبوترا',
+  'چبوترے',
+  'چراغوں',
+  'چرواہا',
+  'چرواہے',
+  'چلائیں',
+  'چمکاؤں',
+  'چمکائی',
+  'چمکائے',
+  'چمکاتا',
+  'چمکاتی',
+  'چمکاتے',
+  'چمکانا',
+  'چمکانی',
+  'چمکانے',
+  'چمکایا',
+  'چمکدار',
+  'چمکیلا',
+  'چمکیلی',
+  'چمکیلے',
+  'چمگادڑ',
+  'چنانچہ',
+  'چولہوں',
+  'چونسٹھ',
+  'چونکتا',
+  'چونکتی',
+  'چونکتے',
+  'چونکنا',
+  'چونکنی',
+  'چونکنے',
+  'چونکوں',
+  'چونکیں',
+  'چوٹیاں',
+  'چوٹیوں',
+  'چوڑائی',
+  'چٹنیاں',
+  'چٹنیوں',
+  'چپراسی',
+  'چپکاؤں',
+  'چپکائی',
+  'چپکائے',
+  'چپکاتا',
+  'چپکاتی',
+  'چپکاتے',
+  'چپکانا',
+  'چپکانی',
+  'چپکانے',
+  'چپکایا',
+  'چڑھائی',
+  'چڑیاؤں',
+  'چڑیلوں',
+  'چڑیلیں',
+  'چکنائی',
+  'چکوترا',
+  'چکوترہ',
+  'چھالیا',
+  'چھانتا',
+  'چھانتی',
+  'چھانتے',
+  'چھاننا',
+  'چھاننی',
+  'چھاننے',
+  'چھانوں',
+  'چھانٹا',
+  'چھانٹو',
+  'چھانٹی',
+  'چھانٹے',
+  'چھانیں',
+  'چھاپتا',
+  'چھاپتی',
+  'چھاپتے',
+  'چھاپنا',
+  'چھاپنی',
+  'چھاپنے',
+  'چھاپوں',
+  'چھاپیں',
+  'چھریاں',
+  'چھریوں',
+  'چھلانگ',
+  'چھوئیں',
+  'چھوٹوں',
+  'چھوڑتا',
+  'چھوڑتی',
+  'چھوڑتے',
+  'چھوڑنا',
+  'چھوڑنی',
+  'چھوڑنے',
+  'چھوڑوں',
+  'چھوڑیں',
+  'چھٹیاں',
+  'چھٹیوں',
+  'چھپاؤں',
+  'چھپائی',
+  'چھپائے',
+  'چھپاتا',
+  'چھپاتی',
+  'چھپاتے',
+  'چھپانا',
+  'چھپانی',
+  'چھپانے',
+  'چھپایا',
+  'چھپواؤ',
+  'چھپکلی',
+  'چھڑکتا',
+  'چھڑکتی',
+  'چھڑکتے',
+  'چھڑکنا',
+  'چھڑکنی',
+  'چھڑکنے',
+  'چھڑکوں',
+  'چھڑکیں',
+  'چھینتا',
+  'چھینتی',
+  'چھینتے',
+  'چھیننا',
+  'چھیننی',
+  'چھیننے',
+  'چھینوں',
+  'چھینکا',
+  'چھینکو',
+  'چھینکی',
+  'چھینکے',
+  'چھینیں',
+  'چھیڑتا',
+  'چھیڑتی',
+  'چھیڑتے',
+  'چھیڑنا',
+  'چھیڑنی',
+  'چھیڑنے',
+  'چھیڑوں',
+  'چھیڑیں',
+  'چیونٹی',
+  'ڈانٹتا',
+  'ڈانٹتی',
+  'ڈانٹتے',
+  'ڈانٹنا',
+  'ڈانٹنی',
+  'ڈانٹنے',
+  'ڈانٹوں',
+  'ڈانٹیں',
+  'ڈبوئیں',
+  'ڈرائیں',
+  'ڈراموں',
+  'ڈوریاں',
+  'ڈوریوں',
+  'ڈکشنری',
+  'ڈھالوں',
+  'ڈھانپا',
+  'ڈھانپو',
+  'ڈھانپی',
+  'ڈھانپے',
+  'ڈھانچا',
+  'ڈھیروں',
+  'ڈیجیٹل',
+  'ڈیزائن',
+  'ڈیوائس',
+  'ڈیولپر',
+  'کائنات',
+  'کارواں',
+  'کارٹون',
+  'کاغذوں',
+  'کالجوں',
+  'کالعدم',
+  'کامیاب',
+  'کامیڈی',
+  'کانپتا',
+  'کانپتی',
+  'کانپتے',
+  'کانپنا',
+  'کانپنی',
+  'کانپنے',
+  'کانپوں',
+  'کانپیں',
+  'کاپیاں',
+  'کاپیوں',
+  'کاڑھتا',
+  'کاڑھتی',
+  'کاڑھتے',
+  'کاڑھنا',
+  'کاڑھنی',
+  'کاڑھنے',
+  'کاڑھوں',
+  'کاڑھیں',
+  'کبابوں',
+  'کتابوں',
+  'کتابیں',
+  'کتراؤں',
+  'کترائی',
+  'کترائے',
+  'کتراتا',
+  'کتراتی',
+  'کتراتے',
+  'کترانا',
+  'کترانی',
+  'کترانے',
+  'کترایا',
+  'کرائیں',
+  'کرایوں',
+  'کرسیاں',
+  'کرسیوں',
+  'کرواؤں',
+  'کروائی',
+  'کروائے',
+  'کرواتا',
+  'کرواتی',
+  'کرواتے',
+  'کروانا',
+  'کروانی',
+  'کروانے',
+  'کروایا',
+  'کسانوں',
+  'کشتیاں',
+  'کشتیوں',
+  'کلاسوں',
+  'کلاسیں',
+  'کلرکوں',
+  'کلونجی',
+  'کلہاڑی',
+  'کلیجوں',
+  'کلیدوں',
+  'کلیدیں',
+  'کمائیں',
+  'کمانوں',
+  'کمبلوں',
+  'کمربند',
+  'کمزوری',
+  'کمپریس',
+  'کمپیکٹ',
+  'کناروں',
+  'کندھوں',
+  'کنٹرول',
+  'کنٹینر',
+  'کنگنوں',
+  'کنگھوں',
+  'کوئلوں',
+  'کوالٹی',
+  'کوششوں',
+  'کوششیں',
+  'کوٹھری',
+  'کٹواؤں',
+  'کٹوائی',
+  'کٹوائے',
+  'کٹواتا',
+  'کٹواتی',
+  'کٹواتے',
+  'کٹوانا',
+  'کٹوانی',
+  'کٹوانے',
+  'کٹوایا',
+  'کڑھائی',
+  'ککڑیاں',
+  'ککڑیوں',
+  'کھائیں',
+  'کھالوں',
+  'کھالیں',
+  'کھانسا',
+  'کھانسو',
+  'کھانسی',
+  'کھانسے',
+  'کھانوں',
+  'کھردرا',
+  'کھردری',
+  'کھردرے',
+  'کھرچتا',
+  'کھرچتی',
+  'کھرچتے',
+  'کھرچنا',
+  'کھرچنی',
+  'کھرچنے',
+  'کھرچوں',
+  'کھرچیں',
+  'کھسکاؤ',
+  'کھسکتا',
+  'کھسکتی',
+  'کھسکتے',
+  'کھسکنا',
+  'کھسکنی',
+  'کھسکنے',
+  'کھسکوں',
+  'کھسکیں',
+  'کھسیاؤ',
+  'کھلاؤں',
+  'کھلائی',
+  'کھلائے',
+  'کھلاتا',
+  'کھلاتی',
+  'کھلاتے',
+  'کھلانا',
+  'کھلانی',
+  'کھلانے',
+  'کھلاڑی',
+  'کھلایا',
+  'کھلواؤ',
+  'کھلونا',
+  'کھلونے',
+  'کھنچاؤ',
+  'کھنکتا',
+  'کھنکتی',
+  'کھنکتے',
+  'کھنکنا',
+  'کھنکنی',
+  'کھنکنے',
+  'کھنکوں',
+  'کھنکیں',
+  'کھوئیں',
+  'کھودتا',
+  'کھودتی',
+  'کھودتے',
+  'کھودنا',
+  'کھودنی',
+  'کھودنے',
+  'کھودوں',
+  'کھودیں',
+  'کھولتا',
+  'کھولتی',
+  'کھولتے',
+  'کھولنا',
+  'کھولنی',
+  'کھولنے',
+  'کھولوں',
+  'کھولیں',
+  'کھٹکتا',
+  'کھٹکتی',
+  'کھٹکتے',
+  'کھٹکنا',
+  'کھٹکنی',
+  'کھٹکنے',
+  'کھٹکوں',
+  'کھٹکیں',
+  'کھیتوں',
+  'کھیروں',
+  'کھیلتا',
+  'کھیلتی',
+  'کھیلتے',
+  'کھیلنا',
+  'کھیلنی',
+  'کھیلنے',
+  'کھیلوں',
+  'کھیلیں',
+  'کھینچا',
+  'کھینچو',
+  'کھینچی',
+  'کھینچے',
+  'کہلاؤں',
+  'کہلائی',
+  'کہلائے',
+  'کہلاتا',
+  'کہلاتی',
+  'کہلاتے',
+  'کہلانا',
+  'کہلانی',
+  'کہلانے',
+  'کہلایا',
+  'کہکشاں',
+  'کیریئر',
+  'کیلنڈر',
+  'کیمروں',
+  'کیمپنگ',
+  'کیونکہ',
+  'گاجروں',
+  'گاجریں',
+  'گاڑیاں',
+  'گاڑیوں',
+  'گاہکوں',
+  'گرائیں',
+  'گرافکس',
+  'گردنوں',
+  'گردنیں',
+  'گرفتار',
+  'گرمیاں',
+  'گرمیوں',
+  'گروسری',
+  'گزارتے',
+  'گلاسوں',
+  'گلدستہ',
+  'گلوکار',
+  'گناہوں',
+  'گنتیوں',
+  'گنگناؤ',
+  'گواہوں',
+  'گولیاں',
+  'گولیوں',
+  'گونگوں',
+  'گھاگرا',
+  'گھبراؤ',
+  'گھرانا',
+  'گھرانے',
+  'گھریلو',
+  'گھساؤں',
+  'گھسائی',
+  'گھسائے',
+  'گھساتا',
+  'گھساتی',
+  'گھساتے',
+  'گھسانا',
+  'گھسانی',
+  'گھسانے',
+  'گھسایا',
+  'گھماؤں',
+  'گھمائی',
+  'گھمائے',
+  'گھماتا',
+  'گھماتی',
+  'گھماتے',
+  'گھمانا',
+  'گھمانی',
+  'گھمانے',
+  'گھمایا',
+  'گھنٹوں',
+  'گھورتا',
+  'گھورتی',
+  'گھورتے',
+  'گھورنا',
+  'گھورنی',
+  'گھورنے',
+  'گھوروں',
+  'گھوریں',
+  'گھولتا',
+  'گھولتی',
+  'گھولتے',
+  'گھولنا',
+  'گھولنی',
+  'گھولنے',
+  'گھولوں',
+  'گھولیں',
+  'گھومتا',
+  'گھومتی',
+  'گھومتے',
+  'گھومنا',
+  'گھومنی',
+  'گھومنے',
+  'گھوموں',
+  'گھومیں',
+  'گھٹاؤں',
+  'گھٹائی',
+  'گھٹائے',
+  'گھٹاتا',
+  'گھٹاتی',
+  'گھٹاتے',
+  'گھٹانا',
+  'گھٹانی',
+  'گھٹانے',
+  'گھٹایا',
+  'گھٹنوں',
+  'گھڑیال',
+  'گھڑیاں',
+  'گھڑیوں',
+  'گہرائی',
+  'ہاتھوں',
+  'ہاریوں',
+  'ہانپتا',
+  'ہانپتی',
+  'ہانپتے',
+  'ہانپنا',
+  'ہانپنی',
+  'ہانپنے',
+  'ہانپوں',
+  'ہانپیں',
+  'ہانکتا',
+  'ہانکتی',
+  'ہانکتے',
+  'ہانکنا',
+  'ہانکنی',
+  'ہانکنے',
+  'ہانکوں',
+  'ہانکیں',
+  'ہتھوڑا',
+  'ہتھیار',
+  'ہتھیلی',
+  'ہجوموں',
+  'ہدایات',
+  'ہریالی',
+  'ہزاروں',
+  'ہسپتال',
+  'ہلائیں',
+  'ہمدردی',
+  'ہمسایہ',
+  'ہندسوں',
+  'ہنساؤں',
+  'ہنسائی',
+  'ہنسائے',
+  'ہنساتا',
+  'ہنساتی',
+  'ہنساتے',
+  'ہنسانا',
+  'ہنسانی',
+  'ہنسانے',
+  'ہنسایا',
+  'ہنسیاں',
+  'ہنسیوں',
+  'ہنگامہ',
+  'ہنگامے',
+  'ہوائیں',
+  'ہوشیار',
+  'ہونٹوں',
+  'ہوٹلوں',
+  'ہٹائیں',
+  'ہٹیلوں',
+  'ہکلاؤں',
+  'ہکلائی',
+  'ہکلائے',
+  'ہکلاتا',
+  'ہکلاتی',
+  'ہکلاتے',
+  'ہکلانا',
+  'ہکلانی',
+  'ہکلانے',
+  'ہکلایا',
+  'ہیجانی',
+  'یادگار',
+];
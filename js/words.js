@@ -2,8 +2,8 @@
 // Urdle — Word List
 // ========================================
 // All valid 4-letter Urdu words for the game.
-// WORDS is the single source of truth for both
-// daily selection and guess validation.
+// WORDS is the accepted-guess dictionary; daily
+// answers are drawn from ANSWERS in answers.js.
 
 const WORDS = [
   'آئبس',
@@ -0,0 +1,30 @@
+// ========================================
+// Urdle — Browser Script Loader (Node)
+// ========================================
+// The game ships as plain <script> files with globals,
+// so Node tooling evaluates them in a shared VM context
+// instead of require()-ing them.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * Run the given repo-relative script files, in order, in one
+ * context. Returns a getter for their top-level bindings
+ * (const/let declarations are not properties of the context).
+ */
+function loadBrowserScripts(files) {
+    const context = vm.createContext({ console: console });
+    for (const file of files) {
+        const source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+        vm.runInContext(source, context, { filename: file });
+    }
+    return function get(name) {
+        return vm.runInContext(name, context);
+    };
+}
+
+module.exports = { ROOT, loadBrowserScripts };
@@ -0,0 +1,276 @@
+#!/usr/bin/env node
+// ========================================
+// Urdle — Word List Lint
+// ========================================
+// Checks the word and answer lists of every word-length
+// variant (js/variants.js) for entries that would be
+// unguessable or misbehave in game:
+//
+//   - characters not typeable on every layout in js/keyboard.js
+//     (and layouts or the phonetic keymap that miss letters)
+//   - wrong letter count after normalization + split
+//   - duplicates (including look-alike spellings)
+//   - leading/trailing/inner whitespace
+//   - entries not in normalized form (see js/normalize.js)
+//   - answers that are not sealed (js/seal.js) or are missing
+//     from their dictionary
+//   - answers without a category clue in js/clues.js that opens
+//     to one of CLUE_CATEGORIES, and clues for codes that are not
+//     answers
+//   - answers without a complete glossary entry in js/glossary.js,
+//     and entries for codes that are not answers
+//   - a js/common-words.js that no longer marks exactly the answers
+//
+//   node scripts/lint-words.js
+//
+// Exits 1 if any problem is found, so a bad list fails the deploy.
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT, loadBrowserScripts } = require('./browser-context');
+
+const get = loadBrowserScripts([
+    'js/settings.js', 'js/normalize.js', 'js/engine.js', 'js/seal.js', 'js/keyboard.js',
+    'js/words.js', 'js/answers.js',
+    'js/words-3.js', 'js/answers-3.js',
+    'js/words-5.js', 'js/answers-5.js',
+    'js/words-6.js', 'js/answers-6.js',
+    'js/clues.js', 'js/glossary.js', 'js/common-words.js', 'js/variants.js',
+]);
+const normalizeUrdu = get('normalizeUrdu');
+const splitUrdu = get('splitUrdu');
+const unsealWord = get('unsealWord');
+
+/**
+ * The word behind a sealed answer, or null if it is not sealed.
+ */
+function unsealEntry(code) {
+    try {
+        return unsealWord(code);
+    } catch {
+        return null;
+    }
+}
+
+// Every variant's dictionary and answer list, with the letter count
+// its entries must have. `entries` are the literals in the file
+// (sealed codes for answers), `words` what they spell.
+const LISTS = [];
+for (const length of Object.keys(get('WORD_VARIANTS')).map(Number)) {
+    const suffix = length === get('CLASSIC_WORD_LENGTH') ? '' : '-' + length;
+    const variant = get('WORD_VARIANTS')[length];
+    const dictionary = { file: 'js/words' + suffix + '.js', entries: variant.words, words: variant.words, length };
+    LISTS.push(dictionary);
+    LISTS.push({
+        file: 'js/answers' + suffix + '.js',
+        entries: variant.answers,
+        words: variant.answers.map(unsealEntry),
+        length,
+        dictionary,
+    });
+}
+
+/**
+ * Report layouts that lack letters other layouts have — a letter is
+ * only typeable if every layout has it — and letters the phonetic
+ * keymap cannot type. Returns the problem count.
+ */
+function lintLayouts() {
+    const layouts = get('KEYBOARD_LAYOUTS');
+    const getLayoutLetters = get('getLayoutLetters');
+    const all = new Set();
+    Object.values(layouts).forEach((layout) => getLayoutLetters(layout).forEach((l) => all.add(l)));
+
+    let count = 0;
+    for (const name of Object.keys(layouts)) {
+        const letters = getLayoutLetters(layouts[name]);
+        const missing = [...all].filter((l) => !letters.has(l));
+        if (missing.length) {
+            console.log("js/keyboard.js  layout '" + name + "' is missing: " + missing.join(' '));
+            count++;
+        }
+    }
+
+    const phonetic = new Set(Object.values(get('PHONETIC_KEYMAP')).map(normalizeUrdu));
+    const unmapped = [...all].filter((l) => !phonetic.has(l));
+    if (unmapped.length) {
+        console.log('js/keyboard.js  PHONETIC_KEYMAP is missing: ' + unmapped.join(' '));
+        count++;
+    }
+    return count;
+}
+
+/**
+ * Problems with a single entry, as human-readable strings.
+ */
+function lintWord(word, length, typeable, isAnswer) {
+    const problems = [];
+    const normalized = normalizeUrdu(word);
+    const letters = splitUrdu(word);
+
+    if (/\s/.test(word)) {
+        problems.push('contains whitespace');
+    }
+    if (normalized !== word) {
+        problems.push("not normalized (should be '" + normalized + "')");
+    }
+    if (letters.length !== length) {
+        problems.push(letters.length + ' letters, expected ' + length);
+    }
+    const untypeable = [...new Set(letters.filter((l) => !typeable.has(l)))];
+    if (untypeable.length) {
+        problems.push('untypeable: ' + untypeable.join(' ') + (isAnswer ? ' — this answer could never be solved' : ''));
+    }
+    return problems;
+}
+
+function lintList(list, typeable) {
+    const lines = fs.readFileSync(path.join(ROOT, list.file), 'utf8').split('\n');
+    const lineOf = (entry) => lines.findIndex((line) => line.includes("'" + entry + "'")) + 1;
+    const isAnswers = !!list.dictionary;
+    const known = isAnswers ? new Set(list.dictionary.words.map(normalizeUrdu)) : null;
+    const seen = new Map(); // normalized → first raw spelling
+    let count = 0;
+
+    list.entries.forEach((entry, i) => {
+        const word = list.words[i];
+        const problems = [];
+        if (word === null) {
+            problems.push('not a sealed answer — seal it with scripts/seal-answers.js');
+        } else {
+            problems.push(...lintWord(word, list.length, typeable, isAnswers));
+            const key = normalizeUrdu(word);
+            if (seen.has(key)) {
+                problems.push("duplicate of '" + seen.get(key) + "'");
+            } else {
+                seen.set(key, word);
+            }
+            if (known && !known.has(key)) {
+                problems.push('missing from ' + list.dictionary.file + ' — answers must also be accepted guesses');
+            }
+        }
+
+        const shown = entry === word ? "'" + entry + "'" : "'" + entry + "' (" + word + ')';
+        for (const problem of problems) {
+            console.log(list.file + ':' + lineOf(entry) + '  ' + shown + '  ' + problem);
+            count++;
+        }
+    });
+    return count;
+}
+
+/**
+ * Report answers whose clue is missing or does not open to one of
+ * CLUE_CATEGORIES, and clues for codes that are not answers.
+ * Returns the problem count.
+ */
+function lintClues() {
+    const clues = get('ANSWER_CLUES');
+    const categories = new Set(get('CLUE_CATEGORIES'));
+    const unsealNote = get('unsealNote');
+    const answers = new Map(); // sealed code → its answer list
+    LISTS.filter((list) => list.dictionary).forEach((list) => {
+        list.entries.forEach((code) => answers.set(code, list));
+    });
+
+    let count = 0;
+    for (const code of Object.keys(clues)) {
+        if (!answers.has(code)) {
+            const word = unsealEntry(code);
+            console.log("js/clues.js  '" + code + "'" + (word ? ' (' + word + ')' : '') + '  is not an answer');
+            count++;
+        }
+    }
+
+    answers.forEach((list, code) => {
+        const word = unsealEntry(code);
+        const shown = list.file + "  '" + code + "' (" + word + ')  ';
+        if (!(code in clues)) {
+            console.log(shown + 'has no clue in js/clues.js');
+            count++;
+            return;
+        }
+        const clue = word && unsealNote(clues[code], word);
+        if (!categories.has(clue)) {
+            console.log(shown + 'clue is not one of CLUE_CATEGORIES — reseal it with scripts/seal-clue.js');
+            count++;
+        }
+    });
+    return count;
+}
+
+/**
+ * Report answers whose glossary entry is missing or does not open
+ * to every field, and entries for codes that are not answers.
+ * Returns the problem count.
+ */
+function lintGlossary() {
+    const glossary = get('ANSWER_GLOSSARY');
+    const unsealNote = get('unsealNote');
+    const parseGlossaryEntry = get('parseGlossaryEntry');
+    const answers = new Map(); // sealed code → its answer list
+    LISTS.filter((list) => list.dictionary).forEach((list) => {
+        list.entries.forEach((code) => answers.set(code, list));
+    });
+
+    let count = 0;
+    for (const code of Object.keys(glossary)) {
+        if (!answers.has(code)) {
+            const word = unsealEntry(code);
+            console.log("js/glossary.js  '" + code + "'" + (word ? ' (' + word + ')' : '') + '  is not an answer');
+            count++;
+        }
+    }
+
+    answers.forEach((list, code) => {
+        const word = unsealEntry(code);
+        const shown = list.file + "  '" + code + "' (" + word + ')  ';
+        if (!(code in glossary)) {
+            console.log(shown + 'has no entry in js/glossary.js');
+            count++;
+            return;
+        }
+        const entry = word && parseGlossaryEntry(unsealNote(glossary[code], word));
+        const empty = entry ? Object.keys(entry).filter((field) => !entry[field].trim()) : [];
+        if (!entry || empty.length) {
+            console.log(shown + 'glossary entry ' + (entry ? 'has no ' + empty.join(', ') : 'does not open') +
+                ' — reseal it with scripts/seal-glossary.js');
+            count++;
+        }
+    });
+    return count;
+}
+
+/**
+ * Report variants whose common words (js/common-words.js) are not
+ * exactly their answers. Returns the problem count.
+ */
+function lintCommonWords() {
+    let count = 0;
+    LISTS.filter((list) => list.dictionary).forEach((list) => {
+        const common = new Set(get('WORD_VARIANTS')[list.length].common);
+        const answers = new Set(list.words.map((word) => list.dictionary.words.indexOf(word)));
+        const stale = common.size !== answers.size || [...answers].some((index) => !common.has(index));
+        if (stale) {
+            console.log('js/common-words.js  ' + list.length + '-letter words do not match ' + list.file +
+                ' — run scripts/mark-common-words.js');
+            count++;
+        }
+    });
+    return count;
+}
+
+const typeable = get('getTypeableLetters()');
+let total = lintLayouts();
+for (const list of LISTS) {
+    total += lintList(list, typeable);
+}
+total += lintClues();
+total += lintGlossary();
+total += lintCommonWords();
+
+if (total > 0) {
+    console.error('\n✗ ' + total + ' problem(s) found');
+    process.exit(1);
+}
+console.log('✓ ' + LISTS.map((l) => l.entries.length + ' in ' + l.file).join(', ') + ' — all clean');
@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+// ========================================
+// Urdle — Mark Common Words
+// ========================================
+// Rewrites js/common-words.js from the answer lists: the
+// positions, in each variant's dictionary, of the words that are
+// also answers. The game reads them instead of sealing every
+// dictionary word to find the answers.
+//
+//   node scripts/mark-common-words.js
+//
+// Run it after appending answers; scripts/lint-words.js fails
+// while the file is out of date.
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT, loadBrowserScripts } = require('./browser-context');
+
+const FILE = 'js/common-words.js';
+const LINE_WIDTH = 76;
+
+const get = loadBrowserScripts([
+    'js/normalize.js', 'js/seal.js',
+    'js/words.js', 'js/answers.js',
+    'js/words-3.js', 'js/answers-3.js',
+    'js/words-5.js', 'js/answers-5.js',
+    'js/words-6.js', 'js/answers-6.js',
+    'js/common-words.js', 'js/variants.js',
+]);
+const unsealWord = get('unsealWord');
+const variants = get('WORD_VARIANTS');
+
+/**
+ * Dictionary positions of a variant's answers, in dictionary order.
+ * Throws on an answer missing from the dictionary.
+ */
+function findCommonWords(variant) {
+    return variant.answers.map((code) => {
+        const word = unsealWord(code);
+        const index = variant.words.indexOf(word);
+        if (index < 0) throw new Error(word + ' is not in the dictionary; run scripts/lint-words.js');
+        return index;
+    }).sort((a, b) => a - b);
+}
+
+/**
+ * Numbers as comma-separated lines no wider than LINE_WIDTH.
+ */
+function wrapNumbers(numbers, indent) {
+    const lines = [];
+    let line = '';
+    for (const number of numbers) {
+        const item = number + ',';
+        if (line && indent.length + line.length + 1 + item.length > LINE_WIDTH) {
+            lines.push(indent + line);
+            line = '';
+        }
+        line += (line ? ' ' : '') + item;
+    }
+    if (line) lines.push(indent + line);
+    return lines;
+}
+
+const source = fs.readFileSync(path.join(ROOT, FILE), 'utf8');
+const header = source.slice(0, source.indexOf('const COMMON_WORDS'));
+const body = ['const COMMON_WORDS = {'];
+for (const length of Object.keys(variants)) {
+    body.push('  ' + length + ': [', ...wrapNumbers(findCommonWords(variants[length]), '    '), '  ],');
+}
+body.push('};', '');
+
+fs.writeFileSync(path.join(ROOT, FILE), header + body.join('\n'));
+console.log('✓ ' + FILE + ' — ' + Object.keys(variants).map((length) =>
+    variants[length].answers.length + ' ' + length + '-letter').join(', ') + ' common words');
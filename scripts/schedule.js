@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+// ========================================
+// Urdle — Answer Schedule Preview
+// ========================================
+// Prints the next N scheduled daily answers for review,
+// unsealed (the answer lists hold sealed codes, see js/seal.js).
+//
+//   node scripts/schedule.js [count] [YYYY-MM-DD] [--length N]
+//
+// Defaults to 30 puzzles of the classic 4-letter game starting
+// from today (US Eastern); --length picks another variant.
+
+const { loadBrowserScripts } = require('./browser-context');
+
+const get = loadBrowserScripts([
+    'js/normalize.js', 'js/seal.js',
+    'js/words.js', 'js/answers.js',
+    'js/words-3.js', 'js/answers-3.js',
+    'js/words-5.js', 'js/answers-5.js',
+    'js/words-6.js', 'js/answers-6.js',
+    'js/common-words.js', 'js/variants.js', 'js/daily.js',
+]);
+
+const args = process.argv.slice(2);
+const lengthFlag = args.indexOf('--length');
+const length = lengthFlag === -1 ? get('CLASSIC_WORD_LENGTH') : parseInt(args.splice(lengthFlag, 2)[1], 10);
+
+if (!get('WORD_VARIANTS')[length]) {
+    console.error('Unknown word length: ' + length + ' (have ' + Object.keys(get('WORD_VARIANTS')).join(', ') + ')');
+    process.exit(1);
+}
+get('setWordLength(' + length + ')');
+
+const count = parseInt(args[0], 10) || 30;
+const from = args[1] || get('getUSToday()');
+
+if (!/^\d{4}-\d{2}-\d{2}$/.test(from)) {
+    console.error('Start date must be YYYY-MM-DD, got: ' + from);
+    process.exit(1);
+}
+
+const getPuzzleNumber = get('getPuzzleNumber');
+const getDateForPuzzle = get('getDateForPuzzle');
+const { getScheduledAnswer } = get('claimSchedule()');
+const unsealWord = get('unsealWord');
+const total = get('getVariant().answers.length');
+const start = getPuzzleNumber(from);
+
+console.log(length + '-letter — launch ' + get('LAUNCH_DATE') + ' — ' + total + ' answers\n');
+
+for (let i = 0; i < count; i++) {
+    const puzzle = start + i;
+    const date = getDateForPuzzle(puzzle);
+    const lap = puzzle >= total ? '  (repeat)' : '';
+    console.log('#' + String(puzzle).padEnd(5) + date + '  ' + unsealWord(getScheduledAnswer(puzzle)) + lap);
+}
@@ -0,0 +1,30 @@
+#!/usr/bin/env node
+// ========================================
+// Urdle — Seal Answers
+// ========================================
+// Prints the sealed form (js/seal.js) of each word given, as
+// lines ready to append to an answers file:
+//
+//   node scripts/seal-answers.js کتاب قلم
+//
+// Words are normalized first. Run scripts/lint-words.js after
+// appending — answers must also be in the dictionary, have a
+// clue in js/clues.js (see scripts/seal-clue.js) and an entry in
+// js/glossary.js (see scripts/seal-glossary.js), and be marked in
+// js/common-words.js (scripts/mark-common-words.js).
+
+const { loadBrowserScripts } = require('./browser-context');
+
+const get = loadBrowserScripts(['js/normalize.js', 'js/seal.js']);
+const normalizeUrdu = get('normalizeUrdu');
+const sealWord = get('sealWord');
+
+const words = process.argv.slice(2);
+if (!words.length) {
+    console.error('Usage: node scripts/seal-answers.js <word> [word …]');
+    process.exit(1);
+}
+
+for (const word of words) {
+    console.log("  '" + sealWord(normalizeUrdu(word.trim())) + "',");
+}
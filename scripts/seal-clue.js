@@ -0,0 +1,35 @@
+#!/usr/bin/env node
+// ========================================
+// Urdle — Seal Clues
+// ========================================
+// Prints the category clue (js/clues.js) for an answer, as a line
+// ready to add to ANSWER_CLUES:
+//
+//   node scripts/seal-clue.js کتاب "پڑھنے لکھنے کی چیز"
+//
+// The clue must be one of CLUE_CATEGORIES; add a new category
+// there first. The word and clue are normalized first. Run
+// scripts/lint-words.js after adding it.
+
+const { loadBrowserScripts } = require('./browser-context');
+
+const get = loadBrowserScripts(['js/normalize.js', 'js/seal.js', 'js/clues.js']);
+const normalizeUrdu = get('normalizeUrdu');
+const sealWord = get('sealWord');
+const sealNote = get('sealNote');
+const categories = get('CLUE_CATEGORIES');
+
+const [rawWord, rawClue] = process.argv.slice(2);
+if (!rawWord || !rawClue) {
+    console.error('Usage: node scripts/seal-clue.js <word> "<clue>"');
+    process.exit(1);
+}
+
+const clue = normalizeUrdu(rawClue.trim());
+if (!categories.includes(clue)) {
+    console.error("'" + clue + "' is not in CLUE_CATEGORIES (js/clues.js): " + categories.join('، '));
+    process.exit(1);
+}
+
+const word = normalizeUrdu(rawWord.trim());
+console.log("    '" + sealWord(word) + "': '" + sealNote(clue, word) + "',");
@@ -0,0 +1,35 @@
+#!/usr/bin/env node
+// ========================================
+// Urdle — Seal Glossary Entries
+// ========================================
+// Prints the glossary entry (js/glossary.js) for an answer, as a
+// line ready to add to ANSWER_GLOSSARY:
+//
+//   node scripts/seal-glossary.js کتاب "چھپے ہوئے ورقوں کا مجموعہ|book|اسم|کتاب انسان کی بہترین دوست ہے۔"
+//
+// The entry is the Urdu meaning, English meaning, part of speech
+// and an example sentence, separated by |. The word and entry are
+// normalized first. Run scripts/lint-words.js after adding it.
+
+const { loadBrowserScripts } = require('./browser-context');
+
+const get = loadBrowserScripts(['js/normalize.js', 'js/seal.js', 'js/glossary.js']);
+const normalizeUrdu = get('normalizeUrdu');
+const sealWord = get('sealWord');
+const sealNote = get('sealNote');
+const fieldCount = get('GLOSSARY_FIELDS').length;
+
+const [rawWord, rawEntry] = process.argv.slice(2);
+if (!rawWord || !rawEntry) {
+    console.error('Usage: node scripts/seal-glossary.js <word> "<urdu>|<english>|<part of speech>|<example>"');
+    process.exit(1);
+}
+
+const fields = rawEntry.split('|').map((field) => normalizeUrdu(field.trim()));
+if (fields.length !== fieldCount || fields.some((field) => !field)) {
+    console.error('An entry needs ' + fieldCount + ' non-empty fields separated by |');
+    process.exit(1);
+}
+
+const word = normalizeUrdu(rawWord.trim());
+console.log("    '" + sealWord(word) + "': '" + sealNote(fields.join('|'), word) + "',");
@@ -0,0 +1,141 @@
+// ========================================
+// Urdle — Daily Schedule Tests
+// ========================================
+// node --test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBrowserScripts } = require('../scripts/browser-context');
+
+const get = loadBrowserScripts([
+    'js/settings.js', 'js/normalize.js', 'js/engine.js', 'js/seal.js', 'js/keyboard.js',
+    'js/words.js', 'js/answers.js',
+    'js/words-3.js', 'js/answers-3.js',
+    'js/words-5.js', 'js/answers-5.js',
+    'js/words-6.js', 'js/answers-6.js',
+    'js/clues.js', 'js/common-words.js', 'js/variants.js', 'js/daily.js',
+]);
+const getTypeableLetters = get('getTypeableLetters');
+const setTypeableCheck = get('setTypeableCheck');
+const { createSealedAnswer } = get('claimSealedAnswers()');
+const setWordLength = get('setWordLength');
+const { getScheduledAnswer, getScheduledAnswers } = get('claimSchedule()');
+const getPlayableAnswers = get('getPlayableAnswers');
+const isTypeable = get('isTypeable');
+const unsealWord = get('unsealWord');
+const lengths = Object.keys(get('WORD_VARIANTS')).map(Number);
+
+/**
+ * Check answers against a keyboard of `letters` (null: unknown), as
+ * game.js does at startup.
+ */
+function setTypeableLetters(letters) {
+    setTypeableCheck(letters && ((answer) => createSealedAnswer(answer).usesOnly(letters)));
+}
+
+/**
+ * The keyboard's alphabet without `letter`, as if its key broke.
+ */
+function withoutLetter(letter) {
+    const letters = getTypeableLetters();
+    letters.delete(letter);
+    return letters;
+}
+
+test('every answer is typeable on every keyboard layout', () => {
+    setTypeableLetters(getTypeableLetters());
+    for (const length of lengths) {
+        setWordLength(length);
+        const answers = get('getVariant().answers');
+        const untypeable = Array.from(answers.filter((answer) => !isTypeable(answer)), unsealWord);
+        assert.deepStrictEqual(untypeable, [], length + '-letter answers the keyboard cannot type');
+        assert.strictEqual(getPlayableAnswers().length, answers.length);
+    }
+});
+
+test('answers with a letter the keyboard lacks are not playable', () => {
+    setWordLength(4);
+    setTypeableLetters(withoutLetter('ب'));
+    const playable = getPlayableAnswers().map(unsealWord);
+    assert.ok(playable.length > 0);
+    assert.ok(playable.every((word) => !word.includes('ب')));
+    assert.ok(get('getVariant().answers').map(unsealWord).some((word) => word.includes('ب')));
+});
+
+test('the schedule follows the answer list and wraps around', () => {
+    setWordLength(4);
+    setTypeableLetters(getTypeableLetters());
+    const answers = get('getVariant().answers');
+    assert.strictEqual(getScheduledAnswer(0), answers[0]);
+    assert.strictEqual(getScheduledAnswer(7), answers[7]);
+    assert.strictEqual(getScheduledAnswer(answers.length + 3), answers[3]);
+});
+
+test('an untypeable answer hands its day to the next one without moving later puzzles', () => {
+    setWordLength(4);
+    setTypeableLetters(withoutLetter('ب'));
+    const answers = get('getVariant().answers');
+    const words = answers.map(unsealWord);
+    const skipped = words.findIndex((word) => word.includes('ب'));
+    assert.ok(skipped >= 0);
+
+    for (let puzzle = 0; puzzle < answers.length; puzzle++) {
+        let index = puzzle;
+        while (words[index % answers.length].includes('ب')) index++;
+        assert.strictEqual(getScheduledAnswer(puzzle), answers[index % answers.length], 'puzzle ' + puzzle);
+    }
+    // Typeable answers keep their own day
+    assert.strictEqual(getScheduledAnswer(skipped + 1) === answers[skipped + 1], !words[skipped + 1].includes('ب'));
+});
+
+test('without a known keyboard every answer is scheduled', () => {
+    setWordLength(4);
+    setTypeableLetters(null);
+    const answers = get('getVariant().answers');
+    assert.strictEqual(getScheduledAnswer(5), answers[5]);
+    assert.strictEqual(getPlayableAnswers().length, answers.length);
+});
+
+test('multi-board puzzles only use answers of earlier puzzles', () => {
+    setWordLength(4);
+    setTypeableLetters(getTypeableLetters());
+    for (const boards of [2, 4]) {
+        get('setBoardCount(' + boards + ')');
+        for (let puzzle = boards; puzzle < 60; puzzle++) {
+            const published = new Set();
+            for (let earlier = 0; earlier < puzzle; earlier++) published.add(getScheduledAnswer(earlier));
+            const words = Array.from(getScheduledAnswers(puzzle));
+            assert.strictEqual(new Set(words).size, boards, 'puzzle ' + puzzle);
+            assert.ok(words.every((word) => published.has(word)), 'puzzle ' + puzzle + ' x' + boards);
+        }
+    }
+    get('setBoardCount(1)');
+});
+
+test('early multi-board puzzles take the latest answers', () => {
+    setWordLength(4);
+    setTypeableLetters(getTypeableLetters());
+    get('setBoardCount(2)');
+    assert.deepStrictEqual(Array.from(getScheduledAnswers(10)), [getScheduledAnswer(9), getScheduledAnswer(8)]);
+    get('setBoardCount(4)');
+    const answers = get('getVariant().answers');
+    // Before four puzzles are out, the end of the rotation fills in
+    assert.deepStrictEqual(Array.from(getScheduledAnswers(1)),
+        [getScheduledAnswer(0), answers[answers.length - 1], answers[answers.length - 2], answers[answers.length - 3]]);
+    get('setBoardCount(1)');
+});
+
+test('the schedule can only be claimed once', () => {
+    assert.strictEqual(get('claimSchedule()'), null);
+    assert.strictEqual(get('typeof getScheduledAnswer'), 'undefined');
+});
+
+test('common words are the variant\'s answers', () => {
+    for (const length of lengths) {
+        setWordLength(length);
+        const variant = get('getVariant()');
+        const common = Array.from(variant.common, (index) => variant.words[index]).sort();
+        assert.deepStrictEqual(common, Array.from(variant.answers, unsealWord).sort(), length + '-letter');
+    }
+    setWordLength(4);
+});
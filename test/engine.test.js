@@ -0,0 +1,122 @@
+// ========================================
+// Urdle — Guess Engine Tests
+// ========================================
+// node --test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBrowserScripts } = require('../scripts/browser-context');
+
+const get = loadBrowserScripts(['js/normalize.js', 'js/engine.js']);
+const splitUrdu = get('splitUrdu');
+const evaluateGuess = get('evaluateGuess');
+const isSolvedEvaluation = get('isSolvedEvaluation');
+const buildGuessSet = get('buildGuessSet');
+const validateGuess = get('validateGuess');
+const findHardModeViolation = get('findHardModeViolation');
+
+// Results come from another context, so compare copies
+const evaluate = (guess, answer) => Array.from(evaluateGuess(guess, answer));
+
+test('splitUrdu splits normalized letters', () => {
+    assert.deepStrictEqual(Array.from(splitUrdu('كتاب')), ['ک', 'ت', 'ا', 'ب']);
+    assert.deepStrictEqual(Array.from(splitUrdu('آدمی')), ['آ', 'د', 'م', 'ی']);
+});
+
+test('evaluateGuess marks a solved word correct', () => {
+    const evaluation = evaluateGuess('کتاب', 'کتاب');
+    assert.deepStrictEqual(Array.from(evaluation), ['correct', 'correct', 'correct', 'correct']);
+    assert.strictEqual(isSolvedEvaluation(evaluation), true);
+});
+
+test('evaluateGuess marks present and absent letters', () => {
+    assert.deepStrictEqual(evaluate('بلند', 'دلیل'), ['absent', 'correct', 'absent', 'present']);
+});
+
+test('evaluateGuess normalizes words and accepts letter arrays', () => {
+    assert.deepStrictEqual(evaluate('كتاب', 'کتاب'), ['correct', 'correct', 'correct', 'correct']);
+    assert.deepStrictEqual(evaluate(['ک', 'ت', 'ا', 'ب'], 'کتاب'), ['correct', 'correct', 'correct', 'correct']);
+});
+
+test('a repeated letter scores green once for a single ب in place', () => {
+    assert.deepStrictEqual(evaluate('ببلب', 'کتاب'), ['absent', 'absent', 'absent', 'correct']);
+});
+
+test('a repeated letter scores yellow once for a single ب out of place', () => {
+    assert.deepStrictEqual(evaluate('ببلب', 'کلبہ'), ['present', 'absent', 'present', 'absent']);
+});
+
+test('a green repeat uses up the answer\'s only ب before any yellow', () => {
+    assert.deepStrictEqual(evaluate('ببلب', 'بلند'), ['correct', 'absent', 'present', 'absent']);
+});
+
+test('a repeated letter scores as often as the answer has it', () => {
+    assert.deepStrictEqual(evaluate('ببلب', 'رباب'), ['absent', 'correct', 'absent', 'correct']);
+    assert.deepStrictEqual(evaluate('ببلب', 'بابا'), ['correct', 'present', 'absent', 'absent']);
+});
+
+test('isSolvedEvaluation needs every letter correct', () => {
+    assert.strictEqual(isSolvedEvaluation(['correct', 'present', 'correct', 'correct']), false);
+});
+
+test('validateGuess accepts dictionary words of the right length', () => {
+    const words = buildGuessSet(['كتاب', 'قلم']);
+    assert.strictEqual(validateGuess(Array.from(splitUrdu('کتاب')), 4, words), null);
+    assert.strictEqual(validateGuess(Array.from(splitUrdu('قلم')), 3, words), null);
+});
+
+test('validateGuess rejects the wrong length before the dictionary', () => {
+    const words = buildGuessSet(['کتاب', 'قلم']);
+    assert.strictEqual(validateGuess(Array.from(splitUrdu('قلم')), 4, words), 'length');
+    assert.strictEqual(validateGuess(Array.from(splitUrdu('کتابیں')), 4, words), 'length');
+});
+
+test('validateGuess rejects words missing from the dictionary', () => {
+    const words = buildGuessSet(['کتاب']);
+    assert.strictEqual(validateGuess(Array.from(splitUrdu('بتاک')), 4, words), 'unknown');
+});
+
+test('findHardModeViolation allows any guess before the first hint', () => {
+    assert.strictEqual(findHardModeViolation(splitUrdu('بتاک'), [], []), null);
+});
+
+test('findHardModeViolation keeps green letters in place', () => {
+    const attempts = ['کتاب'];
+    const evaluations = [['correct', 'absent', 'absent', 'absent']];
+    assert.strictEqual(findHardModeViolation(splitUrdu('کلمہ'), attempts, evaluations), null);
+    assert.deepStrictEqual(
+        Object.assign({}, findHardModeViolation(splitUrdu('لکمہ'), attempts, evaluations)),
+        { letter: 'ک', position: 0 });
+});
+
+test('findHardModeViolation requires yellow letters to be reused', () => {
+    const attempts = ['کتاب'];
+    const evaluations = [['absent', 'absent', 'present', 'absent']];
+    assert.strictEqual(findHardModeViolation(splitUrdu('دانہ'), attempts, evaluations), null);
+    assert.deepStrictEqual(
+        Object.assign({}, findHardModeViolation(splitUrdu('دلیل'), attempts, evaluations)),
+        { letter: 'ا', position: -1 });
+});
+
+test('findHardModeViolation counts repeated hinted letters', () => {
+    const attempts = ['ببلب'];
+    const evaluations = [['present', 'correct', 'absent', 'absent']];
+    assert.strictEqual(findHardModeViolation(splitUrdu('ابرب'), attempts, evaluations), null);
+    assert.deepStrictEqual(
+        Object.assign({}, findHardModeViolation(splitUrdu('ابری'), attempts, evaluations)),
+        { letter: 'ب', position: -1 });
+});
+
+test('findHardModeViolation lets absent letters be played again', () => {
+    const attempts = ['کتاب'];
+    const evaluations = [['correct', 'absent', 'absent', 'absent']];
+    assert.strictEqual(findHardModeViolation(splitUrdu('کتاب'), attempts, evaluations), null);
+});
+
+test('findHardModeViolation checks every earlier row', () => {
+    const attempts = ['کتاب', 'کلمہ'];
+    const evaluations = [['correct', 'absent', 'absent', 'present'], ['correct', 'absent', 'absent', 'absent']];
+    assert.deepStrictEqual(
+        Object.assign({}, findHardModeViolation(splitUrdu('کلمہ'), attempts, evaluations)),
+        { letter: 'ب', position: -1 });
+});
@@ -0,0 +1,123 @@
+// ========================================
+// Urdle — Game State Machine Tests
+// ========================================
+// node --test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBrowserScripts } = require('../scripts/browser-context');
+
+const get = loadBrowserScripts([
+    'js/settings.js', 'js/normalize.js', 'js/engine.js', 'js/seal.js',
+    'js/words.js', 'js/answers.js',
+    'js/words-3.js', 'js/answers-3.js',
+    'js/words-5.js', 'js/answers-5.js',
+    'js/words-6.js', 'js/answers-6.js',
+    'js/clues.js', 'js/common-words.js', 'js/variants.js', 'js/machine.js',
+]);
+const sealWord = get('sealWord');
+const { createSealedAnswer } = get('claimSealedAnswers()');
+const createGameMachine = get('createGameMachine');
+const GAME_STATES = get('GAME_STATES');
+
+/**
+ * A machine for `words` (one board each), like game.js starts one.
+ */
+function start(words) {
+    get('setBoardCount(' + words.length + ')');
+    const maxHints = words.length === 1 ? get('GAME_RULES.maxHints') : 0;
+    return createGameMachine(words.map((word) => createSealedAnswer(sealWord(word))), get('getMaxAttempts()'), maxHints);
+}
+
+/**
+ * Submit a guess and finish its reveal.
+ */
+function play(game, guess) {
+    const evaluations = game.submit(guess);
+    game.completeReveal();
+    return evaluations;
+}
+
+test('a guess is revealed before the next one is taken', () => {
+    const game = start(['کتاب']);
+    assert.ok(game.submit('لمبی'));
+    assert.strictEqual(game.getState().status, GAME_STATES.REVEALING);
+    assert.strictEqual(game.submit('کلمہ'), null);
+    game.completeReveal();
+    assert.strictEqual(game.getState().status, GAME_STATES.IDLE);
+    assert.deepStrictEqual(Array.from(game.getState().attempts), ['لمبی']);
+});
+
+test('winning reveals the answer', () => {
+    const game = start(['کتاب']);
+    assert.strictEqual(game.getAnswers(), null);
+    play(game, 'کتاب');
+    assert.strictEqual(game.getState().status, GAME_STATES.WON);
+    assert.deepStrictEqual(Array.from(game.getAnswers()), ['کتاب']);
+});
+
+test('undo takes back a guess while the game is in progress', () => {
+    const game = start(['کتاب']);
+    play(game, 'لمبی');
+    assert.strictEqual(game.undo(), true);
+    assert.strictEqual(game.getState().attempts.length, 0);
+    assert.strictEqual(game.getLog().pop().type, 'undo');
+});
+
+test('undo gives the guess back to the sealed answer', () => {
+    const game = start(['کتاب']);
+    const maxAttempts = get('getMaxAttempts()');
+    for (let row = 1; row < maxAttempts; row++) play(game, 'لمبی');
+    game.undo();
+    play(game, 'لمبی');
+    play(game, 'لمبی');
+    assert.strictEqual(game.getState().status, GAME_STATES.LOST);
+    assert.strictEqual(game.getState().attempts.length, maxAttempts);
+});
+
+test('undo is refused once the game is won or lost', () => {
+    const won = start(['کتاب']);
+    play(won, 'کتاب');
+    assert.strictEqual(won.undo(), false);
+    assert.strictEqual(won.getState().status, GAME_STATES.WON);
+
+    const lost = start(['کتاب']);
+    const maxAttempts = get('getMaxAttempts()');
+    for (let row = 0; row < maxAttempts; row++) play(lost, 'لمبی');
+    assert.strictEqual(lost.undo(), false);
+    assert.strictEqual(lost.getState().status, GAME_STATES.LOST);
+});
+
+test('undo is refused during a reveal and past a hint', () => {
+    const game = start(['کتاب']);
+    game.submit('لمبی');
+    assert.strictEqual(game.undo(), false);
+    game.completeReveal();
+    assert.ok(game.hint('clue'));
+    assert.strictEqual(game.undo(), false);
+});
+
+test('undoing the guess that solved one board of several reopens it', () => {
+    const game = start(['کتاب', 'کلمہ']);
+    play(game, 'کتاب');
+    assert.strictEqual(game.getState().solvedAt[0], 1);
+    assert.strictEqual(game.undo(), true);
+    assert.strictEqual(game.getState().solvedAt[0], 0);
+    play(game, 'لمبی');
+    const evaluations = play(game, 'کتاب');
+    assert.ok(evaluations[0] && evaluations[1]);
+});
+
+test('hints the sealed answer refuses are not taken', () => {
+    const game = start(['کتاب']);
+    assert.ok(game.hint('letter', 0));
+    assert.strictEqual(game.hint('letter', 0), null);
+    assert.strictEqual(game.getState().hints.length, 1);
+});
+
+test('the clue comes from the sealed answer, once', () => {
+    const game = start(['کتاب']);
+    assert.strictEqual(game.hint('clue').clue, 'پڑھنے لکھنے کی چیز');
+    assert.strictEqual(game.checkHint('clue'), 'used');
+    assert.strictEqual(start(['لمبی']).checkHint('clue'), 'no-clue');
+});
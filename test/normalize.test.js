@@ -0,0 +1,66 @@
+// ========================================
+// Urdle — Normalization Tests
+// ========================================
+// node --test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBrowserScripts } = require('../scripts/browser-context');
+
+const get = loadBrowserScripts(['js/normalize.js']);
+const normalizeUrdu = get('normalizeUrdu');
+
+test('Arabic ya and alef maksura become Urdu ی', () => {
+    assert.strictEqual(normalizeUrdu('علي'), 'علی'); // ي
+    assert.strictEqual(normalizeUrdu('موسى'), 'موسی'); // ى
+});
+
+test('Arabic kaf becomes Urdu ک', () => {
+    assert.strictEqual(normalizeUrdu('كتاب'), 'کتاب'); // ك
+});
+
+test('Arabic ha and ae become Urdu ہ', () => {
+    assert.strictEqual(normalizeUrdu('شهر'), 'شہر'); // ه
+    assert.strictEqual(normalizeUrdu('شەر'), 'شہر'); // ە
+});
+
+test('alef and madda compose to آ', () => {
+    assert.strictEqual(normalizeUrdu('آم'), 'آم');
+});
+
+test('ہ and hamza compose to ۂ', () => {
+    assert.strictEqual(normalizeUrdu('نغمۂ'), 'نغمۂ');
+    assert.strictEqual(normalizeUrdu('نغمۀ'), 'نغمۂ'); // Arabic ۀ
+});
+
+test('ی and hamza are written ئ', () => {
+    assert.strictEqual(normalizeUrdu('گیٔی'), 'گئی');
+});
+
+test('و and hamza compose to ؤ', () => {
+    assert.strictEqual(normalizeUrdu('بچاؤ'), 'بچاؤ');
+});
+
+test('harakat are stripped', () => {
+    assert.strictEqual(normalizeUrdu('کِتَاب'), 'کتاب'); // zer, zabar
+    assert.strictEqual(normalizeUrdu('مُحَمّد'), 'محمد'); // pesh, shadda
+    assert.strictEqual(normalizeUrdu('فوراً'), 'فورا'); // tanween
+    assert.strictEqual(normalizeUrdu('علیٰ'), 'علی'); // superscript alef
+    assert.strictEqual(normalizeUrdu('کْت'), 'کت'); // sukun
+});
+
+test('tatweel and zero-width joiners are stripped', () => {
+    assert.strictEqual(normalizeUrdu('کتــاب'), 'کتاب'); // tatweel
+    assert.strictEqual(normalizeUrdu('کتا‌ب'), 'کتاب'); // ZWNJ
+    assert.strictEqual(normalizeUrdu('کتا‍ب'), 'کتاب'); // ZWJ
+});
+
+test('surrounding whitespace is trimmed', () => {
+    assert.strictEqual(normalizeUrdu('  کتاب\n'), 'کتاب');
+});
+
+test('canonical spellings are unchanged', () => {
+    ['کتاب', 'آم', 'گئی', 'بچاؤ', 'نغمۂ', 'پہاڑ'].forEach((word) => {
+        assert.strictEqual(normalizeUrdu(word), word);
+    });
+});
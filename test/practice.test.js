@@ -0,0 +1,47 @@
+// ========================================
+// Urdle — Practice Word Tests
+// ========================================
+// node --test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBrowserScripts } = require('../scripts/browser-context');
+
+const get = loadBrowserScripts([
+    'js/settings.js', 'js/normalize.js', 'js/engine.js', 'js/seal.js',
+    'js/words.js', 'js/answers.js',
+    'js/words-3.js', 'js/answers-3.js',
+    'js/words-5.js', 'js/answers-5.js',
+    'js/words-6.js', 'js/answers-6.js',
+    'js/clues.js', 'js/common-words.js', 'js/variants.js', 'js/daily.js', 'js/practice.js',
+]);
+const sealWord = get('sealWord');
+const unsealWord = get('unsealWord');
+const pickPracticeWords = get('pickPracticeWords');
+const lengths = Object.keys(get('WORD_VARIANTS')).map(Number);
+
+test('practice words are dictionary words that are never answers', () => {
+    for (const length of lengths) {
+        get('setWordLength(' + length + ')');
+        const variant = get('getVariant()');
+        const answers = new Set(variant.answers);
+        const dictionary = new Set(variant.words);
+        for (let game = 0; game < 50; game++) {
+            const [word] = pickPracticeWords(sealWord);
+            assert.ok(!answers.has(word), length + '-letter ' + unsealWord(word));
+            assert.ok(dictionary.has(unsealWord(word)), length + '-letter ' + unsealWord(word));
+        }
+    }
+    get('setWordLength(4)');
+});
+
+test('every board gets its own word, not the previous game\'s', () => {
+    get('setBoardCount(4)');
+    const previous = Array.from(pickPracticeWords(sealWord));
+    for (let game = 0; game < 50; game++) {
+        const words = Array.from(pickPracticeWords(sealWord, previous));
+        assert.strictEqual(new Set(words).size, 4);
+        assert.ok(words.every((word) => !previous.includes(word)));
+    }
+    get('setBoardCount(1)');
+});
@@ -0,0 +1,49 @@
+// ========================================
+// Urdle — Roman Urdu Matching Tests
+// ========================================
+// node --test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBrowserScripts } = require('../scripts/browser-context');
+
+const get = loadBrowserScripts(['js/normalize.js', 'js/engine.js', 'js/roman.js', 'js/words.js']);
+const splitUrdu = get('splitUrdu');
+const romanMatchCost = get('romanMatchCost');
+const getRomanCandidates = get('getRomanCandidates');
+const words = Array.from(get('WORDS'), (word) => ({ word, letters: splitUrdu(word) }));
+
+/**
+ * getRomanCandidates() without its index: score every word.
+ */
+function scoreEveryWord(text, limit) {
+    const roman = get('cleanRoman')(text);
+    return words
+        .map((entry, order) => ({ word: entry.word, cost: romanMatchCost(roman, entry.letters), order }))
+        .filter((match) => match.cost >= 0)
+        .sort((a, b) => a.cost - b.cost || a.order - b.order)
+        .slice(0, limit)
+        .map((match) => match.word);
+}
+
+test('common Roman spellings find their word', () => {
+    assert.ok(getRomanCandidates('kitab', words, 8).includes('کتاب'));
+    assert.ok(getRomanCandidates('pani', words, 8).includes('پانی'));
+    assert.ok(getRomanCandidates('bachao', words, 8).includes('بچاؤ'));
+});
+
+test('an unwritten leading vowel still matches', () => {
+    assert.ok(getRomanCandidates('umeed', words, 8).includes('امید'));
+    assert.ok(getRomanCandidates('aadmi', words, 8).includes('ادمی'));
+});
+
+test('the word index finds what scoring every word finds', () => {
+    ['k', 'kit', 'kitab', 'a', 'aa', 'aadmi', 'ishara', 'bachao', 'pani', 'umeed', 'khush', 'Sheher!', 'eid', 'oont']
+        .forEach((text) => {
+            assert.deepStrictEqual(Array.from(getRomanCandidates(text, words, 8)), scoreEveryWord(text, 8), text);
+        });
+});
+
+test('text that is not Roman finds nothing', () => {
+    assert.strictEqual(getRomanCandidates('123', words, 8).length, 0);
+});
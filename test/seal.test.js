@@ -0,0 +1,179 @@
+// ========================================
+// Urdle — Sealed Answer Tests
+// ========================================
+// node --test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBrowserScripts } = require('../scripts/browser-context');
+
+const get = loadBrowserScripts([
+    'js/settings.js', 'js/normalize.js', 'js/engine.js', 'js/seal.js',
+    'js/words.js', 'js/answers.js',
+    'js/words-3.js', 'js/answers-3.js',
+    'js/words-5.js', 'js/answers-5.js',
+    'js/words-6.js', 'js/answers-6.js',
+    'js/clues.js', 'js/common-words.js', 'js/variants.js',
+]);
+const sealWord = get('sealWord');
+const { createSealedAnswer, unsealNote } = get('claimSealedAnswers()');
+const code = sealWord('کتاب');
+
+/**
+ * Open `code` for a game on `boards` boards.
+ */
+function open(boards) {
+    get('setBoardCount(' + (boards || 1) + ')');
+    return createSealedAnswer(code);
+}
+
+test('the sealed answer factory can only be claimed once', () => {
+    assert.strictEqual(typeof createSealedAnswer, 'function');
+    assert.strictEqual(get('claimSealedAnswers()'), null);
+    assert.strictEqual(get('typeof createSealedAnswer'), 'undefined');
+});
+
+test('notes open only with the word they were sealed for', () => {
+    const note = get('sealNote')('book', 'کتاب');
+    assert.strictEqual(unsealNote(note, 'کتاب'), 'book');
+    assert.notStrictEqual(unsealNote(note, 'کلمہ'), 'book');
+});
+
+test('a fresh answer stays sealed', () => {
+    assert.strictEqual(open().reveal(), null);
+});
+
+test('solving the answer reveals it', () => {
+    const answer = open();
+    answer.evaluate('کلمہ');
+    assert.strictEqual(answer.reveal(), null);
+    assert.deepStrictEqual(Array.from(answer.evaluate('کتاب')), ['correct', 'correct', 'correct', 'correct']);
+    assert.strictEqual(answer.reveal(), 'کتاب');
+});
+
+test('the answer opens after the variant\'s last guess, not before', () => {
+    for (const boards of [1, 2, 4]) {
+        const answer = open(boards);
+        const maxAttempts = get('getMaxAttempts()');
+        for (let guess = 1; guess < maxAttempts; guess++) answer.evaluate('کلمہ');
+        assert.strictEqual(answer.reveal(), null, boards + ' boards');
+        answer.evaluate('کلمہ');
+        assert.strictEqual(answer.reveal(), 'کتاب', boards + ' boards');
+    }
+});
+
+test('no guess is scored once the game is over', () => {
+    const answer = open();
+    answer.evaluate('کتاب');
+    assert.strictEqual(answer.evaluate('کلمہ'), null);
+});
+
+test('hints stop at GAME_RULES.maxHints', () => {
+    const answer = open();
+    const maxHints = get('GAME_RULES.maxHints');
+    const letters = [0, 1, 2, 3].map((position) => answer.letterAt(position));
+    assert.deepStrictEqual(letters.slice(0, maxHints), ['ک', 'ت', 'ا', 'ب'].slice(0, maxHints));
+    assert.ok(letters.slice(maxHints).every((letter) => letter === null));
+    assert.strictEqual(answer.includes('ک'), null);
+    assert.strictEqual(answer.clue(), null);
+});
+
+test('every kind of hint counts towards the limit', () => {
+    const answer = open();
+    assert.strictEqual(answer.includes('ب'), true);
+    assert.strictEqual(answer.includes('ل'), false);
+    assert.strictEqual(answer.clue(), 'پڑھنے لکھنے کی چیز');
+    assert.strictEqual(answer.letterAt(0), null);
+});
+
+test('a position is only hinted while it is hidden', () => {
+    const answer = open();
+    assert.strictEqual(answer.letterAt(1), 'ت');
+    assert.strictEqual(answer.letterAt(1), null);
+    answer.evaluate('کلمہ'); // shows ک at 0
+    assert.strictEqual(answer.letterAt(0), null);
+    assert.strictEqual(answer.letterAt(3), 'ب');
+});
+
+test('positions off the word are refused without costing a hint', () => {
+    const answer = open();
+    [-1, 4, 1.5, '0', undefined].forEach((position) => assert.strictEqual(answer.letterAt(position), null));
+    assert.strictEqual(answer.letterAt(0), 'ک');
+    assert.strictEqual(answer.letterAt(1), 'ت');
+    assert.strictEqual(answer.letterAt(2), 'ا');
+});
+
+test('multi-board games get no hints', () => {
+    const answer = open(2);
+    assert.strictEqual(answer.letterAt(0), null);
+    assert.strictEqual(answer.includes('ک'), null);
+    assert.strictEqual(answer.clue(), null);
+});
+
+test('a hint must leave a guess to play', () => {
+    const answer = open();
+    const maxAttempts = get('getMaxAttempts()');
+    for (let guess = 1; guess < maxAttempts - 1; guess++) answer.evaluate('لمبی');
+    assert.ok(answer.clue()); // the last guess is still to play
+    assert.strictEqual(answer.includes('ک'), null);
+    assert.strictEqual(answer.reveal(), null);
+
+    const later = open();
+    for (let guess = 1; guess < maxAttempts; guess++) later.evaluate('لمبی');
+    assert.strictEqual(later.clue(), null);
+    assert.strictEqual(later.reveal(), null);
+});
+
+test('hints cost a guess towards revealing the answer', () => {
+    const answer = open();
+    const maxAttempts = get('getMaxAttempts()');
+    answer.clue();
+    answer.includes('ک');
+    for (let guess = 1; guess < maxAttempts - 2; guess++) answer.evaluate('لمبی');
+    assert.strictEqual(answer.reveal(), null);
+    answer.evaluate('لمبی');
+    assert.strictEqual(answer.reveal(), 'کتاب');
+    assert.strictEqual(answer.evaluate('کتاب'), null);
+});
+
+test('a withdrawn guess no longer counts', () => {
+    const answer = open();
+    const maxAttempts = get('getMaxAttempts()');
+    for (let guess = 1; guess < maxAttempts; guess++) answer.evaluate('لمبی');
+    assert.strictEqual(answer.withdraw(), true);
+    answer.evaluate('لمبی');
+    assert.strictEqual(answer.reveal(), null);
+});
+
+test('withdrawing the solving guess seals the answer again', () => {
+    const answer = open(2);
+    answer.evaluate('کتاب');
+    assert.strictEqual(answer.reveal(), 'کتاب');
+    assert.strictEqual(answer.withdraw(), true);
+    assert.strictEqual(answer.reveal(), null);
+});
+
+test('nothing is withdrawn once every guess is used', () => {
+    const answer = open();
+    const maxAttempts = get('getMaxAttempts()');
+    for (let guess = 0; guess < maxAttempts; guess++) answer.evaluate('لمبی');
+    assert.strictEqual(answer.withdraw(), false);
+    assert.strictEqual(answer.reveal(), 'کتاب');
+});
+
+test('a guess is not withdrawn past a later hint', () => {
+    const answer = open();
+    assert.strictEqual(answer.withdraw(), false);
+    answer.evaluate('لمبی');
+    answer.clue();
+    assert.strictEqual(answer.withdraw(), false);
+});
+
+test('an answer without a clue gives none and costs no hint', () => {
+    get('setBoardCount(1)');
+    const answer = createSealedAnswer(sealWord('لمبی'));
+    assert.strictEqual(answer.hasClue, false);
+    assert.strictEqual(answer.clue(), null);
+    assert.strictEqual(answer.letterAt(0), 'ل');
+    assert.strictEqual(open().hasClue, true);
+});
@@ -0,0 +1,74 @@
+// ========================================
+// Urdle — Storage Tests
+// ========================================
+// node --test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBrowserScripts } = require('../scripts/browser-context');
+
+/**
+ * A fresh storage.js (and any other `files`) over an in-memory
+ * localStorage holding `keys`.
+ */
+function load(keys, files) {
+    const get = loadBrowserScripts(['js/storage.js'].concat(files || []));
+    get(`globalThis.localStorage = (function () {
+        const items = new Map(Object.entries(${JSON.stringify(keys)}));
+        return {
+            get length() { return items.size; },
+            key: (i) => Array.from(items.keys())[i] ?? null,
+            getItem: (key) => (items.has(key) ? items.get(key) : null),
+            setItem: (key, value) => { items.set(key, String(value)); },
+            removeItem: (key) => { items.delete(key); },
+        };
+    })()`);
+    return get;
+}
+
+test('a first visit starts an empty document', () => {
+    const get = load({});
+    const store = get('loadStore()');
+    assert.strictEqual(store.version, get('STORAGE_VERSION'));
+    assert.deepStrictEqual(Object.keys(store.daily), []);
+});
+
+test('the released urdle_daily save moves into the document', () => {
+    const daily = { date: '2026-10-19', attempts: ['کتاب'], gameOver: false, won: false };
+    const get = load({ urdle_daily: JSON.stringify(daily) });
+    const store = get('loadStore()');
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(store.daily['4'])), daily);
+    assert.strictEqual(get('localStorage.getItem("urdle_daily")'), null);
+    assert.strictEqual(JSON.parse(get('localStorage.getItem("urdle")')).version, get('STORAGE_VERSION'));
+});
+
+test('an unreadable urdle_daily is skipped and left in place', () => {
+    const get = load({ urdle_daily: '{oops' });
+    get('console = { warn() {} }');
+    const store = get('loadStore()');
+    assert.deepStrictEqual(Object.keys(store.daily), []);
+    assert.strictEqual(get('localStorage.getItem("urdle_daily")'), '{oops');
+});
+
+test('keys that were never released are not migrated', () => {
+    const get = load({ urdle_stats_5: JSON.stringify({ results: { 3: { attempts: 2, won: true } } }) });
+    const store = get('loadStore()');
+    assert.deepStrictEqual(Object.keys(store.stats), []);
+});
+
+test('a daily game is saved under the puzzle on the board, not today', () => {
+    const get = load({}, [
+        'js/words.js', 'js/answers.js',
+        'js/words-3.js', 'js/answers-3.js',
+        'js/words-5.js', 'js/answers-5.js',
+        'js/words-6.js', 'js/answers-6.js',
+        'js/common-words.js', 'js/variants.js', 'js/daily.js', 'js/stats.js',
+    ]);
+    const puzzle = get('getPuzzleNumber()') - 1; // started before midnight
+    get('markPlayed(' + puzzle + ', ["کتاب"], true, false, [])');
+    const store = get('loadStore()');
+    assert.strictEqual(store.daily['4'].puzzle, puzzle);
+    assert.strictEqual(store.daily['4'].date, get('getDateForPuzzle(' + puzzle + ')'));
+    assert.strictEqual(store.stats['4'].results[puzzle].date, store.daily['4'].date);
+    assert.strictEqual(get('loadDailyState()'), null);
+});